@@ -365,6 +365,30 @@ function calculateInvoiceTotals(items = [], discountType = 'fixed', discountValu
   };
 }
 
+// ── Partial Payments (from POST /api/orders/:orderId/partial-payment) ──
+
+/**
+ * Record `amount` against an order's bill → the payment fields to write.
+ * A tip paid with it is added to the bill (tipAmount / finalAmount) and to
+ * the amount paid, so it never eats into what is still owed.
+ */
+function applyPartialPayment(order, amount, tip = 0) {
+  const tipAmount = round2(Number(tip) || 0);
+  const finalAmount = round2((order.finalAmount || order.totalAmount || 0) + tipAmount);
+  const paidAmount = round2((order.paidAmount || 0) + Number(amount) + tipAmount);
+  const outstandingAmount = Math.max(0, round2(finalAmount - paidAmount));
+  const fields = {
+    paidAmount,
+    outstandingAmount,
+    paymentStatus: outstandingAmount <= 0 ? 'paid' : 'partial'
+  };
+  if (tipAmount > 0) {
+    fields.tipAmount = round2((order.tipAmount || 0) + tipAmount);
+    fields.finalAmount = finalAmount;
+  }
+  return fields;
+}
+
 module.exports = {
   round2,
   getDefaultTaxSettings,
@@ -376,5 +400,6 @@ module.exports = {
   validateSplitBill,
   validateCashPayment,
   validateOrderItems,
-  calculateInvoiceTotals
+  calculateInvoiceTotals,
+  applyPartialPayment
 };
@@ -8,7 +8,8 @@ const {
   validateSplitPayments,
   validateCashPayment,
   validateOrderItems,
-  calculateInvoiceTotals
+  calculateInvoiceTotals,
+  applyPartialPayment
 } = require('./billingCalc');
 
 // ═══════════════════════════════════════════════════════════════════
@@ -765,3 +766,29 @@ describe('end-to-end billing scenarios', () => {
     expect(invalid.valid).toBe(false);
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════
+// applyPartialPayment
+// ═══════════════════════════════════════════════════════════════════
+
+describe('applyPartialPayment', () => {
+  test('adds to what was already paid and leaves the rest outstanding', () => {
+    expect(applyPartialPayment({ finalAmount: 1180, paidAmount: 300 }, 400)).toEqual({
+      paidAmount: 700,
+      outstandingAmount: 480,
+      paymentStatus: 'partial'
+    });
+    expect(applyPartialPayment({ totalAmount: 1180, paidAmount: 700 }, 480).paymentStatus).toBe('paid');
+    expect(applyPartialPayment({ finalAmount: 100 }, 150).outstandingAmount).toBe(0);
+  });
+
+  test('a tip is added to the bill without reducing the outstanding amount', () => {
+    expect(applyPartialPayment({ finalAmount: 1000, tipAmount: 20, paidAmount: 0 }, 500, 50)).toEqual({
+      paidAmount: 550,
+      outstandingAmount: 500,
+      paymentStatus: 'partial',
+      tipAmount: 70,
+      finalAmount: 1050
+    });
+  });
+});
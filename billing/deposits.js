@@ -0,0 +1,170 @@
+/**
+ * Reservation & venue-booking deposits — pure policy math, no DB access.
+ *
+ * A deposit is money taken upfront through the restaurant's gateway
+ * (Razorpay OAuth or a Dodo payment link). It is held as a liability
+ * (Customer Deposits) until one of:
+ *   - applied  — it pays part of the final bill (a 'deposit' payment line)
+ *   - refunded — the guest cancelled in time
+ *   - forfeited — a late cancellation / no-show fee is kept, the rest refunded
+ *
+ * Per-restaurant rules live on the restaurant doc as `depositSettings`.
+ */
+
+const { round2 } = require('./billingCalc');
+
+const GATEWAYS = ['razorpay', 'dodo'];
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  gateway: 'razorpay',
+  // Reservations: parties this size or larger pay a deposit
+  minPartySize: 6,
+  perCover: 500,
+  // Flat amount per booking, used when perCover is 0
+  fixedAmount: 0,
+  // Festive nights (YYYY-MM-DD): every reservation pays, at peakPerCover (0 = perCover)
+  peakDates: [],
+  peakPerCover: 0,
+  // An unpaid deposit releases the reservation after this long
+  paymentWindowMinutes: 60,
+  // Venue / catering bookings: share of the booking total collected upfront (0 = none)
+  venuePercent: 0,
+  // Cancellation policy
+  freeCancellationHours: 24,
+  lateCancellationFeePercent: 50,
+  noShowFeePercent: 100,
+};
+
+// pending → paid → applied | refunded | forfeited; pending → expired | void
+const STATUSES = ['pending', 'paid', 'applied', 'refunded', 'forfeited', 'expired', 'void'];
+// Deposits money has actually been received for
+const RECEIVED_STATUSES = ['paid', 'applied', 'refunded', 'forfeited'];
+
+const num = (v) => {
+  const n = parseFloat(v);
+  return isNaN(n) ? 0 : n;
+};
+
+/** Deposit settings from the restaurant doc, over the defaults. */
+function settingsFor(restaurant) {
+  const saved = (restaurant && restaurant.depositSettings) || {};
+  return { ...DEFAULT_SETTINGS, ...saved, peakDates: Array.isArray(saved.peakDates) ? saved.peakDates : [] };
+}
+
+/** → list of problems with a settings object (empty when valid). */
+function validateSettings(s) {
+  const errors = [];
+  if (!GATEWAYS.includes(s.gateway)) errors.push(`gateway must be one of: ${GATEWAYS.join(', ')}`);
+  ['perCover', 'fixedAmount', 'peakPerCover', 'freeCancellationHours'].forEach(k => {
+    if (!(Number.isFinite(s[k]) && s[k] >= 0)) errors.push(`${k} must be 0 or more`);
+  });
+  ['minPartySize', 'paymentWindowMinutes'].forEach(k => {
+    if (!(Number.isInteger(s[k]) && s[k] > 0)) errors.push(`${k} must be a whole number above 0`);
+  });
+  ['venuePercent', 'lateCancellationFeePercent', 'noShowFeePercent'].forEach(k => {
+    if (!(Number.isFinite(s[k]) && s[k] >= 0 && s[k] <= 100)) errors.push(`${k} must be 0–100`);
+  });
+  (s.peakDates || []).forEach(d => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(d))) errors.push(`peakDates: "${d}" must be YYYY-MM-DD`);
+  });
+  if (s.enabled && num(s.perCover) === 0 && num(s.fixedAmount) === 0 && num(s.peakPerCover) === 0 && num(s.venuePercent) === 0) {
+    errors.push('set perCover, fixedAmount, peakPerCover or venuePercent to collect deposits');
+  }
+  return errors;
+}
+
+/** Deposit a reservation must pay (0 = none). */
+function reservationDeposit(settings, { partySize, date }) {
+  if (!settings.enabled) return 0;
+  const size = Math.max(1, Number(partySize) || 1);
+  const peak = (settings.peakDates || []).includes(date);
+  if (!peak && size < settings.minPartySize) return 0;
+  const perCover = peak && num(settings.peakPerCover) > 0 ? num(settings.peakPerCover) : num(settings.perCover);
+  return round2(perCover > 0 ? perCover * size : num(settings.fixedAmount));
+}
+
+/** Deposit for a venue / catering booking: venuePercent of its total (0 = none). */
+function venueDeposit(settings, booking) {
+  if (!settings.enabled || !(num(settings.venuePercent) > 0)) return 0;
+  return round2(num(booking.totalAmount) * num(settings.venuePercent) / 100);
+}
+
+/**
+ * What happens to a paid deposit when the booking falls through →
+ * { rule, feePercent, forfeit, refund }.
+ * rule: 'free-cancellation' (cancelled ≥ freeCancellationHours ahead),
+ * 'late-cancellation' or 'no-show'. `policy` is the settings snapshot
+ * taken when the deposit was requested, so later policy edits don't
+ * change what the guest agreed to.
+ */
+function cancellationOutcome(policy, { amount, startAt, at = new Date(), reason = 'cancel' }) {
+  const total = round2(num(amount));
+  let rule;
+  let feePercent;
+  if (reason === 'no-show') {
+    rule = 'no-show';
+    feePercent = num(policy.noShowFeePercent);
+  } else {
+    const hoursAhead = startAt ? (new Date(startAt).getTime() - new Date(at).getTime()) / 3600000 : 0;
+    const free = hoursAhead >= num(policy.freeCancellationHours);
+    rule = free ? 'free-cancellation' : 'late-cancellation';
+    feePercent = free ? 0 : num(policy.lateCancellationFeePercent);
+  }
+  const forfeit = round2(Math.min(total, total * feePercent / 100));
+  return { rule, feePercent, forfeit, refund: round2(total - forfeit) };
+}
+
+/**
+ * Put a held deposit on a bill that's being settled → the order fields to
+ * write: the deposit becomes the first payment line and the till's own
+ * payments cover only the balance (trimmed from the last line). Anything
+ * the bill doesn't use comes back as `excess` for a refund.
+ */
+function applyToBill(order, { depositId, amount }) {
+  const finalAmount = round2(num(order.finalAmount || order.totalAmount));
+  const applied = round2(Math.min(num(amount), finalAmount));
+  let balance = round2(finalAmount - applied);
+
+  const tillLines = Array.isArray(order.splitPayments) && order.splitPayments.length > 0
+    ? order.splitPayments.filter(p => p && p.method !== 'deposit').map(p => ({ ...p, amount: num(p.amount) }))
+    : [{ method: order.paymentMethod && order.paymentMethod !== 'split' ? order.paymentMethod : 'cash', amount: order.paidAmount != null ? num(order.paidAmount) : finalAmount }];
+  const lines = [];
+  tillLines.forEach(p => {
+    const take = round2(Math.min(p.amount, balance));
+    if (take > 0) lines.push({ ...p, amount: take });
+    balance = round2(balance - take);
+  });
+
+  const splitPayments = [{ method: 'deposit', amount: applied, depositId }, ...lines].filter(p => p.amount > 0);
+  const paid = round2(splitPayments.reduce((s, p) => s + p.amount, 0));
+  const fields = {
+    depositId,
+    depositApplied: applied,
+    splitPayments,
+    paymentMethod: splitPayments.length > 1 ? 'split' : (splitPayments[0] ? splitPayments[0].method : 'deposit'),
+  };
+  if (order.paidAmount != null) {
+    fields.paidAmount = paid;
+    fields.outstandingAmount = round2(Math.max(0, finalAmount - paid));
+    fields.paymentStatus = fields.outstandingAmount > 0 ? (paid > 0 ? 'partial' : 'due') : 'paid';
+  }
+  return { fields, applied, excess: round2(num(amount) - applied) };
+}
+
+/** Gateway amounts are in the currency's minor unit (paise, cents). */
+const toMinorUnits = (amount) => Math.round(num(amount) * 100);
+
+module.exports = {
+  GATEWAYS,
+  DEFAULT_SETTINGS,
+  STATUSES,
+  RECEIVED_STATUSES,
+  settingsFor,
+  validateSettings,
+  reservationDeposit,
+  venueDeposit,
+  cancellationOutcome,
+  applyToBill,
+  toMinorUnits,
+};
@@ -0,0 +1,94 @@
+const deposits = require('./deposits');
+
+const settings = deposits.settingsFor({
+  depositSettings: { enabled: true, minPartySize: 6, perCover: 500, peakDates: ['2026-12-31'], peakPerCover: 1000, venuePercent: 25 },
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Settings & amounts
+// ═══════════════════════════════════════════════════════════════════
+
+describe('settings and deposit amounts', () => {
+  test('saved settings merge over the defaults and are validated', () => {
+    expect(settings).toMatchObject({ gateway: 'razorpay', freeCancellationHours: 24, noShowFeePercent: 100 });
+    expect(deposits.settingsFor(null).enabled).toBe(false);
+    expect(deposits.validateSettings(settings)).toEqual([]);
+    expect(deposits.validateSettings({ ...settings, gateway: 'paypal', minPartySize: 0, noShowFeePercent: 120, peakDates: ['31/12'] })).toEqual([
+      'gateway must be one of: razorpay, dodo',
+      'minPartySize must be a whole number above 0',
+      'noShowFeePercent must be 0–100',
+      'peakDates: "31/12" must be YYYY-MM-DD',
+    ]);
+    expect(deposits.validateSettings({ ...deposits.DEFAULT_SETTINGS, enabled: true, perCover: 0 })).toEqual([
+      'set perCover, fixedAmount, peakPerCover or venuePercent to collect deposits',
+    ]);
+  });
+
+  test('reservations: large parties per cover, every party on peak dates', () => {
+    expect(deposits.reservationDeposit(settings, { partySize: 4, date: '2026-10-20' })).toBe(0);
+    expect(deposits.reservationDeposit(settings, { partySize: 6, date: '2026-10-20' })).toBe(3000);
+    expect(deposits.reservationDeposit(settings, { partySize: 2, date: '2026-12-31' })).toBe(2000);
+    expect(deposits.reservationDeposit({ ...settings, perCover: 0, fixedAmount: 1500 }, { partySize: 8, date: '2026-10-20' })).toBe(1500);
+    expect(deposits.reservationDeposit({ ...settings, enabled: false }, { partySize: 8, date: '2026-10-20' })).toBe(0);
+  });
+
+  test('venue bookings: a share of the booking total', () => {
+    expect(deposits.venueDeposit(settings, { totalAmount: 84999 })).toBe(21249.75);
+    expect(deposits.venueDeposit({ ...settings, venuePercent: 0 }, { totalAmount: 84999 })).toBe(0);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Cancellation policy
+// ═══════════════════════════════════════════════════════════════════
+
+describe('cancellationOutcome', () => {
+  const startAt = new Date('2026-10-21T13:30:00Z');
+
+  test('free cancellation ahead of the cut-off, a fee inside it', () => {
+    expect(deposits.cancellationOutcome(settings, { amount: 3000, startAt, at: new Date('2026-10-20T13:30:00Z') }))
+      .toEqual({ rule: 'free-cancellation', feePercent: 0, forfeit: 0, refund: 3000 });
+    expect(deposits.cancellationOutcome(settings, { amount: 3000, startAt, at: new Date('2026-10-20T14:00:00Z') }))
+      .toEqual({ rule: 'late-cancellation', feePercent: 50, forfeit: 1500, refund: 1500 });
+  });
+
+  test('no-shows pay the no-show fee whatever the timing', () => {
+    expect(deposits.cancellationOutcome(settings, { amount: 3000, startAt, at: new Date('2026-10-10T00:00:00Z'), reason: 'no-show' }))
+      .toEqual({ rule: 'no-show', feePercent: 100, forfeit: 3000, refund: 0 });
+    expect(deposits.cancellationOutcome({ ...settings, noShowFeePercent: 33.3 }, { amount: 1000, startAt, reason: 'no-show' }))
+      .toMatchObject({ forfeit: 333, refund: 667 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Applying to the bill
+// ═══════════════════════════════════════════════════════════════════
+
+describe('applyToBill', () => {
+  test('deposit goes first and the till collects only the balance', () => {
+    const { fields, applied, excess } = deposits.applyToBill({ finalAmount: 4200, paymentMethod: 'upi' }, { depositId: 'd1', amount: 3000 });
+    expect(applied).toBe(3000);
+    expect(excess).toBe(0);
+    expect(fields).toEqual({
+      depositId: 'd1',
+      depositApplied: 3000,
+      splitPayments: [{ method: 'deposit', amount: 3000, depositId: 'd1' }, { method: 'upi', amount: 1200 }],
+      paymentMethod: 'split',
+    });
+  });
+
+  test('split payments are trimmed from the last line; a smaller bill leaves an excess', () => {
+    const order = { finalAmount: 2000, splitPayments: [{ method: 'cash', amount: 1000 }, { method: 'card', amount: 1000 }] };
+    expect(deposits.applyToBill(order, { depositId: 'd1', amount: 1500 }).fields.splitPayments).toEqual([
+      { method: 'deposit', amount: 1500, depositId: 'd1' }, { method: 'cash', amount: 500 },
+    ]);
+    const small = deposits.applyToBill({ finalAmount: 2400, paymentMethod: 'cash' }, { depositId: 'd1', amount: 3000 });
+    expect(small).toMatchObject({ applied: 2400, excess: 600, fields: { paymentMethod: 'deposit', splitPayments: [{ method: 'deposit', amount: 2400, depositId: 'd1' }] } });
+  });
+
+  test('partial payments keep their outstanding balance', () => {
+    const { fields } = deposits.applyToBill({ finalAmount: 5000, paymentMethod: 'cash', paidAmount: 1000 }, { depositId: 'd1', amount: 3000 });
+    expect(fields).toMatchObject({ paidAmount: 4000, outstandingAmount: 1000, paymentStatus: 'partial' });
+    expect(deposits.toMinorUnits(1249.755)).toBe(124976);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Pay-at-table — pure bill-splitting math, no DB access.
+ *
+ * Guests scan the table's QR, see the open bill and pay a share of it from
+ * their phone:
+ *   - full  — everything still outstanding
+ *   - equal — the bill divided by the number of guests
+ *   - items — the lines they had, each carrying its part of the tax,
+ *             service charge and discounts (shares are proportional to value)
+ * plus an optional tip. Each payment is recorded on the order's
+ * `partialPayments` log; pay-at-table entries carry `source: 'pay-at-table'`
+ * and, for item splits, the `itemKeys` paid for so no one pays a line twice.
+ * A line's key says what the line is, not where it sits on the order, so an
+ * item edited in between starting and confirming a payment can't shift it
+ * onto other lines.
+ *
+ * `deposit` is a reservation deposit still held for the table
+ * (services/depositService.js forOrder): it settles that much of the bill
+ * when it closes, so guests only split what's left.
+ */
+
+const { round2 } = require('./billingCalc');
+
+const SPLIT_MODES = ['full', 'equal', 'items'];
+// Tip buttons offered on the guest's payment page (percent of their share)
+const TIP_PERCENTS = [0, 5, 10, 15];
+const MAX_GUESTS = 30;
+// Orders in these statuses have no bill left to pay
+const NO_BILL_STATUSES = ['completed', 'cancelled', 'deleted', 'refunded', 'saved'];
+
+const num = (v) => {
+  const n = parseFloat(v);
+  return isNaN(n) ? 0 : n;
+};
+
+const guestPayments = (order) => (order.partialPayments || []).filter(p => p && p.source === 'pay-at-table');
+
+/** Tips guests added themselves — part of finalAmount, but not of the bill they split. */
+const guestTips = (order) => round2(guestPayments(order).reduce((s, p) => s + num(p.tip), 0));
+
+/** The bill being split: finalAmount without the tips guests added. */
+const billTotal = (order) => round2(num(order.finalAmount || order.totalAmount) - guestTips(order));
+
+/** What's still owed on the order, less a held `deposit`. */
+function outstandingOf(order, deposit = 0) {
+  const owed = order.paidAmount == null
+    ? num(order.finalAmount || order.totalAmount)
+    : num(order.finalAmount || order.totalAmount) - num(order.paidAmount);
+  return Math.max(0, round2(owed - num(deposit)));
+}
+
+/**
+ * Stable keys for the order's lines: menu item, variant, customizations,
+ * seat and course (the identity the order dedup uses). Identical lines are
+ * numbered in order.
+ */
+function lineKeys(items) {
+  const seen = {};
+  return items.map((it) => {
+    const id = it.menuItemId || it.id || it.name || '';
+    const variant = (it.selectedVariant && it.selectedVariant.name) || it.variant || '';
+    const custs = Array.isArray(it.selectedCustomizations)
+      ? it.selectedCustomizations.map(c => (c && (c.id || c.name)) || c || '').sort().join(',')
+      : '';
+    let key = `${id}|${variant}|${custs}`;
+    if (it.seat != null && it.seat !== '') key += `|s${it.seat}`;
+    if (num(it.course) > 1) key += `|c${num(it.course)}`;
+    seen[key] = (seen[key] || 0) + 1;
+    return seen[key] > 1 ? `${key}#${seen[key]}` : key;
+  });
+}
+
+/**
+ * The bill as guests see it → { total, deposit, paid, outstanding, tips, items }.
+ * Each item line has a `key` (lineKeys), its `share` of
+ * what's left after the deposit and whether someone already paid for it.
+ */
+function billView(order, { deposit = 0 } = {}) {
+  const items = order.items || [];
+  const values = items.map(it => num(it.price) * (num(it.quantity) || 1));
+  const itemsValue = values.reduce((s, v) => s + v, 0);
+  const total = billTotal(order);
+  const toSplit = Math.max(0, round2(total - num(deposit)));
+  const factor = itemsValue > 0 ? toSplit / itemsValue : 0;
+  const keys = lineKeys(items);
+  const paidKeys = new Set(guestPayments(order).flatMap(p => p.itemKeys || []));
+  const outstanding = outstandingOf(order, deposit);
+  return {
+    total,
+    deposit: round2(num(deposit)),
+    paid: round2(toSplit - outstanding),
+    outstanding,
+    tips: guestTips(order),
+    items: items.map((it, i) => ({
+      key: keys[i],
+      name: it.name,
+      quantity: num(it.quantity) || 1,
+      price: num(it.price),
+      variant: (it.selectedVariant && it.selectedVariant.name) || it.variant || null,
+      share: round2(values[i] * factor),
+      paid: paidKeys.has(keys[i]),
+    })),
+  };
+}
+
+/**
+ * A guest's share → { amount, itemKeys } or { error }.
+ * Equal shares are a fraction of the whole bill (less the deposit) so every
+ * guest pays the same; whoever pays last also picks up the rounding. Item
+ * shares likewise take the whole remainder once every unpaid line is being
+ * paid for.
+ */
+function shareFor(order, { mode = 'full', guests, itemKeys } = {}, { deposit = 0 } = {}) {
+  if (!SPLIT_MODES.includes(mode)) return { error: `mode must be one of: ${SPLIT_MODES.join(', ')}` };
+  const outstanding = outstandingOf(order, deposit);
+  if (outstanding <= 0) return { error: 'This bill has already been paid' };
+
+  if (mode === 'full') return { amount: outstanding, itemKeys: [] };
+
+  if (mode === 'equal') {
+    const n = Number(guests);
+    if (!Number.isInteger(n) || n < 2 || n > MAX_GUESTS) return { error: `guests must be a whole number from 2 to ${MAX_GUESTS}` };
+    const share = round2((billTotal(order) - num(deposit)) / n);
+    // Within a cent per guest of the remainder → this is the last share
+    const amount = round2(outstanding - share) <= n * 0.01 ? outstanding : share;
+    return { amount, itemKeys: [] };
+  }
+
+  const keys = [...new Set((itemKeys || []).map(String))];
+  if (keys.length === 0) return { error: 'Select the items you are paying for' };
+  const view = billView(order, { deposit });
+  const byKey = new Map(view.items.map(it => [it.key, it]));
+  for (const key of keys) {
+    const item = byKey.get(key);
+    if (!item) return { error: `Unknown item "${key}"` };
+    if (item.paid) return { error: `${item.name} has already been paid for` };
+  }
+  const unpaid = view.items.filter(it => !it.paid);
+  const amount = keys.length === unpaid.length
+    ? outstanding
+    : round2(Math.min(outstanding, keys.reduce((s, k) => s + byKey.get(k).share, 0)));
+  return { amount, itemKeys: keys };
+}
+
+/** Tip on a share: a fixed `tipAmount`, else `tipPercent` of the share. */
+function tipFor(amount, { tipAmount, tipPercent } = {}) {
+  if (tipAmount != null && tipAmount !== '') return Math.max(0, round2(num(tipAmount)));
+  return Math.max(0, round2(num(amount) * Math.min(100, num(tipPercent)) / 100));
+}
+
+module.exports = {
+  SPLIT_MODES,
+  TIP_PERCENTS,
+  MAX_GUESTS,
+  NO_BILL_STATUSES,
+  outstandingOf,
+  lineKeys,
+  billView,
+  shareFor,
+  tipFor,
+};
@@ -0,0 +1,105 @@
+const payAtTable = require('./payAtTable');
+
+// 3 lines worth 1000, billed at 1180 with tax and service charge
+const order = {
+  items: [
+    { menuItemId: 'paneer', name: 'Paneer Tikka', price: 300, quantity: 1 },
+    { menuItemId: 'naan', name: 'Naan', price: 50, quantity: 4 },
+    { menuItemId: 'biryani', name: 'Biryani', price: 500, quantity: 1 },
+  ],
+  finalAmount: 1180,
+};
+const paidFor = (base, payment) => {
+  const amount = payment.amount + (payment.tip || 0);
+  return {
+    ...base,
+    finalAmount: base.finalAmount + (payment.tip || 0),
+    paidAmount: (base.paidAmount || 0) + amount,
+    partialPayments: [...(base.partialPayments || []), { source: 'pay-at-table', ...payment }],
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// The bill guests see
+// ═══════════════════════════════════════════════════════════════════
+
+describe('billView', () => {
+  test('item shares carry their part of tax and charges', () => {
+    const view = payAtTable.billView(order);
+    expect(view).toMatchObject({ total: 1180, paid: 0, outstanding: 1180, tips: 0 });
+    expect(view.items.map(i => [i.key, i.share, i.paid])).toEqual([['paneer||', 354, false], ['naan||', 236, false], ['biryani||', 590, false]]);
+  });
+
+  test('guest tips are left out of the bill and paid lines are marked', () => {
+    const after = paidFor(order, { amount: 354, tip: 35.4, itemKeys: ['paneer||'] });
+    const view = payAtTable.billView(after);
+    expect(view).toMatchObject({ total: 1180, paid: 354, outstanding: 826, tips: 35.4 });
+    expect(view.items.map(i => i.paid)).toEqual([true, false, false]);
+  });
+
+  test('line keys follow the item, not its position on the order', () => {
+    const after = paidFor(order, { amount: 354, itemKeys: ['paneer||'] });
+    const edited = { ...after, items: [{ menuItemId: 'lassi', name: 'Lassi', price: 80, quantity: 1 }, ...order.items] };
+    expect(payAtTable.billView(edited).items.map(i => [i.name, i.paid])).toEqual([
+      ['Lassi', false], ['Paneer Tikka', true], ['Naan', false], ['Biryani', false],
+    ]);
+  });
+
+  test('variants, seats and repeated lines get their own keys', () => {
+    expect(payAtTable.lineKeys([
+      { menuItemId: 'naan', selectedVariant: { name: 'Butter' }, seat: 2 },
+      { menuItemId: 'naan', selectedCustomizations: [{ id: 'b' }, { id: 'a' }], course: 2 },
+      { menuItemId: 'naan' },
+      { menuItemId: 'naan' },
+    ])).toEqual(['naan|Butter||s2', 'naan||a,b|c2', 'naan||', 'naan||#2']);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Shares
+// ═══════════════════════════════════════════════════════════════════
+
+describe('shareFor', () => {
+  test('full pays whatever is outstanding', () => {
+    expect(payAtTable.shareFor({ ...order, paidAmount: 180 }, { mode: 'full' })).toEqual({ amount: 1000, itemKeys: [] });
+    expect(payAtTable.shareFor({ ...order, paidAmount: 1180 }, { mode: 'full' })).toEqual({ error: 'This bill has already been paid' });
+  });
+
+  test('equal shares stay the same and the last guest takes the rounding', () => {
+    const bill = { ...order, finalAmount: 1000 };
+    expect(payAtTable.shareFor(bill, { mode: 'equal', guests: 3 })).toEqual({ amount: 333.33, itemKeys: [] });
+    let paid = paidFor(bill, { amount: 333.33, tip: 50 });
+    paid = paidFor(paid, { amount: 333.33 });
+    expect(payAtTable.shareFor(paid, { mode: 'equal', guests: 3 })).toEqual({ amount: 333.34, itemKeys: [] });
+    expect(payAtTable.shareFor(bill, { mode: 'equal', guests: 1 }).error).toBe('guests must be a whole number from 2 to 30');
+  });
+
+  test('items are paid once; the last unpaid lines clear the bill', () => {
+    expect(payAtTable.shareFor(order, { mode: 'items', itemKeys: ['paneer||', 'naan||'] })).toEqual({ amount: 590, itemKeys: ['paneer||', 'naan||'] });
+    const after = paidFor(order, { amount: 590, itemKeys: ['paneer||', 'naan||'] });
+    expect(payAtTable.shareFor(after, { mode: 'items', itemKeys: ['naan||'] })).toEqual({ error: 'Naan has already been paid for' });
+    expect(payAtTable.shareFor(after, { mode: 'items', itemKeys: ['biryani||'] })).toEqual({ amount: 590, itemKeys: ['biryani||'] });
+    expect(payAtTable.shareFor(order, { mode: 'items', itemKeys: [] }).error).toBe('Select the items you are paying for');
+    expect(payAtTable.shareFor(order, { mode: 'items', itemKeys: ['7'] }).error).toBe('Unknown item "7"');
+  });
+
+  test('a held deposit comes off the bill before guests split it', () => {
+    const deposit = { deposit: 180 };
+    expect(payAtTable.billView(order, deposit)).toMatchObject({ total: 1180, deposit: 180, paid: 0, outstanding: 1000 });
+    expect(payAtTable.billView(order, deposit).items.map(i => i.share)).toEqual([300, 200, 500]);
+    expect(payAtTable.shareFor(order, { mode: 'full' }, deposit)).toEqual({ amount: 1000, itemKeys: [] });
+    expect(payAtTable.shareFor(order, { mode: 'equal', guests: 4 }, deposit)).toEqual({ amount: 250, itemKeys: [] });
+    const after = paidFor(order, { amount: 1000 });
+    expect(payAtTable.outstandingOf(after, 180)).toBe(0);
+    expect(payAtTable.shareFor(after, { mode: 'full' }, deposit).error).toBe('This bill has already been paid');
+  });
+});
+
+describe('tipFor', () => {
+  test('a fixed tip wins over a percentage', () => {
+    expect(payAtTable.tipFor(354, { tipPercent: 10 })).toBe(35.4);
+    expect(payAtTable.tipFor(354, { tipPercent: 10, tipAmount: 20 })).toBe(20);
+    expect(payAtTable.tipFor(354, { tipAmount: -5 })).toBe(0);
+    expect(payAtTable.tipFor(354)).toBe(0);
+  });
+});
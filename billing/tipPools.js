@@ -0,0 +1,214 @@
+/**
+ * Tip pooling and tip-outs — pure, no DB access.
+ *
+ * A pool is the tips collected over one cash shift (or one business day).
+ * When it closes, tip-outs come off the top first — a percentage of the
+ * pool to the kitchen, the bar, … — each shared by hours among the staff in
+ * those roles who were clocked in. What is left is split among the other
+ * clocked-in staff by hours worked, by role weight, by both, or equally.
+ *
+ * Settings live on the restaurant doc as `tipPoolSettings`. Shares are paid
+ * through payroll: closed pools are picked up by the month's payroll run.
+ */
+
+const { round2 } = require('./billingCalc');
+
+const METHODS = ['hours', 'role_weight', 'hours_x_weight', 'equal'];
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  method: 'hours',
+  roleWeights: { captain: 1.25, waiter: 1, bartender: 1, cashier: 0.5 },
+  // Roles that share the pool itself; empty = everyone not on a tip-out
+  eligibleRoles: [],
+  tipOuts: [],
+  includeCashTips: true,
+  // Owners/admins clocking in do not take a share
+  excludedRoles: ['owner', 'admin'],
+};
+
+const lower = (v) => String(v || '').toLowerCase().trim();
+const roleList = (list) => (Array.isArray(list) ? list.map(lower).filter(Boolean) : []);
+
+function settingsFor(restaurantData) {
+  const raw = (restaurantData && restaurantData.tipPoolSettings) || {};
+  const weights = { ...DEFAULT_SETTINGS.roleWeights };
+  Object.entries(raw.roleWeights || {}).forEach(([role, w]) => {
+    if (Number(w) >= 0) weights[lower(role)] = Number(w);
+  });
+  const tipOuts = (Array.isArray(raw.tipOuts) ? raw.tipOuts : [])
+    .map(t => ({ name: String(t.name || '').trim() || 'Tip-out', roles: roleList(t.roles), percent: Number(t.percent) || 0 }))
+    .filter(t => t.roles.length > 0 && t.percent > 0);
+  return {
+    enabled: raw.enabled === true,
+    method: METHODS.includes(raw.method) ? raw.method : DEFAULT_SETTINGS.method,
+    roleWeights: weights,
+    eligibleRoles: roleList(raw.eligibleRoles),
+    tipOuts,
+    includeCashTips: raw.includeCashTips !== false,
+    excludedRoles: raw.excludedRoles ? roleList(raw.excludedRoles) : DEFAULT_SETTINGS.excludedRoles,
+  };
+}
+
+/** Problems with settings from a request body (tip-outs must leave something to pool). */
+function validateSettings(raw) {
+  const errors = [];
+  if (raw.method && !METHODS.includes(raw.method)) errors.push(`method must be one of ${METHODS.join(', ')}`);
+  const total = (raw.tipOuts || []).reduce((s, t) => s + (Number(t.percent) || 0), 0);
+  (raw.tipOuts || []).forEach((t, i) => {
+    if (!(Number(t.percent) > 0 && Number(t.percent) <= 100)) errors.push(`Tip-out ${i + 1}: percent must be between 0 and 100`);
+    if (roleList(t.roles).length === 0) errors.push(`Tip-out ${i + 1}: at least one role is required`);
+  });
+  if (total >= 100) errors.push('Tip-outs add up to 100% or more — nothing would be left to pool');
+  Object.entries(raw.roleWeights || {}).forEach(([role, w]) => {
+    if (!(Number(w) >= 0)) errors.push(`Weight for ${role} must be zero or more`);
+  });
+  return errors;
+}
+
+/** Hours of an attendance record inside [start, end]; an open record runs to `end`. */
+function hoursInWindow(record, start, end) {
+  const inAt = record.clockIn ? new Date(record.clockIn) : null;
+  if (!inAt || isNaN(inAt)) return 0;
+  const outAt = record.clockOut ? new Date(record.clockOut) : end;
+  const from = Math.max(inAt.getTime(), start.getTime());
+  const to = Math.min(outAt.getTime(), end.getTime());
+  return to > from ? round2((to - from) / 3600000) : 0;
+}
+
+/**
+ * Attendance records → one participant per staff member with their hours in
+ * the window: [{ staffId, name, role, hours }]. `rolesById` fills in roles
+ * the clock-in didn't record.
+ */
+function participantsFrom(records, start, end, rolesById = {}) {
+  const byStaff = {};
+  (records || []).forEach(r => {
+    if (!r.staffId) return;
+    const hours = hoursInWindow(r, start, end);
+    if (hours <= 0) return;
+    const p = byStaff[r.staffId] = byStaff[r.staffId] || { staffId: r.staffId, name: r.staffName || '', role: lower(r.role || rolesById[r.staffId]), hours: 0 };
+    p.hours = round2(p.hours + hours);
+  });
+  return Object.values(byStaff);
+}
+
+// Split `amount` by `basis` (one number per participant) in cents; the
+// rounding remainder goes to the largest share so the parts add up exactly
+function splitBy(amount, people, basis) {
+  const total = basis.reduce((s, b) => s + b, 0);
+  if (people.length === 0 || !(amount > 0)) return [];
+  const weights = total > 0 ? basis : people.map(() => 1);
+  const sum = total > 0 ? total : people.length;
+  const cents = Math.round(amount * 100);
+  const parts = weights.map(w => Math.floor((cents * w) / sum));
+  let rest = cents - parts.reduce((s, p) => s + p, 0);
+  const order = weights.map((w, i) => i).sort((a, b) => weights[b] - weights[a]);
+  for (let k = 0; rest > 0; k = (k + 1) % order.length, rest--) parts[order[k]] += 1;
+  return people.map((p, i) => ({ ...p, amount: parts[i] / 100 }));
+}
+
+/**
+ * Distribute a closed pool → { tipOuts, poolAmount, shares, unallocated }.
+ * `shares` has one row per staff member (tip-out and pool amounts summed);
+ * a tip-out nobody was clocked in for stays in the pool.
+ */
+function distribute(totalTips, participants, settings) {
+  const total = round2(Number(totalTips) || 0);
+  const people = (participants || []).filter(p => !settings.excludedRoles.includes(lower(p.role)));
+  const byStaff = {};
+  const credit = (p, amount, source) => {
+    if (!(amount > 0)) return;
+    const row = byStaff[p.staffId] = byStaff[p.staffId] || { staffId: p.staffId, name: p.name, role: p.role, hours: p.hours, fromPool: 0, fromTipOuts: 0, amount: 0 };
+    if (source === 'pool') row.fromPool = round2(row.fromPool + amount);
+    else row.fromTipOuts = round2(row.fromTipOuts + amount);
+    row.amount = round2(row.amount + amount);
+  };
+
+  let remaining = total;
+  const tipOutRoles = new Set();
+  const tipOuts = settings.tipOuts.map(rule => {
+    rule.roles.forEach(r => tipOutRoles.add(r));
+    const recipients = people.filter(p => rule.roles.includes(lower(p.role)));
+    const amount = recipients.length > 0 ? round2(total * rule.percent / 100) : 0;
+    remaining = round2(remaining - amount);
+    const split = splitBy(amount, recipients, recipients.map(p => p.hours));
+    split.forEach(s => credit(s, s.amount, 'tip_out'));
+    return { name: rule.name, roles: rule.roles, percent: rule.percent, amount, recipients: split.map(s => ({ staffId: s.staffId, name: s.name, amount: s.amount })) };
+  });
+
+  const eligible = people.filter(p => (settings.eligibleRoles.length > 0
+    ? settings.eligibleRoles.includes(lower(p.role))
+    : !tipOutRoles.has(lower(p.role))));
+  const weightOf = (p) => settings.roleWeights[lower(p.role)] ?? 1;
+  const basis = eligible.map(p => {
+    if (settings.method === 'hours') return p.hours;
+    if (settings.method === 'role_weight') return weightOf(p);
+    if (settings.method === 'hours_x_weight') return p.hours * weightOf(p);
+    return 1;
+  });
+  const poolSplit = eligible.length > 0 ? splitBy(remaining, eligible, basis) : [];
+  poolSplit.forEach(s => credit(s, s.amount, 'pool'));
+
+  const shares = Object.values(byStaff)
+    .map(s => ({ ...s, weight: weightOf(s) }))
+    .sort((a, b) => b.amount - a.amount);
+  const distributed = round2(shares.reduce((s, r) => s + r.amount, 0));
+  return { tipOuts, poolAmount: eligible.length > 0 ? remaining : 0, shares, unallocated: round2(total - distributed) };
+}
+
+/**
+ * One staff member's tip statement over `pools` →
+ * { staffId, lines: [{ poolId, date, fromPool, fromTipOuts, amount, payrollRunId }], totals }.
+ */
+function staffStatement(pools, staffId) {
+  const lines = [];
+  (pools || []).forEach(pool => {
+    const share = (pool.shares || []).find(s => s.staffId === staffId);
+    if (!share) return;
+    lines.push({
+      poolId: pool.id,
+      date: pool.closedAt || pool.windowEnd || null,
+      shiftId: pool.shiftId || null,
+      hours: share.hours,
+      fromPool: share.fromPool,
+      fromTipOuts: share.fromTipOuts,
+      amount: share.amount,
+      payrollRunId: pool.payrollRunId || null,
+    });
+  });
+  const sum = (k) => round2(lines.reduce((s, l) => s + (Number(l[k]) || 0), 0));
+  return {
+    staffId,
+    lines,
+    totals: {
+      hours: sum('hours'),
+      fromPool: sum('fromPool'),
+      fromTipOuts: sum('fromTipOuts'),
+      amount: sum('amount'),
+      paidThroughPayroll: round2(lines.filter(l => l.payrollRunId).reduce((s, l) => s + l.amount, 0)),
+    },
+  };
+}
+
+/** Tips owed per staff member from closed pools not yet in a payroll run → { [staffId]: amount }. */
+function tipsForPayroll(pools) {
+  const out = {};
+  (pools || []).forEach(pool => {
+    if (pool.status !== 'closed' || pool.payrollRunId) return;
+    (pool.shares || []).forEach(s => { out[s.staffId] = round2((out[s.staffId] || 0) + (Number(s.amount) || 0)); });
+  });
+  return out;
+}
+
+module.exports = {
+  METHODS,
+  DEFAULT_SETTINGS,
+  settingsFor,
+  validateSettings,
+  hoursInWindow,
+  participantsFrom,
+  distribute,
+  staffStatement,
+  tipsForPayroll,
+};
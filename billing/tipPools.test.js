@@ -0,0 +1,112 @@
+const tipPools = require('./tipPools');
+
+const at = (hhmm) => new Date(`2026-10-18T${hhmm}:00Z`);
+const start = at('10:00');
+const end = at('18:00');
+
+const staff = [
+  { staffId: 'w1', name: 'Asha', role: 'waiter', hours: 8 },
+  { staffId: 'w2', name: 'Ravi', role: 'waiter', hours: 4 },
+  { staffId: 'c1', name: 'Meera', role: 'captain', hours: 8 },
+  { staffId: 'k1', name: 'Joseph', role: 'kitchen', hours: 6 },
+  { staffId: 'k2', name: 'Lina', role: 'kitchen', hours: 2 },
+  { staffId: 'o1', name: 'Owner', role: 'owner', hours: 8 },
+];
+
+// ═══════════════════════════════════════════════════════════════════
+// Settings
+// ═══════════════════════════════════════════════════════════════════
+
+describe('settingsFor / validateSettings', () => {
+  test('defaults, merged role weights and tip-outs without roles dropped', () => {
+    const s = tipPools.settingsFor({ tipPoolSettings: {
+      enabled: true, method: 'bogus', roleWeights: { Waiter: 2 },
+      tipOuts: [{ name: 'Kitchen', roles: ['Kitchen'], percent: 10 }, { name: 'Bar', roles: [], percent: 5 }],
+    } });
+    expect(s).toMatchObject({ enabled: true, method: 'hours', includeCashTips: true, excludedRoles: ['owner', 'admin'] });
+    expect(s.roleWeights).toMatchObject({ waiter: 2, captain: 1.25 });
+    expect(s.tipOuts).toEqual([{ name: 'Kitchen', roles: ['kitchen'], percent: 10 }]);
+    expect(tipPools.settingsFor(null).enabled).toBe(false);
+  });
+
+  test('tip-outs must leave something to pool', () => {
+    expect(tipPools.validateSettings({ method: 'hours', tipOuts: [{ roles: ['kitchen'], percent: 10 }] })).toEqual([]);
+    expect(tipPools.validateSettings({ method: 'x', tipOuts: [{ roles: [], percent: 60 }, { roles: ['bar'], percent: 40 }] })).toHaveLength(3);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Hours from attendance
+// ═══════════════════════════════════════════════════════════════════
+
+describe('participantsFrom', () => {
+  test('clips attendance to the shift window; open records run to the close', () => {
+    expect(tipPools.hoursInWindow({ clockIn: at('08:00'), clockOut: at('12:30') }, start, end)).toBe(2.5);
+    expect(tipPools.hoursInWindow({ clockIn: at('16:00') }, start, end)).toBe(2);
+    expect(tipPools.hoursInWindow({ clockIn: at('19:00') }, start, end)).toBe(0);
+
+    const people = tipPools.participantsFrom([
+      { staffId: 'w1', staffName: 'Asha', role: 'Waiter', clockIn: at('09:00'), clockOut: at('13:00') },
+      { staffId: 'w1', staffName: 'Asha', role: 'Waiter', clockIn: at('15:00'), clockOut: at('17:00') },
+      { staffId: 'k1', staffName: 'Joseph', clockIn: at('11:00') },
+      { staffId: 'x', clockIn: at('19:00') },
+    ], start, end, { k1: 'kitchen' });
+    expect(people).toEqual([
+      { staffId: 'w1', name: 'Asha', role: 'waiter', hours: 5 },
+      { staffId: 'k1', name: 'Joseph', role: 'kitchen', hours: 7 },
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Distribution
+// ═══════════════════════════════════════════════════════════════════
+
+describe('distribute', () => {
+  const settings = (raw) => tipPools.settingsFor({ tipPoolSettings: { enabled: true, ...raw } });
+
+  test('tip-out first by hours, remainder by hours to everyone else, owners excluded', () => {
+    const res = tipPools.distribute(1000, staff, settings({ tipOuts: [{ name: 'Kitchen', roles: ['kitchen'], percent: 20 }] }));
+    expect(res.tipOuts[0]).toMatchObject({ amount: 200, recipients: [{ staffId: 'k1', name: 'Joseph', amount: 150 }, { staffId: 'k2', name: 'Lina', amount: 50 }] });
+    expect(res.poolAmount).toBe(800);
+    expect(res.shares.map(s => [s.staffId, s.amount])).toEqual([['w1', 320], ['c1', 320], ['w2', 160], ['k1', 150], ['k2', 50]]);
+    expect(res.unallocated).toBe(0);
+  });
+
+  test('role weights, hours × weight and equal splits', () => {
+    const people = staff.filter(p => ['w1', 'w2', 'c1'].includes(p.staffId));
+    const amounts = (method) => tipPools.distribute(650, people, settings({ method })).shares.map(s => [s.staffId, s.amount]);
+    expect(amounts('role_weight')).toEqual([['c1', 250], ['w1', 200], ['w2', 200]]);
+    expect(amounts('hours_x_weight')).toEqual([['c1', 295.46], ['w1', 236.36], ['w2', 118.18]]);
+    expect(amounts('equal').map(a => a[1])).toEqual([216.67, 216.67, 216.66]);
+  });
+
+  test('parts always add up; a tip-out nobody was in for stays in the pool', () => {
+    const res = tipPools.distribute(100, staff.slice(0, 2), settings({ tipOuts: [{ name: 'Bar', roles: ['bartender'], percent: 10 }] }));
+    expect(res.tipOuts[0].amount).toBe(0);
+    expect(res.shares.map(s => s.amount)).toEqual([66.67, 33.33]);
+    expect(tipPools.distribute(50, [staff[5]], settings({})).unallocated).toBe(50);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Statements & payroll hand-off
+// ═══════════════════════════════════════════════════════════════════
+
+describe('staffStatement / tipsForPayroll', () => {
+  const pools = [
+    { id: 'p1', status: 'closed', closedAt: '2026-10-17T18:00:00Z', shares: [{ staffId: 'w1', hours: 8, fromPool: 300, fromTipOuts: 0, amount: 300 }, { staffId: 'k1', hours: 6, fromPool: 0, fromTipOuts: 50, amount: 50 }], payrollRunId: 'run9' },
+    { id: 'p2', status: 'closed', closedAt: '2026-10-18T18:00:00Z', shares: [{ staffId: 'w1', hours: 4, fromPool: 120.5, fromTipOuts: 0, amount: 120.5 }] },
+    { id: 'p3', status: 'open', shares: [{ staffId: 'w1', amount: 99 }] },
+  ];
+
+  test('lines per pool and totals, with what has gone through payroll', () => {
+    const st = tipPools.staffStatement(pools.slice(0, 2), 'w1');
+    expect(st.lines.map(l => [l.poolId, l.amount, l.payrollRunId])).toEqual([['p1', 300, 'run9'], ['p2', 120.5, null]]);
+    expect(st.totals).toEqual({ hours: 12, fromPool: 420.5, fromTipOuts: 0, amount: 420.5, paidThroughPayroll: 300 });
+  });
+
+  test('only closed pools not yet in a payroll run are handed off', () => {
+    expect(tipPools.tipsForPayroll(pools)).toEqual({ w1: 120.5 });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * WhatsApp bill on completion — pure, no DB access.
+ *
+ * When an order is completed (PATCH /api/orders/:orderId/status, or a
+ * pay-at-table bill closing itself) and the restaurant has WhatsApp billing
+ * on, the guest gets the approved `bill_notification` template with a link
+ * to their public bill; if the template is refused, a plain text message.
+ * index.js (processCompletionSideEffects) looks up the settings and the
+ * customer and writes the automation log.
+ */
+
+const DEFAULT_BASE_URL = 'https://www.dineopen.com';
+
+/**
+ * The message for a completed order → { to, customerName, billUrl,
+ * templateParams, text, logMessage }, or null when the order has no phone.
+ * `shareToken` is the order's public bill link token.
+ */
+function buildBillMessage(orderId, order, restaurant, { shareToken = null, baseUrl = DEFAULT_BASE_URL, now = new Date() } = {}) {
+  const custPhone = order.customerPhone || order.customerInfo?.phone || order.customerMobile;
+  if (!custPhone) return null;
+
+  const restaurantName = restaurant.name || 'Restaurant';
+  const customerName = order.customerInfo?.name || order.customerName || 'there';
+  const totalAmount = Number(order.finalAmount || order.totalAmount || 0).toFixed(2);
+  const currencySymbol = restaurant.currencySymbol || '₹';
+  const orderNum = order.dailyOrderId || order.orderNumber || (orderId || '').slice(-6);
+  const restTz = restaurant.posSettings?.timezone || 'Asia/Kolkata';
+  const dateStr = now.toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: restTz });
+  const timeStr = now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: restTz });
+
+  const token = shareToken || order.shareToken;
+  const invoiceLink = token ? `${baseUrl}/bill/${token}` : '';
+  const billUrl = invoiceLink || baseUrl;
+
+  return {
+    to: String(custPhone).replace(/[\s\-\(\)\+]/g, ''),
+    customerName,
+    billUrl,
+    // bill_notification template: {{1}}=name, {{2}}=orderId, {{3}}=amount, {{4}}=billUrl
+    templateParams: [customerName || 'Customer', String(orderNum), String(totalAmount), billUrl],
+    text: `Dear ${customerName},\n\n` +
+      `Thank you for your visit at *${restaurantName}*! Your invoice is ready.\n\n` +
+      `💰 Amount: *${currencySymbol}${totalAmount}*\n` +
+      `🧾 Order: #${orderNum}\n` +
+      `📅 Date: ${dateStr}, ${timeStr}` +
+      (invoiceLink ? `\n\n🔗 View Invoice: ${invoiceLink}` : '') +
+      `\n\nThank you for choosing ${restaurantName}! 🙏`,
+    logMessage: `Hi ${customerName}, Your bill for Order #${orderNum} is ready. Amount: ${currencySymbol}${totalAmount}. View: ${billUrl}`,
+  };
+}
+
+/**
+ * Send a built message through `whatsapp` (services/whatsappService.js):
+ * the template first, the text message if the template send throws.
+ */
+async function sendBillMessage(message, credentials, whatsapp) {
+  try {
+    return await whatsapp.sendTemplateMessage(message.to, 'bill_notification', 'en', message.templateParams, credentials);
+  } catch (templateErr) {
+    console.warn('📱 Template send failed, falling back to text:', templateErr.message);
+    return whatsapp.sendTextMessage(message.to, message.text, credentials);
+  }
+}
+
+module.exports = {
+  buildBillMessage,
+  sendBillMessage,
+};
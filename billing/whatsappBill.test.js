@@ -0,0 +1,79 @@
+const whatsappBill = require('./whatsappBill');
+
+const restaurant = { name: 'Spice Route', currencySymbol: '₹', posSettings: { timezone: 'Asia/Kolkata' } };
+const order = {
+  dailyOrderId: 42,
+  finalAmount: 1180,
+  customerInfo: { name: 'Asha', phone: '+91 98765-43210' },
+};
+const now = new Date('2026-10-18T14:30:00Z');
+
+const fakeWhatsApp = ({ templateFails = false } = {}) => {
+  const sent = [];
+  return {
+    sent,
+    async sendTemplateMessage(to, template, lang, params) {
+      if (templateFails) throw new Error('template not approved');
+      sent.push({ kind: 'template', to, template, params });
+      return { success: true, messageId: 'wamid.1' };
+    },
+    async sendTextMessage(to, text) {
+      sent.push({ kind: 'text', to, text });
+      return { success: true, messageId: 'wamid.2' };
+    },
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// Message
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildBillMessage', () => {
+  test('links the bill by the share token issued at completion', () => {
+    const message = whatsappBill.buildBillMessage('order-1', order, restaurant, { shareToken: 'tok123', baseUrl: 'https://dine.test', now });
+    expect(message).toMatchObject({
+      to: '919876543210',
+      customerName: 'Asha',
+      billUrl: 'https://dine.test/bill/tok123',
+      templateParams: ['Asha', '42', '1180.00', 'https://dine.test/bill/tok123'],
+    });
+    expect(message.text).toContain('🔗 View Invoice: https://dine.test/bill/tok123');
+    expect(message.logMessage).toBe('Hi Asha, Your bill for Order #42 is ready. Amount: ₹1180.00. View: https://dine.test/bill/tok123');
+  });
+
+  test('falls back to the order\'s own token, and to no link at all', () => {
+    const withToken = whatsappBill.buildBillMessage('order-1', { ...order, shareToken: 'old' }, restaurant, { baseUrl: 'https://dine.test', now });
+    expect(withToken.billUrl).toBe('https://dine.test/bill/old');
+    const none = whatsappBill.buildBillMessage('order-1', order, restaurant, { baseUrl: 'https://dine.test', now });
+    expect(none.billUrl).toBe('https://dine.test');
+    expect(none.text).not.toContain('View Invoice');
+  });
+
+  test('no phone on the order, no message', () => {
+    expect(whatsappBill.buildBillMessage('order-1', { finalAmount: 100 }, restaurant, { now })).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Sending
+// ═══════════════════════════════════════════════════════════════════
+
+describe('sendBillMessage', () => {
+  test('a completed order\'s bill goes out as the bill_notification template', async () => {
+    const whatsapp = fakeWhatsApp();
+    const message = whatsappBill.buildBillMessage('order-1', order, restaurant, { shareToken: 'tok123', baseUrl: 'https://dine.test', now });
+    const result = await whatsappBill.sendBillMessage(message, {}, whatsapp);
+    expect(result).toMatchObject({ success: true, messageId: 'wamid.1' });
+    expect(whatsapp.sent).toEqual([{ kind: 'template', to: '919876543210', template: 'bill_notification', params: message.templateParams }]);
+  });
+
+  test('a refused template falls back to the text message', async () => {
+    const whatsapp = fakeWhatsApp({ templateFails: true });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const message = whatsappBill.buildBillMessage('order-1', order, restaurant, { shareToken: 'tok123', baseUrl: 'https://dine.test', now });
+    const result = await whatsappBill.sendBillMessage(message, {}, whatsapp);
+    warn.mockRestore();
+    expect(result.messageId).toBe('wamid.2');
+    expect(whatsapp.sent).toEqual([{ kind: 'text', to: '919876543210', text: message.text }]);
+  });
+});
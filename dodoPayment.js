@@ -3,25 +3,26 @@
 const express = require('express');
 const router = express.Router();
 
-const initializeDodoPaymentRoutes = (db) => {
-  let dodoClient = null;
+let dodoClient = null;
 
-  // Initialize Dodo Payments client
-  const getDodoClient = async () => {
-    if (dodoClient) return dodoClient;
-    try {
-      const DodoPayments = (await import('dodopayments')).default;
-      dodoClient = new DodoPayments({
-        bearerToken: process.env.DODO_PAYMENTS_API_KEY,
-        // Use dedicated env var instead of NODE_ENV (Vercel always sets production)
-        environment: process.env.DODO_PAYMENTS_ENVIRONMENT || (process.env.NODE_ENV === 'production' ? 'live_mode' : 'test_mode')
-      });
-      return dodoClient;
-    } catch (error) {
-      console.error('[DODO] Failed to initialize Dodo Payments client:', error);
-      return null;
-    }
-  };
+// Initialize Dodo Payments client (shared with services/depositService.js)
+const getDodoClient = async () => {
+  if (dodoClient) return dodoClient;
+  try {
+    const DodoPayments = (await import('dodopayments')).default;
+    dodoClient = new DodoPayments({
+      bearerToken: process.env.DODO_PAYMENTS_API_KEY,
+      // Use dedicated env var instead of NODE_ENV (Vercel always sets production)
+      environment: process.env.DODO_PAYMENTS_ENVIRONMENT || (process.env.NODE_ENV === 'production' ? 'live_mode' : 'test_mode')
+    });
+    return dodoClient;
+  } catch (error) {
+    console.error('[DODO] Failed to initialize Dodo Payments client:', error);
+    return null;
+  }
+};
+
+const initializeDodoPaymentRoutes = (db) => {
 
   // Dodo plan mapping — product IDs from env variables. Plan keys match the
   // frontend/Razorpay plan ids so getFeaturesByPlan() applies the same limits.
@@ -617,6 +618,15 @@ const initializeDodoPaymentRoutes = (db) => {
       });
 
       try {
+        // Restaurant deposits (reservations / venue bookings) share this
+        // account — keep them away from the subscription handlers below.
+        // Lazy require: depositService uses getDodoClient from this file.
+        const depositService = require('./services/depositService');
+        if (await depositService.handleDodoEvent(eventType, data)) {
+          await eventRef.update({ processed: true, processedAt: new Date().toISOString(), kind: 'deposit' });
+          return res.status(200).json({ received: true });
+        }
+
         // Helper to extract userId from event data
         const extractUserId = (eventData) => {
           const metadata = eventData.metadata || {};
@@ -1326,3 +1336,4 @@ async function updateDodoSubscription(db, userId, { status, planId, dodoSubscrip
 }
 
 module.exports = initializeDodoPaymentRoutes;
+module.exports.getDodoClient = getDodoClient;
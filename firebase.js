@@ -90,6 +90,10 @@ const collections = {
   tables: 'tables',
   floors: 'floors',
   bookings: 'bookings',
+  reservations: 'reservations',
+  deposits: 'deposits',
+  tablePayLinks: 'table_pay_links',
+  tablePayments: 'table_payments',
   staffUsers: 'staffUsers',
   userRestaurants: 'userRestaurants',
   restaurantSettings: 'restaurantSettings',
@@ -104,6 +108,10 @@ const collections = {
   poTemplates: 'po-templates',
   supplierQuotations: 'supplier-quotations',
   supplierPerformance: 'supplier-performance',
+  approvalDelegations: 'approval-delegations',
+  supplierPayments: 'supplier-payments',
+  paymentRuns: 'payment-runs',
+  batchRecalls: 'batch-recalls',
   inventoryTransactions: 'inventoryTransactions',
   stockBatches: 'stockBatches',
   aiUsage: 'aiUsage',
@@ -133,8 +141,18 @@ const collections = {
   payrollConfig: 'payrollConfig',
   payrollRuns: 'payrollRuns',
   paySlips: 'paySlips',
+  tipPools: 'tip-pools',
   chartOfAccounts: 'chartOfAccounts',
   journalEntries: 'journalEntries',
+  accountingPeriods: 'accountingPeriods',
+  ledgerExportMappings: 'ledgerExportMappings',
+  // Tax compliance (e-invoicing) Collections
+  einvoiceCredentials: 'einvoiceCredentials',
+  etimsQueue: 'etimsQueue',
+  zatcaEgsUnits: 'zatcaEgsUnits',
+  zatcaInvoices: 'zatcaInvoices',
+  // Kitchen Display System Collections
+  kdsTickets: 'kdsTickets',
   // Attendance & Leave Collections
   attendance: 'attendance',
   leaveRequests: 'leaveRequests',
@@ -145,6 +163,10 @@ const collections = {
   wasteEntries: 'wasteEntries',
   stockAudits: 'stockAudits',
   productionEntries: 'productionEntries',
+  // Food Costing Collections
+  menuItemCosts: 'menuItemCosts',
+  menuCostHistory: 'menuCostHistory',
+  foodCostAlerts: 'foodCostAlerts',
   // Space Booking Collections
   spaceBookings: 'spaceBookings',
   // Chain / Enterprise Collections
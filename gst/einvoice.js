@@ -0,0 +1,477 @@
+/**
+ * GST e-invoicing: build the IRP "INV-01" JSON (schema v1.1) for a B2B bill,
+ * validate it the way the IRP would, and the rules around cancelling an IRN
+ * and generating an e-way bill against it.
+ * Pure functions — the provider call and persistence live in
+ * services/einvoice/einvoiceService.js.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { toDate } = require('../utils/dates');
+const { dateStrInTZ } = require('../utils/timezone');
+const { normalizeGstin, isValidGstin, stateCodeFromGstin, toStateCode } = require('./states');
+const {
+  VALID_GST_RATES, DEFAULT_HSN, invoiceNumber, customerGstin, rateBuckets, invoiceLines, classifyOrder, hsnRows,
+} = require('./gstr1');
+
+const SCHEMA_VERSION = '1.1';
+const DOC_TYPES = ['INV', 'CRN', 'DBN'];
+const DOC_NUMBER_RE = /^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/;
+const PIN_RE = /^[1-9][0-9]{5}$/;
+const HSN_RE = /^([0-9]{4}|[0-9]{6}|[0-9]{8})$/;
+const MAX_ROUND_OFF = 99.99;
+
+// An IRN can only be cancelled on the IRP within 24 hours of its ack date
+const CANCEL_WINDOW_HOURS = 24;
+const CANCEL_REASONS = { 1: 'Duplicate', 2: 'Data entry mistake', 3: 'Order cancelled', 4: 'Others' };
+
+const TRANSPORT_MODES = { 1: 'Road', 2: 'Rail', 3: 'Air', 4: 'Ship' };
+const MAX_EWB_DISTANCE = 4000;
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function num(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? 0 : n;
+}
+
+function text(value, max) {
+  const str = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return max ? str.slice(0, max) : str;
+}
+
+// 'YYYY-MM-DD' (or any date) → IRP 'dd/mm/yyyy'
+function irpDate(value, tzOffset) {
+  let str = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+  if (!str) {
+    const d = toDate(value);
+    if (!d) return '';
+    str = dateStrInTZ(d, tzOffset);
+  }
+  const [y, m, day] = str.split('-');
+  return `${day}/${m}/${y}`;
+}
+
+function pinFrom(...values) {
+  for (const value of values) {
+    const match = String(value ?? '').match(/\b[1-9][0-9]{5}\b/);
+    if (match) return match[0];
+  }
+  return '';
+}
+
+function isServiceHsn(hsn) {
+  return String(hsn).startsWith('99');
+}
+
+function taxAmounts(tax, interState) {
+  if (interState) return { IgstAmt: round2(tax), CgstAmt: 0, SgstAmt: 0 };
+  const half = round2(tax / 2);
+  return { IgstAmt: 0, CgstAmt: half, SgstAmt: round2(tax - half) };
+}
+
+/**
+ * Round a list of shares so they add up exactly to `total`; the last share
+ * absorbs the rounding difference.
+ */
+function roundShares(values, total) {
+  const rounded = values.map(v => round2(v));
+  if (rounded.length > 0) {
+    const diff = round2(total - rounded.reduce((s, v) => s + v, 0));
+    rounded[rounded.length - 1] = round2(rounded[rounded.length - 1] + diff);
+  }
+  return rounded;
+}
+
+function itemEntry(slNo, { desc, hsn, qty, unit, txval, rate, tax, cess }, interState) {
+  const isServc = isServiceHsn(hsn);
+  const taxes = taxAmounts(tax, interState);
+  const quantity = qty > 0 ? qty : 1;
+  return {
+    SlNo: String(slNo),
+    PrdDesc: text(desc, 300) || 'Restaurant services',
+    IsServc: isServc ? 'Y' : 'N',
+    HsnCd: String(hsn),
+    Qty: quantity,
+    ...(isServc ? {} : { Unit: unit || 'NOS' }),
+    UnitPrice: round2(txval / quantity),
+    TotAmt: round2(txval),
+    Discount: 0,
+    AssAmt: round2(txval),
+    GstRt: rate,
+    ...taxes,
+    CesAmt: round2(cess),
+    TotItemVal: round2(txval + taxes.IgstAmt + taxes.CgstAmt + taxes.SgstAmt + cess),
+  };
+}
+
+/**
+ * ValDtls from the item list. Whatever the items don't explain (rounding on
+ * the bill) goes into RndOffAmt so TotInvVal matches the document exactly.
+ */
+function valueDetails(items, { totalValue, otherCharges = 0, discount = 0 }) {
+  const sum = key => round2(items.reduce((s, i) => s + (i[key] || 0), 0));
+  const val = {
+    AssVal: sum('AssAmt'),
+    CgstVal: sum('CgstAmt'),
+    SgstVal: sum('SgstAmt'),
+    IgstVal: sum('IgstAmt'),
+    CesVal: sum('CesAmt'),
+    Discount: round2(discount),
+    OthChrg: round2(otherCharges),
+  };
+  const computed = val.AssVal + val.CgstVal + val.SgstVal + val.IgstVal + val.CesVal + val.OthChrg - val.Discount;
+  val.RndOffAmt = round2(totalValue - computed);
+  val.TotInvVal = round2(totalValue);
+  return val;
+}
+
+function partyAddress({ address1, address2, location, pin, state }) {
+  return {
+    Addr1: text(address1, 100),
+    ...(text(address2) ? { Addr2: text(address2, 100) } : {}),
+    Loc: text(location, 50),
+    Pin: PIN_RE.test(String(pin)) ? Number(pin) : pin || null,
+    Stcd: state || '',
+  };
+}
+
+// ── Payload builders ──────────────────────────────────────────────
+
+/**
+ * INV-01 payload for a POS order billed to a registered customer.
+ * `seller` carries the restaurant's GSTIN, legal name and address; `buyer`
+ * overrides what the order's customerInfo holds (legal name, address, pin),
+ * which walk-in orders rarely capture.
+ */
+function buildOrderPayload(order, { seller = {}, buyer = {}, tzOffset } = {}) {
+  const sellerGstin = normalizeGstin(seller.gstin);
+  const supplierState = stateCodeFromGstin(sellerGstin);
+  const cls = classifyOrder(order, supplierState);
+  const invoice = invoiceLines(order);
+  const { nonGst } = rateBuckets(order);
+  const info = order.customerInfo || {};
+  const buyerGstin = normalizeGstin(buyer.gstin) || customerGstin(order);
+
+  // One IRP item per bill item; each rate's shares are rounded against the
+  // rate's own totals so tax per rate matches the bill
+  const rows = hsnRows(order, invoice);
+  const byRate = {};
+  rows.forEach(row => { (byRate[row.rate] = byRate[row.rate] || []).push(row); });
+  const items = [];
+  invoice.lines.forEach(line => {
+    const group = byRate[line.rate] || [];
+    const txvals = roundShares(group.map(r => r.txval), line.txval);
+    const taxes = roundShares(group.map(r => r.tax), line.tax);
+    const cesses = roundShares(group.map(r => r.cess), line.cess);
+    group.forEach((row, idx) => {
+      items.push(itemEntry(items.length + 1, {
+        desc: row.desc,
+        hsn: row.hsn,
+        qty: row.quantity,
+        unit: null,
+        txval: txvals[idx],
+        rate: line.rate,
+        tax: taxes[idx],
+        cess: cesses[idx],
+      }, cls.interState));
+    });
+  });
+
+  return {
+    Version: SCHEMA_VERSION,
+    TranDtls: { TaxSch: 'GST', SupTyp: 'B2B', RegRev: 'N', IgstOnIntra: 'N' },
+    DocDtls: { Typ: 'INV', No: invoiceNumber(order), Dt: irpDate(order.completedAt || order.createdAt, tzOffset) },
+    SellerDtls: {
+      Gstin: sellerGstin,
+      LglNm: text(seller.legalName || seller.name, 100),
+      TrdNm: text(seller.name, 100),
+      ...partyAddress({
+        address1: seller.address,
+        location: seller.city || seller.address,
+        pin: seller.pincode || pinFrom(seller.address),
+        state: supplierState,
+      }),
+      ...(seller.phone ? { Ph: text(seller.phone, 12).replace(/\D/g, '') } : {}),
+      ...(seller.email ? { Em: text(seller.email, 100) } : {}),
+    },
+    BuyerDtls: {
+      Gstin: buyerGstin,
+      LglNm: text(buyer.legalName || info.companyName || info.name || order.customerName, 100),
+      Pos: cls.pos || '',
+      ...partyAddress({
+        address1: buyer.address1 || info.address,
+        address2: buyer.address2,
+        location: buyer.location || info.city,
+        pin: buyer.pincode || pinFrom(info.pincode, info.address),
+        state: stateCodeFromGstin(buyerGstin),
+      }),
+      ...(info.phone ? { Ph: text(info.phone, 12).replace(/\D/g, '') } : {}),
+      ...(info.email ? { Em: text(info.email, 100) } : {}),
+    },
+    ItemList: items,
+    ValDtls: valueDetails(items, { totalValue: invoice.value, otherCharges: nonGst }),
+  };
+}
+
+/**
+ * INV-01 payload for an invoice-module (inv_invoices) invoice. The invoice
+ * discount is spread over the items by value before tax, the same way
+ * calculateInvoiceTotals arrives at taxBreakdown. `itemsById` supplies HSN
+ * and unit from inv_items.
+ */
+function buildInvoicePayload(invoice, { org = {}, customer = {}, itemsById = {}, placeOfSupply } = {}) {
+  const sellerGstin = normalizeGstin(org.gstin);
+  const supplierState = stateCodeFromGstin(sellerGstin);
+  const buyerGstin = normalizeGstin(customer.gstin);
+  const billing = customer.billingAddress || {};
+  const shipping = customer.shippingAddress || {};
+  const pos = toStateCode(placeOfSupply || invoice.placeOfSupply)
+    || toStateCode(shipping.state)
+    || toStateCode(billing.state)
+    || stateCodeFromGstin(buyerGstin)
+    || '';
+  const interState = !!pos && pos !== supplierState;
+
+  const lines = (invoice.items || []).map(item => ({
+    item,
+    amount: num(item.amount) || num(item.quantity) * num(item.rate),
+  }));
+  const subtotal = lines.reduce((s, l) => s + l.amount, 0);
+  const discounts = roundShares(
+    lines.map(l => (subtotal > 0 ? num(invoice.discountAmount) * l.amount / subtotal : 0)),
+    num(invoice.discountAmount),
+  );
+
+  const items = lines.map((l, idx) => {
+    const master = itemsById[l.item.itemId] || {};
+    const hsn = String(l.item.hsnCode || master.hsnCode || DEFAULT_HSN);
+    const assAmt = round2(l.amount - discounts[idx]);
+    const rate = num(l.item.taxRate);
+    const entry = itemEntry(idx + 1, {
+      desc: l.item.description ? `${l.item.name} - ${l.item.description}` : l.item.name,
+      hsn,
+      qty: num(l.item.quantity),
+      unit: l.item.unit || master.unit,
+      txval: assAmt,
+      rate,
+      tax: assAmt * rate / 100,
+      cess: 0,
+    }, interState);
+    // Keep the list price and per-line discount the customer saw
+    entry.UnitPrice = round2(num(l.item.rate));
+    entry.TotAmt = round2(l.amount);
+    entry.Discount = discounts[idx];
+    return entry;
+  });
+
+  const adjustments = num(invoice.adjustments);
+  const address = org.address || {};
+
+  return {
+    Version: SCHEMA_VERSION,
+    TranDtls: { TaxSch: 'GST', SupTyp: 'B2B', RegRev: 'N', IgstOnIntra: 'N' },
+    DocDtls: { Typ: 'INV', No: String(invoice.invoiceNumber || ''), Dt: irpDate(invoice.invoiceDate) },
+    SellerDtls: {
+      Gstin: sellerGstin,
+      LglNm: text(org.legalName || org.name, 100),
+      TrdNm: text(org.name, 100),
+      ...partyAddress({
+        address1: address.street,
+        location: address.city,
+        pin: address.zip,
+        state: supplierState,
+      }),
+      ...(org.phone ? { Ph: text(org.phone, 12).replace(/\D/g, '') } : {}),
+      ...(org.email ? { Em: text(org.email, 100) } : {}),
+    },
+    BuyerDtls: {
+      Gstin: buyerGstin,
+      LglNm: text(customer.companyName || customer.displayName, 100),
+      Pos: pos,
+      ...partyAddress({
+        address1: billing.street,
+        location: billing.city,
+        pin: billing.zip,
+        state: stateCodeFromGstin(buyerGstin),
+      }),
+      ...(customer.phone ? { Ph: text(customer.phone, 12).replace(/\D/g, '') } : {}),
+      ...(customer.email ? { Em: text(customer.email, 100) } : {}),
+    },
+    ItemList: items,
+    ValDtls: valueDetails(items, {
+      totalValue: num(invoice.total),
+      otherCharges: adjustments > 0 ? adjustments : 0,
+      discount: adjustments < 0 ? -adjustments : 0,
+    }),
+  };
+}
+
+// ── Validation ────────────────────────────────────────────────────
+
+function validateParty(errors, label, party, { requireGstin = true } = {}) {
+  if (requireGstin && !isValidGstin(party.Gstin)) errors.push(`${label} GSTIN "${party.Gstin || ''}" is invalid`);
+  if (!party.LglNm || party.LglNm.length < 3) errors.push(`${label} legal name is required (3-100 characters)`);
+  if (!party.Addr1) errors.push(`${label} address is required`);
+  if (!party.Loc || party.Loc.length < 3) errors.push(`${label} location is required (3-50 characters)`);
+  if (!PIN_RE.test(String(party.Pin ?? ''))) errors.push(`${label} PIN code "${party.Pin ?? ''}" must be 6 digits`);
+  if (!party.Stcd) errors.push(`${label} state code is missing`);
+}
+
+/**
+ * Problems the IRP would reject the payload for. Empty array when it is
+ * ready to submit.
+ */
+function validatePayload(payload) {
+  const errors = [];
+  const doc = payload.DocDtls || {};
+  if (!DOC_TYPES.includes(doc.Typ)) errors.push(`Document type "${doc.Typ}" is not one of ${DOC_TYPES.join(', ')}`);
+  if (!DOC_NUMBER_RE.test(doc.No || '')) {
+    errors.push(`Document number "${doc.No || ''}" must be 1-16 letters, digits, "/" or "-" and not start with 0, "/" or "-"`);
+  }
+  if (!/^\d{2}\/\d{2}\/\d{4}$/.test(doc.Dt || '')) errors.push('Document date is missing');
+
+  const seller = payload.SellerDtls || {};
+  const buyer = payload.BuyerDtls || {};
+  validateParty(errors, 'Seller', seller);
+  validateParty(errors, 'Buyer', buyer);
+  if (buyer.Gstin && buyer.Gstin === seller.Gstin) errors.push('Buyer GSTIN is the seller\'s own GSTIN');
+  if (!buyer.Pos || !toStateCode(buyer.Pos)) errors.push(`Place of supply "${buyer.Pos || ''}" is not a GST state code`);
+
+  const items = payload.ItemList || [];
+  if (items.length === 0) errors.push('At least one item is required');
+  if (items.length > 1000) errors.push('An e-invoice can carry at most 1000 items');
+  items.forEach(item => {
+    const label = `Item ${item.SlNo}`;
+    if (!HSN_RE.test(item.HsnCd)) errors.push(`${label}: HSN/SAC "${item.HsnCd}" must be 4, 6 or 8 digits`);
+    if (!VALID_GST_RATES.includes(item.GstRt)) {
+      errors.push(`${label}: ${item.GstRt}% is not a GST rate`);
+    } else {
+      const tax = item.IgstAmt + item.CgstAmt + item.SgstAmt;
+      if (Math.abs(item.AssAmt * item.GstRt / 100 - tax) > 1) {
+        errors.push(`${label}: tax ${round2(tax)} does not match ${item.GstRt}% of ${item.AssAmt}`);
+      }
+    }
+    if (item.AssAmt < 0) errors.push(`${label}: assessable value is negative`);
+  });
+
+  const val = payload.ValDtls || {};
+  if (!(val.TotInvVal > 0)) errors.push('Invoice value must be positive');
+  if (Math.abs(val.RndOffAmt || 0) > MAX_ROUND_OFF) {
+    errors.push(`Item totals differ from the invoice value by ${val.RndOffAmt}; check the bill's taxes`);
+  }
+  return errors;
+}
+
+// ── Cancellation ──────────────────────────────────────────────────
+
+/**
+ * The IRP returns AckDt as 'YYYY-MM-DD HH:mm:ss' in IST.
+ */
+function parseAckDate(ackDt) {
+  if (!ackDt) return null;
+  if (typeof ackDt === 'string') {
+    const m = ackDt.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)$/);
+    if (m) return new Date(`${m[1]}T${m[2].length === 5 ? `${m[2]}:00` : m[2]}+05:30`);
+  }
+  return toDate(ackDt);
+}
+
+function cancelDeadline(record) {
+  const ack = parseAckDate(record?.ackDt) || toDate(record?.generatedAt);
+  return ack ? new Date(ack.getTime() + CANCEL_WINDOW_HOURS * 3600000) : null;
+}
+
+/**
+ * Whether the IRN on `record` can still be cancelled at `now`.
+ * Returns { ok, error }.
+ */
+function checkCancellable(record, now = new Date()) {
+  if (!record || !record.irn) return { ok: false, error: 'No IRN has been generated for this document' };
+  if (record.status === 'cancelled') return { ok: false, error: 'IRN is already cancelled' };
+  if (record.ewb?.ewbNo && record.ewb.status !== 'cancelled') {
+    return { ok: false, error: `Cancel e-way bill ${record.ewb.ewbNo} before cancelling the IRN` };
+  }
+  const deadline = cancelDeadline(record);
+  if (!deadline || now > deadline) {
+    return { ok: false, error: `IRN can only be cancelled within ${CANCEL_WINDOW_HOURS} hours of generation; issue a credit note instead` };
+  }
+  return { ok: true, error: null };
+}
+
+function validateCancelRequest({ reason, remark } = {}) {
+  const errors = [];
+  if (!CANCEL_REASONS[reason]) {
+    errors.push(`Cancel reason must be one of ${Object.entries(CANCEL_REASONS).map(([k, v]) => `${k} (${v})`).join(', ')}`);
+  }
+  const rem = text(remark);
+  if (!rem) errors.push('Cancel remark is required');
+  else if (rem.length > 100) errors.push('Cancel remark must be at most 100 characters');
+  return errors;
+}
+
+// ── E-way bill ────────────────────────────────────────────────────
+
+/**
+ * Payload for the IRP's "generate e-way bill by IRN" call. Distance 0 lets
+ * the portal compute it from the two PIN codes.
+ */
+function buildEwayBillPayload(irn, details = {}) {
+  const mode = details.transMode != null && details.transMode !== '' ? String(details.transMode) : '';
+  const vehNo = text(details.vehicleNumber).replace(/[\s-]/g, '').toUpperCase();
+  return {
+    Irn: irn,
+    Distance: Math.round(num(details.distance)),
+    ...(details.transporterId ? { TransId: normalizeGstin(details.transporterId) } : {}),
+    ...(details.transporterName ? { TransName: text(details.transporterName, 100) } : {}),
+    ...(mode ? { TransMode: mode } : {}),
+    ...(details.transDocNo ? { TransDocNo: text(details.transDocNo, 15) } : {}),
+    ...(details.transDocDate ? { TransDocDt: irpDate(details.transDocDate) } : {}),
+    ...(vehNo ? { VehNo: vehNo, VehType: details.vehicleType === 'O' ? 'O' : 'R' } : {}),
+  };
+}
+
+function validateEwayBillPayload(payload) {
+  const errors = [];
+  if (!payload.Irn) errors.push('IRN is required');
+  if (!Number.isInteger(payload.Distance) || payload.Distance < 0 || payload.Distance > MAX_EWB_DISTANCE) {
+    errors.push(`Distance must be 0-${MAX_EWB_DISTANCE} km`);
+  }
+  if (payload.TransMode && !TRANSPORT_MODES[payload.TransMode]) {
+    errors.push(`Transport mode must be one of ${Object.entries(TRANSPORT_MODES).map(([k, v]) => `${k} (${v})`).join(', ')}`);
+  }
+  if (payload.TransId && !/^[0-9]{2}[0-9A-Z]{13}$/.test(payload.TransId)) errors.push('Transporter ID must be 15 characters');
+  if (!payload.TransId && !payload.VehNo) errors.push('Either a transporter ID or a vehicle number is required');
+  if (payload.VehNo && !/^[A-Z0-9]{4,20}$/.test(payload.VehNo)) errors.push(`Vehicle number "${payload.VehNo}" is invalid`);
+  if (payload.VehNo && payload.TransMode && payload.TransMode !== '1') errors.push('Vehicle number applies to road transport only');
+  if (payload.TransMode && payload.TransMode !== '1' && !payload.TransDocNo) {
+    errors.push('Transport document number is required for rail, air and ship');
+  }
+  return errors;
+}
+
+/**
+ * E-way bills cover movement of goods; a bill made up only of services
+ * (SAC 99xx) never needs one.
+ */
+function hasGoods(payload) {
+  return (payload.ItemList || []).some(item => item.IsServc !== 'Y');
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  CANCEL_WINDOW_HOURS,
+  CANCEL_REASONS,
+  TRANSPORT_MODES,
+  irpDate,
+  buildOrderPayload,
+  buildInvoicePayload,
+  validatePayload,
+  parseAckDate,
+  cancelDeadline,
+  checkCancellable,
+  validateCancelRequest,
+  buildEwayBillPayload,
+  validateEwayBillPayload,
+  hasGoods,
+};
@@ -0,0 +1,221 @@
+const {
+  buildOrderPayload, buildInvoicePayload, validatePayload, parseAckDate, checkCancellable,
+  validateCancelRequest, buildEwayBillPayload, validateEwayBillPayload, hasGoods,
+} = require('./einvoice');
+
+const SELLER_GSTIN = '27AAPFU0939F1ZV'; // Maharashtra
+const BUYER_GSTIN = '29AAGCB7383J1Z4'; // Karnataka
+
+const seller = {
+  gstin: SELLER_GSTIN,
+  legalName: 'Spice Route Foods LLP',
+  name: 'Spice Route',
+  address: '12 Hill Road, Bandra West, Mumbai 400050',
+  city: 'Mumbai',
+};
+
+const order = (overrides = {}) => ({
+  id: 'order-1',
+  orderNumber: 'SR/1042',
+  status: 'completed',
+  createdAt: new Date('2026-04-10T08:00:00Z'),
+  finalAmount: 1050,
+  taxAmount: 50,
+  taxBreakdown: [
+    { name: 'CGST', rate: 2.5, amount: 25 },
+    { name: 'SGST', rate: 2.5, amount: 25 }
+  ],
+  items: [
+    { name: 'Thali', price: 300, quantity: 2, total: 600 },
+    { name: 'Biryani', price: 400, quantity: 1, total: 400 }
+  ],
+  customerGstin: BUYER_GSTIN,
+  customerInfo: { name: 'Acme Caterers Pvt Ltd', address: '4 MG Road', city: 'Bengaluru', pincode: '560001' },
+  ...overrides
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Order → INV-01
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildOrderPayload', () => {
+  test('builds a valid intra-state B2B payload', () => {
+    const payload = buildOrderPayload(order(), { seller, tzOffset: -330 });
+
+    expect(payload.TranDtls).toEqual({ TaxSch: 'GST', SupTyp: 'B2B', RegRev: 'N', IgstOnIntra: 'N' });
+    expect(payload.DocDtls).toEqual({ Typ: 'INV', No: 'SR/1042', Dt: '10/04/2026' });
+    expect(payload.SellerDtls).toMatchObject({ Gstin: SELLER_GSTIN, Pin: 400050, Stcd: '27', Loc: 'Mumbai' });
+    // Restaurant service is supplied where it is performed
+    expect(payload.BuyerDtls).toMatchObject({ Gstin: BUYER_GSTIN, Pos: '27', Stcd: '29', Pin: 560001 });
+    expect(payload.ItemList).toHaveLength(2);
+    expect(payload.ItemList[0]).toMatchObject({ SlNo: '1', IsServc: 'Y', HsnCd: '9963', AssAmt: 600, CgstAmt: 15, SgstAmt: 15, IgstAmt: 0 });
+    expect(payload.ValDtls).toMatchObject({ AssVal: 1000, CgstVal: 25, SgstVal: 25, IgstVal: 0, RndOffAmt: 0, TotInvVal: 1050 });
+    expect(validatePayload(payload)).toEqual([]);
+  });
+
+  test('charges IGST when the place of supply is another state', () => {
+    const payload = buildOrderPayload(order({ placeOfSupply: 'Karnataka' }), { seller });
+    expect(payload.BuyerDtls.Pos).toBe('29');
+    expect(payload.ValDtls).toMatchObject({ IgstVal: 50, CgstVal: 0, SgstVal: 0 });
+  });
+
+  test('rounds item shares so each rate matches the bill exactly', () => {
+    const payload = buildOrderPayload(order({
+      items: [1, 2, 3].map(n => ({ name: `Dish ${n}`, price: 333.33, quantity: 1, total: 333.33 }))
+    }), { seller });
+    const sum = payload.ItemList.reduce((s, i) => s + i.AssAmt, 0);
+    expect(Math.round(sum * 100) / 100).toBe(1000);
+    expect(payload.ValDtls.RndOffAmt).toBe(0);
+  });
+
+  test('puts the bill round-off into RndOffAmt', () => {
+    const payload = buildOrderPayload(order({ finalAmount: 1050.4, roundOffAmount: 0.4 }), { seller });
+    expect(payload.ValDtls).toMatchObject({ AssVal: 1000, RndOffAmt: 0.4, TotInvVal: 1050.4 });
+  });
+
+  test('lets the caller fill in buyer details the order lacks', () => {
+    const payload = buildOrderPayload(order({ customerInfo: { name: 'Acme' } }), {
+      seller,
+      buyer: { legalName: 'Acme Caterers Pvt Ltd', address1: '4 MG Road', location: 'Bengaluru', pincode: '560001' }
+    });
+    expect(payload.BuyerDtls).toMatchObject({ LglNm: 'Acme Caterers Pvt Ltd', Addr1: '4 MG Road', Pin: 560001 });
+    expect(validatePayload(payload)).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// inv_invoices → INV-01
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildInvoicePayload', () => {
+  const org = {
+    name: 'Spice Route Catering',
+    gstin: SELLER_GSTIN,
+    address: { street: '12 Hill Road', city: 'Mumbai', state: 'Maharashtra', zip: '400050' }
+  };
+  const customer = {
+    companyName: 'Acme Caterers Pvt Ltd',
+    gstin: BUYER_GSTIN,
+    billingAddress: { street: '4 MG Road', city: 'Bengaluru', state: 'Karnataka', zip: '560001' }
+  };
+  const invoice = {
+    invoiceNumber: 'INV-000123',
+    invoiceDate: '2026-04-12',
+    items: [
+      { itemId: 'i1', name: 'Veg buffet', quantity: 100, rate: 300, taxRate: 18, amount: 30000 },
+      { itemId: 'i2', name: 'Chafing dish', quantity: 10, rate: 1000, taxRate: 18, amount: 10000 }
+    ],
+    subtotal: 40000,
+    discountAmount: 4000,
+    taxAmount: 6480,
+    adjustments: 0,
+    total: 42480
+  };
+  const itemsById = { i1: { orgId: 'o', hsnCode: '996334' }, i2: { orgId: 'o', hsnCode: '7323', unit: 'NOS' } };
+
+  test('spreads the discount and takes HSN/unit from inv_items', () => {
+    const payload = buildInvoicePayload(invoice, { org, customer, itemsById });
+
+    expect(payload.DocDtls).toEqual({ Typ: 'INV', No: 'INV-000123', Dt: '12/04/2026' });
+    expect(payload.BuyerDtls.Pos).toBe('29');
+    expect(payload.ItemList[0]).toMatchObject({ HsnCd: '996334', IsServc: 'Y', UnitPrice: 300, TotAmt: 30000, Discount: 3000, AssAmt: 27000, IgstAmt: 4860 });
+    expect(payload.ItemList[1]).toMatchObject({ HsnCd: '7323', IsServc: 'N', Unit: 'NOS', Discount: 1000, AssAmt: 9000, IgstAmt: 1620 });
+    expect(payload.ValDtls).toMatchObject({ AssVal: 36000, IgstVal: 6480, RndOffAmt: 0, TotInvVal: 42480 });
+    expect(validatePayload(payload)).toEqual([]);
+    expect(hasGoods(payload)).toBe(true);
+  });
+
+  test('maps adjustments to other charges or invoice discount', () => {
+    expect(buildInvoicePayload({ ...invoice, adjustments: 20, total: 42500 }, { org, customer, itemsById }).ValDtls)
+      .toMatchObject({ OthChrg: 20, Discount: 0, RndOffAmt: 0 });
+    expect(buildInvoicePayload({ ...invoice, adjustments: -80, total: 42400 }, { org, customer, itemsById }).ValDtls)
+      .toMatchObject({ OthChrg: 0, Discount: 80, RndOffAmt: 0 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Validation
+// ═══════════════════════════════════════════════════════════════════
+
+describe('validatePayload', () => {
+  test('reports what the IRP would reject', () => {
+    const payload = buildOrderPayload(order({
+      orderNumber: '0042',
+      customerGstin: SELLER_GSTIN,
+      customerInfo: { name: 'Me' }
+    }), { seller: { ...seller, address: 'Somewhere' } });
+    const errors = validatePayload(payload);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('Document number "0042"'),
+      expect.stringContaining('Seller PIN code'),
+      expect.stringContaining('Buyer address is required'),
+      'Buyer GSTIN is the seller\'s own GSTIN'
+    ]));
+  });
+
+  test('flags non-GST rates and tax mismatches', () => {
+    const payload = buildOrderPayload(order(), { seller });
+    payload.ItemList[0].GstRt = 7;
+    payload.ItemList[1].CgstAmt = 50;
+    const errors = validatePayload(payload);
+    expect(errors).toContain('Item 1: 7% is not a GST rate');
+    expect(errors).toEqual(expect.arrayContaining([expect.stringContaining('Item 2: tax')]));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Cancellation window
+// ═══════════════════════════════════════════════════════════════════
+
+describe('cancellation', () => {
+  const record = { status: 'generated', irn: 'abc', ackDt: '2026-04-10 14:00:00' };
+
+  test('reads the IRP ack date as IST', () => {
+    expect(parseAckDate('2026-04-10 14:00:00').toISOString()).toBe('2026-04-10T08:30:00.000Z');
+  });
+
+  test('allows cancelling within 24 hours only', () => {
+    expect(checkCancellable(record, new Date('2026-04-11T08:00:00Z')).ok).toBe(true);
+    const late = checkCancellable(record, new Date('2026-04-11T09:00:00Z'));
+    expect(late.ok).toBe(false);
+    expect(late.error).toMatch(/credit note/);
+  });
+
+  test('blocks cancelling cancelled IRNs or IRNs with a live e-way bill', () => {
+    const now = new Date('2026-04-10T09:00:00Z');
+    expect(checkCancellable({ ...record, status: 'cancelled' }, now).ok).toBe(false);
+    expect(checkCancellable({ ...record, ewb: { status: 'generated', ewbNo: '1' } }, now).error).toMatch(/e-way bill/);
+    expect(checkCancellable(null, now).ok).toBe(false);
+  });
+
+  test('requires a known reason and a remark', () => {
+    expect(validateCancelRequest({ reason: 2, remark: 'Wrong GSTIN' })).toEqual([]);
+    expect(validateCancelRequest({ reason: 9, remark: '' })).toHaveLength(2);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// E-way bill
+// ═══════════════════════════════════════════════════════════════════
+
+describe('e-way bill payload', () => {
+  test('normalises vehicle details', () => {
+    const payload = buildEwayBillPayload('abc', { distance: '120.4', transMode: 1, vehicleNumber: 'mh 01-ab 1234' });
+    expect(payload).toEqual({ Irn: 'abc', Distance: 120, TransMode: '1', VehNo: 'MH01AB1234', VehType: 'R' });
+    expect(validateEwayBillPayload(payload)).toEqual([]);
+  });
+
+  test('needs a transporter or vehicle and a sane distance', () => {
+    const errors = validateEwayBillPayload(buildEwayBillPayload('abc', { distance: 5000 }));
+    expect(errors).toEqual([
+      'Distance must be 0-4000 km',
+      'Either a transporter ID or a vehicle number is required'
+    ]);
+  });
+
+  test('requires a transport document for non-road modes', () => {
+    const errors = validateEwayBillPayload(buildEwayBillPayload('abc', { transMode: 3, transporterId: SELLER_GSTIN }));
+    expect(errors).toEqual(['Transport document number is required for rail, air and ship']);
+  });
+});
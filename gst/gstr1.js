@@ -0,0 +1,480 @@
+/**
+ * GSTR-1 in the GST portal's offline-tool JSON schema, built from orders.
+ * Pure functions — callers pass the month's orders, the orders refunded in
+ * the month and the restaurant's GSTIN.
+ *
+ * Sections: b2b, b2cl, b2cs, cdnr, cdnur, hsn and doc_issue. Invoices that
+ * fail validation are left out of the JSON and reported per invoice so the
+ * file still uploads.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { toDate } = require('../utils/dates');
+const { dateStrInTZ } = require('../utils/timezone');
+const { normalizeGstin, isValidGstin, stateCodeFromGstin, toStateCode } = require('./states');
+
+const GSTR1_VERSION = 'GST3.2';
+const VALID_GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40];
+// Inter-state supplies to unregistered persons above this value are reported invoice-wise (B2CL)
+const B2CL_THRESHOLD = 100000;
+// SAC 9963 = restaurant / accommodation / catering services
+const DEFAULT_HSN = '9963';
+const INVOICE_STATUSES = ['completed', 'paid', 'settled', 'refunded'];
+const CANCELLED_STATUSES = ['cancelled', 'deleted'];
+const INVOICE_NUMBER_RE = /^[A-Za-z0-9/-]{1,16}$/;
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function num(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? 0 : n;
+}
+
+function portalDate(value, tzOffset) {
+  const d = toDate(value);
+  if (!d) return '';
+  const [y, m, day] = dateStrInTZ(d, tzOffset).split('-');
+  return `${day}-${m}-${y}`;
+}
+
+// 'YYYY-MM' → portal filing period 'MMYYYY'
+function filingPeriod(month) {
+  const [y, m] = month.split('-');
+  return `${m}${y}`;
+}
+
+function invoiceNumber(order) {
+  return String(order.invoiceNumber || order.orderNumber || order.dailyOrderId || (order.id || '').slice(-8));
+}
+
+function customerGstin(order) {
+  return normalizeGstin(order.customerGstin || order.customerInfo?.gstin);
+}
+
+function refundTotal(order) {
+  const refund = num(order.refundAmount) + num(order.autoRefundAmount);
+  if (order.status === 'refunded' && refund <= 0) return invoiceValue(order);
+  return Math.min(refund, invoiceValue(order));
+}
+
+// Tips are not consideration for the supply
+function invoiceValue(order) {
+  return round2(num(order.finalAmount || order.totalAmount) - num(order.tipAmount));
+}
+
+/**
+ * Group the order's tax lines into GST rate buckets. CGST/SGST/UTGST halves
+ * combine into one bucket at the full rate; cess is kept separately and state
+ * VAT (e.g. on liquor) is outside GST altogether.
+ */
+function rateBuckets(order) {
+  const lines = Array.isArray(order.taxBreakdown) ? order.taxBreakdown : [];
+  const buckets = {};
+  let cess = 0, nonGst = 0;
+
+  lines.forEach(line => {
+    const name = String(line.name || '').toUpperCase();
+    const amount = num(line.amount);
+    const rate = num(line.rate);
+    if (name.includes('CESS')) { cess += amount; return; }
+    if (name.includes('VAT')) { nonGst += amount; return; }
+    const fullRate = /CGST|SGST|UTGST/.test(name) ? round2(rate * 2) : rate;
+    if (!buckets[fullRate]) buckets[fullRate] = { rate: fullRate, tax: 0 };
+    buckets[fullRate].tax += amount;
+  });
+
+  // CGST and SGST lines at the same rate land in the same bucket already
+  let result = Object.values(buckets).map(b => ({ rate: b.rate, tax: round2(b.tax) }));
+  if (result.length === 0) {
+    const tax = num(order.taxAmount);
+    result = [{ rate: tax > 0 ? num(order.taxRate) || 5 : 0, tax: round2(tax) }];
+  }
+  return { buckets: result, cess: round2(cess), nonGst: round2(nonGst) };
+}
+
+/**
+ * Invoice lines per GST rate with taxable value derived from the order totals.
+ * A single-rate invoice takes the whole taxable value; multi-rate invoices
+ * back-compute each rate's taxable value and the last bucket absorbs rounding.
+ */
+function invoiceLines(order) {
+  const { buckets, cess, nonGst } = rateBuckets(order);
+  const value = invoiceValue(order);
+  const gstTax = buckets.reduce((s, b) => s + b.tax, 0);
+  const taxable = round2(value - num(order.roundOffAmount) - gstTax - cess - nonGst);
+
+  const sorted = [...buckets].sort((a, b) => a.rate - b.rate);
+  let remaining = taxable;
+  const lines = sorted.map((b, idx) => {
+    const isLast = idx === sorted.length - 1;
+    const txval = isLast || b.rate === 0 ? remaining : round2(b.tax * 100 / b.rate);
+    remaining = round2(remaining - txval);
+    return { rate: b.rate, txval: round2(txval), tax: b.tax, cess: 0 };
+  });
+  if (lines.length > 0) lines[lines.length - 1].cess = cess;
+  return { value, taxable, lines };
+}
+
+function splitTax(tax, interState) {
+  if (interState) return { iamt: round2(tax), camt: 0, samt: 0 };
+  const camt = round2(tax / 2);
+  return { iamt: 0, camt, samt: round2(tax - camt) };
+}
+
+function itemDetail(line, interState, factor = 1) {
+  const { iamt, camt, samt } = splitTax(line.tax * factor, interState);
+  const det = { txval: round2(line.txval * factor), rt: line.rate, iamt };
+  if (!interState) {
+    det.camt = camt;
+    det.samt = samt;
+  }
+  det.csamt = round2(line.cess * factor);
+  return det;
+}
+
+function itemList(lines, interState, factor = 1) {
+  return lines.map((line, idx) => ({ num: idx + 1, itm_det: itemDetail(line, interState, factor) }));
+}
+
+/**
+ * Where the supply is made and how it is reported. Restaurant and catering
+ * services are supplied where they are performed (IGST Act s.12(4)), so the
+ * place of supply is the restaurant's own state unless the order records a
+ * different placeOfSupply (e.g. outdoor catering in another state).
+ */
+function classifyOrder(order, supplierState) {
+  const ctin = customerGstin(order);
+  const pos = toStateCode(order.placeOfSupply) || supplierState;
+  const interState = !!pos && pos !== supplierState;
+  let section = 'b2cs';
+  if (ctin) section = 'b2b';
+  else if (interState && invoiceValue(order) > B2CL_THRESHOLD) section = 'b2cl';
+  return { ctin, pos, interState, section };
+}
+
+/**
+ * Problems that would make the portal reject the invoice.
+ */
+function validateInvoice(order, invoice, ctx) {
+  const errors = [];
+  const inum = invoiceNumber(order);
+  if (!INVOICE_NUMBER_RE.test(inum)) {
+    errors.push(`Invoice number "${inum}" must be 1-16 characters of letters, digits, "/" or "-"`);
+  }
+  if (order.placeOfSupply && !toStateCode(order.placeOfSupply)) {
+    errors.push(`Unknown place of supply "${order.placeOfSupply}"`);
+  }
+  if (invoice.ctin) {
+    if (!isValidGstin(invoice.ctin)) errors.push(`Customer GSTIN ${invoice.ctin} is invalid`);
+    else if (invoice.ctin === ctx.gstin) errors.push('Customer GSTIN is the restaurant\'s own GSTIN');
+  }
+  invoice.lines.forEach(line => {
+    if (!VALID_GST_RATES.includes(line.rate)) {
+      errors.push(`${line.rate}% is not a GST rate`);
+    } else if (Math.abs(line.txval * line.rate / 100 - line.tax) > 1) {
+      errors.push(`Tax ${line.tax} does not match ${line.rate}% of taxable value ${line.txval}`);
+    }
+  });
+  if (invoice.taxable < 0) errors.push('Taxable value is negative');
+  if (invoice.value <= 0) errors.push('Invoice value must be positive');
+  return errors;
+}
+
+// ── HSN summary ───────────────────────────────────────────────────
+
+/**
+ * Spread an invoice's lines across its items by value. Items are matched to
+ * the rate bucket nearest their own effective tax rate when the order has
+ * more than one rate.
+ */
+function hsnRows(order, invoice, factor = 1) {
+  const items = (order.items || []).filter(i => !i.isVoid && !i.voided);
+  const rows = [];
+  const fallback = [{ hsn: DEFAULT_HSN, desc: 'Restaurant services', quantity: 0, weight: 1 }];
+
+  invoice.lines.forEach(line => {
+    let members = items.map(item => {
+      const gross = num(item.total) || num(item.price) * (num(item.quantity) || 1);
+      const effectiveRate = gross > 0 && item.itemTaxAmount != null ? num(item.itemTaxAmount) * 100 / gross : null;
+      return { item, gross, effectiveRate };
+    });
+    if (invoice.lines.length > 1) {
+      members = members.filter(m => {
+        if (m.effectiveRate === null) return false;
+        const nearest = invoice.lines.reduce((best, l) =>
+          Math.abs(l.rate - m.effectiveRate) < Math.abs(best.rate - m.effectiveRate) ? l : best);
+        return nearest === line;
+      });
+    }
+
+    const weightTotal = members.reduce((s, m) => s + m.gross, 0);
+    const shares = weightTotal > 0
+      ? members.map(m => ({
+        hsn: String(m.item.hsnCode || m.item.hsn || DEFAULT_HSN),
+        desc: m.item.name || '',
+        quantity: num(m.item.quantity) || 1,
+        weight: m.gross / weightTotal,
+      }))
+      : fallback;
+
+    shares.forEach(share => {
+      rows.push({
+        hsn: share.hsn,
+        desc: share.desc,
+        // Partial credit notes adjust value only; a full refund takes the quantity back too
+        quantity: factor >= 1 ? share.quantity : (factor <= -1 ? -share.quantity : 0),
+        rate: line.rate,
+        txval: line.txval * share.weight * factor,
+        tax: line.tax * share.weight * factor,
+        cess: line.cess * share.weight * factor,
+      });
+    });
+  });
+  return rows;
+}
+
+function addHsn(hsnMap, rows, interState) {
+  rows.forEach(row => {
+    const key = `${row.hsn}|${row.rate}`;
+    if (!hsnMap[key]) {
+      const isService = row.hsn.startsWith('99');
+      hsnMap[key] = {
+        hsn_sc: row.hsn,
+        desc: row.desc.slice(0, 30),
+        uqc: isService ? 'NA' : 'NOS',
+        qty: 0,
+        rt: row.rate,
+        txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0,
+      };
+    }
+    const h = hsnMap[key];
+    const { iamt, camt, samt } = splitTax(row.tax, interState);
+    if (h.uqc !== 'NA') h.qty += row.quantity;
+    h.txval += row.txval;
+    h.iamt += iamt;
+    h.camt += camt;
+    h.samt += samt;
+    h.csamt += row.cess;
+  });
+}
+
+// ── Document series ───────────────────────────────────────────────
+
+function seriesKey(number) {
+  return number.replace(/\d+$/, '');
+}
+
+function documentSeries(numbers, cancelled) {
+  const series = {};
+  numbers.forEach(n => {
+    const key = seriesKey(n);
+    if (!series[key]) series[key] = { numbers: [], cancel: 0 };
+    series[key].numbers.push(n);
+  });
+  cancelled.forEach(n => {
+    const key = seriesKey(n);
+    if (!series[key]) series[key] = { numbers: [], cancel: 0 };
+    series[key].numbers.push(n);
+    series[key].cancel += 1;
+  });
+
+  return Object.values(series).map((s, idx) => {
+    const sorted = [...s.numbers].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return {
+      num: idx + 1,
+      from: sorted[0],
+      to: sorted[sorted.length - 1],
+      totnum: sorted.length,
+      cancel: s.cancel,
+      net_issue: sorted.length - s.cancel,
+    };
+  });
+}
+
+// ── Builder ───────────────────────────────────────────────────────
+
+/**
+ * @param {Array} orders - orders created in the month ({ id, ...data })
+ * @param {Object} options
+ * @param {string} options.gstin - restaurant GSTIN
+ * @param {string} options.month - 'YYYY-MM'
+ * @param {Array}  [options.refunds] - orders whose refund falls in the month
+ * @param {number} [options.tzOffset]
+ * @returns {{ gstr1, errors, summary }}
+ */
+function buildGstr1(orders, { gstin, month, refunds = [], tzOffset } = {}) {
+  const ownGstin = normalizeGstin(gstin);
+  const supplierState = stateCodeFromGstin(ownGstin);
+  const ctx = { gstin: ownGstin };
+
+  const b2b = {}, b2cl = {}, b2cs = {}, cdnr = {}, hsnMap = {};
+  const cdnur = [];
+  const errors = [];
+  const issued = [], cancelled = [], notes = [];
+  const summary = { invoices: 0, creditNotes: 0, rejected: 0, taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 };
+
+  const tally = (det, sign = 1) => {
+    summary.taxableValue += sign * det.txval;
+    summary.igst += sign * det.iamt;
+    summary.cgst += sign * (det.camt || 0);
+    summary.sgst += sign * (det.samt || 0);
+    summary.cess += sign * det.csamt;
+  };
+
+  const addB2cs = (cls, lines, sign) => {
+    lines.forEach(line => {
+      const key = `${cls.pos}|${line.rate}`;
+      if (!b2cs[key]) {
+        b2cs[key] = {
+          sply_ty: cls.interState ? 'INTER' : 'INTRA',
+          pos: cls.pos,
+          typ: 'OE',
+          rt: line.rate,
+          txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0,
+        };
+      }
+      const det = itemDetail(line, cls.interState, sign);
+      const row = b2cs[key];
+      row.txval += det.txval;
+      row.iamt += det.iamt;
+      row.camt += det.camt || 0;
+      row.samt += det.samt || 0;
+      row.csamt += det.csamt;
+      tally(det);
+    });
+  };
+
+  orders.forEach(order => {
+    const inum = invoiceNumber(order);
+    if (CANCELLED_STATUSES.includes(order.status)) {
+      if (order.invoiceNumber || order.orderNumber) cancelled.push(inum);
+      return;
+    }
+    if (!INVOICE_STATUSES.includes(order.status)) return;
+
+    const cls = classifyOrder(order, supplierState);
+    const invoice = { ...invoiceLines(order), ctin: cls.ctin };
+    const invoiceErrors = validateInvoice(order, invoice, ctx);
+    if (invoiceErrors.length > 0) {
+      errors.push({ orderId: order.id, invoiceNumber: inum, section: cls.section, errors: invoiceErrors });
+      summary.rejected += 1;
+      return;
+    }
+
+    issued.push(inum);
+    summary.invoices += 1;
+    addHsn(hsnMap, hsnRows(order, invoice), cls.interState);
+    const idt = portalDate(order.createdAt, tzOffset);
+
+    if (cls.section === 'b2cs') {
+      addB2cs(cls, invoice.lines, 1);
+      return;
+    }
+
+    const itms = itemList(invoice.lines, cls.interState);
+    itms.forEach(i => tally(i.itm_det));
+    if (cls.section === 'b2b') {
+      if (!b2b[cls.ctin]) b2b[cls.ctin] = { ctin: cls.ctin, inv: [] };
+      b2b[cls.ctin].inv.push({ inum, idt, val: invoice.value, pos: cls.pos, rchrg: 'N', inv_typ: 'R', itms });
+    } else {
+      if (!b2cl[cls.pos]) b2cl[cls.pos] = { pos: cls.pos, inv: [] };
+      b2cl[cls.pos].inv.push({ inum, idt, val: invoice.value, itms });
+    }
+  });
+
+  // Refunds become credit notes against the original invoice
+  refunds.forEach(order => {
+    const refund = refundTotal(order);
+    const value = invoiceValue(order);
+    if (refund <= 0 || value <= 0) return;
+
+    const inum = invoiceNumber(order);
+    const ntNum = String(order.creditNoteNumber || `CN-${inum}`);
+    const cls = classifyOrder(order, supplierState);
+    const invoice = { ...invoiceLines(order), ctin: cls.ctin };
+    const factor = refund / value;
+
+    const noteErrors = validateInvoice(order, invoice, ctx);
+    if (!INVOICE_NUMBER_RE.test(ntNum)) {
+      noteErrors.push(`Credit note number "${ntNum}" must be 1-16 characters of letters, digits, "/" or "-"`);
+    }
+    if (noteErrors.length > 0) {
+      errors.push({ orderId: order.id, invoiceNumber: inum, creditNoteNumber: ntNum, section: cls.section === 'b2b' ? 'cdnr' : cls.section, errors: noteErrors });
+      summary.rejected += 1;
+      return;
+    }
+
+    summary.creditNotes += 1;
+    addHsn(hsnMap, hsnRows(order, invoice, -factor), cls.interState);
+    const ntDt = portalDate(order.refundedAt || order.updatedAt, tzOffset);
+
+    if (cls.section === 'b2cs') {
+      // Unregistered intra-state / small inter-state refunds are netted off B2CS
+      addB2cs(cls, invoice.lines, -factor);
+      return;
+    }
+
+    notes.push(ntNum);
+    const itms = itemList(invoice.lines, cls.interState, factor);
+    itms.forEach(i => tally(i.itm_det, -1));
+    const note = { ntty: 'C', nt_num: ntNum, nt_dt: ntDt, pos: cls.pos, val: round2(refund), itms };
+    if (cls.section === 'b2b') {
+      if (!cdnr[cls.ctin]) cdnr[cls.ctin] = { ctin: cls.ctin, nt: [] };
+      cdnr[cls.ctin].nt.push({ ...note, rchrg: 'N', inv_typ: 'R' });
+    } else {
+      cdnur.push({ typ: 'B2CL', ...note });
+    }
+  });
+
+  const roundRow = row => {
+    const out = { ...row };
+    ['txval', 'iamt', 'camt', 'samt', 'csamt', 'qty'].forEach(k => {
+      if (typeof out[k] === 'number') out[k] = round2(out[k]);
+    });
+    return out;
+  };
+
+  const docDet = [];
+  if (issued.length + cancelled.length > 0) {
+    docDet.push({ doc_num: 1, doc_typ: 'Invoices for outward supply', docs: documentSeries(issued, cancelled) });
+  }
+  if (notes.length > 0) {
+    docDet.push({ doc_num: 5, doc_typ: 'Credit Note', docs: documentSeries(notes, []) });
+  }
+
+  const gstr1 = { gstin: ownGstin, fp: filingPeriod(month), version: GSTR1_VERSION, hash: 'hash' };
+  if (Object.keys(b2b).length) gstr1.b2b = Object.values(b2b);
+  if (Object.keys(b2cl).length) gstr1.b2cl = Object.values(b2cl);
+  const b2csRows = Object.values(b2cs).map(roundRow).filter(r => r.txval !== 0).map(r => {
+    if (r.sply_ty !== 'INTER') return r;
+    const { camt, samt, ...inter } = r;
+    return inter;
+  });
+  if (b2csRows.length) gstr1.b2cs = b2csRows;
+  if (Object.keys(cdnr).length) gstr1.cdnr = Object.values(cdnr);
+  if (cdnur.length) gstr1.cdnur = cdnur;
+  const hsnData = Object.values(hsnMap).map(roundRow).filter(r => r.txval !== 0).map((r, idx) => ({ num: idx + 1, ...r }));
+  if (hsnData.length) gstr1.hsn = { data: hsnData };
+  if (docDet.length) gstr1.doc_issue = { doc_det: docDet };
+
+  Object.keys(summary).forEach(k => { summary[k] = round2(summary[k]); });
+  summary.totalTax = round2(summary.igst + summary.cgst + summary.sgst + summary.cess);
+
+  return { gstr1, errors, summary };
+}
+
+module.exports = {
+  VALID_GST_RATES,
+  B2CL_THRESHOLD,
+  DEFAULT_HSN,
+  INVOICE_STATUSES,
+  invoiceNumber,
+  customerGstin,
+  rateBuckets,
+  invoiceLines,
+  splitTax,
+  classifyOrder,
+  hsnRows,
+  validateInvoice,
+  buildGstr1,
+};
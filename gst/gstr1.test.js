@@ -0,0 +1,149 @@
+const { buildGstr1, rateBuckets, invoiceLines, classifyOrder } = require('./gstr1');
+const { isValidGstin, toStateCode } = require('./states');
+
+const GSTIN = '27AAPFU0939F1ZV'; // Maharashtra
+const BUYER = '29AAGCB7383J1Z4';
+
+const order = (id, overrides = {}) => ({
+  id,
+  orderNumber: `INV-${id}`,
+  status: 'completed',
+  createdAt: new Date('2026-04-10T08:00:00Z'),
+  finalAmount: 1050,
+  taxAmount: 50,
+  taxBreakdown: [
+    { name: 'CGST', rate: 2.5, amount: 25 },
+    { name: 'SGST', rate: 2.5, amount: 25 }
+  ],
+  items: [{ name: 'Thali', price: 500, quantity: 2, total: 1000 }],
+  ...overrides
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// GSTIN / state helpers
+// ═══════════════════════════════════════════════════════════════════
+
+describe('states', () => {
+  test('validates GSTIN check digits', () => {
+    expect(isValidGstin(GSTIN)).toBe(true);
+    expect(isValidGstin('27AAPFU0939F1ZA')).toBe(false);
+    expect(isValidGstin('not-a-gstin')).toBe(false);
+  });
+
+  test('resolves state codes from codes and names', () => {
+    expect(toStateCode('Karnataka')).toBe('29');
+    expect(toStateCode(7)).toBe('07');
+    expect(toStateCode('Atlantis')).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Rates and classification
+// ═══════════════════════════════════════════════════════════════════
+
+describe('rateBuckets / invoiceLines', () => {
+  test('combines CGST and SGST halves into the full rate', () => {
+    expect(rateBuckets(order('1')).buckets).toEqual([{ rate: 5, tax: 50 }]);
+    expect(invoiceLines(order('1')).lines).toEqual([{ rate: 5, txval: 1000, tax: 50, cess: 0 }]);
+  });
+
+  test('excludes tips and round-off from the taxable value', () => {
+    const { value, taxable } = invoiceLines(order('1', { finalAmount: 1100.4, tipAmount: 50, roundOffAmount: 0.4 }));
+    expect(value).toBe(1050.4);
+    expect(taxable).toBe(1000);
+  });
+
+  test('splits multi-rate invoices by back-computed taxable value', () => {
+    const { lines } = invoiceLines(order('1', {
+      finalAmount: 1416,
+      taxAmount: 116,
+      taxBreakdown: [
+        { name: 'CGST', rate: 2.5, amount: 25 },
+        { name: 'SGST', rate: 2.5, amount: 25 },
+        { name: 'CGST', rate: 9, amount: 33 },
+        { name: 'SGST', rate: 9, amount: 33 }
+      ]
+    }));
+    expect(lines).toEqual([
+      { rate: 5, txval: 1000, tax: 50, cess: 0 },
+      { rate: 18, txval: 300, tax: 66, cess: 0 }
+    ]);
+  });
+});
+
+describe('classifyOrder', () => {
+  test('uses the restaurant state unless the order has another place of supply', () => {
+    expect(classifyOrder(order('1'), '27')).toMatchObject({ pos: '27', interState: false, section: 'b2cs' });
+    expect(classifyOrder(order('1', { placeOfSupply: 'Karnataka' }), '27')).toMatchObject({ pos: '29', interState: true, section: 'b2cs' });
+    expect(classifyOrder(order('1', { placeOfSupply: '29', finalAmount: 150000 }), '27').section).toBe('b2cl');
+    expect(classifyOrder(order('1', { customerInfo: { gstin: BUYER.toLowerCase() } }), '27')).toMatchObject({ ctin: BUYER, section: 'b2b' });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// buildGstr1
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildGstr1', () => {
+  const orders = [
+    order('1'),
+    order('2', { customerGstin: BUYER }),
+    order('3', { status: 'cancelled' }),
+    order('4', { customerGstin: '29AAGCB7383J1Z0' }),
+    order('5', { status: 'confirmed' })
+  ];
+  const refunds = [order('2', { customerGstin: BUYER, refundAmount: 525, refundedAt: '2026-04-12T10:00:00.000Z' })];
+  const { gstr1, errors, summary } = buildGstr1(orders, { gstin: GSTIN, month: '2026-04', refunds, tzOffset: -330 });
+
+  test('emits the portal header', () => {
+    expect(gstr1).toMatchObject({ gstin: GSTIN, fp: '042026' });
+  });
+
+  test('reports B2B invoices with CGST/SGST split', () => {
+    expect(gstr1.b2b).toEqual([{
+      ctin: BUYER,
+      inv: [{
+        inum: 'INV-2',
+        idt: '10-04-2026',
+        val: 1050,
+        pos: '27',
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: [{ num: 1, itm_det: { txval: 1000, rt: 5, iamt: 0, camt: 25, samt: 25, csamt: 0 } }]
+      }]
+    }]);
+  });
+
+  test('aggregates B2C sales by place of supply and rate', () => {
+    expect(gstr1.b2cs).toEqual([{ sply_ty: 'INTRA', pos: '27', typ: 'OE', rt: 5, txval: 1000, iamt: 0, camt: 25, samt: 25, csamt: 0 }]);
+  });
+
+  test('turns B2B refunds into CDNR credit notes', () => {
+    expect(gstr1.cdnr[0].nt[0]).toMatchObject({
+      ntty: 'C',
+      nt_num: 'CN-INV-2',
+      nt_dt: '12-04-2026',
+      val: 525,
+      itms: [{ num: 1, itm_det: { txval: 500, rt: 5, iamt: 0, camt: 12.5, samt: 12.5, csamt: 0 } }]
+    });
+  });
+
+  test('lists invalid invoices instead of including them', () => {
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ orderId: '4', invoiceNumber: 'INV-4', section: 'b2b' });
+    expect(errors[0].errors[0]).toMatch(/GSTIN/);
+    expect(summary).toMatchObject({ invoices: 2, creditNotes: 1, rejected: 1 });
+  });
+
+  test('nets credit notes out of the HSN summary', () => {
+    expect(gstr1.hsn.data).toEqual([
+      { num: 1, hsn_sc: '9963', desc: 'Thali', uqc: 'NA', qty: 0, rt: 5, txval: 1500, iamt: 0, camt: 37.5, samt: 37.5, csamt: 0 }
+    ]);
+  });
+
+  test('summarises issued and cancelled documents', () => {
+    const invoices = gstr1.doc_issue.doc_det[0];
+    expect(invoices.docs[0]).toEqual({ num: 1, from: 'INV-1', to: 'INV-3', totnum: 3, cancel: 1, net_issue: 2 });
+    expect(gstr1.doc_issue.doc_det[1]).toMatchObject({ doc_num: 5, doc_typ: 'Credit Note' });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Indian GST state codes and GSTIN helpers. Pure lookups — no DB access.
+ */
+
+// GST state / UT codes as used in GSTINs and the portal's `pos` field
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+const GSTIN_RE = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function normalizeGstin(gstin) {
+  return gstin ? String(gstin).trim().toUpperCase() : '';
+}
+
+/**
+ * Format + check-digit validation (the portal's mod-36 Luhn variant).
+ */
+function isValidGstin(gstin) {
+  const g = normalizeGstin(gstin);
+  if (!GSTIN_RE.test(g) || !GST_STATES[g.slice(0, 2)]) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(g[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  const check = GSTIN_CHARS[(36 - (sum % 36)) % 36];
+  return g[14] === check;
+}
+
+function stateCodeFromGstin(gstin) {
+  const g = normalizeGstin(gstin);
+  return GST_STATES[g.slice(0, 2)] ? g.slice(0, 2) : null;
+}
+
+/**
+ * Resolve a state code from a code ('29', 29) or a state name ('Karnataka').
+ */
+function toStateCode(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const str = String(value).trim();
+  if (/^\d{1,2}$/.test(str)) {
+    const code = str.padStart(2, '0');
+    return GST_STATES[code] ? code : null;
+  }
+  const lower = str.toLowerCase();
+  return Object.keys(GST_STATES).find(code => GST_STATES[code].toLowerCase() === lower) || null;
+}
+
+module.exports = {
+  GST_STATES,
+  normalizeGstin,
+  isValidGstin,
+  stateCodeFromGstin,
+  toStateCode,
+};
@@ -127,6 +127,9 @@ const bucket = lazyInit(() => {
 const { db, collections } = require('./firebase');
 const { FieldValue } = require('firebase-admin/firestore');
 const categoryTree = require('./utils/categoryTree');
+const { filterKotExcludedItems, splitOrderByPrintStation } = require('./utils/printStations');
+const courseFiring = require('./kds/courses');
+const { turnMinutes } = require('./tables/waitlist');
 const performanceOptimizer = require('./middleware/performanceOptimizer');
 const firestoreOptimizer = require('./utils/firestoreOptimizer');
 const { kvGet, kvSet, kvDel, getCachedRestaurant, invalidateRestaurantCache, invalidateUserCache, getOrdersVersion, invalidateOrdersCache, ordersCacheKey, getInventoryVersion, invalidateInventoryCache, inventoryCacheKey, getFloorsVersion, invalidateFloorsCache, floorsCacheKey, kotCacheKey, dashboardCacheKey } = require('./utils/kvCache');
@@ -239,6 +242,25 @@ async function getCachedRestDoc(restaurantId) {
 
 const inventoryService = require('./services/inventoryService');
 const offerEngine = require('./services/offerEngine');
+const ledgerPostingService = require('./services/ledgerPostingService');
+const etimsQueueService = require('./services/etims/etimsQueueService');
+const einvoiceService = require('./services/einvoice/einvoiceService');
+const kdsService = require('./services/kdsService');
+const zatcaService = require('./services/zatca/zatcaService');
+const whatsappBill = require('./billing/whatsappBill');
+const foodCostService = require('./services/foodCostService');
+const stockAvailabilityService = require('./services/stockAvailabilityService');
+const purchaseApprovalService = require('./services/purchaseApprovalService');
+const invoiceMatchService = require('./services/invoiceMatchService');
+const unitConversionService = require('./services/unitConversionService');
+const tipPoolService = require('./services/tipPoolService');
+const waitlistService = require('./services/waitlistService');
+const reservationService = require('./services/reservationService');
+const depositService = require('./services/depositService');
+const orderPaymentService = require('./services/orderPaymentService');
+const { sanitizeConversions, validateItemUnits, convertForItem, stockFactor } = require('./inventory/units');
+const { outstanding: invoiceOutstanding, agedUnmatched } = require('./inventory/invoiceMatch');
+const { orderPostingDate } = require('./ledger/postingRules');
 // const pusherService = require('./services/pusherService'); // COMMENTED OUT — replaced by Firebase RTDB
 const pusherService = require('./services/firebaseRealtimeService');
 
@@ -1195,13 +1217,21 @@ function resolveSeat(seat, restaurantData) {
   return sanitizeSeat(seat);
 }
 
+// Resolve an item's course (course firing) for storage. Like seats, courses
+// are only kept when posSettings.courseFiring is on; otherwise null = no coursing.
+function resolveCourse(course, restaurantData) {
+  if (restaurantData?.posSettings?.courseFiring !== true) return null;
+  return courseFiring.sanitizeCourse(course);
+}
+
 // Generate a composite key for an order item that uniquely identifies it.
 // Used everywhere items are matched, deduped, or compared for KOT diffs.
 // Key format: "menuItemId|variantName|custId1,custId2" (sorted customizations)
 // When the item has a seat assigned (seat-level ordering), the seat joins the
 // key so identical items on different seats stay separate lines. Items with
 // no seat produce the exact same key as before — zero behavior change for
-// existing orders and restaurants with the feature off.
+// existing orders and restaurants with the feature off. Likewise a course
+// after the first joins the key, so a dish ordered for two courses stays two lines.
 function getOrderItemKey(item) {
   const id = item.menuItemId || item.id || '';
   const variant = item.selectedVariant?.name || '';
@@ -1209,7 +1239,9 @@ function getOrderItemKey(item) {
     ? [...item.selectedCustomizations].map(c => c.id || c.name || '').sort().join(',')
     : '';
   const seat = sanitizeSeat(item.seat);
-  return seat === null ? `${id}|${variant}|${custs}` : `${id}|${variant}|${custs}|s${seat}`;
+  const course = courseFiring.sanitizeCourse(item.course);
+  const key = seat === null ? `${id}|${variant}|${custs}` : `${id}|${variant}|${custs}|s${seat}`;
+  return course && course > 1 ? `${key}|c${course}` : key;
 }
 
 // Server-side deduplication: merge items with the same composite key (menuItemId + variant + customizations).
@@ -7577,7 +7609,8 @@ app.get('/api/public/menu/:restaurantId', vercelSecurityMiddleware.publicAPI, as
         images: item.images || [],
         allergens: item.allergens || [],
         ...(item.taxGroupId && { taxGroupId: item.taxGroupId }),
-        ...(item.hideImage && { hideImage: true })
+        ...(item.hideImage && { hideImage: true }),
+        ...(item.portionsLeft != null && { portionsLeft: item.portionsLeft })
       }));
 
     // Cache at Vercel Edge for 3 min, serve stale for 1 min while revalidating
@@ -8191,6 +8224,8 @@ app.patch('/api/menus/item/:id', authenticateToken, async (req, res) => {
     if (Object.keys(updateData).length === 1) { // Only updatedAt
       return res.status(400).json({ error: 'No valid fields to update' });
     }
+    // A manual on/off overrides stock-driven availability — don't auto-restore a manual 86
+    if (updateData.isAvailable !== undefined) updateData.autoUnavailable = false;
     
     // Update the menu item in the restaurant document
     const currentMenu = restaurantData.menu || { categories: [], items: [] };
@@ -8275,6 +8310,11 @@ app.patch('/api/menus/item/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    // Price, portion or add-on changes move the margins
+    if (['price', 'variants', 'modifierGroups', 'taxInclusive', 'taxGroupId'].some(f => updateData[f] !== undefined)) {
+      foodCostService.recalculateInBackground(foundRestaurant.id, 'menu');
+    }
+
     // Notify all connected clients of menu change
     pusherService.notifyMenuUpdated(foundRestaurant.id, id, Object.keys(updateData).filter(key => key !== 'updatedAt'))
       .catch(err => console.error('Pusher menu-updated error:', err));
@@ -9430,6 +9470,7 @@ app.post('/api/public/orders/:restaurantId', vercelSecurityMiddleware.publicAPI,
         }).catch(err => console.error('KOT print Pusher notification error (non-blocking):', err))
       );
     }
+    kdsService.syncInBackground(orderRef.id, restaurantData);
     await Promise.allSettled(pusherPromises);
 
     res.status(201).json({
@@ -9878,6 +9919,7 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
           menuItemId: item.menuItemId || item.id || null,
           name: typeof item.name === 'string' ? item.name.substring(0, 200) : 'Custom Item',
           seat: resolveSeat(item.seat, restaurantData),
+          course: resolveCourse(item.course, restaurantData),
           nameAr: typeof item.nameAr === 'string' ? item.nameAr.substring(0, 200) : null,
           price: fePrice,
           quantity: itemQuantity,
@@ -9918,6 +9960,7 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
             menuItemId: item.menuItemId,
             name: typeof item.name === 'string' ? item.name.substring(0, 200) : 'Unknown Item',
             seat: resolveSeat(item.seat, restaurantData),
+            course: resolveCourse(item.course, restaurantData),
             nameAr: typeof item.nameAr === 'string' ? item.nameAr.substring(0, 200) : null,
             price: unitPrice,
             quantity: itemQuantity,
@@ -10054,6 +10097,7 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
         name: menuItem.name,
         nameAr: menuItem.nameAr || null,
         seat: resolveSeat(item.seat, restaurantData),
+        course: resolveCourse(item.course, restaurantData),
         price: unitPrice,
         quantity: itemQuantity,
         total: itemTotal,
@@ -10499,6 +10543,9 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
             seatNumber: seatNumber || 'Walk-in'
           },
       paymentMethod: splitPayments && splitPayments.length > 1 ? 'split' : (paymentMethod || 'cash'),
+      // GST buyer details — a GSTIN makes this a B2B invoice in GSTR-1
+      customerGstin: (req.body.customerGstin || customerInfo?.gstin) ? String(req.body.customerGstin || customerInfo.gstin).trim().toUpperCase() : null,
+      placeOfSupply: req.body.placeOfSupply || null,
       // Billing feature fields
       serviceChargeRate: serviceChargeRate,
       serviceChargeAmount: scAmt > 0 ? Math.round(scAmt * 100) / 100 : null,
@@ -10543,6 +10590,8 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
       deliveryAddress: req.body.deliveryAddress || null,
       // Cover count (pax/guests at table)
       covers: covers,
+      // Course firing: held courses skip the KOT until fired (kds/courses.js)
+      ...courseFiring.courseFields(orderItems, req.body.heldCourses, orderType, new Date()),
       // Sub-restaurant fields
       subRestaurantId: req.body.subRestaurantId || null,
       subRestaurantName: req.body.subRestaurantName || null,
@@ -11111,7 +11160,7 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
         );
         const printSettings = restaurantData.printSettings || {};
         if (orderData.status === 'confirmed') {
-          const stationGroups = splitOrderByPrintStation(orderItems, restaurantData.printStations, restaurantData.categories, { ...DEFAULT_PRINT_SETTINGS, ...printSettings });
+          const stationGroups = splitOrderByPrintStation(courseFiring.firableItems(orderItems, orderData), restaurantData.printStations, restaurantData.categories, { ...DEFAULT_PRINT_SETTINGS, ...printSettings });
           for (const group of stationGroups) {
             pusherPromises.push(
               pusherService.notifyKOTPrintRequest(restaurantId, {
@@ -11123,8 +11172,11 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
               }).catch(err => console.error('KOT print notification error (non-blocking):', err))
             );
           }
+          kdsService.syncInBackground(orderRef.id, restaurantData);
         }
         if (orderData.status === 'completed') {
+          // Signed first so a Saudi bill prints with its ZATCA QR
+          await zatcaService.signOnCompletion(orderRef.id, restaurantId, restaurantData);
           pusherPromises.push(
             pusherService.notifyBillingPrintRequest(restaurantId, {
               id: orderRef.id, dailyOrderId, orderNumber, tableNumber, roomNumber,
@@ -11170,6 +11222,11 @@ app.post('/api/orders', authenticateOrderCreate, async (req, res) => {
       processCashbackForOrder(orderRef.id, { ...orderData, restaurantId }).catch(() => {});
       processWalletRedemptionForOrder(orderRef.id).catch(() => {});
 
+      // Fire-and-forget: post the sale to the ledger
+      ledgerPostingService.postInBackground('order', () => ledgerPostingService.syncOrder(orderRef.id));
+      // Fire-and-forget: queue the eTIMS submission (Kenya stores in server mode)
+      etimsQueueService.syncInBackground(orderRef.id, restaurantId);
+
       // Fire-and-forget: send bill_notification template on WhatsApp
       (async () => {
         try {
@@ -13095,212 +13152,32 @@ app.patch('/api/orders/:orderId/status', authenticateToken, async (req, res) =>
       return res.status(403).json({ error: 'Access denied. Your role is not permitted to update order status.' });
     }
 
+    if (status !== orderData.status) {
+      const irnLocked = einvoiceService.irnLock(orderData, statusOp === 'cancel' ? 'cancel' : 'change');
+      if (irnLocked) return res.status(409).json({ error: irnLocked, code: 'IRN_LOCKED' });
+    }
+
     // Fire the customer "order ready" alert when this endpoint bumps to ready.
     if (status === 'ready' && orderData.status !== 'ready') {
       maybeNotifyCustomerOrderReady({ id: orderId, ...orderData }).catch(() => {});
     }
 
-    // NEW: Handle deferred loyalty/stats updates on completion
-    if (status === 'completed' && orderData.status !== 'completed') {
-      console.log(`✅ Order ${orderId} marked as completed. Processing deferred updates...`);
-
-      let customerId = orderData.customerId;
-
-      // Create/update customer record if customer info exists but customerId not set yet
-      // (handles KOT→billing flow where customer wasn't linked during initial order creation)
-      const customerPhone = orderData.customerInfo?.phone || req.body.customerInfo?.phone;
-      const customerName = orderData.customerInfo?.name || req.body.customerInfo?.name;
-      if (customerPhone && customerPhone !== 'null' && !orderData.customerId) {
-        try {
-          const orderFinalAmount = req.body.finalAmount || orderData.finalAmount || orderData.totalAmount || 0;
-          const orderTotalAmount = req.body.totalAmount || orderData.totalAmount || 0;
-          const histEntry = {
-            orderId: orderId,
-            orderNumber: orderData.orderNumber,
-            totalAmount: Math.round(orderTotalAmount * 100) / 100,
-            finalAmount: Math.round(orderFinalAmount * 100) / 100,
-            taxAmount: Math.round((req.body.taxAmount || orderData.taxAmount || 0) * 100) / 100,
-            orderDate: new Date(),
-            tableNumber: orderData.tableNumber || null,
-            orderType: orderData.orderType,
-            // paidAmount = amount actually collected, so the totalSpent recompute
-            // doesn't over-count a due order linked to a customer at completion.
-            paymentStatus: orderData.paymentStatus || 'paid',
-            paidAmount: (orderData.paymentStatus === 'due' || orderData.paymentStatus === 'partial')
-              ? Math.round(Number(orderData.paidAmount || 0) * 100) / 100
-              : Math.round(orderFinalAmount * 100) / 100,
-            outstandingAmount: Math.round(Number(orderData.outstandingAmount || 0) * 100) / 100,
-          };
-          // Normalize phone helper
-          const normPhone = (p) => {
-            if (p === null || p === undefined || p === '') return null;
-            const d = String(p).replace(/\D/g, '');
-            if (d.length === 12 && d.startsWith('91')) return d.substring(2);
-            if (d.length === 11 && d.startsWith('0')) return d.substring(1);
-            return d.length === 10 ? d : d;
-          };
-          // Find existing customer
-          let custDoc = null;
-          const pq = await db.collection(collections.customers)
-            .where('restaurantId', '==', orderData.restaurantId)
-            .where('phone', '==', customerPhone)
-            .limit(1).get();
-          if (!pq.empty) {
-            custDoc = pq.docs[0];
-          } else {
-            // Try common phone format variations instead of scanning all customers
-            const np = normPhone(customerPhone);
-            if (np && np !== customerPhone) {
-              // Try normalized phone as direct query
-              const npq = await db.collection(collections.customers)
-                .where('restaurantId', '==', orderData.restaurantId)
-                .where('phone', '==', np)
-                .limit(1).get();
-              if (!npq.empty) {
-                custDoc = npq.docs[0];
-              }
-            }
-            // Try with/without country code prefix variations
-            if (!custDoc && customerPhone) {
-              const variations = [];
-              const digits = customerPhone.replace(/\D/g, '');
-              if (digits.length > 10) variations.push(digits.slice(-10)); // without country code
-              if (digits.length === 10) {
-                variations.push('91' + digits);   // with India code
-                variations.push('+91' + digits);  // with +91
-              }
-              for (const v of variations) {
-                if (v === customerPhone) continue; // skip already tried
-                const vq = await db.collection(collections.customers)
-                  .where('restaurantId', '==', orderData.restaurantId)
-                  .where('phone', '==', v)
-                  .limit(1).get();
-                if (!vq.empty) { custDoc = vq.docs[0]; break; }
-              }
-            }
-          }
-          if (custDoc) {
-            customerId = custDoc.id;
-            const cd = custDoc.data();
-            const nh = [...(cd.orderHistory || []), histEntry];
-            await custDoc.ref.update({
-              orderHistory: nh,
-              totalOrders: nh.length,
-              totalSpent: nh.reduce((s, o) => s + (o.paidAmount != null ? o.paidAmount : (o.finalAmount || o.totalAmount || 0)), 0),
-              lastOrderDate: new Date(),
-              updatedAt: new Date()
-            });
-          } else if (customerPhone) {
-            // Only create new customer when phone number is provided
-            const newRef = await db.collection(collections.customers).add({
-              name: customerName || 'Customer',
-              phone: customerPhone,
-              restaurantId: orderData.restaurantId,
-              orderHistory: [histEntry],
-              totalOrders: 1,
-              totalSpent: Math.round(orderFinalAmount * 100) / 100,
-              lastOrderDate: new Date(),
-              createdAt: new Date(),
-              updatedAt: new Date()
-            });
-            customerId = newRef.id;
-          } else {
-            console.log(`⏭️ Skipping customer creation on completion — no phone number provided`);
-          }
-          try { await db.collection('orders').doc(orderId).update({ customerId }); } catch (e) {}
-          console.log(`👤 Customer processed on completion: ${customerId}`);
-        } catch (custErr) {
-          console.error('Error creating/updating customer on completion:', custErr);
-        }
-      }
-      
-      // Update Offer Usage for all applied offers
-      const offersToUpdate = orderData.appliedOffers && orderData.appliedOffers.length > 0
-        ? orderData.appliedOffers
-        : (orderData.appliedOffer && orderData.appliedOffer.id ? [orderData.appliedOffer] : []);
-
-      for (const appliedOfferItem of offersToUpdate) {
-        if (appliedOfferItem && appliedOfferItem.id) {
-          try {
-            await db.collection('offers').doc(appliedOfferItem.id).update({
-              usageCount: FieldValue.increment(1),
-              updatedAt: new Date()
-            });
-            console.log(`🎁 Offer usage incremented for ${appliedOfferItem.id}`);
-          } catch (err) {
-            console.error('Error updating offer usage:', err);
-          }
-        }
-      }
-
-      // Update Customer Loyalty (totalOrders/totalSpent already updated on order creation in POST /api/customers)
-      if (customerId) {
-        try {
-          const customerUpdateData = {
-            lastOrderDate: new Date(),
-            updatedAt: new Date()
-          };
-          
-          const pointsEarned = orderData.loyaltyPointsEarned || 0;
-          const pointsRedeemed = orderData.loyaltyPointsRedeemed || 0;
-          const netPointsChange = pointsEarned - pointsRedeemed;
-          
-          if (netPointsChange !== 0) {
-            customerUpdateData.loyaltyPoints = FieldValue.increment(netPointsChange);
-          }
-          
-          await db.collection('customers').doc(customerId).update(customerUpdateData);
-          console.log(`👤 Customer stats updated for ${customerId}. Points: ${netPointsChange > 0 ? '+' : ''}${netPointsChange}`);
-          
-          // Add to order history
-          const orderHistoryEntry = {
-            orderId: orderId,
-            orderNumber: orderData.orderNumber,
-            orderDate: new Date(), // Completion date
-            subtotal: orderData.subtotal || 0,
-            totalAmount: orderData.totalAmount,
-            finalAmount: orderData.finalAmount || orderData.totalAmount,
-            taxAmount: orderData.taxAmount || 0,
-            taxBreakdown: orderData.taxBreakdown || [],
-            serviceChargeAmount: orderData.serviceChargeAmount || 0,
-            serviceChargeRate: orderData.serviceChargeRate || 0,
-            tipAmount: orderData.tipAmount || 0,
-            roundOffAmount: orderData.roundOffAmount || 0,
-            outstandingAmount: orderData.outstandingAmount || 0,
-            paidAmount: orderData.paidAmount || 0,
-            discountAmount: orderData.discountAmount || 0,
-            manualDiscount: orderData.manualDiscount || 0,
-            loyaltyDiscount: orderData.loyaltyDiscount || 0,
-            totalDiscountAmount: orderData.totalDiscountAmount || 0,
-            appliedOffer: orderData.appliedOffer?.name || orderData.selectedOfferName || null,
-            selectedOfferName: orderData.selectedOfferName || (orderData.appliedOffer?.name) || null,
-            loyaltyPointsEarned: pointsEarned,
-            loyaltyPointsRedeemed: pointsRedeemed,
-            tableNumber: orderData.tableNumber,
-            orderType: orderData.orderType,
-            orderTypeLabel: orderData.orderTypeLabel,
-            orderSource: orderData.orderSource,
-            status: 'completed',
-            itemsCount: orderData.items?.length || 0
-          };
-
-          // Order history entry already added during order creation (POST /api/orders or POST /api/customers)
-          // Only add here if somehow missing (e.g., legacy orders created before this change)
-          console.log('📜 Customer loyalty updated on order completion');
-
-        } catch (err) {
-          console.error('Error updating customer stats:', err);
-        }
-      }
-    }
-
     const orderUpdateData = { status, updatedAt: new Date() };
     // Generate a shareToken for public invoice link when order is completed
     if (status === 'completed' && !orderData.shareToken) {
       const crypto = require('crypto');
       orderUpdateData.shareToken = crypto.randomBytes(16).toString('hex');
     }
-    await db.collection(collections.orders).doc(orderId).update(orderUpdateData);
+    if (status === 'completed' && orderData.status !== 'completed') {
+      // Another request completed it first — its completion work already ran
+      if (!(await saveCompletedOrder(orderId, orderData, orderUpdateData, { depositId: req.body.depositId }))) {
+        return res.status(409).json({ error: 'Order is already completed' });
+      }
+      // Deferred loyalty/stats updates on completion
+      await processCompletionUpdates(orderId, orderData, req.body);
+    } else {
+      await db.collection(collections.orders).doc(orderId).update(orderUpdateData);
+    }
 
     // Update daily analytics stats for status transitions (fire-and-forget)
     const _nonCounted = ['saved', 'cancelled', 'deleted'];
@@ -13334,7 +13211,7 @@ app.patch('/api/orders/:orderId/status', authenticateToken, async (req, res) =>
 
       if (status === 'confirmed') {
         const restaurantFullData = restaurantDoc.data();
-        const stationGroups = splitOrderByPrintStation(orderData.items, restaurantFullData.printStations, restaurantFullData.categories, { ...DEFAULT_PRINT_SETTINGS, ...(restaurantFullData.printSettings || {}) });
+        const stationGroups = splitOrderByPrintStation(courseFiring.firableItems(orderData.items, orderData), restaurantFullData.printStations, restaurantFullData.categories, { ...DEFAULT_PRINT_SETTINGS, ...(restaurantFullData.printSettings || {}) });
         for (const group of stationGroups) {
           pusherPromises.push(
             pusherService.notifyKOTPrintRequest(orderData.restaurantId, {
@@ -13354,9 +13231,12 @@ app.patch('/api/orders/:orderId/status', authenticateToken, async (req, res) =>
             }).catch(err => console.error('KOT print Pusher notification error (non-blocking):', err))
           );
         }
+        kdsService.syncInBackground(orderId, restaurantFullData);
       }
 
       if (status === 'completed') {
+        // Signed first so a Saudi bill prints with its ZATCA QR
+        await zatcaService.signOnCompletion(orderId, orderData.restaurantId, restaurantDoc.exists ? restaurantDoc.data() : null);
         // Reset billPrinted flag before sending billing print notification
         await db.collection(collections.orders).doc(orderId).update({
           billPrinted: false
@@ -13382,13 +13262,13 @@ app.patch('/api/orders/:orderId/status', authenticateToken, async (req, res) =>
             totalDiscountAmount: orderData.totalDiscountAmount || 0,
             appliedOffer: orderData.appliedOffer || null,
             appliedOffers: orderData.appliedOffers || null,
-            paymentMethod: orderData.paymentMethod,
+            paymentMethod: orderUpdateData.paymentMethod || orderData.paymentMethod,
             orderType: orderData.orderType,
             serviceChargeAmount: orderData.serviceChargeAmount || null,
             serviceChargeRate: orderData.serviceChargeRate || null,
             tipAmount: orderData.tipAmount || null,
             roundOffAmount: orderData.roundOffAmount || null,
-            splitPayments: orderData.splitPayments || null,
+            splitPayments: orderUpdateData.splitPayments || orderData.splitPayments || null,
             cashReceived: orderData.cashReceived || null,
             changeReturned: orderData.changeReturned || null,
             createdAt: orderData.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
@@ -13431,126 +13311,21 @@ app.patch('/api/orders/:orderId/status', authenticateToken, async (req, res) =>
       processWalletRedemptionForOrder(orderId).catch(() => {});
     }
 
-    // Fire-and-forget: if this completed order belonged to a PARTY sub-table (B/C/…), the
-    // party's check is now settled — remove that party so it disappears from the table
-    // (Toast/Square behaviour). Base "Party A" and other siblings stay. Only party tables
-    // are removed here — split children and normal tables are never touched.
-    if (status === 'completed' && orderData.tableId) {
-      (async () => {
-        try {
-          const found = await findTableAcrossFloors(orderData.restaurantId, orderData.tableId);
-          if (!found || !found.data || !found.data.isPartyTable) return;
-          const pt = found.data;
-          const tablesRef = db.collection('restaurants').doc(orderData.restaurantId)
-            .collection('floors').doc(found.floorId).collection('tables');
-          await found.ref.delete();
-          // Clear the base table's party anchor once no sibling parties remain.
-          const rem = await tablesRef.where('partyGroupId', '==', pt.partyGroupId).where('isPartyTable', '==', true).limit(1).get();
-          if (rem.empty && pt.partyOfTableId) {
-            const base = await findTableAcrossFloors(orderData.restaurantId, pt.partyOfTableId);
-            if (base) await base.ref.update({ hasParties: false, updatedAt: new Date() }).catch(() => {});
-          }
-          pusherService.triggerTableStatusUpdated(orderData.restaurantId, {
-            tableId: orderData.tableId, status: 'available', orderId: null, tableNumber: pt.name, removed: true,
-          }).catch(() => {});
-        } catch (e) { console.error('Party auto-remove on settle (non-blocking):', e.message); }
-      })();
+    // Fire-and-forget: post the sale (or its reversal when a billed order is cancelled) to the ledger
+    if (status !== orderData.status && (status === 'completed' || orderData.status === 'completed')) {
+      ledgerPostingService.postInBackground('order', () => ledgerPostingService.syncOrder(orderId));
+    }
+    if (status === 'completed' && orderData.status !== 'completed') {
+      etimsQueueService.syncInBackground(orderId, orderData.restaurantId);
+    }
+    // Fire-and-forget: take a cancelled order's open tickets off the kitchen screens
+    if ((status === 'cancelled' || status === 'deleted') && status !== orderData.status) {
+      kdsService.syncInBackground(orderId);
     }
 
-    // Fire-and-forget: send bill on WhatsApp if enabled
+    // Fire-and-forget: party table, WhatsApp bill, kitchen screens
     if (status === 'completed') {
-      (async () => {
-        try {
-          const restDoc = await getCachedRestDoc(orderData.restaurantId);
-          const bSettings = restDoc.exists ? (restDoc.data().billingSettings || {}) : {};
-          if (!bSettings.whatsappBillingEnabled) return;
-
-          const waSnap = await db.collection(collections.automationSettings)
-            .where('restaurantId', '==', orderData.restaurantId)
-            .where('type', '==', 'whatsapp')
-            .where('connected', '==', true)
-            .limit(1).get();
-          if (waSnap.empty) return;
-
-          const custPhone = orderData.customerPhone || orderData.customerInfo?.phone || orderData.customerMobile;
-          if (!custPhone) return;
-
-          // Normalize phone for customer lookup
-          const normPhone = custPhone.replace(/[\s\-\(\)\+]/g, '').replace(/^(\+?91)/, '').slice(-10);
-          const custSnap = await db.collection(collections.customers)
-            .where('restaurantId', '==', orderData.restaurantId)
-            .where('phone', '==', normPhone)
-            .limit(1).get();
-          if (!custSnap.empty && custSnap.docs[0].data().whatsappBillEnabled === false) return;
-
-          // Build short WhatsApp message with invoice link
-          const restaurantName = restDoc.data().name || 'Restaurant';
-          const customerName = orderData.customerInfo?.name || orderData.customerName || 'there';
-          const totalAmount = Number(orderData.finalAmount || orderData.totalAmount || 0).toFixed(2);
-          const currencySymbol = restDoc.data().currencySymbol || '₹';
-          const orderNum = orderData.dailyOrderId || orderData.orderNumber || (orderId || '').slice(-6);
-          const completedAt = new Date();
-          const restTz = restDoc.data().posSettings?.timezone || 'Asia/Kolkata';
-          const dateStr = completedAt.toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: restTz });
-          const timeStr = completedAt.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: restTz });
-
-          const shareToken = orderUpdateData.shareToken || orderData.shareToken;
-          const baseUrl = process.env.FRONTEND_URL || 'https://www.dineopen.com';
-          const invoiceLink = shareToken ? `${baseUrl}/bill/${shareToken}` : '';
-
-          const waSettings = waSnap.docs[0].data();
-          const credentials = waSettings.mode === 'dineopen' ? {
-            accessToken: process.env.DINEOPEN_WHATSAPP_ACCESS_TOKEN,
-            phoneNumberId: waSettings.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID,
-            businessAccountId: process.env.DINEOPEN_WHATSAPP_BUSINESS_ACCOUNT_ID
-          } : {
-            accessToken: waSettings.accessToken,
-            phoneNumberId: waSettings.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID,
-            businessAccountId: waSettings.businessAccountId
-          };
-
-          const whatsappSvc = require('./services/whatsappService');
-          const formatted = custPhone.replace(/[\s\-\(\)\+]/g, '');
-
-          // Use the approved bill_notification template: {{1}}=name, {{2}}=orderId, {{3}}=amount, {{4}}=billUrl
-          const billUrl = shareToken ? `${baseUrl}/bill/${shareToken}` : baseUrl;
-          const templateParams = [
-            customerName || 'Customer',
-            String(orderNum),
-            String(totalAmount),
-            billUrl,
-          ];
-
-          let result;
-          try {
-            result = await whatsappSvc.sendTemplateMessage(formatted, 'bill_notification', 'en', templateParams, credentials);
-          } catch (templateErr) {
-            // Fallback to text message if template fails
-            console.warn('📱 Template send failed, falling back to text:', templateErr.message);
-            const message = `Dear ${customerName},\n\n` +
-              `Thank you for your visit at *${restaurantName}*! Your invoice is ready.\n\n` +
-              `💰 Amount: *${currencySymbol}${totalAmount}*\n` +
-              `🧾 Order: #${orderNum}\n` +
-              `📅 Date: ${dateStr}, ${timeStr}` +
-              (invoiceLink ? `\n\n🔗 View Invoice: ${invoiceLink}` : '') +
-              `\n\nThank you for choosing ${restaurantName}! 🙏`;
-            result = await whatsappSvc.sendTextMessage(formatted, message, credentials);
-          }
-
-          const logMessage = `Hi ${customerName}, Your bill for Order #${orderNum} is ready. Amount: ${currencySymbol}${totalAmount}. View: ${billUrl}`;
-          await db.collection(collections.automationLogs).add({
-            restaurantId: orderData.restaurantId, type: 'whatsapp_bill',
-            phone: formatted, customerName: customerName,
-            message: logMessage, messageId: result?.messageId || null,
-            orderId, amount: orderData.finalAmount || orderData.totalAmount,
-            direction: 'outgoing', status: result?.success ? 'sent' : 'failed',
-            timestamp: new Date()
-          });
-          console.log(`📱 WhatsApp bill sent for order ${orderId}`);
-        } catch (err) {
-          console.error('📱 WhatsApp bill error (non-blocking):', err.message);
-        }
-      })();
+      processCompletionSideEffects(orderId, orderData, { shareToken: orderUpdateData.shareToken });
     }
 
     // ── Auto-sync completed order to Invoice module (fire-and-forget) ──
@@ -13772,6 +13547,9 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
     if (currentOrder.restaurantId !== userRestaurantId) {
       return res.status(403).json({ error: 'Access denied: Order does not belong to your restaurant' });
     }
+
+    const irnLocked = einvoiceService.irnLock(currentOrder, 'edit');
+    if (irnLocked) return res.status(409).json({ error: irnLocked, code: 'IRN_LOCKED' });
     
     // Validate table number if provided and different from original
     if (tableNumber !== undefined && tableNumber !== currentOrder.tableNumber) {
@@ -14063,6 +13841,7 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
           price: resolvedUnitPrice,
           total: patchItemTotal,
           seat: resolveSeat(cleanItem.seat, restaurantData),
+          course: resolveCourse(cleanItem.course, restaurantData),
           selectedVariant: selectedVariant ? { name: selectedVariant.name, price: selectedVariant.price || 0 } : null,
           selectedCustomizations: customizations.map(c => ({ id: c.id || null, name: c.name || c, price: typeof c.price === 'number' ? c.price : 0 })),
           // Per-item price edit tracking — only flag genuine manual edits, not variant/rule price differences
@@ -14164,6 +13943,8 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
       // Store removed items separately so they don't affect totals but are available for KOT display
       updateData.removedItems = reconciledRemovedItems;
       updateData.items = dedupedPatchItems;
+      // Course firing: stamp courses seen for the first time and hold any requested ones
+      Object.assign(updateData, courseFiring.mergeCourseFields({ ...currentOrder, orderType: orderType || currentOrder.orderType }, dedupedPatchItems, req.body.heldCourses, new Date()));
       updateData.itemCount = dedupedPatchItems.reduce((sum, item) => sum + item.quantity, 0);
       let itemsSubtotal = await calculateOrderTotal(dedupedPatchItems);
 
@@ -14202,6 +13983,8 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
       }
     }
     if (customerInfo) updateData.customerInfo = customerInfo;
+    if (req.body.customerGstin !== undefined) updateData.customerGstin = req.body.customerGstin ? String(req.body.customerGstin).trim().toUpperCase() : null;
+    if (req.body.placeOfSupply !== undefined) updateData.placeOfSupply = req.body.placeOfSupply || null;
     if (specialInstructions !== undefined) updateData.specialInstructions = specialInstructions;
     if (lastUpdatedBy) updateData.lastUpdatedBy = lastUpdatedBy;
     if (assignedStaff !== undefined) updateData.assignedStaff = assignedStaff;
@@ -14756,7 +14539,13 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
     }
 
     console.log('🔄 Backend - Updating order:', orderId, 'with data:', updateData);
-    await db.collection(collections.orders).doc(orderId).update(updateData);
+    if (status === 'completed' && currentOrder.status !== 'completed') {
+      if (!(await saveCompletedOrder(orderId, currentOrder, updateData, { depositId: req.body.depositId }))) {
+        return res.status(409).json({ error: 'Order is already completed' });
+      }
+    } else {
+      await db.collection(collections.orders).doc(orderId).update(updateData);
+    }
 
     // Inventory adjustment: if items changed, compute delta and adjust stock
     if (items && updateData.items && currentOrder.items) {
@@ -15267,7 +15056,14 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
     // If items were updated and order is NOT completed/cancelled/deleted/saved, trigger KOT reprint
     const orderStatus = status || currentOrder.status;
     const nonKitchenStatuses = ['completed', 'cancelled', 'deleted', 'saved'];
-    if (items && items.length > 0 && !nonKitchenStatuses.includes(orderStatus) && !skipKOT && !isSeatOnlyItemsPatch) {
+    // Changes confined to held courses wait for the course to be fired
+    const courseState = { ...currentOrder, ...updateData };
+    const changedItems = (updateData.items || []).filter(i => i.isNew || i.isUpdated);
+    const changedRemoved = updateData.removedItems || [];
+    const isHeldCourseOnlyPatch = (changedItems.length > 0 || changedRemoved.length > 0)
+      && courseFiring.firableItems(changedItems, courseState).length === 0
+      && courseFiring.firableItems(changedRemoved, courseState).length === 0;
+    if (items && items.length > 0 && !nonKitchenStatuses.includes(orderStatus) && !skipKOT && !isSeatOnlyItemsPatch && !isHeldCourseOnlyPatch) {
       try {
         // Reset kotPrinted so pending-print API returns this order (polling mode)
         await db.collection(collections.orders).doc(orderId).update({
@@ -15280,8 +15076,9 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
         {
           console.log('🖨️ Order items updated, triggering KOT reprint for order:', orderId);
           const restaurantFullData = restaurantDoc.data();
-          const reprintItems = updateData.items || items;
-          const removedForKot = updateData.removedItems || [];
+          // Items in a held course stay off the KOT until the course is fired
+          const reprintItems = courseFiring.firableItems(updateData.items || items, courseState);
+          const removedForKot = courseFiring.firableItems(updateData.removedItems || [], courseState);
           // "Incremental" covers additions, quantity changes AND removals — so a
           // remove-only update still prints a delta (CANCELLED) rather than the whole order.
           const hasChanges = reprintItems.some(i => i.isNew || i.isUpdated) || removedForKot.length > 0;
@@ -15323,6 +15120,7 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
               }).catch(err => console.error('KOT reprint Pusher notification error (non-blocking):', err))
             );
           }
+          kdsService.syncInBackground(orderId, restaurantFullData);
         }
       } catch (kotError) {
         console.error('KOT reprint error (non-blocking):', kotError);
@@ -15334,12 +15132,21 @@ app.patch('/api/orders/:orderId', authenticateToken, async (req, res) => {
       processCashbackForOrder(orderId, currentOrder).catch(() => {});
       processWalletRedemptionForOrder(orderId).catch(() => {});
     }
+    // Fire-and-forget: post the sale to the ledger (re-post when a billed order is edited)
+    if (status === 'completed' || currentOrder.status === 'completed') {
+      ledgerPostingService.postInBackground('order', () => ledgerPostingService.syncOrder(orderId));
+    }
+    if (status === 'completed' && currentOrder.status !== 'completed') {
+      etimsQueueService.syncInBackground(orderId, currentOrder.restaurantId);
+    }
 
     // If status changed to completed, trigger billing print
     if (status === 'completed' && currentOrder.status !== 'completed') {
       try {
         const restaurantDoc = await getCachedRestDoc(currentOrder.restaurantId);
         const printSettings = restaurantDoc.exists ? (restaurantDoc.data().printSettings || {}) : {};
+        // Signed first so a Saudi bill prints with its ZATCA QR
+        await zatcaService.signOnCompletion(orderId, currentOrder.restaurantId, restaurantDoc.exists ? restaurantDoc.data() : null);
 
         {
           // Reset billPrinted flag before sending billing print notification
@@ -15557,7 +15364,7 @@ app.post('/api/orders/:orderId/manual-print', authenticateToken, async (req, res
       // Print KOT
       console.log('🖨️ Manual KOT print request for order:', orderId);
 
-      const stationGroups = splitOrderByPrintStation(order.items || [], restaurantData.printStations, restaurantData.categories, { ...DEFAULT_PRINT_SETTINGS, ...(restaurantData.printSettings || {}) });
+      const stationGroups = splitOrderByPrintStation(courseFiring.firableItems(order.items, order), restaurantData.printStations, restaurantData.categories, { ...DEFAULT_PRINT_SETTINGS, ...(restaurantData.printSettings || {}) });
       const kotPromises = stationGroups.map(group =>
         pusherService.notifyKOTPrintRequest(order.restaurantId, {
           id: orderId,
@@ -15663,6 +15470,8 @@ app.delete('/api/orders/:orderId', authenticateToken, async (req, res) => {
     if (order.status === 'deleted') {
       return res.json({ message: 'Order already deleted' });
     }
+    const irnLocked = einvoiceService.irnLock(order, 'delete');
+    if (irnLocked) return res.status(409).json({ error: irnLocked, code: 'IRN_LOCKED' });
 
     // Determine if this was a completed/billed order (needs refund)
     const wasCompleted = order.status === 'completed' || order.paymentStatus === 'completed';
@@ -15694,6 +15503,11 @@ app.delete('/api/orders/:orderId', authenticateToken, async (req, res) => {
 
     await orderRef.update(updateData);
 
+    // Fire-and-forget: a billed order's sale is reversed on the ledger
+    ledgerPostingService.postInBackground('order delete', () => ledgerPostingService.syncOrder(orderId));
+    // Fire-and-forget: take the order's open tickets off the kitchen screens
+    kdsService.syncInBackground(orderId);
+
     // Reverse all side effects (inventory, customer, loyalty, offers)
     reverseOrderSideEffects(orderId, order)
       .catch(err => console.error('Side effect reversal error (non-blocking):', err));
@@ -15835,6 +15649,8 @@ app.post('/api/public/delete-order', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
     const order = orderDoc.data();
+    const irnLocked = einvoiceService.irnLock(order, 'delete');
+    if (irnLocked) return res.status(409).json({ error: irnLocked, code: 'IRN_LOCKED' });
     // Update daily analytics stats before hard delete (fire-and-forget) — only if order was counted
     const _nonCountedStatuses = ['saved', 'cancelled', 'deleted', 'refunded'];
     if (!_nonCountedStatuses.includes(order.status)) {
@@ -15875,6 +15691,11 @@ app.post('/api/public/delete-order', async (req, res) => {
       }
     }
     await orderRef.delete();
+    // Fire-and-forget: reverse a billed order's sale and void its kitchen
+    // tickets (the doc is gone, so pass its last state)
+    const deletedOrder = { ...order, status: 'deleted', deletedAt: new Date() };
+    ledgerPostingService.postInBackground('order delete', () => ledgerPostingService.syncOrder(id, deletedOrder));
+    kdsService.syncInBackground(id, null, deletedOrder);
     pusherService.notifyOrderDeleted(order.restaurantId, id).catch(err => console.error('Pusher delete-order (non-blocking):', err));
     res.json({ message: 'Order deleted successfully' });
   } catch (error) {
@@ -17034,11 +16855,11 @@ app.get('/api/tables/:restaurantId/analytics', authenticateToken, async (req, re
       }
 
       // Turn time only meaningful for dine-in (a table was occupied then freed).
+      // Same definition the waitlist learns its predicted waits from.
       const tableKey = o.tableNumber || o.tableId || null;
       if (tableKey && createdAt) {
-        const mins = (completedAt - createdAt) / 60000;
-        // Guard against clock skew / stale saved orders: keep 0 < mins <= 24h.
-        if (mins > 0 && mins <= 1440) {
+        const mins = turnMinutes(o);
+        if (mins != null) {
           turnDurations.push(mins);
           const key = String(tableKey);
           if (!perTable[key]) perTable[key] = { table: key, orders: 0, covers: 0, revenue: 0, durations: [] };
@@ -17589,6 +17410,8 @@ app.post('/api/tables/:restaurantId/assign-section-server', authenticateToken, a
 // ==========================================
 // Walk-in waitlist (host stand)
 // Additive: its own `waitlist` collection; never touches orders/tables/billing.
+// Predicted waits, the guest status page and WhatsApp replies live in
+// services/waitlistService.js (logic in tables/waitlist.js).
 // ==========================================
 
 // Add a walk-in party to the waitlist.
@@ -17598,7 +17421,7 @@ app.post('/api/waitlist/:restaurantId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied. Tables update permission required.' });
     }
     const { restaurantId } = req.params;
-    const { name, phone = null, partySize = 1, quotedWait = null, notes = null } = req.body;
+    const { name, phone = null, partySize = 1, quotedWait = null, notes = null, sendQuote = false } = req.body;
     if (!name || !String(name).trim()) return res.status(400).json({ error: 'Guest name is required.' });
 
     const doc = {
@@ -17607,12 +17430,26 @@ app.post('/api/waitlist/:restaurantId', authenticateToken, async (req, res) => {
       phone: phone ? String(phone).trim() : null,
       partySize: Math.max(1, Number(partySize) || 1),
       quotedWait: quotedWait != null && quotedWait !== '' ? Number(quotedWait) : null,
+      predictedWait: null,
       notes: notes ? String(notes).trim() : null,
       status: 'waiting',
       createdAt: new Date(),
       addedBy: req.user?.userId || req.user?.id || null,
     };
+    // Quote from the live floor when the host didn't type one; a failed
+    // prediction just leaves the quote blank.
+    try {
+      const q = await waitlistService.quote(restaurantId, doc.partySize);
+      doc.predictedWait = q.quotedWait;
+      if (doc.quotedWait == null) doc.quotedWait = q.quotedWait;
+    } catch (predictErr) {
+      console.error('Waitlist quote error:', predictErr.message);
+    }
     const ref = await db.collection('waitlist').add(doc);
+    if (sendQuote && doc.phone) {
+      waitlistService.sendQuote(restaurantId, ref.id, doc)
+        .catch(err => console.error('Waitlist quote message error:', err.message));
+    }
     res.json({ success: true, id: ref.id, ...doc });
   } catch (error) {
     console.error('Waitlist add error:', error);
@@ -17620,26 +17457,29 @@ app.post('/api/waitlist/:restaurantId', authenticateToken, async (req, res) => {
   }
 });
 
-// List active waitlist entries (waiting + notified), oldest first.
-// Single-field query + JS filter/sort → no composite index needed.
+// List active waitlist entries (waiting + notified), oldest first, each with
+// its position and predicted wait.
 app.get('/api/waitlist/:restaurantId', authenticateToken, async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const snap = await db.collection('waitlist').where('restaurantId', '==', restaurantId).get();
-    const toMs = (v) => (v && v.toDate) ? v.toDate().getTime() : (v ? new Date(v).getTime() : 0);
-    const entries = [];
-    snap.forEach(d => {
-      const data = d.data();
-      if (['waiting', 'notified'].includes(data.status)) entries.push({ id: d.id, ...data });
-    });
-    entries.sort((a, b) => toMs(a.createdAt) - toMs(b.createdAt));
-    res.json({ waitlist: entries });
+    const { entries, turnProfile } = await waitlistService.predict(restaurantId);
+    res.json({ waitlist: entries, turnProfile });
   } catch (error) {
     console.error('Waitlist list error:', error);
     res.status(500).json({ error: 'Failed to load waitlist' });
   }
 });
 
+// What to quote a walk-in party right now: ?partySize=4 → { quotedWait, position, predictedTable, … }.
+app.get('/api/waitlist/:restaurantId/quote', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await waitlistService.quote(req.params.restaurantId, req.query.partySize)) });
+  } catch (error) {
+    console.error('Waitlist quote error:', error);
+    res.status(500).json({ error: 'Failed to compute wait quote' });
+  }
+});
+
 // Update a waitlist entry — status changes (seat / cancel / no-show) or edits.
 app.patch('/api/waitlist/:restaurantId/:entryId', authenticateToken, async (req, res) => {
   try {
@@ -17677,57 +17517,24 @@ app.post('/api/waitlist/:restaurantId/:entryId/notify', authenticateToken, async
     if (!(await checkFeaturePermission(req, 'tables', 'update'))) {
       return res.status(403).json({ error: 'Access denied. Tables update permission required.' });
     }
-    const { restaurantId, entryId } = req.params;
-    const entryDoc = await db.collection('waitlist').doc(entryId).get();
-    if (!entryDoc.exists) return res.status(404).json({ error: 'Waitlist entry not found.' });
-    const entry = entryDoc.data();
-    if (!entry.phone) return res.status(400).json({ error: 'No phone number on file for this guest.' });
-
-    const restDoc = await db.collection(collections.restaurants).doc(restaurantId).get();
-    const restaurantName = restDoc.exists ? (restDoc.data().name || restDoc.data().restaurantName || 'the restaurant') : 'the restaurant';
-
-    const snapshot = await db.collection(collections.automationSettings)
-      .where('restaurantId', '==', restaurantId)
-      .where('type', '==', 'whatsapp')
-      .limit(1)
-      .get();
-    if (snapshot.empty || !snapshot.docs[0].data().connected) {
-      return res.status(400).json({ error: 'WhatsApp is not connected. Connect it in Settings to notify guests.' });
-    }
-    const wa = snapshot.docs[0].data();
-    const credentials = wa.mode === 'dineopen'
-      ? { accessToken: process.env.DINEOPEN_WHATSAPP_ACCESS_TOKEN, phoneNumberId: wa.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID, businessAccountId: process.env.DINEOPEN_WHATSAPP_BUSINESS_ACCOUNT_ID }
-      : { accessToken: wa.accessToken, phoneNumberId: wa.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID, businessAccountId: wa.businessAccountId };
-    if (!credentials.accessToken) return res.status(400).json({ error: 'WhatsApp credentials are missing.' });
-
-    // Format the guest phone for WhatsApp: strip formatting, drop a leading 0, and
-    // prepend the restaurant's country dial code if it's a bare local number. The
-    // WhatsApp API rejects numbers without a country code — the host types only the
-    // local number, so this is what made "notify" silently fail.
-    const DIAL_CODES = { IN: '91', US: '1', CA: '1', GB: '44', AE: '971', QA: '974', SA: '966', KE: '254', PK: '92', BD: '880', LK: '94', NP: '977', SG: '65', MY: '60', AU: '61', NZ: '64', ZA: '27', NG: '234' };
-    const rCountry = (restDoc.exists ? (restDoc.data().currencySettings?.countryCode || restDoc.data().countryCode) : 'IN') || 'IN';
-    const dial = DIAL_CODES[String(rCountry).toUpperCase()] || '91';
-    let waPhone = String(entry.phone).replace(/\D/g, '');
-    if (waPhone.startsWith('0')) waPhone = waPhone.slice(1);
-    if (!waPhone.startsWith(dial) && waPhone.length <= 10) waPhone = dial + waPhone;
-
-    const message = `Hi ${entry.name}! 🎉 Your table at ${restaurantName} is ready. Please head over to the host stand.`;
-    const waResult = await whatsappService.sendTextMessage(waPhone, message, credentials);
-    await db.collection('waitlist').doc(entryId).update({ status: 'notified', notifiedAt: new Date() });
-    // Log to automation logs so it shows up alongside bill notifications.
-    db.collection(collections.automationLogs).add({
-      restaurantId, type: 'whatsapp_waitlist', phone: waPhone, customerName: entry.name,
-      message, messageId: waResult?.messageId || null, direction: 'outgoing',
-      status: waResult?.success ? 'sent' : 'failed', timestamp: new Date(),
-    }).catch(() => {});
-
+    await waitlistService.notifyReady(req.params.restaurantId, req.params.entryId);
     res.json({ success: true, notified: true });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('Waitlist notify error:', error);
     res.status(500).json({ error: 'Failed to notify guest' });
   }
 });
 
+// Reservations — slot/covers caps, automatic table assignment, no-shows, reminder cron and public booking widget.
+app.use(require('./routes/reservationRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Deposits on reservations and venue bookings — Razorpay/Dodo links, bill application, cancellation refunds and fees.
+app.use(require('./routes/depositRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Pay-at-table — table QR → open bill, guest splits and tips, Razorpay payments recorded as partial payments, auto-close.
+app.use(require('./routes/payAtTableRoutes')(db, collections, authenticateToken, validateRestaurantAccess, { completeOrder: completeGuestPaidOrder }));
+
 // Save the drag-and-drop floor-plan layout for a floor's tables. Bulk update of
 // position/size/shape only — never touches status/order/billing. Gated on
 // tables.manage. Body: { floorId, tables: [{ id, posX, posY, width, height, rotation, shape }] }.
@@ -21152,6 +20959,40 @@ app.use('/api', currencyRoutes);
 // Dormant for every non-Kenya store; never affects existing users.
 app.use(require('./routes/etimsRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
 
+// India GST e-invoice (IRN) + e-way bill routes — gated on isIndia() per store.
+app.use(require('./routes/einvoiceRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Saudi ZATCA Phase 2 (Fatoora) signing + reporting — gated on isSaudi() per store.
+app.use(require('./routes/zatcaRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Kitchen Display System — per-station ticket queues, bump/recall and the expo screen.
+app.use(require('./routes/kdsRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Course firing — hold later courses of dine-in orders and fire them to the kitchen on cue.
+app.use(require('./routes/courseRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Food-cost reports (theoretical vs. actual variance) — per outlet; org view in hqReportsRoutes.
+app.use(require('./routes/foodCostRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Stock-driven menu availability — auto-86 recipe items when an ingredient runs out.
+app.use(require('./routes/stockAvailabilityRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Par-level reordering — daily draft POs per supplier from par levels / reorder points.
+app.use(require('./routes/autoReorderRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Purchase approval chains — multi-level PR / PO sign-off by amount, category and outlet.
+app.use(require('./routes/purchaseApprovalRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Supplier invoice match exceptions — tolerances, exception queue, payment holds, aged unmatched report.
+app.use(require('./routes/invoiceMatchRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
+// Supplier payments — partial / advance payments, AP ageing, payment runs with bank bulk-transfer CSV.
+app.use(require('./routes/supplierPaymentRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+// Lot traceability — forward/backward batch trace and batch recalls with affected customers.
+app.use(require('./routes/traceabilityRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+// Per-item units of measure — unit tables, conversion preview, migration of legacy purchase units.
+app.use(require('./routes/unitConversionRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+
 // ==================== OWNER CHAIN DASHBOARD ====================
 // Owner dashboard routes for multi-restaurant management
 app.use('/api/owner', ownerDashboardRoutes);
@@ -21317,11 +21158,14 @@ app.use('/api/delivery', deliveryRoutes);
 // ==================== BOOKS MODULE (Payroll, GST, Ledger) ====================
 app.use('/api/payroll', payrollRoutes);
 app.use('/api/gst', gstRoutes);
+ledgerRoutes.setAccessCheck(validateRestaurantAccess);
 app.use('/api/ledger', ledgerRoutes);
 
 // ==================== CASH REGISTER / SHIFT MANAGEMENT ====================
 app.use('/api/register', registerRoutes);
 app.use('/api/shifts-cash', shiftRoutes);
+// Tip pools — pooling rules and tip-outs, pools closed at shift end, per-staff tip statements.
+app.use(require('./routes/tipPoolRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
 
 // ==================== CHAIN / ENTERPRISE MODULE ====================
 app.use('/api/organizations', organizationRoutes);
@@ -22442,106 +22286,6 @@ app.get('/api/invoices/:restaurantId', authenticateToken, async (req, res) => {
   }
 });
 
-// ============================================================================
-// Print Station Routing — Split order items by category → print station
-// ============================================================================
-
-/**
- * Filter out items excluded from KOT printing by category or item ID.
- * Returns items unchanged when the feature is disabled.
- */
-function filterKotExcludedItems(items, printSettings, catIndex) {
-  if (!printSettings?.kotExclusionEnabled) return items;
-  const rawExcludedCats = printSettings.kotExcludedCategories || [];
-  const excludedIds = new Set(printSettings.kotExcludedItemIds || []);
-  if (rawExcludedCats.length === 0 && excludedIds.size === 0) return items;
-  const hasTree = catIndex && catIndex.hasTree;
-  // Legacy EXACT set — preserves the pre-existing flat-store behavior byte-for-byte.
-  const excludedExact = new Set(rawExcludedCats);
-  // Lowercased set — used ONLY for the hierarchical (tree) ancestor match below.
-  const excludedLower = hasTree ? new Set(rawExcludedCats.map(c => (c || '').toString().toLowerCase().trim())) : null;
-  return items.filter(item => {
-    if (excludedIds.has(item.id || item.menuItemId)) return false;
-    // Hierarchical stores only: exclude if the item's category OR any ancestor
-    // is excluded (so excluding a parent category excludes its whole sub-tree).
-    if (hasTree) {
-      const path = categoryTree.resolveCategoryPath(item, catIndex);
-      if (path.some(n => excludedLower.has((n.id || '').toString().toLowerCase().trim()) || excludedLower.has((n.name || '').toString().toLowerCase().trim()))) return false;
-    }
-    // Legacy exact behavior — unchanged for flat stores.
-    if (excludedExact.has(item.categoryId)) return false;
-    return true;
-  });
-}
-
-/**
- * Given order items and print stations, returns an array of
- * { stationId, stationName, items } groups.
- * If no print stations configured, returns single group with all items.
- */
-function splitOrderByPrintStation(orderItems, printStations, restaurantCategories, printSettings) {
-  // KOT Exclusion: remove excluded items before station routing (ancestor-aware)
-  const kotCatIndex = categoryTree.buildCategoryIndex(restaurantCategories || []);
-  orderItems = filterKotExcludedItems(orderItems || [], printSettings, kotCatIndex);
-
-  if (!printStations || printStations.length === 0 || !orderItems || orderItems.length === 0) {
-    return orderItems && orderItems.length > 0
-      ? [{ stationId: null, stationName: null, items: orderItems }]
-      : [];
-  }
-
-  const enabledStations = printStations.filter(s => s.enabled);
-  if (enabledStations.length === 0) {
-    return [{ stationId: null, stationName: null, items: orderItems }];
-  }
-
-  // Build category name → ID lookup
-  const nameToId = {};
-  for (const cat of (restaurantCategories || [])) {
-    if (cat.name) nameToId[cat.name.toLowerCase().trim()] = cat.id;
-  }
-
-  // Build categoryId → station lookup (station.categoryIds are category slug ids)
-  const catIndex = kotCatIndex;
-  const catToStation = {};
-  let defaultStation = enabledStations.find(s => s.isDefault) || enabledStations[0];
-  for (const station of enabledStations) {
-    for (const catId of (station.categoryIds || [])) {
-      catToStation[catId] = station; // exact key — preserves legacy flat behavior
-    }
-  }
-
-  // Group items by resolved station. For a hierarchical menu, an item routes to
-  // the station configured for its category OR any ANCESTOR — so assigning a
-  // parent category (e.g. "Beverages") to a station also routes every
-  // sub-category under it (Cognac, Gin…). Flat stores use the exact legacy match.
-  const groups = {};
-  for (const item of orderItems) {
-    let station = null;
-    if (catIndex.hasTree) {
-      const path = categoryTree.resolveCategoryPath(item, catIndex); // [root…leaf]
-      // Prefer the most specific (leaf) station config, walking up to the root.
-      for (let i = path.length - 1; i >= 0 && !station; i--) {
-        station = catToStation[path[i].id] || catToStation[path[i].name];
-      }
-    }
-    if (!station) {
-      // Legacy exact behavior — unchanged for flat stores.
-      const catId = item.categoryId || nameToId[item.category?.toLowerCase()?.trim()] || item.category;
-      station = catToStation[catId];
-    }
-    station = station || defaultStation;
-    if (!station) continue;
-    if (!groups[station.id]) {
-      groups[station.id] = { stationId: station.id, stationName: station.name, items: [] };
-    }
-    groups[station.id].items.push(item);
-  }
-
-  const result = Object.values(groups);
-  return result.length > 0 ? result : [{ stationId: null, stationName: null, items: orderItems }];
-}
-
 // KOT (Kitchen Order Ticket) Management APIs
 
 // Get KOT orders for kitchen - only orders with status 'confirmed' or later, not 'cancelled'
@@ -22656,6 +22400,8 @@ app.get('/api/kot/:restaurantId', async (req, res) => {
 
       orders.push({
         ...orderData,
+        // Held courses stay off the kitchen screen until fired
+        items: courseFiring.firableItems(orderData.items, orderData),
         kotId,
         kotTime: kotTime.toISOString(),
         estimatedTime,
@@ -22939,8 +22685,8 @@ app.get('/api/kot/pending-print/:restaurantId', async (req, res) => {
         }
       }
 
-      // Filter items by station if requested
-      let items = orderData.items || [];
+      // Filter items by station if requested (held courses never print)
+      let items = courseFiring.firableItems(orderData.items, orderData);
       if (stationFilter) {
         const { station, nameToId } = stationFilter;
         const stationCatIds = new Set(station.categoryIds || []);
@@ -23649,7 +23395,23 @@ const assembleBillRenderPayload = (orderId, orderData, restaurantId, restaurantD
     formattedDate,
     formattedTime,
     // ECR card terminal response (NAPS Qatar)
-    ecrResponse: orderData.ecrResponse || null
+    ecrResponse: orderData.ecrResponse || null,
+    // GST e-invoice (India B2B) — IRN, ack and the IRP-signed QR to print
+    eInvoice: orderData.eInvoice?.status === 'generated' ? {
+      irn: orderData.eInvoice.irn,
+      ackNo: orderData.eInvoice.ackNo || null,
+      ackDt: orderData.eInvoice.ackDt || null,
+      signedQrCode: orderData.eInvoice.signedQrCode || null,
+      ewbNo: orderData.eInvoice.ewb?.status === 'generated' ? orderData.eInvoice.ewb.ewbNo : null
+    } : null,
+    // ZATCA (Saudi) — signed simplified invoice counter, hash and TLV QR to print
+    zatca: orderData.zatca?.invoiceHash ? {
+      qr: orderData.zatca.qr,
+      uuid: orderData.zatca.uuid,
+      icv: orderData.zatca.icv,
+      invoiceHash: orderData.zatca.invoiceHash,
+      reportingStatus: orderData.zatca.reportingStatus || 'pending'
+    } : null
   };
 
   return {
@@ -23685,6 +23447,21 @@ app.get('/api/bill/render/:restaurantId/:orderId', async (req, res) => {
     }
 
     const payload = assembleBillRenderPayload(orderDoc.id, orderData, restaurantId, restaurantDoc.data());
+    // Pre-render the e-invoice QR so web/print clients don't need a QR library
+    if (payload.bill.eInvoice?.signedQrCode) {
+      try {
+        payload.bill.eInvoice.qrDataUrl = await QRCode.toDataURL(payload.bill.eInvoice.signedQrCode, { errorCorrectionLevel: 'L', margin: 1, width: 240 });
+      } catch (qrErr) {
+        console.error('Bill render e-invoice QR error (non-blocking):', qrErr.message);
+      }
+    }
+    if (payload.bill.zatca?.qr) {
+      try {
+        payload.bill.zatca.qrDataUrl = await QRCode.toDataURL(payload.bill.zatca.qr, { errorCorrectionLevel: 'L', margin: 1, width: 240 });
+      } catch (qrErr) {
+        console.error('Bill render ZATCA QR error (non-blocking):', qrErr.message);
+      }
+    }
     res.json(payload);
   } catch (error) {
     console.error('Bill render error:', error);
@@ -23727,7 +23504,10 @@ app.get('/api/kot/render/:restaurantId/:orderId', async (req, res) => {
     // Filter items by newOnly (incremental KOT) and/or print station
     const { stationId, newOnly } = req.query;
     const incremental = newOnly === 'true';
-    let items = orderData.items || [];
+    // Held courses never print; ?course=N limits the KOT to one course (course firing)
+    let items = courseFiring.firableItems(orderData.items, orderData);
+    const courseFilter = courseFiring.sanitizeCourse(req.query.course);
+    if (courseFilter) items = items.filter(item => courseFiring.courseOf(item) === courseFilter);
     let removedItems = [];
 
     // Incremental KOT (order UPDATE): only the delta prints.
@@ -23740,7 +23520,7 @@ app.get('/api/kot/render/:restaurantId/:orderId', async (req, res) => {
           ? { ...item, quantity: Number(item.quantityDelta) }
           : item);
       // stored removed items carry quantity:0 + previousQuantity — show the removed count on the CANCELLED slip
-      removedItems = (orderData.removedItems || []).map(i => ({
+      removedItems = courseFiring.firableItems(orderData.removedItems, orderData).map(i => ({
         ...i,
         isRemoved: true,
         quantity: Number(i.previousQuantity) || Number(i.quantity) || 1,
@@ -24094,6 +23874,8 @@ app.patch('/api/orders/:orderId/cancel', authenticateToken, async (req, res) =>
         error: 'Order is already cancelled'
       });
     }
+    const irnLocked = einvoiceService.irnLock(orderData, 'cancel');
+    if (irnLocked) return res.status(409).json({ error: irnLocked, code: 'IRN_LOCKED' });
 
     // Update order status to cancelled
     const updateData = {
@@ -24172,6 +23954,9 @@ app.patch('/api/orders/:orderId/cancel', authenticateToken, async (req, res) =>
 
     console.log(`✅ Order ${orderId} cancelled successfully`);
 
+    // Fire-and-forget: take the order's open tickets off the kitchen screens
+    kdsService.syncInBackground(orderId);
+
     // Send real-time void notification to owner/admin (Firebase RTDB)
     try {
       await pusherService.pushEvent(orderData.restaurantId, 'orders', 'order-voided', {
@@ -24306,6 +24091,419 @@ async function debitWalletForOrder({ customerId, orderId, amount, staffId = null
   }
 }
 
+// Deferred customer / offer / loyalty updates for an order being completed:
+// links (or creates) the customer from the order's phone, bumps offer usage and
+// applies the order's loyalty points. `body` is the completing request's body
+// (customer details and totals the till may send along with the status).
+async function processCompletionUpdates(orderId, orderData, body = {}) {
+  console.log(`✅ Order ${orderId} marked as completed. Processing deferred updates...`);
+
+  let customerId = orderData.customerId;
+
+  // Create/update customer record if customer info exists but customerId not set yet
+  // (handles KOT→billing flow where customer wasn't linked during initial order creation)
+  const customerPhone = orderData.customerInfo?.phone || body.customerInfo?.phone;
+  const customerName = orderData.customerInfo?.name || body.customerInfo?.name;
+  if (customerPhone && customerPhone !== 'null' && !orderData.customerId) {
+    try {
+      const orderFinalAmount = body.finalAmount || orderData.finalAmount || orderData.totalAmount || 0;
+      const orderTotalAmount = body.totalAmount || orderData.totalAmount || 0;
+      const histEntry = {
+        orderId: orderId,
+        orderNumber: orderData.orderNumber,
+        totalAmount: Math.round(orderTotalAmount * 100) / 100,
+        finalAmount: Math.round(orderFinalAmount * 100) / 100,
+        taxAmount: Math.round((body.taxAmount || orderData.taxAmount || 0) * 100) / 100,
+        orderDate: new Date(),
+        tableNumber: orderData.tableNumber || null,
+        orderType: orderData.orderType,
+        // paidAmount = amount actually collected, so the totalSpent recompute
+        // doesn't over-count a due order linked to a customer at completion.
+        paymentStatus: orderData.paymentStatus || 'paid',
+        paidAmount: (orderData.paymentStatus === 'due' || orderData.paymentStatus === 'partial')
+          ? Math.round(Number(orderData.paidAmount || 0) * 100) / 100
+          : Math.round(orderFinalAmount * 100) / 100,
+        outstandingAmount: Math.round(Number(orderData.outstandingAmount || 0) * 100) / 100,
+      };
+      // Normalize phone helper
+      const normPhone = (p) => {
+        if (p === null || p === undefined || p === '') return null;
+        const d = String(p).replace(/\D/g, '');
+        if (d.length === 12 && d.startsWith('91')) return d.substring(2);
+        if (d.length === 11 && d.startsWith('0')) return d.substring(1);
+        return d.length === 10 ? d : d;
+      };
+      // Find existing customer
+      let custDoc = null;
+      const pq = await db.collection(collections.customers)
+        .where('restaurantId', '==', orderData.restaurantId)
+        .where('phone', '==', customerPhone)
+        .limit(1).get();
+      if (!pq.empty) {
+        custDoc = pq.docs[0];
+      } else {
+        // Try common phone format variations instead of scanning all customers
+        const np = normPhone(customerPhone);
+        if (np && np !== customerPhone) {
+          // Try normalized phone as direct query
+          const npq = await db.collection(collections.customers)
+            .where('restaurantId', '==', orderData.restaurantId)
+            .where('phone', '==', np)
+            .limit(1).get();
+          if (!npq.empty) {
+            custDoc = npq.docs[0];
+          }
+        }
+        // Try with/without country code prefix variations
+        if (!custDoc && customerPhone) {
+          const variations = [];
+          const digits = customerPhone.replace(/\D/g, '');
+          if (digits.length > 10) variations.push(digits.slice(-10)); // without country code
+          if (digits.length === 10) {
+            variations.push('91' + digits);   // with India code
+            variations.push('+91' + digits);  // with +91
+          }
+          for (const v of variations) {
+            if (v === customerPhone) continue; // skip already tried
+            const vq = await db.collection(collections.customers)
+              .where('restaurantId', '==', orderData.restaurantId)
+              .where('phone', '==', v)
+              .limit(1).get();
+            if (!vq.empty) { custDoc = vq.docs[0]; break; }
+          }
+        }
+      }
+      if (custDoc) {
+        customerId = custDoc.id;
+        const cd = custDoc.data();
+        const nh = [...(cd.orderHistory || []), histEntry];
+        await custDoc.ref.update({
+          orderHistory: nh,
+          totalOrders: nh.length,
+          totalSpent: nh.reduce((s, o) => s + (o.paidAmount != null ? o.paidAmount : (o.finalAmount || o.totalAmount || 0)), 0),
+          lastOrderDate: new Date(),
+          updatedAt: new Date()
+        });
+      } else if (customerPhone) {
+        // Only create new customer when phone number is provided
+        const newRef = await db.collection(collections.customers).add({
+          name: customerName || 'Customer',
+          phone: customerPhone,
+          restaurantId: orderData.restaurantId,
+          orderHistory: [histEntry],
+          totalOrders: 1,
+          totalSpent: Math.round(orderFinalAmount * 100) / 100,
+          lastOrderDate: new Date(),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+        customerId = newRef.id;
+      } else {
+        console.log(`⏭️ Skipping customer creation on completion — no phone number provided`);
+      }
+      try { await db.collection('orders').doc(orderId).update({ customerId }); } catch (e) {}
+      console.log(`👤 Customer processed on completion: ${customerId}`);
+    } catch (custErr) {
+      console.error('Error creating/updating customer on completion:', custErr);
+    }
+  }
+  
+  // Update Offer Usage for all applied offers
+  const offersToUpdate = orderData.appliedOffers && orderData.appliedOffers.length > 0
+    ? orderData.appliedOffers
+    : (orderData.appliedOffer && orderData.appliedOffer.id ? [orderData.appliedOffer] : []);
+
+  for (const appliedOfferItem of offersToUpdate) {
+    if (appliedOfferItem && appliedOfferItem.id) {
+      try {
+        await db.collection('offers').doc(appliedOfferItem.id).update({
+          usageCount: FieldValue.increment(1),
+          updatedAt: new Date()
+        });
+        console.log(`🎁 Offer usage incremented for ${appliedOfferItem.id}`);
+      } catch (err) {
+        console.error('Error updating offer usage:', err);
+      }
+    }
+  }
+
+  // Update Customer Loyalty (totalOrders/totalSpent already updated on order creation in POST /api/customers)
+  if (customerId) {
+    try {
+      const customerUpdateData = {
+        lastOrderDate: new Date(),
+        updatedAt: new Date()
+      };
+      
+      const pointsEarned = orderData.loyaltyPointsEarned || 0;
+      const pointsRedeemed = orderData.loyaltyPointsRedeemed || 0;
+      const netPointsChange = pointsEarned - pointsRedeemed;
+      
+      if (netPointsChange !== 0) {
+        customerUpdateData.loyaltyPoints = FieldValue.increment(netPointsChange);
+      }
+      
+      await db.collection('customers').doc(customerId).update(customerUpdateData);
+      console.log(`👤 Customer stats updated for ${customerId}. Points: ${netPointsChange > 0 ? '+' : ''}${netPointsChange}`);
+      
+      // Add to order history
+      const orderHistoryEntry = {
+        orderId: orderId,
+        orderNumber: orderData.orderNumber,
+        orderDate: new Date(), // Completion date
+        subtotal: orderData.subtotal || 0,
+        totalAmount: orderData.totalAmount,
+        finalAmount: orderData.finalAmount || orderData.totalAmount,
+        taxAmount: orderData.taxAmount || 0,
+        taxBreakdown: orderData.taxBreakdown || [],
+        serviceChargeAmount: orderData.serviceChargeAmount || 0,
+        serviceChargeRate: orderData.serviceChargeRate || 0,
+        tipAmount: orderData.tipAmount || 0,
+        roundOffAmount: orderData.roundOffAmount || 0,
+        outstandingAmount: orderData.outstandingAmount || 0,
+        paidAmount: orderData.paidAmount || 0,
+        discountAmount: orderData.discountAmount || 0,
+        manualDiscount: orderData.manualDiscount || 0,
+        loyaltyDiscount: orderData.loyaltyDiscount || 0,
+        totalDiscountAmount: orderData.totalDiscountAmount || 0,
+        appliedOffer: orderData.appliedOffer?.name || orderData.selectedOfferName || null,
+        selectedOfferName: orderData.selectedOfferName || (orderData.appliedOffer?.name) || null,
+        loyaltyPointsEarned: pointsEarned,
+        loyaltyPointsRedeemed: pointsRedeemed,
+        tableNumber: orderData.tableNumber,
+        orderType: orderData.orderType,
+        orderTypeLabel: orderData.orderTypeLabel,
+        orderSource: orderData.orderSource,
+        status: 'completed',
+        itemsCount: orderData.items?.length || 0
+      };
+
+      // Order history entry already added during order creation (POST /api/orders or POST /api/customers)
+      // Only add here if somehow missing (e.g., legacy orders created before this change)
+      console.log('📜 Customer loyalty updated on order completion');
+
+    } catch (err) {
+      console.error('Error updating customer stats:', err);
+    }
+  }
+}
+
+// Fire-and-forget work once an order is completed, shared by
+// PATCH /api/orders/:orderId/status and pay-at-table (completeGuestPaidOrder):
+// a settled PARTY sub-table is removed, the bill goes out on WhatsApp and the
+// kitchen screens catch up. `shareToken` is the order's public bill link.
+function processCompletionSideEffects(orderId, orderData, { shareToken = null } = {}) {
+  // If this completed order belonged to a PARTY sub-table (B/C/…), the
+  // party's check is now settled — remove that party so it disappears from the table
+  // (Toast/Square behaviour). Base "Party A" and other siblings stay. Only party tables
+  // are removed here — split children and normal tables are never touched.
+  if (orderData.tableId) {
+    (async () => {
+      try {
+        const found = await findTableAcrossFloors(orderData.restaurantId, orderData.tableId);
+        if (!found || !found.data || !found.data.isPartyTable) return;
+        const pt = found.data;
+        const tablesRef = db.collection('restaurants').doc(orderData.restaurantId)
+          .collection('floors').doc(found.floorId).collection('tables');
+        await found.ref.delete();
+        // Clear the base table's party anchor once no sibling parties remain.
+        const rem = await tablesRef.where('partyGroupId', '==', pt.partyGroupId).where('isPartyTable', '==', true).limit(1).get();
+        if (rem.empty && pt.partyOfTableId) {
+          const base = await findTableAcrossFloors(orderData.restaurantId, pt.partyOfTableId);
+          if (base) await base.ref.update({ hasParties: false, updatedAt: new Date() }).catch(() => {});
+        }
+        pusherService.triggerTableStatusUpdated(orderData.restaurantId, {
+          tableId: orderData.tableId, status: 'available', orderId: null, tableNumber: pt.name, removed: true,
+        }).catch(() => {});
+      } catch (e) { console.error('Party auto-remove on settle (non-blocking):', e.message); }
+    })();
+  }
+
+  // Send the bill on WhatsApp if enabled
+  (async () => {
+    try {
+      const restDoc = await getCachedRestDoc(orderData.restaurantId);
+      const bSettings = restDoc.exists ? (restDoc.data().billingSettings || {}) : {};
+      if (!bSettings.whatsappBillingEnabled) return;
+
+      const waSnap = await db.collection(collections.automationSettings)
+        .where('restaurantId', '==', orderData.restaurantId)
+        .where('type', '==', 'whatsapp')
+        .where('connected', '==', true)
+        .limit(1).get();
+      if (waSnap.empty) return;
+
+      const custPhone = orderData.customerPhone || orderData.customerInfo?.phone || orderData.customerMobile;
+      if (!custPhone) return;
+
+      // Normalize phone for customer lookup
+      const normPhone = custPhone.replace(/[\s\-\(\)\+]/g, '').replace(/^(\+?91)/, '').slice(-10);
+      const custSnap = await db.collection(collections.customers)
+        .where('restaurantId', '==', orderData.restaurantId)
+        .where('phone', '==', normPhone)
+        .limit(1).get();
+      if (!custSnap.empty && custSnap.docs[0].data().whatsappBillEnabled === false) return;
+
+      const message = whatsappBill.buildBillMessage(orderId, orderData, restDoc.data(), {
+        shareToken, baseUrl: process.env.FRONTEND_URL || undefined,
+      });
+
+      const waSettings = waSnap.docs[0].data();
+      const credentials = waSettings.mode === 'dineopen' ? {
+        accessToken: process.env.DINEOPEN_WHATSAPP_ACCESS_TOKEN,
+        phoneNumberId: waSettings.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID,
+        businessAccountId: process.env.DINEOPEN_WHATSAPP_BUSINESS_ACCOUNT_ID
+      } : {
+        accessToken: waSettings.accessToken,
+        phoneNumberId: waSettings.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID,
+        businessAccountId: waSettings.businessAccountId
+      };
+
+      const result = await whatsappBill.sendBillMessage(message, credentials, require('./services/whatsappService'));
+
+      await db.collection(collections.automationLogs).add({
+        restaurantId: orderData.restaurantId, type: 'whatsapp_bill',
+        phone: message.to, customerName: message.customerName,
+        message: message.logMessage, messageId: result?.messageId || null,
+        orderId, amount: orderData.finalAmount || orderData.totalAmount,
+        direction: 'outgoing', status: result?.success ? 'sent' : 'failed',
+        timestamp: new Date()
+      });
+      console.log(`📱 WhatsApp bill sent for order ${orderId}`);
+    } catch (err) {
+      console.error('📱 WhatsApp bill error (non-blocking):', err.message);
+    }
+  })();
+
+  kdsService.syncInBackground(orderId);
+}
+
+// Write the update that completes an order → true, or false when the order
+// was completed in the meantime (nothing written; the caller skips its
+// completion work). The status check and the write share a transaction. A
+// reservation deposit held for the order (services/depositService.js)
+// settles the bill first: its payment fields are merged into `updateData`
+// and written in the same transaction that claims the deposit. Shared by the
+// order PATCH, the status PATCH and pay-at-table so every way of closing a
+// bill applies the deposit once.
+async function saveCompletedOrder(orderId, orderData, updateData, { depositId = null } = {}) {
+  if (!orderData.depositId) {
+    try {
+      const depositFields = await depositService.applyToOrder(orderId, { ...orderData, ...updateData, depositId: depositId || null }, updateData);
+      if (depositFields) {
+        Object.assign(updateData, depositFields);
+        return true;
+      }
+    } catch (depositErr) {
+      if (depositErr.code === 'ALREADY_COMPLETED') return false;
+      console.error('Deposit apply error (non-blocking):', depositErr.message);
+    }
+  }
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(orderRef);
+    if (!snap.exists || snap.data().status === 'completed') return false;
+    tx.update(orderRef, updateData);
+    return true;
+  });
+}
+
+// Close a bill the guests settled themselves from the table QR (pay-at-table).
+// Same completion work as PATCH /api/orders/:orderId/status — customer and
+// loyalty updates, deposit, share link, bill print, invoice email,
+// cashback/wallet, ledger, eTIMS and ZATCA — then the table is freed on the
+// floor view and processCompletionSideEffects runs (party table, WhatsApp
+// bill, kitchen screens). No-op when the order was already closed at the till.
+async function completeGuestPaidOrder(orderId) {
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  const orderDoc = await orderRef.get();
+  if (!orderDoc.exists) return;
+  const orderData = orderDoc.data();
+  if (['completed', 'cancelled', 'deleted'].includes(orderData.status)) return;
+
+  const orderUpdateData = {
+    status: 'completed',
+    completedAt: new Date(),
+    closedVia: 'pay-at-table',
+    billPrinted: false,
+    updatedAt: new Date(),
+  };
+  if (!orderData.shareToken) {
+    orderUpdateData.shareToken = require('crypto').randomBytes(16).toString('hex');
+  }
+  // Two guest payments confirmed together both see nothing outstanding; only
+  // the one that completes the order does the completion work
+  if (!(await saveCompletedOrder(orderId, orderData, orderUpdateData))) return;
+  await processCompletionUpdates(orderId, orderData);
+  invalidateOrdersCache(orderData.restaurantId);
+  console.log(`✅ Order ${orderId} fully paid at the table — closed`);
+
+  const restaurantDoc = await getCachedRestDoc(orderData.restaurantId);
+  const printSettings = restaurantDoc.exists ? (restaurantDoc.data().printSettings || {}) : {};
+  // Signed first so a Saudi bill prints with its ZATCA QR
+  await zatcaService.signOnCompletion(orderId, orderData.restaurantId, restaurantDoc.exists ? restaurantDoc.data() : null);
+  const paid = { ...orderData, ...(await orderRef.get()).data() };
+  await Promise.allSettled([
+    pusherService.notifyOrderStatusUpdated(orderData.restaurantId, orderId, 'completed', {
+      orderNumber: orderData.orderNumber,
+      dailyOrderId: orderData.dailyOrderId,
+      totalAmount: orderData.totalAmount,
+      tableNumber: orderData.tableNumber,
+      tableId: orderData.tableId || null,
+      floorId: orderData.floorId || null,
+    }),
+    pusherService.notifyBillingPrintRequest(orderData.restaurantId, {
+      id: orderId,
+      dailyOrderId: paid.dailyOrderId,
+      orderNumber: paid.orderNumber,
+      tableNumber: paid.tableNumber,
+      customerName: paid.customerName || paid.customerInfo?.name,
+      customerMobile: paid.customerMobile || paid.customerInfo?.phone,
+      items: paid.items,
+      subtotal: paid.subtotal || paid.totalAmount,
+      totalAmount: paid.totalAmount,
+      taxAmount: paid.taxAmount,
+      taxBreakdown: paid.taxBreakdown,
+      finalAmount: paid.finalAmount || paid.totalAmount,
+      discountAmount: paid.discountAmount || 0,
+      totalDiscountAmount: paid.totalDiscountAmount || 0,
+      paymentMethod: paid.paymentMethod,
+      orderType: paid.orderType,
+      serviceChargeAmount: paid.serviceChargeAmount || null,
+      tipAmount: paid.tipAmount || null,
+      roundOffAmount: paid.roundOffAmount || null,
+      createdAt: paid.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
+      completedAt: new Date(),
+      tokenBillingEnabled: printSettings.tokenBillingEnabled || false
+    }),
+  ]);
+
+  const invoiceEmailService = require('./invoiceEmailService');
+  invoiceEmailService.sendInvoiceEmail({ orderId, restaurantId: orderData.restaurantId })
+    .catch(err => console.error('Invoice email error (non-blocking):', err.message));
+  processCashbackForOrder(orderId, orderData).catch(() => {});
+  processWalletRedemptionForOrder(orderId).catch(() => {});
+  ledgerPostingService.postInBackground('order', () => ledgerPostingService.syncOrder(orderId));
+  etimsQueueService.syncInBackground(orderId, orderData.restaurantId);
+
+  // Free the table for the next party ('cleaning' with posSettings.autoDirtyOnPayment)
+  if (orderData.tableId) {
+    try {
+      const tableReleaseStatus = restaurantDoc.exists && restaurantDoc.data()?.posSettings?.autoDirtyOnPayment ? 'cleaning' : 'available';
+      const table = await findTableAcrossFloors(orderData.restaurantId, orderData.tableId);
+      if (table && table.data.currentOrderId === orderId) {
+        await table.ref.update({ status: tableReleaseStatus, currentOrderId: null, updatedAt: new Date() });
+        pusherService.triggerTableStatusUpdated(orderData.restaurantId, {
+          tableId: orderData.tableId, status: tableReleaseStatus, orderId: null, tableNumber: orderData.tableNumber,
+        }).catch(err => console.error('RTDB table-status-updated error:', err));
+      }
+    } catch (error) {
+      console.error('Error releasing table after pay-at-table close:', error);
+    }
+  }
+  processCompletionSideEffects(orderId, paid, { shareToken: paid.shareToken });
+}
+
 // Fire-and-forget wallet debit at order completion. Ensures wallet-paid orders
 // are debited server-side even when the client never calls (table billing) or
 // can't (offline sync) — the previous client-only debit silently missed both.
@@ -24692,6 +24890,9 @@ app.patch('/api/orders/:orderId/restore', authenticateToken, async (req, res) =>
       updateDailyStats(orderData.restaurantId, orderData, 'add', parseTZ(req), parseDayStart(req));
     }
 
+    // Drop any ledger reversal posted when the order was cancelled
+    ledgerPostingService.postInBackground('order restore', () => ledgerPostingService.syncOrder(orderId));
+
     console.log(`✅ Order ${orderId} restored successfully to status: ${restoreStatus}`);
 
     res.json({
@@ -26408,6 +26609,7 @@ Return [] if no items could be identified.`
 
       const orderRef = await db.collection(collections.orders).add(orderData);
       invalidateOrdersCache(restaurantId); // quick-log creates a real order → refresh order lists
+      ledgerPostingService.postInBackground('order', () => ledgerPostingService.syncOrder(orderRef.id, orderData));
       console.log('📦 Quick order created:', orderRef.id);
 
       // Deduct inventory via recipes (synchronous for user feedback)
@@ -26485,8 +26687,19 @@ app.post('/api/inventory/:restaurantId', authenticateToken, async (req, res) =>
       // purchase unit (1 bottle = 750 ml → 750). Defaults keep single-unit items unchanged.
       purchaseUnit,
       conversionFactor,
+      // Per-item units (inventory/units.js): recipe unit, custom conversions
+      // ("1 case = 12 bottle"), and density in g/ml for weight↔volume
+      recipeUnit,
+      unitConversions,
+      density,
       // Reverse-link: connect this inventory item to a menu item (inventory→menu)
-      linkedMenuItemId
+      linkedMenuItemId,
+      // Par-level reordering (inventory/reorder.js) — all in `unit`
+      parLevel,
+      reorderPoint,
+      minOrderQuantity,
+      packSize,
+      preferredSupplierId
     } = req.body;
 
     // Validate required fields
@@ -26505,6 +26718,11 @@ app.post('/api/inventory/:restaurantId', authenticateToken, async (req, res) =>
       return res.status(400).json({ error: 'Item with this name already exists' });
     }
 
+    const { conversions, errors: conversionErrors } = sanitizeConversions(unitConversions);
+    if (conversionErrors.length > 0) {
+      return res.status(400).json({ error: conversionErrors[0], errors: conversionErrors });
+    }
+
     // Auto-calculate expiryDate from mfgDate + expiryDays if provided
     let calculatedExpiryDate = expiryDate || null;
     if (mfgDate && expiryDays && !expiryDate) {
@@ -26541,7 +26759,15 @@ app.post('/api/inventory/:restaurantId', authenticateToken, async (req, res) =>
       // Purchase/usage conversion (usageUnit == unit). Defaults: buy == stock unit, factor 1.
       purchaseUnit: (purchaseUnit && purchaseUnit.trim()) ? purchaseUnit.trim() : unit.trim(),
       conversionFactor: (parseFloat(conversionFactor) > 0) ? parseFloat(conversionFactor) : 1,
+      recipeUnit: (recipeUnit && String(recipeUnit).trim()) ? String(recipeUnit).trim() : unit.trim(),
+      unitConversions: conversions,
+      density: parseFloat(density) > 0 ? parseFloat(density) : null,
       linkedMenuItemId: (linkedMenuItemId && String(linkedMenuItemId).trim()) ? String(linkedMenuItemId).trim() : null,
+      parLevel: parseFloat(parLevel) > 0 ? parseFloat(parLevel) : null,
+      reorderPoint: parseFloat(reorderPoint) >= 0 ? parseFloat(reorderPoint) : null,
+      minOrderQuantity: parseFloat(minOrderQuantity) > 0 ? parseFloat(minOrderQuantity) : null,
+      packSize: parseFloat(packSize) > 0 ? parseFloat(packSize) : null,
+      preferredSupplierId: (preferredSupplierId && String(preferredSupplierId).trim()) ? String(preferredSupplierId).trim() : null,
       status,
       createdAt: new Date(),
       updatedAt: new Date(),
@@ -26549,6 +26775,13 @@ app.post('/api/inventory/:restaurantId', authenticateToken, async (req, res) =>
       updatedBy: userId
     };
 
+    const unitErrors = validateItemUnits(itemData);
+    if (unitErrors.length > 0) {
+      return res.status(400).json({ error: unitErrors[0], errors: unitErrors });
+    }
+    // Keep the legacy factor (stock units per purchase unit) in step with the table
+    itemData.conversionFactor = stockFactor(itemData, itemData.purchaseUnit) || itemData.conversionFactor;
+
     const itemRef = await db.collection(collections.inventory).add(itemData);
 
     // Create initial stock batch if there's stock
@@ -26639,12 +26872,26 @@ app.patch('/api/inventory/:restaurantId/:itemId', authenticateToken, async (req,
     const fieldsToUpdate = [
       'name', 'category', 'unit', 'currentStock', 'minStock', 'maxStock',
       'costPerUnit', 'supplier', 'description', 'barcode', 'expiryDate', 'mfgDate', 'expiryDays', 'location',
-      'purchaseUnit', 'conversionFactor', 'linkedMenuItemId'
+      'purchaseUnit', 'conversionFactor', 'linkedMenuItemId',
+      'parLevel', 'reorderPoint', 'minOrderQuantity', 'packSize', 'preferredSupplierId',
+      'recipeUnit', 'unitConversions', 'density'
     ];
 
+    const { conversions, errors: conversionErrors } = sanitizeConversions(req.body.unitConversions);
+    if (conversionErrors.length > 0) {
+      return res.status(400).json({ error: conversionErrors[0], errors: conversionErrors });
+    }
+
     fieldsToUpdate.forEach(field => {
       if (req.body[field] !== undefined) {
-        if (field === 'linkedMenuItemId') {
+        if (field === 'unitConversions') {
+          updateData[field] = conversions;
+        } else if (field === 'density') {
+          const parsed = parseFloat(req.body[field]);
+          updateData[field] = (!isNaN(parsed) && parsed > 0) ? parsed : null;
+        } else if (field === 'recipeUnit') {
+          updateData[field] = (req.body[field] && String(req.body[field]).trim()) || null;
+        } else if (field === 'linkedMenuItemId' || field === 'preferredSupplierId') {
           updateData[field] = (req.body[field] && String(req.body[field]).trim()) ? String(req.body[field]).trim() : null;
         } else if (field === 'name' || field === 'category' || field === 'unit' ||
             field === 'supplier' || field === 'description' || field === 'barcode' || field === 'location' ||
@@ -26656,6 +26903,13 @@ app.patch('/api/inventory/:restaurantId/:itemId', authenticateToken, async (req,
         } else if (field === 'conversionFactor') {
           const parsed = parseFloat(req.body[field]);
           updateData[field] = (!isNaN(parsed) && parsed > 0) ? parsed : 1;
+        } else if (field === 'parLevel' || field === 'minOrderQuantity' || field === 'packSize') {
+          // Blank / 0 clears the value (par falls back to maxStock)
+          const parsed = parseFloat(req.body[field]);
+          updateData[field] = (!isNaN(parsed) && parsed > 0) ? parsed : null;
+        } else if (field === 'reorderPoint') {
+          const parsed = parseFloat(req.body[field]);
+          updateData[field] = (!isNaN(parsed) && parsed >= 0) ? parsed : null;
         } else if (field === 'expiryDate' || field === 'mfgDate') {
           updateData[field] = req.body[field] || null;
         } else if (field === 'expiryDays') {
@@ -26664,6 +26918,25 @@ app.patch('/api/inventory/:restaurantId/:itemId', authenticateToken, async (req,
       }
     });
 
+    // Any change to the unit setup must still resolve to the stock unit
+    const unitFields = ['unit', 'purchaseUnit', 'conversionFactor', 'recipeUnit', 'unitConversions', 'density'];
+    if (unitFields.some(f => updateData[f] !== undefined)) {
+      const merged = { ...currentItem, ...updateData };
+      // An explicit table replaces the legacy purchaseUnit/conversionFactor pair
+      if (updateData.conversionFactor !== undefined && updateData.unitConversions === undefined && Array.isArray(currentItem.unitConversions)) {
+        merged.unitConversions = currentItem.unitConversions.filter(c => String(c.unit).toLowerCase().trim() !== String(merged.purchaseUnit || '').toLowerCase().trim());
+        updateData.unitConversions = merged.unitConversions;
+      }
+      const unitErrors = validateItemUnits(merged);
+      if (unitErrors.length > 0) {
+        return res.status(400).json({ error: unitErrors[0], errors: unitErrors });
+      }
+      if (merged.purchaseUnit) {
+        const factor = stockFactor(merged, merged.purchaseUnit);
+        if (factor) updateData.conversionFactor = factor;
+      }
+    }
+
     // Auto-calculate expiryDate from mfgDate + expiryDays
     const newMfgDate = updateData.mfgDate !== undefined ? updateData.mfgDate : currentItem.mfgDate;
     const newExpiryDays = updateData.expiryDays !== undefined ? updateData.expiryDays : currentItem.expiryDays;
@@ -26749,6 +27022,10 @@ app.patch('/api/inventory/:restaurantId/:itemId', authenticateToken, async (req,
       syncInventoryToMenuItem(restaurantId, itemId)
         .catch(err => console.error('Inventory→Menu sync error:', err));
     }
+    if (updateData.costPerUnit !== undefined && Number(updateData.costPerUnit) !== Number(currentItem.costPerUnit || 0)) {
+      foodCostService.recalculateInBackground(restaurantId, 'inventory');
+    }
+    if (stockIncrease !== 0) stockAvailabilityService.refreshInBackground(restaurantId, 'inventory');
 
     res.json({
       message: 'Inventory item updated successfully',
@@ -27031,6 +27308,7 @@ app.post('/api/inventory/:restaurantId/waste-entries', authenticateToken, async
     }
 
     const ref = await db.collection(collections.wasteEntries).add(entryData);
+    stockAvailabilityService.refreshInBackground(restaurantId, 'waste');
     res.status(201).json({ id: ref.id, ...entryData });
   } catch (error) {
     console.error('Create waste entry error:', error);
@@ -27213,6 +27491,7 @@ app.post('/api/inventory/:restaurantId/stock-audits', authenticateToken, async (
     // Sync linked menu items after audit
     syncInventoryStockToMenuItems(restaurantId)
       .catch(err => console.error('Audit→Menu sync error:', err));
+    stockAvailabilityService.refreshInBackground(restaurantId, 'audit');
 
     res.status(201).json({ id: auditRef.id, ...auditData });
   } catch (error) {
@@ -28578,6 +28857,7 @@ app.post('/api/inventory/:restaurantId/smart-import/confirm', authenticateToken,
     }
 
     console.log(`✅ Smart import complete: ${JSON.stringify(summary)}`);
+    if (summary.inventoryItems > 0 || summary.recipes > 0) foodCostService.recalculateInBackground(restaurantId, 'import');
 
     res.json({
       success: true,
@@ -28654,7 +28934,7 @@ app.post('/api/suppliers/:restaurantId', authenticateToken, async (req, res) =>
       return res.status(403).json({ error: 'Access denied. Inventory add permission required.' });
     }
 
-    const { name, contact, email, address, paymentTerms, notes } = req.body;
+    const { name, contact, email, address, paymentTerms, notes, bankDetails, paymentPriority } = req.body;
 
     if (!name || !contact) {
       return res.status(400).json({ error: 'Name and contact are required' });
@@ -28668,6 +28948,14 @@ app.post('/api/suppliers/:restaurantId', authenticateToken, async (req, res) =>
       address: address?.trim() || '',
       paymentTerms: paymentTerms?.trim() || '',
       notes: notes?.trim() || '',
+      // For payment runs: bank bulk-transfer file and run order ('high' | 'normal' | 'low')
+      bankDetails: bankDetails ? {
+        accountName: bankDetails.accountName?.trim() || '',
+        accountNumber: bankDetails.accountNumber?.trim() || '',
+        ifsc: bankDetails.ifsc?.trim() || '',
+        bankName: bankDetails.bankName?.trim() || ''
+      } : null,
+      paymentPriority: ['high', 'low'].includes(paymentPriority) ? paymentPriority : 'normal',
       isActive: true,
       createdAt: new Date(),
       updatedAt: new Date(),
@@ -28745,7 +29033,7 @@ app.post('/api/recipes/:restaurantId', authenticateToken, async (req, res) => {
         inventoryItemId: ing.inventoryItemId || null,
         inventoryItemName: ing.inventoryItemName || '',
         quantity: parseFloat(ing.quantity) || 0,
-        unit: ing.unit || 'g',
+        unit: ing.unit || (ing.inventoryItemId ? '' : 'g'), // linked lines default to the item's recipe unit
         type: ing.type || 'inventory',
         subRecipeId: ing.subRecipeId || null,
       })),
@@ -28761,6 +29049,14 @@ app.post('/api/recipes/:restaurantId', authenticateToken, async (req, res) => {
     if (menuItemId) recipeData.menuItemId = menuItemId;
     if (menuItemName) recipeData.menuItemName = menuItemName;
 
+    const { errors: unitErrors } = await unitConversionService.resolveLineUnits(
+      restaurantId, recipeData.ingredients.filter(i => i.type !== 'recipe'), { defaultField: 'recipeUnit' }
+    );
+    if (unitErrors.length > 0) {
+      return res.status(400).json({ error: unitErrors[0], errors: unitErrors });
+    }
+    recipeData.ingredients.forEach(i => { if (!i.unit) i.unit = 'g'; });
+
     // Circular dependency check for sub-recipe ingredients
     const subRecipeIds = recipeData.ingredients.filter(i => i.type === 'recipe' && i.subRecipeId).map(i => i.subRecipeId);
     if (subRecipeIds.length > 0) {
@@ -28804,6 +29100,7 @@ app.post('/api/recipes/:restaurantId', authenticateToken, async (req, res) => {
         recipeId = existingSnap.docs[0].id;
         recipeData.updatedBy = userId;
         await db.collection(collections.recipes).doc(recipeId).update(recipeData);
+        foodCostService.recalculateInBackground(restaurantId, 'recipe');
         return res.status(200).json({
           message: 'Recipe updated (replaced existing)',
           recipe: { id: recipeId, ...existingSnap.docs[0].data(), ...recipeData }
@@ -28814,6 +29111,7 @@ app.post('/api/recipes/:restaurantId', authenticateToken, async (req, res) => {
     recipeData.createdAt = new Date();
     recipeData.createdBy = userId;
     const recipeRef = await db.collection(collections.recipes).add(recipeData);
+    foodCostService.recalculateInBackground(restaurantId, 'recipe');
 
     res.status(201).json({
       message: 'Recipe created successfully',
@@ -28985,6 +29283,15 @@ app.patch('/api/recipes/:restaurantId/:recipeId', authenticateToken, async (req,
       return res.status(404).json({ error: 'Recipe not found' });
     }
 
+    if (Array.isArray(updateData.ingredients)) {
+      const { errors: unitErrors } = await unitConversionService.resolveLineUnits(
+        restaurantId, updateData.ingredients.filter(i => i && i.type !== 'recipe'), { defaultField: 'recipeUnit' }
+      );
+      if (unitErrors.length > 0) {
+        return res.status(400).json({ error: unitErrors[0], errors: unitErrors });
+      }
+    }
+
     // Circular dependency check for sub-recipe ingredients
     if (updateData.ingredients) {
       const subIds = updateData.ingredients.filter(i => i.type === 'recipe' && i.subRecipeId).map(i => i.subRecipeId);
@@ -29008,6 +29315,7 @@ app.patch('/api/recipes/:restaurantId/:recipeId', authenticateToken, async (req,
     }
 
     await db.collection(collections.recipes).doc(recipeId).update(updateData);
+    foodCostService.recalculateInBackground(restaurantId, 'recipe');
     
     res.json({
       message: 'Recipe updated successfully',
@@ -29036,6 +29344,7 @@ app.delete('/api/recipes/:restaurantId/:recipeId', authenticateToken, async (req
     }
 
     await db.collection(collections.recipes).doc(recipeId).delete();
+    foodCostService.recalculateInBackground(restaurantId, 'recipe');
     
     res.json({ message: 'Recipe deleted successfully' });
 
@@ -29106,6 +29415,9 @@ app.post('/api/purchase-orders/:restaurantId', authenticateToken, async (req, re
         inventoryItemId: item.inventoryItemId,
         inventoryItemName: item.inventoryItemName,
         quantity: parseFloat(item.quantity) || 0,
+        // Ordering unit (e.g. case); quantity and unitPrice are per this unit.
+        // Blank = the item's stock unit, as before.
+        unit: item.unit || '',
         unitPrice: parseFloat(item.unitPrice) || 0,
         totalPrice: parseFloat(item.quantity) * parseFloat(item.unitPrice)
       })),
@@ -29117,6 +29429,12 @@ app.post('/api/purchase-orders/:restaurantId', authenticateToken, async (req, re
       updatedAt: new Date(),
       createdBy: userId
     };
+    const { errors: unitErrors } = await unitConversionService.resolveLineUnits(restaurantId, orderData.items);
+    if (unitErrors.length > 0) {
+      return res.status(400).json({ error: unitErrors[0], errors: unitErrors });
+    }
+    const approval = await purchaseApprovalService.prepare(restaurantId, 'purchase_order', orderData);
+    if (approval) orderData.approval = approval;
 
     const orderRef = await db.collection(collections.purchaseOrders).add(orderData);
     
@@ -29157,6 +29475,19 @@ app.patch('/api/purchase-orders/:restaurantId/:orderId', authenticateToken, asyn
     const currentOrder = orderDoc.data();
     const currentStatus = currentOrder.status;
 
+    // Approval goes through the outlet's approval chain when one governs this PO
+    if (status === 'approved' && currentStatus === 'pending') {
+      const decision = await purchaseApprovalService.decide(restaurantId, 'purchase_order', orderId, req.user, { action: 'approve', notes });
+      if (decision) {
+        const waiting = decision.approval.status === 'pending' ? decision.approval.levels[decision.approval.currentLevel] : null;
+        return res.json({
+          message: waiting ? `Approved at your level — now waiting for ${waiting.name || 'the next approver'}` : 'Purchase order approved',
+          order: decision.document,
+          approval: decision.approval
+        });
+      }
+    }
+
     // Status transition validation
     if (status) {
       const statusFlow = {
@@ -29292,6 +29623,7 @@ app.patch('/api/purchase-orders/:restaurantId/:orderId', authenticateToken, asyn
     });
 
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message }); // approval chain: not your level
     console.error('Update purchase order error:', error);
     res.status(500).json({ error: 'Failed to update purchase order' });
   }
@@ -29414,6 +29746,9 @@ app.post('/api/purchase-orders/:restaurantId/:orderId/email', authenticateToken,
     }
 
     const orderData = orderDoc.data();
+    if (!purchaseApprovalService.isFullyApproved(orderData)) {
+      return res.status(409).json({ error: 'This purchase order is not fully approved yet and cannot be sent to the supplier.' });
+    }
     
     // Get restaurant details
     const restaurantDoc = await getCachedRestDoc(restaurantId);
@@ -29572,6 +29907,9 @@ app.post('/api/grn/:restaurantId', authenticateToken, async (req, res) => {
       return {
         inventoryItemId: item.inventoryItemId,
         inventoryItemName: item.inventoryItemName || expectedItem?.inventoryItemName,
+        // Quantities and unitPrice are in the received unit (the PO line's by
+        // default); stockQuantity is what goes into stock, in the item's unit
+        unit: item.unit || expectedItem?.unit || '',
         orderedQuantity: expectedItem?.quantity || 0,
         receivedQuantity: receivedQty,
         acceptedQuantity: acceptedQty,
@@ -29585,6 +29923,17 @@ app.post('/api/grn/:restaurantId', authenticateToken, async (req, res) => {
       };
     });
 
+    const { itemsById: grnInventory, errors: unitErrors } = await unitConversionService.resolveLineUnits(restaurantId, processedItems);
+    if (unitErrors.length > 0) {
+      return res.status(400).json({ error: unitErrors[0], errors: unitErrors });
+    }
+    processedItems.forEach(item => {
+      const inv = grnInventory[item.inventoryItemId];
+      if (!inv) return;
+      item.stockUnit = inv.unit || '';
+      item.stockQuantity = convertForItem(item.acceptedQuantity, item.unit, inv).value;
+    });
+
     // Determine status
     let status = 'complete';
     if (totalReceived < totalExpected) {
@@ -29612,10 +29961,39 @@ app.post('/api/grn/:restaurantId', authenticateToken, async (req, res) => {
       if (item.acceptedQuantity > 0) {
         const inventoryDoc = await db.collection(collections.inventory).doc(item.inventoryItemId).get();
         if (inventoryDoc.exists) {
-          const currentStock = inventoryDoc.data().currentStock || 0;
-          await db.collection(collections.inventory).doc(item.inventoryItemId).update({
-            currentStock: currentStock + item.acceptedQuantity,
-            lastUpdated: new Date()
+          const invData = inventoryDoc.data();
+          const currentStock = invData.currentStock || 0;
+          // Received unit → stock unit (1 case = 9000 ml): quantity up, price per unit down
+          const stockQty = item.stockQuantity ?? item.acceptedQuantity;
+          const unitFactor = item.acceptedQuantity > 0 ? stockQty / item.acceptedQuantity : 1;
+          const unitPrice = (parseFloat(item.unitPrice) || 0) / (unitFactor || 1);
+          const stockUpdate = { currentStock: currentStock + stockQty, lastUpdated: new Date() };
+          // Received price becomes the last cost (plate costing, COGS)
+          if (unitPrice > 0) {
+            stockUpdate.costPerUnit = unitPrice;
+            stockUpdate.previousCostPerUnit = invData.costPerUnit || 0;
+          }
+          await db.collection(collections.inventory).doc(item.inventoryItemId).update(stockUpdate);
+          // Batch at the received price for FIFO deduction and batch costing
+          await db.collection(collections.stockBatches).add({
+            restaurantId,
+            inventoryItemId: item.inventoryItemId,
+            inventoryItemName: invData.name || item.inventoryItemName || '',
+            quantity: stockQty,
+            remainingQty: stockQty,
+            unit: invData.unit || '',
+            mfgDate: new Date(),
+            expiryDate: item.expiryDate ? new Date(item.expiryDate) : null,
+            batchNumber: item.batchNumber || '',
+            costPerUnit: unitPrice || invData.costPerUnit || 0,
+            supplier: poData.supplierName || '',
+            supplierId: poData.supplierId || null,
+            grnId: grnRef.id,
+            addedBy: userId,
+            source: 'grn',
+            status: 'active',
+            createdAt: new Date(),
+            updatedAt: new Date()
           });
           invalidateInventoryCache(restaurantId); // GRN received → stock in, refresh inventory
         }
@@ -29636,6 +30014,11 @@ app.post('/api/grn/:restaurantId', authenticateToken, async (req, res) => {
       });
     }
 
+    ledgerPostingService.postInBackground('grn', () => ledgerPostingService.syncGrn(grnRef.id, grnData));
+    foodCostService.recalculateInBackground(restaurantId, 'grn');
+    // Received stock puts auto-86'd items back on sale
+    stockAvailabilityService.refreshInBackground(restaurantId, 'grn');
+
     res.status(201).json({
       message: 'GRN created successfully',
       grn: { id: grnRef.id, ...grnData }
@@ -29669,6 +30052,7 @@ app.patch('/api/grn/:restaurantId/:grnId', authenticateToken, async (req, res) =
     };
 
     await db.collection(collections.goodsReceiptNotes).doc(grnId).update(updateData);
+    ledgerPostingService.postInBackground('grn', () => ledgerPostingService.syncGrn(grnId));
 
     res.json({
       message: 'GRN updated successfully',
@@ -29770,6 +30154,8 @@ app.post('/api/purchase-requisitions/:restaurantId', authenticateToken, async (r
       createdAt: new Date(),
       updatedAt: new Date()
     };
+    const approval = await purchaseApprovalService.prepare(restaurantId, 'requisition', requisitionData);
+    if (approval) requisitionData.approval = approval;
 
     const reqRef = await db.collection(collections.purchaseRequisitions).add(requisitionData);
 
@@ -29812,7 +30198,7 @@ app.patch('/api/purchase-requisitions/:restaurantId/:reqId', authenticateToken,
       return res.status(400).json({ error: 'Requisition already converted to Purchase Order' });
     }
 
-    const updateData = {
+    let updateData = {
       status,
       approvedBy: userId,
       approvedAt: new Date(),
@@ -29820,7 +30206,28 @@ app.patch('/api/purchase-requisitions/:restaurantId/:reqId', authenticateToken,
       updatedAt: new Date()
     };
 
-    await db.collection(collections.purchaseRequisitions).doc(reqId).update(updateData);
+    // Through the outlet's approval chain when one governs this requisition
+    if (reqData.approval && reqData.status !== 'pending' && status === 'approved') {
+      return res.status(400).json({ error: `Requisition was ${reqData.status} through its approval chain` });
+    }
+    const decision = reqData.status === 'pending'
+      ? await purchaseApprovalService.decide(restaurantId, 'requisition', reqId, req.user, { action: status === 'approved' ? 'approve' : 'reject', notes })
+      : null;
+    if (decision && decision.approval.status === 'pending') {
+      const waiting = decision.approval.levels[decision.approval.currentLevel];
+      return res.json({
+        message: `Approved at your level — now waiting for ${waiting.name || 'the next approver'}`,
+        requisition: decision.document,
+        approval: decision.approval,
+        purchaseOrder: null
+      });
+    }
+    if (decision) {
+      const { id: _savedId, ...saved } = decision.document; // already written by the approval service
+      updateData = saved;
+    } else {
+      await db.collection(collections.purchaseRequisitions).doc(reqId).update(updateData);
+    }
 
     let purchaseOrder = null;
 
@@ -29861,6 +30268,8 @@ app.patch('/api/purchase-requisitions/:restaurantId/:reqId', authenticateToken,
             updatedAt: new Date(),
             createdBy: userId
           };
+          const poApproval = await purchaseApprovalService.prepare(restaurantId, 'purchase_order', poData);
+          if (poApproval) poData.approval = poApproval;
 
           const poRef = await db.collection(collections.purchaseOrders).add(poData);
           purchaseOrder = { id: poRef.id, ...poData };
@@ -29884,6 +30293,7 @@ app.patch('/api/purchase-requisitions/:restaurantId/:reqId', authenticateToken,
     });
 
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message }); // approval chain: not your level
     console.error('Update purchase requisition error:', error);
     res.status(500).json({ error: 'Failed to update purchase requisition' });
   }
@@ -29947,6 +30357,8 @@ app.post('/api/purchase-requisitions/:restaurantId/:reqId/convert-to-po', authen
       updatedAt: new Date(),
       createdBy: userId
     };
+    const approval = await purchaseApprovalService.prepare(restaurantId, 'purchase_order', poData);
+    if (approval) poData.approval = approval;
 
     const poRef = await db.collection(collections.purchaseOrders).add(poData);
 
@@ -30124,6 +30536,7 @@ app.post('/api/supplier-invoices/:restaurantId', authenticateToken, upload.singl
     };
 
     const invoiceRef = await db.collection(collections.supplierInvoices).add(invoiceData);
+    ledgerPostingService.postInBackground('supplier invoice', () => ledgerPostingService.syncSupplierInvoice(invoiceRef.id, invoiceData));
 
     res.status(201).json({
       message: 'Supplier invoice created successfully',
@@ -30237,6 +30650,7 @@ app.post('/api/supplier-invoices/:restaurantId/generate-from-po', authenticateTo
     };
 
     const invoiceRef = await db.collection(collections.supplierInvoices).add(invoiceData);
+    ledgerPostingService.postInBackground('supplier invoice', () => ledgerPostingService.syncSupplierInvoice(invoiceRef.id, invoiceData));
 
     res.status(201).json({
       success: true,
@@ -30250,7 +30664,8 @@ app.post('/api/supplier-invoices/:restaurantId/generate-from-po', authenticateTo
   }
 });
 
-// 3-way match (PO vs GRN vs Invoice)
+// 3-way match (PO vs GRN vs Invoice) — line level, with tolerances; exceptions
+// hold the invoice for payment and short / rejected quantities get a debit note
 app.post('/api/supplier-invoices/:restaurantId/:invoiceId/match', authenticateToken, async (req, res) => {
   try {
     const { restaurantId, invoiceId } = req.params;
@@ -30260,97 +30675,20 @@ app.post('/api/supplier-invoices/:restaurantId/:invoiceId/match', authenticateTo
       return res.status(403).json({ error: 'Access denied. Inventory update permission required.' });
     }
 
-    const invoiceDoc = await db.collection(collections.supplierInvoices).doc(invoiceId).get();
-    if (!invoiceDoc.exists || invoiceDoc.data().restaurantId !== restaurantId) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-
-    const invoiceData = invoiceDoc.data();
-    const discrepancies = [];
-
-    // Match with Purchase Order
-    if (invoiceData.purchaseOrderId) {
-      const poDoc = await db.collection(collections.purchaseOrders).doc(invoiceData.purchaseOrderId).get();
-      if (poDoc.exists) {
-        const poData = poDoc.data();
-        
-        // Compare totals
-        if (Math.abs(invoiceData.totalAmount - poData.totalAmount) > 0.01) {
-          discrepancies.push({
-            type: 'total_mismatch',
-            poTotal: poData.totalAmount,
-            invoiceTotal: invoiceData.totalAmount,
-            difference: invoiceData.totalAmount - poData.totalAmount
-          });
-        }
-
-        // Compare items
-        invoiceData.items.forEach(invItem => {
-          const poItem = poData.items.find(po => po.inventoryItemId === invItem.inventoryItemId);
-          if (poItem) {
-            if (Math.abs(invItem.quantity - poItem.quantity) > 0.01) {
-              discrepancies.push({
-                type: 'quantity_mismatch',
-                itemName: invItem.inventoryItemName,
-                poQuantity: poItem.quantity,
-                invoiceQuantity: invItem.quantity
-              });
-            }
-            if (Math.abs(invItem.unitPrice - poItem.unitPrice) > 0.01) {
-              discrepancies.push({
-                type: 'price_mismatch',
-                itemName: invItem.inventoryItemName,
-                poPrice: poItem.unitPrice,
-                invoicePrice: invItem.unitPrice
-              });
-            }
-          }
-        });
-      }
-    }
-
-    // Match with GRN
-    if (invoiceData.grnId) {
-      const grnDoc = await db.collection(collections.goodsReceiptNotes).doc(invoiceData.grnId).get();
-      if (grnDoc.exists) {
-        const grnData = grnDoc.data();
-        
-        invoiceData.items.forEach(invItem => {
-          const grnItem = grnData.items.find(grn => grn.inventoryItemId === invItem.inventoryItemId);
-          if (grnItem) {
-            if (Math.abs(invItem.quantity - grnItem.acceptedQuantity) > 0.01) {
-              discrepancies.push({
-                type: 'grn_quantity_mismatch',
-                itemName: invItem.inventoryItemName,
-                grnQuantity: grnItem.acceptedQuantity,
-                invoiceQuantity: invItem.quantity
-              });
-            }
-          }
-        });
-      }
-    }
-
-    const matchStatus = discrepancies.length === 0 ? 'matched' : 'discrepancy';
-    const invoiceStatus = discrepancies.length === 0 ? 'matched' : 'discrepancy';
-
-    await db.collection(collections.supplierInvoices).doc(invoiceId).update({
-      matchStatus,
-      status: invoiceStatus,
-      discrepancies,
-      matchedAt: new Date(),
-      matchedBy: userId,
-      updatedAt: new Date()
-    });
+    const { invoice, result } = await invoiceMatchService.matchInvoice(restaurantId, invoiceId, userId);
 
     res.json({
-      message: `Invoice ${matchStatus === 'matched' ? 'matched successfully' : 'has discrepancies'}`,
-      matchStatus,
-      discrepancies,
-      invoice: { id: invoiceId, ...invoiceData, matchStatus, status: invoiceStatus, discrepancies }
+      message: `Invoice ${invoice.matchStatus === 'matched' ? 'matched successfully' : 'has discrepancies'}`,
+      matchStatus: invoice.matchStatus,
+      discrepancies: invoice.discrepancies,
+      lines: result.lines,
+      paymentHold: invoice.paymentHold,
+      debitNote: invoice.debitNote || null,
+      invoice
     });
 
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('Invoice match error:', error);
     res.status(500).json({ error: 'Failed to match invoice' });
   }
@@ -30373,6 +30711,13 @@ app.patch('/api/supplier-invoices/:restaurantId/:invoiceId', authenticateToken,
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
+    // Match exceptions hold payment until someone resolves them
+    const paying = (paidAmount !== undefined && parseFloat(paidAmount) > (invoiceDoc.data().paidAmount || 0))
+      || ['paid', 'partial'].includes(paymentStatus) || status === 'paid';
+    if (paying && invoiceDoc.data().paymentHold === true) {
+      return res.status(409).json({ error: 'This invoice is on payment hold after a failed three-way match. Resolve the exception first.' });
+    }
+
     const updateData = {
       updatedAt: new Date(),
       updatedBy: userId
@@ -30407,6 +30752,7 @@ app.patch('/api/supplier-invoices/:restaurantId/:invoiceId', authenticateToken,
     }
 
     await db.collection(collections.supplierInvoices).doc(invoiceId).update(updateData);
+    ledgerPostingService.postInBackground('supplier invoice', () => ledgerPostingService.syncSupplierInvoice(invoiceId));
 
     res.json({
       message: 'Invoice updated successfully',
@@ -30939,7 +31285,7 @@ app.post('/api/supplier-returns/:restaurantId', authenticateToken, async (req, r
         costPerUnit: parseFloat(item.costPerUnit) || 0,
         totalCost: (parseFloat(item.quantity) || 0) * (parseFloat(item.costPerUnit) || 0)
       })),
-      returnType: returnType || 'damaged', // 'damaged', 'defective', 'wrong_item', 'excess'
+      returnType: returnType || 'damaged', // 'damaged', 'defective', 'wrong_item', 'excess', 'short_supply'
       reason: reason?.trim() || '',
       notes: notes?.trim() || '',
       status: 'pending', // 'pending', 'approved', 'returned', 'credited', 'rejected'
@@ -30997,14 +31343,18 @@ app.patch('/api/supplier-returns/:restaurantId/:returnId', authenticateToken, as
     }
 
     // If status changed to 'returned' or 'credited', update inventory
-    if ((status === 'returned' || status === 'credited') && returnData.status !== 'returned' && returnData.status !== 'credited') {
+    // (not for debit notes from invoice matching — those goods never came into stock)
+    if (returnData.stockAffected !== false && (status === 'returned' || status === 'credited') && returnData.status !== 'returned' && returnData.status !== 'credited') {
       // Deduct returned items from inventory
       for (const item of returnData.items) {
         const inventoryDoc = await db.collection(collections.inventory).doc(item.inventoryItemId).get();
         if (inventoryDoc.exists) {
           const currentStock = inventoryDoc.data().currentStock || 0;
+          // Returned in cases/packs → stock unit; unconvertible units count as entered
+          const conv = convertForItem(item.quantity, item.unit, inventoryDoc.data());
+          const returnedQty = conv.converted ? conv.value : item.quantity;
           await db.collection(collections.inventory).doc(item.inventoryItemId).update({
-            currentStock: Math.max(0, currentStock - item.quantity),
+            currentStock: Math.max(0, currentStock - returnedQty),
             lastUpdated: new Date()
           });
           invalidateInventoryCache(restaurantId); // supplier return → stock out, refresh inventory
@@ -31013,6 +31363,7 @@ app.patch('/api/supplier-returns/:restaurantId/:returnId', authenticateToken, as
     }
 
     await db.collection(collections.supplierReturns).doc(returnId).update(updateData);
+    if (updateData.status !== returnData.status) await invoiceMatchService.syncDebitNoteStatus(returnData, updateData.status);
 
     res.json({
       message: 'Return order updated successfully',
@@ -31687,7 +32038,7 @@ app.post('/api/books/:restaurantId/expenses', authenticateToken, async (req, res
     }
 
     const { restaurantId } = req.params;
-    const { category, subCategories, amount, date, description, paymentMethod, receiptUrl, isRecurring, recurringFrequency, vendor } = req.body;
+    const { category, subCategories, amount, date, description, paymentMethod, receiptUrl, isRecurring, recurringFrequency, vendor, accountCode } = req.body;
 
     if (!category || !amount || !date) {
       return res.status(400).json({ error: 'Category, amount, and date are required' });
@@ -31705,12 +32056,14 @@ app.post('/api/books/:restaurantId/expenses', authenticateToken, async (req, res
       isRecurring: isRecurring || false,
       recurringFrequency: isRecurring ? (recurringFrequency || 'monthly') : null,
       vendor: vendor || '',
+      accountCode: accountCode || null, // ledger expense account; mapped from category when null
       createdBy: req.user.userId || req.user.id,
       createdAt: new Date(),
       updatedAt: new Date()
     };
 
     const docRef = await db.collection(collections.expenses).add(expenseData);
+    ledgerPostingService.postInBackground('expense', () => ledgerPostingService.syncExpense(docRef.id, expenseData));
     res.status(201).json({ success: true, data: { id: docRef.id, ...expenseData } });
   } catch (error) {
     console.error('Books add expense error:', error);
@@ -31736,7 +32089,7 @@ app.patch('/api/books/:restaurantId/expenses/:expenseId', authenticateToken, asy
     }
 
     const updateData = { updatedAt: new Date() };
-    const allowedFields = ['category', 'subCategories', 'amount', 'date', 'description', 'paymentMethod', 'receiptUrl', 'isRecurring', 'recurringFrequency', 'vendor'];
+    const allowedFields = ['category', 'subCategories', 'amount', 'date', 'description', 'paymentMethod', 'receiptUrl', 'isRecurring', 'recurringFrequency', 'vendor', 'accountCode'];
     allowedFields.forEach(f => {
       if (updates[f] !== undefined) {
         updateData[f] = f === 'amount' ? parseFloat(updates[f]) : f === 'date' ? new Date(updates[f]) : updates[f];
@@ -31744,6 +32097,7 @@ app.patch('/api/books/:restaurantId/expenses/:expenseId', authenticateToken, asy
     });
 
     await docRef.update(updateData);
+    ledgerPostingService.postInBackground('expense', () => ledgerPostingService.syncExpense(expenseId));
     res.json({ success: true, data: { id: expenseId, ...doc.data(), ...updateData } });
   } catch (error) {
     console.error('Books update expense error:', error);
@@ -31766,6 +32120,7 @@ app.delete('/api/books/:restaurantId/expenses/:expenseId', authenticateToken, as
       return res.status(404).json({ error: 'Expense not found' });
     }
     await docRef.delete();
+    ledgerPostingService.postInBackground('expense', () => ledgerPostingService.removeSourceEntry(restaurantId, 'expense', expenseId));
     res.json({ success: true, message: 'Expense deleted' });
   } catch (error) {
     console.error('Books delete expense error:', error);
@@ -31827,17 +32182,19 @@ app.get('/api/books/:restaurantId/supplier-dues', authenticateToken, async (req,
     const suppMap = {};
     suppSnap.forEach(doc => { suppMap[doc.id] = doc.data().name || 'Unknown'; });
 
-    let totalOwed = 0, overdueAmount = 0;
+    let totalOwed = 0, overdueAmount = 0, onHoldAmount = 0;
     const supplierDues = {};
 
     invSnap.forEach(doc => {
       const inv = doc.data();
       if (inv.paymentStatus === 'paid') return;
 
-      const balance = (inv.totalAmount || 0) - (inv.paidAmount || 0);
+      // Net of any debit note raised by the three-way match
+      const balance = invoiceOutstanding(inv);
       if (balance <= 0) return;
 
       totalOwed += balance;
+      if (inv.paymentHold === true) onHoldAmount += balance;
       const suppId = inv.supplierId || 'unknown';
       if (!supplierDues[suppId]) {
         supplierDues[suppId] = {
@@ -31863,15 +32220,19 @@ app.get('/api/books/:restaurantId/supplier-dues', authenticateToken, async (req,
         totalAmount: inv.totalAmount, paidAmount: inv.paidAmount || 0, balance,
         dueDate: dueDate ? dueDate.toISOString() : null,
         invoiceDate: inv.invoiceDate?.toDate ? inv.invoiceDate.toDate().toISOString() : inv.invoiceDate,
-        paymentStatus: inv.paymentStatus, ageDays: Math.max(0, ageDays)
+        paymentStatus: inv.paymentStatus, ageDays: Math.max(0, ageDays),
+        matchStatus: inv.matchStatus || 'pending', paymentHold: inv.paymentHold === true,
+        debitNoteAmount: inv.debitNote && inv.debitNote.status !== 'rejected' ? inv.debitNote.amount || 0 : 0
       });
     });
 
     const suppliers = Object.values(supplierDues).sort((a, b) => b.totalOwed - a.totalOwed);
+    const unmatched = agedUnmatched(invSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })), now);
+    unmatched.invoices.forEach(i => { i.supplierName = suppMap[i.supplierId] || 'Unknown'; });
 
     res.json({
       success: true,
-      data: { totalOwed, overdueAmount, suppliersCount: suppliers.length, suppliers }
+      data: { totalOwed, overdueAmount, onHoldAmount, suppliersCount: suppliers.length, suppliers, unmatched }
     });
   } catch (error) {
     console.error('Books supplier dues error:', error);
@@ -35386,9 +35747,19 @@ app.get('/api/staff/:userId/tips', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     const userData = userDoc.data();
+    // Tips the user collected on their own orders, plus their shares of shift tip pools
+    let pooledTips = null;
+    if (userData.restaurantId) {
+      try {
+        pooledTips = (await tipPoolService.statement(userData.restaurantId, userId)).totals;
+      } catch (poolErr) {
+        console.error('Error fetching pooled tips:', poolErr.message);
+      }
+    }
     res.json({
       tipEarnings: userData.tipEarnings || 0,
-      tipHistory: (userData.tipHistory || []).sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 50)
+      tipHistory: (userData.tipHistory || []).sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 50),
+      pooledTips
     });
   } catch (error) {
     console.error('Error fetching staff tips:', error);
@@ -35444,6 +35815,8 @@ app.post('/api/orders/:orderId/refund', authenticateToken, async (req, res) => {
       refundedAt: new Date().toISOString(),
       refundedBy: userId,
       status: isFullRefund ? 'refunded' : orderData.status,
+      // An e-invoiced bill keeps its IRN — the refund is a credit note against it
+      ...einvoiceService.creditNoteFields(orderData),
       updatedAt: new Date()
     };
     await orderRef.update(updateFields);
@@ -35487,11 +35860,17 @@ app.post('/api/orders/:orderId/refund', authenticateToken, async (req, res) => {
       console.error('RTDB refund notification error (non-blocking):', rtdbErr);
     }
 
+    // Post the refund (partial) or the sale reversal (full) to the ledger
+    ledgerPostingService.postInBackground('order refund', () => ledgerPostingService.syncOrder(orderId));
+    // Queue the eTIMS credit note against the fiscalised sale (Kenya stores in server mode)
+    etimsQueueService.syncInBackground(orderId, orderData.restaurantId);
+
     res.json({
       success: true,
       message: isFullRefund ? 'Full refund processed — all calculations reversed' : 'Partial refund recorded',
       refundAmount: Number(refundAmount),
       refundType: isFullRefund ? 'full' : 'partial',
+      creditNoteNumber: updateFields.creditNoteNumber || null,
       reversals
     });
   } catch (error) {
@@ -35515,44 +35894,18 @@ app.post('/api/orders/:orderId/partial-payment', authenticateToken, async (req,
       return res.status(400).json({ error: 'Valid payment amount is required' });
     }
 
-    const orderRef = db.collection(collections.orders).doc(orderId);
-    const orderDoc = await orderRef.get();
-    if (!orderDoc.exists) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    const orderData = orderDoc.data();
-    const finalAmount = orderData.finalAmount || orderData.totalAmount || 0;
-    const previousPaid = orderData.paidAmount || 0;
-    const totalPaid = previousPaid + Number(paidAmount);
-    const outstanding = Math.max(0, Math.round((finalAmount - totalPaid) * 100) / 100);
-
-    await orderRef.update({
-      paidAmount: totalPaid,
-      outstandingAmount: outstanding,
-      paymentStatus: outstanding <= 0 ? 'paid' : 'partial',
-      paymentMethod: paymentMethod || orderData.paymentMethod || 'cash'
-    });
-
-    // Update customer credit if customerId provided
-    if (customerId && outstanding > 0) {
-      const customerRef = db.collection(collections.customers).doc(customerId);
-      await customerRef.update({
-        outstandingBalance: FieldValue.increment(outstanding),
-        creditHistory: FieldValue.arrayUnion({
-          orderId,
-          orderNumber: orderData.orderNumber || orderId,
-          date: new Date().toISOString(),
-          totalAmount: finalAmount,
-          paidAmount: totalPaid,
-          outstandingAmount: outstanding
-        })
-      });
-    }
+    // Shared with pay-at-table (services/orderPaymentService.js): updates the
+    // order's paid/outstanding amounts and the customer's credit
+    const { fields } = await orderPaymentService.recordPartialPayment(orderId, {
+      paidAmount: Number(paidAmount),
+      paymentMethod,
+      customerId,
+      entry: { recordedBy: req.user.userId },
+    });
 
-    invalidateOrdersCache(orderData.restaurantId); // payment changed → refresh order lists now
-    res.json({ success: true, paidAmount: totalPaid, outstandingAmount: outstanding });
+    res.json({ success: true, paidAmount: fields.paidAmount, outstandingAmount: fields.outstandingAmount });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('Error recording partial payment:', error);
     res.status(500).json({ error: 'Failed to record partial payment' });
   }
@@ -35666,6 +36019,18 @@ app.patch('/api/orders/:orderId/edit-completed', authenticateToken, async (req,
     if (currentOrder.status !== 'completed') {
       return res.status(400).json({ error: 'This endpoint is only for editing completed orders' });
     }
+    const irnLocked = einvoiceService.irnLock(currentOrder, 'edit');
+    if (irnLocked) return res.status(409).json({ error: irnLocked, code: 'IRN_LOCKED' });
+
+    // Closed accounting period: the edit only goes through as an adjusting entry in the open period
+    const lockedPeriod = await ledgerPostingService.getLockingPeriod(currentOrder.restaurantId, orderPostingDate(currentOrder));
+    if (lockedPeriod && req.body.postAdjustment !== true) {
+      return res.status(409).json({
+        error: `This bill belongs to closed accounting period ${lockedPeriod.period}. Confirm to post the change as an adjustment in the current period.`,
+        code: 'PERIOD_LOCKED',
+        period: lockedPeriod.period,
+      });
+    }
 
     // Build update data and track changes
     const updateData = { updatedAt: new Date() };
@@ -35710,6 +36075,14 @@ app.patch('/api/orders/:orderId/edit-completed', authenticateToken, async (req,
         updateData.customerInfo = { ...currentCI, ...customerInfo };
       }
     }
+    // GST buyer details — customers often ask for a GST bill after paying
+    if (req.body.customerGstin !== undefined) {
+      const gstin = req.body.customerGstin ? String(req.body.customerGstin).trim().toUpperCase() : null;
+      if (gstin !== (currentOrder.customerGstin || null)) {
+        changes.push({ field: 'customerGstin', from: currentOrder.customerGstin || '', to: gstin || '' });
+        updateData.customerGstin = gstin;
+      }
+    }
 
     // Payment status
     const validStatuses = ['paid', 'due', 'partial'];
@@ -35821,6 +36194,7 @@ app.patch('/api/orders/:orderId/edit-completed', authenticateToken, async (req,
 
     invalidateOrdersCache(currentOrder.restaurantId); // completed order edited → refresh order lists
     const updatedDoc = await orderRef.get();
+    ledgerPostingService.postInBackground('order edit', () => ledgerPostingService.syncOrder(orderId, updatedDoc.data()));
     res.json({
       success: true,
       order: { id: orderId, ...updatedDoc.data() },
@@ -35879,6 +36253,18 @@ app.patch('/api/orders/:orderId/edit-completed-items', authenticateToken, async
     if (currentOrder.status !== 'completed') {
       return res.status(400).json({ error: 'This endpoint is only for editing completed orders' });
     }
+    const irnLocked = einvoiceService.irnLock(currentOrder, 'edit');
+    if (irnLocked) return res.status(409).json({ error: irnLocked, code: 'IRN_LOCKED' });
+
+    // Closed accounting period: the edit only goes through as an adjusting entry in the open period
+    const lockedPeriod = await ledgerPostingService.getLockingPeriod(currentOrder.restaurantId, orderPostingDate(currentOrder));
+    if (lockedPeriod && req.body.postAdjustment !== true) {
+      return res.status(409).json({
+        error: `This bill belongs to closed accounting period ${lockedPeriod.period}. Confirm to post the change as an adjustment in the current period.`,
+        code: 'PERIOD_LOCKED',
+        period: lockedPeriod.period,
+      });
+    }
 
     // PIN check
     const restaurantDoc = await getCachedRestDoc(currentOrder.restaurantId);
@@ -36221,6 +36607,7 @@ app.patch('/api/orders/:orderId/edit-completed-items', authenticateToken, async
 
     invalidateOrdersCache(currentOrder.restaurantId); // items/amount changed → refresh order lists
     const updatedDoc = await orderRef.get();
+    ledgerPostingService.postInBackground('order edit', () => ledgerPostingService.syncOrder(orderId, updatedDoc.data()));
     res.json({
       success: true,
       order: { id: orderId, ...updatedDoc.data() },
@@ -36763,7 +37150,8 @@ app.get('/api/public/restaurant/code/:code', vercelSecurityMiddleware.publicAPI,
         shortCode: item.shortCode || item.name.substring(0, 3).toUpperCase(),
         image: item.image || null,
         images: item.images || [],
-        allergens: item.allergens || []
+        allergens: item.allergens || [],
+        ...(item.portionsLeft != null && { portionsLeft: item.portionsLeft })
       }));
 
     // Get active offers (async - can be loaded separately by app if needed)
@@ -36986,6 +37374,21 @@ app.get('/api/public/order-status/:orderId', vercelSecurityMiddleware.publicAPI,
   }
 });
 
+// Guest's waitlist status page (position, estimated wait). Public — the
+// unguessable entry id is the access token, as for order status. Frontend
+// page: /waitlist-status/<entryId>.
+app.get('/api/public/waitlist/:entryId', vercelSecurityMiddleware.publicAPI, async (req, res) => {
+  try {
+    const status = await waitlistService.publicStatus(req.params.entryId);
+    res.set('Cache-Control', 'public, s-maxage=10, stale-while-revalidate=20');
+    res.json(status);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Public waitlist status error:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist status' });
+  }
+});
+
 // Helper function to generate unique restaurant code
 async function generateUniqueRestaurantCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Excluding confusing chars like 0,O,1,I
@@ -38252,6 +38655,22 @@ app.post('/api/automation/webhook/whatsapp', async (req, res) => {
                       logEntry.locationName = processedMessage.locationName || '';
                     }
                     await db.collection(collections.automationLogs).add(logEntry);
+
+                    // Guest replies to waitlist and reservation messages ("cancel", "5 min late", "yes"). Non-blocking.
+                    if (processedMessage.type === 'text') {
+                      try {
+                        const reply = {
+                          restaurantId: setting.restaurantId,
+                          from: processedMessage.from,
+                          text: processedMessage.text,
+                          setting,
+                        };
+                        const handled = await waitlistService.handleInboundReply(reply);
+                        if (!handled) await reservationService.handleInboundReply(reply);
+                      } catch (replyErr) {
+                        console.error('Guest reply error (non-blocking):', replyErr.message);
+                      }
+                    }
                   }
 
                   // Fallback: if no restaurant matched, still log for super-admin inbox
@@ -0,0 +1,223 @@
+/**
+ * Purchase approval chains — pure.
+ *
+ * purchaseApprovalSettings on the restaurant (so each outlet has its own):
+ *
+ *   { enabled, reminderAfterHours,
+ *     chains: [{ id, name, appliesTo: ['requisition', 'purchase_order'],
+ *                categories: [],            // inventory categories; [] = any
+ *                levels: [{ name, approverUserIds, approverRoles, upTo }] }] }
+ *
+ * Levels run in order, and a document needs every level up to the first
+ * one whose `upTo` covers its amount (`upTo: null` = no limit). With
+ * "Kitchen manager upTo 10000, GM upTo 50000, Owner" an 8k PO needs the
+ * kitchen manager, 30k adds the GM, 80k adds the owner.
+ *
+ * The chain used is the first whose categories match one of the document's
+ * lines, else the first without categories. An approver of a higher level
+ * can act on a lower one and signs off every level up to their own; a
+ * delegation lets someone act for an approver while they are away.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { toDate } = require('../utils/dates');
+
+const DOC_TYPES = ['requisition', 'purchase_order'];
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  reminderAfterHours: 24,
+  chains: [],
+};
+
+const norm = (s) => String(s || '').trim().toLowerCase();
+const strings = (list) => (Array.isArray(list) ? list.map(v => String(v || '').trim()).filter(Boolean) : []);
+
+function normalizeLevel(level) {
+  const upTo = level && level.upTo != null && level.upTo !== '' ? Number(level.upTo) : null;
+  return {
+    name: String((level && level.name) || '').trim(),
+    approverUserIds: strings(level && level.approverUserIds),
+    approverRoles: strings(level && level.approverRoles).map(norm),
+    upTo: upTo != null && upTo > 0 ? upTo : null,
+  };
+}
+
+function settingsFor(restaurantData) {
+  const s = (restaurantData && restaurantData.purchaseApprovalSettings) || {};
+  const hours = Number(s.reminderAfterHours);
+  const chains = (Array.isArray(s.chains) ? s.chains : []).map((c, i) => ({
+    id: String(c.id || `chain-${i + 1}`),
+    name: String(c.name || '').trim() || `Chain ${i + 1}`,
+    appliesTo: strings(c.appliesTo).filter(t => DOC_TYPES.includes(t)).length
+      ? strings(c.appliesTo).filter(t => DOC_TYPES.includes(t))
+      : DOC_TYPES.slice(),
+    categories: strings(c.categories).map(norm),
+    levels: (Array.isArray(c.levels) ? c.levels : []).map(normalizeLevel)
+      .filter(l => l.approverUserIds.length || l.approverRoles.length),
+  })).filter(c => c.levels.length > 0);
+  return {
+    enabled: s.enabled === true,
+    reminderAfterHours: hours > 0 ? hours : DEFAULT_SETTINGS.reminderAfterHours,
+    chains,
+  };
+}
+
+/** First problem with submitted chains, or null. */
+function validateChains(chains) {
+  if (!Array.isArray(chains)) return 'chains must be an array';
+  for (const [i, c] of chains.entries()) {
+    const label = c && c.name ? `Chain "${c.name}"` : `Chain ${i + 1}`;
+    if (!c || !Array.isArray(c.levels) || c.levels.length === 0) return `${label} needs at least one level`;
+    if (c.appliesTo !== undefined && (!Array.isArray(c.appliesTo) || c.appliesTo.some(t => !DOC_TYPES.includes(t)))) {
+      return `${label}: appliesTo must list ${DOC_TYPES.join(' / ')}`;
+    }
+    let previous = 0;
+    for (const [j, raw] of c.levels.entries()) {
+      const level = normalizeLevel(raw);
+      if (!level.approverUserIds.length && !level.approverRoles.length) return `${label}, level ${j + 1}: name at least one approver user or role`;
+      if (raw.upTo != null && raw.upTo !== '' && !(Number(raw.upTo) > 0)) return `${label}, level ${j + 1}: upTo must be a positive amount`;
+      if (level.upTo == null && j < c.levels.length - 1) return `${label}: only the last level can have no limit`;
+      if (level.upTo != null && level.upTo <= previous) return `${label}: level limits must increase`;
+      if (level.upTo != null) previous = level.upTo;
+    }
+  }
+  return null;
+}
+
+/** The chain governing a document, or null when none applies. */
+function selectChain(settings, docType, categories = []) {
+  if (!settings || !settings.enabled) return null;
+  const cats = categories.map(norm);
+  const candidates = settings.chains.filter(c => c.appliesTo.includes(docType));
+  return candidates.find(c => c.categories.length && cats.some(cat => c.categories.includes(cat)))
+    || candidates.find(c => c.categories.length === 0)
+    || null;
+}
+
+/** The levels an amount needs — up to the first whose limit covers it. */
+function levelsFor(chain, amount) {
+  const idx = chain.levels.findIndex(l => l.upTo == null || amount <= l.upTo);
+  return chain.levels.slice(0, idx === -1 ? chain.levels.length : idx + 1);
+}
+
+/** Approval state for a new document (stored as `approval` on it). */
+function buildApproval(chain, amount, now = new Date()) {
+  return {
+    status: 'pending',
+    chainId: chain.id,
+    chainName: chain.name,
+    amount: round2(amount),
+    levels: levelsFor(chain, amount).map(l => ({
+      ...l,
+      status: 'pending',
+      decidedBy: null,
+      decidedByEmail: null,
+      onBehalfOf: null,
+      decidedAt: null,
+      notes: '',
+    })),
+    currentLevel: 0,
+    submittedAt: now,
+    levelSince: now,
+    lastReminderAt: null,
+    completedAt: null,
+    history: [{ action: 'submitted', amount: round2(amount), at: now }],
+  };
+}
+
+const activeAt = (d, now) => d.active !== false
+  && (!d.startDate || toDate(d.startDate) <= now)
+  && (!d.endDate || toDate(d.endDate) >= now);
+
+// user = { userId, role }; who the user may act as on this level
+function actsFor(level, user, delegations, now) {
+  if (level.approverUserIds.includes(user.userId) || level.approverRoles.includes(norm(user.role))) {
+    return { onBehalfOf: null };
+  }
+  const d = (delegations || []).find(x => x.toUserId === user.userId && activeAt(x, now)
+    && (level.approverUserIds.includes(x.fromUserId) || level.approverRoles.includes(norm(x.fromRole))));
+  return d ? { onBehalfOf: d.fromUserId } : null;
+}
+
+/**
+ * What the user may do on a pending approval → { allowed, upToLevel, onBehalfOf }.
+ * `upToLevel` = the highest level (≥ current) they qualify for.
+ */
+function authority(approval, user, delegations = [], now = new Date()) {
+  if (!approval || approval.status !== 'pending') return { allowed: false, upToLevel: null, onBehalfOf: null };
+  let found = null;
+  for (let i = approval.currentLevel; i < approval.levels.length; i++) {
+    const as = actsFor(approval.levels[i], user, delegations, now);
+    if (as) found = { allowed: true, upToLevel: i, onBehalfOf: as.onBehalfOf };
+  }
+  return found || { allowed: false, upToLevel: null, onBehalfOf: null };
+}
+
+/**
+ * Apply an approve / reject → the new approval object. The caller checks
+ * authority() first; `decision` = { action, user, onBehalfOf, upToLevel, notes, now }.
+ */
+function decide(approval, decision) {
+  const { action, user, onBehalfOf = null, notes = '', now = new Date() } = decision;
+  const upTo = action === 'approve' ? decision.upToLevel : approval.currentLevel;
+  const stamp = {
+    status: action === 'approve' ? 'approved' : 'rejected',
+    decidedBy: user.userId,
+    decidedByEmail: user.email || null,
+    onBehalfOf,
+    decidedAt: now,
+  };
+  const levels = approval.levels.map((l, i) => (i >= approval.currentLevel && i <= upTo
+    ? { ...l, ...stamp, notes }
+    : l));
+  const next = {
+    ...approval,
+    levels,
+    history: [...(approval.history || []), {
+      action: stamp.status,
+      levels: levels.slice(approval.currentLevel, upTo + 1).map(l => l.name),
+      by: user.userId,
+      onBehalfOf,
+      notes,
+      at: now,
+    }],
+  };
+  if (action !== 'approve') return { ...next, status: 'rejected', completedAt: now };
+  if (upTo + 1 >= levels.length) return { ...next, status: 'approved', currentLevel: upTo, completedAt: now };
+  return { ...next, currentLevel: upTo + 1, levelSince: now, lastReminderAt: null };
+}
+
+/** Whether the current approvers are due a nudge. */
+function needsReminder(approval, now, reminderAfterHours) {
+  if (!approval || approval.status !== 'pending') return false;
+  const since = toDate(approval.lastReminderAt || approval.levelSince || approval.submittedAt);
+  return now - since >= reminderAfterHours * 3600 * 1000;
+}
+
+/** Amount and categories of a PR / PO's lines; `inventoryById` fills prices and categories. */
+function documentTotals(docType, data, inventoryById = {}) {
+  const categories = new Set();
+  let amount = 0;
+  (data.items || []).forEach(line => {
+    const inv = inventoryById[line.inventoryItemId] || {};
+    if (inv.category) categories.add(inv.category);
+    if (docType === 'requisition') amount += (Number(line.quantity) || 0) * (Number(inv.costPerUnit) || 0);
+  });
+  if (docType === 'purchase_order') amount = Number(data.totalAmount) || 0;
+  return { amount: round2(amount), categories: [...categories] };
+}
+
+module.exports = {
+  DOC_TYPES,
+  DEFAULT_SETTINGS,
+  settingsFor,
+  validateChains,
+  selectChain,
+  levelsFor,
+  buildApproval,
+  authority,
+  decide,
+  needsReminder,
+  documentTotals,
+};
@@ -0,0 +1,130 @@
+const approvals = require('./approvals');
+
+const settings = approvals.settingsFor({
+  purchaseApprovalSettings: {
+    enabled: true,
+    chains: [
+      {
+        id: 'bar',
+        name: 'Bar stock',
+        categories: ['Liquor'],
+        levels: [{ name: 'Bar manager', approverUserIds: ['u-bar'], upTo: 20000 }, { name: 'Owner', approverRoles: ['owner'] }],
+      },
+      {
+        id: 'default',
+        name: 'Standard',
+        levels: [
+          { name: 'Kitchen manager', approverUserIds: ['u-km'], upTo: 10000 },
+          { name: 'GM', approverUserIds: ['u-gm'], upTo: 50000 },
+          { name: 'Owner', approverRoles: ['Owner'] },
+        ],
+      },
+    ],
+  },
+});
+
+const km = { userId: 'u-km', role: 'manager' };
+const gm = { userId: 'u-gm', role: 'manager' };
+const owner = { userId: 'u-owner', role: 'owner' };
+const t0 = new Date('2026-10-01T09:00:00Z');
+const approval = (amount, categories = []) =>
+  approvals.buildApproval(approvals.selectChain(settings, 'purchase_order', categories), amount, t0);
+
+// ═══════════════════════════════════════════════════════════════════
+// Settings & chains
+// ═══════════════════════════════════════════════════════════════════
+
+describe('settingsFor / validateChains', () => {
+  test('off by default; chains without approvers are dropped', () => {
+    expect(approvals.settingsFor({})).toEqual({ enabled: false, reminderAfterHours: 24, chains: [] });
+    expect(approvals.settingsFor({ purchaseApprovalSettings: { chains: [{ levels: [{ name: 'Nobody' }] }] } }).chains).toEqual([]);
+    expect(settings.chains[1].appliesTo).toEqual(['requisition', 'purchase_order']);
+  });
+
+  test('rejects approver-less levels and limits that do not rise', () => {
+    expect(approvals.validateChains([{ name: 'A', levels: [{ name: 'KM' }] }])).toMatch(/at least one approver/);
+    expect(approvals.validateChains([{ name: 'A', levels: [{ approverRoles: ['manager'], upTo: 500 }, { approverRoles: ['owner'], upTo: 100 }] }]))
+      .toMatch(/must increase/);
+    expect(approvals.validateChains([{ name: 'A', levels: [{ approverRoles: ['manager'] }, { approverRoles: ['owner'] }] }]))
+      .toMatch(/only the last level/);
+    expect(approvals.validateChains(settings.chains)).toBeNull();
+  });
+});
+
+describe('selectChain / buildApproval', () => {
+  test('amount bands decide how many levels sign off', () => {
+    expect(approval(8000).levels.map(l => l.name)).toEqual(['Kitchen manager']);
+    expect(approval(10000).levels.map(l => l.name)).toEqual(['Kitchen manager']);
+    expect(approval(30000).levels.map(l => l.name)).toEqual(['Kitchen manager', 'GM']);
+    expect(approval(80000)).toMatchObject({ chainId: 'default', status: 'pending', currentLevel: 0, amount: 80000 });
+    expect(approval(80000).levels).toHaveLength(3);
+  });
+
+  test('a category chain wins over the default', () => {
+    expect(approval(5000, ['Produce', 'liquor']).chainId).toBe('bar');
+    expect(approvals.selectChain({ ...settings, enabled: false }, 'purchase_order', [])).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Decisions
+// ═══════════════════════════════════════════════════════════════════
+
+describe('authority / decide', () => {
+  const approve = (a, user, delegations = [], now = t0) => {
+    const auth = approvals.authority(a, user, delegations, now);
+    return approvals.decide(a, { action: 'approve', user, onBehalfOf: auth.onBehalfOf, upToLevel: auth.upToLevel, now });
+  };
+
+  test('walks the chain level by level', () => {
+    let a = approval(30000);
+    expect(approvals.authority(a, owner).allowed).toBe(false); // not in this 2-level chain
+    a = approve(a, km);
+    expect(a).toMatchObject({ status: 'pending', currentLevel: 1 });
+    expect(approvals.authority(a, km).allowed).toBe(false);
+    a = approve(a, gm);
+    expect(a).toMatchObject({ status: 'approved', completedAt: t0 });
+    expect(a.history.map(h => h.action)).toEqual(['submitted', 'approved', 'approved']);
+  });
+
+  test('a higher approver signs off the levels below', () => {
+    // Owner is only at level 3 — acting first covers levels 1-3 and completes it
+    const a = approve(approval(80000), owner);
+    expect(a).toMatchObject({ status: 'approved', currentLevel: 2 });
+    expect(a.levels.every(l => l.decidedBy === 'u-owner')).toBe(true);
+    const c = approve(approval(80000), gm);
+    expect(c.levels.map(l => l.status)).toEqual(['approved', 'approved', 'pending']);
+    expect(c.currentLevel).toBe(2);
+  });
+
+  test('rejection at any level ends it', () => {
+    const a = approvals.decide(approve(approval(30000), km), { action: 'reject', user: gm, notes: 'Too much', now: t0 });
+    expect(a).toMatchObject({ status: 'rejected', completedAt: t0 });
+    expect(a.levels[1]).toMatchObject({ status: 'rejected', decidedBy: 'u-gm', notes: 'Too much' });
+  });
+
+  test('a delegate acts for an approver while the delegation runs', () => {
+    const delegations = [{ fromUserId: 'u-km', fromRole: 'manager', toUserId: 'u-sous', startDate: new Date('2026-09-28'), endDate: new Date('2026-10-05'), active: true }];
+    const sous = { userId: 'u-sous', role: 'waiter' };
+    expect(approvals.authority(approval(8000), sous, delegations, t0)).toEqual({ allowed: true, upToLevel: 0, onBehalfOf: 'u-km' });
+    expect(approve(approval(8000), sous, delegations).levels[0]).toMatchObject({ decidedBy: 'u-sous', onBehalfOf: 'u-km' });
+    expect(approvals.authority(approval(8000), sous, delegations, new Date('2026-10-06')).allowed).toBe(false);
+    expect(approvals.authority(approval(8000), sous, [{ ...delegations[0], active: false }], t0).allowed).toBe(false);
+  });
+});
+
+describe('needsReminder / documentTotals', () => {
+  test('nudges after the interval, then again an interval after the last nudge', () => {
+    const a = approval(8000);
+    expect(approvals.needsReminder(a, new Date('2026-10-02T08:59:00Z'), 24)).toBe(false);
+    expect(approvals.needsReminder(a, new Date('2026-10-02T09:00:00Z'), 24)).toBe(true);
+    expect(approvals.needsReminder({ ...a, lastReminderAt: new Date('2026-10-02T09:00:00Z') }, new Date('2026-10-02T20:00:00Z'), 24)).toBe(false);
+  });
+
+  test('requisitions are valued at current cost, POs at their total', () => {
+    const inventoryById = { rice: { category: 'Grains', costPerUnit: 40 }, rum: { category: 'Liquor', costPerUnit: 900 } };
+    const items = [{ inventoryItemId: 'rice', quantity: 25 }, { inventoryItemId: 'rum', quantity: 2 }];
+    expect(approvals.documentTotals('requisition', { items }, inventoryById)).toEqual({ amount: 2800, categories: ['Grains', 'Liquor'] });
+    expect(approvals.documentTotals('purchase_order', { items, totalAmount: 3100 }, inventoryById).amount).toBe(3100);
+  });
+});
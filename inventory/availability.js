@@ -0,0 +1,100 @@
+/**
+ * Stock-driven menu availability ("auto-86") — pure.
+ *
+ * For each recipe-based menu item: how many full portions current stock can
+ * still make (the scarcest ingredient decides). At zero the item is marked
+ * unavailable with `autoUnavailable: true`; at or under the low threshold it
+ * carries `portionsLeft` for the "only N left" badge. Only items this module
+ * took off are put back when stock returns — a manager's manual 86 stays.
+ *
+ * Items whose stock is tracked directly (isStockManaged with a
+ * stockQuantity, or an inventory item linked by linkedMenuItemId) already
+ * toggle availability in index.js and are left alone, as are recipes with
+ * ingredients that can't be converted to their stock unit (never guessed).
+ */
+
+const { findRecipe, itemUsage } = require('./recipes');
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  lowPortionsThreshold: 5,
+};
+
+function settingsFor(restaurantData) {
+  const s = (restaurantData && restaurantData.stockAvailabilitySettings) || {};
+  const low = Number(s.lowPortionsThreshold);
+  return {
+    enabled: s.enabled === true,
+    lowPortionsThreshold: Number.isInteger(low) && low >= 0 ? low : DEFAULT_SETTINGS.lowPortionsThreshold,
+  };
+}
+
+/**
+ * Full portions of a menu item current stock can make →
+ * { portions, limitingItemId } or { portions: null, reason } when it can't be told.
+ * `ctx` as for itemUsage().
+ */
+function portionsRemaining(menuItem, ctx) {
+  const item = { menuItemId: menuItem.id, name: menuItem.name };
+  if (!findRecipe(item, ctx.recipes)) return { portions: null, reason: 'no-recipe' };
+  const { usage, skipped } = itemUsage(item, ctx, 1);
+  if (skipped.length > 0) return { portions: null, reason: 'unconvertible' };
+  if (usage.length === 0) return { portions: null, reason: 'empty-recipe' };
+
+  const need = {};
+  usage.forEach(u => { need[u.inventoryItemId] = (need[u.inventoryItemId] || 0) + u.quantity; });
+  let portions = Infinity;
+  let limitingItemId = null;
+  Object.entries(need).forEach(([id, perPortion]) => {
+    if (!(perPortion > 0)) return;
+    const stock = Math.max(0, Number(ctx.inventoryById[id].currentStock) || 0);
+    // Tolerance so 0.3 / 0.1 counts as 3
+    const n = Math.floor(stock / perPortion + 1e-9);
+    if (n < portions) { portions = n; limitingItemId = id; }
+  });
+  return portions === Infinity ? { portions: null, reason: 'empty-recipe' } : { portions, limitingItemId };
+}
+
+/**
+ * Menu item patches needed to match current stock →
+ * [{ menuItemId, name, portions, limitingItemId, change: '86' | 'restored' | null, patch }].
+ * `excludeIds` = menu item ids whose stock is tracked directly.
+ */
+function availabilityChanges(menuItems, ctx, settings, excludeIds = new Set()) {
+  const out = [];
+  (menuItems || []).forEach(mi => {
+    if (!mi || !mi.id || excludeIds.has(mi.id)) return;
+    if (mi.isStockManaged && typeof mi.stockQuantity === 'number') return;
+
+    const { portions, limitingItemId = null } = portionsRemaining(mi, ctx);
+    const patch = {};
+    let change = null;
+    const currentLeft = mi.portionsLeft == null ? null : mi.portionsLeft;
+
+    if (portions == null) {
+      // No longer computable (recipe removed / unconvertible) — undo our own 86
+      if (mi.autoUnavailable === true) { patch.isAvailable = true; patch.autoUnavailable = false; change = 'restored'; }
+      if (currentLeft !== null) patch.portionsLeft = null;
+    } else if (portions <= 0) {
+      if (mi.isAvailable !== false) { patch.isAvailable = false; patch.autoUnavailable = true; change = '86'; }
+      const left = mi.isAvailable !== false || mi.autoUnavailable === true ? 0 : currentLeft;
+      if (left !== currentLeft) patch.portionsLeft = left;
+    } else if (mi.isAvailable !== false || mi.autoUnavailable === true) {
+      if (mi.isAvailable === false) { patch.isAvailable = true; patch.autoUnavailable = false; change = 'restored'; }
+      const left = portions <= settings.lowPortionsThreshold ? portions : null;
+      if (left !== currentLeft) patch.portionsLeft = left;
+    }
+
+    if (Object.keys(patch).length > 0) {
+      out.push({ menuItemId: mi.id, name: mi.name || '', portions, limitingItemId, change, patch });
+    }
+  });
+  return out;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  settingsFor,
+  portionsRemaining,
+  availabilityChanges,
+};
@@ -0,0 +1,111 @@
+const availability = require('./availability');
+
+const inventory = [
+  { id: 'flour', name: 'Flour', unit: 'kg', currentStock: 1 },
+  { id: 'cheese', name: 'Cheese', unit: 'kg', currentStock: 0.3 },
+  { id: 'saffron', name: 'Saffron', unit: 'pinch', currentStock: 10 },
+];
+const recipes = [
+  { id: 'r-dough', name: 'Dough', servings: 4, ingredients: [{ inventoryItemId: 'flour', quantity: 1000, unit: 'g' }] },
+  {
+    id: 'r-pizza',
+    menuItemId: 'm-pizza',
+    name: 'Margherita',
+    ingredients: [
+      { type: 'recipe', subRecipeId: 'r-dough', quantity: 1 },
+      { inventoryItemId: 'cheese', quantity: 100, unit: 'g' },
+    ],
+  },
+  { id: 'r-risotto', menuItemId: 'm-risotto', name: 'Risotto', ingredients: [{ inventoryItemId: 'saffron', quantity: 1, unit: 'g' }] },
+];
+const menu = {
+  pizza: { id: 'm-pizza', name: 'Margherita', isAvailable: true },
+  risotto: { id: 'm-risotto', name: 'Risotto', isAvailable: true },
+  cola: { id: 'm-cola', name: 'Cola', isAvailable: true },
+};
+
+// Stock levels override the defaults above
+const ctxWith = (stock = {}) => {
+  const inv = inventory.map(i => ({ ...i, ...(stock[i.id] !== undefined && { currentStock: stock[i.id] }) }));
+  return {
+    recipes,
+    recipeMap: Object.fromEntries(recipes.map(r => [r.id, r])),
+    inventoryById: Object.fromEntries(inv.map(i => [i.id, i])),
+    menuItemsMap: Object.fromEntries(Object.values(menu).map(m => [m.id, m])),
+  };
+};
+const settings = { enabled: true, lowPortionsThreshold: 5 };
+
+// ═══════════════════════════════════════════════════════════════════
+// Settings & portions
+// ═══════════════════════════════════════════════════════════════════
+
+describe('settingsFor', () => {
+  test('off by default and rejects bad thresholds', () => {
+    expect(availability.settingsFor({})).toEqual({ enabled: false, lowPortionsThreshold: 5 });
+    expect(availability.settingsFor({ stockAvailabilitySettings: { enabled: true, lowPortionsThreshold: -1 } }))
+      .toEqual({ enabled: true, lowPortionsThreshold: 5 });
+    expect(availability.settingsFor({ stockAvailabilitySettings: { lowPortionsThreshold: 0 } }).lowPortionsThreshold).toBe(0);
+  });
+});
+
+describe('portionsRemaining', () => {
+  test('the scarcest ingredient decides', () => {
+    // Flour: 1 kg / 250 g = 4; cheese: 300 g / 100 g = 3
+    expect(availability.portionsRemaining(menu.pizza, ctxWith())).toEqual({ portions: 3, limitingItemId: 'cheese' });
+    expect(availability.portionsRemaining(menu.pizza, ctxWith({ cheese: 5 }))).toEqual({ portions: 4, limitingItemId: 'flour' });
+  });
+
+  test('negative stock counts as none', () => {
+    expect(availability.portionsRemaining(menu.pizza, ctxWith({ cheese: -0.2 })).portions).toBe(0);
+  });
+
+  test('cannot tell without a recipe or with unconvertible units', () => {
+    expect(availability.portionsRemaining(menu.cola, ctxWith())).toEqual({ portions: null, reason: 'no-recipe' });
+    expect(availability.portionsRemaining(menu.risotto, ctxWith())).toEqual({ portions: null, reason: 'unconvertible' });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Changes
+// ═══════════════════════════════════════════════════════════════════
+
+describe('availabilityChanges', () => {
+  test('86s an item at zero portions', () => {
+    const [c] = availability.availabilityChanges([menu.pizza], ctxWith({ cheese: 0.05 }), settings);
+    expect(c).toMatchObject({ menuItemId: 'm-pizza', portions: 0, change: '86', patch: { isAvailable: false, autoUnavailable: true, portionsLeft: 0 } });
+  });
+
+  test('flags "only N left" at or under the threshold, and clears it above', () => {
+    expect(availability.availabilityChanges([menu.pizza], ctxWith(), settings))
+      .toEqual([expect.objectContaining({ change: null, patch: { portionsLeft: 3 } })]);
+    expect(availability.availabilityChanges([{ ...menu.pizza, portionsLeft: 3 }], ctxWith({ flour: 10, cheese: 10 }), settings))
+      .toEqual([expect.objectContaining({ portions: 40, patch: { portionsLeft: null } })]);
+    // Already up to date → nothing to write
+    expect(availability.availabilityChanges([{ ...menu.pizza, portionsLeft: 3 }], ctxWith(), settings)).toEqual([]);
+  });
+
+  test('restores its own 86 when stock comes back', () => {
+    const auto86 = { ...menu.pizza, isAvailable: false, autoUnavailable: true, portionsLeft: 0 };
+    const [c] = availability.availabilityChanges([auto86], ctxWith({ cheese: 2 }), settings);
+    expect(c).toMatchObject({ change: 'restored', patch: { isAvailable: true, autoUnavailable: false, portionsLeft: 4 } });
+  });
+
+  test('leaves a manual 86 alone', () => {
+    const manual = { ...menu.pizza, isAvailable: false, autoUnavailable: false };
+    expect(availability.availabilityChanges([manual], ctxWith({ cheese: 2 }), settings)).toEqual([]);
+    expect(availability.availabilityChanges([manual], ctxWith({ cheese: 0 }), settings)).toEqual([]);
+  });
+
+  test('undoes its own 86 when the recipe can no longer be read', () => {
+    const auto86 = { ...menu.risotto, isAvailable: false, autoUnavailable: true, portionsLeft: 0 };
+    const [c] = availability.availabilityChanges([auto86], ctxWith(), settings);
+    expect(c).toMatchObject({ change: 'restored', portions: null, patch: { isAvailable: true, autoUnavailable: false, portionsLeft: null } });
+  });
+
+  test('skips directly tracked items', () => {
+    const stockManaged = { ...menu.pizza, isStockManaged: true, stockQuantity: 12 };
+    expect(availability.availabilityChanges([stockManaged], ctxWith({ cheese: 0 }), settings)).toEqual([]);
+    expect(availability.availabilityChanges([menu.pizza], ctxWith({ cheese: 0 }), settings, new Set(['m-pizza']))).toEqual([]);
+  });
+});
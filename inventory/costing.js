@@ -0,0 +1,222 @@
+/**
+ * Recipe (plate) costing and menu margins — pure.
+ *
+ * Plate cost = what one portion's ingredients cost today: the recipe
+ * flattened through sub-recipes and scaled by the variant multiplier
+ * (inventory/recipes.js), each ingredient priced at its current unit cost.
+ * Modifier options are costed separately from their inventory link so the
+ * add-on margin can be read next to the plate.
+ *
+ * Unit cost per inventory item, by foodCostSettings.costingMethod:
+ *   average  stock-weighted average of the active batches (default)
+ *   fifo     the oldest active batch — the one deduction consumes next
+ *   last     the item's costPerUnit (last purchase / manual price)
+ * Batch methods fall back to costPerUnit when no costed batch is left.
+ *
+ * Margins use the net (ex-tax) price when the item's price includes tax.
+ */
+
+const { toDate } = require('../utils/dates');
+const { round2, isItemTaxInclusive, resolveTaxesForItem } = require('../billing/billingCalc');
+const { itemUsage, modifierLinks } = require('./recipes');
+const { convertForItem } = require('./units');
+
+const COSTING_METHODS = ['average', 'fifo', 'last'];
+
+const DEFAULT_SETTINGS = {
+  costingMethod: 'average',
+  alertThresholdPercent: 35,
+};
+
+function settingsFor(restaurantData) {
+  const s = (restaurantData && restaurantData.foodCostSettings) || {};
+  const threshold = Number(s.alertThresholdPercent);
+  return {
+    costingMethod: COSTING_METHODS.includes(s.costingMethod) ? s.costingMethod : DEFAULT_SETTINGS.costingMethod,
+    alertThresholdPercent: threshold > 0 && threshold < 100 ? threshold : DEFAULT_SETTINGS.alertThresholdPercent,
+  };
+}
+
+// Same order stock deduction consumes batches in: mfgDate, else createdAt
+const batchDate = (b) => toDate(b.mfgDate) || toDate(b.createdAt) || new Date(0);
+
+/**
+ * Current unit cost per inventory item → { [itemId]: { unitCost, source } }.
+ * `batches` are stockBatches docs; only active ones with stock left count.
+ */
+function unitCosts(inventory, batches, method = DEFAULT_SETTINGS.costingMethod) {
+  const live = {};
+  (batches || []).forEach(b => {
+    if (b.status && b.status !== 'active') return;
+    if (!((Number(b.remainingQty) || 0) > 0) || !((Number(b.costPerUnit) || 0) > 0)) return;
+    (live[b.inventoryItemId] = live[b.inventoryItemId] || []).push(b);
+  });
+
+  const costs = {};
+  (inventory || []).forEach(inv => {
+    const fallback = { unitCost: Number(inv.costPerUnit) || 0, source: 'last' };
+    const list = live[inv.id];
+    if (method === 'last' || !list) { costs[inv.id] = fallback; return; }
+    if (method === 'fifo') {
+      const oldest = list.slice().sort((a, b) => batchDate(a) - batchDate(b))[0];
+      costs[inv.id] = { unitCost: Number(oldest.costPerUnit), source: 'fifo' };
+      return;
+    }
+    const qty = list.reduce((s, b) => s + Number(b.remainingQty), 0);
+    const value = list.reduce((s, b) => s + Number(b.remainingQty) * Number(b.costPerUnit), 0);
+    costs[inv.id] = { unitCost: value / qty, source: 'average' };
+  });
+  return costs;
+}
+
+/**
+ * Cost of one portion → { cost, lines, missingCost, skipped, hasRecipe }.
+ * `ctx` as for itemUsage(); `variantName` null for the base item.
+ */
+function plateCost(menuItem, variantName, ctx, costs) {
+  const item = {
+    menuItemId: menuItem.id,
+    name: menuItem.name,
+    isStockManaged: menuItem.isStockManaged,
+    deductionQuantity: menuItem.deductionQuantity,
+    selectedVariant: variantName ? { name: variantName } : undefined,
+  };
+  const { usage, skipped } = itemUsage(item, ctx, 1);
+  const byItem = {};
+  usage.forEach(u => { byItem[u.inventoryItemId] = (byItem[u.inventoryItemId] || 0) + u.quantity; });
+
+  const missingCost = [];
+  const lines = Object.keys(byItem).map(id => {
+    const inv = ctx.inventoryById[id];
+    const unitCost = (costs[id] && costs[id].unitCost) || 0;
+    if (!(unitCost > 0)) missingCost.push(id);
+    return {
+      inventoryItemId: id,
+      name: inv.name,
+      quantity: byItem[id],
+      unit: inv.unit,
+      unitCost: round2(unitCost),
+      cost: byItem[id] * unitCost,
+    };
+  });
+  const cost = lines.reduce((s, l) => s + l.cost, 0);
+  lines.forEach(l => { l.cost = round2(l.cost); });
+  lines.sort((a, b) => b.cost - a.cost);
+  return { cost, lines, missingCost, skipped, hasRecipe: usage.length > 0 || skipped.length > 0 };
+}
+
+/** Cost of each modifier option with an inventory link: [{ group, optionId, name, price, cost }]. */
+function modifierCosts(menuItem, ctx, costs) {
+  const out = [];
+  (menuItem.modifierGroups || []).forEach(g => {
+    (g.items || []).forEach(opt => {
+      const [link] = modifierLinks({ selectedCustomizations: [{ id: opt.id, name: opt.name }] }, menuItem);
+      if (!link) return;
+      const inv = ctx.inventoryById[link.inventoryItemId];
+      if (!inv) return;
+      const conv = convertForItem(link.quantity, link.unit || inv.unit, inv);
+      if (!conv.converted) return;
+      const cost = conv.value * ((costs[inv.id] && costs[inv.id].unitCost) || 0);
+      const price = Number(opt.price) || 0;
+      out.push({ group: g.name || '', optionId: opt.id || null, name: opt.name, price, cost: round2(cost), margin: round2(price - cost) });
+    });
+  });
+  return out;
+}
+
+// Price without tax when the menu price includes it
+function netPrice(menuItem, price, taxSettings, categories) {
+  if (!taxSettings || !isItemTaxInclusive(menuItem, taxSettings)) return price;
+  const rate = resolveTaxesForItem(menuItem, taxSettings, categories)
+    .filter(t => (t.type || 'percentage') === 'percentage')
+    .reduce((s, t) => s + (Number(t.rate) || 0), 0);
+  return rate > 0 ? price / (1 + rate / 100) : price;
+}
+
+/**
+ * Costing for one menu item: a row per variant (or one base row) with
+ * { variant, price, netPrice, cost, margin, marginPercent, foodCostPercent, overThreshold }.
+ * `opts` = { settings, taxSettings, categories }.
+ */
+function menuItemCosting(menuItem, ctx, costs, opts = {}) {
+  const settings = opts.settings || DEFAULT_SETTINGS;
+  const variants = (menuItem.variants || []).filter(v => v && v.name);
+  const targets = variants.length > 0
+    ? variants.map(v => ({ variant: v.name, price: Number(v.price) || 0 }))
+    : [{ variant: null, price: Number(menuItem.price) || 0 }];
+
+  let hasRecipe = false;
+  const missing = new Set();
+  const skipped = [];
+  const rows = targets.map(t => {
+    const plate = plateCost(menuItem, t.variant, ctx, costs);
+    hasRecipe = hasRecipe || plate.hasRecipe;
+    plate.missingCost.forEach(id => missing.add(id));
+    skipped.push(...plate.skipped);
+    const net = netPrice(menuItem, t.price, opts.taxSettings, opts.categories);
+    const foodCostPercent = net > 0 ? round2((plate.cost / net) * 100) : null;
+    return {
+      variant: t.variant,
+      price: t.price,
+      netPrice: round2(net),
+      cost: round2(plate.cost),
+      margin: round2(net - plate.cost),
+      marginPercent: net > 0 ? round2(((net - plate.cost) / net) * 100) : null,
+      foodCostPercent,
+      overThreshold: plate.hasRecipe && foodCostPercent != null && foodCostPercent > settings.alertThresholdPercent,
+      lines: plate.lines,
+    };
+  });
+
+  return {
+    menuItemId: menuItem.id,
+    name: menuItem.name || '',
+    category: menuItem.category || '',
+    hasRecipe,
+    rows,
+    modifiers: modifierCosts(menuItem, ctx, costs),
+    missingCost: [...missing].map(id => ({ inventoryItemId: id, name: ctx.inventoryById[id].name })),
+    skipped,
+  };
+}
+
+const rowKey = (menuItemId, variant) => `${menuItemId}|${variant || ''}`;
+
+/**
+ * Changes against the last stored costing, per row:
+ *   changed  cost moved by a cent or more (→ history)
+ *   raised   food-cost % went over the threshold (→ alert)
+ *   cleared  back at or under it (→ resolve the open alert)
+ * `previous` = [{ menuItemId, rows }] as stored; `current` = menuItemCosting() results.
+ */
+function diffCostings(previous, current, threshold) {
+  const prev = {};
+  (previous || []).forEach(p => (p.rows || []).forEach(r => { prev[rowKey(p.menuItemId, r.variant)] = r; }));
+  const changed = [];
+  const raised = [];
+  const cleared = [];
+  (current || []).forEach(c => {
+    if (!c.hasRecipe) return;
+    c.rows.forEach(r => {
+      const before = prev[rowKey(c.menuItemId, r.variant)];
+      const entry = { menuItemId: c.menuItemId, name: c.name, variant: r.variant, row: r, previous: before || null };
+      if (!before || Math.abs((before.cost || 0) - r.cost) >= 0.01 || before.price !== r.price) changed.push(entry);
+      const wasOver = !!(before && before.foodCostPercent != null && before.foodCostPercent > threshold);
+      if (r.overThreshold && !wasOver) raised.push(entry);
+      else if (!r.overThreshold && wasOver) cleared.push(entry);
+    });
+  });
+  return { changed, raised, cleared };
+}
+
+module.exports = {
+  COSTING_METHODS,
+  DEFAULT_SETTINGS,
+  settingsFor,
+  unitCosts,
+  plateCost,
+  modifierCosts,
+  netPrice,
+  menuItemCosting,
+  diffCostings,
+};
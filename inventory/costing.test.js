@@ -0,0 +1,142 @@
+const costing = require('./costing');
+
+const inventory = [
+  { id: 'flour', name: 'Flour', unit: 'kg', costPerUnit: 40 },
+  { id: 'cheese', name: 'Cheese', unit: 'kg', costPerUnit: 500 },
+  { id: 'basil', name: 'Basil', unit: 'kg', costPerUnit: 0 },
+];
+const inventoryById = Object.fromEntries(inventory.map(i => [i.id, i]));
+const recipes = [
+  { id: 'r-dough', name: 'Dough', servings: 4, ingredients: [{ inventoryItemId: 'flour', quantity: 1000, unit: 'g' }] },
+  {
+    id: 'r-pizza',
+    menuItemId: 'm-pizza',
+    name: 'Margherita',
+    ingredients: [
+      { type: 'recipe', subRecipeId: 'r-dough', quantity: 1 },
+      { inventoryItemId: 'cheese', quantity: 100, unit: 'g' },
+    ],
+  },
+];
+const pizza = {
+  id: 'm-pizza',
+  name: 'Margherita',
+  category: 'Pizza',
+  variants: [{ name: 'Regular', price: 300 }, { name: 'Half', price: 180, recipeMultiplier: 0.5 }],
+  modifierGroups: [{ name: 'Extras', items: [
+    { id: 'x-cheese', name: 'Extra cheese', price: 60, inventoryItemId: 'cheese', invQuantity: 50, invUnit: 'g' },
+    { id: 'x-olives', name: 'Olives', price: 40 },
+  ] }],
+};
+const ctx = {
+  recipes,
+  recipeMap: Object.fromEntries(recipes.map(r => [r.id, r])),
+  inventoryById,
+  menuItemsMap: { 'm-pizza': pizza },
+};
+const lastCosts = costing.unitCosts(inventory, [], 'last');
+
+// ═══════════════════════════════════════════════════════════════════
+// Settings & unit cost
+// ═══════════════════════════════════════════════════════════════════
+
+describe('settingsFor', () => {
+  test('defaults and rejects bad values', () => {
+    expect(costing.settingsFor({})).toEqual({ costingMethod: 'average', alertThresholdPercent: 35 });
+    expect(costing.settingsFor({ foodCostSettings: { costingMethod: 'lifo', alertThresholdPercent: 140 } }))
+      .toEqual({ costingMethod: 'average', alertThresholdPercent: 35 });
+    expect(costing.settingsFor({ foodCostSettings: { costingMethod: 'fifo', alertThresholdPercent: 28 } }))
+      .toEqual({ costingMethod: 'fifo', alertThresholdPercent: 28 });
+  });
+});
+
+describe('unitCosts', () => {
+  const batches = [
+    { inventoryItemId: 'cheese', status: 'active', remainingQty: 1, costPerUnit: 400, mfgDate: new Date('2026-05-01') },
+    { inventoryItemId: 'cheese', status: 'active', remainingQty: 3, costPerUnit: 600, mfgDate: new Date('2026-05-10') },
+    { inventoryItemId: 'cheese', status: 'depleted', remainingQty: 5, costPerUnit: 100, mfgDate: new Date('2026-04-01') },
+    { inventoryItemId: 'cheese', status: 'active', remainingQty: 0, costPerUnit: 50, mfgDate: new Date('2026-04-02') },
+  ];
+
+  test('weighted average of live batches', () => {
+    expect(costing.unitCosts(inventory, batches, 'average').cheese).toEqual({ unitCost: 550, source: 'average' });
+  });
+
+  test('fifo takes the oldest live batch', () => {
+    expect(costing.unitCosts(inventory, batches, 'fifo').cheese).toEqual({ unitCost: 400, source: 'fifo' });
+  });
+
+  test('falls back to costPerUnit without costed batches', () => {
+    expect(costing.unitCosts(inventory, batches, 'average').flour).toEqual({ unitCost: 40, source: 'last' });
+    expect(costing.unitCosts(inventory, batches, 'last').cheese).toEqual({ unitCost: 500, source: 'last' });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Plate cost & margins
+// ═══════════════════════════════════════════════════════════════════
+
+describe('menuItemCosting', () => {
+  test('costs each variant through sub-recipes', () => {
+    const result = costing.menuItemCosting(pizza, ctx, lastCosts);
+    expect(result.hasRecipe).toBe(true);
+    // 250 g flour @ 40/kg + 100 g cheese @ 500/kg = 10 + 50
+    expect(result.rows[0]).toMatchObject({ variant: 'Regular', price: 300, cost: 60, margin: 240, marginPercent: 80, foodCostPercent: 20, overThreshold: false });
+    expect(result.rows[0].lines.map(l => [l.inventoryItemId, l.cost])).toEqual([['cheese', 50], ['flour', 10]]);
+    expect(result.rows[1]).toMatchObject({ variant: 'Half', price: 180, cost: 30, foodCostPercent: 16.67 });
+  });
+
+  test('costs linked modifier options', () => {
+    expect(costing.menuItemCosting(pizza, ctx, lastCosts).modifiers).toEqual([
+      { group: 'Extras', optionId: 'x-cheese', name: 'Extra cheese', price: 60, cost: 25, margin: 35 },
+    ]);
+  });
+
+  test('uses the net price for tax-inclusive items', () => {
+    const taxSettings = { enabled: true, taxInclusivePricing: true, taxes: [{ name: 'VAT', rate: 20, enabled: true, type: 'percentage' }] };
+    const row = costing.menuItemCosting(pizza, ctx, lastCosts, { taxSettings }).rows[0];
+    expect(row).toMatchObject({ netPrice: 250, foodCostPercent: 24 });
+  });
+
+  test('flags rows over the threshold and ingredients without a cost', () => {
+    const withBasil = { ...ctx, recipes: [{ ...recipes[1], ingredients: [...recipes[1].ingredients, { inventoryItemId: 'basil', quantity: 5, unit: 'g' }] }, recipes[0]] };
+    const result = costing.menuItemCosting(pizza, withBasil, lastCosts, { settings: { alertThresholdPercent: 18 } });
+    expect(result.rows.map(r => r.overThreshold)).toEqual([true, false]);
+    expect(result.missingCost).toEqual([{ inventoryItemId: 'basil', name: 'Basil' }]);
+  });
+
+  test('items without a recipe are not costed as free', () => {
+    const result = costing.menuItemCosting({ id: 'm-soda', name: 'Soda', price: 50 }, ctx, lastCosts);
+    expect(result.hasRecipe).toBe(false);
+    expect(result.rows).toEqual([expect.objectContaining({ variant: null, cost: 0, overThreshold: false })]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// History & alerts
+// ═══════════════════════════════════════════════════════════════════
+
+describe('diffCostings', () => {
+  const current = (cost) => [{
+    menuItemId: 'm-pizza', name: 'Margherita', hasRecipe: true,
+    rows: [{ variant: 'Regular', price: 300, cost, foodCostPercent: cost / 3, overThreshold: cost / 3 > 35 }],
+  }];
+  const stored = (cost) => [{ menuItemId: 'm-pizza', rows: [{ variant: 'Regular', price: 300, cost, foodCostPercent: cost / 3 }] }];
+
+  test('first run records history without alerting under the threshold', () => {
+    expect(costing.diffCostings([], current(60), 35)).toMatchObject({ changed: [{ variant: 'Regular', previous: null }], raised: [], cleared: [] });
+  });
+
+  test('unchanged cost writes nothing', () => {
+    expect(costing.diffCostings(stored(60), current(60.004), 35)).toEqual({ changed: [], raised: [], cleared: [] });
+  });
+
+  test('raises when crossing up and clears when falling back', () => {
+    const up = costing.diffCostings(stored(90), current(120), 35);
+    expect(up.changed).toHaveLength(1);
+    expect(up.raised).toHaveLength(1);
+    expect(up.raised[0].previous.cost).toBe(90);
+    expect(costing.diffCostings(stored(120), current(111), 35).raised).toEqual([]);
+    expect(costing.diffCostings(stored(120), current(90), 35).cleared).toHaveLength(1);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Three-way match (PO ↔ GRN ↔ supplier invoice) — pure.
+ *
+ * Per inventory item on the invoice, compares
+ *
+ *   ordered   PO quantity           at the PO unit price
+ *   received  GRN accepted quantity (rejected kept apart), summed over GRNs
+ *   billed    invoice quantity      at the invoice unit price
+ *
+ * with the outlet's tolerances (invoiceMatchSettings). Lines billed beyond
+ * what was accepted become debit-note lines — the rejected part first, the
+ * rest as short supply — at the billed price. Price increases over the PO,
+ * lines not on the PO, billing beyond the order and invoices with no GRN yet
+ * are exceptions for a person to look at; any exception puts the invoice on
+ * payment hold (unless holdOnException is off).
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { toDate } = require('../utils/dates');
+
+const DEFAULT_SETTINGS = {
+  priceTolerancePct: 2, // billed price may exceed the PO price by this much
+  quantityTolerancePct: 0, // billed quantity may exceed ordered / accepted by this much
+  amountTolerance: 1, // invoice subtotal vs its own lines, in currency
+  autoDebitNotes: true,
+  holdOnException: true,
+};
+
+// Ages (days since the invoice date) the unmatched report groups by
+const AGE_BUCKETS = [
+  { key: '0-7', upTo: 7 },
+  { key: '8-15', upTo: 15 },
+  { key: '16-30', upTo: 30 },
+  { key: '31+', upTo: Infinity },
+];
+
+const nonNegative = (v, fallback) => (v !== undefined && v !== null && v !== '' && Number(v) >= 0 ? Number(v) : fallback);
+
+function settingsFor(restaurantData) {
+  const s = (restaurantData && restaurantData.invoiceMatchSettings) || {};
+  return {
+    priceTolerancePct: nonNegative(s.priceTolerancePct, DEFAULT_SETTINGS.priceTolerancePct),
+    quantityTolerancePct: nonNegative(s.quantityTolerancePct, DEFAULT_SETTINGS.quantityTolerancePct),
+    amountTolerance: nonNegative(s.amountTolerance, DEFAULT_SETTINGS.amountTolerance),
+    autoDebitNotes: s.autoDebitNotes !== false,
+    holdOnException: s.holdOnException !== false,
+  };
+}
+
+const num = (v) => Number(v) || 0;
+
+// How far `actual` may exceed `expected` before it counts
+const allowance = (expected, pct) => Math.max(0.01, Math.abs(expected) * pct / 100);
+
+/** { [inventoryItemId]: { name, quantity, amount } } — repeated lines add up. */
+function sumLines(items, qtyOf, priceOf) {
+  const out = {};
+  (items || []).forEach(i => {
+    if (!i || !i.inventoryItemId) return;
+    const line = out[i.inventoryItemId] = out[i.inventoryItemId] || { name: i.inventoryItemName || '', quantity: 0, amount: 0 };
+    const qty = num(qtyOf(i));
+    line.quantity += qty;
+    line.amount += qty * num(priceOf(i));
+  });
+  return out;
+}
+
+/** Accepted and rejected quantity per item over all GRNs of the order. */
+function receivedQuantities(grns) {
+  const out = {};
+  (grns || []).forEach(g => (g.items || []).forEach(i => {
+    if (!i.inventoryItemId) return;
+    const r = out[i.inventoryItemId] = out[i.inventoryItemId] || { accepted: 0, rejected: 0 };
+    r.accepted += i.acceptedQuantity != null ? num(i.acceptedQuantity) : num(i.receivedQuantity);
+    r.rejected += num(i.rejectedQuantity);
+  }));
+  return out;
+}
+
+/**
+ * Match an invoice against its PO (or null) and GRNs →
+ * { status: 'matched' | 'exception', lines, exceptions, debitNote, billedAmount, paymentHold }.
+ * `debitNote` is { items, totalAmount } or null.
+ */
+function matchInvoice({ invoice, po = null, grns = [], settings = DEFAULT_SETTINGS }) {
+  const s = { ...DEFAULT_SETTINGS, ...settings };
+  const billed = sumLines(invoice.items, i => i.quantity, i => i.unitPrice);
+  const ordered = po ? sumLines(po.items, i => i.quantity, i => i.unitPrice) : {};
+  const received = receivedQuantities(grns);
+  const hasReceipt = grns.length > 0;
+
+  const lines = [];
+  const exceptions = [];
+  const debitItems = [];
+
+  Object.entries(billed).forEach(([inventoryItemId, b]) => {
+    const o = ordered[inventoryItemId];
+    const r = received[inventoryItemId] || { accepted: 0, rejected: 0 };
+    const billedPrice = b.quantity > 0 ? b.amount / b.quantity : 0;
+    const poPrice = o && o.quantity > 0 ? o.amount / o.quantity : null;
+    const itemName = b.name || (o && o.name) || '';
+    const issues = [];
+    const flag = (type, detail) => {
+      issues.push(type);
+      exceptions.push({ type, inventoryItemId, itemName, ...detail });
+    };
+
+    if (po && !o) {
+      flag('not_on_po', { invoiceQuantity: b.quantity });
+    } else if (o) {
+      if (b.quantity - o.quantity > allowance(o.quantity, s.quantityTolerancePct)) {
+        flag('billed_over_ordered', { poQuantity: o.quantity, invoiceQuantity: b.quantity });
+      }
+      if (poPrice != null && billedPrice - poPrice > allowance(poPrice, s.priceTolerancePct)) {
+        flag('price_variance', { poPrice: round2(poPrice), invoicePrice: round2(billedPrice), varianceAmount: round2((billedPrice - poPrice) * b.quantity) });
+      }
+    }
+
+    let debitQuantity = 0;
+    if (!hasReceipt) {
+      flag('not_received', { invoiceQuantity: b.quantity });
+    } else if (b.quantity - r.accepted > allowance(r.accepted, s.quantityTolerancePct)) {
+      debitQuantity = b.quantity - r.accepted;
+      flag('billed_over_received', { grnQuantity: r.accepted, rejectedQuantity: r.rejected, invoiceQuantity: b.quantity });
+      const rejected = Math.min(r.rejected, debitQuantity);
+      if (rejected > 0) debitItems.push({ inventoryItemId, inventoryItemName: itemName, quantity: rejected, costPerUnit: round2(billedPrice), reason: 'rejected' });
+      if (debitQuantity - rejected > 0) debitItems.push({ inventoryItemId, inventoryItemName: itemName, quantity: debitQuantity - rejected, costPerUnit: round2(billedPrice), reason: 'short' });
+    }
+
+    lines.push({
+      inventoryItemId,
+      itemName,
+      orderedQuantity: o ? o.quantity : null,
+      poPrice: poPrice != null ? round2(poPrice) : null,
+      acceptedQuantity: hasReceipt ? r.accepted : null,
+      rejectedQuantity: hasReceipt ? r.rejected : null,
+      billedQuantity: b.quantity,
+      billedPrice: round2(billedPrice),
+      debitQuantity,
+      issues,
+    });
+  });
+
+  const billedAmount = round2(Object.values(billed).reduce((sum, b) => sum + b.amount, 0));
+  if (num(invoice.subtotal) > 0 && Math.abs(num(invoice.subtotal) - billedAmount) > s.amountTolerance) {
+    exceptions.push({ type: 'subtotal_mismatch', invoiceSubtotal: num(invoice.subtotal), linesTotal: billedAmount, difference: round2(num(invoice.subtotal) - billedAmount) });
+  }
+
+  const debitNote = s.autoDebitNotes && debitItems.length > 0
+    ? {
+      items: debitItems.map(i => ({ ...i, totalCost: round2(i.quantity * i.costPerUnit) })),
+      totalAmount: round2(debitItems.reduce((sum, i) => sum + i.quantity * i.costPerUnit, 0)),
+    }
+    : null;
+
+  const status = exceptions.length === 0 ? 'matched' : 'exception';
+  return {
+    status,
+    lines,
+    exceptions,
+    debitNote,
+    billedAmount,
+    paymentHold: status === 'exception' && s.holdOnException,
+  };
+}
+
+/** Still owed on an invoice: total less payments and any live debit note. */
+function outstanding(invoice) {
+  const debit = invoice.debitNote && invoice.debitNote.status !== 'rejected' ? num(invoice.debitNote.amount) : 0;
+  return round2(num(invoice.totalAmount) - num(invoice.paidAmount) - debit);
+}
+
+/**
+ * Unpaid invoices that are not matched and whose exception is still open,
+ * by age since the invoice date → { count, amount, buckets, invoices }.
+ */
+function agedUnmatched(invoices, now = new Date()) {
+  const buckets = {};
+  AGE_BUCKETS.forEach(b => { buckets[b.key] = { count: 0, amount: 0 }; });
+  const rows = [];
+
+  (invoices || []).forEach(inv => {
+    if (inv.paymentStatus === 'paid' || inv.matchStatus === 'matched') return;
+    if (inv.exception && inv.exception.status === 'resolved') return;
+    const balance = outstanding(inv);
+    if (balance <= 0) return;
+    const since = toDate(inv.invoiceDate) || toDate(inv.createdAt) || now;
+    const ageDays = Math.max(0, Math.floor((now - since) / 86400000));
+    const bucket = AGE_BUCKETS.find(b => ageDays <= b.upTo).key;
+    buckets[bucket].count++;
+    buckets[bucket].amount = round2(buckets[bucket].amount + balance);
+    rows.push({
+      id: inv.id,
+      invoiceNumber: inv.invoiceNumber,
+      supplierId: inv.supplierId || null,
+      amount: balance,
+      ageDays,
+      bucket,
+      matchStatus: inv.matchStatus || 'pending',
+      paymentHold: inv.paymentHold === true,
+      exceptions: (inv.discrepancies || []).length,
+    });
+  });
+
+  rows.sort((a, b) => b.ageDays - a.ageDays);
+  return {
+    count: rows.length,
+    amount: round2(rows.reduce((sum, r) => sum + r.amount, 0)),
+    buckets,
+    invoices: rows,
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  AGE_BUCKETS,
+  settingsFor,
+  receivedQuantities,
+  matchInvoice,
+  outstanding,
+  agedUnmatched,
+};
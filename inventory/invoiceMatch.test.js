@@ -0,0 +1,91 @@
+const invoiceMatch = require('./invoiceMatch');
+
+const po = {
+  items: [
+    { inventoryItemId: 'tom', inventoryItemName: 'Tomatoes', quantity: 50, unitPrice: 40 },
+    { inventoryItemId: 'oil', inventoryItemName: 'Oil', quantity: 10, unitPrice: 150 },
+  ],
+};
+const grns = [
+  { items: [{ inventoryItemId: 'tom', receivedQuantity: 30, acceptedQuantity: 26, rejectedQuantity: 4 }, { inventoryItemId: 'oil', receivedQuantity: 10, acceptedQuantity: 10 }] },
+  { items: [{ inventoryItemId: 'tom', receivedQuantity: 20, acceptedQuantity: 20 }] },
+];
+const invoice = (items, extra = {}) => ({ items, ...extra });
+
+// ═══════════════════════════════════════════════════════════════════
+// Line matching
+// ═══════════════════════════════════════════════════════════════════
+
+describe('matchInvoice', () => {
+  test('billing what was ordered and accepted matches', () => {
+    const r = invoiceMatch.matchInvoice({
+      invoice: invoice([{ inventoryItemId: 'tom', quantity: 46, unitPrice: 40 }, { inventoryItemId: 'oil', quantity: 10, unitPrice: 150 }], { subtotal: 3340 }),
+      po, grns,
+    });
+    expect(r).toMatchObject({ status: 'matched', exceptions: [], debitNote: null, billedAmount: 3340, paymentHold: false });
+    expect(r.lines[0]).toMatchObject({ orderedQuantity: 50, acceptedQuantity: 46, rejectedQuantity: 4, billedQuantity: 46 });
+  });
+
+  test('billed beyond accepted → debit note, rejected part first, then short', () => {
+    const r = invoiceMatch.matchInvoice({ invoice: invoice([{ inventoryItemId: 'tom', quantity: 50, unitPrice: 40 }]), po, grns: grns.slice(0, 1) });
+    expect(r.status).toBe('exception');
+    expect(r.paymentHold).toBe(true);
+    expect(r.exceptions[0]).toMatchObject({ type: 'billed_over_received', grnQuantity: 26, rejectedQuantity: 4, invoiceQuantity: 50 });
+    expect(r.debitNote.items).toEqual([
+      { inventoryItemId: 'tom', inventoryItemName: 'Tomatoes', quantity: 4, costPerUnit: 40, reason: 'rejected', totalCost: 160 },
+      { inventoryItemId: 'tom', inventoryItemName: 'Tomatoes', quantity: 20, costPerUnit: 40, reason: 'short', totalCost: 800 },
+    ]);
+    expect(r.debitNote.totalAmount).toBe(960);
+  });
+
+  test('price over PO beyond tolerance and lines off the PO are exceptions', () => {
+    const lines = [{ inventoryItemId: 'oil', quantity: 10, unitPrice: 152 }];
+    expect(invoiceMatch.matchInvoice({ invoice: invoice(lines), po, grns }).status).toBe('matched'); // within 2%
+    lines[0].unitPrice = 160;
+    lines.push({ inventoryItemId: 'salt', inventoryItemName: 'Salt', quantity: 1, unitPrice: 20 });
+    const r = invoiceMatch.matchInvoice({ invoice: invoice(lines), po, grns });
+    expect(r.exceptions.map(e => e.type)).toEqual(['price_variance', 'not_on_po', 'billed_over_received']);
+    expect(r.exceptions[0]).toMatchObject({ poPrice: 150, invoicePrice: 160, varianceAmount: 100 });
+  });
+
+  test('no GRN yet: held, nothing debited; settings can turn both off', () => {
+    const inv = invoice([{ inventoryItemId: 'oil', quantity: 10, unitPrice: 150 }]);
+    const r = invoiceMatch.matchInvoice({ invoice: inv, po, grns: [] });
+    expect(r.exceptions.map(e => e.type)).toEqual(['not_received']);
+    expect(r.debitNote).toBeNull();
+    const lax = invoiceMatch.settingsFor({ invoiceMatchSettings: { holdOnException: false, autoDebitNotes: false } });
+    expect(invoiceMatch.matchInvoice({ invoice: inv, po, grns: [], settings: lax }).paymentHold).toBe(false);
+    expect(invoiceMatch.matchInvoice({ invoice: invoice([{ inventoryItemId: 'tom', quantity: 60, unitPrice: 40 }]), po, grns, settings: lax }).debitNote).toBeNull();
+  });
+
+  test('subtotal that disagrees with the lines is flagged', () => {
+    const r = invoiceMatch.matchInvoice({ invoice: invoice([{ inventoryItemId: 'oil', quantity: 10, unitPrice: 150 }], { subtotal: 1600 }), po, grns });
+    expect(r.exceptions).toEqual([{ type: 'subtotal_mismatch', invoiceSubtotal: 1600, linesTotal: 1500, difference: 100 }]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Ageing
+// ═══════════════════════════════════════════════════════════════════
+
+describe('outstanding / agedUnmatched', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+
+  test('a live debit note reduces what is owed', () => {
+    expect(invoiceMatch.outstanding({ totalAmount: 2000, paidAmount: 500, debitNote: { amount: 960, status: 'pending' } })).toBe(540);
+    expect(invoiceMatch.outstanding({ totalAmount: 2000, debitNote: { amount: 960, status: 'rejected' } })).toBe(2000);
+  });
+
+  test('groups open unmatched invoices by age, oldest first', () => {
+    const report = invoiceMatch.agedUnmatched([
+      { id: 'a', invoiceDate: new Date('2026-10-15'), totalAmount: 1000, matchStatus: 'discrepancy', paymentHold: true },
+      { id: 'b', invoiceDate: new Date('2026-09-01'), totalAmount: 500, matchStatus: 'pending' },
+      { id: 'c', invoiceDate: new Date('2026-09-01'), totalAmount: 700, matchStatus: 'matched' },
+      { id: 'd', invoiceDate: new Date('2026-09-01'), totalAmount: 700, matchStatus: 'discrepancy', exception: { status: 'resolved' } },
+      { id: 'e', invoiceDate: new Date('2026-09-01'), totalAmount: 700, matchStatus: 'pending', paymentStatus: 'paid' },
+    ], now);
+    expect(report).toMatchObject({ count: 2, amount: 1500 });
+    expect(report.invoices.map(i => [i.id, i.bucket])).toEqual([['b', '31+'], ['a', '0-7']]);
+    expect(report.buckets['0-7']).toEqual({ count: 1, amount: 1000 });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Menu engineering (Kasavana & Smith) — pure.
+ *
+ * Every costed menu item is placed on two axes within its group (its
+ * category, or the whole menu):
+ *
+ *   popularity   menu mix % ≥ popularityFactor × (1 / items in the group)
+ *                (the 70% rule with the default factor of 0.7)
+ *   profitability  contribution margin per sale ≥ the group's weighted
+ *                average CM (total CM / total sold)
+ *
+ *   high pop + high CM = star       → keep
+ *   high pop + low CM  = plowhorse  → reprice
+ *   low pop  + high CM = puzzle     → reposition
+ *   low pop  + low CM  = dog        → remove
+ *
+ * Contribution margin = net (ex-tax) selling price − plate cost
+ * (inventory/costing.js), at the prices and variants actually sold, with
+ * linked add-ons costed in. Items with no recipe have no CM and are listed
+ * as 'uncosted' outside the matrix. Menu items that sold nothing still count
+ * in their group's mix — they are the dogs and puzzles a chef needs to see.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { netPrice } = require('./costing');
+const { UNSOLD_STATUSES } = require('./variance');
+
+const DEFAULT_POPULARITY_FACTOR = 0.7;
+const GROUP_BY = ['category', 'menu'];
+
+const RECOMMENDATIONS = {
+  star: 'keep',
+  plowhorse: 'reprice',
+  puzzle: 'reposition',
+  dog: 'remove',
+};
+
+/**
+ * Sold quantity, net revenue and plate cost per menu item from orders.
+ * `costings` = menuItemCosting() results; `opts` = { taxSettings, categories, menuItemsMap }.
+ * Returns { [menuItemId]: { sold, revenue, cost } }.
+ */
+function salesByMenuItem(orders, costings, opts = {}) {
+  const byId = {};
+  (costings || []).forEach(c => { byId[c.menuItemId] = c; });
+  const sales = {};
+  (orders || []).forEach(order => {
+    if (UNSOLD_STATUSES.includes(order.status)) return;
+    (order.items || []).forEach(item => {
+      const c = byId[item.menuItemId];
+      const qty = Number(item.quantity) || 0;
+      if (!c || !(qty > 0)) return;
+      const menuDef = (opts.menuItemsMap && opts.menuItemsMap[item.menuItemId]) || {};
+      const variant = item.selectedVariant && item.selectedVariant.name;
+      const row = c.rows.find(r => r.variant === (variant || null)) || c.rows[0];
+      const addOns = (item.selectedCustomizations || []).reduce((s, cust) => {
+        const m = cust && c.modifiers.find(o => (cust.id && o.optionId === cust.id) || o.name === cust.name);
+        return s + (m ? m.cost : 0);
+      }, 0);
+      const unitPrice = Number(item.price) || 0;
+      const s = sales[item.menuItemId] = sales[item.menuItemId] || { sold: 0, revenue: 0, cost: 0 };
+      s.sold += qty;
+      s.revenue += netPrice(menuDef, unitPrice, opts.taxSettings, opts.categories) * qty;
+      s.cost += ((row ? row.cost : 0) + addOns) * qty;
+    });
+  });
+  return sales;
+}
+
+/**
+ * The matrix. `costings` = menuItemCosting() results, `sales` = salesByMenuItem().
+ * `opts` = { groupBy: 'category' | 'menu', popularityFactor }.
+ * Returns { items, groups, totals }.
+ */
+function classify(costings, sales, opts = {}) {
+  const groupBy = GROUP_BY.includes(opts.groupBy) ? opts.groupBy : 'category';
+  const factor = Number(opts.popularityFactor) > 0 ? Number(opts.popularityFactor) : DEFAULT_POPULARITY_FACTOR;
+
+  const rows = (costings || []).map(c => {
+    const s = sales[c.menuItemId] || { sold: 0, revenue: 0, cost: 0 };
+    // Unsold items are valued at their menu price for the CM axis
+    const base = c.rows[0] || { netPrice: 0, cost: 0 };
+    const avgPrice = s.sold > 0 ? s.revenue / s.sold : base.netPrice;
+    const avgCost = s.sold > 0 ? s.cost / s.sold : base.cost;
+    return {
+      menuItemId: c.menuItemId,
+      name: c.name,
+      category: c.category || 'Uncategorized',
+      group: groupBy === 'menu' ? 'All items' : (c.category || 'Uncategorized'),
+      costed: c.hasRecipe,
+      sold: s.sold,
+      revenue: round2(s.revenue),
+      foodCost: round2(s.cost),
+      avgPrice: round2(avgPrice),
+      avgCost: round2(avgCost),
+      contributionMargin: round2(avgPrice - avgCost),
+      totalContribution: round2(s.revenue - s.cost),
+      foodCostPercent: avgPrice > 0 ? round2((avgCost / avgPrice) * 100) : null,
+      menuMixPercent: null,
+      popularity: null,
+      profitability: null,
+      classification: c.hasRecipe ? null : 'uncosted',
+      recommendation: null,
+    };
+  });
+
+  const groups = {};
+  rows.filter(r => r.costed).forEach(r => { (groups[r.group] = groups[r.group] || []).push(r); });
+
+  const groupSummaries = Object.entries(groups).map(([name, items]) => {
+    const sold = items.reduce((s, r) => s + r.sold, 0);
+    const contribution = items.reduce((s, r) => s + (r.revenue - r.foodCost), 0);
+    const popularityThreshold = (factor / items.length) * 100;
+    const cmThreshold = sold > 0 ? contribution / sold : 0;
+    items.forEach(r => {
+      r.menuMixPercent = sold > 0 ? round2((r.sold / sold) * 100) : 0;
+      r.popularity = sold > 0 && (r.sold / sold) * 100 >= popularityThreshold ? 'high' : 'low';
+      r.profitability = r.contributionMargin >= round2(cmThreshold) ? 'high' : 'low';
+      r.classification = r.popularity === 'high'
+        ? (r.profitability === 'high' ? 'star' : 'plowhorse')
+        : (r.profitability === 'high' ? 'puzzle' : 'dog');
+      r.recommendation = RECOMMENDATIONS[r.classification];
+    });
+    return {
+      name,
+      items: items.length,
+      sold,
+      popularityThresholdPercent: round2(popularityThreshold),
+      contributionMarginThreshold: round2(cmThreshold),
+      totalContribution: round2(contribution),
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  const order = { star: 0, plowhorse: 1, puzzle: 2, dog: 3, uncosted: 4 };
+  rows.sort((a, b) => order[a.classification] - order[b.classification]
+    || b.totalContribution - a.totalContribution
+    || a.name.localeCompare(b.name));
+
+  const count = (k) => rows.filter(r => r.classification === k).length;
+  const costed = rows.filter(r => r.costed);
+  return {
+    groupBy,
+    popularityFactor: factor,
+    items: rows,
+    groups: groupSummaries,
+    totals: {
+      stars: count('star'),
+      plowhorses: count('plowhorse'),
+      puzzles: count('puzzle'),
+      dogs: count('dog'),
+      uncosted: count('uncosted'),
+      sold: costed.reduce((s, r) => s + r.sold, 0),
+      revenue: round2(costed.reduce((s, r) => s + r.revenue, 0)),
+      foodCost: round2(costed.reduce((s, r) => s + r.foodCost, 0)),
+      totalContribution: round2(costed.reduce((s, r) => s + r.totalContribution, 0)),
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_POPULARITY_FACTOR,
+  GROUP_BY,
+  RECOMMENDATIONS,
+  salesByMenuItem,
+  classify,
+};
@@ -0,0 +1,96 @@
+const { salesByMenuItem, classify } = require('./menuEngineering');
+
+// menuItemCosting()-shaped results: one row per variant
+const costed = (menuItemId, category, price, cost, extra = {}) => ({
+  menuItemId,
+  name: menuItemId,
+  category,
+  hasRecipe: true,
+  rows: [{ variant: null, price, netPrice: price, cost }],
+  modifiers: [],
+  ...extra,
+});
+
+const sold = (menuItemId, quantity, price, extra = {}) => ({ menuItemId, quantity, price, ...extra });
+
+// ═══════════════════════════════════════════════════════════════════
+// Sales
+// ═══════════════════════════════════════════════════════════════════
+
+describe('salesByMenuItem', () => {
+  const pizza = costed('pizza', 'Mains', 300, 60, {
+    rows: [{ variant: 'Regular', price: 300, netPrice: 300, cost: 60 }, { variant: 'Half', price: 180, netPrice: 180, cost: 30 }],
+    modifiers: [{ optionId: 'x-cheese', name: 'Extra cheese', cost: 25 }],
+  });
+
+  test('costs the variant and add-ons actually sold', () => {
+    const sales = salesByMenuItem([
+      { status: 'completed', items: [sold('pizza', 2, 300, { selectedVariant: { name: 'Regular' } })] },
+      { status: 'completed', items: [sold('pizza', 1, 240, { selectedVariant: { name: 'Half' }, selectedCustomizations: [{ id: 'x-cheese' }] })] },
+      { status: 'cancelled', items: [sold('pizza', 9, 300)] },
+      { status: 'completed', items: [sold('unknown', 1, 99)] },
+    ], [pizza]);
+    expect(sales).toEqual({ pizza: { sold: 3, revenue: 840, cost: 175 } });
+  });
+
+  test('takes tax out of inclusive prices', () => {
+    const taxSettings = { enabled: true, taxInclusivePricing: true, taxes: [{ name: 'VAT', rate: 20, enabled: true }] };
+    const sales = salesByMenuItem([{ status: 'paid', items: [sold('pizza', 1, 360)] }], [pizza], { taxSettings });
+    expect(sales.pizza.revenue).toBe(300);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Matrix
+// ═══════════════════════════════════════════════════════════════════
+
+describe('classify', () => {
+  // Four mains: 70% rule threshold = 0.7 / 4 = 17.5% mix
+  const costings = [
+    costed('burger', 'Mains', 400, 100),   // CM 300
+    costed('pasta', 'Mains', 300, 150),    // CM 150
+    costed('steak', 'Mains', 900, 400),    // CM 500
+    costed('salad', 'Mains', 200, 120),    // CM 80
+    costed('cola', 'Drinks', 60, 20),
+    { ...costed('special', 'Mains', 500, 0), hasRecipe: false },
+  ];
+  const sales = {
+    burger: { sold: 50, revenue: 20000, cost: 5000 },
+    pasta: { sold: 40, revenue: 12000, cost: 6000 },
+    steak: { sold: 8, revenue: 7200, cost: 3200 },
+    salad: { sold: 2, revenue: 400, cost: 240 },
+    cola: { sold: 30, revenue: 1800, cost: 600 },
+  };
+
+  test('places each item by mix and contribution margin within its category', () => {
+    const { items, groups } = classify(costings, sales);
+    const by = Object.fromEntries(items.map(i => [i.menuItemId, i]));
+    expect(by.burger).toMatchObject({ menuMixPercent: 50, contributionMargin: 300, classification: 'star', recommendation: 'keep' });
+    expect(by.pasta).toMatchObject({ classification: 'plowhorse', recommendation: 'reprice' });
+    expect(by.steak).toMatchObject({ menuMixPercent: 8, classification: 'puzzle', recommendation: 'reposition' });
+    expect(by.salad).toMatchObject({ classification: 'dog', recommendation: 'remove' });
+    // A category of one is always popular and at the average margin
+    expect(by.cola.classification).toBe('star');
+    // (15000 + 6000 + 4000 + 160) / 100 sold
+    expect(groups.find(g => g.name === 'Mains')).toMatchObject({ items: 4, popularityThresholdPercent: 17.5, contributionMarginThreshold: 251.6 });
+  });
+
+  test('uncosted items stay out of the matrix', () => {
+    const { items, totals } = classify(costings, sales);
+    expect(items[items.length - 1]).toMatchObject({ menuItemId: 'special', classification: 'uncosted', popularity: null });
+    expect(totals).toMatchObject({ stars: 2, plowhorses: 1, puzzles: 1, dogs: 1, uncosted: 1, sold: 130 });
+  });
+
+  test('unsold items count in the mix at their menu price', () => {
+    const { items } = classify([...costings, costed('soup', 'Mains', 250, 50)], sales);
+    // Five mains now: threshold 14% — steak stays a puzzle, soup sold nothing
+    expect(items.find(i => i.menuItemId === 'soup')).toMatchObject({ sold: 0, menuMixPercent: 0, avgPrice: 250, contributionMargin: 200, classification: 'dog' });
+  });
+
+  test('one menu-wide group with a custom popularity factor', () => {
+    const { groups, items } = classify(costings, sales, { groupBy: 'menu', popularityFactor: 1 });
+    expect(groups).toEqual([expect.objectContaining({ name: 'All items', items: 5, popularityThresholdPercent: 20 })]);
+    // cola: 23% of 130 sold → popular; CM 40 → low
+    expect(items.find(i => i.menuItemId === 'cola').classification).toBe('plowhorse');
+  });
+});
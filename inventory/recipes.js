@@ -0,0 +1,112 @@
+/**
+ * Recipe helpers — pure. How much of each inventory item one sold menu item
+ * consumes, with the same rules stock deduction applies in
+ * services/inventoryService.js (sub-recipes, variant multipliers, modifier
+ * inventory links, direct 1:1 stock-managed items).
+ */
+
+const { convertForItem } = require('./units');
+
+/**
+ * Flatten recipe ingredients, resolving sub-recipes recursively using a pre-loaded map.
+ * Returns flat array of raw inventory ingredients with adjusted quantities.
+ */
+function flattenIngredients(recipeMap, ingredients, multiplier = 1, visited = new Set()) {
+  const flat = [];
+  for (const ing of ingredients) {
+    if (ing.type === 'recipe' && ing.subRecipeId) {
+      if (visited.has(ing.subRecipeId)) continue; // circular protection
+      visited.add(ing.subRecipeId);
+      const subRecipe = recipeMap[ing.subRecipeId];
+      if (subRecipe) {
+        const subServings = subRecipe.servings || 1;
+        const subMultiplier = multiplier * (ing.quantity || 1) / subServings;
+        const subFlat = flattenIngredients(recipeMap, subRecipe.ingredients || [], subMultiplier, new Set(visited));
+        flat.push(...subFlat);
+      }
+    } else {
+      flat.push({ ...ing, quantity: (ing.quantity || 0) * multiplier });
+    }
+  }
+  return flat;
+}
+
+/** Share of the recipe a variant uses (Half = 0.5); 1 when not configured. */
+function variantMultiplier(item, menuDef) {
+  const variantDef = item.selectedVariant?.name ? (menuDef?.variants || []).find(v => v.name === item.selectedVariant.name) : null;
+  const m = (variantDef && typeof variantDef.recipeMultiplier === 'number') ? variantDef.recipeMultiplier
+          : (item.selectedVariant && typeof item.selectedVariant.recipeMultiplier === 'number') ? item.selectedVariant.recipeMultiplier
+          : 1;
+  return (typeof m === 'number' && m > 0) ? m : 1;
+}
+
+/** Inventory links of an item's chosen modifiers: [{ inventoryItemId, quantity, unit, name }]. */
+function modifierLinks(item, menuDef) {
+  const links = [];
+  for (const cust of (item.selectedCustomizations || [])) {
+    if (!cust) continue;
+    let link = null;
+    if (cust.inventoryItemId) link = { inventoryItemId: cust.inventoryItemId, quantity: cust.quantity, unit: cust.unit };
+    else if (menuDef) {
+      for (const g of (menuDef.modifierGroups || [])) {
+        const opt = (g.items || []).find(o => (cust.id && o.id === cust.id) || (o.name && o.name === cust.name));
+        if (opt && opt.inventoryItemId) { link = { inventoryItemId: opt.inventoryItemId, quantity: opt.invQuantity, unit: opt.invUnit }; break; }
+      }
+    }
+    if (link && link.inventoryItemId && typeof link.quantity === 'number' && link.quantity > 0) links.push({ ...link, name: cust.name });
+  }
+  return links;
+}
+
+/** The recipe for a menu item: linked by menuItemId, else an exact name match. */
+function findRecipe(item, recipes) {
+  const byId = recipes.find(r => r.menuItemId && r.menuItemId === item.menuItemId);
+  if (byId) return byId;
+  const name = (item.name || '').toLowerCase().replace(/\s*\(.*?\)\s*/g, '').trim();
+  return name ? recipes.find(r => (r.name || '').toLowerCase().trim() === name) || null : null;
+}
+
+/**
+ * Inventory consumed by `quantity` of one order item, in each inventory
+ * item's own unit → { usage: [{ inventoryItemId, quantity }], skipped: [...] }.
+ * `ctx` = { recipes, recipeMap, menuItemsMap, inventoryById }.
+ * Unconvertible units are reported in `skipped`, never guessed.
+ */
+function itemUsage(item, ctx, quantity = Number(item.quantity) || 0) {
+  const usage = [];
+  const skipped = [];
+  if (!(quantity > 0)) return { usage, skipped };
+  const menuDef = ctx.menuItemsMap[item.menuItemId];
+  const add = (inventoryItemId, qty, unit, source) => {
+    const inv = ctx.inventoryById[inventoryItemId];
+    if (!inv) { skipped.push({ inventoryItemId, menuItemName: item.name, reason: 'unknown-item', source }); return; }
+    const conv = convertForItem(qty, unit || inv.unit, inv);
+    if (!conv.converted) { skipped.push({ inventoryItemId, menuItemName: item.name, reason: conv.reason, source }); return; }
+    usage.push({ inventoryItemId, quantity: conv.value });
+  };
+
+  modifierLinks(item, menuDef).forEach(l => add(l.inventoryItemId, l.quantity * quantity, l.unit, 'modifier'));
+
+  const recipe = findRecipe(item, ctx.recipes);
+  if (recipe) {
+    const mult = variantMultiplier(item, menuDef);
+    flattenIngredients(ctx.recipeMap, recipe.ingredients || []).forEach(ing => {
+      if (!ing.inventoryItemId) { skipped.push({ inventoryItemId: null, menuItemName: item.name, reason: 'unlinked-ingredient', source: 'recipe' }); return; }
+      add(ing.inventoryItemId, ing.quantity * quantity * mult, ing.unit, 'recipe');
+    });
+  } else if (item.isStockManaged || item.trackInventory) {
+    const direct = item.inventoryItemId && ctx.inventoryById[item.inventoryItemId]
+      ? ctx.inventoryById[item.inventoryItemId]
+      : Object.values(ctx.inventoryById).find(i => i.linkedMenuItemId && i.linkedMenuItemId === item.menuItemId);
+    if (direct) usage.push({ inventoryItemId: direct.id, quantity: (item.deductionQuantity || 1) * quantity });
+  }
+  return { usage, skipped };
+}
+
+module.exports = {
+  flattenIngredients,
+  variantMultiplier,
+  modifierLinks,
+  findRecipe,
+  itemUsage,
+};
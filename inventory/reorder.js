@@ -0,0 +1,217 @@
+/**
+ * Par-level reordering — pure.
+ *
+ * Per inventory item (quantities in its stock `unit`, as POs and GRNs use):
+ *
+ *   parLevel       stock to top up to          (falls back to maxStock)
+ *   reorderPoint   reorder at or below this    (falls back to minStock)
+ *   minOrderQuantity  supplier's MOQ
+ *   packSize       order in multiples of this  (falls back to the stock units
+ *                  in one purchaseUnit — units.stockFactor, e.g. 1 case = 12)
+ *   preferredSupplierId
+ *
+ * An item is reordered when on hand + still on order ≤ reorder point; the
+ * quantity is par − on hand − on order, raised to the MOQ and rounded up to
+ * whole packs. Lines are grouped by supplier: the preferred one if active,
+ * else the item's own supplier (`supplierId`, or the `supplier` name the
+ * inventory form stores), else the best-scoring supplier from past
+ * purchases (same weighting as /api/ai/best-supplier: price 60%,
+ * reliability 40%). Items with no supplier to ask are reported, not ordered.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { stockFactor } = require('./units');
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  runHour: 6, // store-local hour the daily drafting runs at
+};
+
+// PO statuses whose undelivered quantity still counts as on order
+const OPEN_PO_STATUSES = ['pending', 'approved', 'sent', 'partially_received'];
+
+// Received / partly received POs carry the prices a supplier actually charged
+const PRICED_PO_STATUSES = ['received', 'partially_received', 'delivered'];
+
+function settingsFor(restaurantData) {
+  const s = (restaurantData && restaurantData.autoReorderSettings) || {};
+  const hour = Number(s.runHour);
+  return {
+    enabled: s.enabled === true,
+    runHour: Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_SETTINGS.runHour,
+  };
+}
+
+const positive = (v) => (Number(v) > 0 ? Number(v) : 0);
+
+/** The item's reorder parameters with the fallbacks applied. */
+function parFor(item) {
+  const purchaseUnit = item.purchaseUnit && item.purchaseUnit !== item.unit ? item.purchaseUnit : null;
+  return {
+    parLevel: positive(item.parLevel) || positive(item.maxStock),
+    reorderPoint: item.reorderPoint != null && Number(item.reorderPoint) >= 0 ? Number(item.reorderPoint) : positive(item.minStock),
+    minOrderQuantity: positive(item.minOrderQuantity),
+    packSize: positive(item.packSize) || (purchaseUnit ? positive(stockFactor(item, purchaseUnit)) : 0),
+    purchaseUnit,
+  };
+}
+
+/**
+ * Undelivered quantity per inventory item on open POs →
+ * { [inventoryItemId]: quantity }. `receivedByPo` = { [poId]: { [inventoryItemId]: qty } }
+ * from GRNs against partly received POs.
+ */
+function onOrderQuantities(purchaseOrders, receivedByPo = {}) {
+  const out = {};
+  (purchaseOrders || []).forEach(po => {
+    if (!OPEN_PO_STATUSES.includes(po.status)) return;
+    const received = receivedByPo[po.id] || {};
+    (po.items || []).forEach(line => {
+      if (!line.inventoryItemId) return;
+      const left = (Number(line.quantity) || 0) - (received[line.inventoryItemId] || 0);
+      if (left > 0) out[line.inventoryItemId] = (out[line.inventoryItemId] || 0) + left;
+    });
+  });
+  return out;
+}
+
+/**
+ * How much to order → { quantity, packs, shortfall } or null when the item
+ * has no par level or isn't at its reorder point.
+ */
+function requiredQuantity(item, onOrder = 0) {
+  const par = parFor(item);
+  if (!(par.parLevel > 0)) return null;
+  const onHand = Math.max(0, Number(item.currentStock) || 0);
+  if (onHand + onOrder > par.reorderPoint) return null;
+  const shortfall = par.parLevel - onHand - onOrder;
+  if (!(shortfall > 0)) return null;
+
+  let quantity = Math.max(shortfall, par.minOrderQuantity);
+  let packs = null;
+  if (par.packSize > 0) {
+    // Tolerance so 24 / 12 stays 2 packs
+    packs = Math.ceil(quantity / par.packSize - 1e-9);
+    quantity = packs * par.packSize;
+  }
+  return { quantity: round2(quantity), packs, shortfall: round2(shortfall) };
+}
+
+/**
+ * Score suppliers per item from past purchases →
+ * { [inventoryItemId]: [{ supplierId, averagePrice, latestPrice, reliabilityScore, overallScore }] }, best first.
+ * `performances` = { [supplierId]: supplierPerformance doc }.
+ */
+function supplierScores(purchaseOrders, performances = {}) {
+  const prices = {}; // itemId → supplierId → [{ price, date }]
+  (purchaseOrders || []).forEach(po => {
+    if (!PRICED_PO_STATUSES.includes(po.status) || !po.supplierId) return;
+    (po.items || []).forEach(line => {
+      const price = Number(line.unitPrice);
+      if (!line.inventoryItemId || !(price > 0)) return;
+      const bySupplier = prices[line.inventoryItemId] = prices[line.inventoryItemId] || {};
+      (bySupplier[po.supplierId] = bySupplier[po.supplierId] || []).push({ price, date: po.createdAt || 0 });
+    });
+  });
+
+  const out = {};
+  Object.entries(prices).forEach(([itemId, bySupplier]) => {
+    const rows = Object.entries(bySupplier).map(([supplierId, list]) => {
+      const averagePrice = list.reduce((s, p) => s + p.price, 0) / list.length;
+      const latest = list.slice().sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+      const perf = performances[supplierId];
+      const reliability = perf ? ((Number(perf.onTimeRate) || 0) * 0.5 + (Number(perf.qualityScore) || 0) * 0.5) / 100 : 0.5;
+      return { supplierId, averagePrice, latestPrice: latest.price, reliability };
+    });
+    const cheapest = Math.min(...rows.map(r => r.averagePrice));
+    out[itemId] = rows
+      .map(r => ({
+        supplierId: r.supplierId,
+        averagePrice: round2(r.averagePrice),
+        latestPrice: round2(r.latestPrice),
+        reliabilityScore: round2(r.reliability * 100),
+        overallScore: round2(((cheapest / r.averagePrice) * 0.6 + r.reliability * 0.4) * 100),
+      }))
+      .sort((a, b) => b.overallScore - a.overallScore);
+  });
+  return out;
+}
+
+/**
+ * Which supplier to order an item from → { supplierId, basis } or null.
+ * `activeSupplierIds` = Set of suppliers that can still be ordered from.
+ */
+function chooseSupplier(item, scores, activeSupplierIds) {
+  if (item.preferredSupplierId && activeSupplierIds.has(item.preferredSupplierId)) {
+    return { supplierId: item.preferredSupplierId, basis: 'preferred' };
+  }
+  if (item.supplierId && activeSupplierIds.has(item.supplierId)) {
+    return { supplierId: item.supplierId, basis: 'item-supplier' };
+  }
+  const best = (scores || []).find(s => activeSupplierIds.has(s.supplierId));
+  return best ? { supplierId: best.supplierId, basis: 'best-score' } : null;
+}
+
+/**
+ * The draft POs → { orders: [{ supplierId, supplierName, items, totalAmount }], unassigned }.
+ * `opts` = { purchaseOrders, receivedByPo, suppliers, performances }.
+ */
+function planOrders(inventory, opts = {}) {
+  const suppliers = (opts.suppliers || []).filter(s => s.isActive !== false);
+  const activeIds = new Set(suppliers.map(s => s.id));
+  const names = Object.fromEntries(suppliers.map(s => [s.id, s.name || '']));
+  const idByName = Object.fromEntries(suppliers.filter(s => s.name).map(s => [s.name.toLowerCase().trim(), s.id]));
+  const onOrder = onOrderQuantities(opts.purchaseOrders, opts.receivedByPo);
+  const scores = supplierScores(opts.purchaseOrders, opts.performances);
+
+  const bySupplier = {};
+  const unassigned = [];
+  (inventory || []).forEach(item => {
+    if (!item || !item.id || item.isActive === false) return;
+    const need = requiredQuantity(item, onOrder[item.id] || 0);
+    if (!need) return;
+    const par = parFor(item);
+    const line = {
+      inventoryItemId: item.id,
+      inventoryItemName: item.name || '',
+      unit: item.unit || '',
+      quantity: need.quantity,
+      packs: need.packs,
+      purchaseUnit: par.purchaseUnit,
+      onHand: Math.max(0, Number(item.currentStock) || 0),
+      onOrder: round2(onOrder[item.id] || 0),
+      parLevel: par.parLevel,
+      reorderPoint: par.reorderPoint,
+    };
+    const ownSupplierId = item.supplierId || (item.supplier && idByName[String(item.supplier).toLowerCase().trim()]);
+    const choice = chooseSupplier({ ...item, supplierId: ownSupplierId }, scores[item.id], activeIds);
+    if (!choice) { unassigned.push(line); return; }
+    const scored = (scores[item.id] || []).find(s => s.supplierId === choice.supplierId);
+    line.unitPrice = round2(scored ? scored.latestPrice : positive(item.costPerUnit));
+    line.totalPrice = round2(line.quantity * line.unitPrice);
+    line.supplierBasis = choice.basis;
+    (bySupplier[choice.supplierId] = bySupplier[choice.supplierId] || []).push(line);
+  });
+
+  const orders = Object.entries(bySupplier)
+    .map(([supplierId, items]) => ({
+      supplierId,
+      supplierName: names[supplierId] || '',
+      items: items.sort((a, b) => a.inventoryItemName.localeCompare(b.inventoryItemName)),
+      totalAmount: round2(items.reduce((s, l) => s + l.totalPrice, 0)),
+    }))
+    .sort((a, b) => a.supplierName.localeCompare(b.supplierName));
+  return { orders, unassigned };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  OPEN_PO_STATUSES,
+  settingsFor,
+  parFor,
+  onOrderQuantities,
+  requiredQuantity,
+  supplierScores,
+  chooseSupplier,
+  planOrders,
+};
@@ -0,0 +1,107 @@
+const reorder = require('./reorder');
+
+const item = (id, extra = {}) => ({ id, name: id, unit: 'kg', currentStock: 0, ...extra });
+
+// ═══════════════════════════════════════════════════════════════════
+// Quantities
+// ═══════════════════════════════════════════════════════════════════
+
+describe('settingsFor', () => {
+  test('off by default with a 6am run', () => {
+    expect(reorder.settingsFor({})).toEqual({ enabled: false, runHour: 6 });
+    expect(reorder.settingsFor({ autoReorderSettings: { enabled: true, runHour: 24 } })).toEqual({ enabled: true, runHour: 6 });
+  });
+});
+
+describe('onOrderQuantities', () => {
+  test('counts what open POs have not delivered yet', () => {
+    const onOrder = reorder.onOrderQuantities([
+      { id: 'po1', status: 'approved', items: [{ inventoryItemId: 'rice', quantity: 25 }] },
+      { id: 'po2', status: 'partially_received', items: [{ inventoryItemId: 'rice', quantity: 50 }, { inventoryItemId: 'oil', quantity: 10 }] },
+      { id: 'po3', status: 'received', items: [{ inventoryItemId: 'rice', quantity: 100 }] },
+      { id: 'po4', status: 'cancelled', items: [{ inventoryItemId: 'oil', quantity: 10 }] },
+    ], { po2: { rice: 30, oil: 10 } });
+    expect(onOrder).toEqual({ rice: 45 });
+  });
+});
+
+describe('requiredQuantity', () => {
+  test('tops up to par once at the reorder point', () => {
+    expect(reorder.requiredQuantity(item('rice', { parLevel: 50, reorderPoint: 10, currentStock: 12 }))).toBeNull();
+    expect(reorder.requiredQuantity(item('rice', { parLevel: 50, reorderPoint: 10, currentStock: 8 })))
+      .toEqual({ quantity: 42, packs: null, shortfall: 42 });
+  });
+
+  test('stock on order counts toward the reorder point and par', () => {
+    const rice = item('rice', { parLevel: 50, reorderPoint: 10, currentStock: 4 });
+    expect(reorder.requiredQuantity(rice, 20)).toBeNull();
+    expect(reorder.requiredQuantity(rice, 5)).toEqual({ quantity: 41, packs: null, shortfall: 41 });
+  });
+
+  test('raises to the MOQ and rounds up to whole packs', () => {
+    // 7 short, MOQ 10, sacks of 25
+    expect(reorder.requiredQuantity(item('rice', { parLevel: 20, reorderPoint: 15, currentStock: 13, minOrderQuantity: 10, packSize: 25 })))
+      .toEqual({ quantity: 25, packs: 1, shortfall: 7 });
+    // Bought by the case: 1 case = 12 bottles; 24 short is exactly 2 cases
+    expect(reorder.requiredQuantity(item('cola', { unit: 'bottle', purchaseUnit: 'case', conversionFactor: 12, parLevel: 30, reorderPoint: 6, currentStock: 6 })))
+      .toEqual({ quantity: 24, packs: 2, shortfall: 24 });
+  });
+
+  test('falls back to max/min stock and skips items without a par', () => {
+    expect(reorder.requiredQuantity(item('oil', { maxStock: 20, minStock: 5, currentStock: 5 }))).toMatchObject({ quantity: 15 });
+    expect(reorder.requiredQuantity(item('salt', { currentStock: 0 }))).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Suppliers & plan
+// ═══════════════════════════════════════════════════════════════════
+
+describe('supplierScores', () => {
+  test('weighs price against reliability like best-supplier', () => {
+    const scores = reorder.supplierScores([
+      { supplierId: 'cheap', status: 'received', createdAt: new Date('2026-09-01'), items: [{ inventoryItemId: 'rice', unitPrice: 40 }] },
+      { supplierId: 'cheap', status: 'received', createdAt: new Date('2026-10-01'), items: [{ inventoryItemId: 'rice', unitPrice: 44 }] },
+      { supplierId: 'pricey', status: 'received', items: [{ inventoryItemId: 'rice', unitPrice: 50 }] },
+      { supplierId: 'pending', status: 'pending', items: [{ inventoryItemId: 'rice', unitPrice: 1 }] },
+    ], { cheap: { onTimeRate: 40, qualityScore: 60 }, pricey: { onTimeRate: 100, qualityScore: 100 } });
+    expect(scores.rice.map(s => s.supplierId)).toEqual(['pricey', 'cheap']);
+    expect(scores.rice[1]).toEqual({ supplierId: 'cheap', averagePrice: 42, latestPrice: 44, reliabilityScore: 50, overallScore: 80 });
+  });
+});
+
+describe('chooseSupplier', () => {
+  const active = new Set(['a', 'b']);
+  test('preferred, then the item supplier, then the best score', () => {
+    expect(reorder.chooseSupplier({ preferredSupplierId: 'a', supplierId: 'b' }, [], active)).toEqual({ supplierId: 'a', basis: 'preferred' });
+    expect(reorder.chooseSupplier({ preferredSupplierId: 'gone', supplierId: 'b' }, [], active)).toEqual({ supplierId: 'b', basis: 'item-supplier' });
+    expect(reorder.chooseSupplier({}, [{ supplierId: 'gone' }, { supplierId: 'a' }], active)).toEqual({ supplierId: 'a', basis: 'best-score' });
+    expect(reorder.chooseSupplier({}, [], active)).toBeNull();
+  });
+});
+
+describe('planOrders', () => {
+  test('groups lines by supplier at their last price', () => {
+    const inventory = [
+      item('rice', { parLevel: 50, reorderPoint: 10, currentStock: 0, preferredSupplierId: 's1', costPerUnit: 38 }),
+      item('oil', { unit: 'l', parLevel: 20, reorderPoint: 5, currentStock: 2, supplier: 'Fresh Farms', costPerUnit: 120 }),
+      item('dal', { parLevel: 10, reorderPoint: 2, currentStock: 1, costPerUnit: 90 }),
+      item('salt', { parLevel: 10, reorderPoint: 2, currentStock: 1, costPerUnit: 20 }),
+      item('sugar', { parLevel: 10, reorderPoint: 2, currentStock: 9 }),
+    ];
+    const { orders, unassigned } = reorder.planOrders(inventory, {
+      suppliers: [{ id: 's1', name: 'Fresh Farms' }, { id: 's2', name: 'Metro' }, { id: 's3', name: 'Closed', isActive: false }],
+      purchaseOrders: [
+        { supplierId: 's2', status: 'received', items: [{ inventoryItemId: 'dal', unitPrice: 85 }] },
+        { supplierId: 's3', status: 'received', items: [{ inventoryItemId: 'salt', unitPrice: 18 }] },
+      ],
+    });
+    expect(orders.map(o => [o.supplierName, o.items.map(i => i.inventoryItemId), o.totalAmount])).toEqual([
+      // rice 50 × 38 (no purchase history) + oil 18 × 120
+      ['Fresh Farms', ['oil', 'rice'], 4060],
+      ['Metro', ['dal'], 765],
+    ]);
+    expect(orders[1].items[0]).toMatchObject({ quantity: 9, unitPrice: 85, supplierBasis: 'best-score', onHand: 1, onOrder: 0 });
+    expect(unassigned.map(i => i.inventoryItemId)).toEqual(['salt']);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Lot / batch traceability — pure.
+ *
+ * Every stock deduction draws from stockBatches oldest first and records
+ * `batchAllocations: [{ batchId, batchNumber, quantity }]` on its
+ * inventoryTransactions doc (older deductions only have `batchIds`, without
+ * quantities). Batches received from a central-kitchen distribution carry
+ * `sourceBatchIds`, so a lot can be followed across outlets.
+ *
+ *   forward   batch → orders (and their customers), waste, outlet batches
+ *   backward  order → batches → GRN → supplier
+ *
+ * A recalled batch is `quarantined`: FIFO skips it and its remaining stock
+ * comes off the item's currentStock.
+ */
+
+const { toDate } = require('../utils/dates');
+
+const millis = (v) => {
+  const d = toDate(v);
+  return d ? d.getTime() : 0;
+};
+
+/** Oldest first: manufactured date, else when the batch was created. */
+function fifoOrder(batches) {
+  return [...(batches || [])].sort((a, b) => (millis(a.mfgDate) || millis(a.createdAt)) - (millis(b.mfgDate) || millis(b.createdAt)));
+}
+
+/**
+ * Draw `quantity` from active batches →
+ * { allocations: [{ batchId, batchNumber, quantity, remainingQty }], expired: [{ batchId, quantity }], shortfall }.
+ * Expired batches are not drawn from; they are returned so the caller can
+ * write them off.
+ */
+function allocateFifo(batches, quantity, now = new Date()) {
+  const allocations = [];
+  const expired = [];
+  let remaining = Number(quantity) || 0;
+  for (const b of fifoOrder(batches)) {
+    const available = Number(b.remainingQty) || 0;
+    if (b.status !== 'active' || available <= 0) continue;
+    const expiry = toDate(b.expiryDate);
+    if (expiry && expiry < now) {
+      expired.push({ batchId: b.id, quantity: available });
+      continue;
+    }
+    if (remaining <= 0) continue;
+    const take = Math.min(available, remaining);
+    allocations.push({ batchId: b.id, batchNumber: b.batchNumber || '', quantity: take, remainingQty: available - take });
+    remaining -= take;
+  }
+  return { allocations, expired, shortfall: Math.max(0, remaining) };
+}
+
+/**
+ * How much of `batchId` a deduction used → { quantity, exact }. Legacy
+ * transactions only list batchIds; their quantity is unknown (null).
+ */
+function usageOf(transaction, batchId) {
+  const alloc = (transaction.batchAllocations || []).find(a => a.batchId === batchId);
+  if (alloc) return { quantity: Number(alloc.quantity) || 0, exact: true };
+  if ((transaction.batchIds || []).includes(batchId)) return { quantity: null, exact: false };
+  return null;
+}
+
+function customerOf(order) {
+  const info = order.customerInfo || {};
+  const name = info.name || order.customerName || '';
+  const phone = info.phone || order.customerPhone || '';
+  const email = info.email || order.customerEmail || '';
+  const customerId = order.customerId || null;
+  if (!name && !phone && !email && !customerId) return null;
+  return { customerId, name, phone, email };
+}
+
+/**
+ * Unique customers across orders (by id, else phone, else email), with the
+ * orders each placed — the recall notification list.
+ */
+function affectedCustomers(orders) {
+  const byKey = {};
+  (orders || []).forEach(o => {
+    const c = customerOf(o);
+    if (!c) return;
+    const key = c.customerId || c.phone || c.email || c.name;
+    const entry = byKey[key] = byKey[key] || { ...c, orderIds: [], lastOrderAt: null };
+    entry.orderIds.push(o.id);
+    const at = toDate(o.createdAt);
+    if (at && (!entry.lastOrderAt || at > entry.lastOrderAt)) entry.lastOrderAt = at;
+    if (!entry.phone && c.phone) entry.phone = c.phone;
+    if (!entry.email && c.email) entry.email = c.email;
+  });
+  return Object.values(byKey).sort((a, b) => (b.lastOrderAt || 0) - (a.lastOrderAt || 0));
+}
+
+/**
+ * Where a batch went. `transactions` are the deductions that drew on it,
+ * `orders` those transactions' orders, `childBatches` outlet batches made
+ * from it, `transfers` stock transfers of the same item while it was in
+ * stock (location moves carry no batch ids, so these are "possible").
+ */
+function forwardTrace({ batch, transactions = [], orders = [], childBatches = [], transfers = [] }) {
+  const ordersById = {};
+  orders.forEach(o => { ordersById[o.id] = o; });
+
+  const usage = {};
+  let usedInOrders = 0;
+  let otherUse = 0;
+  let inexact = 0;
+  transactions.forEach(tx => {
+    const u = usageOf(tx, batch.id);
+    if (!u) return;
+    if (!u.exact) inexact++;
+    if (tx.source === 'ORDER' && tx.orderId) {
+      const row = usage[tx.orderId] = usage[tx.orderId] || { orderId: tx.orderId, quantity: 0, exact: true, reversed: true };
+      if (u.exact) row.quantity += u.quantity; else row.exact = false;
+      if (!tx.reversedAt) row.reversed = false;
+      if (u.exact && !tx.reversedAt) usedInOrders += u.quantity;
+    } else if (u.exact) {
+      otherUse += u.quantity;
+    }
+  });
+
+  const orderRows = Object.values(usage)
+    .filter(r => !r.reversed)
+    .map(r => {
+      const o = ordersById[r.orderId] || {};
+      return {
+        orderId: r.orderId,
+        orderNumber: o.orderNumber || o.dailyOrderNumber || null,
+        restaurantId: o.restaurantId || batch.restaurantId,
+        createdAt: toDate(o.createdAt),
+        status: o.status || null,
+        quantity: r.exact ? r.quantity : null,
+        customer: customerOf(o),
+      };
+    })
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+  const outlets = {};
+  childBatches.forEach(c => {
+    const o = outlets[c.restaurantId] = outlets[c.restaurantId] || { restaurantId: c.restaurantId, batchIds: [], quantity: 0 };
+    o.batchIds.push(c.id);
+    o.quantity += Number(c.quantity) || 0;
+  });
+
+  return {
+    batch: { id: batch.id, batchNumber: batch.batchNumber || '', inventoryItemId: batch.inventoryItemId, status: batch.status, quantity: batch.quantity, remainingQty: batch.remainingQty },
+    orders: orderRows,
+    customers: affectedCustomers(orderRows.map(r => ({ ...(ordersById[r.orderId] || {}), id: r.orderId }))),
+    outlets: Object.values(outlets),
+    transfers: transfers.map(t => ({ id: t.id, fromLocation: t.fromLocation, toLocation: t.toLocation, status: t.status, at: toDate(t.approvedAt) || toDate(t.createdAt), match: 'item' })),
+    totals: { usedInOrders, otherUse, inexactTransactions: inexact },
+  };
+}
+
+/**
+ * Where an order's ingredients came from. `batches` and `grns` are keyed by
+ * id; `suppliers` by id.
+ */
+function backwardTrace({ transactions = [], batches = {}, grns = {}, suppliers = {} }) {
+  return transactions
+    .filter(tx => tx.type === 'DEDUCTION' && !tx.reversedAt)
+    .map(tx => {
+      const allocs = (tx.batchAllocations && tx.batchAllocations.length > 0)
+        ? tx.batchAllocations
+        : (tx.batchIds || []).map(batchId => ({ batchId, quantity: null }));
+      return {
+        inventoryItemId: tx.inventoryItemId,
+        inventoryItemName: tx.inventoryItemName || '',
+        quantity: Math.abs(Number(tx.quantityChange) || 0),
+        unit: tx.unit || '',
+        batches: allocs.map(a => {
+          const b = batches[a.batchId] || {};
+          const grn = b.grnId ? grns[b.grnId] || null : null;
+          const supplierId = b.supplierId || (grn && grn.supplierId) || null;
+          return {
+            batchId: a.batchId,
+            batchNumber: a.batchNumber || b.batchNumber || '',
+            quantity: a.quantity,
+            status: b.status || null,
+            expiryDate: toDate(b.expiryDate),
+            source: b.source || null,
+            grnId: b.grnId || null,
+            purchaseOrderId: grn ? grn.purchaseOrderId || null : null,
+            receivedAt: grn ? toDate(grn.receivedAt) : toDate(b.createdAt),
+            supplierId,
+            supplierName: (supplierId && suppliers[supplierId] && suppliers[supplierId].name) || b.supplier || '',
+            sourceBatchIds: b.sourceBatchIds || [],
+          };
+        }),
+      };
+    });
+}
+
+module.exports = {
+  fifoOrder,
+  allocateFifo,
+  usageOf,
+  customerOf,
+  affectedCustomers,
+  forwardTrace,
+  backwardTrace,
+};
@@ -0,0 +1,118 @@
+const traceability = require('./traceability');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+// ═══════════════════════════════════════════════════════════════════
+// FIFO allocation
+// ═══════════════════════════════════════════════════════════════════
+
+describe('allocateFifo', () => {
+  const batches = [
+    { id: 'b2', batchNumber: 'L-2', status: 'active', remainingQty: 5, createdAt: day('2026-10-10') },
+    { id: 'b1', batchNumber: 'L-1', status: 'active', remainingQty: 3, createdAt: day('2026-10-01'), expiryDate: day('2026-10-15') },
+    { id: 'b0', batchNumber: 'L-0', status: 'active', remainingQty: 4, createdAt: day('2026-09-20'), mfgDate: day('2026-09-18') },
+    { id: 'bq', batchNumber: 'L-Q', status: 'quarantined', remainingQty: 9, createdAt: day('2026-09-01') },
+  ];
+
+  test('draws oldest first, skips expired and quarantined batches', () => {
+    const res = traceability.allocateFifo(batches, 6, now);
+    expect(res.allocations).toEqual([
+      { batchId: 'b0', batchNumber: 'L-0', quantity: 4, remainingQty: 0 },
+      { batchId: 'b2', batchNumber: 'L-2', quantity: 2, remainingQty: 3 },
+    ]);
+    expect(res.expired).toEqual([{ batchId: 'b1', quantity: 3 }]);
+    expect(res.shortfall).toBe(0);
+  });
+
+  test('reports a shortfall when batches run out', () => {
+    const res = traceability.allocateFifo(batches, 12, now);
+    expect(res.allocations.map(a => a.quantity)).toEqual([4, 5]);
+    expect(res.shortfall).toBe(3);
+  });
+});
+
+describe('usageOf', () => {
+  test('exact allocation, else legacy batchIds with unknown quantity', () => {
+    expect(traceability.usageOf({ batchAllocations: [{ batchId: 'b1', quantity: 2 }], batchIds: ['b1'] }, 'b1')).toEqual({ quantity: 2, exact: true });
+    expect(traceability.usageOf({ batchIds: ['b1', 'b2'] }, 'b2')).toEqual({ quantity: null, exact: false });
+    expect(traceability.usageOf({ batchIds: ['b1'] }, 'b9')).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Forward & backward trace
+// ═══════════════════════════════════════════════════════════════════
+
+describe('affectedCustomers', () => {
+  test('dedupes by customer id, then phone, with the orders each placed', () => {
+    const customers = traceability.affectedCustomers([
+      { id: 'o1', customerId: 'c1', customerName: 'Asha', createdAt: day('2026-10-11') },
+      { id: 'o2', customerId: 'c1', customerInfo: { name: 'Asha', phone: '+911' }, createdAt: day('2026-10-12') },
+      { id: 'o3', customerInfo: { name: 'Ravi', phone: '+922' }, createdAt: day('2026-10-10') },
+      { id: 'o4', customerPhone: '+922', createdAt: day('2026-10-09') },
+      { id: 'o5' },
+    ]);
+    expect(customers.map(c => [c.customerId, c.name, c.phone, c.orderIds])).toEqual([
+      ['c1', 'Asha', '+911', ['o1', 'o2']],
+      [null, 'Ravi', '+922', ['o3', 'o4']],
+    ]);
+  });
+});
+
+describe('forwardTrace', () => {
+  const batch = { id: 'b1', batchNumber: 'L-1', inventoryItemId: 'inv1', restaurantId: 'ck', status: 'active', quantity: 20, remainingQty: 6 };
+  const transactions = [
+    { source: 'ORDER', orderId: 'o1', batchAllocations: [{ batchId: 'b1', quantity: 2 }], batchIds: ['b1'] },
+    { source: 'ORDER', orderId: 'o2', batchAllocations: [{ batchId: 'b1', quantity: 3 }], batchIds: ['b1'], reversedAt: day('2026-10-12') },
+    { source: 'ORDER', orderId: 'o3', batchIds: ['b1', 'b0'] },
+    { source: 'CK_DISTRIBUTION', batchAllocations: [{ batchId: 'b1', quantity: 8 }], batchIds: ['b1'] },
+  ];
+  const orders = [
+    { id: 'o1', orderNumber: 101, customerInfo: { name: 'Asha', phone: '+911' }, createdAt: day('2026-10-11') },
+    { id: 'o2', orderNumber: 102, customerInfo: { name: 'Ravi', phone: '+922' }, createdAt: day('2026-10-11') },
+    { id: 'o3', orderNumber: 103, createdAt: day('2026-10-12') },
+  ];
+  const childBatches = [
+    { id: 'c1', restaurantId: 'outlet-a', quantity: 5 },
+    { id: 'c2', restaurantId: 'outlet-a', quantity: 1 },
+    { id: 'c3', restaurantId: 'outlet-b', quantity: 2 },
+  ];
+
+  test('orders that used the batch (reversed ones dropped), their customers and outlets', () => {
+    const trace = traceability.forwardTrace({ batch, transactions, orders, childBatches });
+    expect(trace.orders.map(o => [o.orderId, o.quantity])).toEqual([['o1', 2], ['o3', null]]);
+    expect(trace.customers.map(c => c.name)).toEqual(['Asha']);
+    expect(trace.outlets).toEqual([
+      { restaurantId: 'outlet-a', batchIds: ['c1', 'c2'], quantity: 6 },
+      { restaurantId: 'outlet-b', batchIds: ['c3'], quantity: 2 },
+    ]);
+    expect(trace.totals).toEqual({ usedInOrders: 2, otherUse: 8, inexactTransactions: 1 });
+  });
+});
+
+describe('backwardTrace', () => {
+  test('follows each deduction to its batches, GRN and supplier', () => {
+    const ingredients = traceability.backwardTrace({
+      transactions: [
+        { type: 'DEDUCTION', inventoryItemId: 'inv1', inventoryItemName: 'Chicken', quantityChange: -0.5, unit: 'kg', batchAllocations: [{ batchId: 'b1', batchNumber: 'L-1', quantity: 0.5 }] },
+        { type: 'DEDUCTION', inventoryItemId: 'inv2', inventoryItemName: 'Cream', quantityChange: -0.1, unit: 'l', batchIds: ['b9'] },
+        { type: 'DEDUCTION', inventoryItemId: 'inv3', quantityChange: -1, reversedAt: day('2026-10-12') },
+        { type: 'UNIT_MISMATCH', inventoryItemId: 'inv4', quantityChange: 0 },
+      ],
+      batches: {
+        b1: { grnId: 'g1', status: 'active', expiryDate: day('2026-10-25') },
+        b9: { supplierId: 's2', supplier: 'Dairy Co', source: 'grn' },
+      },
+      grns: { g1: { supplierId: 's1', purchaseOrderId: 'po1', receivedAt: day('2026-10-05') } },
+      suppliers: { s1: { name: 'Fresh Farms' } },
+    });
+    expect(ingredients).toHaveLength(2);
+    expect(ingredients[0]).toMatchObject({ inventoryItemName: 'Chicken', quantity: 0.5, unit: 'kg' });
+    expect(ingredients[0].batches[0]).toMatchObject({
+      batchId: 'b1', batchNumber: 'L-1', quantity: 0.5, grnId: 'g1', purchaseOrderId: 'po1',
+      receivedAt: day('2026-10-05'), supplierId: 's1', supplierName: 'Fresh Farms',
+    });
+    expect(ingredients[1].batches[0]).toMatchObject({ batchId: 'b9', quantity: null, supplierId: 's2', supplierName: 'Dairy Co', grnId: null });
+  });
+});
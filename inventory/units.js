@@ -0,0 +1,338 @@
+/**
+ * Inventory unit conversion — pure, shared by stock deduction
+ * (services/inventoryService.js) and the food-cost reports.
+ *
+ * Generic conversions (g↔kg, ml↔l) work for any item. On top of those an
+ * inventory item can carry its own table:
+ *
+ *   unit             stock unit — currentStock, batches and costPerUnit
+ *   purchaseUnit     what suppliers sell it in (POs, GRNs)
+ *   recipeUnit       what recipes usually measure it in
+ *   unitConversions  [{ unit, factor, per }] — 1 `unit` = `factor` × `per`,
+ *                    e.g. case = 12 bottle, bottle = 750 ml, sack = 25 kg
+ *   density          g per ml, for weight↔volume on this ingredient only
+ *
+ * Items saved before the table existed have only `purchaseUnit` +
+ * `conversionFactor` (stock units per purchase unit); that pair is read as
+ * one conversion.
+ */
+
+// Comprehensive unit conversion map — all conversions to a "base" unit per dimension
+const UNIT_CONVERSIONS = {
+  // Mass (base: g)
+  'g': { dimension: 'mass', toBase: 1 },
+  'gm': { dimension: 'mass', toBase: 1 },
+  'gms': { dimension: 'mass', toBase: 1 },
+  'gram': { dimension: 'mass', toBase: 1 },
+  'grams': { dimension: 'mass', toBase: 1 },
+  'kg': { dimension: 'mass', toBase: 1000 },
+  'kgs': { dimension: 'mass', toBase: 1000 },
+  'kilogram': { dimension: 'mass', toBase: 1000 },
+  'kilograms': { dimension: 'mass', toBase: 1000 },
+  'mg': { dimension: 'mass', toBase: 0.001 },
+  'oz': { dimension: 'mass', toBase: 28.3495 },
+  'ounce': { dimension: 'mass', toBase: 28.3495 },
+  'ounces': { dimension: 'mass', toBase: 28.3495 },
+  'lb': { dimension: 'mass', toBase: 453.592 },
+  'lbs': { dimension: 'mass', toBase: 453.592 },
+  'pound': { dimension: 'mass', toBase: 453.592 },
+  'pounds': { dimension: 'mass', toBase: 453.592 },
+
+  // Volume (base: ml)
+  'ml': { dimension: 'volume', toBase: 1 },
+  'milliliter': { dimension: 'volume', toBase: 1 },
+  'milliliters': { dimension: 'volume', toBase: 1 },
+  'l': { dimension: 'volume', toBase: 1000 },
+  'ltr': { dimension: 'volume', toBase: 1000 },
+  'litre': { dimension: 'volume', toBase: 1000 },
+  'liter': { dimension: 'volume', toBase: 1000 },
+  'litres': { dimension: 'volume', toBase: 1000 },
+  'liters': { dimension: 'volume', toBase: 1000 },
+  'cl': { dimension: 'volume', toBase: 10 },
+  'cup': { dimension: 'volume', toBase: 236.588 },
+  'cups': { dimension: 'volume', toBase: 236.588 },
+  'tbsp': { dimension: 'volume', toBase: 14.787 },
+  'tablespoon': { dimension: 'volume', toBase: 14.787 },
+  'tablespoons': { dimension: 'volume', toBase: 14.787 },
+  'tsp': { dimension: 'volume', toBase: 4.929 },
+  'teaspoon': { dimension: 'volume', toBase: 4.929 },
+  'teaspoons': { dimension: 'volume', toBase: 4.929 },
+  'fl oz': { dimension: 'volume', toBase: 29.574 },
+  'fluid ounce': { dimension: 'volume', toBase: 29.574 },
+  'gallon': { dimension: 'volume', toBase: 3785.41 },
+  'gallons': { dimension: 'volume', toBase: 3785.41 },
+  'pint': { dimension: 'volume', toBase: 473.176 },
+  'pints': { dimension: 'volume', toBase: 473.176 },
+  'quart': { dimension: 'volume', toBase: 946.353 },
+  'quarts': { dimension: 'volume', toBase: 946.353 },
+
+  // Count (base: pcs)
+  'pcs': { dimension: 'count', toBase: 1 },
+  'pc': { dimension: 'count', toBase: 1 },
+  'piece': { dimension: 'count', toBase: 1 },
+  'pieces': { dimension: 'count', toBase: 1 },
+  'dozen': { dimension: 'count', toBase: 12 },
+  'dzn': { dimension: 'count', toBase: 12 },
+  'nos': { dimension: 'count', toBase: 1 },
+  'no': { dimension: 'count', toBase: 1 },
+  'each': { dimension: 'count', toBase: 1 },
+  'unit': { dimension: 'count', toBase: 1 },
+  'units': { dimension: 'count', toBase: 1 },
+
+  // Container units — same-type only (no cross-conversion)
+  'pack': { dimension: 'pack', toBase: 1 },
+  'packs': { dimension: 'pack', toBase: 1 },
+  'packet': { dimension: 'pack', toBase: 1 },
+  'packets': { dimension: 'pack', toBase: 1 },
+  'bottle': { dimension: 'bottle', toBase: 1 },
+  'bottles': { dimension: 'bottle', toBase: 1 },
+  'can': { dimension: 'can', toBase: 1 },
+  'cans': { dimension: 'can', toBase: 1 },
+  'bag': { dimension: 'bag', toBase: 1 },
+  'bags': { dimension: 'bag', toBase: 1 },
+  'box': { dimension: 'box', toBase: 1 },
+  'boxes': { dimension: 'box', toBase: 1 },
+  'bunch': { dimension: 'bunch', toBase: 1 },
+  'bunches': { dimension: 'bunch', toBase: 1 },
+  // Bar + ice-cream container/serving units (own dimension — cross-unit conversion
+  // for these is handled per-item via conversionFactor, e.g. 1 bottle = 750 ml).
+  'case': { dimension: 'case', toBase: 1 },
+  'cases': { dimension: 'case', toBase: 1 },
+  'keg': { dimension: 'keg', toBase: 1 },
+  'kegs': { dimension: 'keg', toBase: 1 },
+  'scoop': { dimension: 'scoop', toBase: 1 },
+  'scoops': { dimension: 'scoop', toBase: 1 },
+  'tub': { dimension: 'tub', toBase: 1 },
+  'tubs': { dimension: 'tub', toBase: 1 },
+  'peg': { dimension: 'peg', toBase: 1 },
+  'pegs': { dimension: 'peg', toBase: 1 },
+  'shot': { dimension: 'shot', toBase: 1 },
+  'shots': { dimension: 'shot', toBase: 1 },
+};
+
+/**
+ * Convert quantity between compatible units, reporting whether the conversion was
+ * actually possible. Returns { value, converted, reason }.
+ *  - converted:true  → value is correct (same unit, or a valid conversion)
+ *  - converted:false → units are unknown (typo) or cross-dimension (g↔pcs);
+ *                      value falls back to the raw quantity, and the CALLER must
+ *                      decide (deduction skips + flags rather than deduct raw).
+ */
+function convertUnitsSafe(quantity, fromUnit, toUnit) {
+  if (!fromUnit || !toUnit) return { value: quantity, converted: true };
+  const from = fromUnit.toLowerCase().trim();
+  const to = toUnit.toLowerCase().trim();
+  if (from === to) return { value: quantity, converted: true };
+
+  const fromConv = UNIT_CONVERSIONS[from];
+  const toConv = UNIT_CONVERSIONS[to];
+
+  if (!fromConv || !toConv) return { value: quantity, converted: false, reason: 'unknown-unit' };
+  if (fromConv.dimension !== toConv.dimension) return { value: quantity, converted: false, reason: 'dimension-mismatch' };
+
+  return { value: (quantity * fromConv.toBase) / toConv.toBase, converted: true };
+}
+
+// Backward-compatible wrapper (returns the number). Prefer convertUnitsSafe in
+// deduction paths so a mismatch can be flagged instead of silently deducting raw.
+function convertUnits(quantity, fromUnit, toUnit) {
+  return convertUnitsSafe(quantity, fromUnit, toUnit).value;
+}
+
+const normUnit = (u) => String(u || '').toLowerCase().trim();
+
+/** The item's custom conversions, normalised: [{ unit, factor, per }]. */
+function conversionsOf(item) {
+  const out = [];
+  const seen = new Set();
+  (Array.isArray(item && item.unitConversions) ? item.unitConversions : []).forEach(c => {
+    const unit = normUnit(c && c.unit);
+    const per = normUnit(c && c.per) || normUnit(item.unit);
+    const factor = Number(c && c.factor);
+    if (!unit || !per || unit === per || !(factor > 0) || seen.has(unit)) return;
+    seen.add(unit);
+    out.push({ unit, factor, per });
+  });
+  // Legacy single conversion; generic pairs (kg bought, g stocked) need none
+  const purchase = normUnit(item && item.purchaseUnit);
+  const stock = normUnit(item && item.unit);
+  const legacy = Number(item && item.conversionFactor);
+  if (purchase && stock && purchase !== stock && legacy > 0 && !seen.has(purchase) &&
+      !convertUnitsSafe(1, purchase, stock).converted) {
+    out.push({ unit: purchase, factor: legacy, per: stock });
+  }
+  return out;
+}
+
+// Conversion graph: units link to their dimension's base ('@mass' = g,
+// '@volume' = ml, '@pack' …), custom conversions link units directly and
+// density links the mass and volume bases. Each edge is [node, mul, div]
+// (1 node-here = mul / div of the neighbour), custom edges first so an
+// item's own definition of e.g. "cup" wins over the generic one.
+function neighbours(node, custom, density) {
+  const out = [];
+  custom.forEach(c => {
+    if (c.unit === node) out.push([c.per, c.factor, 1]);
+    if (c.per === node) out.push([c.unit, 1, c.factor]);
+  });
+  if (node.startsWith('@')) {
+    const dim = node.slice(1);
+    Object.entries(UNIT_CONVERSIONS).forEach(([u, c]) => { if (c.dimension === dim) out.push([u, 1, c.toBase]); });
+    if (density > 0 && dim === 'volume') out.push(['@mass', density, 1]);
+    if (density > 0 && dim === 'mass') out.push(['@volume', 1, density]);
+  } else if (UNIT_CONVERSIONS[node]) {
+    out.push([`@${UNIT_CONVERSIONS[node].dimension}`, UNIT_CONVERSIONS[node].toBase, 1]);
+  }
+  return out;
+}
+
+// Shortest path from → to; returns the factor (1 from = factor × to) or null
+function pathFactor(from, to, custom, density) {
+  const seen = new Set([from]);
+  let frontier = [[from, 1, 1]];
+  while (frontier.length > 0) {
+    const next = [];
+    for (const [node, mul, div] of frontier) {
+      for (const [n, m, d] of neighbours(node, custom, density)) {
+        if (seen.has(n)) continue;
+        if (n === to) return (mul * m) / (div * d);
+        seen.add(n);
+        next.push([n, mul * m, div * d]);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+/**
+ * convertUnitsSafe() for one inventory item: also uses the item's own
+ * conversions and density. `toUnit` defaults to the stock unit. Same
+ * { value, converted, reason } contract.
+ */
+function convertForItem(quantity, fromUnit, item, toUnit = item && item.unit) {
+  if (!fromUnit || !toUnit) return { value: quantity, converted: true };
+  const from = normUnit(fromUnit);
+  const to = normUnit(toUnit);
+  if (from === to) return { value: quantity, converted: true };
+
+  const custom = conversionsOf(item || {});
+  const isCustom = (u) => custom.some(c => c.unit === u || c.per === u);
+  if (!isCustom(from) && !isCustom(to)) {
+    const generic = convertUnitsSafe(quantity, from, to);
+    if (generic.converted || generic.reason === 'unknown-unit' || !(Number(item && item.density) > 0)) return generic;
+  }
+  if ((!UNIT_CONVERSIONS[from] && !isCustom(from)) || (!UNIT_CONVERSIONS[to] && !isCustom(to))) {
+    return { value: quantity, converted: false, reason: 'unknown-unit' };
+  }
+  const factor = pathFactor(from, to, custom, Number(item && item.density) || 0);
+  if (factor == null) return { value: quantity, converted: false, reason: 'dimension-mismatch' };
+  // Chained factors pick up float noise (0.6000000000000001); 12 significant
+  // digits is far beyond any stock precision
+  return { value: Number((quantity * factor).toPrecision(12)), converted: true };
+}
+
+/** Stock units in one `unit` of the item, or null when there is no path. */
+function stockFactor(item, unit) {
+  const conv = convertForItem(1, unit, item);
+  return conv.converted ? conv.value : null;
+}
+
+/**
+ * The item's units resolved against its stock unit, for display:
+ * [{ unit, role, stockFactor }] — role is stock / purchase / recipe / custom.
+ */
+function unitTable(item) {
+  const rows = [];
+  const add = (unit, role) => {
+    if (!unit || rows.some(r => normUnit(r.unit) === normUnit(unit))) return;
+    rows.push({ unit, role, stockFactor: stockFactor(item, unit) });
+  };
+  add(item.unit, 'stock');
+  add(item.purchaseUnit, 'purchase');
+  add(item.recipeUnit, 'recipe');
+  conversionsOf(item).forEach(c => { add(c.unit, 'custom'); add(c.per, 'custom'); });
+  return rows;
+}
+
+/**
+ * Clean a unitConversions list from a request body → { conversions, errors }.
+ * Units keep the case they were typed in.
+ */
+function sanitizeConversions(list) {
+  const conversions = [];
+  const errors = [];
+  if (list == null) return { conversions, errors };
+  if (!Array.isArray(list)) return { conversions, errors: ['unitConversions must be a list'] };
+  list.forEach((c, i) => {
+    const unit = String((c && c.unit) || '').trim();
+    const per = String((c && c.per) || '').trim();
+    const factor = Number(c && c.factor);
+    if (!unit || !per) return errors.push(`Conversion ${i + 1}: unit and per are required`);
+    if (normUnit(unit) === normUnit(per)) return errors.push(`Conversion ${i + 1}: ${unit} cannot be defined in terms of itself`);
+    if (!(factor > 0)) return errors.push(`Conversion ${i + 1}: factor must be greater than zero`);
+    if (conversions.some(x => normUnit(x.unit) === normUnit(unit))) return errors.push(`Conversion ${i + 1}: ${unit} is defined twice`);
+    const a = UNIT_CONVERSIONS[normUnit(unit)];
+    const b = UNIT_CONVERSIONS[normUnit(per)];
+    if (a && b && a.dimension === b.dimension) {
+      return errors.push(`Conversion ${i + 1}: ${unit} → ${per} is a standard conversion and cannot be overridden`);
+    }
+    conversions.push({ unit, factor, per });
+  });
+  return { conversions, errors };
+}
+
+/**
+ * Problems with an item's unit setup: every custom, purchase and recipe
+ * unit must resolve to the stock unit, and density must be positive.
+ */
+function validateItemUnits(item) {
+  const errors = [];
+  if (item.density != null && item.density !== '' && !(Number(item.density) > 0)) errors.push('density must be greater than zero (g per ml)');
+  const check = (unit, label) => {
+    if (!unit) return;
+    const conv = convertForItem(1, unit, item);
+    if (!conv.converted) {
+      errors.push(conv.reason === 'unknown-unit'
+        ? `${label} "${unit}" is not a known unit — add a conversion for it`
+        : `${label} "${unit}" cannot be converted to the stock unit "${item.unit}"`);
+    }
+  };
+  conversionsOf(item).forEach(c => check(c.unit, 'Unit'));
+  check(item.purchaseUnit, 'Purchase unit');
+  check(item.recipeUnit, 'Recipe unit');
+  return errors;
+}
+
+/**
+ * Fields to bring an item saved before per-item units onto the table →
+ * { updates, errors }; `updates` is null when nothing changes. The legacy
+ * purchaseUnit/conversionFactor pair becomes an explicit conversion and
+ * purchase/recipe units default to the stock unit.
+ */
+function migrateItemUnits(item) {
+  const updates = {};
+  if (!Array.isArray(item.unitConversions)) {
+    updates.unitConversions = conversionsOf({ ...item, unitConversions: [] })
+      .map(c => ({ unit: item.purchaseUnit.trim(), factor: c.factor, per: item.unit }));
+  }
+  if (!item.purchaseUnit && item.unit) updates.purchaseUnit = item.unit;
+  if (!item.recipeUnit && item.unit) updates.recipeUnit = item.unit;
+  const next = { ...item, ...updates };
+  const factor = next.purchaseUnit ? stockFactor(next, next.purchaseUnit) : null;
+  if (factor != null && factor !== Number(item.conversionFactor)) updates.conversionFactor = factor;
+  return { updates: Object.keys(updates).length > 0 ? updates : null, errors: validateItemUnits(next) };
+}
+
+module.exports = {
+  UNIT_CONVERSIONS,
+  convertUnitsSafe,
+  convertUnits,
+  conversionsOf,
+  convertForItem,
+  stockFactor,
+  unitTable,
+  sanitizeConversions,
+  validateItemUnits,
+  migrateItemUnits,
+};
@@ -0,0 +1,103 @@
+const units = require('./units');
+
+const cola = {
+  unit: 'ml',
+  purchaseUnit: 'case',
+  recipeUnit: 'ml',
+  unitConversions: [{ unit: 'case', factor: 12, per: 'bottle' }, { unit: 'bottle', factor: 750, per: 'ml' }],
+};
+const rice = { unit: 'kg', purchaseUnit: 'sack', recipeUnit: 'cup', unitConversions: [{ unit: 'sack', factor: 25, per: 'kg' }, { unit: 'cup', factor: 200, per: 'g' }] };
+const oil = { unit: 'l', density: 0.92 };
+
+// ═══════════════════════════════════════════════════════════════════
+// Generic conversion
+// ═══════════════════════════════════════════════════════════════════
+
+describe('convertUnitsSafe', () => {
+  test('same-dimension units convert; others are flagged, not guessed', () => {
+    expect(units.convertUnitsSafe(500, 'g', 'kg')).toEqual({ value: 0.5, converted: true });
+    expect(units.convertUnitsSafe(2, 'kg', 'pcs')).toMatchObject({ converted: false, reason: 'dimension-mismatch' });
+    expect(units.convertUnitsSafe(2, 'crate', 'pcs')).toMatchObject({ converted: false, reason: 'unknown-unit' });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Per-item conversion
+// ═══════════════════════════════════════════════════════════════════
+
+describe('convertForItem', () => {
+  test('chains custom pack sizes down to the stock unit', () => {
+    expect(units.convertForItem(2, 'case', cola).value).toBe(18000);
+    expect(units.convertForItem(1, 'case', cola, 'l').value).toBe(9);
+    expect(units.convertForItem(1500, 'ml', cola, 'bottle').value).toBe(2);
+    expect(units.convertForItem(2, 'sack', rice).value).toBe(50);
+  });
+
+  test("an item's own definition of a standard unit wins", () => {
+    expect(units.convertForItem(3, 'cup', rice)).toEqual({ value: 0.6, converted: true });
+    expect(units.convertForItem(1, 'cup', { unit: 'ml' }).value).toBeCloseTo(236.588);
+  });
+
+  test('density converts weight to volume for that ingredient only', () => {
+    expect(units.convertForItem(920, 'g', oil).value).toBeCloseTo(1);
+    expect(units.convertForItem(2, 'l', oil, 'kg').value).toBeCloseTo(1.84);
+    expect(units.convertForItem(920, 'g', { unit: 'l' })).toMatchObject({ converted: false, reason: 'dimension-mismatch' });
+  });
+
+  test('legacy purchaseUnit + conversionFactor is one conversion', () => {
+    const legacy = { unit: 'ml', purchaseUnit: 'bottle', conversionFactor: 750 };
+    expect(units.convertForItem(2, 'bottle', legacy).value).toBe(1500);
+    expect(units.conversionsOf({ unit: 'g', purchaseUnit: 'kg', conversionFactor: 1 })).toEqual([]);
+    expect(units.stockFactor({ unit: 'g', purchaseUnit: 'kg', conversionFactor: 1 }, 'kg')).toBe(1000);
+  });
+
+  test('plain items behave like convertUnitsSafe', () => {
+    expect(units.convertForItem(250, 'g', { unit: 'kg' })).toEqual({ value: 0.25, converted: true });
+    expect(units.convertForItem(1, 'crate', { unit: 'kg' })).toMatchObject({ converted: false, reason: 'unknown-unit' });
+    expect(units.convertForItem(4, '', { unit: 'kg' })).toEqual({ value: 4, converted: true });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Validation & migration
+// ═══════════════════════════════════════════════════════════════════
+
+describe('sanitizeConversions / validateItemUnits', () => {
+  test('rejects bad factors, self references and overriding standard units', () => {
+    const { conversions, errors } = units.sanitizeConversions([
+      { unit: 'Case', factor: '12', per: 'bottle' },
+      { unit: 'tray', factor: 0, per: 'pcs' },
+      { unit: 'kg', factor: 900, per: 'g' },
+      { unit: 'box', factor: 2, per: 'box' },
+    ]);
+    expect(conversions).toEqual([{ unit: 'Case', factor: 12, per: 'bottle' }]);
+    expect(errors).toHaveLength(3);
+  });
+
+  test('every unit on the item must reach the stock unit', () => {
+    expect(units.validateItemUnits(cola)).toEqual([]);
+    expect(units.validateItemUnits({ unit: 'ml', purchaseUnit: 'case', unitConversions: [{ unit: 'case', factor: 12, per: 'bottle' }] }))
+      .toEqual(['Unit "case" cannot be converted to the stock unit "ml"', 'Purchase unit "case" cannot be converted to the stock unit "ml"']);
+    expect(units.validateItemUnits({ unit: 'kg', recipeUnit: 'cup' })[0]).toMatch(/Recipe unit "cup"/);
+  });
+
+  test('unitTable lists each unit in stock units', () => {
+    expect(units.unitTable(cola)).toEqual([
+      { unit: 'ml', role: 'stock', stockFactor: 1 },
+      { unit: 'case', role: 'purchase', stockFactor: 9000 },
+      { unit: 'bottle', role: 'custom', stockFactor: 750 },
+    ]);
+  });
+});
+
+describe('migrateItemUnits', () => {
+  test('turns the legacy pair into a conversion and fills default units', () => {
+    expect(units.migrateItemUnits({ unit: 'ml', purchaseUnit: 'Bottle', conversionFactor: 750 })).toEqual({
+      updates: { unitConversions: [{ unit: 'Bottle', factor: 750, per: 'ml' }], recipeUnit: 'ml' },
+      errors: [],
+    });
+    expect(units.migrateItemUnits({ unit: 'g', purchaseUnit: 'kg', conversionFactor: 1 }).updates)
+      .toEqual({ unitConversions: [], recipeUnit: 'g', conversionFactor: 1000 });
+    expect(units.migrateItemUnits({ ...cola, conversionFactor: 9000 }).updates).toBeNull();
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Theoretical vs. actual food-cost variance — pure.
+ *
+ * Per inventory item, between two physical counts (stock audits):
+ *
+ *   opening count + GRN receipts − theoretical usage − logged waste
+ *     − closing count = unexplained variance
+ *
+ * Theoretical usage is what the recipes say the sold items consumed
+ * (inventory/recipes.js), not what was deducted, so a recipe that is never
+ * deducted still shows. Positive variance = stock missing beyond recipes and
+ * waste; valued at the item's costPerUnit and ranked by absolute value.
+ *
+ * The window per item runs from its opening count (latest count at or before
+ * the period start, else the first count inside the period) to its closing
+ * count (latest count after that, up to the period end). Items without both
+ * counts are reported with status 'no_opening_count' / 'no_closing_count'.
+ */
+
+const { toDate } = require('../utils/dates');
+const { round2 } = require('../billing/billingCalc');
+const { itemUsage } = require('./recipes');
+
+// Orders whose items were made (and deducted) — everything except these
+const UNSOLD_STATUSES = ['cancelled', 'deleted', 'saved'];
+// Waste the audit itself wrote for negative count differences — that IS the variance
+const AUDIT_WASTE_SOURCES = ['AUDIT'];
+
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+/**
+ * Theoretical usage events from orders → { events: [{ itemId, date, quantity }], skipped }.
+ * `ctx` as for itemUsage().
+ */
+function theoreticalUsage(orders, ctx) {
+  const events = [];
+  const skipped = [];
+  (orders || []).forEach(order => {
+    if (UNSOLD_STATUSES.includes(order.status)) return;
+    const date = toDate(order.createdAt);
+    if (!date) return;
+    (order.items || []).forEach(item => {
+      const { usage, skipped: s } = itemUsage(item, ctx);
+      usage.forEach(u => events.push({ itemId: u.inventoryItemId, date, quantity: u.quantity }));
+      s.forEach(x => skipped.push({ ...x, orderId: order.id || null }));
+    });
+  });
+  return { events, skipped };
+}
+
+/** Physical counts from stock-audit docs → [{ itemId, date, quantity }]. */
+function countsFromAudits(audits) {
+  const counts = [];
+  (audits || []).forEach(a => {
+    const date = toDate(a.date) || toDate(a.createdAt);
+    if (!date) return;
+    (a.items || []).forEach(i => {
+      if (i.itemId) counts.push({ itemId: i.itemId, date, quantity: Number(i.physicalStock) || 0 });
+    });
+  });
+  return counts;
+}
+
+/** Accepted quantities from GRN docs → [{ itemId, date, quantity }]. */
+function receiptsFromGrns(grns) {
+  const receipts = [];
+  (grns || []).forEach(g => {
+    const date = toDate(g.receivedAt) || toDate(g.createdAt);
+    if (!date) return;
+    (g.items || []).forEach(i => {
+      const qty = Number(i.acceptedQuantity != null ? i.acceptedQuantity : i.receivedQuantity) || 0;
+      if (i.inventoryItemId && qty > 0) receipts.push({ itemId: i.inventoryItemId, date, quantity: qty });
+    });
+  });
+  return receipts;
+}
+
+/** Logged waste from wasteEntries docs (audit shrinkage excluded) → [{ itemId, date, quantity }]. */
+function wasteFromEntries(entries) {
+  const waste = [];
+  (entries || []).forEach(w => {
+    if (AUDIT_WASTE_SOURCES.includes(w.source)) return;
+    const date = toDate(w.date) || toDate(w.createdAt);
+    const qty = Number(w.quantity) || 0;
+    if (date && w.itemId && qty > 0) waste.push({ itemId: w.itemId, date, quantity: qty });
+  });
+  return waste;
+}
+
+function groupByItem(list) {
+  const map = {};
+  (list || []).forEach(e => { (map[e.itemId] = map[e.itemId] || []).push(e); });
+  return map;
+}
+
+const sumBetween = (list, from, to) => (list || [])
+  .filter(e => e.date > from && e.date <= to)
+  .reduce((s, e) => s + e.quantity, 0);
+
+/**
+ * The variance report.
+ *   items    inventory items [{ id, name, unit, category, costPerUnit }]
+ *   counts / receipts / usage / waste   [{ itemId, date, quantity }]
+ *   start, end   the period
+ * Returns { items: [...ranked], totals }.
+ */
+function computeVariance({ items, counts, receipts, usage, waste, start, end }) {
+  const countsBy = groupByItem(counts);
+  const receiptsBy = groupByItem(receipts);
+  const usageBy = groupByItem(usage);
+  const wasteBy = groupByItem(waste);
+  const iso = (d) => (d ? d.toISOString() : null);
+
+  const rows = (items || []).map(inv => {
+    const costPerUnit = Number(inv.costPerUnit) || 0;
+    const itemCounts = (countsBy[inv.id] || []).slice().sort((a, b) => a.date - b.date);
+    const opening = itemCounts.filter(c => c.date <= start).pop()
+      || itemCounts.find(c => c.date > start && c.date <= end)
+      || null;
+    const closing = opening ? itemCounts.filter(c => c.date > opening.date && c.date <= end).pop() || null : null;
+    // Without a closing count, still show the flows for the period so far
+    const from = opening ? opening.date : start;
+    const to = closing ? closing.date : end;
+
+    const received = sumBetween(receiptsBy[inv.id], from, to);
+    const used = sumBetween(usageBy[inv.id], from, to);
+    const wasted = sumBetween(wasteBy[inv.id], from, to);
+    const row = {
+      itemId: inv.id,
+      name: inv.name || 'Unnamed Item',
+      category: inv.category || '',
+      unit: inv.unit || '',
+      costPerUnit,
+      openingCount: opening ? round3(opening.quantity) : null,
+      openingAt: iso(opening && opening.date),
+      receipts: round3(received),
+      theoreticalUsage: round3(used),
+      waste: round3(wasted),
+      expectedClosing: null,
+      closingCount: closing ? round3(closing.quantity) : null,
+      closingAt: iso(closing && closing.date),
+      variance: null,
+      varianceValue: null,
+      variancePercent: null,
+      theoreticalCost: round2(used * costPerUnit),
+      status: !opening ? 'no_opening_count' : !closing ? 'no_closing_count' : 'ok',
+    };
+    if (row.status === 'ok') {
+      const expected = opening.quantity + received - used - wasted;
+      const variance = expected - closing.quantity;
+      row.expectedClosing = round3(expected);
+      row.variance = round3(variance);
+      row.varianceValue = round2(variance * costPerUnit);
+      row.variancePercent = used > 0 ? round2((variance / used) * 100) : null;
+    }
+    return row;
+  }).filter(r => r.status === 'ok' || r.receipts || r.theoreticalUsage || r.waste);
+
+  rows.sort((a, b) => {
+    if ((a.status === 'ok') !== (b.status === 'ok')) return a.status === 'ok' ? -1 : 1;
+    return Math.abs(b.varianceValue || 0) - Math.abs(a.varianceValue || 0) || a.name.localeCompare(b.name);
+  });
+
+  const counted = rows.filter(r => r.status === 'ok');
+  const totals = {
+    itemsCounted: counted.length,
+    itemsUncounted: rows.length - counted.length,
+    theoreticalCost: round2(rows.reduce((s, r) => s + r.theoreticalCost, 0)),
+    wasteValue: round2(rows.reduce((s, r) => s + r.waste * r.costPerUnit, 0)),
+    shortageValue: round2(counted.filter(r => r.varianceValue > 0).reduce((s, r) => s + r.varianceValue, 0)),
+    surplusValue: round2(counted.filter(r => r.varianceValue < 0).reduce((s, r) => s - r.varianceValue, 0)),
+    netVarianceValue: round2(counted.reduce((s, r) => s + r.varianceValue, 0)),
+  };
+  return { items: rows, totals };
+}
+
+module.exports = {
+  UNSOLD_STATUSES,
+  theoreticalUsage,
+  countsFromAudits,
+  receiptsFromGrns,
+  wasteFromEntries,
+  computeVariance,
+};
@@ -0,0 +1,160 @@
+const variance = require('./variance');
+const { itemUsage, flattenIngredients } = require('./recipes');
+
+const day = (d, h = 12) => new Date(Date.UTC(2026, 4, d, h));
+
+const inventory = [
+  { id: 'flour', name: 'Flour', unit: 'kg', costPerUnit: 50 },
+  { id: 'cheese', name: 'Cheese', unit: 'kg', costPerUnit: 600 },
+  { id: 'sauce', name: 'Tomato Sauce', unit: 'l', costPerUnit: 120 },
+  { id: 'cola', name: 'Cola Can', unit: 'pcs', costPerUnit: 30, linkedMenuItemId: 'm-cola' },
+  { id: 'salt', name: 'Salt', unit: 'kg', costPerUnit: 20 },
+];
+const inventoryById = Object.fromEntries(inventory.map(i => [i.id, i]));
+
+const recipes = [
+  { id: 'r-dough', name: 'Dough', servings: 4, ingredients: [{ inventoryItemId: 'flour', quantity: 1000, unit: 'g' }] },
+  {
+    id: 'r-pizza',
+    menuItemId: 'm-pizza',
+    name: 'Margherita',
+    ingredients: [
+      { type: 'recipe', subRecipeId: 'r-dough', quantity: 1 },
+      { inventoryItemId: 'cheese', quantity: 100, unit: 'g' },
+      { inventoryItemId: 'sauce', quantity: 50, unit: 'ml' },
+    ],
+  },
+];
+const ctx = {
+  recipes,
+  recipeMap: Object.fromEntries(recipes.map(r => [r.id, r])),
+  inventoryById,
+  menuItemsMap: {
+    'm-pizza': {
+      id: 'm-pizza',
+      variants: [{ name: 'Half', recipeMultiplier: 0.5 }],
+      modifierGroups: [{ items: [{ id: 'x-cheese', name: 'Extra cheese', inventoryItemId: 'cheese', invQuantity: 50, invUnit: 'g' }] }],
+    },
+  },
+};
+
+const pizza = (quantity, extra = {}) => ({ menuItemId: 'm-pizza', name: 'Margherita', quantity, ...extra });
+
+// ═══════════════════════════════════════════════════════════════════
+// Theoretical usage
+// ═══════════════════════════════════════════════════════════════════
+
+describe('theoretical usage', () => {
+  test('flattens sub-recipes by servings', () => {
+    expect(flattenIngredients(ctx.recipeMap, recipes[1].ingredients)[0]).toMatchObject({ inventoryItemId: 'flour', quantity: 250 });
+  });
+
+  test('converts to stock units and applies variants and modifiers', () => {
+    const byId = (usage) => Object.fromEntries(usage.map(u => [u.inventoryItemId, u.quantity]));
+    expect(byId(itemUsage(pizza(2), ctx).usage)).toEqual({ flour: 0.5, cheese: 0.2, sauce: 0.1 });
+    const half = itemUsage(pizza(2, { selectedVariant: { name: 'Half' }, selectedCustomizations: [{ id: 'x-cheese', name: 'Extra cheese' }] }), ctx).usage;
+    expect(half).toEqual([
+      { inventoryItemId: 'cheese', quantity: 0.1 },
+      { inventoryItemId: 'flour', quantity: 0.25 },
+      { inventoryItemId: 'cheese', quantity: 0.1 },
+      { inventoryItemId: 'sauce', quantity: 0.05 },
+    ]);
+  });
+
+  test('stock-managed items without a recipe use their linked item 1:1', () => {
+    expect(itemUsage({ menuItemId: 'm-cola', name: 'Cola', quantity: 3, isStockManaged: true }, ctx).usage).toEqual([{ inventoryItemId: 'cola', quantity: 3 }]);
+  });
+
+  test('reports unconvertible units instead of guessing', () => {
+    const bad = { ...ctx, recipes: [{ id: 'r', menuItemId: 'm-salty', ingredients: [{ inventoryItemId: 'salt', quantity: 2, unit: 'pcs' }] }] };
+    const { usage, skipped } = itemUsage({ menuItemId: 'm-salty', name: 'Salty', quantity: 1 }, bad);
+    expect(usage).toEqual([]);
+    expect(skipped).toEqual([{ inventoryItemId: 'salt', menuItemName: 'Salty', reason: 'dimension-mismatch', source: 'recipe' }]);
+  });
+
+  test('ignores unsold orders', () => {
+    const { events } = variance.theoreticalUsage([
+      { id: 'o1', status: 'completed', createdAt: day(3), items: [pizza(1)] },
+      { id: 'o2', status: 'cancelled', createdAt: day(3), items: [pizza(5)] },
+      { id: 'o3', status: 'saved', createdAt: day(3), items: [pizza(5)] },
+    ], ctx);
+    expect(events.filter(e => e.itemId === 'cheese')).toEqual([{ itemId: 'cheese', date: day(3), quantity: 0.1 }]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Variance
+// ═══════════════════════════════════════════════════════════════════
+
+describe('computeVariance', () => {
+  const start = day(1, 0);
+  const end = day(31, 23);
+  const audits = [
+    // 30 Apr 22:00 — before the period
+    { date: day(0, 22), items: [{ itemId: 'cheese', physicalStock: 10 }, { itemId: 'flour', physicalStock: 20 }] },
+    { date: day(15), items: [{ itemId: 'sauce', physicalStock: 4 }] },
+    { date: day(31, 22), items: [{ itemId: 'cheese', physicalStock: 6.5 }, { itemId: 'flour', physicalStock: 19 }, { itemId: 'sauce', physicalStock: 3 }] },
+  ];
+  const grns = [{ receivedAt: day(10), items: [{ inventoryItemId: 'cheese', acceptedQuantity: 5, receivedQuantity: 6 }] }];
+  const waste = [
+    { itemId: 'cheese', quantity: 1, source: 'MANUAL', date: day(12) },
+    { itemId: 'cheese', quantity: 9, source: 'AUDIT', reason: 'shrinkage', date: day(12) },
+  ];
+  const orders = [
+    { id: 'o1', status: 'completed', createdAt: day(5), items: [pizza(40)] },  // cheese 4, flour 10, sauce 2
+    { id: 'o2', status: 'completed', createdAt: day(20), items: [pizza(20)] }, // cheese 2, flour 5, sauce 1
+  ];
+
+  const report = () => variance.computeVariance({
+    items: inventory,
+    counts: variance.countsFromAudits(audits),
+    receipts: variance.receiptsFromGrns(grns),
+    usage: variance.theoreticalUsage(orders, ctx).events,
+    waste: variance.wasteFromEntries(waste),
+    start,
+    end,
+  });
+
+  test('opening + receipts − usage − waste − closing, ranked by value', () => {
+    const { items } = report();
+    expect(items.map(i => i.itemId)).toEqual(['cheese', 'flour', 'sauce']);
+    expect(items[0]).toMatchObject({
+      openingCount: 10, receipts: 5, theoreticalUsage: 6, waste: 1,
+      expectedClosing: 8, closingCount: 6.5, variance: 1.5, varianceValue: 900, variancePercent: 25, status: 'ok',
+    });
+    // Flour: 20 − 15 = 5 expected, 19 counted → surplus
+    expect(items[1]).toMatchObject({ variance: -14, varianceValue: -700 });
+  });
+
+  test('a count inside the period opens the window when none precedes it', () => {
+    const sauce = report().items.find(i => i.itemId === 'sauce');
+    expect(sauce).toMatchObject({ openingAt: day(15).toISOString(), openingCount: 4, theoreticalUsage: 1, variance: 0, status: 'ok' });
+  });
+
+  test('items with flows but no counts are listed last, unvalued', () => {
+    const { items, totals } = variance.computeVariance({
+      items: inventory,
+      counts: [],
+      receipts: variance.receiptsFromGrns(grns),
+      usage: [],
+      waste: [],
+      start,
+      end,
+    });
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ itemId: 'cheese', status: 'no_opening_count', receipts: 5, variance: null });
+    expect(totals.itemsUncounted).toBe(1);
+  });
+
+  test('totals split shortage and surplus', () => {
+    expect(report().totals).toEqual({
+      itemsCounted: 3,
+      itemsUncounted: 0,
+      theoreticalCost: 4470,
+      wasteValue: 600,
+      shortageValue: 900,
+      surplusValue: 700,
+      netVarianceValue: 200,
+    });
+  });
+});
@@ -1,7 +1,9 @@
 const express = require('express');
 const { FieldValue } = require('firebase-admin/firestore');
 const { getNextNumber } = require('../services/numberingService');
-const { calculateInvoiceTotals, updateInvoiceStatus } = require('../services/invoiceService');
+const { calculateInvoiceTotals, updateInvoiceStatus, loadEinvoiceConfig } = require('../services/invoiceService');
+const einvoiceService = require('../../services/einvoice/einvoiceService');
+const { buildInvoicePayload, validatePayload } = require('../../gst/einvoice');
 
 module.exports = (db, collections) => {
   const router = express.Router();
@@ -267,6 +269,14 @@ module.exports = (db, collections) => {
         return res.status(400).json({ success: false, error: 'Cannot update a voided invoice' });
       }
 
+      // The IRP holds a signed copy — an e-invoiced document can only change via cancel + re-issue
+      if (existing.eInvoice?.status === 'generated') {
+        const locked = ['customerId', 'invoiceDate', 'items', 'discountType', 'discountValue', 'adjustments'];
+        if (locked.some(field => req.body[field] !== undefined)) {
+          return res.status(400).json({ success: false, error: 'Cannot change an e-invoiced invoice. Cancel the IRN first.' });
+        }
+      }
+
       const allowedFields = ['customerId', 'referenceNumber', 'invoiceDate', 'dueDate', 'paymentTerms', 'salesperson', 'items', 'discountType', 'discountValue', 'adjustments', 'customerNotes', 'termsAndConditions', 'attachments'];
       const updateData = {};
 
@@ -360,6 +370,10 @@ module.exports = (db, collections) => {
         return res.status(400).json({ success: false, error: 'Cannot void a paid invoice. Delete associated payments first.' });
       }
 
+      if (doc.data().eInvoice?.status === 'generated') {
+        return res.status(400).json({ success: false, error: 'Cancel the e-invoice (IRN) before voiding this invoice.' });
+      }
+
       await updateInvoiceStatus(db, collections, req.params.id, 'void');
 
       return res.json({ success: true, data: { message: 'Invoice voided successfully' } });
@@ -369,6 +383,134 @@ module.exports = (db, collections) => {
     }
   });
 
+  // ── GST e-invoice (IRN) ──
+
+  // Load the invoice plus everything the INV-01 payload needs
+  async function loadEinvoiceContext(orgId, invoiceId) {
+    const doc = await db.collection(collections.invInvoices).doc(invoiceId).get();
+    if (!doc.exists || doc.data().orgId !== orgId) return null;
+    const invoice = { id: doc.id, ...doc.data() };
+
+    const itemIds = [...new Set((invoice.items || []).map(i => i.itemId).filter(Boolean))];
+    const [orgDoc, customerDoc, settingsSnap, itemDocs] = await Promise.all([
+      db.collection(collections.invOrganizations).doc(orgId).get(),
+      invoice.customerId ? db.collection(collections.invCustomers).doc(invoice.customerId).get() : null,
+      db.collection(collections.invSettings).where('orgId', '==', orgId).limit(1).get(),
+      Promise.all(itemIds.map(id => db.collection(collections.invItems).doc(id).get()))
+    ]);
+
+    const itemsById = {};
+    itemDocs.forEach(d => { if (d.exists && d.data().orgId === orgId) itemsById[d.id] = d.data(); });
+
+    return {
+      ref: doc.ref,
+      invoice,
+      org: orgDoc.exists ? orgDoc.data() : {},
+      customer: customerDoc && customerDoc.exists ? customerDoc.data() : {},
+      itemsById,
+      config: settingsSnap.empty || !settingsSnap.docs[0].data().einvoiceConfig
+        ? null
+        : await loadEinvoiceConfig(db, collections, orgId, settingsSnap.docs[0].data().einvoiceConfig)
+    };
+  }
+
+  function sendEinvoiceError(res, error, fallback) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message, details: error.details, irpErrors: error.irpErrors });
+    }
+    console.error(`Error: ${fallback}:`, error);
+    return res.status(500).json({ success: false, error: fallback });
+  }
+
+  // GET /:id/einvoice — INV-01 JSON preview + validation problems
+  router.get('/:id/einvoice', async (req, res) => {
+    try {
+      const orgId = await getOrgId(req.user.userId);
+      if (!orgId) return res.status(404).json({ success: false, error: 'Organization not found' });
+
+      const ctx = await loadEinvoiceContext(orgId, req.params.id);
+      if (!ctx) return res.status(404).json({ success: false, error: 'Invoice not found' });
+
+      const payload = buildInvoicePayload(ctx.invoice, ctx);
+      return res.json({
+        success: true,
+        data: { payload, errors: validatePayload(payload), eInvoice: einvoiceService.publicRecord(ctx.invoice.eInvoice) }
+      });
+    } catch (error) {
+      return sendEinvoiceError(res, error, 'Failed to build e-invoice');
+    }
+  });
+
+  // POST /:id/einvoice — Generate IRN
+  router.post('/:id/einvoice', async (req, res) => {
+    try {
+      const orgId = await getOrgId(req.user.userId);
+      if (!orgId) return res.status(404).json({ success: false, error: 'Organization not found' });
+
+      const ctx = await loadEinvoiceContext(orgId, req.params.id);
+      if (!ctx) return res.status(404).json({ success: false, error: 'Invoice not found' });
+      if (ctx.invoice.status === 'void') {
+        return res.status(400).json({ success: false, error: 'Cannot e-invoice a voided invoice' });
+      }
+      if (!ctx.customer.gstin) {
+        return res.status(400).json({ success: false, error: 'E-invoices are for B2B invoices — the customer has no GSTIN' });
+      }
+
+      const payload = buildInvoicePayload(ctx.invoice, ctx);
+      const { record, alreadyGenerated } = await einvoiceService.generate(payload, ctx.config, {
+        existing: ctx.invoice.eInvoice,
+        userId: req.user.userId
+      });
+      if (!alreadyGenerated) {
+        await ctx.ref.update({ eInvoice: record, updatedAt: FieldValue.serverTimestamp() });
+      }
+
+      return res.json({ success: true, data: { alreadyGenerated, eInvoice: einvoiceService.publicRecord(record) } });
+    } catch (error) {
+      return sendEinvoiceError(res, error, 'Failed to generate e-invoice');
+    }
+  });
+
+  // POST /:id/einvoice/cancel — Cancel IRN within 24 hours ({ reason: 1-4, remark })
+  router.post('/:id/einvoice/cancel', async (req, res) => {
+    try {
+      const orgId = await getOrgId(req.user.userId);
+      if (!orgId) return res.status(404).json({ success: false, error: 'Organization not found' });
+
+      const ctx = await loadEinvoiceContext(orgId, req.params.id);
+      if (!ctx) return res.status(404).json({ success: false, error: 'Invoice not found' });
+
+      const record = await einvoiceService.cancel(ctx.invoice.eInvoice, req.body || {}, ctx.config, {
+        userId: req.user.userId
+      });
+      await ctx.ref.update({ eInvoice: record, updatedAt: FieldValue.serverTimestamp() });
+
+      return res.json({ success: true, data: { eInvoice: einvoiceService.publicRecord(record) } });
+    } catch (error) {
+      return sendEinvoiceError(res, error, 'Failed to cancel e-invoice');
+    }
+  });
+
+  // POST /:id/einvoice/eway-bill — E-way bill against the IRN
+  router.post('/:id/einvoice/eway-bill', async (req, res) => {
+    try {
+      const orgId = await getOrgId(req.user.userId);
+      if (!orgId) return res.status(404).json({ success: false, error: 'Organization not found' });
+
+      const ctx = await loadEinvoiceContext(orgId, req.params.id);
+      if (!ctx) return res.status(404).json({ success: false, error: 'Invoice not found' });
+
+      const { record, alreadyGenerated } = await einvoiceService.generateEwayBill(ctx.invoice.eInvoice, req.body || {}, ctx.config);
+      if (!alreadyGenerated) {
+        await ctx.ref.update({ eInvoice: record, updatedAt: FieldValue.serverTimestamp() });
+      }
+
+      return res.json({ success: true, data: { alreadyGenerated, eInvoice: einvoiceService.publicRecord(record) } });
+    } catch (error) {
+      return sendEinvoiceError(res, error, 'Failed to generate e-way bill');
+    }
+  });
+
   // DELETE /:id — Delete draft invoices only
   router.delete('/:id', async (req, res) => {
     try {
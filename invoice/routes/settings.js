@@ -1,5 +1,7 @@
 const express = require('express');
 const { FieldValue } = require('firebase-admin/firestore');
+const einvoiceService = require('../../services/einvoice/einvoiceService');
+const { loadEinvoiceConfig, saveEinvoiceSecrets } = require('../services/invoiceService');
 
 module.exports = (db, collections) => {
   const router = express.Router();
@@ -35,6 +37,13 @@ module.exports = (db, collections) => {
     }
   };
 
+  // E-invoice provider credentials never leave the server
+  async function publicSettings(id, data) {
+    const { einvoiceConfig, ...rest } = data;
+    const config = await loadEinvoiceConfig(db, collections, data.orgId, einvoiceConfig);
+    return { id, ...rest, einvoice: einvoiceService.maskConfig(config) };
+  }
+
   // GET / — Get settings for org (create defaults if none)
   router.get('/', async (req, res) => {
     try {
@@ -50,7 +59,7 @@ module.exports = (db, collections) => {
         const doc = snapshot.docs[0];
         return res.json({
           success: true,
-          data: { id: doc.id, ...doc.data() }
+          data: await publicSettings(doc.id, doc.data())
         });
       }
 
@@ -66,7 +75,7 @@ module.exports = (db, collections) => {
 
       return res.json({
         success: true,
-        data: { id: docRef.id, ...settingsData }
+        data: await publicSettings(docRef.id, settingsData)
       });
     } catch (error) {
       console.error('Error getting settings:', error);
@@ -152,7 +161,7 @@ module.exports = (db, collections) => {
 
       return res.json({
         success: true,
-        data: { id: doc.id, ...updated.data() }
+        data: await publicSettings(doc.id, updated.data())
       });
     } catch (error) {
       console.error('Error updating settings:', error);
@@ -160,5 +169,48 @@ module.exports = (db, collections) => {
     }
   });
 
+  // PUT /einvoice — GST e-invoice (IRN) provider settings
+  router.put('/einvoice', async (req, res) => {
+    try {
+      const orgId = await getOrgId(req.user.userId);
+      if (!orgId) return res.status(404).json({ success: false, error: 'Organization not found' });
+
+      const snapshot = await db.collection(collections.invSettings)
+        .where('orgId', '==', orgId)
+        .limit(1)
+        .get();
+
+      const existing = await loadEinvoiceConfig(db, collections, orgId, snapshot.empty ? {} : snapshot.docs[0].data().einvoiceConfig);
+      let next;
+      try {
+        next = einvoiceService.mergeConfig(req.body || {}, existing);
+      } catch (err) {
+        return res.status(err.status || 400).json({ success: false, error: err.message });
+      }
+      // Same split as the POS config: secrets go to einvoiceCredentials
+      const config = await saveEinvoiceSecrets(db, collections, orgId, einvoiceService.splitSecrets(next));
+
+      if (snapshot.empty) {
+        await db.collection(collections.invSettings).add({
+          orgId,
+          ...DEFAULT_SETTINGS,
+          einvoiceConfig: config,
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp()
+        });
+      } else {
+        await db.collection(collections.invSettings).doc(snapshot.docs[0].id).update({
+          einvoiceConfig: config,
+          updatedAt: FieldValue.serverTimestamp()
+        });
+      }
+
+      return res.json({ success: true, data: einvoiceService.maskConfig(next) });
+    } catch (error) {
+      console.error('Error updating e-invoice settings:', error);
+      return res.status(500).json({ success: false, error: 'Failed to update e-invoice settings' });
+    }
+  });
+
   return router;
 };
@@ -91,8 +91,29 @@ async function updateInvoiceStatus(db, collections, invoiceId, status) {
   return updateData;
 }
 
+// E-invoice provider secrets (clientSecret, password) live in einvoiceCredentials
+// under `org_<orgId>`, never in inv_settings, which the settings API returns.
+const credentialsRef = (db, collections, orgId) =>
+  db.collection(collections.einvoiceCredentials || 'einvoiceCredentials').doc(`org_${orgId}`);
+
+/**
+ * An org's einvoiceConfig with its provider secrets merged back in.
+ * Configs saved before the split still carry theirs inline.
+ */
+async function loadEinvoiceConfig(db, collections, orgId, einvoiceConfig) {
+  const snap = await credentialsRef(db, collections, orgId).get();
+  const { orgId: _o, updatedAt: _u, ...secrets } = snap.exists ? snap.data() : {};
+  return { ...(einvoiceConfig || {}), ...secrets };
+}
+
+/** Store the provider secrets; returns the config safe to keep on inv_settings. */
+async function saveEinvoiceSecrets(db, collections, orgId, { config, secrets }) {
+  await credentialsRef(db, collections, orgId).set({ orgId, ...secrets, updatedAt: new Date() });
+  return config;
+}
+
 function round2(num) {
   return Math.round((num + Number.EPSILON) * 100) / 100;
 }
 
-module.exports = { calculateInvoiceTotals, updateInvoiceStatus };
+module.exports = { calculateInvoiceTotals, updateInvoiceStatus, loadEinvoiceConfig, saveEinvoiceSecrets };
@@ -0,0 +1,244 @@
+/**
+ * Course firing — hold later courses of a dine-in order and fire them on cue.
+ *
+ * Items carry `course` (1–9; missing = course 1). The order carries
+ *   heldCourses  [n]                  courses whose items must not reach the kitchen yet
+ *   courses      { [n]: { status, heldAt, firedAt, firedBy, itemCount, readyAt } }
+ * Hold state lives on the order, not the items, so item rewrites from the
+ * order-update flow can't drop it and anything added to a held course is held too.
+ *
+ * Every KOT path (print pushes, /api/kot/render, the KDS ticket sync) passes
+ * items through firableItems(). Firing a course flags exactly its items as the
+ * order's incremental delta, so existing KOT clients print just that course.
+ *
+ * Pure — persistence lives in services/courseService.js.
+ */
+
+const { toDate } = require('../utils/dates');
+
+const MAX_COURSE = 9;
+
+function sanitizeCourse(course) {
+  const n = Number(course);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_COURSE ? n : null;
+}
+
+const courseOf = (item) => sanitizeCourse(item && item.course) || 1;
+const hasCourses = (items) => (items || []).some(i => sanitizeCourse(i && i.course) !== null);
+
+function heldSet(order) {
+  return new Set(((order && order.heldCourses) || []).map(sanitizeCourse).filter(Boolean));
+}
+
+function isHeld(item, order) {
+  return heldSet(order).has(courseOf(item));
+}
+
+/** Items that may go to the kitchen now (everything not in a held course). */
+function firableItems(items, order) {
+  const held = heldSet(order);
+  if (held.size === 0) return items || [];
+  return (items || []).filter(i => !held.has(courseOf(i)));
+}
+
+const liveItems = (items, course) => (items || []).filter(i => courseOf(i) === course && (Number(i.quantity) || 0) > 0);
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Courses to hold from a request value: an array of course numbers, or
+ * `true` for "every course after the first one on the order".
+ */
+function requestedHolds(value, items) {
+  const present = [...new Set((items || []).map(courseOf))].sort((a, b) => a - b);
+  if (value === true) return present.slice(1);
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map(sanitizeCourse).filter(Boolean))].sort((a, b) => a - b);
+}
+
+/**
+ * Course fields for a new order. Returns {} unless some item has a course,
+ * so orders from stores without coursing are unchanged. Only dine-in orders
+ * can hold courses; everything else is fired with the order.
+ */
+function courseFields(items, requestedHeld, orderType, now = new Date()) {
+  if (!hasCourses(items)) return {};
+  const held = orderType === 'dine-in' ? requestedHolds(requestedHeld, items) : [];
+  const courses = {};
+  [...new Set(items.map(courseOf))].forEach(n => {
+    courses[n] = held.includes(n)
+      ? { status: 'held', heldAt: now, itemCount: liveItems(items, n).length }
+      : { status: 'fired', firedAt: now, itemCount: liveItems(items, n).length };
+  });
+  held.forEach(n => { if (!courses[n]) courses[n] = { status: 'held', heldAt: now, itemCount: 0 }; });
+  return { heldCourses: held, courses };
+}
+
+/**
+ * Course fields after the order's items change. Courses appearing for the
+ * first time are held when requested (dine-in, not yet fired) and otherwise
+ * count as fired now. Returns {} when nothing changes.
+ */
+function mergeCourseFields(order, items, requestedHeld, now = new Date()) {
+  if (!hasCourses(items) && !order.courses) return {};
+  const courses = { ...(order.courses || {}) };
+  const held = heldSet(order);
+  let changed = false;
+  if (order.orderType === 'dine-in') {
+    requestedHolds(requestedHeld, items).forEach(n => {
+      if (held.has(n) || (courses[n] && courses[n].status === 'fired')) return;
+      held.add(n);
+      courses[n] = { ...(courses[n] || {}), status: 'held', heldAt: now };
+      changed = true;
+    });
+  }
+  [...new Set((items || []).map(courseOf))].forEach(n => {
+    const itemCount = liveItems(items, n).length;
+    if (!courses[n]) {
+      courses[n] = held.has(n) ? { status: 'held', heldAt: now, itemCount } : { status: 'fired', firedAt: now, itemCount };
+      changed = true;
+    } else if (courses[n].itemCount !== itemCount) {
+      courses[n] = { ...courses[n], itemCount };
+      changed = true;
+    }
+  });
+  if (!changed) return {};
+  return { heldCourses: [...held].sort((a, b) => a - b), courses };
+}
+
+/** Hold a course that has not been fired yet (its items may not exist yet). */
+function holdCourse(order, course, now = new Date(), userId = null) {
+  const n = sanitizeCourse(course);
+  if (!n) throw fail(400, `Course must be a whole number from 1 to ${MAX_COURSE}`);
+  if (order.orderType && order.orderType !== 'dine-in') throw fail(409, 'Only dine-in orders can hold courses');
+  const held = heldSet(order);
+  if (held.has(n)) throw fail(409, `Course ${n} is already on hold`);
+  const prev = (order.courses || {})[n];
+  if (prev && prev.status === 'fired') throw fail(409, `Course ${n} has already been sent to the kitchen`);
+  held.add(n);
+  return {
+    heldCourses: [...held].sort((a, b) => a - b),
+    courses: { ...(order.courses || {}), [n]: { ...(prev || {}), status: 'held', heldAt: now, heldBy: userId, itemCount: liveItems(order.items, n).length } },
+  };
+}
+
+/**
+ * Fire a held course. Returns { update, items } — the order update (items
+ * re-flagged so only this course is the incremental delta, course timing
+ * stamped) and the course's items for the KOT push.
+ */
+function fireCourse(order, course, now = new Date(), userId = null) {
+  const n = sanitizeCourse(course);
+  if (!n) throw fail(400, `Course must be a whole number from 1 to ${MAX_COURSE}`);
+  const held = heldSet(order);
+  if (!held.has(n)) throw fail(409, `Course ${n} is not on hold`);
+  const fired = liveItems(order.items, n);
+  if (fired.length === 0) throw fail(409, `Course ${n} has no items to fire`);
+  held.delete(n);
+
+  const items = (order.items || []).map(i => ({ ...i, isNew: courseOf(i) === n, isUpdated: false }));
+  const prev = (order.courses || {})[n] || {};
+  return {
+    update: {
+      items,
+      removedItems: [],
+      heldCourses: [...held].sort((a, b) => a - b),
+      courses: { ...(order.courses || {}), [n]: { ...prev, status: 'fired', firedAt: now, firedBy: userId, itemCount: fired.length } },
+    },
+    items: items.filter(i => courseOf(i) === n && (Number(i.quantity) || 0) > 0),
+  };
+}
+
+/**
+ * Courses whose every kitchen item is ready (from KDS tickets) →
+ * { [n]: latest readyAt }. Voided quantities don't count.
+ */
+function readyCourses(tickets) {
+  const state = {};
+  (tickets || []).forEach(t => (t.items || []).forEach(item => {
+    if ((Number(item.quantity) || 0) - (Number(item.voidedQuantity) || 0) <= 0) return;
+    const n = courseOf(item);
+    if (!state[n]) state[n] = { ready: true, readyAt: null };
+    const done = item.status === 'ready' || item.status === 'bumped';
+    if (!done) { state[n].ready = false; return; }
+    const at = toDate(item.readyAt) || toDate(item.bumpedAt);
+    if (at && (!state[n].readyAt || at > state[n].readyAt)) state[n].readyAt = at;
+  }));
+  const out = {};
+  Object.entries(state).forEach(([n, s]) => { if (s.ready && s.readyAt) out[n] = s.readyAt; });
+  return out;
+}
+
+/** Per-course view of an order for the POS. */
+function courseSummary(order) {
+  const iso = (v) => { const d = toDate(v); return d ? d.toISOString() : null; };
+  const held = heldSet(order);
+  const numbers = new Set([...(order.items || []).map(courseOf), ...Object.keys(order.courses || {}).map(Number), ...held]);
+  return [...numbers].filter(Boolean).sort((a, b) => a - b).map(n => {
+    const c = (order.courses || {})[n] || {};
+    return {
+      course: n,
+      status: held.has(n) ? 'held' : (c.status || 'fired'),
+      itemCount: liveItems(order.items, n).length,
+      heldAt: iso(c.heldAt),
+      firedAt: iso(c.firedAt),
+      firedBy: c.firedBy || null,
+      readyAt: iso(c.readyAt),
+    };
+  });
+}
+
+/**
+ * Course pacing analytics across orders: per course, how long it was held,
+ * the gap since the previous course was fired, and fire → ready time.
+ */
+function courseTimingStats(orders) {
+  const acc = {};
+  const add = (n, field, seconds) => {
+    if (!(seconds >= 0)) return;
+    if (!acc[n]) acc[n] = { orders: 0, held: [], gap: [], cook: [] };
+    acc[n][field].push(seconds);
+  };
+  const secs = (a, b) => (a && b ? Math.round((a - b) / 1000) : NaN);
+
+  (orders || []).forEach(order => {
+    const courses = order.courses || {};
+    const fired = Object.keys(courses).map(Number).filter(n => toDate(courses[n].firedAt)).sort((a, b) => a - b);
+    fired.forEach((n, idx) => {
+      const c = courses[n];
+      if (!acc[n]) acc[n] = { orders: 0, held: [], gap: [], cook: [] };
+      acc[n].orders++;
+      add(n, 'held', secs(toDate(c.firedAt), toDate(c.heldAt)));
+      if (idx > 0) add(n, 'gap', secs(toDate(c.firedAt), toDate(courses[fired[idx - 1]].firedAt)));
+      add(n, 'cook', secs(toDate(c.readyAt), toDate(c.firedAt)));
+    });
+  });
+
+  const avg = (list) => (list.length ? Math.round(list.reduce((s, v) => s + v, 0) / list.length) : null);
+  return Object.keys(acc).map(Number).sort((a, b) => a - b).map(n => ({
+    course: n,
+    orders: acc[n].orders,
+    avgHeldSeconds: avg(acc[n].held),
+    avgGapFromPreviousSeconds: avg(acc[n].gap),
+    avgFireToReadySeconds: avg(acc[n].cook),
+  }));
+}
+
+module.exports = {
+  MAX_COURSE,
+  sanitizeCourse,
+  courseOf,
+  isHeld,
+  firableItems,
+  courseFields,
+  mergeCourseFields,
+  holdCourse,
+  fireCourse,
+  readyCourses,
+  courseSummary,
+  courseTimingStats,
+};
@@ -0,0 +1,138 @@
+const courses = require('./courses');
+const { lineKey } = require('./tickets');
+
+const T0 = new Date('2026-05-01T19:00:00Z');
+const minutes = (n) => new Date(T0.getTime() + n * 60000);
+
+const soup = { menuItemId: 'soup', name: 'Soup', quantity: 2, course: 1 };
+const steak = { menuItemId: 'steak', name: 'Steak', quantity: 2, course: 2 };
+const tart = { menuItemId: 'tart', name: 'Tart', quantity: 1, course: 3 };
+
+const coursedOrder = (overrides = {}) => ({
+  id: 'o1',
+  orderType: 'dine-in',
+  items: [soup, steak, tart],
+  ...courses.courseFields([soup, steak, tart], true, 'dine-in', T0),
+  ...overrides,
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Holding
+// ═══════════════════════════════════════════════════════════════════
+
+describe('course fields', () => {
+  test('orders without courses get no course fields', () => {
+    expect(courses.courseFields([{ menuItemId: 'x', quantity: 1 }], true, 'dine-in', T0)).toEqual({});
+  });
+
+  test('`true` holds every course after the first', () => {
+    const fields = courses.courseFields([soup, steak, tart], true, 'dine-in', T0);
+    expect(fields.heldCourses).toEqual([2, 3]);
+    expect(fields.courses[1]).toEqual({ status: 'fired', firedAt: T0, itemCount: 1 });
+    expect(fields.courses[2]).toEqual({ status: 'held', heldAt: T0, itemCount: 1 });
+  });
+
+  test('only dine-in orders can hold', () => {
+    expect(courses.courseFields([soup, steak], [2], 'takeaway', T0).heldCourses).toEqual([]);
+  });
+
+  test('firableItems drops held courses; missing course counts as course 1', () => {
+    const order = coursedOrder();
+    const bread = { menuItemId: 'bread', quantity: 1 };
+    expect(courses.firableItems([...order.items, bread], order).map(i => i.menuItemId)).toEqual(['soup', 'bread']);
+    expect(courses.isHeld(steak, order)).toBe(true);
+    expect(courses.firableItems(undefined, order)).toEqual([]);
+  });
+
+  test('items added later to a held course stay held; new courses fire unless held', () => {
+    const order = coursedOrder();
+    const wine = { menuItemId: 'wine', quantity: 1, course: 4 };
+    const merged = courses.mergeCourseFields(order, [...order.items, { ...steak, menuItemId: 'fish' }, wine], undefined, minutes(5));
+    expect(merged.heldCourses).toEqual([2, 3]);
+    expect(merged.courses[2].itemCount).toBe(2);
+    expect(merged.courses[4]).toEqual({ status: 'fired', firedAt: minutes(5), itemCount: 1 });
+
+    const heldWine = courses.mergeCourseFields(order, [...order.items, wine], [4], minutes(5));
+    expect(heldWine.heldCourses).toEqual([2, 3, 4]);
+    expect(courses.mergeCourseFields(order, order.items, undefined, minutes(5))).toEqual({});
+  });
+
+  test('holdCourse refuses fired courses, duplicates and bad numbers', () => {
+    const order = coursedOrder();
+    expect(() => courses.holdCourse(order, 1)).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => courses.holdCourse(order, 2)).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => courses.holdCourse(order, 12)).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => courses.holdCourse({ ...order, orderType: 'delivery' }, 4)).toThrow(expect.objectContaining({ status: 409 }));
+    expect(courses.holdCourse(order, 4, minutes(1), 'u1')).toMatchObject({
+      heldCourses: [2, 3, 4],
+      courses: { 4: { status: 'held', heldAt: minutes(1), heldBy: 'u1', itemCount: 0 } },
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Firing
+// ═══════════════════════════════════════════════════════════════════
+
+describe('fireCourse', () => {
+  test('flags only the fired course as the incremental delta and stamps timing', () => {
+    const order = coursedOrder({ items: [{ ...soup, isNew: true }, steak, { ...tart, isUpdated: true, quantityDelta: 1 }], removedItems: [{ menuItemId: 'x' }] });
+    const { update, items } = courses.fireCourse(order, 2, minutes(20), 'waiter-1');
+    expect(items.map(i => i.menuItemId)).toEqual(['steak']);
+    expect(update.items.map(i => [i.menuItemId, i.isNew, i.isUpdated])).toEqual([
+      ['soup', false, false], ['steak', true, false], ['tart', false, false],
+    ]);
+    expect(update.removedItems).toEqual([]);
+    expect(update.heldCourses).toEqual([3]);
+    expect(update.courses[2]).toEqual({ status: 'fired', heldAt: T0, firedAt: minutes(20), firedBy: 'waiter-1', itemCount: 1 });
+  });
+
+  test('refuses courses that are not held or have nothing to fire', () => {
+    const order = coursedOrder();
+    expect(() => courses.fireCourse(order, 1)).toThrow(expect.objectContaining({ status: 409 }));
+    const empty = { ...order, ...courses.holdCourse(order, 5) };
+    expect(() => courses.fireCourse(empty, 5)).toThrow(/no items/);
+    expect(() => courses.fireCourse(order, 'two')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('a course after the first joins the KDS line key', () => {
+    expect(lineKey({ menuItemId: 'soup', course: 1 })).toBe(lineKey({ menuItemId: 'soup' }));
+    expect(lineKey({ menuItemId: 'soup', course: 3 })).toBe('soup|||c3');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Timing
+// ═══════════════════════════════════════════════════════════════════
+
+describe('course timing', () => {
+  test('readyCourses needs every live item of the course done', () => {
+    const tickets = [
+      { items: [{ course: 1, quantity: 1, status: 'bumped', readyAt: minutes(9) }, { course: 1, quantity: 1, status: 'ready', readyAt: minutes(11) }] },
+      { items: [{ course: 2, quantity: 1, status: 'cooking' }, { course: 2, quantity: 1, voidedQuantity: 1, status: 'queued' }] },
+      { items: [{ course: 3, quantity: 1, voidedQuantity: 1, status: 'queued' }, { course: 3, quantity: 1, status: 'ready', readyAt: minutes(30) }] },
+    ];
+    expect(courses.readyCourses(tickets)).toEqual({ 1: minutes(11), 3: minutes(30) });
+  });
+
+  test('courseSummary lists every course with its state', () => {
+    const order = coursedOrder();
+    const { update } = courses.fireCourse(order, 2, minutes(20));
+    expect(courses.courseSummary({ ...order, ...update }).map(c => [c.course, c.status, c.firedAt])).toEqual([
+      [1, 'fired', T0.toISOString()],
+      [2, 'fired', minutes(20).toISOString()],
+      [3, 'held', null],
+    ]);
+  });
+
+  test('courseTimingStats averages held time, pacing gap and fire → ready', () => {
+    const orders = [
+      { courses: { 1: { firedAt: T0, readyAt: minutes(10) }, 2: { heldAt: T0, firedAt: minutes(20), readyAt: minutes(35) } } },
+      { courses: { 1: { firedAt: T0, readyAt: minutes(14) }, 2: { heldAt: T0, firedAt: minutes(30) }, 3: { heldAt: T0 } } },
+    ];
+    expect(courses.courseTimingStats(orders)).toEqual([
+      { course: 1, orders: 2, avgHeldSeconds: null, avgGapFromPreviousSeconds: null, avgFireToReadySeconds: 720 },
+      { course: 2, orders: 2, avgHeldSeconds: 1500, avgGapFromPreviousSeconds: 1500, avgFireToReadySeconds: 900 },
+    ]);
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Kitchen Display System — ticket model.
+ *
+ * A ticket is what one station's screen shows for one firing of an order:
+ * the order's items routed to that station (utils/printStations) that had not
+ * been ticketed yet. Adding items to an order fires a new ticket (round 2, 3…)
+ * instead of editing the old one; removing items voids them on the open
+ * tickets they were on.
+ *
+ * Item status:   queued → cooking → ready → bumped   (voided when removed)
+ * Ticket status is derived from its items. Bumping a ticket bumps every item;
+ * recalling puts a bumped ticket back on the screen as ready.
+ *
+ * Pure — persistence and realtime pushes live in services/kdsService.js.
+ */
+
+const { toDate } = require('../utils/dates');
+const { sanitizeCourse } = require('./courses');
+
+const ITEM_STATUSES = ['queued', 'cooking', 'ready', 'bumped'];
+const DEFAULT_STATION_ID = 'default';
+
+const DEFAULT_SETTINGS = {
+  warnMinutes: 8,      // timer turns amber
+  lateMinutes: 15,     // timer turns red
+  recallMinutes: 30,   // bumped tickets stay recallable this long
+};
+
+function settingsFor(restaurantData) {
+  const s = (restaurantData && restaurantData.kdsSettings) || {};
+  const num = (v, fallback) => (Number(v) > 0 ? Number(v) : fallback);
+  const warnMinutes = num(s.warnMinutes, DEFAULT_SETTINGS.warnMinutes);
+  return {
+    warnMinutes,
+    lateMinutes: Math.max(warnMinutes, num(s.lateMinutes, DEFAULT_SETTINGS.lateMinutes)),
+    recallMinutes: num(s.recallMinutes, DEFAULT_SETTINGS.recallMinutes),
+  };
+}
+
+/**
+ * Same identity the order dedup uses (menu item + variant + customizations +
+ * seat + course), so a quantity change on a line is seen as a change, not a
+ * new dish.
+ */
+function lineKey(item) {
+  const id = item.menuItemId || item.id || item.name || '';
+  const variant = (item.selectedVariant && item.selectedVariant.name) || '';
+  const custs = Array.isArray(item.selectedCustomizations)
+    ? item.selectedCustomizations.map(c => (c && (c.id || c.name)) || c || '').sort().join(',')
+    : '';
+  let key = item.seat != null && item.seat !== '' ? `${id}|${variant}|${custs}|s${item.seat}` : `${id}|${variant}|${custs}`;
+  const course = sanitizeCourse(item.course);
+  if (course && course > 1) key += `|c${course}`;
+  return key;
+}
+
+const liveQuantity = (item) => Math.max(0, (Number(item.quantity) || 0) - (Number(item.voidedQuantity) || 0));
+
+/** Quantity of each order line already on a ticket (voided quantities excluded). */
+function ticketedQuantities(tickets) {
+  const qty = {};
+  tickets.forEach(t => (t.items || []).forEach(item => {
+    qty[item.key] = (qty[item.key] || 0) + liveQuantity(item);
+  }));
+  return qty;
+}
+
+function ticketStatus(items) {
+  const live = items.filter(i => liveQuantity(i) > 0);
+  if (live.length === 0) return 'voided';
+  if (live.every(i => i.status === 'bumped')) return 'bumped';
+  if (live.every(i => i.status === 'ready' || i.status === 'bumped')) return 'ready';
+  if (live.some(i => i.status !== 'queued')) return 'cooking';
+  return 'queued';
+}
+
+function ticketItem(item, key, quantity, lineId) {
+  return {
+    lineId,
+    key,
+    menuItemId: item.menuItemId || item.id || null,
+    name: item.name || 'Item',
+    quantity,
+    voidedQuantity: 0,
+    variant: (item.selectedVariant && item.selectedVariant.name) || null,
+    customizations: Array.isArray(item.selectedCustomizations) ? item.selectedCustomizations.map(c => (c && c.name) || c).filter(Boolean) : [],
+    notes: item.notes || '',
+    seat: item.seat != null ? item.seat : null,
+    course: sanitizeCourse(item.course),
+    status: 'queued',
+    startedAt: null,
+    readyAt: null,
+    bumpedAt: null,
+  };
+}
+
+/**
+ * Work out what an order change means for its tickets.
+ *   stationGroups   splitOrderByPrintStation(order.items, …)
+ *   existing        the order's current tickets
+ * Returns { create: [ticket], update: [ticket] } — new tickets for quantities
+ * not yet ticketed (one per station, next round), and open tickets whose
+ * items were voided because the order line shrank or was removed.
+ */
+function planTickets(order, stationGroups, existing = [], now = new Date()) {
+  const ticketed = ticketedQuantities(existing);
+  const ordered = {};
+  const stationOf = {};
+  stationGroups.forEach(group => group.items.forEach(item => {
+    const key = lineKey(item);
+    ordered[key] = (ordered[key] || 0) + (Number(item.quantity) || 1);
+    stationOf[key] = group;
+  }));
+
+  // New quantities → one ticket per station for this round
+  const round = existing.reduce((max, t) => Math.max(max, Number(t.round) || 0), 0) + 1;
+  const fresh = {};
+  stationGroups.forEach(group => group.items.forEach(item => {
+    const key = lineKey(item);
+    const missing = (ordered[key] || 0) - (ticketed[key] || 0);
+    if (missing <= 0 || stationOf[key] !== group) return;
+    ticketed[key] = ordered[key];
+    const stationId = group.stationId || DEFAULT_STATION_ID;
+    if (!fresh[stationId]) fresh[stationId] = { group, items: [] };
+    const lineId = `${round}-${fresh[stationId].items.length + 1}`;
+    fresh[stationId].items.push(ticketItem(item, key, missing, lineId));
+  }));
+
+  const create = Object.entries(fresh).map(([stationId, { group, items }]) => ({
+    id: `${order.id}_${stationId}_${round}`,
+    restaurantId: order.restaurantId,
+    orderId: order.id,
+    orderNumber: order.orderNumber || null,
+    dailyOrderId: order.dailyOrderId || null,
+    tableNumber: order.tableNumber || null,
+    orderType: order.orderType || 'dine-in',
+    stationId,
+    stationName: group.stationName || null,
+    round,
+    items,
+    status: 'queued',
+    firedAt: now,
+    startedAt: null,
+    readyAt: null,
+    bumpedAt: null,
+    recalledAt: null,
+  }));
+
+  // Removed quantities → void on the newest open tickets first
+  const update = new Map();
+  const excess = {};
+  Object.keys(ticketed).forEach(key => {
+    const extra = ticketed[key] - (ordered[key] || 0);
+    if (extra > 0) excess[key] = extra;
+  });
+  if (Object.keys(excess).length > 0) {
+    const open = existing
+      .filter(t => t.status !== 'bumped' && t.status !== 'voided')
+      .sort((a, b) => (Number(b.round) || 0) - (Number(a.round) || 0));
+    open.forEach(ticket => {
+      let changed = false;
+      const items = ticket.items.map(item => {
+        const extra = excess[item.key] || 0;
+        if (extra <= 0 || item.status === 'bumped' || liveQuantity(item) <= 0) return item;
+        const take = Math.min(extra, liveQuantity(item));
+        excess[item.key] = extra - take;
+        changed = true;
+        return { ...item, voidedQuantity: (Number(item.voidedQuantity) || 0) + take };
+      });
+      if (changed) update.set(ticket.id, { ...ticket, items, status: ticketStatus(items) });
+    });
+  }
+
+  return { create, update: [...update.values()] };
+}
+
+// ── Actions ───────────────────────────────────────────────────────
+
+const ACTIONS = {
+  start: { from: ['queued'], to: 'cooking', stamp: 'startedAt' },
+  ready: { from: ['queued', 'cooking'], to: 'ready', stamp: 'readyAt' },
+  bump: { from: ['queued', 'cooking', 'ready'], to: 'bumped', stamp: 'bumpedAt' },
+  recall: { from: ['bumped'], to: 'ready', stamp: null },
+};
+
+/**
+ * Apply a screen action to a ticket (all items, or only `lineIds`).
+ * Returns the updated ticket; throws an Error with `status` 409 when nothing
+ * on the ticket can make that move.
+ */
+function applyAction(ticket, action, { lineIds = null, now = new Date(), userId = null } = {}) {
+  const rule = ACTIONS[action];
+  if (!rule) {
+    const err = new Error(`Unknown action "${action}"`);
+    err.status = 400;
+    throw err;
+  }
+  const only = Array.isArray(lineIds) && lineIds.length > 0 ? new Set(lineIds) : null;
+  let moved = 0;
+  const items = ticket.items.map(item => {
+    if (only && !only.has(item.lineId)) return item;
+    if (liveQuantity(item) <= 0 || !rule.from.includes(item.status)) return item;
+    moved++;
+    const next = { ...item, status: rule.to };
+    if (rule.stamp && !next[rule.stamp]) next[rule.stamp] = now;
+    if (rule.to === 'ready' || rule.to === 'bumped') next.startedAt = next.startedAt || now;
+    if (rule.to === 'bumped') next.readyAt = next.readyAt || now;
+    if (action === 'recall') next.bumpedAt = null;
+    return next;
+  });
+  if (moved === 0) {
+    const err = new Error(`Nothing on this ticket can be ${action === 'start' ? 'started' : action === 'recall' ? 'recalled' : `marked ${rule.to}`}`);
+    err.status = 409;
+    throw err;
+  }
+
+  const status = ticketStatus(items);
+  const updated = { ...ticket, items, status, updatedAt: now, lastActionBy: userId };
+  if (status !== 'queued' && !updated.startedAt) updated.startedAt = now;
+  if ((status === 'ready' || status === 'bumped') && !updated.readyAt) updated.readyAt = now;
+  if (status === 'bumped') updated.bumpedAt = now;
+  if (action === 'recall') {
+    updated.bumpedAt = null;
+    updated.recalledAt = now;
+  }
+  return updated;
+}
+
+// ── Timers + views ────────────────────────────────────────────────
+
+/**
+ * Elapsed time on a ticket and its colour. The clock runs from firing until
+ * the ticket is ready (a recalled ticket keeps its original time).
+ */
+function timerState(ticket, settings = DEFAULT_SETTINGS, now = new Date()) {
+  const fired = toDate(ticket.firedAt) || now;
+  const stopped = toDate(ticket.readyAt);
+  const elapsedSeconds = Math.max(0, Math.floor(((stopped || now) - fired) / 1000));
+  const minutes = elapsedSeconds / 60;
+  let colour = 'green';
+  if (minutes >= settings.lateMinutes) colour = 'red';
+  else if (minutes >= settings.warnMinutes) colour = 'amber';
+  return { elapsedSeconds, colour, running: !stopped };
+}
+
+function serializeTicket(ticket, settings, now) {
+  const iso = (v) => { const d = toDate(v); return d ? d.toISOString() : null; };
+  return {
+    ...ticket,
+    firedAt: iso(ticket.firedAt),
+    startedAt: iso(ticket.startedAt),
+    readyAt: iso(ticket.readyAt),
+    bumpedAt: iso(ticket.bumpedAt),
+    recalledAt: iso(ticket.recalledAt),
+    updatedAt: iso(ticket.updatedAt),
+    createdAt: iso(ticket.createdAt),
+    items: (ticket.items || []).map(item => ({
+      ...item,
+      liveQuantity: liveQuantity(item),
+      startedAt: iso(item.startedAt),
+      readyAt: iso(item.readyAt),
+      bumpedAt: iso(item.bumpedAt),
+    })),
+    timer: timerState(ticket, settings, now),
+  };
+}
+
+/**
+ * One station's screen: open tickets oldest first, plus tickets bumped within
+ * the recall window (newest first) for the recall list.
+ */
+function stationView(tickets, settings = DEFAULT_SETTINGS, now = new Date()) {
+  const recallSince = now.getTime() - settings.recallMinutes * 60000;
+  const byFired = (a, b) => (toDate(a.firedAt) || 0) - (toDate(b.firedAt) || 0);
+  const active = tickets.filter(t => ['queued', 'cooking', 'ready'].includes(t.status)).sort(byFired);
+  const recallable = tickets
+    .filter(t => t.status === 'bumped' && (toDate(t.bumpedAt) || 0) >= recallSince)
+    .sort((a, b) => (toDate(b.bumpedAt) || 0) - (toDate(a.bumpedAt) || 0));
+  return {
+    tickets: active.map(t => serializeTicket(t, settings, now)),
+    recallable: recallable.map(t => serializeTicket(t, settings, now)),
+    counts: {
+      queued: active.filter(t => t.status === 'queued').length,
+      cooking: active.filter(t => t.status === 'cooking').length,
+      ready: active.filter(t => t.status === 'ready').length,
+      late: active.filter(t => timerState(t, settings, now).colour === 'red').length,
+    },
+  };
+}
+
+/**
+ * Expo / pass screen: one card per order with every station's progress, so
+ * the expeditor sends the order out once all of it is ready. Orders whose
+ * tickets are all bumped drop off.
+ */
+function expoView(tickets, settings = DEFAULT_SETTINGS, now = new Date()) {
+  const byOrder = new Map();
+  tickets.forEach(t => {
+    if (t.status === 'voided') return;
+    if (!byOrder.has(t.orderId)) byOrder.set(t.orderId, []);
+    byOrder.get(t.orderId).push(t);
+  });
+
+  const orders = [];
+  byOrder.forEach((orderTickets, orderId) => {
+    const open = orderTickets.filter(t => t.status !== 'bumped');
+    if (open.length === 0) return;
+    const first = orderTickets[0];
+    const oldest = open.reduce((a, b) => ((toDate(a.firedAt) || 0) <= (toDate(b.firedAt) || 0) ? a : b));
+    orders.push({
+      orderId,
+      orderNumber: first.orderNumber,
+      dailyOrderId: first.dailyOrderId,
+      tableNumber: first.tableNumber,
+      orderType: first.orderType,
+      allReady: open.every(t => t.status === 'ready'),
+      firedAt: toDate(oldest.firedAt) ? toDate(oldest.firedAt).toISOString() : null,
+      timer: timerState({ firedAt: oldest.firedAt, readyAt: open.every(t => t.status === 'ready') ? open.map(t => toDate(t.readyAt)).sort((a, b) => b - a)[0] : null }, settings, now),
+      stations: open.map(t => ({
+        ticketId: t.id,
+        stationId: t.stationId,
+        stationName: t.stationName,
+        round: t.round,
+        status: t.status,
+        items: t.items.filter(i => liveQuantity(i) > 0).map(i => ({ lineId: i.lineId, name: i.name, quantity: liveQuantity(i), course: i.course || null, status: i.status })),
+      })),
+    });
+  });
+  orders.sort((a, b) => (a.firedAt || '').localeCompare(b.firedAt || ''));
+  return { orders, readyCount: orders.filter(o => o.allReady).length };
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  DEFAULT_STATION_ID,
+  DEFAULT_SETTINGS,
+  settingsFor,
+  lineKey,
+  ticketStatus,
+  planTickets,
+  applyAction,
+  timerState,
+  stationView,
+  expoView,
+  serializeTicket,
+};
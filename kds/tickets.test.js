@@ -0,0 +1,189 @@
+const kds = require('./tickets');
+
+const T0 = new Date('2026-05-01T12:00:00Z');
+const minutes = (n) => new Date(T0.getTime() + n * 60000);
+
+const order = (items, overrides = {}) => ({
+  id: 'o1',
+  restaurantId: 'r1',
+  orderNumber: 'A-12',
+  tableNumber: '4',
+  items,
+  ...overrides,
+});
+
+const burger = (quantity = 1) => ({ menuItemId: 'burger', name: 'Burger', quantity });
+const fries = (quantity = 1) => ({ menuItemId: 'fries', name: 'Fries', quantity });
+const mojito = (quantity = 1) => ({ menuItemId: 'mojito', name: 'Mojito', quantity });
+
+// What splitOrderByPrintStation returns for a kitchen/bar setup
+const groups = (items) => {
+  const bar = items.filter(i => i.menuItemId === 'mojito');
+  const kitchen = items.filter(i => i.menuItemId !== 'mojito');
+  return [
+    ...(kitchen.length ? [{ stationId: 'kitchen', stationName: 'Kitchen', items: kitchen }] : []),
+    ...(bar.length ? [{ stationId: 'bar', stationName: 'Bar', items: bar }] : []),
+  ];
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// planTickets
+// ═══════════════════════════════════════════════════════════════════
+
+describe('planTickets', () => {
+  test('fires one ticket per station for a new order', () => {
+    const items = [burger(2), fries(), mojito()];
+    const { create, update } = kds.planTickets(order(items), groups(items), [], T0);
+    expect(update).toEqual([]);
+    expect(create.map(t => t.id)).toEqual(['o1_kitchen_1', 'o1_bar_1']);
+    expect(create[0].items.map(i => [i.lineId, i.name, i.quantity, i.status])).toEqual([
+      ['1-1', 'Burger', 2, 'queued'],
+      ['1-2', 'Fries', 1, 'queued'],
+    ]);
+    expect(create[1]).toMatchObject({ stationName: 'Bar', round: 1, status: 'queued', firedAt: T0 });
+  });
+
+  test('is idempotent and only tickets added quantities in the next round', () => {
+    const first = kds.planTickets(order([burger()]), groups([burger()]), [], T0).create;
+    expect(kds.planTickets(order([burger()]), groups([burger()]), first, T0)).toEqual({ create: [], update: [] });
+
+    const items = [burger(3), mojito()];
+    const { create } = kds.planTickets(order(items), groups(items), first, minutes(5));
+    expect(create.map(t => t.id)).toEqual(['o1_kitchen_2', 'o1_bar_2']);
+    expect(create[0].items[0]).toMatchObject({ lineId: '2-1', name: 'Burger', quantity: 2 });
+  });
+
+  test('voids removed quantities on the newest open ticket, never on bumped ones', () => {
+    const r1 = kds.planTickets(order([burger(2)]), groups([burger(2)]), [], T0).create;
+    const bumped = [kds.applyAction(r1[0], 'bump', { now: minutes(3) })];
+    const r2 = kds.planTickets(order([burger(3)]), groups([burger(3)]), bumped, minutes(4)).create;
+    const existing = [...bumped, ...r2];
+
+    const { create, update } = kds.planTickets(order([burger(1)]), groups([burger(1)]), existing, minutes(6));
+    expect(create).toEqual([]);
+    expect(update).toHaveLength(1);
+    expect(update[0].id).toBe('o1_kitchen_2');
+    expect(update[0].items[0].voidedQuantity).toBe(1);
+    expect(update[0].status).toBe('voided');
+  });
+
+  test('voids every open ticket when the order is cancelled', () => {
+    const items = [burger(), mojito()];
+    const open = kds.planTickets(order(items), groups(items), [], T0).create;
+    const { update } = kds.planTickets(order(items, { status: 'cancelled' }), [], open, minutes(1));
+    expect(update.map(t => t.status)).toEqual(['voided', 'voided']);
+  });
+
+  test('routes station-less orders to the default station', () => {
+    const { create } = kds.planTickets(order([burger()]), [{ stationId: null, stationName: null, items: [burger()] }], [], T0);
+    expect(create[0].id).toBe(`o1_${kds.DEFAULT_STATION_ID}_1`);
+  });
+
+  test('keeps seats and variants as separate lines', () => {
+    const items = [
+      { ...burger(), seat: 1 },
+      { ...burger(), seat: 2 },
+      { ...burger(), selectedVariant: { name: 'Double' } },
+    ];
+    const { create } = kds.planTickets(order(items), groups(items), [], T0);
+    expect(create[0].items.map(i => [i.seat, i.variant])).toEqual([[1, null], [2, null], [null, 'Double']]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// applyAction
+// ═══════════════════════════════════════════════════════════════════
+
+describe('applyAction', () => {
+  const fresh = () => kds.planTickets(order([burger(), fries()]), groups([burger(), fries()]), [], T0).create[0];
+
+  test('moves single items and derives the ticket status', () => {
+    let t = kds.applyAction(fresh(), 'start', { lineIds: ['1-1'], now: minutes(1), userId: 'cook' });
+    expect(t.status).toBe('cooking');
+    expect(t.startedAt).toEqual(minutes(1));
+    expect(t.lastActionBy).toBe('cook');
+
+    t = kds.applyAction(t, 'ready', { lineIds: ['1-1'], now: minutes(4) });
+    expect(t.items.map(i => i.status)).toEqual(['ready', 'queued']);
+    expect(t.status).toBe('cooking');
+
+    t = kds.applyAction(t, 'ready', { now: minutes(6) });
+    expect(t.status).toBe('ready');
+    expect(t.readyAt).toEqual(minutes(6));
+    expect(t.items[0].readyAt).toEqual(minutes(4));
+  });
+
+  test('bump clears the ticket and recall brings it back as ready', () => {
+    const bumped = kds.applyAction(fresh(), 'bump', { now: minutes(7) });
+    expect(bumped.status).toBe('bumped');
+    expect(bumped.bumpedAt).toEqual(minutes(7));
+
+    const recalled = kds.applyAction(bumped, 'recall', { now: minutes(9) });
+    expect(recalled.status).toBe('ready');
+    expect(recalled.bumpedAt).toBeNull();
+    expect(recalled.recalledAt).toEqual(minutes(9));
+    expect(recalled.items.every(i => i.status === 'ready' && i.bumpedAt === null)).toBe(true);
+  });
+
+  test('rejects moves that change nothing and unknown actions', () => {
+    expect(() => kds.applyAction(fresh(), 'recall')).toThrow(expect.objectContaining({ status: 409 }));
+    const done = kds.applyAction(fresh(), 'bump');
+    expect(() => kds.applyAction(done, 'start')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => kds.applyAction(fresh(), 'fire')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Timers + views
+// ═══════════════════════════════════════════════════════════════════
+
+describe('timers and views', () => {
+  const settings = kds.settingsFor({ kdsSettings: { warnMinutes: 5, lateMinutes: 10 } });
+
+  test('settingsFor falls back to defaults and keeps late >= warn', () => {
+    expect(kds.settingsFor({})).toEqual(kds.DEFAULT_SETTINGS);
+    expect(kds.settingsFor({ kdsSettings: { warnMinutes: 20, lateMinutes: 10 } }).lateMinutes).toBe(20);
+  });
+
+  test('timer colour follows the thresholds and stops when ready', () => {
+    const ticket = { firedAt: T0, readyAt: null };
+    expect(kds.timerState(ticket, settings, minutes(2))).toEqual({ elapsedSeconds: 120, colour: 'green', running: true });
+    expect(kds.timerState(ticket, settings, minutes(6)).colour).toBe('amber');
+    expect(kds.timerState(ticket, settings, minutes(12)).colour).toBe('red');
+    expect(kds.timerState({ firedAt: T0, readyAt: minutes(4) }, settings, minutes(30))).toEqual({ elapsedSeconds: 240, colour: 'green', running: false });
+  });
+
+  test('stationView lists open tickets oldest first and recent bumps for recall', () => {
+    const a = { ...kds.planTickets(order([burger()]), groups([burger()]), [], minutes(3)).create[0] };
+    const b = { ...kds.planTickets(order([fries()], { id: 'o2' }), groups([fries()]), [], T0).create[0] };
+    const oldBump = kds.applyAction(kds.planTickets(order([burger()], { id: 'o3' }), groups([burger()]), [], T0).create[0], 'bump', { now: minutes(-60) });
+    const newBump = kds.applyAction(kds.planTickets(order([burger()], { id: 'o4' }), groups([burger()]), [], T0).create[0], 'bump', { now: minutes(10) });
+
+    const view = kds.stationView([a, b, oldBump, newBump], settings, minutes(12));
+    expect(view.tickets.map(t => t.orderId)).toEqual(['o2', 'o1']);
+    expect(view.tickets[0].timer.colour).toBe('red');
+    expect(view.tickets[0].firedAt).toBe(T0.toISOString());
+    expect(view.recallable.map(t => t.orderId)).toEqual(['o4']);
+    expect(view.counts).toEqual({ queued: 2, cooking: 0, ready: 0, late: 1 });
+  });
+
+  test('expoView groups stations per order and flags orders ready to send', () => {
+    const items = [burger(), mojito()];
+    const [kitchen, bar] = kds.planTickets(order(items), groups(items), [], T0).create;
+    const other = kds.planTickets(order([fries()], { id: 'o2' }), groups([fries()]), [], minutes(1)).create[0];
+
+    let view = kds.expoView([kitchen, kds.applyAction(bar, 'ready', { now: minutes(2) }), other], settings, minutes(3));
+    expect(view.orders.map(o => [o.orderId, o.allReady, o.stations.length])).toEqual([['o1', false, 2], ['o2', false, 1]]);
+    expect(view.readyCount).toBe(0);
+
+    view = kds.expoView([
+      kds.applyAction(kitchen, 'ready', { now: minutes(4) }),
+      kds.applyAction(bar, 'ready', { now: minutes(2) }),
+      kds.applyAction(other, 'bump', { now: minutes(2) }),
+    ], settings, minutes(8));
+    expect(view.orders).toHaveLength(1);
+    expect(view.orders[0]).toMatchObject({ orderId: 'o1', allReady: true, tableNumber: '4' });
+    expect(view.orders[0].timer).toEqual({ elapsedSeconds: 240, colour: 'green', running: false });
+    expect(view.readyCount).toBe(1);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Default chart of accounts and the account-resolution rules used by the
+ * automatic posting engine. Pure data + lookups — no DB access.
+ */
+
+// Default chart of accounts for restaurants
+const DEFAULT_ACCOUNTS = [
+  { code: '1000', name: 'Cash', type: 'asset', parentCode: null },
+  { code: '1010', name: 'Bank Account', type: 'asset', parentCode: null },
+  { code: '1020', name: 'Accounts Receivable', type: 'asset', parentCode: null },
+  { code: '1030', name: 'Inventory', type: 'asset', parentCode: null },
+  { code: '1050', name: 'GST Input Credit', type: 'asset', parentCode: null },
+  { code: '2000', name: 'Accounts Payable', type: 'liability', parentCode: null },
+  { code: '2010', name: 'GST Payable', type: 'liability', parentCode: null },
+  { code: '2020', name: 'Salaries Payable', type: 'liability', parentCode: null },
+  { code: '2030', name: 'Tips Payable', type: 'liability', parentCode: null },
+  { code: '2040', name: 'Customer Deposits', type: 'liability', parentCode: null },
+  { code: '2050', name: 'Payroll Deductions Payable', type: 'liability', parentCode: null },
+  { code: '2060', name: 'Goods Received Not Invoiced', type: 'liability', parentCode: null },
+  { code: '3000', name: 'Owner Equity', type: 'equity', parentCode: null },
+  { code: '3010', name: 'Retained Earnings', type: 'equity', parentCode: null },
+  { code: '4000', name: 'Sales Revenue', type: 'revenue', parentCode: null },
+  { code: '4010', name: 'Delivery Revenue', type: 'revenue', parentCode: null },
+  { code: '4020', name: 'Takeaway Revenue', type: 'revenue', parentCode: null },
+  { code: '4030', name: 'Service Charge Income', type: 'revenue', parentCode: null },
+  { code: '4040', name: 'Round Off', type: 'revenue', parentCode: null },
+  { code: '4050', name: 'Forfeited Deposits & Cancellation Fees', type: 'revenue', parentCode: null },
+  { code: '4090', name: 'Sales Discounts', type: 'revenue', parentCode: null },
+  { code: '4095', name: 'Sales Returns & Refunds', type: 'revenue', parentCode: null },
+  { code: '5000', name: 'Cost of Goods Sold', type: 'expense', parentCode: null },
+  { code: '5010', name: 'Food Costs', type: 'expense', parentCode: '5000' },
+  { code: '5020', name: 'Beverage Costs', type: 'expense', parentCode: '5000' },
+  { code: '6000', name: 'Rent', type: 'expense', parentCode: null },
+  { code: '6010', name: 'Utilities', type: 'expense', parentCode: null },
+  { code: '6020', name: 'Salaries & Wages', type: 'expense', parentCode: null },
+  { code: '6030', name: 'Marketing', type: 'expense', parentCode: null },
+  { code: '6040', name: 'Insurance', type: 'expense', parentCode: null },
+  { code: '6050', name: 'Repairs & Maintenance', type: 'expense', parentCode: null },
+  { code: '6060', name: 'Supplies', type: 'expense', parentCode: null },
+  { code: '6070', name: 'Licenses & Permits', type: 'expense', parentCode: null },
+  { code: '6080', name: 'Equipment', type: 'expense', parentCode: null },
+  { code: '6090', name: 'Miscellaneous Expenses', type: 'expense', parentCode: null },
+];
+
+// Named codes used by the posting rules
+const ACCOUNTS = {
+  CASH: '1000',
+  BANK: '1010',
+  RECEIVABLE: '1020',
+  INVENTORY: '1030',
+  GST_INPUT: '1050',
+  PAYABLE: '2000',
+  GST_PAYABLE: '2010',
+  TIPS_PAYABLE: '2030',
+  CUSTOMER_DEPOSITS: '2040',
+  PAYROLL_DEDUCTIONS: '2050',
+  GRNI: '2060',
+  SALES: '4000',
+  DELIVERY_SALES: '4010',
+  TAKEAWAY_SALES: '4020',
+  SERVICE_CHARGE: '4030',
+  ROUND_OFF: '4040',
+  FORFEITED_DEPOSITS: '4050',
+  DISCOUNTS: '4090',
+  REFUNDS: '4095',
+  SALARIES: '6020',
+  MISC_EXPENSE: '6090',
+};
+
+const ACCOUNT_NAMES = DEFAULT_ACCOUNTS.reduce((map, acc) => {
+  map[acc.code] = acc.name;
+  return map;
+}, {});
+
+// Payment methods that settle into the till rather than the bank
+const CASH_METHODS = ['cash'];
+// Payment methods that leave the amount owed by the customer
+const CREDIT_METHODS = ['due', 'credit', 'khata', 'pay_later', 'paylater', 'unpaid', 'hotel-billing', 'room'];
+
+/**
+ * Account a customer payment lands in.
+ * cash → Cash, due/credit → Accounts Receivable, a prepaid deposit →
+ * Customer Deposits (released from the liability), everything else (card,
+ * upi, online, wallet, razorpay…) → Bank Account.
+ */
+function getPaymentAccount(method) {
+  const m = String(method || 'cash').toLowerCase().trim();
+  if (m === 'deposit') return ACCOUNTS.CUSTOMER_DEPOSITS;
+  if (CASH_METHODS.includes(m)) return ACCOUNTS.CASH;
+  if (CREDIT_METHODS.includes(m)) return ACCOUNTS.RECEIVABLE;
+  return ACCOUNTS.BANK;
+}
+
+/**
+ * Account an outgoing payment (expense, supplier) is made from.
+ * Credit purchases stay in Accounts Payable until settled.
+ */
+function getDisbursementAccount(method) {
+  const m = String(method || 'cash').toLowerCase().trim();
+  if (CASH_METHODS.includes(m)) return ACCOUNTS.CASH;
+  if (CREDIT_METHODS.includes(m)) return ACCOUNTS.PAYABLE;
+  return ACCOUNTS.BANK;
+}
+
+function getRevenueAccount(orderType) {
+  const t = String(orderType || '').toLowerCase();
+  if (t.includes('delivery')) return ACCOUNTS.DELIVERY_SALES;
+  if (t.includes('takeaway') || t.includes('take-away') || t.includes('pickup') || t.includes('parcel')) {
+    return ACCOUNTS.TAKEAWAY_SALES;
+  }
+  return ACCOUNTS.SALES;
+}
+
+// Keyword → expense account. First match wins.
+const EXPENSE_CATEGORY_ACCOUNTS = [
+  { match: ['rent', 'lease'], code: '6000' },
+  { match: ['utilit', 'electric', 'water', 'gas', 'internet', 'phone'], code: '6010' },
+  { match: ['salar', 'wage', 'payroll', 'staff'], code: '6020' },
+  { match: ['marketing', 'advertis', 'promotion'], code: '6030' },
+  { match: ['insurance'], code: '6040' },
+  { match: ['repair', 'maintenance'], code: '6050' },
+  { match: ['suppl', 'packaging', 'cleaning'], code: '6060' },
+  { match: ['licen', 'permit'], code: '6070' },
+  { match: ['equipment'], code: '6080' },
+  { match: ['food', 'grocer', 'vegetable', 'meat'], code: '5010' },
+  { match: ['beverage', 'drink', 'liquor'], code: '5020' },
+];
+
+function getExpenseAccount(category) {
+  const c = String(category || '').toLowerCase();
+  const hit = EXPENSE_CATEGORY_ACCOUNTS.find(rule => rule.match.some(k => c.includes(k)));
+  return hit ? hit.code : ACCOUNTS.MISC_EXPENSE;
+}
+
+module.exports = {
+  DEFAULT_ACCOUNTS,
+  ACCOUNTS,
+  ACCOUNT_NAMES,
+  getPaymentAccount,
+  getDisbursementAccount,
+  getRevenueAccount,
+  getExpenseAccount,
+};
@@ -0,0 +1,201 @@
+/**
+ * Hand ledger entries over to external accounting packages: Tally Prime XML
+ * vouchers and Zoho Books manual-journal CSV/JSON.
+ * Pure functions — callers pass entries, account names and the restaurant's
+ * account-code → external-ledger-name mapping.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { ACCOUNTS } = require('./accounts');
+const { entryLines } = require('./postingRules');
+const { toDate } = require('../utils/dates');
+const { dateStrInTZ } = require('../utils/timezone');
+
+const EXPORT_TARGETS = ['tally', 'zoho'];
+const VOUCHER_TYPES = ['sales', 'purchase', 'payment', 'journal'];
+const TALLY_VOUCHER_NAMES = { sales: 'Sales', purchase: 'Purchase', payment: 'Payment', journal: 'Journal' };
+
+const CASH_CODES = [ACCOUNTS.CASH, ACCOUNTS.BANK];
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+/**
+ * Voucher type of a journal entry: sales for order postings, purchase for
+ * supplier invoices, payment for anything paid out of cash/bank, journal
+ * otherwise (GRNs, adjustments, accruals, receipts into the till).
+ */
+function voucherType(entry) {
+  if (entry.isAdjustment) return 'journal';
+  const refType = entry.reference?.type;
+  if (refType === 'order') return 'sales';
+  if (refType === 'supplier_invoice') return 'purchase';
+
+  const lines = entryLines(entry);
+  const paysOut = lines.some(l => CASH_CODES.includes(l.accountCode) && l.credit > 0);
+  const receives = lines.some(l => CASH_CODES.includes(l.accountCode) && l.debit > 0);
+  return paysOut && !receives ? 'payment' : 'journal';
+}
+
+/**
+ * External ledger name for an account code — the mapped name when one is
+ * configured, otherwise the account's own name.
+ */
+function ledgerName(code, mappings = {}, accountNames = {}) {
+  return mappings[code] || accountNames[code] || code;
+}
+
+/**
+ * Account codes used by `entries` that have no mapping configured.
+ */
+function unmappedCodes(entries, mappings = {}) {
+  const codes = new Set();
+  entries.forEach(e => entryLines(e).forEach(l => {
+    if (!mappings[l.accountCode]) codes.add(l.accountCode);
+  }));
+  return [...codes].sort();
+}
+
+function voucherNumber(entry) {
+  return entry.reference?.number || entry.postingKey || entry.id || '';
+}
+
+function narration(entry) {
+  return entry.description || '';
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+  const str = String(value ?? '');
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// ── Tally Prime ───────────────────────────────────────────────────
+
+/**
+ * Tally import envelope with one VOUCHER per entry. Tally signs amounts from
+ * the ledger's point of view: debits are negative with ISDEEMEDPOSITIVE=Yes.
+ */
+function buildTallyXml(entries, { companyName = '', mappings = {}, accountNames = {}, tzOffset } = {}) {
+  const vouchers = entries.map(entry => {
+    const type = TALLY_VOUCHER_NAMES[voucherType(entry)];
+    const date = dateStrInTZ(toDate(entry.date), tzOffset).replace(/-/g, '');
+    const ledgerEntries = entryLines(entry).map(l => {
+      const isDebit = (l.debit || 0) > 0;
+      const amount = round2(isDebit ? -l.debit : l.credit);
+      return [
+        '          <ALLLEDGERENTRIES.LIST>',
+        `            <LEDGERNAME>${escapeXml(ledgerName(l.accountCode, mappings, accountNames))}</LEDGERNAME>`,
+        `            <ISDEEMEDPOSITIVE>${isDebit ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+        `            <AMOUNT>${amount.toFixed(2)}</AMOUNT>`,
+        '          </ALLLEDGERENTRIES.LIST>',
+      ].join('\n');
+    });
+
+    return [
+      '      <TALLYMESSAGE xmlns:UDF="TallyUDF">',
+      `        <VOUCHER VCHTYPE="${type}" ACTION="Create">`,
+      `          <DATE>${date}</DATE>`,
+      `          <VOUCHERTYPENAME>${type}</VOUCHERTYPENAME>`,
+      `          <VOUCHERNUMBER>${escapeXml(voucherNumber(entry))}</VOUCHERNUMBER>`,
+      `          <NARRATION>${escapeXml(narration(entry))}</NARRATION>`,
+      ...ledgerEntries,
+      '        </VOUCHER>',
+      '      </TALLYMESSAGE>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '  <HEADER>',
+    '    <TALLYREQUEST>Import Data</TALLYREQUEST>',
+    '  </HEADER>',
+    '  <BODY>',
+    '    <IMPORTDATA>',
+    '      <REQUESTDESC>',
+    '        <REPORTNAME>Vouchers</REPORTNAME>',
+    '        <STATICVARIABLES>',
+    `          <SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`,
+    '        </STATICVARIABLES>',
+    '      </REQUESTDESC>',
+    '      <REQUESTDATA>',
+    ...vouchers,
+    '      </REQUESTDATA>',
+    '    </IMPORTDATA>',
+    '  </BODY>',
+    '</ENVELOPE>',
+    '',
+  ].join('\n');
+}
+
+// ── Zoho Books ────────────────────────────────────────────────────
+
+/**
+ * Manual journals in the shape of Zoho Books' journal API
+ * (POST /journals): one journal per entry with debit/credit line items.
+ */
+function buildZohoJournals(entries, { mappings = {}, accountNames = {}, tzOffset, currencyCode } = {}) {
+  return entries.map(entry => ({
+    journal_date: dateStrInTZ(toDate(entry.date), tzOffset),
+    reference_number: voucherNumber(entry),
+    notes: narration(entry),
+    journal_type: 'both',
+    ...(currencyCode ? { currency_code: currencyCode } : {}),
+    voucher_type: voucherType(entry),
+    line_items: entryLines(entry).map(l => {
+      const isDebit = (l.debit || 0) > 0;
+      return {
+        account_name: ledgerName(l.accountCode, mappings, accountNames),
+        account_code: l.accountCode,
+        description: l.memo || '',
+        debit_or_credit: isDebit ? 'debit' : 'credit',
+        amount: round2(isDebit ? l.debit : l.credit),
+      };
+    }),
+  }));
+}
+
+const ZOHO_CSV_COLUMNS = ['Journal Date', 'Reference Number', 'Notes', 'Journal Type', 'Currency', 'Account', 'Description', 'Debit', 'Credit'];
+
+/**
+ * Zoho Books manual-journal import CSV — one row per line item; rows with
+ * the same Journal Date + Reference Number form one journal.
+ */
+function buildZohoCsv(entries, options = {}) {
+  const rows = [ZOHO_CSV_COLUMNS.join(',')];
+  buildZohoJournals(entries, options).forEach(j => {
+    j.line_items.forEach(li => {
+      rows.push([
+        j.journal_date,
+        j.reference_number,
+        j.notes,
+        j.journal_type,
+        j.currency_code || '',
+        li.account_name,
+        li.description,
+        li.debit_or_credit === 'debit' ? li.amount.toFixed(2) : '',
+        li.debit_or_credit === 'credit' ? li.amount.toFixed(2) : '',
+      ].map(escapeCsv).join(','));
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports = {
+  EXPORT_TARGETS,
+  VOUCHER_TYPES,
+  voucherType,
+  ledgerName,
+  unmappedCodes,
+  buildTallyXml,
+  buildZohoJournals,
+  buildZohoCsv,
+};
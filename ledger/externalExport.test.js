@@ -0,0 +1,89 @@
+const {
+  voucherType,
+  unmappedCodes,
+  buildTallyXml,
+  buildZohoJournals,
+  buildZohoCsv
+} = require('./externalExport');
+
+const sale = {
+  id: 'r1_order_o1',
+  postingKey: 'order_o1',
+  date: new Date('2026-04-02T10:00:00Z'),
+  description: 'Order #101 & co',
+  reference: { type: 'order', refId: 'o1' },
+  lines: [
+    { accountCode: '1000', debit: 105, credit: 0 },
+    { accountCode: '4000', debit: 0, credit: 100 },
+    { accountCode: '2010', debit: 0, credit: 5 }
+  ]
+};
+const rent = {
+  id: 'r1_expense_e1',
+  date: new Date('2026-04-03T10:00:00Z'),
+  description: 'Rent',
+  reference: { type: 'expense', refId: 'e1' },
+  lines: [
+    { accountCode: '6000', debit: 300, credit: 0 },
+    { accountCode: '1010', debit: 0, credit: 300 }
+  ]
+};
+const accountNames = { 1000: 'Cash', 1010: 'Bank Account', 2010: 'GST Payable', 4000: 'Sales Revenue', 6000: 'Rent' };
+const mappings = { 1000: 'Cash-in-Hand', 4000: 'Sales Accounts' };
+
+// ═══════════════════════════════════════════════════════════════════
+// Voucher classification
+// ═══════════════════════════════════════════════════════════════════
+
+describe('voucherType', () => {
+  test('classifies sales, purchases, payments and journals', () => {
+    expect(voucherType(sale)).toBe('sales');
+    expect(voucherType({ reference: { type: 'supplier_invoice' }, lines: [] })).toBe('purchase');
+    expect(voucherType(rent)).toBe('payment');
+    expect(voucherType({ reference: { type: 'grn' }, lines: [{ accountCode: '1030', debit: 1, credit: 0 }, { accountCode: '2060', debit: 0, credit: 1 }] })).toBe('journal');
+    expect(voucherType({ ...sale, isAdjustment: true })).toBe('journal');
+  });
+
+  test('lists account codes without a mapping', () => {
+    expect(unmappedCodes([sale, rent], mappings)).toEqual(['1010', '2010', '6000']);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Tally / Zoho
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildTallyXml', () => {
+  const xml = buildTallyXml([sale], { companyName: 'Cafe', mappings, accountNames, tzOffset: -330 });
+
+  test('emits a voucher with mapped ledger names and Tally signs', () => {
+    expect(xml).toContain('<VOUCHER VCHTYPE="Sales" ACTION="Create">');
+    expect(xml).toContain('<DATE>20260402</DATE>');
+    expect(xml).toContain('<LEDGERNAME>Cash-in-Hand</LEDGERNAME>');
+    expect(xml).toContain('<AMOUNT>-105.00</AMOUNT>');
+    expect(xml).toContain('<LEDGERNAME>GST Payable</LEDGERNAME>');
+    expect(xml).toContain('<AMOUNT>5.00</AMOUNT>');
+  });
+
+  test('escapes XML special characters', () => {
+    expect(xml).toContain('<NARRATION>Order #101 &amp; co</NARRATION>');
+  });
+});
+
+describe('buildZohoJournals / buildZohoCsv', () => {
+  test('produces journal line items', () => {
+    const [journal] = buildZohoJournals([rent], { mappings, accountNames, currencyCode: 'INR' });
+    expect(journal.journal_date).toBe('2026-04-03');
+    expect(journal.currency_code).toBe('INR');
+    expect(journal.line_items).toEqual([
+      { account_name: 'Rent', account_code: '6000', description: '', debit_or_credit: 'debit', amount: 300 },
+      { account_name: 'Bank Account', account_code: '1010', description: '', debit_or_credit: 'credit', amount: 300 }
+    ]);
+  });
+
+  test('writes one CSV row per line item', () => {
+    const csv = buildZohoCsv([sale], { mappings, accountNames }).trim().split('\n');
+    expect(csv).toHaveLength(4);
+    expect(csv[1]).toBe('2026-04-02,order_o1,Order #101 & co,both,,Cash-in-Hand,,105.00,');
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Accounts payable: payment allocation, AP ageing, payment-run selection and
+ * the bank bulk-transfer file. Pure functions — no DB access.
+ *
+ * An invoice's balance is inventory/invoiceMatch.outstanding() — total less
+ * payments and any live debit note. Money paid beyond the invoices it was
+ * allocated to stays on the payment as `unappliedAmount` (a supplier
+ * advance) until it is applied to later invoices.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { toDate } = require('../utils/dates');
+const { outstanding } = require('../inventory/invoiceMatch');
+
+const AGEING_BUCKETS = [
+  { key: '0-30', upTo: 30 },
+  { key: '31-60', upTo: 60 },
+  { key: '61-90', upTo: 90 },
+  { key: '90+', upTo: Infinity },
+];
+
+// Payment-run order: supplier (or invoice) paymentPriority, then due date
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+const DAY_MS = 86400000;
+
+/** Days of credit in free-text terms: 'Net 45' → 45, 'COD' / 'Immediate' → 0. */
+function termsDays(paymentTerms) {
+  const t = String(paymentTerms || '').toLowerCase();
+  if (/\b(cod|immediate|advance|on receipt)\b/.test(t)) return 0;
+  const m = t.match(/(\d+)/);
+  return m ? Number(m[1]) : 30;
+}
+
+/** The invoice's due date, or invoice date + terms when none was entered. */
+function dueDateOf(invoice) {
+  const due = toDate(invoice.dueDate);
+  if (due) return due;
+  const issued = toDate(invoice.invoiceDate) || toDate(invoice.createdAt);
+  return issued ? new Date(issued.getTime() + termsDays(invoice.paymentTerms) * DAY_MS) : null;
+}
+
+const priorityOf = (invoice, supplier) => {
+  const p = invoice.paymentPriority || (supplier && supplier.paymentPriority) || 'normal';
+  return PRIORITY_RANK[p] ?? PRIORITY_RANK.normal;
+};
+
+const isOpen = (invoice) => invoice.paymentStatus !== 'paid' && outstanding(invoice) > 0;
+
+/**
+ * Spread `amount` over a supplier's invoices → { allocations, unapplied } or
+ * { error }. With `requested` ([{ invoiceId, amount }]) exactly those
+ * amounts are applied; otherwise the oldest due invoices are paid first.
+ * Invoices on payment hold are only paid when asked for by id and
+ * `allowHeld` is set.
+ */
+function allocate(amount, invoices, requested = null, { allowHeld = false } = {}) {
+  const total = round2(Number(amount) || 0);
+  if (!(total > 0)) return { error: 'amount must be greater than zero' };
+  const byId = {};
+  (invoices || []).forEach(inv => { byId[inv.id] = inv; });
+  const allocations = [];
+
+  if (Array.isArray(requested) && requested.length > 0) {
+    for (const r of requested) {
+      const inv = byId[r.invoiceId];
+      const value = round2(Number(r.amount) || 0);
+      if (!inv) return { error: `Invoice ${r.invoiceId} is not an open invoice of this supplier` };
+      if (inv.paymentHold === true && !allowHeld) return { error: `Invoice ${inv.invoiceNumber || inv.id} is on payment hold` };
+      if (!(value > 0) || value > outstanding(inv) + 0.01) {
+        return { error: `Amount for invoice ${inv.invoiceNumber || inv.id} must be between 0 and its balance of ${outstanding(inv)}` };
+      }
+      allocations.push({ invoiceId: inv.id, invoiceNumber: inv.invoiceNumber || '', amount: value });
+    }
+  } else {
+    let left = total;
+    const queue = (invoices || [])
+      .filter(inv => isOpen(inv) && inv.paymentHold !== true)
+      .sort((a, b) => (dueDateOf(a) || 0) - (dueDateOf(b) || 0));
+    for (const inv of queue) {
+      if (left <= 0) break;
+      const value = round2(Math.min(left, outstanding(inv)));
+      allocations.push({ invoiceId: inv.id, invoiceNumber: inv.invoiceNumber || '', amount: value });
+      left = round2(left - value);
+    }
+  }
+
+  const applied = round2(allocations.reduce((s, a) => s + a.amount, 0));
+  if (applied > total + 0.01) return { error: `Allocations (${applied}) exceed the payment (${total})` };
+  return { allocations, unapplied: round2(total - applied) };
+}
+
+/** Invoice fields after `paid` more is applied to it (negative to undo). */
+function paymentFields(invoice, paid) {
+  const paidAmount = round2(Math.max(0, (Number(invoice.paidAmount) || 0) + paid));
+  const balance = outstanding({ ...invoice, paidAmount });
+  const paymentStatus = balance <= 0.01 ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
+  const fields = { paidAmount, paymentStatus };
+  if (paymentStatus === 'paid') fields.status = 'paid';
+  else if (invoice.status === 'paid') fields.status = invoice.matchStatus === 'matched' ? 'matched' : 'pending';
+  return fields;
+}
+
+/**
+ * AP ageing by days since the invoice date →
+ * { totals, suppliers: [{ supplierId, supplierName, buckets, total, overdue, advance, net }] }.
+ * `payments` contribute their unapplied advances.
+ */
+function apAgeing(invoices, payments = [], { now = new Date(), suppliersById = {} } = {}) {
+  const emptyBuckets = () => AGEING_BUCKETS.reduce((b, x) => ({ ...b, [x.key]: 0 }), {});
+  const rows = {};
+  const row = (supplierId, fallbackName) => {
+    const id = supplierId || 'unknown';
+    if (!rows[id]) {
+      rows[id] = {
+        supplierId: id,
+        supplierName: (suppliersById[id] && suppliersById[id].name) || fallbackName || 'Unknown',
+        buckets: emptyBuckets(),
+        total: 0,
+        overdue: 0,
+        advance: 0,
+        invoices: 0,
+      };
+    }
+    return rows[id];
+  };
+
+  (invoices || []).filter(isOpen).forEach(inv => {
+    const balance = outstanding(inv);
+    const issued = toDate(inv.invoiceDate) || toDate(inv.createdAt) || now;
+    const age = Math.max(0, Math.floor((now - issued) / DAY_MS));
+    const r = row(inv.supplierId, inv.supplierName);
+    const bucket = AGEING_BUCKETS.find(b => age <= b.upTo).key;
+    r.buckets[bucket] = round2(r.buckets[bucket] + balance);
+    r.total = round2(r.total + balance);
+    const due = dueDateOf(inv);
+    if (due && due < now) r.overdue = round2(r.overdue + balance);
+    r.invoices++;
+  });
+  (payments || []).forEach(p => {
+    if (p.status === 'void' || !(Number(p.unappliedAmount) > 0)) return;
+    const r = row(p.supplierId, p.supplierName);
+    r.advance = round2(r.advance + Number(p.unappliedAmount));
+  });
+
+  const suppliers = Object.values(rows)
+    .map(r => ({ ...r, net: round2(r.total - r.advance) }))
+    .sort((a, b) => b.total - a.total);
+  const totals = { buckets: emptyBuckets(), total: 0, overdue: 0, advance: 0, net: 0 };
+  suppliers.forEach(r => {
+    AGEING_BUCKETS.forEach(b => { totals.buckets[b.key] = round2(totals.buckets[b.key] + r.buckets[b.key]); });
+    ['total', 'overdue', 'advance', 'net'].forEach(k => { totals[k] = round2(totals[k] + r[k]); });
+  });
+  return { totals, suppliers };
+}
+
+/**
+ * Invoices for a payment run → { items, skipped, totalAmount }: open
+ * invoices due on or before `dueBy`, by priority then due date, until
+ * `maxAmount` (optional budget) is reached. Held invoices, and those already
+ * in another open run (`excludeInvoiceIds`), are skipped with a reason.
+ */
+function selectForRun(invoices, { dueBy, maxAmount = null, supplierIds = null, excludeInvoiceIds = [], suppliersById = {} } = {}) {
+  const cutoff = toDate(dueBy) || new Date();
+  const skipped = [];
+  const candidates = [];
+  (invoices || []).filter(isOpen).forEach(inv => {
+    if (supplierIds && supplierIds.length > 0 && !supplierIds.includes(inv.supplierId)) return;
+    const due = dueDateOf(inv);
+    if (due && due > cutoff) return;
+    if (inv.paymentHold === true) return skipped.push({ invoiceId: inv.id, invoiceNumber: inv.invoiceNumber || '', reason: 'payment_hold' });
+    if (excludeInvoiceIds.includes(inv.id)) return skipped.push({ invoiceId: inv.id, invoiceNumber: inv.invoiceNumber || '', reason: 'in_other_run' });
+    candidates.push({ inv, due, priority: priorityOf(inv, suppliersById[inv.supplierId]) });
+  });
+  candidates.sort((a, b) => a.priority - b.priority || (a.due || 0) - (b.due || 0));
+
+  const budget = Number(maxAmount) > 0 ? Number(maxAmount) : Infinity;
+  const items = [];
+  let total = 0;
+  let full = false;
+  for (const { inv, due, priority } of candidates) {
+    const amount = outstanding(inv);
+    if (full || total + amount > budget + 0.01) {
+      full = true; // keep priority order: nothing after the first that doesn't fit
+      skipped.push({ invoiceId: inv.id, invoiceNumber: inv.invoiceNumber || '', reason: 'budget' });
+      continue;
+    }
+    total = round2(total + amount);
+    items.push({
+      invoiceId: inv.id,
+      invoiceNumber: inv.invoiceNumber || '',
+      supplierId: inv.supplierId || null,
+      supplierName: (suppliersById[inv.supplierId] && suppliersById[inv.supplierId].name) || inv.supplierName || '',
+      dueDate: due,
+      priority: Object.keys(PRIORITY_RANK).find(k => PRIORITY_RANK[k] === priority),
+      amount,
+    });
+  }
+  return { items, skipped, totalAmount: total };
+}
+
+/** One transfer per supplier in a run, with the supplier's bank details. */
+function runPayees(run, suppliersById = {}) {
+  const bySupplier = {};
+  (run.items || []).forEach(i => {
+    const p = bySupplier[i.supplierId] = bySupplier[i.supplierId] || {
+      supplierId: i.supplierId,
+      supplierName: (suppliersById[i.supplierId] && suppliersById[i.supplierId].name) || i.supplierName || '',
+      bankDetails: (suppliersById[i.supplierId] && suppliersById[i.supplierId].bankDetails) || null,
+      amount: 0,
+      invoiceNumbers: [],
+    };
+    p.amount = round2(p.amount + (Number(i.amount) || 0));
+    p.invoiceNumbers.push(i.invoiceNumber || i.invoiceId);
+  });
+  return Object.values(bySupplier).map(p => ({
+    ...p,
+    missingBankDetails: !(p.bankDetails && p.bankDetails.accountNumber),
+  }));
+}
+
+function escapeCsv(value) {
+  const str = String(value ?? '');
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+const BANK_CSV_COLUMNS = ['Beneficiary Name', 'Account Number', 'IFSC / Routing Code', 'Bank Name', 'Amount', 'Currency', 'Payment Date', 'Reference', 'Narration'];
+
+/**
+ * Bulk-transfer upload file: one row per supplier. Payees without an
+ * account number are left out — check runPayees() first.
+ */
+function bankTransferCsv(run, suppliersById = {}, { currency = 'INR' } = {}) {
+  const rows = [BANK_CSV_COLUMNS.join(',')];
+  const paymentDate = toDate(run.paymentDate) || new Date();
+  runPayees(run, suppliersById).filter(p => !p.missingBankDetails).forEach(p => {
+    const bank = p.bankDetails;
+    rows.push([
+      bank.accountName || p.supplierName,
+      bank.accountNumber,
+      bank.ifsc || bank.routingCode || bank.swift || '',
+      bank.bankName || '',
+      p.amount.toFixed(2),
+      currency,
+      paymentDate.toISOString().slice(0, 10),
+      `${run.runNumber || 'RUN'}-${String(p.supplierId).slice(-6)}`,
+      `Inv ${p.invoiceNumbers.join(' ')}`.slice(0, 140),
+    ].map(escapeCsv).join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports = {
+  AGEING_BUCKETS,
+  PRIORITY_RANK,
+  termsDays,
+  dueDateOf,
+  allocate,
+  paymentFields,
+  apAgeing,
+  selectForRun,
+  runPayees,
+  bankTransferCsv,
+};
@@ -0,0 +1,107 @@
+const payables = require('./payables');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const invoices = [
+  { id: 'i1', invoiceNumber: 'A-1', supplierId: 's1', invoiceDate: day('2026-07-01'), dueDate: day('2026-07-31'), totalAmount: 1000 },
+  { id: 'i2', invoiceNumber: 'A-2', supplierId: 's1', invoiceDate: day('2026-09-25'), paymentTerms: 'Net 15', totalAmount: 600, paidAmount: 100 },
+  { id: 'i3', invoiceNumber: 'B-1', supplierId: 's2', invoiceDate: day('2026-10-10'), dueDate: day('2026-10-17'), totalAmount: 800, paymentHold: true },
+  { id: 'i4', invoiceNumber: 'B-2', supplierId: 's2', invoiceDate: day('2026-10-01'), dueDate: day('2026-11-30'), totalAmount: 300 },
+  { id: 'i5', invoiceNumber: 'B-0', supplierId: 's2', invoiceDate: day('2026-06-01'), totalAmount: 200, paymentStatus: 'paid', paidAmount: 200 },
+];
+const suppliersById = {
+  s1: { name: 'Fresh Farms', bankDetails: { accountNumber: '0012345', ifsc: 'HDFC0000123', bankName: 'HDFC' } },
+  s2: { name: 'Dairy Co', paymentPriority: 'high' },
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// Terms & allocation
+// ═══════════════════════════════════════════════════════════════════
+
+describe('termsDays / dueDateOf', () => {
+  test('reads days from free-text terms', () => {
+    expect(payables.termsDays('Net 45')).toBe(45);
+    expect(payables.termsDays('COD')).toBe(0);
+    expect(payables.termsDays('')).toBe(30);
+    expect(payables.dueDateOf(invoices[1])).toEqual(day('2026-10-10'));
+  });
+});
+
+describe('allocate / paymentFields', () => {
+  test('pays the oldest due invoices first and keeps the rest as an advance', () => {
+    const open = invoices.filter(i => i.supplierId === 's1');
+    expect(payables.allocate(1200, open)).toEqual({
+      allocations: [{ invoiceId: 'i1', invoiceNumber: 'A-1', amount: 1000 }, { invoiceId: 'i2', invoiceNumber: 'A-2', amount: 200 }],
+      unapplied: 0,
+    });
+    expect(payables.allocate(2000, open).unapplied).toBe(500);
+  });
+
+  test('explicit allocations are checked against balances and holds', () => {
+    const s2 = invoices.filter(i => i.supplierId === 's2');
+    expect(payables.allocate(300, s2, [{ invoiceId: 'i4', amount: 300 }])).toMatchObject({ unapplied: 0 });
+    expect(payables.allocate(400, s2, [{ invoiceId: 'i4', amount: 400 }]).error).toMatch(/balance of 300/);
+    expect(payables.allocate(800, s2, [{ invoiceId: 'i3', amount: 800 }]).error).toMatch(/payment hold/);
+    expect(payables.allocate(800, s2, [{ invoiceId: 'i3', amount: 800 }], { allowHeld: true }).unapplied).toBe(0);
+    expect(payables.allocate(0, s2).error).toMatch(/greater than zero/);
+  });
+
+  test('invoice status follows the balance, net of debit notes', () => {
+    expect(payables.paymentFields(invoices[1], 500)).toEqual({ paidAmount: 600, paymentStatus: 'paid', status: 'paid' });
+    expect(payables.paymentFields({ totalAmount: 1000, debitNote: { amount: 200, status: 'pending' } }, 800).paymentStatus).toBe('paid');
+    expect(payables.paymentFields({ totalAmount: 1000, paidAmount: 1000, status: 'paid', matchStatus: 'matched' }, -400))
+      .toEqual({ paidAmount: 600, paymentStatus: 'partial', status: 'matched' });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Ageing & payment runs
+// ═══════════════════════════════════════════════════════════════════
+
+describe('apAgeing', () => {
+  test('buckets balances by invoice age and nets off advances', () => {
+    const report = payables.apAgeing(invoices, [{ supplierId: 's1', unappliedAmount: 250 }, { supplierId: 's1', unappliedAmount: 99, status: 'void' }], { now, suppliersById });
+    const s1 = report.suppliers.find(s => s.supplierId === 's1');
+    expect(s1).toMatchObject({ supplierName: 'Fresh Farms', total: 1500, overdue: 1500, advance: 250, net: 1250, invoices: 2 });
+    expect(s1.buckets).toEqual({ '0-30': 500, '31-60': 0, '61-90': 0, '90+': 1000 });
+    expect(report.totals).toMatchObject({ total: 2600, overdue: 2300, advance: 250, net: 2350 });
+    expect(report.totals.buckets['0-30']).toBe(1600);
+  });
+});
+
+describe('selectForRun', () => {
+  test('due invoices by priority then due date, held ones skipped', () => {
+    const run = payables.selectForRun(invoices, { dueBy: now, suppliersById });
+    expect(run.items.map(i => i.invoiceId)).toEqual(['i1', 'i2']);
+    expect(run.totalAmount).toBe(1500);
+    expect(run.skipped).toEqual([{ invoiceId: 'i3', invoiceNumber: 'B-1', reason: 'payment_hold' }]);
+  });
+
+  test('high-priority suppliers go first and the budget stops the run', () => {
+    const run = payables.selectForRun(invoices, { dueBy: day('2026-12-01'), maxAmount: 1400, suppliersById, excludeInvoiceIds: ['i2'] });
+    expect(run.items.map(i => [i.invoiceId, i.priority])).toEqual([['i4', 'high'], ['i1', 'normal']]);
+    expect(run.skipped.map(s => s.reason)).toEqual(['in_other_run', 'payment_hold']);
+    expect(payables.selectForRun(invoices, { dueBy: day('2026-12-01'), maxAmount: 200, suppliersById }).items).toEqual([]);
+  });
+});
+
+describe('runPayees / bankTransferCsv', () => {
+  const run = {
+    runNumber: 'PR-2026-0001',
+    paymentDate: day('2026-10-20'),
+    items: [
+      { invoiceId: 'i1', invoiceNumber: 'A-1', supplierId: 's1', amount: 1000 },
+      { invoiceId: 'i2', invoiceNumber: 'A-2', supplierId: 's1', amount: 500 },
+      { invoiceId: 'i4', invoiceNumber: 'B-2', supplierId: 's2', amount: 300 },
+    ],
+  };
+
+  test('one transfer per supplier; payees without an account are flagged and left out', () => {
+    expect(payables.runPayees(run, suppliersById).map(p => [p.supplierId, p.amount, p.missingBankDetails])).toEqual([['s1', 1500, false], ['s2', 300, true]]);
+    expect(payables.bankTransferCsv(run, suppliersById).split('\n')).toEqual([
+      'Beneficiary Name,Account Number,IFSC / Routing Code,Bank Name,Amount,Currency,Payment Date,Reference,Narration',
+      'Fresh Farms,0012345,HDFC0000123,HDFC,1500.00,INR,2026-10-20,PR-2026-0001-s1,Inv A-1 A-2',
+      '',
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Accounting-period helpers: month bounds, lock lookups and the adjusting
+ * lines needed when a source changes after its period was closed.
+ * Pure functions — no DB, no I/O.
+ */
+
+const { dateBoundsInTZ } = require('../utils/timezone');
+const { normalizeLines, entryLines } = require('./postingRules');
+const { toDate } = require('../utils/dates');
+
+const PERIOD_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function isValidPeriod(period) {
+  return PERIOD_RE.test(period || '');
+}
+
+/**
+ * UTC bounds of a 'YYYY-MM' month in the restaurant's timezone.
+ * tzOffset follows getTimezoneOffset() (IST = -330); omitted → UTC.
+ */
+function periodBounds(period, tzOffset = 0) {
+  const [y, m] = period.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const mm = String(m).padStart(2, '0');
+  return {
+    start: dateBoundsInTZ(`${y}-${mm}-01`, tzOffset || 0).start,
+    end: dateBoundsInTZ(`${y}-${mm}-${String(lastDay).padStart(2, '0')}`, tzOffset || 0).end,
+  };
+}
+
+/**
+ * The closed period containing `date`, or null.
+ * @param {Array} periods - [{ period, status, start, end }]
+ */
+function findClosedPeriod(date, periods) {
+  const d = toDate(date);
+  if (!d) return null;
+  return periods.find(p => {
+    if (p.status !== 'closed') return false;
+    const start = toDate(p.start);
+    const end = toDate(p.end);
+    return start && end && d >= start && d <= end;
+  }) || null;
+}
+
+/**
+ * Lines that take the ledger from what is already locked to what the source
+ * now says: desired − Σ locked. Empty when nothing changed.
+ */
+function adjustmentLines(desiredLines, lockedEntries) {
+  const negated = [];
+  for (const entry of lockedEntries) {
+    for (const l of entryLines(entry)) {
+      negated.push({ accountCode: l.accountCode, debit: l.credit || 0, credit: l.debit || 0 });
+    }
+  }
+  return normalizeLines([...(desiredLines || []), ...negated]);
+}
+
+module.exports = {
+  isValidPeriod,
+  periodBounds,
+  findClosedPeriod,
+  adjustmentLines,
+};
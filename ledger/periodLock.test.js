@@ -0,0 +1,94 @@
+const {
+  isValidPeriod,
+  periodBounds,
+  findClosedPeriod,
+  adjustmentLines
+} = require('./periodLock');
+
+// ═══════════════════════════════════════════════════════════════════
+// periodBounds
+// ═══════════════════════════════════════════════════════════════════
+
+describe('periodBounds', () => {
+  test('covers the whole month in UTC by default', () => {
+    const { start, end } = periodBounds('2026-02');
+    expect(start.toISOString()).toBe('2026-02-01T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-02-28T23:59:59.999Z');
+  });
+
+  test('follows the restaurant timezone (IST)', () => {
+    const { start, end } = periodBounds('2026-04', -330);
+    expect(start.toISOString()).toBe('2026-03-31T18:30:00.000Z');
+    expect(end.toISOString()).toBe('2026-04-30T18:29:59.999Z');
+  });
+
+  test('validates YYYY-MM', () => {
+    expect(isValidPeriod('2026-12')).toBe(true);
+    expect(isValidPeriod('2026-13')).toBe(false);
+    expect(isValidPeriod('26-01')).toBe(false);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// findClosedPeriod
+// ═══════════════════════════════════════════════════════════════════
+
+describe('findClosedPeriod', () => {
+  const periods = [
+    { period: '2026-03', status: 'closed', ...periodBounds('2026-03') },
+    { period: '2026-04', status: 'open', ...periodBounds('2026-04') }
+  ];
+
+  test('finds the closed period containing a date', () => {
+    expect(findClosedPeriod(new Date('2026-03-15T10:00:00Z'), periods).period).toBe('2026-03');
+  });
+
+  test('ignores reopened periods and dates outside', () => {
+    expect(findClosedPeriod(new Date('2026-04-02T10:00:00Z'), periods)).toBeNull();
+    expect(findClosedPeriod(new Date('2026-05-02T10:00:00Z'), periods)).toBeNull();
+  });
+
+  test('accepts Firestore timestamps', () => {
+    const ts = { toDate: () => new Date('2026-03-31T23:00:00Z') };
+    expect(findClosedPeriod(ts, periods).period).toBe('2026-03');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// adjustmentLines
+// ═══════════════════════════════════════════════════════════════════
+
+describe('adjustmentLines', () => {
+  const locked = [{
+    lines: [
+      { accountCode: '1000', debit: 105, credit: 0 },
+      { accountCode: '4000', debit: 0, credit: 100 },
+      { accountCode: '2010', debit: 0, credit: 5 }
+    ]
+  }];
+
+  test('is empty when nothing changed', () => {
+    expect(adjustmentLines(locked[0].lines, locked)).toEqual([]);
+  });
+
+  test('posts only the difference', () => {
+    const desired = [
+      { accountCode: '1010', debit: 105, credit: 0 },
+      { accountCode: '4000', debit: 0, credit: 100 },
+      { accountCode: '2010', debit: 0, credit: 5 }
+    ];
+    expect(adjustmentLines(desired, locked)).toEqual([
+      { accountCode: '1010', debit: 105, credit: 0 },
+      { accountCode: '1000', debit: 0, credit: 105 }
+    ]);
+  });
+
+  test('fully offsets a withdrawn posting', () => {
+    const lines = adjustmentLines([], locked);
+    expect(lines).toEqual([
+      { accountCode: '1000', debit: 0, credit: 105 },
+      { accountCode: '4000', debit: 100, credit: 0 },
+      { accountCode: '2010', debit: 5, credit: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,455 @@
+/**
+ * Pure double-entry posting rules: turn source documents (orders, GRNs,
+ * supplier invoices, expenses, payroll runs, deposits) into balanced journal lines.
+ * These functions have ZERO side effects — no DB, no I/O.
+ *
+ * services/ledgerPostingService.js persists what these return.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const {
+  ACCOUNTS,
+  getPaymentAccount,
+  getDisbursementAccount,
+  getRevenueAccount,
+  getExpenseAccount,
+} = require('./accounts');
+const { toDate } = require('../utils/dates');
+
+// Statuses that represent a settled sale
+const POSTABLE_ORDER_STATUSES = ['completed', 'paid', 'settled', 'refunded'];
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function num(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? 0 : n;
+}
+
+/**
+ * Round, flip negative amounts to the opposite side, merge repeated accounts
+ * and drop zero lines.
+ */
+function normalizeLines(lines) {
+  const byAccount = new Map();
+  for (const l of lines) {
+    const net = num(l.debit) - num(l.credit);
+    const key = l.accountCode;
+    if (!byAccount.has(key)) byAccount.set(key, { accountCode: key, net: 0, memo: l.memo || null });
+    byAccount.get(key).net += net;
+  }
+  const out = [];
+  for (const { accountCode, net, memo } of byAccount.values()) {
+    const amt = round2(Math.abs(net));
+    if (amt === 0) continue;
+    out.push({
+      accountCode,
+      debit: net > 0 ? amt : 0,
+      credit: net < 0 ? amt : 0,
+      ...(memo ? { memo } : {}),
+    });
+  }
+  return out;
+}
+
+function sumLines(lines) {
+  const totalDebit = round2(lines.reduce((s, l) => s + num(l.debit), 0));
+  const totalCredit = round2(lines.reduce((s, l) => s + num(l.credit), 0));
+  return { totalDebit, totalCredit, difference: round2(totalDebit - totalCredit) };
+}
+
+function isBalanced(lines) {
+  return Math.abs(sumLines(lines).difference) < 0.01;
+}
+
+/**
+ * Lines of a journal entry. Legacy manual entries store a single
+ * debitAccount/creditAccount pair with one amount.
+ */
+function entryLines(entry) {
+  if (Array.isArray(entry.lines) && entry.lines.length > 0) return entry.lines;
+  const amt = num(entry.amount);
+  if (!entry.debitAccount || !entry.creditAccount || !amt) return [];
+  return [
+    { accountCode: entry.debitAccount, accountName: entry.debitAccountName || '', debit: amt, credit: 0 },
+    { accountCode: entry.creditAccount, accountName: entry.creditAccountName || '', debit: 0, credit: amt },
+  ];
+}
+
+/**
+ * Validate the lines of a manual compound entry.
+ * @param {Array} lines - [{ accountCode, debit, credit, memo }]
+ * @returns {{ valid: boolean, error?: string, lines?: Array }}
+ */
+function validateEntryLines(lines) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    return { valid: false, error: 'A journal entry needs at least two lines' };
+  }
+  const clean = [];
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i] || {};
+    const debit = round2(num(l.debit));
+    const credit = round2(num(l.credit));
+    if (!l.accountCode) {
+      return { valid: false, error: `Line #${i + 1} is missing accountCode` };
+    }
+    if (debit < 0 || credit < 0) {
+      return { valid: false, error: `Line #${i + 1} has a negative amount` };
+    }
+    if ((debit > 0) === (credit > 0)) {
+      return { valid: false, error: `Line #${i + 1} must have either a debit or a credit amount` };
+    }
+    clean.push({ accountCode: String(l.accountCode), debit, credit, ...(l.memo ? { memo: String(l.memo) } : {}) });
+  }
+  if (!clean.some(l => l.debit > 0) || !clean.some(l => l.credit > 0)) {
+    return { valid: false, error: 'A journal entry needs at least one debit and one credit line' };
+  }
+  const { totalDebit, totalCredit, difference } = sumLines(clean);
+  if (Math.abs(difference) >= 0.01) {
+    return { valid: false, error: `Debits (${totalDebit}) and credits (${totalCredit}) must balance` };
+  }
+  return { valid: true, lines: clean };
+}
+
+// ── Sales ─────────────────────────────────────────────────────────
+
+/**
+ * Payments received against an order, as [{ method, amount }].
+ * Anything not covered by a payment is left owed (Accounts Receivable).
+ */
+function getOrderPayments(order) {
+  const finalAmount = num(order.finalAmount || order.totalAmount);
+  let payments;
+  if (Array.isArray(order.splitPayments) && order.splitPayments.length > 0) {
+    payments = order.splitPayments.map(sp => ({ method: sp.method, amount: num(sp.amount) }));
+  } else {
+    const paid = (order.paidAmount !== null && order.paidAmount !== undefined) ? num(order.paidAmount) : finalAmount;
+    payments = [{ method: order.paymentMethod === 'split' ? 'cash' : order.paymentMethod, amount: paid }];
+  }
+  payments = payments.filter(p => p.amount > 0);
+  const collected = round2(payments.reduce((s, p) => s + p.amount, 0));
+  const outstanding = round2(finalAmount - collected);
+  if (outstanding > 0) payments.push({ method: 'due', amount: outstanding });
+  return payments;
+}
+
+/**
+ * Date a sale is booked on. Deliberately not updatedAt, so later edits keep
+ * the sale in its original period.
+ */
+function orderPostingDate(order) {
+  return toDate(order.completedAt) || toDate(order.createdAt) || new Date();
+}
+
+/**
+ * Sale: Dr payment accounts + discounts / Cr revenue, GST, service charge,
+ * tips and round-off. Revenue is the balancing figure so rounding drift in
+ * the stored order never leaves the entry unbalanced.
+ */
+function buildOrderEntry(order) {
+  if (!order || !POSTABLE_ORDER_STATUSES.includes(order.status)) return null;
+  const finalAmount = num(order.finalAmount || order.totalAmount);
+  if (finalAmount <= 0) return null;
+
+  const discount = num(order.totalDiscountAmount || order.discountAmount);
+  const tax = num(order.taxAmount);
+  const serviceCharge = num(order.serviceChargeAmount);
+  const tip = num(order.tipAmount);
+  const roundOff = num(order.roundOffAmount);
+  const revenue = finalAmount + discount - tax - serviceCharge - tip - roundOff;
+
+  const lines = [];
+  for (const p of getOrderPayments(order)) {
+    lines.push({ accountCode: getPaymentAccount(p.method), debit: p.amount, credit: 0 });
+  }
+  lines.push({ accountCode: ACCOUNTS.DISCOUNTS, debit: discount, credit: 0 });
+  lines.push({ accountCode: getRevenueAccount(order.orderType), debit: 0, credit: revenue });
+  lines.push({ accountCode: ACCOUNTS.GST_PAYABLE, debit: 0, credit: tax });
+  lines.push({ accountCode: ACCOUNTS.SERVICE_CHARGE, debit: 0, credit: serviceCharge });
+  lines.push({ accountCode: ACCOUNTS.TIPS_PAYABLE, debit: 0, credit: tip });
+  lines.push({ accountCode: ACCOUNTS.ROUND_OFF, debit: 0, credit: roundOff });
+
+  const label = order.orderNumberDisplay || order.dailyOrderId || order.orderNumber || '';
+  return {
+    date: orderPostingDate(order),
+    description: `Sale${label ? ` #${label}` : ''}`,
+    lines: normalizeLines(lines),
+  };
+}
+
+/**
+ * Partial refund: Dr Sales Returns / Cr the account the money left from.
+ * Full refunds are posted as a reversal of the sale instead.
+ */
+function buildOrderRefundEntry(order) {
+  const refund = num(order?.refundAmount);
+  if (!order || refund <= 0 || order.status === 'refunded') return null;
+  const method = order.refundMethod || (order.paymentMethod === 'split' ? 'cash' : order.paymentMethod);
+  const label = order.orderNumberDisplay || order.dailyOrderId || order.orderNumber || '';
+  return {
+    date: toDate(order.refundedAt) || new Date(),
+    description: `Refund${label ? ` #${label}` : ''}${order.refundReason ? ` — ${order.refundReason}` : ''}`,
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.REFUNDS, debit: refund, credit: 0 },
+      { accountCode: getPaymentAccount(method), debit: 0, credit: refund },
+    ]),
+  };
+}
+
+// Order statuses that undo a sale already on the books
+const ORDER_REVERSAL_STATUSES = ['refunded', 'cancelled', 'deleted'];
+
+/**
+ * Every entry one order should have right now → { sale, refund, reversal }
+ * (null where none). A cancelled or deleted order only keeps its sale, plus
+ * the reversal, when it was billed before — `salePosted` says whether the
+ * ledger already carries the sale.
+ */
+function buildOrderEntries(order, { salePosted = false } = {}) {
+  const needsReversal = ORDER_REVERSAL_STATUSES.includes(order.status);
+  const sale = needsReversal && order.status !== 'refunded'
+    ? (salePosted ? buildOrderEntry({ ...order, status: 'completed' }) : null)
+    : buildOrderEntry(order);
+  const reversal = sale && needsReversal
+    ? buildReversalEntry(sale, {
+      date: toDate(order.refundedAt) || toDate(order.cancelledAt) || toDate(order.deletedAt) || toDate(order.updatedAt) || new Date(),
+      description: `Reversal: ${sale.description} (${order.status})`,
+    })
+    : null;
+  return { sale, refund: buildOrderRefundEntry(order), reversal };
+}
+
+// ── Deposits ──────────────────────────────────────────────────────
+
+// Deposit statuses money has been received for (billing/deposits.js)
+const RECEIVED_DEPOSIT_STATUSES = ['paid', 'applied', 'refunded', 'forfeited'];
+
+function depositLabel(deposit) {
+  return `Deposit${deposit.sourceLabel ? ` ${deposit.sourceLabel}` : ''}${deposit.customer?.name ? ` (${deposit.customer.name})` : ''}`;
+}
+
+/**
+ * Deposit received through the gateway: Dr Bank / Cr Customer Deposits.
+ * It stays a liability until it's applied to a bill, refunded or forfeited.
+ */
+function buildDepositEntry(deposit) {
+  if (!deposit || !RECEIVED_DEPOSIT_STATUSES.includes(deposit.status)) return null;
+  const amount = num(deposit.amount);
+  if (amount <= 0) return null;
+  return {
+    date: toDate(deposit.paidAt) || toDate(deposit.createdAt) || new Date(),
+    description: `${depositLabel(deposit)} received`,
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.BANK, debit: amount, credit: 0 },
+      { accountCode: ACCOUNTS.CUSTOMER_DEPOSITS, debit: 0, credit: amount },
+    ]),
+  };
+}
+
+/** Deposit (or the unused part of it) returned: Dr Customer Deposits / Cr Bank. */
+function buildDepositRefundEntry(deposit) {
+  const refund = num(deposit?.refundedAmount);
+  if (!deposit || refund <= 0) return null;
+  return {
+    date: toDate(deposit.refundedAt) || new Date(),
+    description: `${depositLabel(deposit)} refunded`,
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.CUSTOMER_DEPOSITS, debit: refund, credit: 0 },
+      { accountCode: ACCOUNTS.BANK, debit: 0, credit: refund },
+    ]),
+  };
+}
+
+/**
+ * Late-cancellation / no-show fee kept from a deposit:
+ * Dr Customer Deposits / Cr Forfeited Deposits & Cancellation Fees.
+ */
+function buildDepositForfeitEntry(deposit) {
+  const fee = num(deposit?.forfeitedAmount);
+  if (!deposit || fee <= 0) return null;
+  return {
+    date: toDate(deposit.forfeitedAt) || new Date(),
+    description: `${depositLabel(deposit)} forfeited${deposit.forfeitRule ? ` — ${deposit.forfeitRule}` : ''}`,
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.CUSTOMER_DEPOSITS, debit: fee, credit: 0 },
+      { accountCode: ACCOUNTS.FORFEITED_DEPOSITS, debit: 0, credit: fee },
+    ]),
+  };
+}
+
+/**
+ * Deposit used up by a venue / catering booking that has no order behind
+ * it: Dr Customer Deposits / Cr Sales Revenue. Deposits applied to an order
+ * bill are cleared by the sale entry's 'deposit' payment line instead.
+ */
+function buildDepositAppliedEntry(deposit) {
+  const applied = num(deposit?.appliedAmount);
+  if (!deposit || applied <= 0 || deposit.appliedOrderId) return null;
+  return {
+    date: toDate(deposit.appliedAt) || new Date(),
+    description: `${depositLabel(deposit)} applied`,
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.CUSTOMER_DEPOSITS, debit: applied, credit: 0 },
+      { accountCode: ACCOUNTS.SALES, debit: 0, credit: applied },
+    ]),
+  };
+}
+
+// ── Purchasing ────────────────────────────────────────────────────
+
+/**
+ * Goods received: Dr Inventory / Cr Goods Received Not Invoiced, valued at
+ * accepted quantity × unit price.
+ */
+function buildGrnEntry(grn) {
+  if (!grn || !Array.isArray(grn.items)) return null;
+  const value = round2(grn.items.reduce((s, i) => s + num(i.acceptedQuantity) * num(i.unitPrice), 0));
+  if (value <= 0) return null;
+  return {
+    date: toDate(grn.receivedAt) || toDate(grn.createdAt) || new Date(),
+    description: `Goods received${grn.grnNumber ? ` ${grn.grnNumber}` : ''}`,
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.INVENTORY, debit: value, credit: 0 },
+      { accountCode: ACCOUNTS.GRNI, debit: 0, credit: value },
+    ]),
+  };
+}
+
+/**
+ * Supplier invoice: Dr GRNI (or Inventory when nothing was received against
+ * a GRN) + GST Input Credit / Cr Accounts Payable.
+ */
+function buildSupplierInvoiceEntry(invoice) {
+  if (!invoice) return null;
+  const total = num(invoice.totalAmount);
+  if (total <= 0) return null;
+  const tax = num(invoice.taxAmount);
+  const goods = total - tax;
+  return {
+    date: toDate(invoice.invoiceDate) || toDate(invoice.createdAt) || new Date(),
+    description: `Supplier invoice ${invoice.invoiceNumber || ''}`.trim(),
+    lines: normalizeLines([
+      { accountCode: invoice.grnId ? ACCOUNTS.GRNI : ACCOUNTS.INVENTORY, debit: goods, credit: 0 },
+      { accountCode: ACCOUNTS.GST_INPUT, debit: tax, credit: 0 },
+      { accountCode: ACCOUNTS.PAYABLE, debit: 0, credit: total },
+    ]),
+  };
+}
+
+/**
+ * Supplier payment: Dr Accounts Payable / Cr Cash or Bank. An advance
+ * (unapplied part) is posted the same way and sits as a debit on Payable
+ * until invoices absorb it. Voided payments post nothing (the earlier entry
+ * is reversed).
+ */
+function buildSupplierPaymentEntry(payment) {
+  if (!payment || payment.status === 'void') return null;
+  const amount = num(payment.amount);
+  if (amount <= 0) return null;
+  const method = String(payment.method || '').toLowerCase();
+  return {
+    date: toDate(payment.paymentDate) || toDate(payment.createdAt) || new Date(),
+    description: `Supplier payment ${payment.paymentNumber || ''}${payment.supplierName ? ` to ${payment.supplierName}` : ''}`.replace(/\s+/g, ' ').trim(),
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.PAYABLE, debit: amount, credit: 0 },
+      { accountCode: method === 'cash' ? ACCOUNTS.CASH : ACCOUNTS.BANK, debit: 0, credit: amount },
+    ]),
+  };
+}
+
+// ── Expenses & payroll ────────────────────────────────────────────
+
+/**
+ * Expense: Dr expense account (explicit accountCode or mapped from category)
+ * / Cr Cash, Bank or Accounts Payable depending on how it was paid.
+ */
+function buildExpenseEntry(expense) {
+  const amount = num(expense?.amount);
+  if (!expense || amount <= 0) return null;
+  return {
+    date: toDate(expense.date) || toDate(expense.createdAt) || new Date(),
+    description: `Expense: ${expense.description || expense.category || 'expense'}${expense.vendor ? ` (${expense.vendor})` : ''}`,
+    lines: normalizeLines([
+      { accountCode: expense.accountCode || getExpenseAccount(expense.category), debit: amount, credit: 0 },
+      { accountCode: getDisbursementAccount(expense.paymentMethod), debit: 0, credit: amount },
+    ]),
+  };
+}
+
+/**
+ * Paid payroll run: Dr Salaries & Wages (gross after LOP/overtime)
+ * / Cr Bank (net pay) + Payroll Deductions Payable (PF, tax, …).
+ * Pooled tips paid out with the run clear Tips Payable instead of being
+ * booked as wages — they were credited there when the orders were paid.
+ */
+function buildPayrollEntry(run, slips = []) {
+  if (!run || run.status !== 'paid') return null;
+  let net = 0, deductions = 0, tips = 0;
+  if (slips.length > 0) {
+    for (const s of slips) {
+      net += num(s.netPay);
+      deductions += Object.values(s.deductions || {}).reduce((sum, v) => sum + num(v), 0);
+      tips += num(s.tips);
+    }
+  } else {
+    net = num(run.totalNet);
+    deductions = num(run.totalDeductions);
+    tips = num(run.totalTips);
+  }
+  const wages = net - tips + deductions;
+  if (wages + tips <= 0) return null;
+  return {
+    date: toDate(run.paidDate) || new Date(),
+    description: `Payroll ${run.month || ''}`.trim(),
+    lines: normalizeLines([
+      { accountCode: ACCOUNTS.SALARIES, debit: wages, credit: 0 },
+      { accountCode: ACCOUNTS.TIPS_PAYABLE, debit: tips, credit: 0 },
+      { accountCode: ACCOUNTS.BANK, debit: 0, credit: net },
+      { accountCode: ACCOUNTS.PAYROLL_DEDUCTIONS, debit: 0, credit: deductions },
+    ]),
+  };
+}
+
+// ── Reversals ─────────────────────────────────────────────────────
+
+/**
+ * Mirror image of an entry (debits ↔ credits).
+ */
+function buildReversalEntry(entry, { date, description } = {}) {
+  if (!entry) return null;
+  return {
+    date: date || new Date(),
+    description: description || `Reversal: ${entry.description || ''}`.trim(),
+    lines: entryLines(entry).map(l => ({
+      accountCode: l.accountCode,
+      debit: num(l.credit),
+      credit: num(l.debit),
+      ...(l.memo ? { memo: l.memo } : {}),
+    })),
+  };
+}
+
+module.exports = {
+  POSTABLE_ORDER_STATUSES,
+  ORDER_REVERSAL_STATUSES,
+  normalizeLines,
+  sumLines,
+  isBalanced,
+  entryLines,
+  validateEntryLines,
+  getOrderPayments,
+  orderPostingDate,
+  buildOrderEntry,
+  buildOrderRefundEntry,
+  buildOrderEntries,
+  buildDepositEntry,
+  buildDepositRefundEntry,
+  buildDepositForfeitEntry,
+  buildDepositAppliedEntry,
+  buildGrnEntry,
+  buildSupplierInvoiceEntry,
+  buildSupplierPaymentEntry,
+  buildExpenseEntry,
+  buildPayrollEntry,
+  buildReversalEntry,
+};
@@ -0,0 +1,317 @@
+const {
+  normalizeLines,
+  isBalanced,
+  entryLines,
+  validateEntryLines,
+  getOrderPayments,
+  buildOrderEntry,
+  buildOrderRefundEntry,
+  buildOrderEntries,
+  buildDepositEntry,
+  buildDepositRefundEntry,
+  buildDepositForfeitEntry,
+  buildDepositAppliedEntry,
+  buildGrnEntry,
+  buildSupplierInvoiceEntry,
+  buildSupplierPaymentEntry,
+  buildExpenseEntry,
+  buildPayrollEntry,
+  buildReversalEntry
+} = require('./postingRules');
+
+const lineFor = (entry, code) => entry.lines.find(l => l.accountCode === code);
+
+// ═══════════════════════════════════════════════════════════════════
+// normalizeLines / entryLines
+// ═══════════════════════════════════════════════════════════════════
+
+describe('normalizeLines', () => {
+  test('merges repeated accounts and drops zero lines', () => {
+    const lines = normalizeLines([
+      { accountCode: '1000', debit: 50, credit: 0 },
+      { accountCode: '1000', debit: 25.005, credit: 0 },
+      { accountCode: '4090', debit: 0, credit: 0 },
+      { accountCode: '4000', debit: 0, credit: 75 }
+    ]);
+    expect(lines).toEqual([
+      { accountCode: '1000', debit: 75.01, credit: 0 },
+      { accountCode: '4000', debit: 0, credit: 75 }
+    ]);
+  });
+
+  test('flips negative amounts to the opposite side', () => {
+    const lines = normalizeLines([{ accountCode: '4040', debit: 0, credit: -0.4 }]);
+    expect(lines).toEqual([{ accountCode: '4040', debit: 0.4, credit: 0 }]);
+  });
+});
+
+describe('entryLines', () => {
+  test('expands legacy single debit/credit entries', () => {
+    const lines = entryLines({ debitAccount: '6000', creditAccount: '1010', amount: 1200 });
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ accountCode: '6000', debit: 1200, credit: 0 });
+    expect(lines[1]).toMatchObject({ accountCode: '1010', debit: 0, credit: 1200 });
+  });
+
+  test('returns stored lines for compound entries', () => {
+    const stored = [{ accountCode: '1000', debit: 10, credit: 0 }, { accountCode: '4000', debit: 0, credit: 10 }];
+    expect(entryLines({ lines: stored })).toBe(stored);
+  });
+});
+
+describe('validateEntryLines', () => {
+  test('accepts a balanced compound entry', () => {
+    const result = validateEntryLines([
+      { accountCode: '1000', debit: 600 },
+      { accountCode: '1010', debit: 450 },
+      { accountCode: '4090', debit: 50 },
+      { accountCode: '4000', credit: 1000 },
+      { accountCode: '2010', credit: 100, memo: 'GST 10%' }
+    ]);
+    expect(result.valid).toBe(true);
+    expect(result.lines).toHaveLength(5);
+    expect(result.lines[4]).toEqual({ accountCode: '2010', debit: 0, credit: 100, memo: 'GST 10%' });
+  });
+
+  test('rejects unbalanced entries', () => {
+    const result = validateEntryLines([
+      { accountCode: '1000', debit: 100 },
+      { accountCode: '4000', credit: 90 }
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/must balance/);
+  });
+
+  test('rejects lines with both or neither side', () => {
+    expect(validateEntryLines([
+      { accountCode: '1000', debit: 100, credit: 100 },
+      { accountCode: '4000', credit: 0 }
+    ]).valid).toBe(false);
+  });
+
+  test('requires at least two lines and an account on each', () => {
+    expect(validateEntryLines([{ accountCode: '1000', debit: 1 }]).valid).toBe(false);
+    expect(validateEntryLines([{ debit: 1 }, { accountCode: '4000', credit: 1 }]).error).toMatch(/accountCode/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Sales
+// ═══════════════════════════════════════════════════════════════════
+
+describe('getOrderPayments', () => {
+  test('uses split payments when present', () => {
+    const payments = getOrderPayments({
+      finalAmount: 500,
+      paymentMethod: 'split',
+      splitPayments: [{ method: 'cash', amount: 200 }, { method: 'upi', amount: 300 }]
+    });
+    expect(payments).toEqual([{ method: 'cash', amount: 200 }, { method: 'upi', amount: 300 }]);
+  });
+
+  test('leaves unpaid balance as due', () => {
+    const payments = getOrderPayments({ finalAmount: 500, paymentMethod: 'card', paidAmount: 100 });
+    expect(payments).toEqual([{ method: 'card', amount: 100 }, { method: 'due', amount: 400 }]);
+  });
+});
+
+describe('buildOrderEntry', () => {
+  const order = {
+    status: 'completed',
+    orderType: 'dine-in',
+    orderNumber: 'ORD-1',
+    subtotal: 1000,
+    totalDiscountAmount: 100,
+    taxAmount: 45,
+    serviceChargeAmount: 90,
+    tipAmount: 50,
+    roundOffAmount: -0.4,
+    finalAmount: 1084.6,
+    paymentMethod: 'split',
+    splitPayments: [{ method: 'cash', amount: 584.6 }, { method: 'card', amount: 500 }],
+    createdAt: new Date('2026-04-01T10:00:00Z')
+  };
+
+  test('splits payments, tax, discount, tips and service charge into a balanced entry', () => {
+    const entry = buildOrderEntry(order);
+    expect(isBalanced(entry.lines)).toBe(true);
+    expect(lineFor(entry, '1000').debit).toBe(584.6);
+    expect(lineFor(entry, '1010').debit).toBe(500);
+    expect(lineFor(entry, '4090').debit).toBe(100);
+    expect(lineFor(entry, '2010').credit).toBe(45);
+    expect(lineFor(entry, '4030').credit).toBe(90);
+    expect(lineFor(entry, '2030').credit).toBe(50);
+    expect(lineFor(entry, '4040').debit).toBe(0.4);
+    expect(lineFor(entry, '4000').credit).toBe(1000);
+  });
+
+  test('credits delivery revenue for delivery orders', () => {
+    const entry = buildOrderEntry({ status: 'completed', orderType: 'delivery', finalAmount: 200, paymentMethod: 'upi' });
+    expect(lineFor(entry, '4010').credit).toBe(200);
+  });
+
+  test('skips unsettled or zero-value orders', () => {
+    expect(buildOrderEntry({ ...order, status: 'confirmed' })).toBeNull();
+    expect(buildOrderEntry({ status: 'completed', finalAmount: 0 })).toBeNull();
+  });
+});
+
+describe('buildOrderRefundEntry', () => {
+  test('posts partial refunds against the original payment account', () => {
+    const entry = buildOrderRefundEntry({ status: 'completed', paymentMethod: 'cash', refundAmount: 120 });
+    expect(lineFor(entry, '4095').debit).toBe(120);
+    expect(lineFor(entry, '1000').credit).toBe(120);
+  });
+
+  test('leaves full refunds to the sale reversal', () => {
+    expect(buildOrderRefundEntry({ status: 'refunded', refundAmount: 500 })).toBeNull();
+  });
+});
+
+describe('buildReversalEntry', () => {
+  test('swaps debits and credits', () => {
+    const sale = buildOrderEntry({ status: 'completed', finalAmount: 105, taxAmount: 5, paymentMethod: 'cash' });
+    const reversal = buildReversalEntry(sale);
+    expect(isBalanced(reversal.lines)).toBe(true);
+    expect(lineFor(reversal, '1000').credit).toBe(105);
+    expect(lineFor(reversal, '2010').debit).toBe(5);
+    expect(lineFor(reversal, '4000').debit).toBe(100);
+  });
+});
+
+describe('buildOrderEntries', () => {
+  const billed = { status: 'completed', finalAmount: 105, taxAmount: 5, paymentMethod: 'cash', orderNumber: 'ORD-9' };
+
+  test('a deleted completed order keeps its sale and gets a reversal', () => {
+    const deletedAt = new Date('2026-04-02T09:00:00Z');
+    const { sale, refund, reversal } = buildOrderEntries({ ...billed, status: 'deleted', lastStatus: 'completed', deletedAt }, { salePosted: true });
+    expect(lineFor(sale, '1000').debit).toBe(105);
+    expect(refund).toBeNull();
+    expect(reversal.date).toEqual(deletedAt);
+    expect(reversal.description).toBe('Reversal: Sale #ORD-9 (deleted)');
+    expect(lineFor(reversal, '1000').credit).toBe(105);
+    expect(lineFor(reversal, '4000').debit).toBe(100);
+  });
+
+  test('an order deleted before billing posts nothing', () => {
+    expect(buildOrderEntries({ ...billed, status: 'deleted' }, { salePosted: false })).toEqual({ sale: null, refund: null, reversal: null });
+    expect(buildOrderEntries(billed).reversal).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Deposits
+// ═══════════════════════════════════════════════════════════════════
+
+describe('deposit entries', () => {
+  const deposit = { status: 'forfeited', amount: 3000, refundedAmount: 1500, forfeitedAmount: 1500, sourceLabel: 'R-7KQ2MX', customer: { name: 'Asha' } };
+
+  test('receipt is held as a liability until settled', () => {
+    const entry = buildDepositEntry(deposit);
+    expect(entry.description).toBe('Deposit R-7KQ2MX (Asha) received');
+    expect(lineFor(entry, '1010').debit).toBe(3000);
+    expect(lineFor(entry, '2040').credit).toBe(3000);
+    expect(buildDepositEntry({ ...deposit, status: 'pending' })).toBeNull();
+  });
+
+  test('refund returns money; the fee kept moves to revenue', () => {
+    expect(lineFor(buildDepositRefundEntry(deposit), '1010').credit).toBe(1500);
+    const fee = buildDepositForfeitEntry(deposit);
+    expect(lineFor(fee, '2040').debit).toBe(1500);
+    expect(lineFor(fee, '4050').credit).toBe(1500);
+    expect(buildDepositForfeitEntry({ ...deposit, forfeitedAmount: 0 })).toBeNull();
+  });
+
+  test('applied to an order bill clears through the sale; a venue booking posts its own entry', () => {
+    const sale = buildOrderEntry({ status: 'completed', finalAmount: 4200, splitPayments: [{ method: 'deposit', amount: 3000 }, { method: 'upi', amount: 1200 }] });
+    expect(lineFor(sale, '2040').debit).toBe(3000);
+    expect(lineFor(sale, '1010').debit).toBe(1200);
+    expect(buildDepositAppliedEntry({ ...deposit, appliedAmount: 3000, appliedOrderId: 'o1' })).toBeNull();
+    expect(lineFor(buildDepositAppliedEntry({ ...deposit, appliedAmount: 3000 }), '4000').credit).toBe(3000);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Purchasing, expenses, payroll
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildGrnEntry', () => {
+  test('values accepted quantity at unit price', () => {
+    const entry = buildGrnEntry({
+      items: [
+        { acceptedQuantity: 10, unitPrice: 40 },
+        { acceptedQuantity: 2.5, unitPrice: 100, rejectedQuantity: 1 }
+      ]
+    });
+    expect(lineFor(entry, '1030').debit).toBe(650);
+    expect(lineFor(entry, '2060').credit).toBe(650);
+  });
+});
+
+describe('buildSupplierInvoiceEntry', () => {
+  test('clears GRNI when the goods were received against a GRN', () => {
+    const entry = buildSupplierInvoiceEntry({ grnId: 'g1', totalAmount: 1180, taxAmount: 180 });
+    expect(lineFor(entry, '2060').debit).toBe(1000);
+    expect(lineFor(entry, '1050').debit).toBe(180);
+    expect(lineFor(entry, '2000').credit).toBe(1180);
+  });
+
+  test('debits inventory directly without a GRN', () => {
+    const entry = buildSupplierInvoiceEntry({ totalAmount: 500, taxAmount: 0 });
+    expect(lineFor(entry, '1030').debit).toBe(500);
+  });
+});
+
+describe('buildSupplierPaymentEntry', () => {
+  test('clears Accounts Payable from the bank, or the till for cash', () => {
+    const entry = buildSupplierPaymentEntry({ amount: 2500, method: 'bank_transfer', paymentNumber: 'SP-1', supplierName: 'Fresh Farms' });
+    expect(lineFor(entry, '2000').debit).toBe(2500);
+    expect(lineFor(entry, '1010').credit).toBe(2500);
+    expect(entry.description).toBe('Supplier payment SP-1 to Fresh Farms');
+    expect(lineFor(buildSupplierPaymentEntry({ amount: 100, method: 'cash' }), '1000').credit).toBe(100);
+  });
+
+  test('voided payments post nothing', () => {
+    expect(buildSupplierPaymentEntry({ amount: 2500, status: 'void' })).toBeNull();
+  });
+});
+
+describe('buildExpenseEntry', () => {
+  test('maps category and payment method to accounts', () => {
+    const entry = buildExpenseEntry({ category: 'Electricity', amount: 3000, paymentMethod: 'upi' });
+    expect(lineFor(entry, '6010').debit).toBe(3000);
+    expect(lineFor(entry, '1010').credit).toBe(3000);
+  });
+
+  test('explicit accountCode wins over category mapping', () => {
+    const entry = buildExpenseEntry({ category: 'rent', accountCode: '6080', amount: 100, paymentMethod: 'cash' });
+    expect(lineFor(entry, '6080').debit).toBe(100);
+    expect(lineFor(entry, '1000').credit).toBe(100);
+  });
+});
+
+describe('buildPayrollEntry', () => {
+  test('books gross wages against net pay and deductions', () => {
+    const entry = buildPayrollEntry({ status: 'paid', month: '2026-04' }, [
+      { netPay: 18000, deductions: { pf: 1800, tax: 200 } },
+      { netPay: 9500, deductions: { pf: 500 } }
+    ]);
+    expect(lineFor(entry, '6020').debit).toBe(30000);
+    expect(lineFor(entry, '1010').credit).toBe(27500);
+    expect(lineFor(entry, '2050').credit).toBe(2500);
+  });
+
+  test('pooled tips paid with the run clear Tips Payable, not wages', () => {
+    const entry = buildPayrollEntry({ status: 'paid', month: '2026-10' }, [
+      { netPay: 18600, tips: 600, deductions: { pf: 1800 } },
+      { netPay: 9500, deductions: { pf: 500 } }
+    ]);
+    expect(lineFor(entry, '6020').debit).toBe(29800);
+    expect(lineFor(entry, '2030').debit).toBe(600);
+    expect(lineFor(entry, '1010').credit).toBe(28100);
+  });
+
+  test('skips runs that are not paid', () => {
+    expect(buildPayrollEntry({ status: 'approved', totalNet: 100 })).toBeNull();
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * XLSX / PDF rendering for the ledger statements. Each statement is first
+ * flattened into a document of titled tables so both formats share one layout:
+ *   { title, subtitle, tables: [{ heading, columns, rows, totals }] }
+ * Amount columns are numbers; everything else is rendered as text.
+ */
+
+const path = require('path');
+const { dateStrInTZ } = require('../utils/timezone');
+
+const fmtDate = (d, tzOffset) => (d ? dateStrInTZ(d, tzOffset) : '');
+
+// ── Statement → document ──────────────────────────────────────────
+
+function balanceSheetDocument(sheet, { restaurantName, tzOffset } = {}) {
+  const section = (heading, rows, totalLabel, totalValue) => ({
+    heading,
+    columns: ['Code', 'Account', 'Amount'],
+    rows: rows.map(r => [r.code || '', r.name, r.balance]),
+    totals: ['', totalLabel, totalValue],
+  });
+  return {
+    title: 'Balance Sheet',
+    subtitle: [restaurantName, `As at ${fmtDate(sheet.asOf, tzOffset)}`].filter(Boolean).join(' — '),
+    tables: [
+      section('Assets', sheet.assets, 'Total Assets', sheet.totals.assets),
+      section('Liabilities', sheet.liabilities, 'Total Liabilities', sheet.totals.liabilities),
+      section('Equity', sheet.equity, 'Total Equity', sheet.totals.equity),
+      {
+        heading: 'Summary',
+        columns: ['', 'Line', 'Amount'],
+        rows: [
+          ['', 'Total Liabilities & Equity', sheet.totals.liabilitiesAndEquity],
+          ['', 'Difference', sheet.totals.difference],
+        ],
+      },
+    ],
+  };
+}
+
+function profitAndLossDocument(pnl, { restaurantName, tzOffset } = {}) {
+  const section = (heading, rows, totalLabel, totalValue) => ({
+    heading,
+    columns: ['Code', 'Account', 'Amount'],
+    rows: rows.map(r => [r.code, r.name, r.balance]),
+    totals: ['', totalLabel, totalValue],
+  });
+  return {
+    title: 'Profit & Loss',
+    subtitle: [restaurantName, `${fmtDate(pnl.from, tzOffset) || 'Start'} to ${fmtDate(pnl.to, tzOffset)}`].filter(Boolean).join(' — '),
+    tables: [
+      section('Revenue', pnl.revenue, 'Net Revenue', pnl.totals.revenue),
+      section('Cost of Sales', pnl.costOfSales, 'Gross Profit', pnl.totals.grossProfit),
+      section('Operating Expenses', pnl.operatingExpenses, 'Total Operating Expenses', pnl.totals.operatingExpenses),
+      {
+        heading: 'Result',
+        columns: ['', 'Line', 'Amount'],
+        rows: [['', 'Net Profit', pnl.totals.netProfit]],
+      },
+    ],
+  };
+}
+
+function cashFlowDocument(cf, { restaurantName, tzOffset } = {}) {
+  const items = rows => rows.map(r => [r.name, r.amount]);
+  return {
+    title: 'Cash Flow Statement',
+    subtitle: [restaurantName, `${fmtDate(cf.from, tzOffset)} to ${fmtDate(cf.to, tzOffset)}`].filter(Boolean).join(' — '),
+    tables: [
+      {
+        heading: 'Operating Activities',
+        columns: ['Line', 'Amount'],
+        rows: [['Net profit', cf.netProfit], ...items(cf.operating.adjustments)],
+        totals: ['Net cash from operating activities', cf.operating.total],
+      },
+      {
+        heading: 'Investing Activities',
+        columns: ['Line', 'Amount'],
+        rows: items(cf.investing.items),
+        totals: ['Net cash from investing activities', cf.investing.total],
+      },
+      {
+        heading: 'Financing Activities',
+        columns: ['Line', 'Amount'],
+        rows: items(cf.financing.items),
+        totals: ['Net cash from financing activities', cf.financing.total],
+      },
+      {
+        heading: 'Cash Position',
+        columns: ['Line', 'Amount'],
+        rows: [
+          ['Net change in cash', cf.netChangeInCash],
+          ['Opening cash & bank', cf.openingCash],
+          ['Closing cash & bank', cf.closingCash],
+          ['Unreconciled difference', cf.reconciliation.difference],
+        ],
+      },
+    ],
+  };
+}
+
+function generalLedgerDocument(ledgers, { restaurantName, from, to, tzOffset } = {}) {
+  return {
+    title: 'General Ledger',
+    subtitle: [restaurantName, `${fmtDate(from, tzOffset) || 'Start'} to ${fmtDate(to, tzOffset) || 'Today'}`].filter(Boolean).join(' — '),
+    tables: ledgers.map(l => ({
+      heading: `${l.code} ${l.name}`,
+      columns: ['Date', 'Description', 'Debit', 'Credit', 'Balance'],
+      rows: [
+        ['', 'Opening balance', '', '', l.openingBalance],
+        ...l.rows.map(r => [fmtDate(r.date, tzOffset), r.memo ? `${r.description} (${r.memo})` : r.description, r.debit || '', r.credit || '', r.balance]),
+      ],
+      totals: ['', 'Closing balance', l.totalDebit, l.totalCredit, l.closingBalance],
+    })),
+  };
+}
+
+// ── Document → file ───────────────────────────────────────────────
+
+function toXlsxBuffer(document) {
+  const XLSX = require('xlsx');
+  const aoa = [[document.title], [document.subtitle || ''], []];
+  document.tables.forEach(t => {
+    aoa.push([t.heading]);
+    aoa.push(t.columns);
+    t.rows.forEach(r => aoa.push(r));
+    if (t.totals) aoa.push(t.totals);
+    aoa.push([]);
+  });
+
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  XLSX.utils.book_append_sheet(wb, ws, document.title.slice(0, 31));
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function toPdfBuffer(document) {
+  return new Promise((resolve, reject) => {
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const fontDir = path.join(__dirname, '..', 'fonts');
+    doc.registerFont('DejaVuSans', path.join(fontDir, 'DejaVuSans.ttf'));
+    doc.registerFont('DejaVuSans-Bold', path.join(fontDir, 'DejaVuSans-Bold.ttf'));
+
+    const pageWidth = doc.page.width - 100;
+    const bottom = doc.page.height - 60;
+    const rowHeight = 18;
+    const fmt = v => (typeof v === 'number'
+      ? v.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      : String(v ?? ''));
+
+    doc.fontSize(18).font('DejaVuSans-Bold').fillColor('#1f2937').text(document.title, 50, 50);
+    if (document.subtitle) {
+      doc.fontSize(10).font('DejaVuSans').fillColor('#6b7280').text(document.subtitle, 50, 74);
+    }
+    let y = 100;
+
+    const ensureSpace = (height) => {
+      if (y + height > bottom) {
+        doc.addPage();
+        y = 50;
+      }
+    };
+
+    document.tables.forEach(table => {
+      // Text columns share the width left over by fixed-width amount columns
+      const numeric = table.columns.map((_, i) => table.rows.concat(table.totals ? [table.totals] : [])
+        .some(r => typeof r[i] === 'number'));
+      const amountWidth = 85;
+      const textCols = numeric.filter(n => !n).length || 1;
+      const textWidth = (pageWidth - amountWidth * numeric.filter(Boolean).length) / textCols;
+      const widths = numeric.map(n => (n ? amountWidth : textWidth));
+
+      const drawRow = (cells, { bold, bg } = {}) => {
+        ensureSpace(rowHeight);
+        if (bg) doc.rect(50, y - 2, pageWidth, rowHeight).fill(bg);
+        let x = 50;
+        cells.forEach((cell, i) => {
+          doc.fontSize(9).font(bold ? 'DejaVuSans-Bold' : 'DejaVuSans').fillColor('#1f2937')
+            .text(fmt(cell), x + 4, y + 2, { width: widths[i] - 8, align: numeric[i] ? 'right' : 'left', lineBreak: false, ellipsis: true });
+          x += widths[i];
+        });
+        y += rowHeight;
+      };
+
+      ensureSpace(rowHeight * 3);
+      doc.fontSize(12).font('DejaVuSans-Bold').fillColor('#1f2937').text(table.heading, 50, y);
+      y += 20;
+      drawRow(table.columns, { bold: true, bg: '#f3f4f6' });
+      table.rows.forEach(r => drawRow(r));
+      if (table.totals) drawRow(table.totals, { bold: true, bg: '#f9fafb' });
+      y += 12;
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  balanceSheetDocument,
+  profitAndLossDocument,
+  cashFlowDocument,
+  generalLedgerDocument,
+  toXlsxBuffer,
+  toPdfBuffer,
+};
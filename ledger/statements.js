@@ -0,0 +1,337 @@
+/**
+ * Financial statements derived from journal entries: profit & loss, balance
+ * sheet, indirect-method cash flow and the per-account general ledger.
+ * Pure functions — callers pass the chart of accounts and the entries.
+ */
+
+const { round2 } = require('../billing/billingCalc');
+const { ACCOUNTS } = require('./accounts');
+const { entryLines } = require('./postingRules');
+const { toDate } = require('../utils/dates');
+
+const TYPE_BY_PREFIX = { 1: 'asset', 2: 'liability', 3: 'equity', 4: 'revenue', 5: 'expense', 6: 'expense' };
+
+// Accounts that count as cash & cash equivalents in the cash-flow statement
+const CASH_SUBTYPES = ['cash', 'bank'];
+// Asset/liability subtypes reported under investing and financing activities
+const INVESTING_SUBTYPES = ['fixed_asset', 'investment'];
+const FINANCING_SUBTYPES = ['loan', 'long_term_liability'];
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function accountType(account) {
+  return account.type || TYPE_BY_PREFIX[String(account.code).charAt(0)] || 'expense';
+}
+
+// Assets and expenses carry debit balances, everything else credit balances
+function isDebitNormal(type) {
+  return type === 'asset' || type === 'expense';
+}
+
+function naturalBalance(type, debit, credit) {
+  return round2(isDebitNormal(type) ? debit - credit : credit - debit);
+}
+
+function isCashAccount(account) {
+  return account.code === ACCOUNTS.CASH || account.code === ACCOUNTS.BANK ||
+    CASH_SUBTYPES.includes(account.subtype);
+}
+
+/**
+ * Index accounts by code, adding any code that only appears on entries
+ * (e.g. an account deleted after posting) so nothing drops out of a report.
+ */
+function indexAccounts(accounts, entries = []) {
+  const byCode = {};
+  accounts.forEach(acc => {
+    byCode[acc.code] = { ...acc, type: accountType(acc) };
+  });
+  entries.forEach(entry => {
+    entryLines(entry).forEach(l => {
+      if (!byCode[l.accountCode]) {
+        byCode[l.accountCode] = {
+          code: l.accountCode,
+          name: l.accountName || l.accountCode,
+          type: accountType({ code: l.accountCode }),
+        };
+      }
+    });
+  });
+  return byCode;
+}
+
+/**
+ * Debit/credit totals per account code for entries dated within [from, to].
+ * Either bound may be null.
+ */
+function accumulate(entries, from = null, to = null) {
+  const totals = {};
+  entries.forEach(entry => {
+    const date = toDate(entry.date);
+    if (from && (!date || date < from)) return;
+    if (to && (!date || date > to)) return;
+    entryLines(entry).forEach(l => {
+      if (!totals[l.accountCode]) totals[l.accountCode] = { debit: 0, credit: 0 };
+      totals[l.accountCode].debit += l.debit || 0;
+      totals[l.accountCode].credit += l.credit || 0;
+    });
+  });
+  return totals;
+}
+
+function balancesByType(byCode, totals, types) {
+  return Object.values(byCode)
+    .filter(acc => types.includes(acc.type) && totals[acc.code])
+    .map(acc => ({
+      code: acc.code,
+      name: acc.name,
+      type: acc.type,
+      subtype: acc.subtype || null,
+      balance: naturalBalance(acc.type, totals[acc.code].debit, totals[acc.code].credit),
+    }))
+    .filter(a => a.balance !== 0)
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+function total(rows) {
+  return round2(rows.reduce((s, r) => s + r.balance, 0));
+}
+
+// ── Profit & loss ─────────────────────────────────────────────────
+
+/**
+ * Income statement for entries dated within [from, to].
+ * Contra-revenue accounts (discounts, refunds) reduce revenue naturally
+ * because they carry debit balances.
+ */
+function buildProfitAndLoss(accounts, entries, { from = null, to = null } = {}) {
+  const byCode = indexAccounts(accounts, entries);
+  const totals = accumulate(entries, from, to);
+  const revenue = balancesByType(byCode, totals, ['revenue']);
+  const expenses = balancesByType(byCode, totals, ['expense']);
+  const costOfSales = expenses.filter(a => a.code.startsWith('5'));
+  const operatingExpenses = expenses.filter(a => !a.code.startsWith('5'));
+
+  const totalRevenue = total(revenue);
+  const totalCostOfSales = total(costOfSales);
+  const totalOperatingExpenses = total(operatingExpenses);
+  const grossProfit = round2(totalRevenue - totalCostOfSales);
+
+  return {
+    from,
+    to,
+    revenue,
+    costOfSales,
+    operatingExpenses,
+    totals: {
+      revenue: totalRevenue,
+      costOfSales: totalCostOfSales,
+      grossProfit,
+      operatingExpenses: totalOperatingExpenses,
+      netProfit: round2(grossProfit - totalOperatingExpenses),
+    },
+  };
+}
+
+// ── Balance sheet ─────────────────────────────────────────────────
+
+/**
+ * Balance sheet as at `asOf`. Profit not yet transferred to retained earnings
+ * is shown as a separate equity line so the sheet balances without a
+ * year-end closing entry.
+ */
+function buildBalanceSheet(accounts, entries, asOf) {
+  const byCode = indexAccounts(accounts, entries);
+  const totals = accumulate(entries, null, asOf);
+
+  const assets = balancesByType(byCode, totals, ['asset']);
+  const liabilities = balancesByType(byCode, totals, ['liability']);
+  const equity = balancesByType(byCode, totals, ['equity']);
+  const unappropriatedProfit = round2(
+    total(balancesByType(byCode, totals, ['revenue'])) - total(balancesByType(byCode, totals, ['expense']))
+  );
+  if (unappropriatedProfit !== 0) {
+    equity.push({ code: null, name: 'Profit & Loss (unappropriated)', type: 'equity', subtype: null, balance: unappropriatedProfit });
+  }
+
+  const totalAssets = total(assets);
+  const totalLiabilities = total(liabilities);
+  const totalEquity = total(equity);
+  const difference = round2(totalAssets - totalLiabilities - totalEquity);
+
+  return {
+    asOf,
+    assets,
+    liabilities,
+    equity,
+    totals: {
+      assets: totalAssets,
+      liabilities: totalLiabilities,
+      equity: totalEquity,
+      liabilitiesAndEquity: round2(totalLiabilities + totalEquity),
+      difference,
+      isBalanced: Math.abs(difference) < 0.01,
+    },
+  };
+}
+
+// ── Cash flow (indirect method) ───────────────────────────────────
+
+function cashFlowActivity(account) {
+  if (account.type === 'equity') return 'financing';
+  if (account.type === 'asset' && INVESTING_SUBTYPES.includes(account.subtype)) return 'investing';
+  if (account.type === 'liability' && FINANCING_SUBTYPES.includes(account.subtype)) return 'financing';
+  return 'operating';
+}
+
+/**
+ * Cash-flow statement for [from, to]: start from net profit, adjust for the
+ * movement in every non-cash balance-sheet account and reconcile against the
+ * actual movement in cash and bank accounts.
+ */
+function buildCashFlow(accounts, entries, { from, to }) {
+  const byCode = indexAccounts(accounts, entries);
+  const movement = accumulate(entries, from, to);
+  const opening = from ? accumulate(entries, null, new Date(from.getTime() - 1)) : {};
+
+  const { totals: pnl } = buildProfitAndLoss(accounts, entries, { from, to });
+
+  const sections = { operating: [], investing: [], financing: [] };
+  let openingCash = 0, cashMovement = 0;
+
+  Object.values(byCode).sort((a, b) => a.code.localeCompare(b.code)).forEach(acc => {
+    if (!['asset', 'liability', 'equity'].includes(acc.type)) return;
+    const m = movement[acc.code] || { debit: 0, credit: 0 };
+
+    if (isCashAccount(acc)) {
+      const o = opening[acc.code] || { debit: 0, credit: 0 };
+      openingCash += o.debit - o.credit;
+      cashMovement += m.debit - m.credit;
+      return;
+    }
+
+    // An increase in an asset consumes cash; an increase in a liability or equity provides it
+    const amount = round2(m.credit - m.debit);
+    if (amount === 0) return;
+    sections[cashFlowActivity(acc)].push({
+      code: acc.code,
+      name: acc.type === 'asset' ? `(Increase)/decrease in ${acc.name}` : `Increase/(decrease) in ${acc.name}`,
+      amount,
+    });
+  });
+
+  const sum = rows => round2(rows.reduce((s, r) => s + r.amount, 0));
+  const operating = round2(pnl.netProfit + sum(sections.operating));
+  const investing = sum(sections.investing);
+  const financing = sum(sections.financing);
+  const netChange = round2(operating + investing + financing);
+
+  openingCash = round2(openingCash);
+  cashMovement = round2(cashMovement);
+  const difference = round2(netChange - cashMovement);
+
+  return {
+    from,
+    to,
+    netProfit: pnl.netProfit,
+    operating: { adjustments: sections.operating, total: operating },
+    investing: { items: sections.investing, total: investing },
+    financing: { items: sections.financing, total: financing },
+    netChangeInCash: netChange,
+    openingCash,
+    closingCash: round2(openingCash + cashMovement),
+    reconciliation: {
+      actualChangeInCash: cashMovement,
+      difference,
+      isReconciled: Math.abs(difference) < 0.01,
+    },
+  };
+}
+
+// ── General ledger ────────────────────────────────────────────────
+
+/**
+ * Per-account ledger for [from, to] with an opening balance (everything
+ * before `from`) and a running balance in the account's natural direction.
+ * Only accounts with an opening balance or activity are returned unless
+ * `accountCode` is given.
+ */
+function buildGeneralLedger(accounts, entries, { from = null, to = null, accountCode = null } = {}) {
+  const byCode = indexAccounts(accounts, entries);
+  const opening = from ? accumulate(entries, null, new Date(from.getTime() - 1)) : {};
+  const ledgers = {};
+
+  const sorted = entries
+    .map(e => ({ entry: e, date: toDate(e.date) }))
+    .filter(({ date }) => date && (!from || date >= from) && (!to || date <= to))
+    .sort((a, b) => a.date - b.date);
+
+  const ledgerFor = code => {
+    if (!ledgers[code]) {
+      const acc = byCode[code];
+      const o = opening[code] || { debit: 0, credit: 0 };
+      ledgers[code] = {
+        code,
+        name: acc.name,
+        type: acc.type,
+        openingBalance: naturalBalance(acc.type, o.debit, o.credit),
+        rows: [],
+        totalDebit: 0,
+        totalCredit: 0,
+      };
+    }
+    return ledgers[code];
+  };
+
+  sorted.forEach(({ entry, date }) => {
+    entryLines(entry).forEach(l => {
+      if (accountCode && l.accountCode !== accountCode) return;
+      const ledger = ledgerFor(l.accountCode);
+      ledger.totalDebit += l.debit || 0;
+      ledger.totalCredit += l.credit || 0;
+      ledger.rows.push({
+        entryId: entry.id || null,
+        date,
+        description: entry.description || '',
+        memo: l.memo || null,
+        reference: entry.reference || null,
+        debit: round2(l.debit || 0),
+        credit: round2(l.credit || 0),
+      });
+    });
+  });
+
+  // Accounts with an opening balance but no activity in the range
+  Object.keys(opening).forEach(code => {
+    if (accountCode && code !== accountCode) return;
+    if (byCode[code]) ledgerFor(code);
+  });
+  if (accountCode && byCode[accountCode]) ledgerFor(accountCode);
+
+  return Object.values(ledgers)
+    .map(ledger => {
+      let running = ledger.openingBalance;
+      const rows = ledger.rows.map(row => {
+        running = round2(running + (isDebitNormal(ledger.type) ? row.debit - row.credit : row.credit - row.debit));
+        return { ...row, balance: running };
+      });
+      return {
+        ...ledger,
+        rows,
+        totalDebit: round2(ledger.totalDebit),
+        totalCredit: round2(ledger.totalCredit),
+        closingBalance: running,
+      };
+    })
+    .filter(l => accountCode || l.rows.length > 0 || l.openingBalance !== 0)
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+module.exports = {
+  accountType,
+  isDebitNormal,
+  buildProfitAndLoss,
+  buildBalanceSheet,
+  buildCashFlow,
+  buildGeneralLedger,
+};
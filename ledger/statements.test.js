@@ -0,0 +1,109 @@
+const {
+  buildProfitAndLoss,
+  buildBalanceSheet,
+  buildCashFlow,
+  buildGeneralLedger
+} = require('./statements');
+const { DEFAULT_ACCOUNTS } = require('./accounts');
+
+const entry = (id, date, ...lines) => ({
+  id,
+  date: new Date(date),
+  description: id,
+  lines: lines.map(([accountCode, debit, credit]) => ({ accountCode, debit, credit }))
+});
+
+const entries = [
+  // Owner brings in capital
+  entry('capital', '2026-03-01T10:00:00Z', ['1010', 50000, 0], ['3000', 0, 50000]),
+  // Stock received on credit
+  entry('grn', '2026-03-05T10:00:00Z', ['1030', 8000, 0], ['2000', 0, 8000]),
+  // Sales in April: cash + card, GST collected, discount given
+  entry('sale', '2026-04-02T10:00:00Z', ['1000', 600, 0], ['1010', 450, 0], ['4090', 50, 0], ['4000', 0, 1000], ['2010', 0, 100]),
+  // Rent paid from bank
+  entry('rent', '2026-04-03T10:00:00Z', ['6000', 300, 0], ['1010', 0, 300]),
+  // Part-payment to supplier
+  entry('ap', '2026-04-04T10:00:00Z', ['2000', 5000, 0], ['1010', 0, 5000])
+];
+
+const april = { from: new Date('2026-04-01T00:00:00Z'), to: new Date('2026-04-30T23:59:59.999Z') };
+
+// ═══════════════════════════════════════════════════════════════════
+// Profit & loss / balance sheet
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildProfitAndLoss', () => {
+  test('nets contra-revenue and splits operating expenses', () => {
+    const pnl = buildProfitAndLoss(DEFAULT_ACCOUNTS, entries, april);
+    expect(pnl.totals.revenue).toBe(950);
+    expect(pnl.totals.operatingExpenses).toBe(300);
+    expect(pnl.totals.netProfit).toBe(650);
+  });
+});
+
+describe('buildBalanceSheet', () => {
+  test('balances with unappropriated profit in equity', () => {
+    const sheet = buildBalanceSheet(DEFAULT_ACCOUNTS, entries, april.to);
+    expect(sheet.totals.assets).toBe(53750);
+    expect(sheet.totals.liabilities).toBe(3100);
+    expect(sheet.totals.equity).toBe(50650);
+    expect(sheet.totals.isBalanced).toBe(true);
+    expect(sheet.equity.find(e => e.code === null).balance).toBe(650);
+  });
+
+  test('ignores entries after the as-of date', () => {
+    const sheet = buildBalanceSheet(DEFAULT_ACCOUNTS, entries, new Date('2026-03-31T23:59:59Z'));
+    expect(sheet.totals.assets).toBe(58000);
+    expect(sheet.totals.isBalanced).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Cash flow
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildCashFlow', () => {
+  test('reconciles net profit to the movement in cash and bank', () => {
+    const cf = buildCashFlow(DEFAULT_ACCOUNTS, entries, april);
+    expect(cf.netProfit).toBe(650);
+    // +100 GST payable, -5000 AP paid down
+    expect(cf.operating.total).toBe(-4250);
+    expect(cf.openingCash).toBe(50000);
+    expect(cf.closingCash).toBe(45750);
+    expect(cf.netChangeInCash).toBe(-4250);
+    expect(cf.reconciliation.isReconciled).toBe(true);
+  });
+
+  test('classifies equity movements as financing', () => {
+    const cf = buildCashFlow(DEFAULT_ACCOUNTS, entries, {
+      from: new Date('2026-03-01T00:00:00Z'),
+      to: new Date('2026-03-31T23:59:59Z')
+    });
+    expect(cf.financing.total).toBe(50000);
+    // Inventory bought on credit: no net cash effect
+    expect(cf.operating.total).toBe(0);
+    expect(cf.reconciliation.isReconciled).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// General ledger
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildGeneralLedger', () => {
+  test('carries the opening balance into a running balance', () => {
+    const [bank] = buildGeneralLedger(DEFAULT_ACCOUNTS, entries, { ...april, accountCode: '1010' });
+    expect(bank.openingBalance).toBe(50000);
+    expect(bank.rows.map(r => r.balance)).toEqual([50450, 50150, 45150]);
+    expect(bank.closingBalance).toBe(45150);
+    expect(bank.totalCredit).toBe(5300);
+  });
+
+  test('runs credit-normal accounts in their natural direction', () => {
+    const ledgers = buildGeneralLedger(DEFAULT_ACCOUNTS, entries, april);
+    const payable = ledgers.find(l => l.code === '2000');
+    expect(payable.openingBalance).toBe(8000);
+    expect(payable.closingBalance).toBe(3000);
+    expect(ledgers.find(l => l.code === '6010')).toBeUndefined();
+  });
+});
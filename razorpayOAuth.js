@@ -9,6 +9,8 @@ const RAZORPAY_AUTH_URL = 'https://auth.razorpay.com/authorize';
 const RAZORPAY_TOKEN_URL = 'https://api.razorpay.com/v1/oauth/token';
 const RAZORPAY_REVOKE_URL = 'https://api.razorpay.com/v1/oauth/token/revoke';
 const RAZORPAY_ORDERS_URL = 'https://api.razorpay.com/v1/orders';
+const RAZORPAY_PAYMENT_LINKS_URL = 'https://api.razorpay.com/v1/payment_links';
+const RAZORPAY_PAYMENTS_URL = 'https://api.razorpay.com/v1/payments';
 
 // --- Token encryption helpers (AES-256-GCM) ---
 
@@ -505,4 +507,114 @@ async function verifyRazorpaySignature(db, restaurantId, { razorpayOrderId, razo
   return { verified: true };
 }
 
-module.exports = { initializeRazorpayOAuthRoutes, initializeRazorpayPublicRoutes, verifyRazorpaySignature };
+// --- Server-side calls on the restaurant's account (deposits, pay-at-table) ---
+// Throw an Error with .status so callers can pass it straight to the client.
+
+async function razorpayRequest(db, restaurantId, method, url, body) {
+  const tokenData = await getAccessToken(db, restaurantId);
+  if (!tokenData) {
+    throw Object.assign(new Error('Restaurant has not connected Razorpay or token expired'), { status: 400 });
+  }
+  const call = (accessToken) => fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  let response = await call(tokenData.accessToken);
+  // Token might be invalid — try refresh once
+  if (response.status === 401) {
+    const tokenDoc = await db.collection('razorpay_tokens').doc(restaurantId).get();
+    const refreshed = tokenDoc.exists ? await refreshAccessToken(db, restaurantId, tokenDoc.data()) : null;
+    if (!refreshed) {
+      throw Object.assign(new Error('Payment gateway authorization failed. Restaurant may need to reconnect.'), { status: 400 });
+    }
+    response = await call(refreshed.accessToken);
+  }
+
+  if (!response.ok) {
+    const errBody = await response.text();
+    console.error(`[RazorpayOAuth] ${method} ${url} failed for ${restaurantId}:`, response.status, errBody);
+    let message = 'Payment gateway request failed';
+    try { message = JSON.parse(errBody).error.description || message; } catch (e) { /* not JSON */ }
+    throw Object.assign(new Error(message), { status: 502 });
+  }
+  return response.json();
+}
+
+/**
+ * Checkout order on the restaurant's account (amount in paise) → the order
+ * plus `keyId`, the public token Razorpay Checkout takes as its key.
+ */
+async function createOrder(db, restaurantId, { amount, currency = 'INR', receipt, notes }) {
+  const order = await razorpayRequest(db, restaurantId, 'POST', RAZORPAY_ORDERS_URL, {
+    amount: Math.round(amount),
+    currency,
+    receipt: receipt || `order_${Date.now()}`,
+    notes: notes || {},
+  });
+  const tokenData = await getAccessToken(db, restaurantId);
+  return { ...order, keyId: tokenData ? tokenData.publicToken : null };
+}
+
+/** → payments made against a checkout order ({ items: [{ id, status, amount }] }). */
+function fetchOrderPayments(db, restaurantId, orderId) {
+  return razorpayRequest(db, restaurantId, 'GET', `${RAZORPAY_ORDERS_URL}/${orderId}/payments`);
+}
+
+/**
+ * Payment link on the restaurant's account → { id, short_url, status }.
+ * amount is in paise; expireBy is a Date (Razorpay wants ≥ 15 minutes ahead).
+ */
+function createPaymentLink(db, restaurantId, { amount, currency = 'INR', referenceId, description, customer = {}, callbackUrl, expireBy, notes }) {
+  return razorpayRequest(db, restaurantId, 'POST', RAZORPAY_PAYMENT_LINKS_URL, {
+    amount: Math.round(amount),
+    currency,
+    accept_partial: false,
+    reference_id: referenceId,
+    description,
+    customer: {
+      name: customer.name || undefined,
+      contact: customer.phone || undefined,
+      email: customer.email || undefined,
+    },
+    notify: { sms: false, email: false },
+    callback_url: callbackUrl,
+    callback_method: callbackUrl ? 'get' : undefined,
+    expire_by: expireBy ? Math.floor(new Date(expireBy).getTime() / 1000) : undefined,
+    notes: notes || {},
+  });
+}
+
+/** → the link with `status` ('created' | 'paid' | 'expired' | 'cancelled') and its `payments`. */
+function fetchPaymentLink(db, restaurantId, linkId) {
+  return razorpayRequest(db, restaurantId, 'GET', `${RAZORPAY_PAYMENT_LINKS_URL}/${linkId}`);
+}
+
+function cancelPaymentLink(db, restaurantId, linkId) {
+  return razorpayRequest(db, restaurantId, 'POST', `${RAZORPAY_PAYMENT_LINKS_URL}/${linkId}/cancel`);
+}
+
+/** Full or partial refund of a captured payment (amount in paise) → { id, status }. */
+function refundPayment(db, restaurantId, paymentId, { amount, notes } = {}) {
+  return razorpayRequest(db, restaurantId, 'POST', `${RAZORPAY_PAYMENTS_URL}/${paymentId}/refund`, {
+    amount: Math.round(amount),
+    speed: 'normal',
+    notes: notes || {},
+  });
+}
+
+module.exports = {
+  initializeRazorpayOAuthRoutes,
+  initializeRazorpayPublicRoutes,
+  verifyRazorpaySignature,
+  createOrder,
+  fetchOrderPayments,
+  createPaymentLink,
+  fetchPaymentLink,
+  cancelPaymentLink,
+  refundPayment,
+};
@@ -0,0 +1,110 @@
+/**
+ * Par-level purchase-order drafting — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/autoReorderRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Settings (on/off, daily run hour), a preview of what would be ordered, an
+ * on-demand run, and the hourly cron that drafts each outlet's POs once a
+ * day. Par levels, reorder points, MOQ and pack sizes are inventory item
+ * fields (PATCH /api/inventory/:restaurantId/:itemId). Logic lives in
+ * inventory/reorder.js (pure) and services/autoReorderService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const autoReorderService = require('../services/autoReorderService');
+const reorder = require('../inventory/reorder');
+
+module.exports = function initAutoReorderRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller may manage this restaurant's purchasing. Returns null + sends the response on failure.
+  const requirePurchasingAccess = async (req, res) => {
+    if (!['owner', 'admin', 'manager'].includes(req.user?.role)) {
+      res.status(403).json({ error: 'Only owners, admins and managers can manage automatic reordering.' });
+      return null;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`auto-reorder ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  router.get('/api/auto-reorder/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requirePurchasingAccess(req, res); if (!r) return;
+      res.json({ success: true, settings: reorder.settingsFor(r.data), lastRun: r.data.autoReorderLastRun || null });
+    } catch (e) { sendError(res, 'load auto-reorder settings', e); }
+  });
+
+  router.put('/api/auto-reorder/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requirePurchasingAccess(req, res); if (!r) return;
+      const body = req.body || {};
+      if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+      }
+      if (body.runHour !== undefined && !(Number.isInteger(body.runHour) && body.runHour >= 0 && body.runHour <= 23)) {
+        return res.status(400).json({ error: 'runHour must be a whole hour from 0 to 23' });
+      }
+      const autoReorderSettings = reorder.settingsFor({ autoReorderSettings: { ...(r.data.autoReorderSettings || {}), ...body } });
+      await r.ref.update({ autoReorderSettings });
+      res.json({ success: true, settings: autoReorderSettings });
+    } catch (e) { sendError(res, 'save auto-reorder settings', e); }
+  });
+
+  // What a run would draft now, per supplier, plus items with no supplier to order from
+  router.get('/api/auto-reorder/:restaurantId/preview', authenticateToken, async (req, res) => {
+    try {
+      const r = await requirePurchasingAccess(req, res); if (!r) return;
+      const { orders, unassigned } = await autoReorderService.plan(req.params.restaurantId);
+      res.json({ success: true, orders, unassigned });
+    } catch (e) { sendError(res, 'preview auto-reorder', e); }
+  });
+
+  router.post('/api/auto-reorder/:restaurantId/run', authenticateToken, async (req, res) => {
+    try {
+      const r = await requirePurchasingAccess(req, res); if (!r) return;
+      const result = await autoReorderService.draftPurchaseOrders(req.params.restaurantId, { trigger: 'manual', userId: req.user.userId });
+      res.status(201).json({ success: true, ...result });
+    } catch (e) { sendError(res, 'draft purchase orders', e); }
+  });
+
+  // Cron: hourly; each outlet drafts at its own runHour. Same auth as the
+  // other crons — Vercel's `Authorization: Bearer <CRON_SECRET>`, or `x-cron-secret`.
+  const autoReorderCron = async (req, res) => {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const secret = bearer || req.headers['x-cron-secret'];
+    if (!process.env.CRON_SECRET || secret !== process.env.CRON_SECRET) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    try {
+      res.json({ ok: true, ...(await autoReorderService.runDue()) });
+    } catch (e) {
+      console.error('[auto-reorder] cron error:', e.message);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+  router.get('/api/cron/auto-reorder', autoReorderCron);
+  router.post('/api/cron/auto-reorder', autoReorderCron);
+
+  return router;
+};
@@ -2,9 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { FieldValue } = require('firebase-admin/firestore');
 const { generateBookingNumber, checkVenueConflict, checkTableConflict, syncCustomerData } = require('./helpers');
+const depositService = require('../../services/depositService');
 
 module.exports = function(db, collections, authenticateToken, checkFeaturePermission) {
 
+  // Refund or keep the booking's deposit under the cancellation policy.
+  // The cancellation stands even if the gateway refund fails.
+  const settleDeposit = async (bookingId, user) => {
+    try {
+      await depositService.settleForSource('booking', bookingId, { reason: 'cancel', user });
+    } catch (err) {
+      console.error('Booking deposit settle error:', err.message);
+    }
+  };
+
   // GET /api/bookings/:restaurantId — List bookings with filters
   router.get('/:restaurantId', authenticateToken, async (req, res) => {
     try {
@@ -345,6 +356,10 @@ module.exports = function(db, collections, authenticateToken, checkFeaturePermis
 
       await db.collection(collections.bookings).doc(bookingId).update(updateData);
 
+      if (updates.status === 'cancelled' && existing.status !== 'cancelled') {
+        await settleDeposit(bookingId, req.user);
+      }
+
       const updated = await db.collection(collections.bookings).doc(bookingId).get();
       res.json({ success: true, booking: { id: bookingId, ...updated.data() } });
     } catch (error) {
@@ -373,6 +388,7 @@ module.exports = function(db, collections, authenticateToken, checkFeaturePermis
         cancelReason: reason || null,
         updatedAt: FieldValue.serverTimestamp(),
       });
+      await settleDeposit(bookingId, req.user);
 
       res.json({ success: true });
     } catch (error) {
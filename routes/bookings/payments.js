@@ -3,6 +3,7 @@ const router = express.Router();
 const { FieldValue } = require('firebase-admin/firestore');
 const { createExpenseEntry } = require('./helpers');
 const { getCachedRestDoc } = require('../../utils/kvCache');
+const depositService = require('../../services/depositService');
 
 module.exports = function(db, collections, authenticateToken, checkFeaturePermission) {
 
@@ -118,6 +119,13 @@ module.exports = function(db, collections, authenticateToken, checkFeaturePermis
 
       await db.collection(collections.bookings).doc(bookingId).update(updateData);
 
+      // The deposit (already an advance payment on the booking) is now earned
+      try {
+        await depositService.applyToBooking(bookingId);
+      } catch (err) {
+        console.error('Failed to apply booking deposit:', err);
+      }
+
       res.json({ success: true, expenseId });
     } catch (error) {
       console.error('Complete booking error:', error);
@@ -4,6 +4,7 @@ const { db, collections } = require('../firebase');
 const { authenticateToken } = require('../middleware/auth');
 const { requireOrgFeature, isRestaurantInOrg, requireOrgMember, getActorId } = require('../middleware/orgAccess');
 const { getCachedRestDoc } = require('../utils/kvCache');
+const inventoryService = require('../services/inventoryService');
 
 // ============================================
 // CENTRAL KITCHEN PRODUCTION & DISTRIBUTION APIs
@@ -52,6 +53,10 @@ async function createInventoryTransaction(txData) {
     unit: txData.unit || '',
     performedBy: txData.performedBy,
     notes: txData.notes || '',
+    ...(txData.batchAllocations && txData.batchAllocations.length > 0 && {
+      batchIds: txData.batchAllocations.map(a => a.batchId),
+      batchAllocations: txData.batchAllocations
+    }),
     date: new Date()
   });
 }
@@ -678,12 +683,26 @@ router.patch('/:orgId/distribution-plans/:planId/dispatch/:outletId', ...ckMiddl
       .limit(1)
       .get();
 
+    let sourceBatches = [];
     if (!invSnapshot.empty) {
       const invDoc = invSnapshot.docs[0];
       const invData = invDoc.data();
       const previousStock = invData.currentStock || 0;
       const newStock = previousStock - allocation.quantity;
 
+      // Draw the kitchen's batches oldest first so the outlet batch can be
+      // traced back to them. Expired batches are left for the kitchen's own
+      // write-off rather than being dispatched.
+      const batchWrite = db.batch();
+      try {
+        ({ batchAllocations: sourceBatches } = await inventoryService.drawFromBatches(
+          batchWrite, plan.centralKitchenId, { id: invDoc.id, ...invData }, allocation.quantity, { wasteExpired: false }
+        ));
+      } catch (batchErr) {
+        console.warn(`FIFO batch query failed for ${plan.itemName}:`, batchErr.message);
+      }
+      if (sourceBatches.length > 0) await batchWrite.commit();
+
       await db.collection(collections.inventory).doc(invDoc.id).update({
         currentStock: newStock,
         updatedAt: new Date()
@@ -701,7 +720,8 @@ router.patch('/:orgId/distribution-plans/:planId/dispatch/:outletId', ...ckMiddl
         newStock,
         unit: plan.unit,
         performedBy: userId,
-        notes: `Distribution to ${allocation.outletName || outletId} — plan ${planId}`
+        notes: `Distribution to ${allocation.outletName || outletId} — plan ${planId}`,
+        batchAllocations: sourceBatches
       });
     }
 
@@ -710,7 +730,8 @@ router.patch('/:orgId/distribution-plans/:planId/dispatch/:outletId', ...ckMiddl
     updatedAllocations[allocIndex] = {
       ...allocation,
       status: 'dispatched',
-      dispatchedAt: new Date()
+      dispatchedAt: new Date(),
+      sourceBatches
     };
 
     // Determine plan status
@@ -824,13 +845,18 @@ router.patch('/:orgId/distribution-plans/:planId/receive/:outletId', ...ckMiddle
       notes: `Received from central kitchen — plan ${planId}`
     });
 
-    // Create stock batch for traceability
+    // Create stock batch for traceability; sourceBatchIds link it to the
+    // kitchen batches it was dispatched from
     await db.collection(collections.stockBatches).add({
       restaurantId: outletId,
       inventoryItemId,
       itemName: plan.itemName,
+      inventoryItemName: plan.itemName,
       batchNumber: `CK-${planId.substring(0, 6)}-${Date.now()}`,
       quantity: Number(actualReceivedQty),
+      remainingQty: Number(actualReceivedQty),
+      status: 'active',
+      sourceBatchIds: (allocation.sourceBatches || []).map(b => b.batchId),
       unit: plan.unit,
       source: 'CK_DISTRIBUTION',
       distributionPlanId: planId,
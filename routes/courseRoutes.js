@@ -0,0 +1,104 @@
+/**
+ * Course firing routes (hold / fire courses on dine-in orders) — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/courseRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Items get their course from the order create/update payload (`course` per
+ * item, `heldCourses` on the order; only kept when posSettings.courseFiring is
+ * on). These routes hold and fire courses afterwards and report course pacing.
+ * Model: kds/courses.js; transactions + KOT pushes: services/courseService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const courseFiring = require('../kds/courses');
+const courseService = require('../services/courseService');
+const { dateBoundsInTZ, ianaToTzOffset } = require('../utils/timezone');
+
+module.exports = function initCourseRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller has access to THIS restaurant and course firing is on.
+  // Returns null + sends the response on failure.
+  const requireCourseFiring = async (req, res) => {
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    if (r.data.posSettings?.courseFiring !== true) {
+      res.status(409).json({ error: 'Course firing is not enabled for this restaurant.' });
+      return null;
+    }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`courses ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  router.get('/api/courses/:restaurantId/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCourseFiring(req, res); if (!r) return;
+      const snap = await db.collection(collections.orders).doc(req.params.orderId).get();
+      if (!snap.exists || snap.data().restaurantId !== req.params.restaurantId) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      res.json({ success: true, orderId: snap.id, courses: courseFiring.courseSummary(snap.data()) });
+    } catch (e) { sendError(res, 'load courses', e); }
+  });
+
+  router.post('/api/courses/:restaurantId/orders/:orderId/:course/hold', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCourseFiring(req, res); if (!r) return;
+      const courses = await courseService.hold(req.params.restaurantId, req.params.orderId, req.params.course, req.user?.userId || null);
+      res.json({ success: true, courses });
+    } catch (e) { sendError(res, 'hold course', e); }
+  });
+
+  router.post('/api/courses/:restaurantId/orders/:orderId/:course/fire', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCourseFiring(req, res); if (!r) return;
+      const result = await courseService.fire(req.params.restaurantId, req.params.orderId, req.params.course, {
+        userId: req.user?.userId || null,
+        restaurantData: r.data,
+      });
+      res.json({ success: true, ...result });
+    } catch (e) { sendError(res, 'fire course', e); }
+  });
+
+  // Course pacing for orders created in a date range.
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD (store timezone; defaults to today).
+  router.get('/api/courses/:restaurantId/timing', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCourseFiring(req, res); if (!r) return;
+      const tzOffset = ianaToTzOffset(r.data.posSettings?.timezone || 'Asia/Kolkata');
+      const today = new Date(Date.now() - tzOffset * 60000).toISOString().slice(0, 10);
+      const from = req.query.from || today;
+      const to = req.query.to || from;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+        return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+      }
+      const report = await courseService.timing(
+        req.params.restaurantId,
+        dateBoundsInTZ(from, tzOffset).start,
+        dateBoundsInTZ(to, tzOffset).end,
+      );
+      res.json({ success: true, from, to, ...report });
+    } catch (e) { sendError(res, 'load course timing', e); }
+  });
+
+  return router;
+};
@@ -0,0 +1,150 @@
+/**
+ * Reservation & venue-booking deposits — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/depositRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Deposit policy settings, deposit requests on reservations and venue /
+ * catering bookings, staff refunds and forfeits, the till's balance preview,
+ * and the guest's payment page + gateway return. Reservations take their
+ * deposit automatically (services/reservationService.js); expiry runs with
+ * the reservation reminders cron and Dodo payments arrive through the Dodo
+ * webhook. Logic lives in billing/deposits.js (pure) and services/depositService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const depositService = require('../services/depositService');
+const { publicAPI } = require('../middleware/vercelSecurity');
+
+const MANAGE_ROLES = ['owner', 'admin', 'manager'];
+// Host stand and till: ask for deposits, check payment, see what's left to collect
+const DESK_ROLES = [...MANAGE_ROLES, 'waiter', 'cashier', 'employee'];
+
+module.exports = function initDepositRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  // Guard: caller has one of `roles` and belongs to this restaurant.
+  // Returns false + sends the response on failure.
+  const requireAccess = async (req, res, roles = DESK_ROLES) => {
+    if (!roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return false;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return false; }
+    }
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    if (!snap.exists) { res.status(404).json({ error: 'Restaurant not found' }); return false; }
+    return true;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`deposits ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  router.get('/api/deposits/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, settings: await depositService.getSettings(req.params.restaurantId) });
+    } catch (e) { sendError(res, 'load deposit settings', e); }
+  });
+
+  // body: any of billing/deposits.js DEFAULT_SETTINGS
+  router.put('/api/deposits/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, MANAGE_ROLES))) return;
+      const settings = await depositService.updateSettings(req.params.restaurantId, req.body || {}, req.user);
+      res.json({ success: true, settings });
+    } catch (e) { sendError(res, 'save deposit settings', e); }
+  });
+
+  // What the till still has to collect once the deposit is applied
+  router.get('/api/deposits/:restaurantId/for-order/:orderId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, ...(await depositService.forOrder(req.params.restaurantId, req.params.orderId)) });
+    } catch (e) { sendError(res, 'load order deposit', e); }
+  });
+
+  // ?status &sourceType &sourceId
+  router.get('/api/deposits/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const list = await depositService.list(req.params.restaurantId, req.query);
+      res.json({ success: true, deposits: list, total: list.length });
+    } catch (e) { sendError(res, 'list deposits', e); }
+  });
+
+  // body { sourceType: 'reservation' | 'booking', sourceId, amount? }
+  router.post('/api/deposits/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const deposit = await depositService.createForSource(req.params.restaurantId, req.body || {}, req.user);
+      res.status(201).json({ success: true, deposit });
+    } catch (e) { sendError(res, 'request deposit', e); }
+  });
+
+  router.get('/api/deposits/:restaurantId/:depositId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, deposit: await depositService.get(req.params.restaurantId, req.params.depositId) });
+    } catch (e) { sendError(res, 'load deposit', e); }
+  });
+
+  // Ask the gateway whether the guest has paid
+  router.post('/api/deposits/:restaurantId/:depositId/check', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      await depositService.get(req.params.restaurantId, req.params.depositId);
+      await depositService.syncFromGateway(req.params.depositId);
+      res.json({ success: true, deposit: await depositService.get(req.params.restaurantId, req.params.depositId) });
+    } catch (e) { sendError(res, 'check deposit payment', e); }
+  });
+
+  // body { amount?, reason? } — amount defaults to everything still held
+  router.post('/api/deposits/:restaurantId/:depositId/refund', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, MANAGE_ROLES))) return;
+      const deposit = await depositService.refund(req.params.restaurantId, req.params.depositId, req.body || {}, req.user);
+      res.json({ success: true, deposit });
+    } catch (e) { sendError(res, 'refund deposit', e); }
+  });
+
+  // body { amount?, reason? } — keep `amount` as a fee, refund the rest
+  router.post('/api/deposits/:restaurantId/:depositId/forfeit', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, MANAGE_ROLES))) return;
+      const deposit = await depositService.forfeit(req.params.restaurantId, req.params.depositId, req.body || {}, req.user);
+      res.json({ success: true, deposit });
+    } catch (e) { sendError(res, 'forfeit deposit', e); }
+  });
+
+  // ── Guest (no auth; the deposit id is the guest's token) ──
+
+  router.get('/api/public/deposits/:depositId', publicAPI, async (req, res) => {
+    try {
+      res.json(await depositService.publicView(req.params.depositId));
+    } catch (e) { sendError(res, 'load deposit', e); }
+  });
+
+  // Gateway return URL: Razorpay (?razorpay_payment_id) or Dodo (?payment_id).
+  // Check the payment, then send the guest on to their deposit page.
+  router.get('/api/public/deposits/:depositId/return', publicAPI, async (req, res) => {
+    const { depositId } = req.params;
+    try {
+      await depositService.syncFromGateway(depositId, { paymentId: req.query.payment_id || null });
+    } catch (e) {
+      if (!e.status) console.error('deposits gateway return:', e.message);
+    }
+    res.redirect(302, depositService.guestPageUrl(depositId));
+  });
+
+  return router;
+};
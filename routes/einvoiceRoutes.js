@@ -0,0 +1,184 @@
+/**
+ * India GST e-invoice (IRN) + e-way bill routes for POS orders — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/einvoiceRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Every route is gated on isIndia(). Only B2B orders (customer GSTIN on the
+ * order) get an IRN. Payload building lives in gst/einvoice.js; the IRP call
+ * and record shape in services/einvoice/einvoiceService.js. The result is
+ * stored on the order as `eInvoice` and printed by /api/bill/render.
+ */
+
+'use strict';
+
+const express = require('express');
+const einvoiceService = require('../services/einvoice/einvoiceService');
+const { buildOrderPayload, validatePayload } = require('../gst/einvoice');
+const { ianaToTzOffset } = require('../utils/timezone');
+
+const BLOCKED_STATUSES = ['cancelled', 'deleted', 'refunded'];
+
+module.exports = function initEinvoiceRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+  const ordersCol = (collections && collections.orders) || 'orders';
+  const credentialsCol = (collections && collections.einvoiceCredentials) || 'einvoiceCredentials';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller has access to THIS restaurant and it is an India store.
+  // Returns null + sends the response on failure.
+  const requireIndia = async (req, res) => {
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    if (!einvoiceService.isIndia(r.data)) {
+      res.status(409).json({ error: 'GST e-invoicing is only available for India stores.' });
+      return null;
+    }
+    return r;
+  };
+
+  // einvoiceConfig with the provider secrets (kept in einvoiceCredentials) merged back in
+  const loadConfig = async (restaurantId, rData) => {
+    const snap = await db.collection(credentialsCol).doc(restaurantId).get();
+    const { restaurantId: _rid, updatedAt: _u, ...secrets } = snap.exists ? snap.data() : {};
+    return { ...(rData.einvoiceConfig || {}), ...secrets };
+  };
+
+  // Load the order and check it belongs to the restaurant and can be e-invoiced.
+  const getOrder = async (req, res) => {
+    const { restaurantId, orderId } = req.params;
+    const ref = db.collection(ordersCol).doc(orderId);
+    const snap = await ref.get();
+    if (!snap.exists) { res.status(404).json({ error: 'Order not found' }); return null; }
+    const order = { id: snap.id, ...snap.data() };
+    if (order.restaurantId !== restaurantId) { res.status(403).json({ error: 'Order does not belong to this restaurant.' }); return null; }
+    return { ref, order };
+  };
+
+  const sellerFor = (rData) => ({
+    gstin: rData.gstin,
+    legalName: rData.legalBusinessName,
+    name: rData.name,
+    address: rData.address,
+    city: rData.city,
+    pincode: (rData.einvoiceConfig && rData.einvoiceConfig.pincode) || rData.pincode,
+    phone: rData.phone,
+    email: rData.email,
+  });
+
+  const payloadFor = (order, rData, buyer) => buildOrderPayload(order, {
+    seller: sellerFor(rData),
+    buyer: buyer || order.eInvoiceBuyer || {},
+    tzOffset: ianaToTzOffset(rData.posSettings?.timezone || 'Asia/Kolkata'),
+  });
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) {
+      return res.status(e.status).json({ error: e.message, details: e.details, irpErrors: e.irpErrors });
+    }
+    console.error(`einvoice ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  const canManage = (req) => ['owner', 'admin', 'manager'].includes(req.user?.role);
+
+  // --- Config ---------------------------------------------------------------
+  router.get('/api/einvoice/:restaurantId/config', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireIndia(req, res); if (!r) return;
+      res.json({ success: true, config: einvoiceService.maskConfig(await loadConfig(req.params.restaurantId, r.data)) });
+    } catch (e) { sendError(res, 'load e-invoice config', e); }
+  });
+
+  router.put('/api/einvoice/:restaurantId/config', authenticateToken, async (req, res) => {
+    try {
+      if (!canManage(req)) return res.status(403).json({ error: 'Only owners, admins and managers can change e-invoice settings.' });
+      const r = await requireIndia(req, res); if (!r) return;
+      const next = einvoiceService.mergeConfig(req.body || {}, await loadConfig(req.params.restaurantId, r.data));
+      const { config, secrets } = einvoiceService.splitSecrets(next);
+      await db.collection(credentialsCol).doc(req.params.restaurantId).set({ restaurantId: req.params.restaurantId, ...secrets, updatedAt: new Date() });
+      await r.ref.update({ einvoiceConfig: config });
+      res.json({ success: true, config: einvoiceService.maskConfig(next) });
+    } catch (e) { sendError(res, 'save e-invoice config', e); }
+  });
+
+  // --- Orders ---------------------------------------------------------------
+  // Preview the INV-01 JSON and what the IRP would reject, without submitting.
+  router.get('/api/einvoice/:restaurantId/orders/:orderId/payload', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireIndia(req, res); if (!r) return;
+      const o = await getOrder(req, res); if (!o) return;
+      const payload = payloadFor(o.order, r.data);
+      res.json({ success: true, payload, errors: validatePayload(payload), eInvoice: einvoiceService.publicRecord(o.order.eInvoice) });
+    } catch (e) { sendError(res, 'build e-invoice payload', e); }
+  });
+
+  // Generate the IRN. Body may carry `buyer` { gstin, legalName, address1,
+  // address2, location, pincode } to fill what the order doesn't hold; it is
+  // kept on the order so a retry doesn't need it again.
+  router.post('/api/einvoice/:restaurantId/orders/:orderId/generate', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireIndia(req, res); if (!r) return;
+      const o = await getOrder(req, res); if (!o) return;
+      if (BLOCKED_STATUSES.includes(o.order.status)) {
+        return res.status(409).json({ error: `A ${o.order.status} order cannot be e-invoiced.` });
+      }
+      const buyer = req.body && req.body.buyer && typeof req.body.buyer === 'object' ? req.body.buyer : null;
+      const payload = payloadFor(o.order, r.data, buyer);
+      if (!payload.BuyerDtls.Gstin) {
+        return res.status(400).json({ error: 'E-invoices are for B2B bills — add the customer\'s GSTIN to the order first.' });
+      }
+
+      const { record, alreadyGenerated } = await einvoiceService.generate(payload, await loadConfig(req.params.restaurantId, r.data), {
+        existing: o.order.eInvoice, userId: req.user?.userId,
+      });
+      if (!alreadyGenerated) {
+        // Full-object merge (no dot-path — Firestore + pgAdapter safe).
+        await o.ref.set({ eInvoice: record, ...(buyer ? { eInvoiceBuyer: buyer } : {}), updatedAt: new Date() }, { merge: true });
+        try { require('../utils/kvCache').invalidateOrdersCache(req.params.restaurantId); } catch (_) {}
+      }
+      res.json({ success: true, alreadyGenerated, eInvoice: einvoiceService.publicRecord(record) });
+    } catch (e) { sendError(res, 'generate e-invoice', e); }
+  });
+
+  // Cancel the IRN (reason 1-4 + remark) within the IRP's 24-hour window.
+  router.post('/api/einvoice/:restaurantId/orders/:orderId/cancel', authenticateToken, async (req, res) => {
+    try {
+      if (!canManage(req)) return res.status(403).json({ error: 'Only owners, admins and managers can cancel e-invoices.' });
+      const r = await requireIndia(req, res); if (!r) return;
+      const o = await getOrder(req, res); if (!o) return;
+      const record = await einvoiceService.cancel(o.order.eInvoice, req.body || {}, await loadConfig(req.params.restaurantId, r.data), {
+        userId: req.user?.userId,
+      });
+      await o.ref.set({ eInvoice: record, updatedAt: new Date() }, { merge: true });
+      try { require('../utils/kvCache').invalidateOrdersCache(req.params.restaurantId); } catch (_) {}
+      res.json({ success: true, eInvoice: einvoiceService.publicRecord(record) });
+    } catch (e) { sendError(res, 'cancel e-invoice', e); }
+  });
+
+  // E-way bill against the IRN (outdoor catering moving goods). Body:
+  // { distance, transMode, transporterId, transporterName, transDocNo, transDocDate, vehicleNumber, vehicleType }
+  router.post('/api/einvoice/:restaurantId/orders/:orderId/eway-bill', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireIndia(req, res); if (!r) return;
+      const o = await getOrder(req, res); if (!o) return;
+      const { record, alreadyGenerated } = await einvoiceService.generateEwayBill(
+        o.order.eInvoice, req.body || {}, await loadConfig(req.params.restaurantId, r.data),
+      );
+      if (!alreadyGenerated) await o.ref.set({ eInvoice: record, updatedAt: new Date() }, { merge: true });
+      res.json({ success: true, alreadyGenerated, eInvoice: einvoiceService.publicRecord(record) });
+    } catch (e) { sendError(res, 'generate e-way bill', e); }
+  });
+
+  return router;
+};
@@ -10,12 +10,21 @@
  * Electron desktop app (the VSCU is on the restaurant LAN); these routes only
  * (a) hold config, (b) hand the Electron app the exact payload + target URL, and
  * (c) store the signed result back onto the order.
+ *
+ * Stores whose VSCU the backend can reach switch submissionMode to 'server':
+ * sales and refunds are then queued and submitted server-side
+ * (services/etims/etimsQueueService.js) and the relay handshake is disabled.
+ * The queue, retry and reconciliation routes are at the bottom of this file.
  */
 
 'use strict';
 
 const express = require('express');
 const etims = require('../services/etims/etimsService');
+const etimsQueue = require('../services/etims/etimsQueueService');
+const { dateBoundsInTZ, ianaToTzOffset } = require('../utils/timezone');
+
+const SUBMISSION_MODES = ['relay', 'server'];
 
 module.exports = function initEtimsRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
   const router = express.Router();
@@ -50,6 +59,7 @@ module.exports = function initEtimsRoutes(db, collections, authenticateToken, va
     bhfId: cfg.bhfId || '00',
     dvcSrlNo: cfg.dvcSrlNo || '',
     vscuUrl: cfg.vscuUrl || '',
+    submissionMode: cfg.submissionMode || 'relay',
     defaultItemClassCode: cfg.defaultItemClassCode || '',
     receiptTopMsg: cfg.receiptTopMsg || '',
     receiptBottomMsg: cfg.receiptBottomMsg || '',
@@ -71,6 +81,9 @@ module.exports = function initEtimsRoutes(db, collections, authenticateToken, va
       const r = await requireKenya(req, res); if (!r) return;
       const b = req.body || {};
       const existing = r.data.etimsConfig || {};
+      if (b.submissionMode != null && !SUBMISSION_MODES.includes(b.submissionMode)) {
+        return res.status(400).json({ error: `submissionMode must be one of: ${SUBMISSION_MODES.join(', ')}` });
+      }
       const next = {
         ...existing,
         enabled: b.enabled != null ? !!b.enabled : (existing.enabled || false),
@@ -78,6 +91,7 @@ module.exports = function initEtimsRoutes(db, collections, authenticateToken, va
         bhfId: (b.bhfId != null ? String(b.bhfId) : existing.bhfId || '00').trim(),
         dvcSrlNo: (b.dvcSrlNo != null ? String(b.dvcSrlNo) : existing.dvcSrlNo || '').trim(),
         vscuUrl: (b.vscuUrl != null ? String(b.vscuUrl) : existing.vscuUrl || '').trim().replace(/\/+$/, ''),
+        submissionMode: b.submissionMode != null ? b.submissionMode : (existing.submissionMode || 'relay'),
         defaultItemClassCode: b.defaultItemClassCode != null ? String(b.defaultItemClassCode) : (existing.defaultItemClassCode || ''),
         receiptTopMsg: b.receiptTopMsg != null ? String(b.receiptTopMsg) : (existing.receiptTopMsg || ''),
         receiptBottomMsg: b.receiptBottomMsg != null ? String(b.receiptBottomMsg) : (existing.receiptBottomMsg || ''),
@@ -202,6 +216,9 @@ module.exports = function initEtimsRoutes(db, collections, authenticateToken, va
     try {
       const r = await requireKenya(req, res); if (!r) return;
       if (!etims.isEtimsActive(r.data)) return res.status(400).json({ error: 'eTIMS device not initialised.' });
+      if (etimsQueue.isServerMode(r.data)) {
+        return res.status(409).json({ error: 'This store submits sales server-side — use the eTIMS queue instead of the relay.', submissionMode: 'server' });
+      }
       const { restaurantId } = req.params;
       const orderId = req.body && req.body.orderId;
       if (!orderId) return res.status(400).json({ error: 'orderId required' });
@@ -292,5 +309,100 @@ module.exports = function initEtimsRoutes(db, collections, authenticateToken, va
     } catch (e) { console.error('etims confirm-sale:', e); res.status(500).json({ error: 'Failed to confirm sale' }); }
   });
 
+  // --- Server-side submission queue -----------------------------------------
+  const sendQueueError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`etims ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  const requireServerMode = (r, res) => {
+    if (etimsQueue.isServerMode(r.data)) return true;
+    res.status(409).json({ error: 'Server-side submission is off — set submissionMode to "server" and initialise the device first.' });
+    return false;
+  };
+
+  // Queue an order's sale (or its credit note, once refunded) and submit now.
+  router.post('/api/etims/:restaurantId/queue/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireKenya(req, res); if (!r) return;
+      if (!requireServerMode(r, res)) return;
+      const { restaurantId, orderId } = req.params;
+      const oSnap = await db.collection('orders').doc(orderId).get();
+      if (!oSnap.exists) return res.status(404).json({ error: 'Order not found' });
+      if (oSnap.data().restaurantId !== restaurantId) return res.status(403).json({ error: 'Order does not belong to this restaurant.' });
+      const entries = await etimsQueue.syncOrder(orderId);
+      if (!entries || entries.length === 0) return res.status(409).json({ error: 'Nothing to submit — the sale is already fiscalised and has no outstanding refund.' });
+      res.json({ success: true, entries });
+    } catch (e) { sendQueueError(res, 'queue eTIMS sale', e); }
+  });
+
+  // Queue entries, newest invoice first. ?status=pending|submitting|submitted|failed
+  router.get('/api/etims/:restaurantId/queue', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireKenya(req, res); if (!r) return;
+      const entries = await etimsQueue.listEntries(req.params.restaurantId, { status: req.query.status || null });
+      res.json({ success: true, entries });
+    } catch (e) { sendQueueError(res, 'load eTIMS queue', e); }
+  });
+
+  // Submit everything due for this store now instead of waiting for the cron.
+  router.post('/api/etims/:restaurantId/queue/process', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireKenya(req, res); if (!r) return;
+      if (!requireServerMode(r, res)) return;
+      res.json({ success: true, ...(await etimsQueue.processDue({ restaurantId: req.params.restaurantId })) });
+    } catch (e) { sendQueueError(res, 'process eTIMS queue', e); }
+  });
+
+  // Put a failed entry back in the queue (after fixing the data) and submit it.
+  router.post('/api/etims/:restaurantId/queue/:entryId/retry', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireKenya(req, res); if (!r) return;
+      if (!requireServerMode(r, res)) return;
+      const entry = await etimsQueue.retry(req.params.restaurantId, req.params.entryId);
+      res.json({ success: true, entry });
+    } catch (e) { sendQueueError(res, 'retry eTIMS submission', e); }
+  });
+
+  // Sales and refunds in a date range that are not signed on KRA's side yet.
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD (store timezone; defaults to today).
+  router.get('/api/etims/:restaurantId/reconciliation', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireKenya(req, res); if (!r) return;
+      const tzOffset = ianaToTzOffset(r.data.posSettings?.timezone || 'Africa/Nairobi');
+      const today = new Date(Date.now() - tzOffset * 60000).toISOString().slice(0, 10);
+      const from = req.query.from || today;
+      const to = req.query.to || from;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+        return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+      }
+      const report = await etimsQueue.reconciliation(
+        req.params.restaurantId,
+        dateBoundsInTZ(from, tzOffset).start,
+        dateBoundsInTZ(to, tzOffset).end,
+      );
+      res.json({ success: true, from, to, ...report });
+    } catch (e) { sendQueueError(res, 'build eTIMS reconciliation', e); }
+  });
+
+  // Cron: submit due entries for every store. Same auth as the other crons —
+  // Vercel's `Authorization: Bearer <CRON_SECRET>`, or `x-cron-secret`.
+  const processQueueCron = async (req, res) => {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const secret = bearer || req.headers['x-cron-secret'];
+    if (!process.env.CRON_SECRET || secret !== process.env.CRON_SECRET) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    try {
+      res.json({ ok: true, ...(await etimsQueue.processDue({ limit: 200 })) });
+    } catch (e) {
+      console.error('[etims] cron process-queue error:', e.message);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+  router.get('/api/cron/etims-process-queue', processQueueCron);
+  router.post('/api/cron/etims-process-queue', processQueueCron);
+
   return router;
 };
@@ -0,0 +1,188 @@
+/**
+ * Food-cost reports for one outlet — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/foodCostRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Variance report, live plate cost and margins per menu item, cost history,
+ * food-cost % alerts and the menu-engineering matrix. Logic lives in inventory/ (pure) and
+ * services/foodCostService.js (loading, recalculation). The org-wide,
+ * outlet-by-outlet versions are in routes/hqReportsRoutes.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const foodCostService = require('../services/foodCostService');
+const costing = require('../inventory/costing');
+const menuEngineering = require('../inventory/menuEngineering');
+const { dateBoundsInTZ, ianaToTzOffset } = require('../utils/timezone');
+
+module.exports = function initFoodCostRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller may see this restaurant's costs. Returns null + sends the response on failure.
+  const requireCostAccess = async (req, res) => {
+    if (!['owner', 'admin', 'manager'].includes(req.user?.role)) {
+      res.status(403).json({ error: 'Only owners, admins and managers can view food-cost reports.' });
+      return null;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`food-cost ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD in store time; defaults to month to date.
+  // Returns null + sends 400 on bad input.
+  const parsePeriod = (req, res, rData) => {
+    const tzOffset = ianaToTzOffset(rData.posSettings?.timezone || 'Asia/Kolkata');
+    const today = new Date(Date.now() - tzOffset * 60000).toISOString().slice(0, 10);
+    const from = req.query.from || `${today.slice(0, 8)}01`;
+    const to = req.query.to || today;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+      res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+      return null;
+    }
+    return { from, to, start: dateBoundsInTZ(from, tzOffset).start, end: dateBoundsInTZ(to, tzOffset).end };
+  };
+
+  // Returns null + sends 400 on bad input.
+  const parseMatrixOptions = (req, res) => {
+    const { groupBy = 'category', popularityFactor } = req.query;
+    if (!menuEngineering.GROUP_BY.includes(groupBy)) {
+      res.status(400).json({ error: `groupBy must be one of: ${menuEngineering.GROUP_BY.join(', ')}` });
+      return null;
+    }
+    if (popularityFactor !== undefined && !(Number(popularityFactor) > 0 && Number(popularityFactor) <= 1)) {
+      res.status(400).json({ error: 'popularityFactor must be between 0 and 1' });
+      return null;
+    }
+    return { groupBy, popularityFactor: popularityFactor !== undefined ? Number(popularityFactor) : undefined };
+  };
+
+  // Per-ingredient theoretical vs. actual usage between physical counts.
+  router.get('/api/food-cost/:restaurantId/variance', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const period = parsePeriod(req, res, r.data); if (!period) return;
+      const report = await foodCostService.varianceReport(req.params.restaurantId, period.start, period.end);
+      res.json({ success: true, from: period.from, to: period.to, ...report });
+    } catch (e) { sendError(res, 'build variance report', e); }
+  });
+
+  // Kasavana-Smith matrix: ?from&to&groupBy=category|menu&popularityFactor=0.7
+  router.get('/api/food-cost/:restaurantId/menu-engineering', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const period = parsePeriod(req, res, r.data); if (!period) return;
+      const opts = parseMatrixOptions(req, res); if (!opts) return;
+      const matrix = await foodCostService.menuEngineering(req.params.restaurantId, period.start, period.end, opts);
+      res.json({ success: true, from: period.from, to: period.to, ...matrix });
+    } catch (e) { sendError(res, 'build menu-engineering matrix', e); }
+  });
+
+  // --- Settings --------------------------------------------------------------
+  router.get('/api/food-cost/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      res.json({ success: true, settings: costing.settingsFor(r.data) });
+    } catch (e) { sendError(res, 'load food-cost settings', e); }
+  });
+
+  router.put('/api/food-cost/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const body = req.body || {};
+      if (body.costingMethod !== undefined && !costing.COSTING_METHODS.includes(body.costingMethod)) {
+        return res.status(400).json({ error: `costingMethod must be one of: ${costing.COSTING_METHODS.join(', ')}` });
+      }
+      if (body.alertThresholdPercent !== undefined && !(Number(body.alertThresholdPercent) > 0 && Number(body.alertThresholdPercent) < 100)) {
+        return res.status(400).json({ error: 'alertThresholdPercent must be between 0 and 100' });
+      }
+      const foodCostSettings = costing.settingsFor({ foodCostSettings: { ...(r.data.foodCostSettings || {}), ...body } });
+      await r.ref.update({ foodCostSettings });
+      foodCostService.recalculateInBackground(req.params.restaurantId, 'settings');
+      res.json({ success: true, settings: foodCostSettings });
+    } catch (e) { sendError(res, 'save food-cost settings', e); }
+  });
+
+  // --- Plate cost & margins --------------------------------------------------
+  // Live: priced now from current batches / costs; nothing is stored.
+  router.get('/api/food-cost/:restaurantId/menu-costs', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const result = await foodCostService.menuCosting(req.params.restaurantId);
+      const items = req.query.menuItemId ? result.items.filter(i => i.menuItemId === req.query.menuItemId) : result.items;
+      res.json({ success: true, settings: result.settings, summary: result.summary, items });
+    } catch (e) { sendError(res, 'calculate menu costs', e); }
+  });
+
+  router.post('/api/food-cost/:restaurantId/menu-costs/recalculate', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const summary = await foodCostService.recalculate(req.params.restaurantId, 'manual');
+      res.json({ success: true, summary });
+    } catch (e) { sendError(res, 'recalculate menu costs', e); }
+  });
+
+  // Cost / price changes, newest first. ?menuItemId=&limit=
+  router.get('/api/food-cost/:restaurantId/menu-costs/history', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+      let query = db.collection(collections.menuCostHistory).where('restaurantId', '==', req.params.restaurantId);
+      if (req.query.menuItemId) query = query.where('menuItemId', '==', req.query.menuItemId);
+      const snap = await query.orderBy('createdAt', 'desc').limit(limit).get();
+      res.json({ success: true, history: snap.docs.map(d => ({ id: d.id, ...d.data() })) });
+    } catch (e) { sendError(res, 'load menu cost history', e); }
+  });
+
+  // --- Alerts ----------------------------------------------------------------
+  // ?status=open|acknowledged|resolved|all (default open)
+  router.get('/api/food-cost/:restaurantId/alerts', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const status = req.query.status || 'open';
+      let query = db.collection(collections.foodCostAlerts).where('restaurantId', '==', req.params.restaurantId);
+      if (status !== 'all') query = query.where('status', '==', status);
+      const snap = await query.get();
+      const alerts = snap.docs.map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => (b.foodCostPercent || 0) - (a.foodCostPercent || 0));
+      res.json({ success: true, alerts });
+    } catch (e) { sendError(res, 'load food-cost alerts', e); }
+  });
+
+  router.post('/api/food-cost/:restaurantId/alerts/:alertId/acknowledge', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireCostAccess(req, res); if (!r) return;
+      const ref = db.collection(collections.foodCostAlerts).doc(req.params.alertId);
+      const snap = await ref.get();
+      if (!snap.exists || snap.data().restaurantId !== req.params.restaurantId) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (snap.data().status !== 'open') return res.status(409).json({ error: `Alert is already ${snap.data().status}` });
+      const update = { status: 'acknowledged', acknowledgedAt: new Date(), acknowledgedBy: req.user.userId, note: String(req.body?.note || '').slice(0, 500) };
+      await ref.update(update);
+      res.json({ success: true, alert: { id: ref.id, ...snap.data(), ...update } });
+    } catch (e) { sendError(res, 'acknowledge alert', e); }
+  });
+
+  return router;
+};
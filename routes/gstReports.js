@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../firebase');
 const { authenticateToken } = require('../middleware/auth');
+const { buildGstr1, classifyOrder, invoiceLines } = require('../gst/gstr1');
+const { stateCodeFromGstin, normalizeGstin, isValidGstin } = require('../gst/states');
+const { isValidPeriod, periodBounds } = require('../ledger/periodLock');
+const { parseTZ } = require('../utils/timezone');
 
 router.use(authenticateToken);
 
@@ -32,11 +36,15 @@ router.get('/:restaurantId/gstr1', async (req, res) => {
     const { start, end } = getMonthRange(month);
 
     // Fetch orders for the month
-    const orderSnap = await db.collection('orders')
-      .where('restaurantId', '==', restaurantId)
-      .where('createdAt', '>=', start)
-      .where('createdAt', '<=', end)
-      .get();
+    const [orderSnap, restaurantDoc] = await Promise.all([
+      db.collection('orders')
+        .where('restaurantId', '==', restaurantId)
+        .where('createdAt', '>=', start)
+        .where('createdAt', '<=', end)
+        .get(),
+      db.collection('restaurants').doc(restaurantId).get(),
+    ]);
+    const supplierState = stateCodeFromGstin(restaurantDoc.exists ? restaurantDoc.data().gstin : null);
 
     let totalTaxableValue = 0, totalCGST = 0, totalSGST = 0, totalIGST = 0, totalInvoiceValue = 0;
     const invoices = [];
@@ -54,8 +62,10 @@ router.get('/:restaurantId/gstr1', async (req, res) => {
       const effectiveTax = Math.round(taxAmount * (1 - refundRatio) * 100) / 100;
       const effectiveTotal = Math.round((orderTotal - totalRefund) * 100) / 100;
       const taxableValue = effectiveTotal - effectiveTax;
-      const gstRate = order.taxBreakdown?.[0]?.rate || order.taxRate || 5;
-      const gst = splitGST(effectiveTax, gstRate);
+      // Full GST rate (CGST+SGST halves combined) and place-of-supply based IGST split
+      const gstRate = invoiceLines(order).lines.reduce((max, l) => Math.max(max, l.rate), 0) || order.taxRate || 5;
+      const supply = classifyOrder(order, supplierState);
+      const gst = splitGST(effectiveTax, gstRate, supply.interState);
 
       totalTaxableValue += taxableValue;
       totalCGST += gst.cgst;
@@ -69,6 +79,9 @@ router.get('/:restaurantId/gstr1', async (req, res) => {
         date: order.createdAt?.toDate?.() || order.createdAt,
         customerName: order.customerName || 'Walk-in',
         customerPhone: order.customerPhone || '',
+        customerGstin: supply.ctin || undefined,
+        supplyType: supply.section,
+        placeOfSupply: supply.pos,
         orderType: order.orderType || 'dine-in',
         taxableValue: Math.round(taxableValue * 100) / 100,
         gstRate,
@@ -102,6 +115,64 @@ router.get('/:restaurantId/gstr1', async (req, res) => {
   }
 });
 
+// ── GET /api/gst/:restaurantId/gstr1/portal-json ─────────────────
+// GSTR-1 in the GST portal offline-tool JSON schema.
+// ?month=YYYY-MM, ?tz=<getTimezoneOffset()>, ?download=true for the upload file only.
+router.get('/:restaurantId/gstr1/portal-json', async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { month, download } = req.query;
+    if (!isValidPeriod(month)) return res.status(400).json({ error: 'month query param required (YYYY-MM)' });
+
+    const restaurantDoc = await db.collection('restaurants').doc(restaurantId).get();
+    if (!restaurantDoc.exists) return res.status(404).json({ error: 'Restaurant not found' });
+    const gstin = normalizeGstin(restaurantDoc.data().gstin);
+    if (!isValidGstin(gstin)) {
+      return res.status(400).json({ error: 'Set a valid restaurant GSTIN before generating the GSTR-1 file' });
+    }
+
+    const { start, end } = periodBounds(month, parseTZ(req));
+    const [orderSnap, refundSnap] = await Promise.all([
+      db.collection('orders')
+        .where('restaurantId', '==', restaurantId)
+        .where('createdAt', '>=', start)
+        .where('createdAt', '<=', end)
+        .get(),
+      // refundedAt is stored as an ISO string
+      db.collection('orders')
+        .where('restaurantId', '==', restaurantId)
+        .where('refundedAt', '>=', start.toISOString())
+        .where('refundedAt', '<=', end.toISOString())
+        .get(),
+    ]);
+
+    const orders = orderSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+    const refunds = new Map(refundSnap.docs.map(d => [d.id, { id: d.id, ...d.data() }]));
+    // Older refunds carry no refundedAt — treat them as refunded in the month of sale
+    orders
+      .filter(o => o.status === 'refunded' && !o.refundedAt)
+      .forEach(o => refunds.set(o.id, o));
+
+    const result = buildGstr1(orders, {
+      gstin,
+      month,
+      refunds: [...refunds.values()],
+      tzOffset: parseTZ(req),
+    });
+
+    if (download === 'true') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename=GSTR1_${gstin}_${result.gstr1.fp}.json`);
+      return res.send(JSON.stringify(result.gstr1));
+    }
+
+    res.json({ month, restaurantId, ...result });
+  } catch (err) {
+    console.error('GSTR-1 portal JSON error:', err);
+    res.status(500).json({ error: 'Failed to generate GSTR-1 portal JSON' });
+  }
+});
+
 // ── GET /api/gst/:restaurantId/gstr3b ────────────────────────────
 // Generate GSTR-3B summary
 router.get('/:restaurantId/gstr3b', async (req, res) => {
@@ -4,6 +4,7 @@ const { db, collections } = require('../firebase');
 const { authenticateToken, requireOwnerRole } = require('../middleware/auth');
 const { requireOrgAccess, getOwnerId, getOrgOutlets } = require('../middleware/orgAccess');
 const { parseTZ, dateBoundsInTZ, dateStrInTZ } = require('../utils/timezone');
+const foodCostService = require('../services/foodCostService');
 
 // ============================================
 // HQ-LEVEL CROSS-OUTLET REPORTS
@@ -1918,10 +1919,24 @@ router.get('/:orgId/export/:reportType', ...reportMiddleware, async (req, res) =
         break;
       }
 
+      case 'menu-engineering': {
+        filename = `menu-engineering-${orgId}.csv`;
+        const meOpts = parseMenuEngineeringOptions(req.query);
+        if (meOpts.error) return res.status(400).json({ success: false, error: meOpts.error });
+        csvContent += 'Outlet,Group,Item,Category,Qty Sold,Menu Mix %,Avg Price,Avg Cost,Contribution Margin,Total Contribution,Food Cost %,Popularity,Profitability,Class,Recommendation\n';
+        const meReports = await getOutletMenuEngineering(outlets, startDate, endDate, meOpts);
+        meReports.forEach(({ outlet, matrix }) => {
+          (matrix?.items || []).forEach(i => {
+            csvContent += `${escapeCsvField(outlet.name)},${escapeCsvField(i.group)},${escapeCsvField(i.name)},${escapeCsvField(i.category)},${i.sold},${i.menuMixPercent ?? ''},${i.avgPrice},${i.avgCost},${i.contributionMargin},${i.totalContribution},${i.foodCostPercent ?? ''},${i.popularity || ''},${i.profitability || ''},${i.classification},${i.recommendation || ''}\n`;
+          });
+        });
+        break;
+      }
+
       default:
         return res.status(400).json({
           success: false,
-          error: `Invalid report type: '${reportType}'. Valid types: inventory, pl, indents, outlet-ranking, sales-summary, staff-performance, category-sales, discount-report, tax-summary, customer-insights, payment-analytics, order-analytics, revenue-trends, wallet-loyalty, menu-performance, item-sales`
+          error: `Invalid report type: '${reportType}'. Valid types: inventory, pl, indents, outlet-ranking, sales-summary, staff-performance, category-sales, discount-report, tax-summary, customer-insights, payment-analytics, order-analytics, revenue-trends, wallet-loyalty, menu-performance, item-sales, menu-engineering`
         });
     }
 
@@ -2407,4 +2422,144 @@ router.get('/:orgId/wallet-loyalty', ...reportMiddleware, async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════
+//  19. GET /:orgId/food-cost-variance
+//     Theoretical vs. actual ingredient variance, outlet by outlet
+// ═══════════════════════════════════════════════
+router.get('/:orgId/food-cost-variance', ...reportMiddleware, async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { startDate, endDate } = parseDateRange(req.query);
+    const outlets = filterOutlets(await getOrgOutlets(orgId), parseRestaurantIds(req));
+    const round = v => Math.round(v * 100) / 100;
+
+    if (outlets.length === 0) {
+      return res.json({ success: true, outlets: [], items: [], totals: null });
+    }
+
+    const reports = await Promise.all(outlets.map(async (outlet) => {
+      try {
+        return { outlet, report: await foodCostService.varianceReport(outlet.id, startDate, endDate) };
+      } catch (err) {
+        console.error(`Food-cost variance failed for outlet ${outlet.id}:`, err.message);
+        return { outlet, report: null };
+      }
+    }));
+
+    // Rows = ingredient names (outlets keep their own inventory docs), columns = outlets
+    const byName = {};
+    reports.forEach(({ outlet, report }) => {
+      (report?.items || []).filter(i => i.status === 'ok').forEach(item => {
+        const key = item.name.toLowerCase().trim();
+        if (!byName[key]) byName[key] = { itemName: item.name, unit: item.unit, totalVarianceValue: 0, outlets: {} };
+        byName[key].outlets[outlet.id] = {
+          variance: item.variance,
+          varianceValue: item.varianceValue,
+          variancePercent: item.variancePercent,
+          theoreticalUsage: item.theoreticalUsage,
+        };
+        byName[key].totalVarianceValue = round(byName[key].totalVarianceValue + item.varianceValue);
+      });
+    });
+    const items = Object.values(byName).sort((a, b) => Math.abs(b.totalVarianceValue) - Math.abs(a.totalVarianceValue));
+
+    const outletRows = reports.map(({ outlet, report }) => ({
+      id: outlet.id,
+      name: outlet.name,
+      outletType: outlet.outletType,
+      failed: !report,
+      totals: report ? report.totals : null,
+      topItems: report ? report.items.filter(i => i.status === 'ok').slice(0, 10) : [],
+    })).sort((a, b) => Math.abs(b.totals?.netVarianceValue || 0) - Math.abs(a.totals?.netVarianceValue || 0));
+
+    const sum = (field) => round(reports.reduce((s, r) => s + (r.report?.totals[field] || 0), 0));
+    return res.json({
+      success: true,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      totals: {
+        theoreticalCost: sum('theoreticalCost'),
+        wasteValue: sum('wasteValue'),
+        shortageValue: sum('shortageValue'),
+        surplusValue: sum('surplusValue'),
+        netVarianceValue: sum('netVarianceValue'),
+      },
+      outlets: outletRows,
+      items,
+    });
+  } catch (error) {
+    console.error('Food-cost variance error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to generate food-cost variance report' });
+  }
+});
+
+// ═══════════════════════════════════════════════
+//  20. GET /:orgId/menu-engineering
+//     Stars / plowhorses / puzzles / dogs per outlet (each outlet has its own menu)
+//     ?groupBy=category|menu&popularityFactor=0.7
+// ═══════════════════════════════════════════════
+router.get('/:orgId/menu-engineering', ...reportMiddleware, async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { startDate, endDate } = parseDateRange(req.query);
+    const opts = parseMenuEngineeringOptions(req.query);
+    if (opts.error) return res.status(400).json({ success: false, error: opts.error });
+    const outlets = filterOutlets(await getOrgOutlets(orgId), parseRestaurantIds(req));
+
+    if (outlets.length === 0) {
+      return res.json({ success: true, outlets: [], totals: null });
+    }
+
+    const reports = await getOutletMenuEngineering(outlets, startDate, endDate, opts);
+    const sum = (field) => reports.reduce((s, r) => s + (r.matrix?.totals[field] || 0), 0);
+    return res.json({
+      success: true,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      groupBy: opts.groupBy,
+      totals: {
+        stars: sum('stars'),
+        plowhorses: sum('plowhorses'),
+        puzzles: sum('puzzles'),
+        dogs: sum('dogs'),
+        uncosted: sum('uncosted'),
+        totalContribution: Math.round(sum('totalContribution') * 100) / 100,
+      },
+      outlets: reports.map(({ outlet, matrix }) => ({
+        id: outlet.id,
+        name: outlet.name,
+        outletType: outlet.outletType,
+        failed: !matrix,
+        totals: matrix ? matrix.totals : null,
+        groups: matrix ? matrix.groups : [],
+        items: matrix ? matrix.items : [],
+      })),
+    });
+  } catch (error) {
+    console.error('Menu engineering error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to generate menu engineering report' });
+  }
+});
+
+// ─── Helper: Validate menu-engineering query options ─────────────────────────
+function parseMenuEngineeringOptions(query) {
+  const groupBy = query.groupBy || 'category';
+  if (!['category', 'menu'].includes(groupBy)) return { error: 'groupBy must be category or menu' };
+  const factor = query.popularityFactor !== undefined ? Number(query.popularityFactor) : undefined;
+  if (factor !== undefined && !(factor > 0 && factor <= 1)) return { error: 'popularityFactor must be between 0 and 1' };
+  return { groupBy, popularityFactor: factor };
+}
+
+// ─── Helper: Menu-engineering matrix per outlet (a failing outlet → matrix null) ─
+async function getOutletMenuEngineering(outlets, startDate, endDate, opts) {
+  return Promise.all(outlets.map(async (outlet) => {
+    try {
+      return { outlet, matrix: await foodCostService.menuEngineering(outlet.id, startDate, endDate, opts) };
+    } catch (err) {
+      console.error(`Menu engineering failed for outlet ${outlet.id}:`, err.message);
+      return { outlet, matrix: null };
+    }
+  }));
+}
+
 module.exports = router;
@@ -0,0 +1,115 @@
+/**
+ * Supplier invoice three-way match exceptions — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/invoiceMatchRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Match tolerances, the exception queue, resolving an exception (which
+ * releases the payment hold) and the aged unmatched-invoice report. The match
+ * itself still runs from POST /api/supplier-invoices/:restaurantId/:invoiceId/match
+ * in index.js. Logic lives in inventory/invoiceMatch.js (pure) and
+ * services/invoiceMatchService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const invoiceMatchService = require('../services/invoiceMatchService');
+const invoiceMatch = require('../inventory/invoiceMatch');
+
+const REVIEWER_ROLES = ['owner', 'admin', 'manager'];
+
+module.exports = function initInvoiceMatchRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller belongs to this restaurant; `roles` narrows who may call.
+  // Returns null + sends the response on failure.
+  const requireAccess = async (req, res, roles = null) => {
+    if (roles && !roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return null;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`invoice-matching ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  // --- Settings ----------------------------------------------------------------
+  router.get('/api/invoice-matching/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      res.json({ success: true, settings: invoiceMatch.settingsFor(r.data) });
+    } catch (e) { sendError(res, 'load match settings', e); }
+  });
+
+  router.put('/api/invoice-matching/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res, ['owner', 'admin']); if (!r) return;
+      const body = req.body || {};
+      for (const key of ['priceTolerancePct', 'quantityTolerancePct', 'amountTolerance']) {
+        if (body[key] !== undefined && !(Number(body[key]) >= 0)) {
+          return res.status(400).json({ error: `${key} must be zero or more` });
+        }
+      }
+      for (const key of ['autoDebitNotes', 'holdOnException']) {
+        if (body[key] !== undefined && typeof body[key] !== 'boolean') {
+          return res.status(400).json({ error: `${key} must be true or false` });
+        }
+      }
+      const merged = { ...(r.data.invoiceMatchSettings || {}), ...body };
+      const invoiceMatchSettings = invoiceMatch.settingsFor({ invoiceMatchSettings: merged });
+      await r.ref.update({ invoiceMatchSettings });
+      res.json({ success: true, settings: invoiceMatchSettings });
+    } catch (e) { sendError(res, 'save match settings', e); }
+  });
+
+  // --- Exception queue ---------------------------------------------------------
+  router.get('/api/invoice-matching/:restaurantId/exceptions', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      const invoices = await invoiceMatchService.exceptionQueue(req.params.restaurantId);
+      res.json({
+        success: true,
+        invoices,
+        total: invoices.length,
+        onHoldAmount: invoices.filter(i => i.paymentHold).reduce((sum, i) => sum + invoiceMatch.outstanding(i), 0),
+      });
+    } catch (e) { sendError(res, 'load match exceptions', e); }
+  });
+
+  // body { notes, releaseHold = true }
+  router.post('/api/invoice-matching/:restaurantId/exceptions/:invoiceId/resolve', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res, REVIEWER_ROLES); if (!r) return;
+      const { notes, releaseHold } = req.body || {};
+      const invoice = await invoiceMatchService.resolveException(req.params.restaurantId, req.params.invoiceId, req.user, { notes, releaseHold });
+      res.json({ success: true, invoice });
+    } catch (e) { sendError(res, 'resolve match exception', e); }
+  });
+
+  router.get('/api/invoice-matching/:restaurantId/aged-unmatched', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      res.json({ success: true, ...(await invoiceMatchService.agedUnmatched(req.params.restaurantId)) });
+    } catch (e) { sendError(res, 'load unmatched invoices', e); }
+  });
+
+  return router;
+};
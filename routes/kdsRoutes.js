@@ -0,0 +1,133 @@
+/**
+ * Kitchen Display System routes — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/kdsRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Tickets are fired by the same order hooks that push KOT prints (see
+ * services/kdsService.js), one per print station, so a screen can replace or
+ * run beside that station's printer. Screens listen on
+ * events/{restaurantId}/kds and re-fetch their queue on each event.
+ */
+
+'use strict';
+
+const express = require('express');
+const kds = require('../kds/tickets');
+const kdsService = require('../services/kdsService');
+
+module.exports = function initKdsRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller has access to THIS restaurant. Returns null + sends the response on failure.
+  const requireRestaurant = async (req, res) => {
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`kds ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  const canManage = (req) => ['owner', 'admin', 'manager'].includes(req.user?.role);
+
+  // Enabled print stations double as KDS stations; with none configured
+  // everything routes to a single 'default' station.
+  const stationsFor = (rData) => {
+    const enabled = (rData.printStations || []).filter(s => s.enabled);
+    if (enabled.length === 0) return [{ id: kds.DEFAULT_STATION_ID, name: 'Kitchen' }];
+    return enabled.map(s => ({ id: s.id, name: s.name }));
+  };
+
+  // --- Stations + settings ---------------------------------------------------
+  router.get('/api/kds/:restaurantId/stations', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireRestaurant(req, res); if (!r) return;
+      res.json({ success: true, stations: stationsFor(r.data), settings: kds.settingsFor(r.data) });
+    } catch (e) { sendError(res, 'load KDS stations', e); }
+  });
+
+  router.get('/api/kds/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireRestaurant(req, res); if (!r) return;
+      res.json({ success: true, settings: kds.settingsFor(r.data) });
+    } catch (e) { sendError(res, 'load KDS settings', e); }
+  });
+
+  router.put('/api/kds/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      if (!canManage(req)) return res.status(403).json({ error: 'Only owners, admins and managers can change KDS settings.' });
+      const r = await requireRestaurant(req, res); if (!r) return;
+      const body = req.body || {};
+      for (const field of ['warnMinutes', 'lateMinutes', 'recallMinutes']) {
+        if (body[field] !== undefined && !(Number(body[field]) > 0)) {
+          return res.status(400).json({ error: `${field} must be a positive number of minutes` });
+        }
+      }
+      const kdsSettings = kds.settingsFor({ kdsSettings: { ...(r.data.kdsSettings || {}), ...body } });
+      await r.ref.update({ kdsSettings });
+      res.json({ success: true, settings: kdsSettings });
+    } catch (e) { sendError(res, 'save KDS settings', e); }
+  });
+
+  // --- Screens ---------------------------------------------------------------
+  router.get('/api/kds/:restaurantId/stations/:stationId/tickets', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireRestaurant(req, res); if (!r) return;
+      const now = new Date();
+      const tickets = (await kdsService.recentTickets(req.params.restaurantId, now))
+        .filter(t => t.stationId === req.params.stationId);
+      res.json({ success: true, stationId: req.params.stationId, ...kds.stationView(tickets, kds.settingsFor(r.data), now) });
+    } catch (e) { sendError(res, 'load KDS tickets', e); }
+  });
+
+  router.get('/api/kds/:restaurantId/expo', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireRestaurant(req, res); if (!r) return;
+      const now = new Date();
+      const tickets = await kdsService.recentTickets(req.params.restaurantId, now);
+      res.json({ success: true, ...kds.expoView(tickets, kds.settingsFor(r.data), now) });
+    } catch (e) { sendError(res, 'load expo view', e); }
+  });
+
+  // --- Ticket actions: start | ready | bump | recall ---------------------------
+  // Body { lineIds } limits the action to those items; otherwise the whole ticket.
+  router.post('/api/kds/:restaurantId/tickets/:ticketId/:action', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireRestaurant(req, res); if (!r) return;
+      const { restaurantId, ticketId, action } = req.params;
+      const lineIds = Array.isArray(req.body?.lineIds) ? req.body.lineIds : null;
+      const ticket = await kdsService.applyTicketAction(restaurantId, ticketId, action, { lineIds, userId: req.user?.userId || null });
+      res.json({ success: true, ticket: kds.serializeTicket(ticket, kds.settingsFor(r.data), new Date()) });
+    } catch (e) { sendError(res, `${req.params.action} KDS ticket`, e); }
+  });
+
+  // Re-run ticket sync for one order (e.g. after changing station routing).
+  router.post('/api/kds/:restaurantId/orders/:orderId/sync', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireRestaurant(req, res); if (!r) return;
+      const orderSnap = await db.collection(collections.orders).doc(req.params.orderId).get();
+      if (!orderSnap.exists || orderSnap.data().restaurantId !== req.params.restaurantId) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      const result = await kdsService.syncOrder(req.params.orderId, r.data);
+      res.json({ success: true, ...result });
+    } catch (e) { sendError(res, 'sync KDS tickets', e); }
+  });
+
+  return router;
+};
@@ -1,38 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const { db } = require('../firebase');
+const { db, collections } = require('../firebase');
 const { authenticateToken } = require('../middleware/auth');
+const { entryLines, sumLines, validateEntryLines } = require('../ledger/postingRules');
+const { isValidPeriod, periodBounds } = require('../ledger/periodLock');
+const {
+  buildProfitAndLoss,
+  buildBalanceSheet,
+  buildCashFlow,
+  buildGeneralLedger,
+} = require('../ledger/statements');
+const statementExport = require('../ledger/statementExport');
+const externalExport = require('../ledger/externalExport');
+const { parseTZ, dateBoundsInTZ, dateStrInTZ } = require('../utils/timezone');
+const ledgerPostingService = require('../services/ledgerPostingService');
 
 router.use(authenticateToken);
 
-// Default chart of accounts for restaurants
-const DEFAULT_ACCOUNTS = [
-  { code: '1000', name: 'Cash', type: 'asset', parentCode: null },
-  { code: '1010', name: 'Bank Account', type: 'asset', parentCode: null },
-  { code: '1020', name: 'Accounts Receivable', type: 'asset', parentCode: null },
-  { code: '1030', name: 'Inventory', type: 'asset', parentCode: null },
-  { code: '2000', name: 'Accounts Payable', type: 'liability', parentCode: null },
-  { code: '2010', name: 'GST Payable', type: 'liability', parentCode: null },
-  { code: '2020', name: 'Salaries Payable', type: 'liability', parentCode: null },
-  { code: '3000', name: 'Owner Equity', type: 'equity', parentCode: null },
-  { code: '3010', name: 'Retained Earnings', type: 'equity', parentCode: null },
-  { code: '4000', name: 'Sales Revenue', type: 'revenue', parentCode: null },
-  { code: '4010', name: 'Delivery Revenue', type: 'revenue', parentCode: null },
-  { code: '4020', name: 'Takeaway Revenue', type: 'revenue', parentCode: null },
-  { code: '5000', name: 'Cost of Goods Sold', type: 'expense', parentCode: null },
-  { code: '5010', name: 'Food Costs', type: 'expense', parentCode: '5000' },
-  { code: '5020', name: 'Beverage Costs', type: 'expense', parentCode: '5000' },
-  { code: '6000', name: 'Rent', type: 'expense', parentCode: null },
-  { code: '6010', name: 'Utilities', type: 'expense', parentCode: null },
-  { code: '6020', name: 'Salaries & Wages', type: 'expense', parentCode: null },
-  { code: '6030', name: 'Marketing', type: 'expense', parentCode: null },
-  { code: '6040', name: 'Insurance', type: 'expense', parentCode: null },
-  { code: '6050', name: 'Repairs & Maintenance', type: 'expense', parentCode: null },
-  { code: '6060', name: 'Supplies', type: 'expense', parentCode: null },
-  { code: '6070', name: 'Licenses & Permits', type: 'expense', parentCode: null },
-  { code: '6080', name: 'Equipment', type: 'expense', parentCode: null },
-  { code: '6090', name: 'Miscellaneous Expenses', type: 'expense', parentCode: null },
-];
+// index.js hands over its restaurant access check through setAccessCheck
+let validateRestaurantAccess = null;
+
+// Guard: caller has access to THIS restaurant. Returns false + sends the
+// response on failure.
+async function requireAccess(req, res) {
+  if (typeof validateRestaurantAccess !== 'function') return true;
+  const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, req.params.restaurantId);
+  if (!hasAccess) res.status(403).json({ error: 'Access denied for this restaurant.' });
+  return hasAccess;
+}
 
 // ── GET /api/ledger/:restaurantId/accounts ────────────────────────
 // Get chart of accounts (auto-seed on first access)
@@ -40,33 +35,14 @@ router.get('/:restaurantId/accounts', async (req, res) => {
   try {
     const { restaurantId } = req.params;
 
-    let snap = await db.collection('chartOfAccounts')
+    // Seeds the default chart on first access and backfills newer system accounts
+    await ledgerPostingService.ensureAccounts(restaurantId);
+
+    const snap = await db.collection('chartOfAccounts')
       .where('restaurantId', '==', restaurantId)
       .orderBy('code', 'asc')
       .get();
 
-    // Auto-seed if empty
-    if (snap.empty) {
-      const batch = db.batch();
-      DEFAULT_ACCOUNTS.forEach(acc => {
-        const ref = db.collection('chartOfAccounts').doc();
-        batch.set(ref, {
-          ...acc,
-          restaurantId,
-          isSystem: true,
-          balance: 0,
-          createdAt: new Date(),
-        });
-      });
-      await batch.commit();
-
-      // Re-fetch
-      snap = await db.collection('chartOfAccounts')
-        .where('restaurantId', '==', restaurantId)
-        .orderBy('code', 'asc')
-        .get();
-    }
-
     const accounts = snap.docs.map(d => ({ id: d.id, ...d.data() }));
     res.json({ accounts, total: accounts.length });
   } catch (err) {
@@ -95,7 +71,7 @@ router.get('/:restaurantId/entries', async (req, res) => {
 
     // Client-side filter for account/type (Firestore can't do multiple range + equality)
     if (account) {
-      entries = entries.filter(e => e.debitAccount === account || e.creditAccount === account);
+      entries = entries.filter(e => entryLines(e).some(l => l.accountCode === account));
     }
     if (type) {
       entries = entries.filter(e => e.reference?.type === type);
@@ -109,51 +85,234 @@ router.get('/:restaurantId/entries', async (req, res) => {
 });
 
 // ── POST /api/ledger/:restaurantId/entries ────────────────────────
-// Create a manual journal entry
+// Create a manual journal entry. Either compound `lines`
+// ([{ accountCode, debit, credit, memo }], must balance) or the legacy
+// debitAccount/creditAccount/amount pair.
 router.post('/:restaurantId/entries', async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { date, description, debitAccount, creditAccount, amount, reference } = req.body;
+    const { date, description, debitAccount, creditAccount, amount, reference, isAdjustment } = req.body;
+
+    let rawLines = req.body.lines;
+    if (!Array.isArray(rawLines)) {
+      if (!debitAccount || !creditAccount || !amount) {
+        return res.status(400).json({ error: 'lines, or debitAccount, creditAccount, and amount are required' });
+      }
+      if (debitAccount === creditAccount) {
+        return res.status(400).json({ error: 'Debit and credit accounts must be different' });
+      }
+      rawLines = [
+        { accountCode: debitAccount, debit: amount, credit: 0 },
+        { accountCode: creditAccount, debit: 0, credit: amount },
+      ];
+    }
 
-    if (!debitAccount || !creditAccount || !amount) {
-      return res.status(400).json({ error: 'debitAccount, creditAccount, and amount are required' });
+    const validation = validateEntryLines(rawLines);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
 
-    if (debitAccount === creditAccount) {
-      return res.status(400).json({ error: 'Debit and credit accounts must be different' });
+    const entryDate = date ? new Date(date) : new Date();
+    if (isNaN(entryDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
     }
 
+    // Closed periods are immutable — corrections go in as adjusting entries in an open period
+    const lockedBy = await ledgerPostingService.getLockingPeriod(restaurantId, entryDate);
+    if (lockedBy) {
+      return res.status(409).json({
+        error: `Accounting period ${lockedBy.period} is closed. Post an adjusting entry dated in an open period instead.`,
+        code: 'PERIOD_LOCKED',
+        period: lockedBy.period,
+      });
+    }
+
+    // Look up account names
+    const accountNames = await ledgerPostingService.ensureAccounts(restaurantId);
+    const unknown = validation.lines.find(l => !accountNames[l.accountCode]);
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown account code: ${unknown.accountCode}` });
+    }
+
+    const lines = validation.lines.map(l => ({ ...l, accountName: accountNames[l.accountCode] }));
+    const { totalDebit, totalCredit } = sumLines(lines);
     const entry = {
       restaurantId,
-      date: date ? new Date(date) : new Date(),
+      date: entryDate,
       description: description || '',
-      debitAccount,
-      debitAccountName: '',
-      creditAccount,
-      creditAccountName: '',
-      amount: parseFloat(amount),
+      lines,
+      totalDebit,
+      totalCredit,
+      amount: totalDebit,
       reference: reference || { type: 'manual', refId: null },
+      source: 'manual',
+      isAdjustment: !!isAdjustment,
       createdBy: req.user?.userId || req.user?.id,
       createdAt: new Date(),
     };
 
-    // Look up account names
-    const accountSnap = await db.collection('chartOfAccounts')
+    const docRef = await db.collection('journalEntries').add(entry);
+    res.status(201).json({ id: docRef.id, ...entry, message: 'Journal entry created' });
+  } catch (err) {
+    console.error('Journal entry create error:', err);
+    res.status(500).json({ error: 'Failed to create journal entry' });
+  }
+});
+
+// ── GET /api/ledger/:restaurantId/periods ─────────────────────────
+// List accounting periods that have been closed (or reopened)
+router.get('/:restaurantId/periods', async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    if (!(await requireAccess(req, res))) return;
+    const snap = await db.collection('accountingPeriods')
       .where('restaurantId', '==', restaurantId)
-      .where('code', 'in', [debitAccount, creditAccount])
       .get();
 
-    accountSnap.docs.forEach(doc => {
-      const acc = doc.data();
-      if (acc.code === debitAccount) entry.debitAccountName = acc.name;
-      if (acc.code === creditAccount) entry.creditAccountName = acc.name;
+    const periods = snap.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => b.period.localeCompare(a.period));
+    res.json({ periods, total: periods.length });
+  } catch (err) {
+    console.error('Accounting periods error:', err);
+    res.status(500).json({ error: 'Failed to fetch accounting periods' });
+  }
+});
+
+// ── POST /api/ledger/:restaurantId/periods/:period/close ─────────
+// Close (lock) a month. Pass ?tz=<getTimezoneOffset()> so the month follows
+// the restaurant's local calendar.
+router.post('/:restaurantId/periods/:period/close', async (req, res) => {
+  try {
+    const { restaurantId, period } = req.params;
+    const role = req.user?.role;
+    if (role !== 'owner' && role !== 'admin') {
+      return res.status(403).json({ error: 'Only owners and admins can close accounting periods' });
+    }
+    if (!(await requireAccess(req, res))) return;
+    if (!isValidPeriod(period)) {
+      return res.status(400).json({ error: 'period must be in YYYY-MM format' });
+    }
+
+    const { start, end } = periodBounds(period, parseTZ(req));
+    if (end > new Date()) {
+      return res.status(400).json({ error: `Period ${period} has not ended yet` });
+    }
+
+    const ref = db.collection('accountingPeriods').doc(`${restaurantId}_${period}`);
+    const existing = await ref.get();
+    if (existing.exists && existing.data().status === 'closed') {
+      return res.status(400).json({ error: `Period ${period} is already closed` });
+    }
+
+    // Snapshot the period totals at close for the audit trail
+    const entrySnap = await db.collection('journalEntries')
+      .where('restaurantId', '==', restaurantId)
+      .where('date', '>=', start)
+      .where('date', '<=', end)
+      .get();
+    let totalDebit = 0, totalCredit = 0;
+    entrySnap.docs.forEach(doc => {
+      const totals = sumLines(entryLines(doc.data()));
+      totalDebit += totals.totalDebit;
+      totalCredit += totals.totalCredit;
     });
 
-    const docRef = await db.collection('journalEntries').add(entry);
-    res.status(201).json({ id: docRef.id, ...entry, message: 'Journal entry created' });
+    const data = {
+      restaurantId,
+      period,
+      start,
+      end,
+      status: 'closed',
+      entryCount: entrySnap.size,
+      totalDebit: Math.round(totalDebit * 100) / 100,
+      totalCredit: Math.round(totalCredit * 100) / 100,
+      closedBy: req.user?.userId || req.user?.id,
+      closedAt: new Date(),
+      history: [
+        ...(existing.exists ? existing.data().history || [] : []),
+        { action: 'closed', by: req.user?.userId || req.user?.id, at: new Date() },
+      ],
+    };
+    await ref.set(data);
+    res.json({ id: ref.id, ...data, message: `Period ${period} closed` });
   } catch (err) {
-    console.error('Journal entry create error:', err);
-    res.status(500).json({ error: 'Failed to create journal entry' });
+    console.error('Close period error:', err);
+    res.status(500).json({ error: 'Failed to close accounting period' });
+  }
+});
+
+// ── POST /api/ledger/:restaurantId/periods/:period/reopen ────────
+// Reopen a closed month (owner only)
+router.post('/:restaurantId/periods/:period/reopen', async (req, res) => {
+  try {
+    const { restaurantId, period } = req.params;
+    const { reason } = req.body;
+    if (req.user?.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the owner can reopen a closed period' });
+    }
+    if (!(await requireAccess(req, res))) return;
+
+    const ref = db.collection('accountingPeriods').doc(`${restaurantId}_${period}`);
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().status !== 'closed') {
+      return res.status(404).json({ error: `Period ${period} is not closed` });
+    }
+
+    const update = {
+      status: 'open',
+      reopenedBy: req.user?.userId || req.user?.id,
+      reopenedAt: new Date(),
+      history: [
+        ...(doc.data().history || []),
+        { action: 'reopened', by: req.user?.userId || req.user?.id, at: new Date(), reason: reason || null },
+      ],
+    };
+    await ref.update(update);
+    res.json({ message: `Period ${period} reopened` });
+  } catch (err) {
+    console.error('Reopen period error:', err);
+    res.status(500).json({ error: 'Failed to reopen accounting period' });
+  }
+});
+
+// ── POST /api/ledger/:restaurantId/repost ─────────────────────────
+// Re-post automatic entries (orders, GRNs, supplier invoices, expenses,
+// payroll) for a date range. Idempotent — safe to run repeatedly.
+router.post('/:restaurantId/repost', async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { startDate, endDate, sources } = req.body;
+
+    const role = req.user?.role;
+    if (role !== 'owner' && role !== 'admin' && role !== 'manager') {
+      return res.status(403).json({ error: 'Only owners, admins, and managers can re-post the ledger' });
+    }
+    if (!(await requireAccess(req, res))) return;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+    end.setHours(23, 59, 59, 999);
+
+    const selected = Array.isArray(sources) && sources.length > 0
+      ? sources.filter(s => ledgerPostingService.REPOST_SOURCES.includes(s))
+      : ledgerPostingService.REPOST_SOURCES;
+    if (selected.length === 0) {
+      return res.status(400).json({ error: `sources must be any of: ${ledgerPostingService.REPOST_SOURCES.join(', ')}` });
+    }
+
+    const summary = await ledgerPostingService.repostRange(restaurantId, start, end, selected);
+    res.json({ ...summary, sources: selected, message: `Re-posted ${summary.posted} entries` });
+  } catch (err) {
+    console.error('Ledger repost error:', err);
+    res.status(500).json({ error: 'Failed to re-post ledger entries' });
   }
 });
 
@@ -185,10 +344,12 @@ router.get('/:restaurantId/trial-balance', async (req, res) => {
     const entrySnap = await query.get();
 
     entrySnap.docs.forEach(doc => {
-      const entry = doc.data();
-      const amt = entry.amount || 0;
-      if (accounts[entry.debitAccount]) accounts[entry.debitAccount].debit += amt;
-      if (accounts[entry.creditAccount]) accounts[entry.creditAccount].credit += amt;
+      entryLines(doc.data()).forEach(line => {
+        const acc = accounts[line.accountCode];
+        if (!acc) return;
+        acc.debit += line.debit || 0;
+        acc.credit += line.credit || 0;
+      });
     });
 
     const trialBalance = Object.values(accounts)
@@ -219,6 +380,308 @@ router.get('/:restaurantId/trial-balance', async (req, res) => {
   }
 });
 
+// ── Statement helpers ─────────────────────────────────────────────
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Start/end of a YYYY-MM-DD day in the restaurant's timezone (?tz=)
+function dayBound(dateStr, tzOffset, edge) {
+  if (!dateStr) return null;
+  if (!DATE_RE.test(dateStr)) return undefined;
+  return dateBoundsInTZ(dateStr, tzOffset || 0)[edge];
+}
+
+// Chart of accounts plus every journal entry up to `end`
+async function loadLedger(restaurantId, end) {
+  await ledgerPostingService.ensureAccounts(restaurantId);
+  let entryQuery = db.collection('journalEntries').where('restaurantId', '==', restaurantId);
+  if (end) entryQuery = entryQuery.where('date', '<=', end);
+
+  const [accountSnap, entrySnap] = await Promise.all([
+    db.collection('chartOfAccounts').where('restaurantId', '==', restaurantId).limit(500).get(),
+    entryQuery.get(),
+  ]);
+  return {
+    accounts: accountSnap.docs.map(d => d.data()),
+    entries: entrySnap.docs.map(d => ({ id: d.id, ...d.data() })),
+  };
+}
+
+// Respond with JSON, or an XLSX/PDF download when ?format= asks for one
+async function sendStatement(req, res, payload, toDocument, filename) {
+  const format = (req.query.format || 'json').toLowerCase();
+  if (format === 'json') return res.json(payload);
+  if (format !== 'xlsx' && format !== 'pdf') {
+    return res.status(400).json({ error: 'format must be json, xlsx or pdf' });
+  }
+
+  const restaurantDoc = await db.collection('restaurants').doc(req.params.restaurantId).get();
+  const document = toDocument({ restaurantName: restaurantDoc.exists ? restaurantDoc.data().name : '', tzOffset: parseTZ(req) });
+
+  if (format === 'xlsx') {
+    const buffer = statementExport.toXlsxBuffer(document);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.send(buffer);
+  }
+  const buffer = await statementExport.toPdfBuffer(document);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  return res.send(buffer);
+}
+
+// ── GET /api/ledger/:restaurantId/profit-loss ────────────────────
+// Income statement from the ledger. ?startDate&endDate (YYYY-MM-DD), ?tz, ?format
+router.get('/:restaurantId/profit-loss', async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const tz = parseTZ(req);
+    const from = dayBound(req.query.startDate, tz, 'start');
+    const to = dayBound(req.query.endDate || dateStrInTZ(new Date(), tz), tz, 'end');
+    if (from === undefined || to === undefined || (from && from > to)) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD and in order' });
+    }
+
+    const { accounts, entries } = await loadLedger(restaurantId, to);
+    const pnl = buildProfitAndLoss(accounts, entries, { from, to });
+    return sendStatement(req, res, pnl,
+      opts => statementExport.profitAndLossDocument(pnl, opts),
+      `profit-loss-${restaurantId}`);
+  } catch (err) {
+    console.error('Profit & loss error:', err);
+    res.status(500).json({ error: 'Failed to generate profit & loss' });
+  }
+});
+
+// ── GET /api/ledger/:restaurantId/balance-sheet ──────────────────
+// Balance sheet as at ?asOf (YYYY-MM-DD, default today). ?tz, ?format
+router.get('/:restaurantId/balance-sheet', async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const tz = parseTZ(req);
+    const asOf = dayBound(req.query.asOf || dateStrInTZ(new Date(), tz), tz, 'end');
+    if (!asOf) {
+      return res.status(400).json({ error: 'asOf must be YYYY-MM-DD' });
+    }
+
+    const { accounts, entries } = await loadLedger(restaurantId, asOf);
+    const sheet = buildBalanceSheet(accounts, entries, asOf);
+    return sendStatement(req, res, sheet,
+      opts => statementExport.balanceSheetDocument(sheet, opts),
+      `balance-sheet-${restaurantId}`);
+  } catch (err) {
+    console.error('Balance sheet error:', err);
+    res.status(500).json({ error: 'Failed to generate balance sheet' });
+  }
+});
+
+// ── GET /api/ledger/:restaurantId/cash-flow ──────────────────────
+// Indirect-method cash-flow statement. ?startDate&endDate required, ?tz, ?format
+router.get('/:restaurantId/cash-flow', async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const tz = parseTZ(req);
+    if (!req.query.startDate || !req.query.endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+    const from = dayBound(req.query.startDate, tz, 'start');
+    const to = dayBound(req.query.endDate, tz, 'end');
+    if (!from || !to || from > to) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD and in order' });
+    }
+
+    const { accounts, entries } = await loadLedger(restaurantId, to);
+    const cashFlow = buildCashFlow(accounts, entries, { from, to });
+    return sendStatement(req, res, cashFlow,
+      opts => statementExport.cashFlowDocument(cashFlow, opts),
+      `cash-flow-${restaurantId}`);
+  } catch (err) {
+    console.error('Cash flow error:', err);
+    res.status(500).json({ error: 'Failed to generate cash flow statement' });
+  }
+});
+
+// ── GET /api/ledger/:restaurantId/general-ledger ─────────────────
+// Per-account ledger with opening and running balance.
+// ?account=<code> for one account (omit for all), ?startDate&endDate, ?tz, ?format
+router.get('/:restaurantId/general-ledger', async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { account } = req.query;
+    const tz = parseTZ(req);
+    const from = dayBound(req.query.startDate, tz, 'start');
+    const to = dayBound(req.query.endDate, tz, 'end');
+    if (from === undefined || to === undefined || (from && to && from > to)) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD and in order' });
+    }
+
+    const { accounts, entries } = await loadLedger(restaurantId, to);
+    if (account && !accounts.some(a => a.code === account)) {
+      return res.status(404).json({ error: `Unknown account code: ${account}` });
+    }
+
+    const ledgers = buildGeneralLedger(accounts, entries, { from, to, accountCode: account || null });
+    return sendStatement(req, res, { from, to, accounts: ledgers, total: ledgers.length },
+      opts => statementExport.generalLedgerDocument(ledgers, { ...opts, from, to }),
+      `general-ledger-${restaurantId}${account ? `-${account}` : ''}`);
+  } catch (err) {
+    console.error('General ledger error:', err);
+    res.status(500).json({ error: 'Failed to generate general ledger' });
+  }
+});
+
+// ── GET /api/ledger/:restaurantId/export-mappings/:target ───────
+// Account-code → external ledger name mapping for Tally or Zoho Books
+router.get('/:restaurantId/export-mappings/:target', async (req, res) => {
+  try {
+    const { restaurantId, target } = req.params;
+    if (!externalExport.EXPORT_TARGETS.includes(target)) {
+      return res.status(400).json({ error: `target must be one of: ${externalExport.EXPORT_TARGETS.join(', ')}` });
+    }
+
+    const [doc, accountNames] = await Promise.all([
+      db.collection(collections.ledgerExportMappings).doc(`${restaurantId}_${target}`).get(),
+      ledgerPostingService.ensureAccounts(restaurantId),
+    ]);
+    const mappings = doc.exists ? doc.data().mappings || {} : {};
+
+    // One row per account so the UI can show defaults next to overrides
+    const accounts = Object.keys(accountNames).sort().map(code => ({
+      code,
+      name: accountNames[code],
+      externalName: mappings[code] || null,
+      exportsAs: externalExport.ledgerName(code, mappings, accountNames),
+    }));
+    res.json({ target, mappings, accounts, updatedAt: doc.exists ? doc.data().updatedAt : null });
+  } catch (err) {
+    console.error('Export mappings error:', err);
+    res.status(500).json({ error: 'Failed to fetch export mappings' });
+  }
+});
+
+// ── PUT /api/ledger/:restaurantId/export-mappings/:target ───────
+// Replace the mapping. Body: { mappings: { '1000': 'Cash-in-Hand', ... } }
+router.put('/:restaurantId/export-mappings/:target', async (req, res) => {
+  try {
+    const { restaurantId, target } = req.params;
+    const { mappings } = req.body;
+    const role = req.user?.role;
+    if (role !== 'owner' && role !== 'admin' && role !== 'manager') {
+      return res.status(403).json({ error: 'Only owners, admins, and managers can change export mappings' });
+    }
+    if (!externalExport.EXPORT_TARGETS.includes(target)) {
+      return res.status(400).json({ error: `target must be one of: ${externalExport.EXPORT_TARGETS.join(', ')}` });
+    }
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+      return res.status(400).json({ error: 'mappings must be an object of account code to external ledger name' });
+    }
+
+    const accountNames = await ledgerPostingService.ensureAccounts(restaurantId);
+    const cleaned = {};
+    for (const [code, name] of Object.entries(mappings)) {
+      if (!accountNames[code]) {
+        return res.status(400).json({ error: `Unknown account code: ${code}` });
+      }
+      if (name === null || name === undefined || String(name).trim() === '') continue;
+      cleaned[code] = String(name).trim();
+    }
+
+    const data = {
+      restaurantId,
+      target,
+      mappings: cleaned,
+      updatedBy: req.user?.userId || req.user?.id,
+      updatedAt: new Date(),
+    };
+    await db.collection(collections.ledgerExportMappings).doc(`${restaurantId}_${target}`).set(data);
+    res.json({ ...data, message: 'Export mappings saved' });
+  } catch (err) {
+    console.error('Save export mappings error:', err);
+    res.status(500).json({ error: 'Failed to save export mappings' });
+  }
+});
+
+// ── GET /api/ledger/:restaurantId/export/:target ─────────────────
+// Vouchers for a date range: tally → XML, zoho → CSV (default) or ?format=json.
+// ?startDate&endDate (YYYY-MM-DD) required, ?tz, ?types=sales,purchase,payment,journal,
+// ?currency=INR (Zoho), ?strict=true to refuse while accounts are unmapped.
+router.get('/:restaurantId/export/:target', async (req, res) => {
+  try {
+    const { restaurantId, target } = req.params;
+    const { types, currency, strict } = req.query;
+    if (!externalExport.EXPORT_TARGETS.includes(target)) {
+      return res.status(400).json({ error: `target must be one of: ${externalExport.EXPORT_TARGETS.join(', ')}` });
+    }
+
+    const tz = parseTZ(req);
+    if (!req.query.startDate || !req.query.endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+    const from = dayBound(req.query.startDate, tz, 'start');
+    const to = dayBound(req.query.endDate, tz, 'end');
+    if (!from || !to || from > to) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD and in order' });
+    }
+
+    const wanted = types ? String(types).split(',').map(t => t.trim()).filter(Boolean) : externalExport.VOUCHER_TYPES;
+    const invalid = wanted.filter(t => !externalExport.VOUCHER_TYPES.includes(t));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `types must be any of: ${externalExport.VOUCHER_TYPES.join(', ')}` });
+    }
+
+    const [entrySnap, mappingDoc, accountNames, restaurantDoc] = await Promise.all([
+      db.collection('journalEntries')
+        .where('restaurantId', '==', restaurantId)
+        .where('date', '>=', from)
+        .where('date', '<=', to)
+        .orderBy('date', 'asc')
+        .get(),
+      db.collection(collections.ledgerExportMappings).doc(`${restaurantId}_${target}`).get(),
+      ledgerPostingService.ensureAccounts(restaurantId),
+      db.collection('restaurants').doc(restaurantId).get(),
+    ]);
+
+    const entries = entrySnap.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .filter(e => wanted.includes(externalExport.voucherType(e)));
+    const mappings = mappingDoc.exists ? mappingDoc.data().mappings || {} : {};
+
+    const unmapped = externalExport.unmappedCodes(entries, mappings);
+    if (strict === 'true' && unmapped.length > 0) {
+      return res.status(422).json({
+        error: 'Some accounts have no external ledger mapping',
+        unmapped: unmapped.map(code => ({ code, name: accountNames[code] || null })),
+      });
+    }
+
+    const options = {
+      mappings,
+      accountNames,
+      tzOffset: tz,
+      companyName: restaurantDoc.exists ? restaurantDoc.data().name || '' : '',
+      currencyCode: currency ? String(currency).toUpperCase() : undefined,
+    };
+    const filename = `${target}-vouchers-${restaurantId}-${req.query.startDate}-to-${req.query.endDate}`;
+    res.setHeader('X-Unmapped-Accounts', unmapped.join(','));
+
+    if (target === 'tally') {
+      res.setHeader('Content-Type', 'application/xml');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xml"`);
+      return res.send(externalExport.buildTallyXml(entries, options));
+    }
+
+    if ((req.query.format || 'csv') === 'json') {
+      return res.json({ journals: externalExport.buildZohoJournals(entries, options), total: entries.length, unmapped });
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(externalExport.buildZohoCsv(entries, options));
+  } catch (err) {
+    console.error('Ledger export error:', err);
+    res.status(500).json({ error: 'Failed to export vouchers' });
+  }
+});
+
 // ── GET /api/ledger/:restaurantId/summary ────────────────────────
 // Monthly/weekly summary report
 router.get('/:restaurantId/summary', async (req, res) => {
@@ -309,3 +772,4 @@ router.get('/:restaurantId/summary', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.setAccessCheck = (fn) => { validateRestaurantAccess = fn; };
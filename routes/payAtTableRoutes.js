@@ -0,0 +1,107 @@
+/**
+ * Pay-at-table — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/payAtTableRoutes')(db, collections, authenticateToken, validateRestaurantAccess, { completeOrder }));
+ *
+ * Staff print a QR per table; guests scan it, see the table's open bill,
+ * pay in full, an equal split or for their own items (plus a tip) on the
+ * restaurant's Razorpay account. Payments land on the POS order as partial
+ * payments and `completeOrder(orderId)` (from index.js) closes the bill
+ * once it is fully paid. Logic lives in billing/payAtTable.js (pure) and
+ * services/payAtTableService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const QRCode = require('qrcode');
+const payAtTableService = require('../services/payAtTableService');
+const { publicAPI } = require('../middleware/vercelSecurity');
+
+const MANAGE_ROLES = ['owner', 'admin', 'manager'];
+// Floor staff: print table QRs, see what guests have paid
+const FLOOR_ROLES = [...MANAGE_ROLES, 'waiter', 'cashier', 'employee'];
+
+module.exports = function initPayAtTableRoutes(db, collections, authenticateToken, validateRestaurantAccess, { completeOrder } = {}) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  // Guard: caller has one of `roles` and belongs to this restaurant.
+  // Returns false + sends the response on failure.
+  const requireAccess = async (req, res, roles = FLOOR_ROLES) => {
+    if (!roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return false;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return false; }
+    }
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    if (!snap.exists) { res.status(404).json({ error: 'Restaurant not found' }); return false; }
+    return true;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`pay-at-table ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  const withQr = async (link) => ({
+    ...link,
+    qrCode: await QRCode.toDataURL(link.url, { width: 400, margin: 2, errorCorrectionLevel: 'M' }),
+  });
+
+  // The table's QR (created on first use)
+  router.get('/api/pay-at-table/:restaurantId/tables/:tableId/qr', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const link = await payAtTableService.tableLink(req.params.restaurantId, req.params.tableId, {}, req.user);
+      res.json({ success: true, ...(await withQr(link)) });
+    } catch (e) { sendError(res, 'load table QR', e); }
+  });
+
+  // New token for the table; QRs already printed stop working
+  router.post('/api/pay-at-table/:restaurantId/tables/:tableId/qr/rotate', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, MANAGE_ROLES))) return;
+      const link = await payAtTableService.tableLink(req.params.restaurantId, req.params.tableId, { rotate: true }, req.user);
+      res.json({ success: true, ...(await withQr(link)) });
+    } catch (e) { sendError(res, 'rotate table QR', e); }
+  });
+
+  router.get('/api/pay-at-table/:restaurantId/orders/:orderId/payments', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const payments = await payAtTableService.listForOrder(req.params.restaurantId, req.params.orderId);
+      res.json({ success: true, payments, total: payments.length });
+    } catch (e) { sendError(res, 'list table payments', e); }
+  });
+
+  // ── Guest (no auth; the table token / payment id is the guest's token) ──
+
+  router.get('/api/public/pay-at-table/:token', publicAPI, async (req, res) => {
+    try {
+      res.json(await payAtTableService.publicBill(req.params.token));
+    } catch (e) { sendError(res, 'load bill', e); }
+  });
+
+  // body { mode: 'full' | 'equal' | 'items', guests?, itemKeys?, tipPercent?, tipAmount?, guestName? }
+  router.post('/api/public/pay-at-table/:token/pay', publicAPI, async (req, res) => {
+    try {
+      res.status(201).json(await payAtTableService.startPayment(req.params.token, req.body || {}));
+    } catch (e) { sendError(res, 'start payment', e); }
+  });
+
+  // body { razorpayPaymentId?, razorpaySignature? } — from Razorpay Checkout's handler
+  router.post('/api/public/pay-at-table/payments/:paymentId/confirm', publicAPI, async (req, res) => {
+    try {
+      res.json(await payAtTableService.confirmPayment(req.params.paymentId, req.body || {}, { completeOrder }));
+    } catch (e) { sendError(res, 'confirm payment', e); }
+  });
+
+  return router;
+};
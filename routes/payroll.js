@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../firebase');
 const { authenticateToken } = require('../middleware/auth');
+const ledgerPostingService = require('../services/ledgerPostingService');
+const tipPoolService = require('../services/tipPoolService');
 
 router.use(authenticateToken);
 
@@ -184,8 +186,12 @@ router.post('/:restaurantId/runs', async (req, res) => {
 
     const hasAttendanceData = attendanceSnap.docs.length > 0;
 
+    // Pooled tips from shift tip pools closed by month end and not yet paid
+    const pendingTips = await tipPoolService.pendingForPayroll(restaurantId, new Date(year, mon, 0, 23, 59, 59, 999));
+    const tipsFor = (staffId) => pendingTips.tipsByStaff[staffId] || 0;
+
     // Create run doc
-    let totalGross = 0, totalDeductions = 0, totalNet = 0;
+    let totalGross = 0, totalDeductions = 0, totalNet = 0, totalTips = 0;
     const slips = [];
 
     configSnap.docs.forEach(doc => {
@@ -196,6 +202,18 @@ router.post('/:restaurantId/runs', async (req, res) => {
       slips.push(cfg);
     });
 
+    // Staff with tips but no salary config still get a (tips-only) slip
+    Object.keys(pendingTips.tipsByStaff).forEach(staffId => {
+      if (slips.some(cfg => cfg.staffId === staffId)) return;
+      slips.push({
+        staffId, staffName: pendingTips.names[staffId] || '', role: '',
+        baseSalary: 0, allowances: {}, deductions: {}, grossPay: 0, netPay: 0, tipsOnly: true,
+      });
+    });
+    slips.forEach(cfg => { totalTips += tipsFor(cfg.staffId); });
+    totalTips = Math.round(totalTips * 100) / 100;
+    totalNet += totalTips;
+
     const runRef = db.collection('payrollRuns').doc();
     const runData = {
       restaurantId,
@@ -203,6 +221,8 @@ router.post('/:restaurantId/runs', async (req, res) => {
       totalGross,
       totalDeductions,
       totalNet,
+      totalTips,
+      tipPoolIds: pendingTips.poolIds,
       staffCount: slips.length,
       workingDays,
       hasAttendanceData,
@@ -257,8 +277,16 @@ router.post('/:restaurantId/runs', async (req, res) => {
         slipData.overtimePay = overtimePay;
       }
 
+      const tips = tipsFor(cfg.staffId);
+      if (tips > 0) {
+        slipData.tips = tips;
+        slipData.netPay = Math.round((slipData.netPay + tips) * 100) / 100;
+      }
+      if (cfg.tipsOnly) slipData.tipsOnly = true;
+
       batch.set(slipRef, slipData);
     });
+    tipPoolService.markInPayrollRun(batch, pendingTips.poolIds, runRef.id);
 
     await batch.commit();
 
@@ -305,6 +333,9 @@ router.patch('/:restaurantId/runs/:runId', async (req, res) => {
       await batch.commit();
     }
 
+    // Post the paid run to the ledger (or withdraw the posting if it is un-paid)
+    ledgerPostingService.postInBackground('payroll', () => ledgerPostingService.syncPayrollRun(runId));
+
     res.json({ message: `Payroll run updated to ${status}` });
   } catch (err) {
     console.error('Payroll run update error:', err);
@@ -0,0 +1,201 @@
+/**
+ * Purchase approval chains — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/purchaseApprovalRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Chain settings, the "waiting for me" inbox, approve / reject for
+ * requisitions and POs, delegations while an approver is on leave, and the
+ * hourly reminder cron. The existing PATCH status routes for requisitions and
+ * POs go through the same chain. Logic lives in inventory/approvals.js (pure)
+ * and services/purchaseApprovalService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const purchaseApprovalService = require('../services/purchaseApprovalService');
+const approvals = require('../inventory/approvals');
+
+module.exports = function initPurchaseApprovalRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller belongs to this restaurant; `roles` narrows who may call.
+  // Returns null + sends the response on failure.
+  const requireAccess = async (req, res, roles = null) => {
+    if (roles && !roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can change approval chains.` });
+      return null;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`purchase-approvals ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  // YYYY-MM-DD → start / end of that day; anything else → Date or null
+  const parseDay = (v, endOfDay) => {
+    if (!v) return null;
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(v) ? new Date(`${v}T${endOfDay ? '23:59:59.999' : '00:00:00'}Z`) : new Date(v);
+    return isNaN(d.getTime()) ? undefined : d;
+  };
+
+  // --- Settings ----------------------------------------------------------------
+  router.get('/api/purchase-approvals/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      res.json({ success: true, settings: approvals.settingsFor(r.data) });
+    } catch (e) { sendError(res, 'load approval settings', e); }
+  });
+
+  router.put('/api/purchase-approvals/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res, ['owner', 'admin']); if (!r) return;
+      const body = req.body || {};
+      if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+      }
+      if (body.reminderAfterHours !== undefined && !(Number(body.reminderAfterHours) > 0)) {
+        return res.status(400).json({ error: 'reminderAfterHours must be a positive number' });
+      }
+      if (body.chains !== undefined) {
+        const problem = approvals.validateChains(body.chains);
+        if (problem) return res.status(400).json({ error: problem });
+      }
+      const merged = { ...(r.data.purchaseApprovalSettings || {}), ...body };
+      const purchaseApprovalSettings = approvals.settingsFor({ purchaseApprovalSettings: merged });
+      if (purchaseApprovalSettings.enabled && purchaseApprovalSettings.chains.length === 0) {
+        return res.status(400).json({ error: 'Add at least one approval chain before turning approvals on.' });
+      }
+      await r.ref.update({ purchaseApprovalSettings });
+      res.json({ success: true, settings: purchaseApprovalSettings });
+    } catch (e) { sendError(res, 'save approval settings', e); }
+  });
+
+  // --- Decisions ---------------------------------------------------------------
+  // Requisitions and POs the caller can approve now, largest first
+  router.get('/api/purchase-approvals/:restaurantId/inbox', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      const items = await purchaseApprovalService.inbox(req.params.restaurantId, req.user);
+      res.json({ success: true, items, total: items.length });
+    } catch (e) { sendError(res, 'load approval inbox', e); }
+  });
+
+  // docType = requisition | purchase_order; body { action: 'approve' | 'reject', notes }
+  router.post('/api/purchase-approvals/:restaurantId/:docType/:docId/decision', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      const { restaurantId, docType, docId } = req.params;
+      const { action, notes } = req.body || {};
+      const result = await purchaseApprovalService.decide(restaurantId, docType, docId, req.user, { action, notes });
+      if (!result) return res.status(400).json({ error: 'No approval chain applies to this document — use its status update instead.' });
+      res.json({ success: true, approval: result.approval, document: result.document });
+    } catch (e) { sendError(res, 'record approval decision', e); }
+  });
+
+  // --- Delegations -------------------------------------------------------------
+  router.get('/api/purchase-approvals/:restaurantId/delegations', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      const delegations = await purchaseApprovalService.activeDelegations(req.params.restaurantId);
+      res.json({ success: true, delegations });
+    } catch (e) { sendError(res, 'load delegations', e); }
+  });
+
+  // body { toUserId, startDate, endDate, reason, fromUserId? } — owners / admins may delegate for someone else
+  router.post('/api/purchase-approvals/:restaurantId/delegations', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      const body = req.body || {};
+      const fromUserId = body.fromUserId || req.user.userId;
+      if (fromUserId !== req.user.userId && !['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({ error: 'Only owners and admins can delegate on behalf of someone else.' });
+      }
+      if (!body.toUserId || body.toUserId === fromUserId) {
+        return res.status(400).json({ error: 'toUserId is required and must be someone else' });
+      }
+      const startDate = parseDay(body.startDate, false) || new Date();
+      const endDate = parseDay(body.endDate, true);
+      if (startDate === undefined || endDate === undefined || !endDate || endDate < startDate) {
+        return res.status(400).json({ error: 'endDate is required and must not be before startDate' });
+      }
+      let fromRole = fromUserId === req.user.userId ? req.user.role : null;
+      if (!fromRole) {
+        const urSnap = await db.collection(collections.userRestaurants)
+          .where('restaurantId', '==', req.params.restaurantId)
+          .where('userId', '==', fromUserId)
+          .limit(1)
+          .get();
+        fromRole = urSnap.empty ? null : urSnap.docs[0].data().role || null;
+      }
+      const delegation = {
+        restaurantId: req.params.restaurantId,
+        fromUserId,
+        fromRole,
+        toUserId: String(body.toUserId),
+        startDate,
+        endDate,
+        reason: String(body.reason || '').trim(),
+        active: true,
+        createdBy: req.user.userId,
+        createdAt: new Date(),
+      };
+      const ref = await db.collection(collections.approvalDelegations).add(delegation);
+      res.status(201).json({ success: true, delegation: { id: ref.id, ...delegation } });
+    } catch (e) { sendError(res, 'create delegation', e); }
+  });
+
+  router.delete('/api/purchase-approvals/:restaurantId/delegations/:delegationId', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireAccess(req, res); if (!r) return;
+      const ref = db.collection(collections.approvalDelegations).doc(req.params.delegationId);
+      const snap = await ref.get();
+      if (!snap.exists || snap.data().restaurantId !== req.params.restaurantId) {
+        return res.status(404).json({ error: 'Delegation not found' });
+      }
+      const d = snap.data();
+      if (![d.fromUserId, d.createdBy].includes(req.user.userId) && !['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({ error: 'Only the delegating user, owners and admins can end a delegation.' });
+      }
+      await ref.update({ active: false, revokedBy: req.user.userId, revokedAt: new Date() });
+      res.json({ success: true });
+    } catch (e) { sendError(res, 'end delegation', e); }
+  });
+
+  // Cron: hourly. Same auth as the other crons — Vercel's
+  // `Authorization: Bearer <CRON_SECRET>`, or `x-cron-secret`.
+  const remindersCron = async (req, res) => {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const secret = bearer || req.headers['x-cron-secret'];
+    if (!process.env.CRON_SECRET || secret !== process.env.CRON_SECRET) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    try {
+      res.json({ ok: true, ...(await purchaseApprovalService.sendReminders()) });
+    } catch (e) {
+      console.error('[purchase-approvals] cron reminders error:', e.message);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+  router.get('/api/cron/purchase-approval-reminders', remindersCron);
+  router.post('/api/cron/purchase-approval-reminders', remindersCron);
+
+  return router;
+};
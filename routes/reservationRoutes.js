@@ -0,0 +1,172 @@
+/**
+ * Table reservations — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/reservationRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * The reservation book (slot intervals, covers-per-slot caps, turn times by
+ * party size), automatic table / merged-table / combination assignment,
+ * no-show marking with customer flagging, the reminder cron, and the public
+ * booking widget. Guest WhatsApp replies arrive through the automation
+ * webhook in index.js. Logic lives in tables/reservations.js (pure) and
+ * services/reservationService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const reservationService = require('../services/reservationService');
+const { publicAPI } = require('../middleware/vercelSecurity');
+
+const MANAGE_ROLES = ['owner', 'admin', 'manager'];
+// Host stand: take, seat and update bookings
+const BOOK_ROLES = [...MANAGE_ROLES, 'waiter', 'cashier', 'employee'];
+
+module.exports = function initReservationRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  // Guard: caller has one of `roles` and belongs to this restaurant.
+  // Returns false + sends the response on failure.
+  const requireAccess = async (req, res, roles = BOOK_ROLES) => {
+    if (!roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return false;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return false; }
+    }
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    if (!snap.exists) { res.status(404).json({ error: 'Restaurant not found' }); return false; }
+    return true;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`reservations ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  router.get('/api/reservations/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, settings: await reservationService.getSettings(req.params.restaurantId) });
+    } catch (e) { sendError(res, 'load reservation settings', e); }
+  });
+
+  // body: any of tables/reservations.js DEFAULT_SETTINGS
+  router.put('/api/reservations/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, MANAGE_ROLES))) return;
+      const settings = await reservationService.updateSettings(req.params.restaurantId, req.body || {}, req.user);
+      res.json({ success: true, settings });
+    } catch (e) { sendError(res, 'save reservation settings', e); }
+  });
+
+  // ?date=YYYY-MM-DD&partySize &excludeId (when moving an existing booking)
+  router.get('/api/reservations/:restaurantId/availability', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const { date, partySize, excludeId } = req.query;
+      const result = await reservationService.availability(req.params.restaurantId, { date, partySize, excludeId: excludeId || null, staff: true });
+      res.json({ success: true, ...result });
+    } catch (e) { sendError(res, 'load availability', e); }
+  });
+
+  // ?date | ?from&to (YYYY-MM-DD) &status
+  router.get('/api/reservations/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const list = await reservationService.list(req.params.restaurantId, req.query);
+      res.json({ success: true, reservations: list, total: list.length });
+    } catch (e) { sendError(res, 'list reservations', e); }
+  });
+
+  // body { name, phone, email?, partySize, date, time, notes?, occasion?, tableIds?, waiveDeposit? }
+  router.post('/api/reservations/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const reservation = await reservationService.create(req.params.restaurantId, req.body || {}, { source: 'staff', user: req.user });
+      res.status(201).json({ success: true, reservation });
+    } catch (e) { sendError(res, 'create reservation', e); }
+  });
+
+  router.get('/api/reservations/:restaurantId/:reservationId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, reservation: await reservationService.get(req.params.restaurantId, req.params.reservationId) });
+    } catch (e) { sendError(res, 'load reservation', e); }
+  });
+
+  // body { status?, name?, phone?, email?, notes?, occasion?, date?, time?, partySize?, tableIds? }
+  router.patch('/api/reservations/:restaurantId/:reservationId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const reservation = await reservationService.update(req.params.restaurantId, req.params.reservationId, req.body || {}, req.user);
+      res.json({ success: true, reservation });
+    } catch (e) { sendError(res, 'update reservation', e); }
+  });
+
+  // Counts against the customer; flags them at the restaurant's threshold
+  router.post('/api/reservations/:restaurantId/:reservationId/no-show', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const reservation = await reservationService.markNoShow(req.params.restaurantId, req.params.reservationId, { user: req.user });
+      res.json({ success: true, reservation });
+    } catch (e) { sendError(res, 'mark no-show', e); }
+  });
+
+  // ── Public booking widget (no auth; the reservation id is the guest's token) ──
+
+  // ?date&partySize → { restaurant, maxPartySize, bookingWindowDays, slots: ['19:00', …], reason }
+  router.get('/api/public/reservations/:restaurantId/availability', publicAPI, async (req, res) => {
+    try {
+      const { date, partySize } = req.query;
+      res.set('Cache-Control', 'public, s-maxage=30, stale-while-revalidate=60');
+      res.json(await reservationService.publicAvailability(req.params.restaurantId, { date, partySize }));
+    } catch (e) { sendError(res, 'load availability', e); }
+  });
+
+  // body { name, phone, email?, partySize, date, time, notes?, occasion? }
+  router.post('/api/public/reservations/:restaurantId', publicAPI, async (req, res) => {
+    try {
+      const reservation = await reservationService.create(req.params.restaurantId, req.body || {}, { source: 'widget' });
+      res.status(201).json({ success: true, reservation: await reservationService.publicView(reservation.id) });
+    } catch (e) { sendError(res, 'create reservation', e); }
+  });
+
+  router.get('/api/public/reservation/:reservationId', publicAPI, async (req, res) => {
+    try {
+      res.json(await reservationService.publicView(req.params.reservationId));
+    } catch (e) { sendError(res, 'load reservation', e); }
+  });
+
+  router.post('/api/public/reservation/:reservationId/cancel', publicAPI, async (req, res) => {
+    try {
+      res.json({ success: true, reservation: await reservationService.publicCancel(req.params.reservationId) });
+    } catch (e) { sendError(res, 'cancel reservation', e); }
+  });
+
+  // Cron: every 15 minutes — reminders, (opt-in) auto no-shows and lapsing
+  // unpaid deposits. Same auth as the other crons — Vercel's
+  // `Authorization: Bearer <CRON_SECRET>`, or `x-cron-secret`.
+  const remindersCron = async (req, res) => {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const secret = bearer || req.headers['x-cron-secret'];
+    if (!process.env.CRON_SECRET || secret !== process.env.CRON_SECRET) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    try {
+      res.json({ ok: true, ...(await reservationService.runReminders()) });
+    } catch (e) {
+      console.error('[reservations] cron reminders error:', e.message);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+  router.get('/api/cron/reservation-reminders', remindersCron);
+  router.post('/api/cron/reservation-reminders', remindersCron);
+
+  return router;
+};
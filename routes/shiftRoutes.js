@@ -4,6 +4,7 @@ const { db, collections } = require('../firebase');
 const { authenticateToken } = require('../middleware/auth');
 const { FieldValue } = require('firebase-admin/firestore');
 const { getCachedRestDoc } = require('../utils/kvCache');
+const tipPoolService = require('../services/tipPoolService');
 
 router.use(authenticateToken);
 
@@ -454,10 +455,20 @@ router.post('/:shiftId/close', async (req, res) => {
 
     await shiftRef.update(closingFields);
 
+    // Split the shift's tips among everyone clocked in (when pooling is on).
+    // Pooling problems are logged and never block the close.
+    let tipPool = null;
+    try {
+      tipPool = await tipPoolService.closeForShift(shiftId, { ...shiftData, ...closingFields }, req.user);
+    } catch (poolErr) {
+      console.error('Tip pool close error:', poolErr);
+    }
+
     res.json({
       success: true,
       summary: {
         ...closingFields,
+        tipPool: tipPool && { id: tipPool.id, totalTips: tipPool.totalTips, shares: tipPool.shares, tipOuts: tipPool.tipOuts, unallocated: tipPool.unallocated },
         openingCash: shiftData.openingCash,
         cashIn: shiftData.cashIn || 0,
         cashOut: shiftData.cashOut || 0,
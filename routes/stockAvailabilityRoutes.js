@@ -0,0 +1,92 @@
+/**
+ * Stock-driven menu availability ("auto-86") — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/stockAvailabilityRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Portions left per recipe-based menu item, the on/off switch and low-stock
+ * threshold, and a manual refresh. Logic lives in inventory/availability.js
+ * (pure) and services/stockAvailabilityService.js (applying and propagating).
+ */
+
+'use strict';
+
+const express = require('express');
+const stockAvailabilityService = require('../services/stockAvailabilityService');
+const availability = require('../inventory/availability');
+
+module.exports = function initStockAvailabilityRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller may manage this restaurant's menu. Returns null + sends the response on failure.
+  const requireMenuAccess = async (req, res) => {
+    if (!['owner', 'admin', 'manager'].includes(req.user?.role)) {
+      res.status(403).json({ error: 'Only owners, admins and managers can manage stock availability.' });
+      return null;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`stock-availability ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  // Portions left per recipe-based item, scarcest first
+  router.get('/api/stock-availability/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireMenuAccess(req, res); if (!r) return;
+      const { settings, items } = await stockAvailabilityService.status(req.params.restaurantId);
+      res.json({ success: true, settings, items });
+    } catch (e) { sendError(res, 'load stock availability', e); }
+  });
+
+  router.get('/api/stock-availability/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireMenuAccess(req, res); if (!r) return;
+      res.json({ success: true, settings: availability.settingsFor(r.data) });
+    } catch (e) { sendError(res, 'load stock availability settings', e); }
+  });
+
+  router.put('/api/stock-availability/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireMenuAccess(req, res); if (!r) return;
+      const body = req.body || {};
+      if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+      }
+      if (body.lowPortionsThreshold !== undefined && !(Number.isInteger(body.lowPortionsThreshold) && body.lowPortionsThreshold >= 0)) {
+        return res.status(400).json({ error: 'lowPortionsThreshold must be a whole number >= 0' });
+      }
+      const stockAvailabilitySettings = availability.settingsFor({ stockAvailabilitySettings: { ...(r.data.stockAvailabilitySettings || {}), ...body } });
+      await r.ref.update({ stockAvailabilitySettings });
+      if (stockAvailabilitySettings.enabled) stockAvailabilityService.refreshInBackground(req.params.restaurantId, 'settings');
+      res.json({ success: true, settings: stockAvailabilitySettings });
+    } catch (e) { sendError(res, 'save stock availability settings', e); }
+  });
+
+  router.post('/api/stock-availability/:restaurantId/refresh', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireMenuAccess(req, res); if (!r) return;
+      const { enabled, changes } = await stockAvailabilityService.refresh(req.params.restaurantId, 'manual');
+      if (!enabled) return res.status(400).json({ error: 'Stock-driven availability is turned off for this restaurant.' });
+      res.json({ success: true, changes });
+    } catch (e) { sendError(res, 'refresh stock availability', e); }
+  });
+
+  return router;
+};
@@ -1072,6 +1072,10 @@ router.delete('/users/:userId', authenticateSuperAdmin, requireSuperAdmin, async
       collections.restaurantSettings,
       collections.customers,
       collections.bookings,
+      collections.reservations,
+      collections.deposits,
+      collections.tablePayLinks,
+      collections.tablePayments,
       'dailyStats',
       collections.savedCarts,
     ];
@@ -1688,11 +1692,30 @@ router.post('/reset-restaurant-data', authenticateSuperAdmin, requireSuperAdmin,
       supplierReturns: { name: collections.supplierReturns, queryMode: 'restaurantId' },
       payrollRuns: { name: 'payrollRuns', queryMode: 'restaurantId' },
       paySlips: { name: 'paySlips', queryMode: 'restaurantId' },
+      tipPools: { name: collections.tipPools, queryMode: 'restaurantId' },
       payrollConfig: { name: 'payrollConfig', queryMode: 'restaurantId' },
       journalEntries: { name: 'journalEntries', queryMode: 'restaurantId' },
       chartOfAccounts: { name: 'chartOfAccounts', queryMode: 'restaurantId' },
+      accountingPeriods: { name: collections.accountingPeriods, queryMode: 'restaurantId' },
+      ledgerExportMappings: { name: collections.ledgerExportMappings, queryMode: 'restaurantId' },
+      einvoiceCredentials: { name: collections.einvoiceCredentials, queryMode: 'restaurantId' },
+      zatcaEgsUnits: { name: collections.zatcaEgsUnits, queryMode: 'restaurantId' },
+      zatcaInvoices: { name: collections.zatcaInvoices, queryMode: 'restaurantId' },
+      etimsQueue: { name: collections.etimsQueue, queryMode: 'restaurantId' },
+      kdsTickets: { name: collections.kdsTickets, queryMode: 'restaurantId' },
+      menuItemCosts: { name: collections.menuItemCosts, queryMode: 'restaurantId' },
+      menuCostHistory: { name: collections.menuCostHistory, queryMode: 'restaurantId' },
+      foodCostAlerts: { name: collections.foodCostAlerts, queryMode: 'restaurantId' },
+      approvalDelegations: { name: collections.approvalDelegations, queryMode: 'restaurantId' },
+      supplierPayments: { name: collections.supplierPayments, queryMode: 'restaurantId' },
+      paymentRuns: { name: collections.paymentRuns, queryMode: 'restaurantId' },
+      batchRecalls: { name: collections.batchRecalls, queryMode: 'restaurantId' },
       customers: { name: collections.customers, queryMode: 'restaurantId' },
       bookings: { name: collections.bookings, queryMode: 'restaurantId' },
+      reservations: { name: collections.reservations, queryMode: 'restaurantId' },
+      deposits: { name: collections.deposits, queryMode: 'restaurantId' },
+      tablePayLinks: { name: collections.tablePayLinks, queryMode: 'restaurantId' },
+      tablePayments: { name: collections.tablePayments, queryMode: 'restaurantId' },
       recipes: { name: collections.recipes, queryMode: 'restaurantId' },
       payments: { name: collections.payments, queryMode: 'restaurantId' },
       // Invoice module collections (use orgId, resolved from restaurant owner)
@@ -0,0 +1,165 @@
+/**
+ * Supplier payments, AP ageing and payment runs — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/supplierPaymentRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Record payments (partial, advance, or across several invoices), apply
+ * advances, void mistakes, the AP ageing report, and payment runs:
+ * draft → approve → bank bulk-transfer CSV → mark paid. Logic lives in
+ * ledger/payables.js (pure) and services/supplierPaymentService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const supplierPaymentService = require('../services/supplierPaymentService');
+
+const FINANCE_ROLES = ['owner', 'admin', 'manager'];
+const APPROVER_ROLES = ['owner', 'admin'];
+
+module.exports = function initSupplierPaymentRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  // Guard: caller has one of `roles` and belongs to this restaurant.
+  // Returns false + sends the response on failure.
+  const requireAccess = async (req, res, roles = FINANCE_ROLES) => {
+    if (!roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return false;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return false; }
+    }
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    if (!snap.exists) { res.status(404).json({ error: 'Restaurant not found' }); return false; }
+    return true;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`supplier-payments ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  // --- Payments ----------------------------------------------------------------
+  router.get('/api/supplier-payments/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const payments = await supplierPaymentService.listPayments(req.params.restaurantId, { supplierId: req.query.supplierId || null });
+      res.json({ success: true, payments, total: payments.length });
+    } catch (e) { sendError(res, 'load supplier payments', e); }
+  });
+
+  // AP ageing: 0-30 / 31-60 / 61-90 / 90+ days since invoice date, net of advances
+  router.get('/api/supplier-payments/:restaurantId/ageing', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, ...(await supplierPaymentService.ageing(req.params.restaurantId)) });
+    } catch (e) { sendError(res, 'build AP ageing', e); }
+  });
+
+  // body { supplierId, amount, method, paymentDate, reference, notes, allocations?: [{ invoiceId, amount }] }
+  router.post('/api/supplier-payments/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const payment = await supplierPaymentService.recordPayment(req.params.restaurantId, req.body || {}, req.user);
+      res.status(201).json({ success: true, payment });
+    } catch (e) { sendError(res, 'record supplier payment', e); }
+  });
+
+  // body { allocations? } — without allocations the oldest due invoices are paid first
+  router.post('/api/supplier-payments/:restaurantId/:paymentId/apply', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const payment = await supplierPaymentService.applyAdvance(req.params.restaurantId, req.params.paymentId, req.body || {}, req.user);
+      res.json({ success: true, payment });
+    } catch (e) { sendError(res, 'apply advance', e); }
+  });
+
+  router.post('/api/supplier-payments/:restaurantId/:paymentId/void', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, APPROVER_ROLES))) return;
+      const payment = await supplierPaymentService.voidPayment(req.params.restaurantId, req.params.paymentId, req.user, (req.body || {}).reason);
+      res.json({ success: true, payment });
+    } catch (e) { sendError(res, 'void supplier payment', e); }
+  });
+
+  // --- Payment runs ------------------------------------------------------------
+  router.get('/api/payment-runs/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const runs = await supplierPaymentService.listRuns(req.params.restaurantId);
+      res.json({ success: true, runs, total: runs.length });
+    } catch (e) { sendError(res, 'load payment runs', e); }
+  });
+
+  // body { dueBy, paymentDate, maxAmount, supplierIds, method }
+  router.post('/api/payment-runs/:restaurantId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const run = await supplierPaymentService.createRun(req.params.restaurantId, req.body || {}, req.user);
+      res.status(201).json({ success: true, run });
+    } catch (e) { sendError(res, 'create payment run', e); }
+  });
+
+  router.get('/api/payment-runs/:restaurantId/:runId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, run: await supplierPaymentService.getRun(req.params.restaurantId, req.params.runId) });
+    } catch (e) { sendError(res, 'load payment run', e); }
+  });
+
+  // Drafts only. body { removeInvoiceIds, amounts: { [invoiceId]: amount }, paymentDate }
+  router.patch('/api/payment-runs/:restaurantId/:runId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const run = await supplierPaymentService.updateRun(req.params.restaurantId, req.params.runId, req.body || {}, req.user);
+      res.json({ success: true, run });
+    } catch (e) { sendError(res, 'update payment run', e); }
+  });
+
+  router.post('/api/payment-runs/:restaurantId/:runId/approve', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, APPROVER_ROLES))) return;
+      const run = await supplierPaymentService.approveRun(req.params.restaurantId, req.params.runId, req.user);
+      res.json({ success: true, run });
+    } catch (e) { sendError(res, 'approve payment run', e); }
+  });
+
+  // Bank bulk-transfer CSV; ?currency=INR. Payees without bank details come
+  // back in the X-Missing-Bank-Details header (comma-separated supplier ids).
+  router.get('/api/payment-runs/:restaurantId/:runId/bank-file', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, APPROVER_ROLES))) return;
+      const currency = req.query.currency ? String(req.query.currency).toUpperCase() : undefined;
+      const { csv, run, missingBankDetails } = await supplierPaymentService.exportRun(req.params.restaurantId, req.params.runId, req.user, { currency });
+      if (missingBankDetails.length > 0) res.setHeader('X-Missing-Bank-Details', missingBankDetails.map(p => p.supplierId).join(','));
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${run.runNumber || 'payment-run'}.csv"`);
+      res.send(csv);
+    } catch (e) { sendError(res, 'export payment run', e); }
+  });
+
+  // body { reference } — records one payment per supplier
+  router.post('/api/payment-runs/:restaurantId/:runId/complete', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, APPROVER_ROLES))) return;
+      const run = await supplierPaymentService.completeRun(req.params.restaurantId, req.params.runId, req.user, req.body || {});
+      res.json({ success: true, run });
+    } catch (e) { sendError(res, 'complete payment run', e); }
+  });
+
+  router.post('/api/payment-runs/:restaurantId/:runId/cancel', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const run = await supplierPaymentService.cancelRun(req.params.restaurantId, req.params.runId, req.user);
+      res.json({ success: true, run });
+    } catch (e) { sendError(res, 'cancel payment run', e); }
+  });
+
+  return router;
+};
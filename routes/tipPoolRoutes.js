@@ -0,0 +1,100 @@
+/**
+ * Tip pools — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/tipPoolRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Pooling rules (method, role weights, kitchen/bar tip-outs), the pools
+ * closed at each shift end, and per-staff tip statements. Pools are created
+ * by the shift close (routes/shiftRoutes.js) and paid through payroll runs
+ * (routes/payroll.js). Logic lives in billing/tipPools.js (pure) and
+ * services/tipPoolService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const tipPoolService = require('../services/tipPoolService');
+
+const MANAGE_ROLES = ['owner', 'admin', 'manager'];
+
+module.exports = function initTipPoolRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  // Guard: caller has one of `roles` and belongs to this restaurant.
+  // Returns false + sends the response on failure.
+  const requireAccess = async (req, res, roles = MANAGE_ROLES) => {
+    if (!roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return false;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return false; }
+    }
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    if (!snap.exists) { res.status(404).json({ error: 'Restaurant not found' }); return false; }
+    return true;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`tip-pools ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  router.get('/api/tip-pools/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, settings: await tipPoolService.getSettings(req.params.restaurantId) });
+    } catch (e) { sendError(res, 'load tip pool settings', e); }
+  });
+
+  // body { enabled, method, roleWeights, eligibleRoles, tipOuts: [{ name, roles, percent }], includeCashTips, excludedRoles }
+  router.put('/api/tip-pools/:restaurantId/settings', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, ['owner', 'admin']))) return;
+      const settings = await tipPoolService.updateSettings(req.params.restaurantId, req.body || {}, req.user);
+      res.json({ success: true, settings });
+    } catch (e) { sendError(res, 'save tip pool settings', e); }
+  });
+
+  // ?from&to (ISO dates) &status
+  router.get('/api/tip-pools/:restaurantId/pools', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const pools = await tipPoolService.listPools(req.params.restaurantId, req.query);
+      res.json({ success: true, pools, total: pools.length });
+    } catch (e) { sendError(res, 'list tip pools', e); }
+  });
+
+  router.get('/api/tip-pools/:restaurantId/pools/:poolId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, pool: await tipPoolService.getPool(req.params.restaurantId, req.params.poolId) });
+    } catch (e) { sendError(res, 'load tip pool', e); }
+  });
+
+  // Re-split with current settings and attendance; refused once paid through payroll
+  router.post('/api/tip-pools/:restaurantId/pools/:poolId/recalculate', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const pool = await tipPoolService.recalculate(req.params.restaurantId, req.params.poolId, req.user);
+      res.json({ success: true, pool });
+    } catch (e) { sendError(res, 'recalculate tip pool', e); }
+  });
+
+  // Staff may read their own statement; managers anyone's. ?from&to
+  router.get('/api/tip-pools/:restaurantId/statements/:staffId', authenticateToken, async (req, res) => {
+    try {
+      const own = req.user && req.user.userId === req.params.staffId;
+      if (!(await requireAccess(req, res, own ? [req.user.role] : MANAGE_ROLES))) return;
+      const statement = await tipPoolService.statement(req.params.restaurantId, req.params.staffId, req.query);
+      res.json({ success: true, ...statement });
+    } catch (e) { sendError(res, 'load tip statement', e); }
+  });
+
+  return router;
+};
@@ -0,0 +1,90 @@
+/**
+ * Lot traceability and batch recalls — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/traceabilityRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Forward trace (batch → orders, customers, outlets), backward trace
+ * (order → batches → GRN → supplier), and recalls that quarantine a batch
+ * and everything distributed from it. Logic lives in
+ * inventory/traceability.js (pure) and services/traceabilityService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const traceabilityService = require('../services/traceabilityService');
+
+const TRACE_ROLES = ['owner', 'admin', 'manager'];
+
+module.exports = function initTraceabilityRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  // Guard: caller has one of `roles` and belongs to this restaurant.
+  // Returns false + sends the response on failure.
+  const requireAccess = async (req, res, roles = TRACE_ROLES) => {
+    if (!roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return false;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return false; }
+    }
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    if (!snap.exists) { res.status(404).json({ error: 'Restaurant not found' }); return false; }
+    return true;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`traceability ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  // ?inventoryItemId=&status=active|depleted|quarantined&batchNumber=
+  router.get('/api/traceability/:restaurantId/batches', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const { inventoryItemId, status, batchNumber } = req.query;
+      const batches = await traceabilityService.listBatches(req.params.restaurantId, { inventoryItemId, status, batchNumber });
+      res.json({ success: true, batches, total: batches.length });
+    } catch (e) { sendError(res, 'load batches', e); }
+  });
+
+  router.get('/api/traceability/:restaurantId/batches/:batchId/forward', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, trace: await traceabilityService.forwardTrace(req.params.restaurantId, req.params.batchId) });
+    } catch (e) { sendError(res, 'trace batch', e); }
+  });
+
+  router.get('/api/traceability/:restaurantId/orders/:orderId/backward', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, trace: await traceabilityService.backwardTrace(req.params.restaurantId, req.params.orderId) });
+    } catch (e) { sendError(res, 'trace order', e); }
+  });
+
+  // body { reason } — quarantines the batch and its outlet batches; returns
+  // the recall with the customers to contact
+  router.post('/api/traceability/:restaurantId/batches/:batchId/recall', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const recall = await traceabilityService.recall(req.params.restaurantId, req.params.batchId, req.user, req.body || {});
+      res.status(201).json({ success: true, recall });
+    } catch (e) { sendError(res, 'recall batch', e); }
+  });
+
+  router.get('/api/traceability/:restaurantId/recalls', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      const recalls = await traceabilityService.listRecalls(req.params.restaurantId);
+      res.json({ success: true, recalls, total: recalls.length });
+    } catch (e) { sendError(res, 'load recalls', e); }
+  });
+
+  return router;
+};
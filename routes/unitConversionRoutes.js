@@ -0,0 +1,75 @@
+/**
+ * Per-item units of measure — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/unitConversionRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * An item's resolved unit table (purchase / stock / recipe units and custom
+ * conversions such as "1 case = 12 bottle = 9 l"), a conversion preview for
+ * forms, and the one-off migration of items saved with only
+ * purchaseUnit + conversionFactor. Units themselves are edited through the
+ * inventory item endpoints. Logic lives in inventory/units.js (pure) and
+ * services/unitConversionService.js.
+ */
+
+'use strict';
+
+const express = require('express');
+const unitConversionService = require('../services/unitConversionService');
+
+const READ_ROLES = ['owner', 'admin', 'manager', 'kitchen'];
+const MIGRATE_ROLES = ['owner', 'admin'];
+
+module.exports = function initUnitConversionRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+
+  // Guard: caller has one of `roles` and belongs to this restaurant.
+  // Returns false + sends the response on failure.
+  const requireAccess = async (req, res, roles = READ_ROLES) => {
+    if (!roles.includes(req.user?.role)) {
+      res.status(403).json({ error: `Only ${roles.join(', ')} can do this.` });
+      return false;
+    }
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return false; }
+    }
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    if (!snap.exists) { res.status(404).json({ error: 'Restaurant not found' }); return false; }
+    return true;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message });
+    console.error(`unit-conversions ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  router.get('/api/unit-conversions/:restaurantId/items/:itemId', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, ...(await unitConversionService.itemUnits(req.params.restaurantId, req.params.itemId)) });
+    } catch (e) { sendError(res, 'load item units', e); }
+  });
+
+  // body { inventoryItemId, quantity, fromUnit, toUnit? } — toUnit defaults to the stock unit
+  router.post('/api/unit-conversions/:restaurantId/convert', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res))) return;
+      res.json({ success: true, ...(await unitConversionService.convert(req.params.restaurantId, req.body || {})) });
+    } catch (e) { sendError(res, 'convert units', e); }
+  });
+
+  // body { dryRun } — items whose units still don't resolve come back in `errors`
+  router.post('/api/unit-conversions/:restaurantId/migrate', authenticateToken, async (req, res) => {
+    try {
+      if (!(await requireAccess(req, res, MIGRATE_ROLES))) return;
+      const result = await unitConversionService.migrate(req.params.restaurantId, { dryRun: !!(req.body || {}).dryRun }, req.user);
+      res.json({ success: true, ...result });
+    } catch (e) { sendError(res, 'migrate item units', e); }
+  });
+
+  return router;
+};
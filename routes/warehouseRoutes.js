@@ -338,6 +338,8 @@ router.patch('/:orgId/indents/:indentId/receive', ...commonMiddleware, async (re
         inventoryItemId: item.inventoryItemId,
         inventoryItemName: indentItem.inventoryItemName,
         quantity: receivedQty,
+        remainingQty: receivedQty,
+        status: 'active',
         unit: indentItem.unit,
         source: 'INDENT_RECEIVED',
         referenceId: indentId,
@@ -0,0 +1,146 @@
+/**
+ * Saudi ZATCA Phase 2 (Fatoora) routes for POS orders — self-contained module.
+ *
+ * Mounted from index.js with a single line:
+ *     app.use(require('./routes/zatcaRoutes')(db, collections, authenticateToken, validateRestaurantAccess));
+ *
+ * Every route is gated on isSaudi(). XML, hash chaining, stamp and QR live in
+ * zatca/; the EGS unit (key, CSID, counter), signing transaction and reporting
+ * adapters in services/zatca/zatcaService.js. The order carries a `zatca`
+ * summary that /api/bill/render prints as the QR code.
+ */
+
+'use strict';
+
+const express = require('express');
+const zatcaService = require('../services/zatca/zatcaService');
+
+module.exports = function initZatcaRoutes(db, collections, authenticateToken, validateRestaurantAccess) {
+  const router = express.Router();
+  const restaurantsCol = (collections && collections.restaurants) || 'restaurants';
+  const invoicesCol = (collections && collections.zatcaInvoices) || 'zatcaInvoices';
+
+  const getRestaurant = async (restaurantId) => {
+    const snap = await db.collection(restaurantsCol).doc(restaurantId).get();
+    return snap.exists ? { ref: snap.ref, data: snap.data() } : null;
+  };
+
+  // Guard: caller has access to THIS restaurant and it is a Saudi store.
+  // Returns null + sends the response on failure.
+  const requireSaudi = async (req, res) => {
+    const { restaurantId } = req.params;
+    if (typeof validateRestaurantAccess === 'function') {
+      const hasAccess = await validateRestaurantAccess(req.user && req.user.userId, restaurantId);
+      if (!hasAccess) { res.status(403).json({ error: 'Access denied for this restaurant.' }); return null; }
+    }
+    const r = await getRestaurant(restaurantId);
+    if (!r) { res.status(404).json({ error: 'Restaurant not found' }); return null; }
+    if (!zatcaService.isSaudi(r.data)) {
+      res.status(409).json({ error: 'ZATCA e-invoicing is only available for Saudi (SAR) stores.' });
+      return null;
+    }
+    return r;
+  };
+
+  const sendError = (res, label, e) => {
+    if (e && e.status) return res.status(e.status).json({ error: e.message, details: e.details });
+    console.error(`zatca ${label}:`, e);
+    return res.status(500).json({ error: `Failed to ${label}` });
+  };
+
+  const canManage = (req) => ['owner', 'admin', 'manager'].includes(req.user?.role);
+  const canManageKeys = (req) => ['owner', 'admin'].includes(req.user?.role);
+
+  const configResponse = async (restaurantId, rData) =>
+    zatcaService.maskConfig(rData, await zatcaService.getEgs(restaurantId));
+
+  // --- Config + EGS unit ----------------------------------------------------
+  router.get('/api/zatca/:restaurantId/config', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireSaudi(req, res); if (!r) return;
+      res.json({ success: true, config: await configResponse(req.params.restaurantId, r.data) });
+    } catch (e) { sendError(res, 'load ZATCA config', e); }
+  });
+
+  router.put('/api/zatca/:restaurantId/config', authenticateToken, async (req, res) => {
+    try {
+      if (!canManage(req)) return res.status(403).json({ error: 'Only owners, admins and managers can change ZATCA settings.' });
+      const r = await requireSaudi(req, res); if (!r) return;
+      const zatcaConfig = zatcaService.mergeConfig(req.body || {}, r.data.zatcaConfig || {});
+      await r.ref.update({ zatcaConfig });
+      res.json({ success: true, config: await configResponse(req.params.restaurantId, { ...r.data, zatcaConfig }) });
+    } catch (e) { sendError(res, 'save ZATCA config', e); }
+  });
+
+  // Generate the EGS signing key. Returns the public key for the CSR;
+  // replacing an existing key needs { rotate: true }.
+  router.post('/api/zatca/:restaurantId/keys', authenticateToken, async (req, res) => {
+    try {
+      if (!canManageKeys(req)) return res.status(403).json({ error: 'Only owners and admins can manage the ZATCA signing key.' });
+      const r = await requireSaudi(req, res); if (!r) return;
+      const { publicKey } = await zatcaService.generateKeys(req.params.restaurantId, { rotate: req.body?.rotate === true });
+      res.json({ success: true, publicKey, config: await configResponse(req.params.restaurantId, r.data) });
+    } catch (e) { sendError(res, 'generate ZATCA signing key', e); }
+  });
+
+  // Store the CSID: { certificate, secret } and optionally an imported { privateKey }.
+  router.put('/api/zatca/:restaurantId/credentials', authenticateToken, async (req, res) => {
+    try {
+      if (!canManageKeys(req)) return res.status(403).json({ error: 'Only owners and admins can manage ZATCA credentials.' });
+      const r = await requireSaudi(req, res); if (!r) return;
+      const { certificate, secret, privateKey } = req.body || {};
+      if (!certificate && !secret && !privateKey) return res.status(400).json({ error: 'certificate, secret or privateKey is required' });
+      await zatcaService.setCredentials(req.params.restaurantId, { certificate, secret, privateKey });
+      res.json({ success: true, config: await configResponse(req.params.restaurantId, r.data) });
+    } catch (e) { sendError(res, 'save ZATCA credentials', e); }
+  });
+
+  // --- Orders ---------------------------------------------------------------
+  // Sign the order as the next invoice in the chain, then report it.
+  router.post('/api/zatca/:restaurantId/orders/:orderId/sign', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireSaudi(req, res); if (!r) return;
+      const { restaurantId, orderId } = req.params;
+      const { zatca, alreadySigned } = await zatcaService.signOrder(restaurantId, orderId, r.data);
+      const report = alreadySigned ? null : await zatcaService.reportInvoice(restaurantId, orderId, r.data);
+      try { require('../utils/kvCache').invalidateOrdersCache(restaurantId); } catch (_) {}
+      res.json({ success: true, alreadySigned, zatca: { ...zatca, ...(report ? { reportingStatus: report.reportingStatus } : {}) }, report });
+    } catch (e) { sendError(res, 'sign ZATCA invoice', e); }
+  });
+
+  router.post('/api/zatca/:restaurantId/orders/:orderId/report', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireSaudi(req, res); if (!r) return;
+      const report = await zatcaService.reportInvoice(req.params.restaurantId, req.params.orderId, r.data);
+      try { require('../utils/kvCache').invalidateOrdersCache(req.params.restaurantId); } catch (_) {}
+      res.json({ success: true, report });
+    } catch (e) { sendError(res, 'report ZATCA invoice', e); }
+  });
+
+  // The signed UBL XML as a download.
+  router.get('/api/zatca/:restaurantId/orders/:orderId/xml', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireSaudi(req, res); if (!r) return;
+      const snap = await db.collection(invoicesCol).doc(req.params.orderId).get();
+      if (!snap.exists || snap.data().restaurantId !== req.params.restaurantId) {
+        return res.status(404).json({ error: 'No signed ZATCA invoice for this order' });
+      }
+      const invoice = snap.data();
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="zatca-${invoice.icv}-${invoice.uuid}.xml"`);
+      res.send(invoice.xml);
+    } catch (e) { sendError(res, 'download ZATCA invoice', e); }
+  });
+
+  // Retry reporting for invoices still pending (offline at sale time, API down…).
+  router.post('/api/zatca/:restaurantId/report-pending', authenticateToken, async (req, res) => {
+    try {
+      const r = await requireSaudi(req, res); if (!r) return;
+      const result = await zatcaService.reportPending(req.params.restaurantId, r.data);
+      try { require('../utils/kvCache').invalidateOrdersCache(req.params.restaurantId); } catch (_) {}
+      res.json({ success: true, ...result });
+    } catch (e) { sendError(res, 'report pending ZATCA invoices', e); }
+  });
+
+  return router;
+};
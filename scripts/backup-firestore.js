@@ -40,18 +40,23 @@ const db = getFirestore(app, 'dine');
 const ALL_COLLECTIONS = [
   'users', 'restaurants', 'menus', 'menuItems', 'orders', 'payments',
   'inventory', 'suppliers', 'recipes', 'purchaseOrders', 'analytics',
-  'feedback', 'loyalty', 'tables', 'floors', 'bookings', 'staffUsers',
+  'feedback', 'loyalty', 'tables', 'floors', 'bookings', 'reservations', 'deposits',
+  'table_pay_links', 'table_payments', 'staffUsers',
   'userRestaurants', 'restaurantSettings', 'discountSettings', 'customers',
   'purchase-requisitions', 'goods-receipt-notes', 'supplier-invoices',
   'supplier-returns', 'stock-transfers', 'po-templates', 'supplier-quotations',
-  'supplier-performance', 'inventoryTransactions', 'stockBatches', 'aiUsage',
+  'supplier-performance', 'approval-delegations', 'supplier-payments', 'payment-runs',
+  'inventoryTransactions', 'stockBatches', 'batch-recalls', 'aiUsage',
   'automations', 'automation-templates', 'automation-settings', 'automation-logs',
   'coupons', 'customer-segments', 'saved_carts', 'idempotency_keys',
   'inv_organizations', 'inv_customers', 'inv_items', 'inv_invoices',
   'inv_quotes', 'inv_challans', 'inv_payments', 'inv_expenses',
   'inv_settings', 'inv_number_sequences', 'expenses', 'payrollConfig',
-  'payrollRuns', 'paySlips', 'chartOfAccounts', 'journalEntries',
+  'payrollRuns', 'paySlips', 'tip-pools', 'chartOfAccounts', 'journalEntries', 'accountingPeriods', 'ledgerExportMappings',
+  'einvoiceCredentials', 'zatcaEgsUnits', 'zatcaInvoices', 'etimsQueue',
+  'kdsTickets',
   'wasteEntries', 'stockAudits', 'productionEntries', 'attendance',
+  'menuItemCosts', 'menuCostHistory', 'foodCostAlerts',
   'customerAppSettings'
 ];
 
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Stub VSCU server for testing eTIMS without KRA's JAR.
+ *
+ * Usage:
+ *   node scripts/etims-stub-vscu.js              # listens on :8088
+ *   PORT=9000 node scripts/etims-stub-vscu.js
+ *
+ * Point the store's eTIMS "VSCU URL" at http://<host>:8088 (set submission
+ * mode to 'server' if the backend should call it directly). State is
+ * in-memory and resets on restart. Behaviour: services/etims/stubVscu.js.
+ */
+
+const express = require('express');
+const { createStubVscu } = require('../services/etims/stubVscu');
+
+const port = Number(process.env.PORT) || 8088;
+const stub = createStubVscu();
+const app = express();
+
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
+  next();
+});
+app.use(stub.router());
+
+app.listen(port, () => {
+  console.log(`🧪 Stub VSCU listening on http://localhost:${port}`);
+});
@@ -0,0 +1,152 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const { ianaToTzOffset } = require('../utils/timezone');
+const { toDate } = require('../utils/dates');
+const reorder = require('../inventory/reorder');
+const purchaseApprovalService = require('./purchaseApprovalService');
+
+/**
+ * Auto-Reorder Service
+ * Drafts purchase orders from par levels (inventory/reorder.js): loads stock,
+ * open POs (less what GRNs already received), suppliers and their
+ * performance, and writes one `pending` PO per supplier — the status that
+ * awaits approval (through the outlet's approval chain when one is set) — tagged
+ * source: 'auto-reorder'. Open POs count as on order, so a day's drafts are
+ * never drafted again while they wait.
+ *
+ * Runs daily per outlet at autoReorderSettings.runHour (store time) from the
+ * hourly cron, or on demand from routes/autoReorderRoutes.js.
+ */
+
+async function loadInputs(restaurantId) {
+  const [invSnap, supSnap, poSnap, perfSnap] = await Promise.all([
+    db.collection(collections.inventory).where('restaurantId', '==', restaurantId).get(),
+    db.collection(collections.suppliers).where('restaurantId', '==', restaurantId).get(),
+    db.collection(collections.purchaseOrders).where('restaurantId', '==', restaurantId).get(),
+    db.collection(collections.supplierPerformance).where('restaurantId', '==', restaurantId).get(),
+  ]);
+  const purchaseOrders = poSnap.docs.map(d => {
+    const po = d.data();
+    return { id: d.id, ...po, createdAt: toDate(po.createdAt) };
+  });
+
+  // Partly received POs: subtract what their GRNs brought in
+  const receivedByPo = {};
+  const partial = purchaseOrders.filter(po => po.status === 'partially_received');
+  await Promise.all(partial.map(async (po) => {
+    const grnSnap = await db.collection(collections.goodsReceiptNotes)
+      .where('restaurantId', '==', restaurantId)
+      .where('purchaseOrderId', '==', po.id)
+      .get();
+    const received = receivedByPo[po.id] = {};
+    grnSnap.docs.forEach(d => (d.data().items || []).forEach(i => {
+      if (i.inventoryItemId) received[i.inventoryItemId] = (received[i.inventoryItemId] || 0) + (Number(i.receivedQuantity) || 0);
+    }));
+  }));
+
+  const performances = {};
+  perfSnap.docs.forEach(d => { const p = d.data(); if (p.supplierId) performances[p.supplierId] = p; });
+
+  return {
+    inventory: invSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+    suppliers: supSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+    purchaseOrders,
+    receivedByPo,
+    performances,
+  };
+}
+
+/** What would be ordered right now. Reads only. */
+async function plan(restaurantId) {
+  const inputs = await loadInputs(restaurantId);
+  return reorder.planOrders(inputs.inventory, inputs);
+}
+
+/**
+ * Write the draft POs. `trigger` = 'schedule' | 'manual'; `localDate` is the
+ * store date recorded as the last run (the cron uses it to run once a day).
+ */
+async function draftPurchaseOrders(restaurantId, { trigger = 'manual', userId = null, localDate = null } = {}) {
+  const { orders, unassigned } = await plan(restaurantId);
+  const now = new Date();
+  const created = [];
+
+  if (orders.length > 0) {
+    const batch = db.batch();
+    for (const o of orders) {
+      const ref = db.collection(collections.purchaseOrders).doc();
+      const poData = {
+        restaurantId,
+        supplierId: o.supplierId,
+        supplierName: o.supplierName,
+        items: o.items,
+        totalAmount: o.totalAmount,
+        notes: 'Auto-drafted from par levels',
+        expectedDeliveryDate: null,
+        status: 'pending',
+        source: 'auto-reorder',
+        autoReorderTrigger: trigger,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: userId || 'system',
+      };
+      const approval = await purchaseApprovalService.prepare(restaurantId, 'purchase_order', poData);
+      if (approval) poData.approval = approval;
+      batch.set(ref, poData);
+      created.push({ id: ref.id, ...poData });
+    }
+    await batch.commit();
+  }
+
+  await db.collection(collections.restaurants).doc(restaurantId).update({
+    autoReorderLastRun: {
+      at: now,
+      date: localDate || now.toISOString().slice(0, 10),
+      trigger,
+      purchaseOrderIds: created.map(po => po.id),
+      unassignedItems: unassigned.length,
+    },
+  });
+
+  if (created.length > 0) {
+    console.log(`🛒 Auto-reorder (${trigger}) for ${restaurantId}: ${created.length} draft PO(s)`);
+    pushEvent(restaurantId, 'inventory', 'purchase-orders-drafted', {
+      trigger,
+      purchaseOrders: created.map(po => ({ id: po.id, supplierId: po.supplierId, supplierName: po.supplierName, totalAmount: po.totalAmount, items: po.items.length })),
+    });
+  }
+  return { purchaseOrders: created, unassigned };
+}
+
+/**
+ * Cron entry: draft POs for every enabled outlet whose store-local hour is
+ * its runHour and which hasn't run yet today.
+ */
+async function runDue(now = new Date()) {
+  const snap = await db.collection(collections.restaurants)
+    .where('autoReorderSettings.enabled', '==', true)
+    .get();
+  const result = { checked: snap.size, ran: 0, purchaseOrders: 0, failed: 0 };
+  for (const doc of snap.docs) {
+    const data = doc.data();
+    const settings = reorder.settingsFor(data);
+    const local = new Date(now.getTime() - ianaToTzOffset(data.posSettings?.timezone || 'Asia/Kolkata') * 60000);
+    const localDate = local.toISOString().slice(0, 10);
+    if (local.getUTCHours() !== settings.runHour || data.autoReorderLastRun?.date === localDate) continue;
+    try {
+      const { purchaseOrders } = await draftPurchaseOrders(doc.id, { trigger: 'schedule', localDate });
+      result.ran++;
+      result.purchaseOrders += purchaseOrders.length;
+    } catch (err) {
+      result.failed++;
+      console.error(`Auto-reorder for ${doc.id} failed:`, err.message);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  plan,
+  draftPurchaseOrders,
+  runDue,
+};
@@ -0,0 +1,111 @@
+const { db, collections } = require('../firebase');
+const pusherService = require('./firebaseRealtimeService');
+const kdsService = require('./kdsService');
+const { splitOrderByPrintStation } = require('../utils/printStations');
+const courseFiring = require('../kds/courses');
+
+/**
+ * Course Service
+ * Hold / fire for coursed dine-in orders (model in kds/courses.js).
+ *
+ * Firing runs in a transaction so two waiters can't fire the same course
+ * twice, then pushes a per-station incremental KOT (only the fired course is
+ * flagged new, so existing print clients print just that course) and syncs
+ * the order's KDS tickets.
+ */
+
+const ordersCol = () => db.collection(collections.orders);
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const KITCHEN_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served'];
+
+async function loadOrder(tx, restaurantId, orderId) {
+  const ref = ordersCol().doc(orderId);
+  const snap = await tx.get(ref);
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw fail(404, 'Order not found');
+  const order = { id: snap.id, ...snap.data() };
+  if (!KITCHEN_STATUSES.includes(order.status)) throw fail(409, `Courses can't change on a ${order.status} order`);
+  return { ref, order };
+}
+
+/** Put a course on hold. Returns the order's course summary. */
+async function hold(restaurantId, orderId, course, userId = null) {
+  const order = await db.runTransaction(async (tx) => {
+    const { ref, order } = await loadOrder(tx, restaurantId, orderId);
+    const update = courseFiring.holdCourse(order, course, new Date(), userId);
+    tx.update(ref, { ...update, updatedAt: new Date() });
+    return { ...order, ...update };
+  });
+  try { require('../utils/kvCache').invalidateOrdersCache(restaurantId); } catch (_) {}
+  await pusherService.pushEvent(restaurantId, 'orders', 'course-held', { orderId, course: Number(course) })
+    .catch(err => console.error('Course hold notification error (non-blocking):', err));
+  return courseFiring.courseSummary(order);
+}
+
+/**
+ * Fire a held course: KOT to each print station that has its items, KDS
+ * tickets for it, course timing stamped. Returns { courses, stations }.
+ */
+async function fire(restaurantId, orderId, course, { userId = null, restaurantData = {} } = {}) {
+  const { order, items } = await db.runTransaction(async (tx) => {
+    const { ref, order } = await loadOrder(tx, restaurantId, orderId);
+    const { update, items } = courseFiring.fireCourse(order, course, new Date(), userId);
+    tx.update(ref, { ...update, kotPrinted: false, updatedAt: new Date() });
+    return { order: { ...order, ...update }, items };
+  });
+  try { require('../utils/kvCache').invalidateOrdersCache(restaurantId); } catch (_) {}
+
+  const printSettings = { kotExclusionEnabled: false, kotExcludedCategories: [], kotExcludedItemIds: [], ...(restaurantData.printSettings || {}) };
+  const stationGroups = splitOrderByPrintStation(items, restaurantData.printStations, restaurantData.categories, printSettings);
+  const n = courseFiring.sanitizeCourse(course);
+  await Promise.allSettled([
+    ...stationGroups.map(group =>
+      pusherService.notifyKOTPrintRequest(restaurantId, {
+        id: orderId,
+        dailyOrderId: order.dailyOrderId,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        roomNumber: order.roomNumber,
+        items: group.items,
+        notes: order.notes,
+        specialInstructions: order.specialInstructions,
+        staffInfo: order.staffInfo,
+        orderType: order.orderType,
+        createdAt: new Date().toISOString(),
+        isIncremental: true,
+        course: n,
+        printStationId: group.stationId,
+        printStationName: group.stationName,
+      }).catch(err => console.error('Course KOT notification error (non-blocking):', err))),
+    pusherService.pushEvent(restaurantId, 'orders', 'course-fired', { orderId, course: n, itemCount: items.length })
+      .catch(err => console.error('Course fire notification error (non-blocking):', err)),
+    kdsService.syncInBackground(orderId, restaurantData),
+  ]);
+
+  return {
+    courses: courseFiring.courseSummary(order),
+    stations: stationGroups.map(g => ({ stationId: g.stationId, stationName: g.stationName, itemCount: g.items.length })),
+  };
+}
+
+/** Course pacing stats for orders created in [start, end]. */
+async function timing(restaurantId, start, end) {
+  const snap = await ordersCol()
+    .where('restaurantId', '==', restaurantId)
+    .where('createdAt', '>=', start)
+    .where('createdAt', '<=', end)
+    .get();
+  const orders = snap.docs.map(d => d.data()).filter(o => o.courses && o.status !== 'cancelled' && o.status !== 'deleted');
+  return { orderCount: orders.length, courses: courseFiring.courseTimingStats(orders) };
+}
+
+module.exports = {
+  hold,
+  fire,
+  timing,
+};
@@ -0,0 +1,705 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const guestWhatsApp = require('./guestWhatsApp');
+const ledgerPostingService = require('./ledgerPostingService');
+const { getCachedRestDoc, invalidateRestaurantCache } = require('../utils/kvCache');
+const { dateStrInTZ, dateBoundsInTZ, getRestaurantTzOffset } = require('../utils/timezone');
+const deposits = require('../billing/deposits');
+const { round2 } = require('../billing/billingCalc');
+const { toDate } = require('../utils/dates');
+const razorpay = require('../razorpayOAuth');
+const { getDodoClient } = require('../dodoPayment');
+
+/**
+ * Deposit Service
+ * Upfront deposits on table reservations and venue / catering bookings,
+ * collected on the restaurant's own Razorpay account (OAuth payment links) or
+ * through a Dodo checkout, then applied to the final bill, refunded or
+ * forfeited under the cancellation policy in billing/deposits.js.
+ *
+ * A deposit's `amount` is what the guest paid; what's still held is
+ * amount − appliedAmount − refundedAmount − forfeitedAmount. The source doc
+ * (reservation / booking) carries a `deposit` summary for the host stand.
+ * Every money movement re-syncs the deposit's ledger entries.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const DEPOSITS = collections.deposits || 'deposits';
+const SOURCES = {
+  reservation: collections.reservations || 'reservations',
+  booking: collections.bookings || 'bookings',
+};
+const MINUTE = 60000;
+// Razorpay refuses payment links that expire sooner than this
+const MIN_LINK_MINUTES = 16;
+const FRONTEND_URL = () => process.env.FRONTEND_URL || 'https://www.dineopen.com';
+const returnUrl = (id) => `${process.env.BACKEND_URL || 'https://api.dineopen.com'}/api/public/deposits/${id}/return`;
+
+async function loadRestaurant(restaurantId) {
+  const doc = await getCachedRestDoc(db, collections.restaurants, restaurantId);
+  if (!doc.exists) throw httpError(404, 'Restaurant not found');
+  return doc.data();
+}
+
+const currencyOf = (restaurant) => (restaurant.currencySettings && restaurant.currencySettings.currencyCode) || 'INR';
+const restaurantNameOf = (r) => r.name || r.restaurantName || 'the restaurant';
+const iso = (v) => toDate(v)?.toISOString() || null;
+const serialize = (d) => ({
+  ...d,
+  startAt: iso(d.startAt), expiresAt: iso(d.expiresAt), createdAt: iso(d.createdAt), updatedAt: iso(d.updatedAt),
+  paidAt: iso(d.paidAt), appliedAt: iso(d.appliedAt), refundedAt: iso(d.refundedAt), forfeitedAt: iso(d.forfeitedAt),
+});
+
+/** What's still held on a deposit (not applied, refunded or forfeited). */
+const heldOf = (d) => round2(Math.max(0, (d.amount || 0) - (d.appliedAmount || 0) - (d.refundedAmount || 0) - (d.forfeitedAmount || 0)));
+
+// Summary kept on the reservation / booking
+const summaryOf = (id, d) => ({
+  depositId: id,
+  amount: d.amount,
+  status: d.status,
+  payUrl: d.status === 'pending' ? d.payUrl : null,
+  held: heldOf(d),
+  refunded: d.refundedAmount || 0,
+  forfeited: d.forfeitedAmount || 0,
+});
+
+async function mirror(id, d) {
+  try {
+    await db.collection(SOURCES[d.sourceType]).doc(d.sourceId).update({ deposit: summaryOf(id, d), updatedAt: new Date() });
+  } catch (err) {
+    console.error(`Deposit ${id} source update error:`, err.message);
+  }
+  pushEvent(d.restaurantId, 'tables', 'deposit-updated', { depositId: id, sourceType: d.sourceType, sourceId: d.sourceId, status: d.status }).catch(() => {});
+}
+
+const syncLedger = (id) => ledgerPostingService.postInBackground('deposit', () => ledgerPostingService.syncDeposit(id));
+
+// ── Gateways ──────────────────────────────────────────────────────
+// create → { gatewayRef, payUrl }; check → { paid, paymentId, closed };
+// refund → { id, status }; cancel → void an unpaid link.
+
+const gateways = {
+  razorpay: {
+    async create(id, d) {
+      const expireBy = new Date(Math.max(toDate(d.expiresAt).getTime(), Date.now() + MIN_LINK_MINUTES * MINUTE));
+      const link = await razorpay.createPaymentLink(db, d.restaurantId, {
+        amount: deposits.toMinorUnits(d.amount),
+        currency: d.currency,
+        referenceId: id,
+        description: d.description,
+        customer: d.customer,
+        callbackUrl: returnUrl(id),
+        expireBy,
+        notes: { kind: 'deposit', depositId: id, restaurantId: d.restaurantId },
+      });
+      return { gatewayRef: link.id, payUrl: link.short_url };
+    },
+    async check(d) {
+      const link = await razorpay.fetchPaymentLink(db, d.restaurantId, d.gatewayRef);
+      const payment = (link.payments || []).find(p => p.status === 'captured') || (link.payments || [])[0];
+      return {
+        paid: link.status === 'paid',
+        paymentId: payment ? payment.payment_id : null,
+        closed: ['expired', 'cancelled'].includes(link.status),
+      };
+    },
+    async refund(d, amount, reason) {
+      const refund = await razorpay.refundPayment(db, d.restaurantId, d.gatewayPaymentId, {
+        amount: deposits.toMinorUnits(amount),
+        notes: { kind: 'deposit', reason: String(reason || '').slice(0, 200) },
+      });
+      return { id: refund.id, status: refund.status || 'pending' };
+    },
+    cancel(d) {
+      return razorpay.cancelPaymentLink(db, d.restaurantId, d.gatewayRef);
+    },
+  },
+  dodo: {
+    async client() {
+      const client = await getDodoClient();
+      if (!client || !process.env.DODO_DEPOSIT_PRODUCT_ID) throw httpError(503, 'Dodo deposits are not configured');
+      return client;
+    },
+    async create(id, d) {
+      const client = await this.client();
+      const session = await client.checkoutSessions.create({
+        // A pay-what-you-want product: the deposit amount is set per checkout
+        product_cart: [{ product_id: process.env.DODO_DEPOSIT_PRODUCT_ID, quantity: 1, amount: deposits.toMinorUnits(d.amount) }],
+        customer: d.customer.email ? { email: d.customer.email, name: d.customer.name || d.customer.email } : undefined,
+        return_url: returnUrl(id),
+        metadata: { kind: 'deposit', depositId: id, restaurantId: d.restaurantId },
+      });
+      return { gatewayRef: session.session_id || session.id, payUrl: session.checkout_url || session.url };
+    },
+    // Dodo appends ?payment_id to the return URL; otherwise the webhook marks it paid
+    async check(d, { paymentId } = {}) {
+      const id = paymentId || d.gatewayPaymentId;
+      if (!id) return { paid: false, paymentId: null, closed: false };
+      const client = await this.client();
+      const payment = await client.payments.retrieve(id);
+      const ours = payment.metadata && payment.metadata.depositId === d.id;
+      return { paid: ours && payment.status === 'succeeded', paymentId: id, closed: false };
+    },
+    async refund(d, amount, reason) {
+      const client = await this.client();
+      const refund = await client.refunds.create({
+        payment_id: d.gatewayPaymentId,
+        items: [{ item_id: process.env.DODO_DEPOSIT_PRODUCT_ID, amount: deposits.toMinorUnits(amount) }],
+        reason: reason || null,
+        metadata: { kind: 'deposit', depositId: d.id, restaurantId: d.restaurantId },
+      });
+      return { id: refund.refund_id || refund.id, status: refund.status || 'pending' };
+    },
+    // Checkout sessions lapse on their own
+    async cancel() {},
+  },
+};
+
+// ── Settings ──────────────────────────────────────────────────────
+
+async function getSettings(restaurantId) {
+  return deposits.settingsFor(await loadRestaurant(restaurantId));
+}
+
+async function updateSettings(restaurantId, body = {}, user = {}) {
+  const current = (await loadRestaurant(restaurantId)).depositSettings || {};
+  const merged = { ...current };
+  Object.keys(deposits.DEFAULT_SETTINGS).forEach(k => { if (body[k] !== undefined) merged[k] = body[k]; });
+  const settings = deposits.settingsFor({ depositSettings: merged });
+  const errors = deposits.validateSettings(settings);
+  if (errors.length > 0) throw httpError(400, errors.join('; '));
+  await db.collection(collections.restaurants).doc(restaurantId).update({
+    depositSettings: settings,
+    updatedAt: new Date(),
+    updatedBy: user.userId || null,
+  });
+  invalidateRestaurantCache(restaurantId);
+  return settings;
+}
+
+// ── Requesting ────────────────────────────────────────────────────
+
+/**
+ * Create the deposit and its payment link → the saved deposit. `source` is
+ * { sourceType, sourceId, sourceLabel, customer, startAt, description }.
+ */
+async function request(restaurantId, restaurant, settings, amount, source, user = {}) {
+  if (!(amount > 0)) throw httpError(400, 'Deposit amount must be above 0');
+  const open = await db.collection(DEPOSITS).where('sourceId', '==', source.sourceId).get();
+  if (open.docs.some(doc => ['pending', 'paid'].includes(doc.data().status))) {
+    throw httpError(409, 'This booking already has a deposit.');
+  }
+  const now = new Date();
+  const ref = db.collection(DEPOSITS).doc();
+  const data = {
+    restaurantId,
+    ...source,
+    amount: round2(amount),
+    currency: currencyOf(restaurant),
+    gateway: settings.gateway,
+    status: 'pending',
+    // Policy the guest agreed to — later edits to the settings don't apply
+    policy: {
+      freeCancellationHours: settings.freeCancellationHours,
+      lateCancellationFeePercent: settings.lateCancellationFeePercent,
+      noShowFeePercent: settings.noShowFeePercent,
+    },
+    expiresAt: new Date(now.getTime() + settings.paymentWindowMinutes * MINUTE),
+    appliedAmount: 0,
+    refundedAmount: 0,
+    forfeitedAmount: 0,
+    refunds: [],
+    createdBy: user.userId || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const link = await gateways[data.gateway].create(ref.id, data);
+  Object.assign(data, link);
+  await ref.set(data);
+  await mirror(ref.id, data);
+  return { id: ref.id, ...data };
+}
+
+/**
+ * Deposit for a new reservation when the policy asks for one → the deposit,
+ * or null. Called by reservationService.create; the pay link goes out with
+ * the WhatsApp confirmation.
+ */
+async function createForReservation(restaurantId, reservation, user = {}) {
+  const restaurant = await loadRestaurant(restaurantId);
+  const settings = deposits.settingsFor(restaurant);
+  const amount = deposits.reservationDeposit(settings, reservation);
+  if (!(amount > 0)) return null;
+  return request(restaurantId, restaurant, settings, amount, {
+    sourceType: 'reservation',
+    sourceId: reservation.id,
+    sourceLabel: reservation.reference,
+    customer: { name: reservation.name, phone: reservation.phone, email: reservation.email || null, id: reservation.customerId || null },
+    startAt: toDate(reservation.startAt),
+    description: `Table deposit — ${restaurantNameOf(restaurant)}, ${reservation.date} ${reservation.time} for ${reservation.partySize}`,
+  }, user);
+}
+
+/**
+ * Staff asks for a deposit on an existing reservation or venue / catering
+ * booking. body { sourceType: 'reservation' | 'booking', sourceId, amount? } —
+ * amount defaults to the policy's.
+ */
+async function createForSource(restaurantId, body = {}, user = {}) {
+  const col = SOURCES[body.sourceType];
+  if (!col) throw httpError(400, `sourceType must be one of: ${Object.keys(SOURCES).join(', ')}`);
+  const doc = await db.collection(col).doc(String(body.sourceId || '')).get();
+  if (!doc.exists || doc.data().restaurantId !== restaurantId) throw httpError(404, 'Booking not found');
+  const s = { id: doc.id, ...doc.data() };
+  if (['cancelled', 'completed', 'no-show'].includes(s.status)) throw httpError(400, `Can't take a deposit on a ${s.status} booking.`);
+
+  const restaurant = await loadRestaurant(restaurantId);
+  const settings = { ...deposits.settingsFor(restaurant), enabled: true };
+  if (body.sourceType === 'reservation') {
+    const amount = body.amount !== undefined ? Number(body.amount) : deposits.reservationDeposit(settings, s);
+    return serialize(await request(restaurantId, restaurant, settings, amount, {
+      sourceType: 'reservation',
+      sourceId: s.id,
+      sourceLabel: s.reference,
+      customer: { name: s.name, phone: s.phone, email: s.email || null, id: s.customerId || null },
+      startAt: toDate(s.startAt),
+      description: `Table deposit — ${restaurantNameOf(restaurant)}, ${s.date} ${s.time} for ${s.partySize}`,
+    }, user));
+  }
+  const { tzOffset } = await getRestaurantTzOffset(db, restaurantId);
+  const [h, m] = String(s.eventTime || '00:00').split(':').map(Number);
+  const amount = body.amount !== undefined ? Number(body.amount) : deposits.venueDeposit(settings, s);
+  const customer = s.customer || {};
+  return serialize(await request(restaurantId, restaurant, settings, amount, {
+    sourceType: 'booking',
+    sourceId: s.id,
+    sourceLabel: s.bookingNumber || null,
+    customer: { name: customer.name || null, phone: customer.phone || null, email: customer.email || null, id: customer.id || null },
+    startAt: new Date(dateBoundsInTZ(s.eventDate, tzOffset).start.getTime() + ((h || 0) * 60 + (m || 0)) * MINUTE),
+    description: `Booking deposit — ${restaurantNameOf(restaurant)}${s.eventName ? `, ${s.eventName}` : ''} on ${s.eventDate}`,
+  }, user));
+}
+
+// ── Payment ───────────────────────────────────────────────────────
+
+/**
+ * Record the gateway payment → the deposit. Idempotent. A reservation that
+ * was waiting on it is confirmed; a venue booking gets an advance payment
+ * line. Money arriving after the deposit lapsed is refunded straight back.
+ */
+async function markPaid(depositId, { paymentId = null } = {}) {
+  const ref = db.collection(DEPOSITS).doc(depositId);
+  const result = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) throw httpError(404, 'Deposit not found');
+    const d = doc.data();
+    if (!['pending', 'expired', 'void'].includes(d.status)) return { changed: false, d };
+    const now = new Date();
+    const updates = { status: 'paid', paidAt: now, gatewayPaymentId: paymentId || d.gatewayPaymentId || null, updatedAt: now };
+    tx.update(ref, updates);
+    return { changed: true, lapsed: d.status !== 'pending', d: { ...d, ...updates } };
+  });
+  const d = { id: depositId, ...result.d };
+  if (!result.changed) return serialize(d);
+
+  syncLedger(depositId);
+  if (result.lapsed) {
+    return refund(d.restaurantId, depositId, { reason: 'Paid after the deposit window closed' });
+  }
+
+  const sourceRef = db.collection(SOURCES[d.sourceType]).doc(d.sourceId);
+  const sourceDoc = await sourceRef.get();
+  if (sourceDoc.exists) {
+    const s = sourceDoc.data();
+    const now = new Date();
+    if (d.sourceType === 'reservation' && s.status === 'booked') {
+      await sourceRef.update({ status: 'confirmed', confirmedAt: now, confirmedVia: 'deposit', updatedAt: now });
+    } else if (d.sourceType === 'booking') {
+      const payments = [...(s.payments || []), {
+        amount: d.amount, method: d.gateway, date: now.toISOString(), note: `Deposit ${depositId}`, type: 'advance', depositId,
+      }];
+      const paidAmount = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+      const totalAmount = s.totalAmount || 0;
+      await sourceRef.update({
+        payments,
+        paidAmount,
+        balanceAmount: Math.max(0, totalAmount - paidAmount),
+        paymentStatus: paidAmount >= totalAmount && totalAmount > 0 ? 'paid' : 'advance_paid',
+        updatedAt: now,
+      });
+    }
+  }
+  await mirror(depositId, d);
+  sendReceipt(d).catch(err => {
+    if (err.status !== 400) console.error('Deposit receipt send error:', err.message);
+  });
+  return serialize(d);
+}
+
+async function sendReceipt(d) {
+  if (!d.customer || !d.customer.phone) return;
+  const restaurant = await loadRestaurant(d.restaurantId);
+  const credentials = await guestWhatsApp.credentialsForRestaurant(d.restaurantId);
+  const p = d.policy;
+  const message = `Thanks ${d.customer.name || ''}! We've received your deposit of ${d.currency} ${d.amount}${d.sourceLabel ? ` for booking ${d.sourceLabel}` : ''} at ${restaurantNameOf(restaurant)}. It comes off your final bill.`
+    + `\n\nCancel at least ${p.freeCancellationHours}h ahead for a full refund; later cancellations keep ${p.lateCancellationFeePercent}% and no-shows ${p.noShowFeePercent}%.`;
+  await guestWhatsApp.send({
+    restaurantId: d.restaurantId, type: 'whatsapp_deposit', phone: guestWhatsApp.formatPhone(d.customer.phone, restaurant),
+    customerName: d.customer.name, message, credentials,
+  });
+}
+
+/** Ask the gateway whether a pending deposit has been paid → the deposit. */
+async function syncFromGateway(depositId, hints = {}) {
+  const doc = await db.collection(DEPOSITS).doc(depositId).get();
+  if (!doc.exists) throw httpError(404, 'Deposit not found');
+  const d = { id: doc.id, ...doc.data() };
+  if (d.status !== 'pending') return serialize(d);
+  const status = await gateways[d.gateway].check(d, hints);
+  if (status.paid) return markPaid(depositId, { paymentId: status.paymentId });
+  return serialize(d);
+}
+
+/**
+ * Dodo webhook (dodoPayment.js) → true when the event belongs to a deposit,
+ * so the subscription handlers never see it.
+ */
+async function handleDodoEvent(eventType, data = {}) {
+  const payload = data.payment || data.refund || data;
+  const metadata = payload.metadata || {};
+  let depositId = metadata.kind === 'deposit' ? metadata.depositId : null;
+  if (!depositId && String(eventType).startsWith('refund.') && payload.payment_id) {
+    const snap = await db.collection(DEPOSITS).where('gatewayPaymentId', '==', payload.payment_id).limit(1).get();
+    if (!snap.empty) depositId = snap.docs[0].id;
+  }
+  if (!depositId) return false;
+
+  if (eventType === 'payment.succeeded') {
+    await markPaid(depositId, { paymentId: payload.payment_id || null });
+  } else if (eventType === 'refund.succeeded' || eventType === 'refund.failed') {
+    const refundId = payload.refund_id || payload.id;
+    const ref = db.collection(DEPOSITS).doc(depositId);
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return;
+      const refunds = (doc.data().refunds || []).map(r => (r.id === refundId ? { ...r, status: eventType === 'refund.succeeded' ? 'processed' : 'failed' } : r));
+      tx.update(ref, { refunds, refundFailed: refunds.some(r => r.status === 'failed'), updatedAt: new Date() });
+    });
+    if (eventType === 'refund.failed') console.error(`Deposit ${depositId} refund ${refundId} failed at Dodo`);
+  }
+  return true;
+}
+
+// ── Settling ──────────────────────────────────────────────────────
+
+/**
+ * Move money out of a held deposit: `refundAmount` back to the guest through
+ * the gateway, `forfeitAmount` kept as a cancellation fee → the deposit.
+ */
+async function release(depositId, { refundAmount = 0, forfeitAmount = 0, reason = null, rule = null, user = {} }) {
+  const ref = db.collection(DEPOSITS).doc(depositId);
+  const doc = await ref.get();
+  const d = { id: doc.id, ...doc.data() };
+  const held = heldOf(d);
+  refundAmount = round2(Math.min(Math.max(0, refundAmount), held));
+  forfeitAmount = round2(Math.min(Math.max(0, forfeitAmount), held - refundAmount));
+  if (refundAmount <= 0 && forfeitAmount <= 0) return serialize(d);
+
+  const now = new Date();
+  const updates = { updatedAt: now, updatedBy: user.userId || null };
+  if (refundAmount > 0) {
+    // The gateway call goes first: nothing is recorded as refunded unless it was accepted
+    const r = await gateways[d.gateway].refund(d, refundAmount, reason);
+    updates.refunds = [...(d.refunds || []), { id: r.id, amount: refundAmount, status: r.status, reason, at: now, by: user.userId || null }];
+    updates.refundedAmount = round2((d.refundedAmount || 0) + refundAmount);
+    updates.refundedAt = now;
+  }
+  if (forfeitAmount > 0) {
+    updates.forfeitedAmount = round2((d.forfeitedAmount || 0) + forfeitAmount);
+    updates.forfeitedAt = now;
+    updates.forfeitRule = rule || reason || 'manual';
+  }
+  const next = { ...d, ...updates };
+  if (heldOf(next) <= 0) {
+    updates.status = next.appliedAmount > 0 ? 'applied' : (next.forfeitedAmount > 0 ? 'forfeited' : 'refunded');
+  }
+  await ref.update(updates);
+  const saved = { ...d, ...updates };
+  syncLedger(depositId);
+  await mirror(depositId, saved);
+  return serialize(saved);
+}
+
+/**
+ * The booking behind a deposit fell through (reason 'cancel' | 'no-show') →
+ * the settled deposits. Unpaid links are voided; paid deposits are split
+ * between refund and fee by the policy the guest agreed to. `startAt` is the
+ * booking's current start (it may have moved since the deposit was taken).
+ */
+async function settleForSource(sourceType, sourceId, { reason = 'cancel', startAt = null, user = {} } = {}) {
+  const snap = await db.collection(DEPOSITS).where('sourceId', '==', sourceId).get();
+  const out = [];
+  for (const doc of snap.docs) {
+    const d = { id: doc.id, ...doc.data() };
+    if (d.sourceType !== sourceType) continue;
+    if (d.status === 'pending') {
+      await gateways[d.gateway].cancel(d).catch(err => console.error(`Deposit ${d.id} link cancel error:`, err.message));
+      const voided = { status: 'void', updatedAt: new Date() };
+      await doc.ref.update(voided);
+      await mirror(d.id, { ...d, ...voided });
+      out.push(serialize({ ...d, ...voided }));
+    } else if (d.status === 'paid') {
+      const outcome = deposits.cancellationOutcome(d.policy || {}, {
+        amount: heldOf(d), startAt: toDate(startAt) || toDate(d.startAt), reason,
+      });
+      out.push(await release(d.id, {
+        refundAmount: outcome.refund, forfeitAmount: outcome.forfeit, rule: outcome.rule,
+        reason: reason === 'no-show' ? 'No-show' : 'Booking cancelled', user,
+      }));
+    }
+  }
+  return out;
+}
+
+async function load(restaurantId, depositId) {
+  const doc = await db.collection(DEPOSITS).doc(depositId).get();
+  if (!doc.exists || doc.data().restaurantId !== restaurantId) throw httpError(404, 'Deposit not found');
+  return { id: doc.id, ...doc.data() };
+}
+
+/** Staff refund of part or all of what's held (default: all) → the deposit. */
+async function refund(restaurantId, depositId, { amount, reason } = {}, user = {}) {
+  const d = await load(restaurantId, depositId);
+  if (d.status !== 'paid') throw httpError(400, `Can't refund a ${d.status} deposit.`);
+  const value = amount !== undefined && amount !== null ? Number(amount) : heldOf(d);
+  if (!(value > 0) || value > heldOf(d)) throw httpError(400, `Refund must be between 0 and ${heldOf(d)}`);
+  return release(depositId, { refundAmount: value, reason: reason || 'Refunded by staff', user });
+}
+
+/** Staff keeps part or all of what's held as a fee; the rest is refunded → the deposit. */
+async function forfeit(restaurantId, depositId, { amount, reason } = {}, user = {}) {
+  const d = await load(restaurantId, depositId);
+  if (d.status !== 'paid') throw httpError(400, `Can't forfeit a ${d.status} deposit.`);
+  const held = heldOf(d);
+  const value = amount !== undefined && amount !== null ? Number(amount) : held;
+  if (!(value > 0) || value > held) throw httpError(400, `Forfeit must be between 0 and ${held}`);
+  return release(depositId, { forfeitAmount: value, refundAmount: round2(held - value), reason: reason || 'Forfeited by staff', rule: 'manual', user });
+}
+
+// ── Applying to the bill ──────────────────────────────────────────
+
+/**
+ * The paid deposit an order should settle against: the order's explicit
+ * depositId, else the deposit of the reservation seated at its table today
+ * (or due at it right now).
+ */
+async function findForOrder(restaurantId, order) {
+  if (order.depositId) {
+    const d = await load(restaurantId, order.depositId);
+    return d.status === 'paid' ? d : null;
+  }
+  if (!order.tableId) return null;
+  const { tzOffset } = await getRestaurantTzOffset(db, restaurantId);
+  const now = new Date();
+  const snap = await db.collection(SOURCES.reservation)
+    .where('restaurantId', '==', restaurantId)
+    .where('date', '==', dateStrInTZ(now, tzOffset))
+    .get();
+  const atTable = snap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(r => r.deposit && r.deposit.status === 'paid' && (r.tableIds || []).includes(order.tableId));
+  const due = (r) => ['booked', 'confirmed'].includes(r.status)
+    && toDate(r.startAt).getTime() - 30 * MINUTE <= now.getTime() && toDate(r.endAt).getTime() >= now.getTime();
+  const match = atTable.find(r => r.status === 'seated') || atTable.find(due);
+  if (!match) return null;
+  const d = await load(restaurantId, match.deposit.depositId);
+  return d.status === 'paid' ? d : null;
+}
+
+/** Till preview: the deposit that will settle this order and what's left to collect. */
+async function forOrder(restaurantId, orderId) {
+  const doc = await db.collection(collections.orders).doc(orderId).get();
+  if (!doc.exists || doc.data().restaurantId !== restaurantId) throw httpError(404, 'Order not found');
+  const order = doc.data();
+  if (order.depositId) return { deposit: null, applied: order.depositApplied || 0, balance: null, alreadyApplied: true };
+  const d = await findForOrder(restaurantId, order);
+  if (!d) return { deposit: null, applied: 0, balance: round2(order.finalAmount || order.totalAmount || 0) };
+  const finalAmount = round2(order.finalAmount || order.totalAmount || 0);
+  const applied = round2(Math.min(heldOf(d), finalAmount));
+  return { deposit: serialize(d), applied, balance: round2(finalAmount - applied), excess: round2(heldOf(d) - applied) };
+}
+
+/**
+ * Order is being completed (saveCompletedOrder in index.js): claim the
+ * deposit and write `orderUpdate` plus the deposit's payment fields to the
+ * order in ONE transaction, so a deposit is never marked applied to a bill
+ * that wasn't saved. `order` is the order as it will be once updated.
+ * → the payment fields written, or null when there's no deposit (nothing
+ * was written; the caller saves the order itself). Throws code
+ * ALREADY_COMPLETED when the order was completed in the meantime. What the
+ * bill didn't use is refunded once it commits.
+ */
+async function applyToOrder(orderId, order, orderUpdate = {}) {
+  const d = await findForOrder(order.restaurantId, order);
+  if (!d) return null;
+  const ref = db.collection(DEPOSITS).doc(d.id);
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  const fields = await db.runTransaction(async (tx) => {
+    const [doc, orderDoc] = await Promise.all([tx.get(ref), tx.get(orderRef)]);
+    // Completed by someone else in the meantime: leave the deposit alone
+    if (orderDoc.exists && orderDoc.data().status === 'completed') {
+      throw Object.assign(httpError(409, 'Order is already completed'), { code: 'ALREADY_COMPLETED' });
+    }
+    const fresh = { id: doc.id, ...doc.data() };
+    if (fresh.status !== 'paid') return null;
+    const { fields, applied } = deposits.applyToBill(order, { depositId: d.id, amount: heldOf(fresh) });
+    const now = new Date();
+    tx.update(ref, { appliedAmount: round2((fresh.appliedAmount || 0) + applied), appliedOrderId: orderId, appliedAt: now, updatedAt: now });
+    tx.update(orderRef, { ...orderUpdate, ...fields });
+    return fields;
+  });
+  if (fields) {
+    refundExcess(d.id).catch(err => console.error(`Deposit ${d.id} excess refund error (non-blocking):`, err.message));
+  }
+  return fields;
+}
+
+/** After applyToOrder: what the bill didn't use goes back to the guest; the deposit closes. */
+async function refundExcess(depositId) {
+  const doc = await db.collection(DEPOSITS).doc(depositId).get();
+  if (!doc.exists) return null;
+  const d = { id: doc.id, ...doc.data() };
+  const held = heldOf(d);
+  if (held > 0) return release(depositId, { refundAmount: held, reason: 'Deposit exceeded the bill' });
+  await doc.ref.update({ status: 'applied', updatedAt: new Date() });
+  syncLedger(depositId);
+  await mirror(depositId, { ...d, status: 'applied' });
+  return serialize({ ...d, status: 'applied' });
+}
+
+/**
+ * Venue / catering booking completed (routes/bookings/payments.js): its
+ * deposit is already an advance payment on the booking, so what's held is
+ * recognised as the booking's revenue.
+ */
+async function applyToBooking(bookingId) {
+  const snap = await db.collection(DEPOSITS).where('sourceId', '==', bookingId).get();
+  for (const doc of snap.docs) {
+    const d = { id: doc.id, ...doc.data() };
+    if (d.sourceType !== 'booking' || d.status !== 'paid') continue;
+    const now = new Date();
+    const updates = { appliedAmount: round2((d.appliedAmount || 0) + heldOf(d)), appliedAt: now, status: 'applied', updatedAt: now };
+    await doc.ref.update(updates);
+    syncLedger(d.id);
+    await mirror(d.id, { ...d, ...updates });
+  }
+}
+
+// ── Expiry ────────────────────────────────────────────────────────
+
+/**
+ * Cron (reservation reminders, every 15 minutes): deposits still unpaid at
+ * the end of their window lapse, after one last check with the gateway, and
+ * the reservation they were holding is released. Venue bookings stay for
+ * staff to chase.
+ */
+async function expireUnpaid(now = new Date()) {
+  const snap = await db.collection(DEPOSITS).where('status', '==', 'pending').get();
+  const summary = { expired: 0, paid: 0, failed: 0 };
+  for (const doc of snap.docs) {
+    const d = { id: doc.id, ...doc.data() };
+    if (toDate(d.expiresAt) > now) continue;
+    try {
+      const checked = await gateways[d.gateway].check(d).catch(() => ({ paid: false }));
+      if (checked.paid) {
+        await markPaid(d.id, { paymentId: checked.paymentId });
+        summary.paid += 1;
+        continue;
+      }
+      await gateways[d.gateway].cancel(d).catch(() => {});
+      const updates = { status: 'expired', updatedAt: new Date() };
+      await doc.ref.update(updates);
+      await mirror(d.id, { ...d, ...updates });
+      if (d.sourceType === 'reservation') {
+        const rRef = db.collection(SOURCES.reservation).doc(d.sourceId);
+        const r = await rRef.get();
+        if (r.exists && ['booked', 'confirmed'].includes(r.data().status)) {
+          await rRef.update({ status: 'cancelled', cancelledAt: new Date(), cancelledVia: 'deposit-unpaid', updatedAt: new Date() });
+          pushEvent(d.restaurantId, 'tables', 'reservation-updated', { reservationId: d.sourceId, status: 'cancelled' }).catch(() => {});
+        }
+      }
+      summary.expired += 1;
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`Deposit expiry error (${d.id}):`, err.message);
+    }
+  }
+  return summary;
+}
+
+// ── Reads ─────────────────────────────────────────────────────────
+
+/** ?status &sourceType &sourceId → newest first. */
+async function list(restaurantId, { status, sourceType, sourceId } = {}) {
+  const snap = await db.collection(DEPOSITS).where('restaurantId', '==', restaurantId).get();
+  return snap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(d => (!status || d.status === status) && (!sourceType || d.sourceType === sourceType) && (!sourceId || d.sourceId === sourceId))
+    .sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt))
+    .map(d => ({ ...serialize(d), held: heldOf(d) }));
+}
+
+async function get(restaurantId, depositId) {
+  const d = await load(restaurantId, depositId);
+  return { ...serialize(d), held: heldOf(d) };
+}
+
+/** Guest payment page — the unguessable deposit id is the access token. */
+async function publicView(depositId) {
+  const doc = await db.collection(DEPOSITS).doc(depositId).get();
+  if (!doc.exists) throw httpError(404, 'Deposit not found');
+  const d = doc.data();
+  const restaurant = await loadRestaurant(d.restaurantId);
+  return {
+    id: doc.id,
+    status: d.status,
+    amount: d.amount,
+    currency: d.currency,
+    reference: d.sourceLabel || null,
+    sourceType: d.sourceType,
+    sourceId: d.sourceId,
+    payUrl: d.status === 'pending' ? d.payUrl : null,
+    expiresAt: iso(d.expiresAt),
+    refunded: d.refundedAmount || 0,
+    forfeited: d.forfeitedAmount || 0,
+    policy: d.policy,
+    restaurant: { name: restaurantNameOf(restaurant), logo: restaurant.logoUrl || '', phone: restaurant.phone || '' },
+  };
+}
+
+/** Where the gateway sends the guest back to after paying. */
+const guestPageUrl = (depositId) => `${FRONTEND_URL()}/deposit/${depositId}`;
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  createForReservation,
+  createForSource,
+  markPaid,
+  syncFromGateway,
+  handleDodoEvent,
+  settleForSource,
+  refund,
+  forfeit,
+  forOrder,
+  applyToOrder,
+  refundExcess,
+  applyToBooking,
+  expireUnpaid,
+  list,
+  get,
+  publicView,
+  guestPageUrl,
+};
@@ -0,0 +1,271 @@
+/**
+ * GST e-invoice (IRN) orchestration — shared by the POS order routes
+ * (routes/einvoiceRoutes.js) and the invoice module (invoice/routes/invoices.js).
+ *
+ *  - Payload building + validation: gst/einvoice.js (pure).
+ *  - The IRP call goes through a provider adapter (services/einvoice/providers):
+ *    'gsp' for a real GST Suvidha Provider, 'mock' for local dev/tests.
+ *  - Callers persist the returned record on the source document as `eInvoice`.
+ *
+ * Errors carry `status` (HTTP status to return) and, where useful, `details`
+ * (validation messages) or `irpErrors` (codes from the IRP).
+ */
+
+'use strict';
+
+const einvoice = require('../../gst/einvoice');
+const { PROVIDER_NAMES, getProvider } = require('./providers');
+
+// Mirrors the `isIndia` check in index.js — e-invoicing is dormant elsewhere
+function isIndia(restaurantData) {
+  const cs = restaurantData && restaurantData.currencySettings;
+  return !cs || cs.countryCode === 'IN' || cs.currencyCode === 'INR';
+}
+
+function fail(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+// ── Config ────────────────────────────────────────────────────────
+
+/** Client-safe view of an einvoiceConfig — secrets are never returned. */
+function maskConfig(cfg = {}) {
+  return {
+    enabled: !!cfg.enabled,
+    provider: cfg.provider || 'mock',
+    baseUrl: cfg.baseUrl || '',
+    clientId: cfg.clientId || '',
+    username: cfg.username || '',
+    pincode: cfg.pincode || '',
+    hasClientSecret: !!cfg.clientSecret,
+    hasPassword: !!cfg.password,
+  };
+}
+
+/**
+ * Merge a config update into the stored config. Blank secrets keep the
+ * stored value so the masked form can be saved back unchanged.
+ */
+function mergeConfig(body = {}, existing = {}) {
+  const str = (key, fallback = '') => (body[key] != null ? String(body[key]).trim() : (existing[key] || fallback));
+  const provider = str('provider', 'mock');
+  if (!PROVIDER_NAMES.includes(provider)) {
+    throw fail(400, `provider must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  const pincode = str('pincode');
+  if (pincode && !/^[1-9][0-9]{5}$/.test(pincode)) throw fail(400, 'pincode must be 6 digits');
+  return {
+    ...existing,
+    enabled: body.enabled != null ? !!body.enabled : !!existing.enabled,
+    provider,
+    baseUrl: str('baseUrl').replace(/\/+$/, ''),
+    clientId: str('clientId'),
+    clientSecret: body.clientSecret ? String(body.clientSecret) : existing.clientSecret || '',
+    username: str('username'),
+    password: body.password ? String(body.password) : existing.password || '',
+    pincode,
+    updatedAt: new Date(),
+  };
+}
+
+// Provider credentials are kept out of the restaurant doc, which is sent to
+// clients as-is; routes store them separately and merge them back per call.
+const SECRET_FIELDS = ['clientSecret', 'password'];
+
+function splitSecrets(cfg = {}) {
+  const config = { ...cfg };
+  const secrets = {};
+  SECRET_FIELDS.forEach(key => {
+    secrets[key] = config[key] || '';
+    delete config[key];
+  });
+  return { config, secrets };
+}
+
+function providerFor(cfg) {
+  if (!cfg || !cfg.enabled) throw fail(409, 'E-invoicing is not enabled');
+  const provider = getProvider(cfg.provider || 'mock');
+  if (!provider) throw fail(400, `Unknown e-invoice provider "${cfg.provider}"`);
+  return provider;
+}
+
+function providerError(err) {
+  if (err.status) return err;
+  return fail(502, err.message || 'E-invoice provider call failed', { irpErrors: err.irpErrors || [] });
+}
+
+// ── IRN ───────────────────────────────────────────────────────────
+
+/**
+ * Validate and submit an INV-01 payload. Returns the `eInvoice` record to
+ * store on the source document. An already-generated record is returned
+ * as-is; a cancelled one can't be re-used because the IRP keeps the
+ * document number blocked.
+ */
+async function generate(payload, cfg, { existing, userId, now = new Date() } = {}) {
+  if (existing?.status === 'generated' && existing.irn) return { record: existing, alreadyGenerated: true };
+  if (existing?.status === 'cancelled') {
+    throw fail(409, 'The IRN for this document was cancelled; re-issue it under a new document number');
+  }
+  const provider = providerFor(cfg);
+
+  const errors = einvoice.validatePayload(payload);
+  if (errors.length > 0) throw fail(422, 'E-invoice payload failed validation', { details: errors });
+
+  let data;
+  try {
+    data = await provider.generateIrn(payload, { config: { ...cfg, gstin: payload.SellerDtls.Gstin }, now });
+  } catch (err) {
+    throw providerError(err);
+  }
+  if (!data || !data.Irn) throw fail(502, 'E-invoice provider did not return an IRN');
+
+  return {
+    record: {
+      status: 'generated',
+      irn: data.Irn,
+      ackNo: String(data.AckNo || ''),
+      ackDt: data.AckDt || null,
+      signedQrCode: data.SignedQRCode || null,
+      signedInvoice: data.SignedInvoice || null,
+      docType: payload.DocDtls.Typ,
+      docNo: payload.DocDtls.No,
+      docDate: payload.DocDtls.Dt,
+      buyerGstin: payload.BuyerDtls.Gstin,
+      totalValue: payload.ValDtls.TotInvVal,
+      hasGoods: einvoice.hasGoods(payload),
+      provider: provider.name,
+      sandbox: !!(provider.sandbox || data.sandbox),
+      generatedAt: now,
+      generatedBy: userId || null,
+    },
+    alreadyGenerated: false,
+  };
+}
+
+/**
+ * Cancel the IRN on `record` within the IRP's window. Returns the updated
+ * record.
+ */
+async function cancel(record, { reason, remark } = {}, cfg, { userId, now = new Date() } = {}) {
+  const check = einvoice.checkCancellable(record, now);
+  if (!check.ok) throw fail(409, check.error);
+  const errors = einvoice.validateCancelRequest({ reason, remark });
+  if (errors.length > 0) throw fail(400, errors.join('; '), { details: errors });
+  const provider = providerFor(cfg);
+
+  let data;
+  try {
+    data = await provider.cancelIrn(
+      { Irn: record.irn, CnlRsn: String(reason), CnlRem: String(remark).trim() },
+      { config: cfg, now },
+    );
+  } catch (err) {
+    throw providerError(err);
+  }
+
+  return {
+    ...record,
+    status: 'cancelled',
+    cancelReason: Number(reason),
+    cancelRemark: String(remark).trim(),
+    cancelDate: data?.CancelDate || null,
+    cancelledAt: now,
+    cancelledBy: userId || null,
+  };
+}
+
+/**
+ * Generate an e-way bill against the IRN on `record`. Returns the updated
+ * record with `ewb` filled in.
+ */
+async function generateEwayBill(record, details = {}, cfg, { now = new Date() } = {}) {
+  if (!record || record.status !== 'generated' || !record.irn) {
+    throw fail(409, 'Generate the e-invoice (IRN) before the e-way bill');
+  }
+  if (record.hasGoods === false) throw fail(409, 'E-way bills are only needed for goods; this bill has services only');
+  if (record.ewb?.ewbNo && record.ewb.status !== 'cancelled') return { record, alreadyGenerated: true };
+
+  const payload = einvoice.buildEwayBillPayload(record.irn, details);
+  const errors = einvoice.validateEwayBillPayload(payload);
+  if (errors.length > 0) throw fail(400, errors.join('; '), { details: errors });
+  const provider = providerFor(cfg);
+
+  let data;
+  try {
+    data = await provider.generateEwayBill(payload, { config: cfg, now });
+  } catch (err) {
+    throw providerError(err);
+  }
+  if (!data || !data.EwbNo) throw fail(502, 'E-invoice provider did not return an e-way bill number');
+
+  return {
+    record: {
+      ...record,
+      ewb: {
+        status: 'generated',
+        ewbNo: String(data.EwbNo),
+        ewbDt: data.EwbDt || null,
+        validTill: data.EwbValidTill || null,
+        distance: payload.Distance,
+        vehicleNumber: payload.VehNo || null,
+        transporterId: payload.TransId || null,
+        generatedAt: now,
+      },
+    },
+    alreadyGenerated: false,
+  };
+}
+
+/**
+ * The part of a record that goes on a printed bill / API response — the
+ * signed invoice JWT is large and only needed for audit.
+ */
+function publicRecord(record) {
+  if (!record) return null;
+  const { signedInvoice, ...rest } = record;
+  return rest;
+}
+
+/**
+ * The IRP holds a signed copy of an e-invoiced bill, so it can only change
+ * through cancel + re-issue → the 409 message for `action`, or null when the
+ * document has no live IRN.
+ */
+function irnLock(doc, action = 'change') {
+  const record = doc && doc.eInvoice;
+  if (!record || record.status !== 'generated') return null;
+  return `This bill has an e-invoice (IRN ${record.irn}). Cancel the IRN before you ${action} it.`;
+}
+
+/**
+ * A refund doesn't need the IRN cancelled (the IRP only allows that within
+ * 24 hours): it is issued as a credit note against the IRN and filed in
+ * GSTR-1 (cdnr) → the fields to store with the refund, or null when the
+ * document has no live IRN. The note number fits GSTR-1's 16 characters.
+ */
+function creditNoteFields(doc) {
+  const record = doc && doc.eInvoice;
+  if (!record || record.status !== 'generated') return null;
+  const docNo = String(record.docNo || '');
+  return {
+    creditNoteNumber: doc.creditNoteNumber || (docNo.length <= 13 ? `CN-${docNo}` : `CN-${docNo.slice(-13)}`),
+    creditNoteIrn: record.irn,
+  };
+}
+
+module.exports = {
+  isIndia,
+  maskConfig,
+  mergeConfig,
+  splitSecrets,
+  generate,
+  cancel,
+  generateEwayBill,
+  publicRecord,
+  irnLock,
+  creditNoteFields,
+};
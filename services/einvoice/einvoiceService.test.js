@@ -0,0 +1,145 @@
+const einvoiceService = require('./einvoiceService');
+const { unwrap } = require('./providers/gspProvider');
+const { buildOrderPayload } = require('../../gst/einvoice');
+
+const seller = {
+  gstin: '27AAPFU0939F1ZV',
+  legalName: 'Spice Route Foods LLP',
+  address: '12 Hill Road, Mumbai 400050',
+  city: 'Mumbai',
+};
+
+const payload = () => buildOrderPayload({
+  id: 'order-1',
+  orderNumber: 'SR/1042',
+  createdAt: new Date('2026-04-10T08:00:00Z'),
+  finalAmount: 1050,
+  taxBreakdown: [{ name: 'CGST', rate: 2.5, amount: 25 }, { name: 'SGST', rate: 2.5, amount: 25 }],
+  items: [{ name: 'Thali', price: 500, quantity: 2, total: 1000, hsnCode: '2106' }],
+  customerGstin: '29AAGCB7383J1Z4',
+  customerInfo: { name: 'Acme Caterers Pvt Ltd', address: '4 MG Road', city: 'Bengaluru', pincode: '560001' },
+}, { seller });
+
+const config = { enabled: true, provider: 'mock' };
+const now = new Date('2026-04-10T09:00:00Z');
+
+// ═══════════════════════════════════════════════════════════════════
+// Generate / cancel / e-way bill through the mock provider
+// ═══════════════════════════════════════════════════════════════════
+
+describe('einvoiceService with the mock provider', () => {
+  test('generates a deterministic IRN with ack and signed QR', async () => {
+    const { record, alreadyGenerated } = await einvoiceService.generate(payload(), config, { now, userId: 'u1' });
+    const again = await einvoiceService.generate(payload(), config, { now });
+
+    expect(alreadyGenerated).toBe(false);
+    expect(record).toMatchObject({ status: 'generated', docNo: 'SR/1042', provider: 'mock', sandbox: true, hasGoods: true, generatedBy: 'u1' });
+    expect(record.irn).toMatch(/^[0-9a-f]{64}$/);
+    expect(record.ackNo).toMatch(/^\d{15}$/);
+    expect(record.ackDt).toBe('2026-04-10 14:30:00');
+    expect(record.signedQrCode.split('.')).toHaveLength(3);
+    expect(again.record.irn).toBe(record.irn);
+  });
+
+  test('returns an existing IRN instead of resubmitting', async () => {
+    const existing = { status: 'generated', irn: 'x'.repeat(64) };
+    const result = await einvoiceService.generate(payload(), config, { existing });
+    expect(result).toEqual({ record: existing, alreadyGenerated: true });
+  });
+
+  test('rejects disabled config, cancelled documents and invalid payloads', async () => {
+    await expect(einvoiceService.generate(payload(), { enabled: false })).rejects.toMatchObject({ status: 409 });
+    await expect(einvoiceService.generate(payload(), config, { existing: { status: 'cancelled', irn: 'x' } }))
+      .rejects.toMatchObject({ status: 409 });
+
+    const bad = payload();
+    bad.BuyerDtls.Pin = null;
+    await expect(einvoiceService.generate(bad, config)).rejects.toMatchObject({
+      status: 422,
+      details: ['Buyer PIN code "" must be 6 digits']
+    });
+  });
+
+  test('cancels within the window and records the reason', async () => {
+    const { record } = await einvoiceService.generate(payload(), config, { now });
+    const cancelled = await einvoiceService.cancel(record, { reason: 2, remark: 'Wrong buyer' }, config, {
+      now: new Date('2026-04-10T12:00:00Z')
+    });
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancelReason: 2, cancelRemark: 'Wrong buyer', cancelDate: '2026-04-10 17:30:00' });
+
+    await expect(einvoiceService.cancel(record, { reason: 2, remark: 'Late' }, config, {
+      now: new Date('2026-04-11T10:00:00Z')
+    })).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('generates an e-way bill for goods against the IRN', async () => {
+    const { record } = await einvoiceService.generate(payload(), config, { now });
+    const { record: withEwb } = await einvoiceService.generateEwayBill(record, { distance: 250, transMode: '1', vehicleNumber: 'MH01AB1234' }, config, { now });
+
+    expect(withEwb.ewb).toMatchObject({ status: 'generated', distance: 250, vehicleNumber: 'MH01AB1234', validTill: '2026-04-12 23:59:00' });
+    expect(withEwb.ewb.ewbNo).toMatch(/^\d{12}$/);
+    await expect(einvoiceService.generateEwayBill({ ...record, hasGoods: false }, { distance: 10, vehicleNumber: 'MH01AB1234' }, config))
+      .rejects.toMatchObject({ status: 409 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Config + GSP response handling
+// ═══════════════════════════════════════════════════════════════════
+
+describe('config', () => {
+  test('keeps stored secrets when the masked form is saved back', () => {
+    const stored = einvoiceService.mergeConfig({ enabled: true, provider: 'gsp', clientSecret: 's3cret', password: 'pw' }, {});
+    const resaved = einvoiceService.mergeConfig({ ...einvoiceService.maskConfig(stored), clientSecret: '' }, stored);
+    expect(resaved).toMatchObject({ clientSecret: 's3cret', password: 'pw', provider: 'gsp' });
+    expect(einvoiceService.maskConfig(resaved)).toMatchObject({ hasClientSecret: true, hasPassword: true });
+    expect(einvoiceService.maskConfig(resaved).clientSecret).toBeUndefined();
+  });
+
+  test('splits provider secrets from the config stored on the restaurant', () => {
+    const { config: stored, secrets } = einvoiceService.splitSecrets({ enabled: true, provider: 'gsp', clientId: 'c', clientSecret: 's', password: 'p' });
+    expect(stored).toEqual({ enabled: true, provider: 'gsp', clientId: 'c' });
+    expect(secrets).toEqual({ clientSecret: 's', password: 'p' });
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => einvoiceService.mergeConfig({ provider: 'acme' }, {})).toThrow(/provider must be one of/);
+  });
+});
+
+describe('irnLock', () => {
+  test('blocks changes while the IRN is live, not once it is cancelled', () => {
+    expect(einvoiceService.irnLock({ eInvoice: { status: 'generated', irn: 'abc123' } }, 'edit'))
+      .toBe('This bill has an e-invoice (IRN abc123). Cancel the IRN before you edit it.');
+    expect(einvoiceService.irnLock({ eInvoice: { status: 'cancelled', irn: 'abc123' } })).toBeNull();
+    expect(einvoiceService.irnLock({})).toBeNull();
+  });
+});
+
+describe('creditNoteFields', () => {
+  test('a refund on a live IRN is credited against it', () => {
+    expect(einvoiceService.creditNoteFields({ eInvoice: { status: 'generated', irn: 'abc123', docNo: 'INV/0042' } }))
+      .toEqual({ creditNoteNumber: 'CN-INV/0042', creditNoteIrn: 'abc123' });
+    expect(einvoiceService.creditNoteFields({ eInvoice: { status: 'generated', irn: 'abc123', docNo: 'SR/2026-27/00042' } }).creditNoteNumber)
+      .toBe('CN-2026-27/00042');
+    expect(einvoiceService.creditNoteFields({ creditNoteNumber: 'CN-7', eInvoice: { status: 'generated', irn: 'abc123', docNo: '7' } }).creditNoteNumber)
+      .toBe('CN-7');
+  });
+
+  test('no live IRN, no credit note fields', () => {
+    expect(einvoiceService.creditNoteFields({ eInvoice: { status: 'cancelled', irn: 'abc123', docNo: '7' } })).toBeNull();
+    expect(einvoiceService.creditNoteFields({})).toBeNull();
+  });
+});
+
+describe('gsp unwrap', () => {
+  test('parses the IRP envelope and its stringified Data', () => {
+    expect(unwrap({ Status: 1, Data: '{"Irn":"abc","AckNo":1}' })).toEqual({ Irn: 'abc', AckNo: 1 });
+    expect(unwrap({ success: true, result: { Irn: 'abc' } })).toEqual({ Irn: 'abc' });
+  });
+
+  test('surfaces IRP error codes', () => {
+    expect(() => unwrap({ Status: 0, ErrorDetails: [{ ErrorCode: '2150', ErrorMessage: 'Duplicate IRN' }] }))
+      .toThrow('2150: Duplicate IRN');
+  });
+});
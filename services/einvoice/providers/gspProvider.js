@@ -0,0 +1,113 @@
+/**
+ * GSP (GST Suvidha Provider) adapter for the NIC IRP.
+ *
+ * Most GSPs expose the IRP's own endpoints over plain JSON and handle the
+ * session key / payload encryption on their side, authenticating the taxpayer
+ * with headers. The paths and headers below follow the IRP API v1.03 naming
+ * that GSP sandboxes mirror; config.baseUrl points at the GSP's host.
+ *
+ * Responses come back either as the raw IRP envelope
+ *   { Status: 1, Data: '<json string>' | {...}, ErrorDetails: [...] }
+ * or wrapped by the GSP as { success, result | data, message }. Both are
+ * unwrapped here. Any error surfaces as an Error with `irpErrors`.
+ */
+
+'use strict';
+
+const PATHS = {
+  generate: '/eicore/v1.03/Invoice',
+  cancel: '/eicore/v1.03/Invoice/Cancel',
+  ewayBill: '/eiewb/v1.03/ewaybill',
+};
+
+const TIMEOUT_MS = 30000;
+
+function headersFor(config) {
+  return {
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    client_id: config.clientId || '',
+    client_secret: config.clientSecret || '',
+    user_name: config.username || '',
+    password: config.password || '',
+    gstin: config.gstin || '',
+  };
+}
+
+function parseData(data) {
+  if (typeof data !== 'string') return data;
+  try { return JSON.parse(data); } catch (_) { return data; }
+}
+
+function failure(message, irpErrors = []) {
+  const err = new Error(message);
+  err.irpErrors = irpErrors;
+  return err;
+}
+
+/**
+ * Unwrap a GSP/IRP response body into the IRP's Data object or throw.
+ */
+function unwrap(body) {
+  if (!body || typeof body !== 'object') throw failure('Empty response from e-invoice provider');
+
+  const errorDetails = body.ErrorDetails || body.error_details || body.errors;
+  if (String(body.Status) === '0' || body.success === false || (Array.isArray(errorDetails) && errorDetails.length > 0 && !body.Data)) {
+    const irpErrors = (Array.isArray(errorDetails) ? errorDetails : []).map(e => ({
+      code: String(e.ErrorCode || e.error_code || e.code || ''),
+      message: e.ErrorMessage || e.error_message || e.message || '',
+    }));
+    const message = irpErrors.map(e => `${e.code ? `${e.code}: ` : ''}${e.message}`).join('; ')
+      || body.message || 'E-invoice provider rejected the request';
+    throw failure(message, irpErrors);
+  }
+
+  return parseData(body.Data ?? body.data ?? body.result ?? body);
+}
+
+async function post(config, path, payload) {
+  if (!config.baseUrl) throw failure('E-invoice provider URL is not configured');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(`${config.baseUrl}${path}`, {
+      method: 'POST',
+      headers: headersFor(config),
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+    const raw = await response.text();
+    let body = null;
+    try { body = raw ? JSON.parse(raw) : null; } catch (_) {
+      throw failure(`E-invoice provider returned HTTP ${response.status}`);
+    }
+    if (!response.ok && !body) throw failure(`E-invoice provider returned HTTP ${response.status}`);
+    return unwrap(body);
+  } catch (err) {
+    if (err.name === 'AbortError') throw failure('E-invoice provider timed out');
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function generateIrn(payload, { config = {} } = {}) {
+  return post(config, PATHS.generate, payload);
+}
+
+async function cancelIrn(request, { config = {} } = {}) {
+  return post(config, PATHS.cancel, request);
+}
+
+async function generateEwayBill(payload, { config = {} } = {}) {
+  return post(config, PATHS.ewayBill, payload);
+}
+
+module.exports = {
+  name: 'gsp',
+  sandbox: false,
+  unwrap,
+  generateIrn,
+  cancelIrn,
+  generateEwayBill,
+};
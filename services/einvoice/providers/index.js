@@ -0,0 +1,24 @@
+/**
+ * E-invoice provider registry. Each adapter exposes
+ *   generateIrn(payload, ctx)       → IRP Data { Irn, AckNo, AckDt, SignedInvoice, SignedQRCode, ... }
+ *   cancelIrn({ Irn, CnlRsn, CnlRem }, ctx) → { Irn, CancelDate }
+ *   generateEwayBill(payload, ctx)  → { EwbNo, EwbDt, EwbValidTill }
+ * where ctx = { config, now }. Add a GSP with a different wire format by
+ * dropping another adapter in here.
+ */
+
+'use strict';
+
+const PROVIDERS = {
+  mock: require('./mockProvider'),
+  gsp: require('./gspProvider'),
+};
+
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  getProvider,
+};
@@ -0,0 +1,102 @@
+/**
+ * Local IRP stand-in for development and tests.
+ *
+ * Behaves like the NIC IRP closely enough to exercise the whole flow without
+ * credentials: the IRN is the SHA-256 of seller GSTIN + financial year +
+ * document type + number (so re-submitting the same document returns the
+ * same IRN), and the signed invoice / signed QR are JWTs in the IRP's
+ * { data, iss } shape — HMAC-signed here, so they are NOT valid for a real
+ * bill. Records created through it are flagged `sandbox`.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const MOCK_SIGNING_KEY = 'mock-irp-signing-key';
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'MOCK' }));
+  const body = base64url(JSON.stringify({ data: JSON.stringify(data), iss: 'NIC Sandbox (mock)' }));
+  const signature = crypto.createHmac('sha256', MOCK_SIGNING_KEY).update(`${header}.${body}`).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${header}.${body}.${signature}`;
+}
+
+// 'YYYY-MM-DD HH:mm:ss' in IST, as the IRP reports AckDt / CancelDate
+function istTimestamp(date) {
+  return new Date(date.getTime() + 330 * 60000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// 'dd/mm/yyyy' → financial year '2024-25'
+function financialYear(docDate) {
+  const [, m, y] = String(docDate || '').split('/').map(Number);
+  if (!y) return '';
+  const start = m >= 4 ? y : y - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+function digits(hash, length) {
+  return (BigInt(`0x${hash.slice(0, 16)}`) % (10n ** BigInt(length))).toString().padStart(length, '0');
+}
+
+function irnFor(payload) {
+  const doc = payload.DocDtls || {};
+  return crypto.createHash('sha256')
+    .update(`${payload.SellerDtls?.Gstin || ''}${financialYear(doc.Dt)}${doc.Typ || ''}${doc.No || ''}`)
+    .digest('hex');
+}
+
+async function generateIrn(payload, { now = new Date() } = {}) {
+  const irn = irnFor(payload);
+  const ackDt = istTimestamp(now);
+  const items = payload.ItemList || [];
+  const qrData = {
+    SellerGstin: payload.SellerDtls?.Gstin,
+    BuyerGstin: payload.BuyerDtls?.Gstin,
+    DocNo: payload.DocDtls?.No,
+    DocTyp: payload.DocDtls?.Typ,
+    DocDt: payload.DocDtls?.Dt,
+    TotInvVal: payload.ValDtls?.TotInvVal,
+    ItemCnt: items.length,
+    MainHsnCode: items[0]?.HsnCd,
+    Irn: irn,
+    IrnDt: ackDt,
+  };
+  return {
+    Irn: irn,
+    AckNo: `1${digits(irn, 14)}`,
+    AckDt: ackDt,
+    SignedInvoice: sign({ ...payload, Irn: irn, AckNo: `1${digits(irn, 14)}`, AckDt: ackDt }),
+    SignedQRCode: sign(qrData),
+    Status: 'ACT',
+    sandbox: true,
+  };
+}
+
+async function cancelIrn({ Irn }, { now = new Date() } = {}) {
+  return { Irn, CancelDate: istTimestamp(now) };
+}
+
+async function generateEwayBill(payload, { now = new Date() } = {}) {
+  // Validity: one day per 200 km (or part), counted to midnight
+  const days = Math.max(1, Math.ceil((payload.Distance || 0) / 200));
+  const validTill = new Date(now.getTime() + days * 86400000);
+  return {
+    EwbNo: Number(`1${digits(crypto.createHash('sha256').update(`ewb${payload.Irn}`).digest('hex'), 11)}`),
+    EwbDt: istTimestamp(now),
+    EwbValidTill: `${istTimestamp(validTill).slice(0, 10)} 23:59:00`,
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  sandbox: true,
+  generateIrn,
+  cancelIrn,
+  generateEwayBill,
+};
@@ -0,0 +1,334 @@
+/**
+ * Kenya eTIMS — server-side submission queue.
+ *
+ * For stores in submissionMode 'server' (VSCU reachable from the backend) every
+ * completed sale and every refund of a fiscalised sale gets a persisted entry
+ * in `etimsQueue`, keyed `${orderId}_sale` / `${orderId}_refund` (then
+ * `_refund_2`, `_refund_3` … for further partial refunds), so enqueuing is
+ * idempotent and neither a sale nor a refund can be queued twice. The order's
+ * `etimsCredits` { count, amount } tallies the credit notes queued so far.
+ *
+ *  - The invoice number is reserved when the entry is created (same
+ *    transaction as the device counter), never at submission, so retries
+ *    always resend the same invcNo.
+ *  - Entries move pending → submitting → submitted | failed. Transport
+ *    failures are retried with exponential backoff (etimsService.attemptUpdate);
+ *    a stale 'submitting' claim (crashed worker) is picked up again.
+ *  - A credit note waits until its original sale is signed.
+ *  - The signed result lands on the order as `etims` (sale) or
+ *    `etimsCreditNote` (latest refund) — the same shape confirm-sale writes.
+ *
+ * Payload building lives in etimsService.js; the HTTP call in vscuClient.js.
+ */
+
+'use strict';
+
+const { db, collections } = require('../../firebase');
+const etims = require('./etimsService');
+const vscuClient = require('./vscuClient');
+const { toDate } = require('../../utils/dates');
+
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+const DEPENDENCY_WAIT_MS = 60 * 1000;
+const SALE_STATUSES = ['completed', 'paid'];
+
+const queueCol = () => db.collection(collections.etimsQueue);
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isServerMode(restaurantData) {
+  return etims.isEtimsActive(restaurantData) && restaurantData.etimsConfig.submissionMode === 'server';
+}
+
+function invalidateOrders(restaurantId) {
+  try { require('../../utils/kvCache').invalidateOrdersCache(restaurantId); } catch (_) {}
+}
+
+// ── Enqueue ───────────────────────────────────────────────────────
+
+/**
+ * Create the queue entry for a sale or credit note, reserving its invoice
+ * number. Returns the entry (the existing one if already queued); for a
+ * credit note, the one for the refund not queued yet, or null when every
+ * refund already has its note.
+ */
+async function enqueue(restaurantId, orderId, kind = 'sale') {
+  const restaurantRef = db.collection(collections.restaurants).doc(restaurantId);
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  const saleEntryRef = queueCol().doc(etims.queueEntryId(orderId, 'sale'));
+  const firstNoteRef = queueCol().doc(etims.queueEntryId(orderId, 'credit_note'));
+
+  return db.runTransaction(async (tx) => {
+    const [rSnap, oSnap, saleSnap, firstNoteSnap] = await Promise.all([
+      tx.get(restaurantRef), tx.get(orderRef), tx.get(saleEntryRef), tx.get(firstNoteRef),
+    ]);
+    if (kind === 'sale' && saleSnap.exists) return { id: saleSnap.id, ...saleSnap.data() };
+    if (!oSnap.exists) throw fail(404, 'Order not found');
+    const order = { id: oSnap.id, ...oSnap.data() };
+    if (order.restaurantId !== restaurantId) throw fail(403, 'Order does not belong to this restaurant.');
+    const rData = rSnap.data() || {};
+    const cfg = rData.etimsConfig || {};
+    const device = cfg.device || {};
+
+    let entryRef = saleEntryRef;
+    let orgInvcNo = null;
+    let note = null;
+    if (kind === 'credit_note') {
+      if (!order.refundedAt || !(Number(order.refundAmount) > 0)) throw fail(409, 'Order has no refund to credit.');
+      const firstNote = firstNoteSnap.exists ? firstNoteSnap.data() : null;
+      note = etims.nextCreditNote(order, firstNote);
+      if (!note) return null;
+      entryRef = queueCol().doc(etims.queueEntryId(orderId, 'credit_note', note.seq));
+      const entrySnap = await tx.get(entryRef);
+      if (entrySnap.exists) return { id: entrySnap.id, ...entrySnap.data() };
+      orgInvcNo = (order.etims && (order.etims.invcNo || order.etims.pendingInvcNo)) || (saleSnap.exists && saleSnap.data().invcNo) || null;
+      if (!orgInvcNo) throw fail(409, 'The original sale has not been fiscalised or queued.');
+      // This note covers the refund up to its current total
+      tx.set(orderRef, { etimsCredits: { count: note.seq, amount: Number(order.refundAmount) } }, { merge: true });
+    } else {
+      if (order.etims && order.etims.rcptSign) throw fail(409, 'Sale is already fiscalised.');
+      if (!SALE_STATUSES.includes(order.status) && order.status !== 'refunded') throw fail(409, 'Order is not a completed sale yet.');
+      if (!Array.isArray(order.items) || order.items.length === 0) throw fail(422, 'Order has no items to fiscalise.');
+    }
+
+    // A sale prepared through the relay keeps the number it was given there
+    let invcNo = kind === 'sale' && order.etims && order.etims.pendingInvcNo;
+    if (!invcNo) {
+      invcNo = (Number(device.lastInvcNo) || 0) + 1;
+      // Full-object merge (no dot-path — Firestore + pgAdapter safe)
+      tx.update(restaurantRef, { etimsConfig: { ...cfg, device: { ...device, lastInvcNo: invcNo } } });
+      if (kind === 'sale') tx.set(orderRef, { etims: { ...(order.etims || {}), pendingInvcNo: invcNo, preparedAt: new Date() } }, { merge: true });
+    }
+
+    const now = new Date();
+    const entry = {
+      restaurantId,
+      orderId,
+      orderNumber: order.orderNumber || null,
+      kind,
+      ...(note ? { seq: note.seq } : {}),
+      invcNo,
+      orgInvcNo,
+      amount: note ? note.amount : Number(order.finalAmount || order.totalAmount || 0),
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+    };
+    tx.set(entryRef, entry);
+    return { id: entryRef.id, ...entry };
+  });
+}
+
+/**
+ * Queue whatever the order now needs — its sale once completed, a credit note
+ * for each refund of a fiscalised (or queued) sale — and try to submit at once.
+ * No-op for stores not in server mode.
+ */
+async function syncOrder(orderId) {
+  const oSnap = await db.collection(collections.orders).doc(orderId).get();
+  if (!oSnap.exists) return null;
+  const order = oSnap.data();
+  const rSnap = await db.collection(collections.restaurants).doc(order.restaurantId).get();
+  if (!rSnap.exists || !isServerMode(rSnap.data())) return null;
+
+  const queued = [];
+  const fiscalisedOrQueued = (order.etims && (order.etims.rcptSign || order.etims.pendingInvcNo));
+  // A refunded order was a completed sale first — it still needs its sale signed
+  const wasSold = SALE_STATUSES.includes(order.status) || (order.status === 'refunded' && order.refundedAt);
+  if (wasSold && !(order.etims && order.etims.rcptSign)) {
+    queued.push(await enqueue(order.restaurantId, orderId, 'sale'));
+  }
+  if (order.refundedAt && Number(order.refundAmount) > 0 && (fiscalisedOrQueued || queued.length > 0)) {
+    const note = await enqueue(order.restaurantId, orderId, 'credit_note');
+    if (note) queued.push(note);
+  }
+
+  const results = [];
+  for (const entry of queued) {
+    if (entry.status === 'pending') results.push(await processEntry(entry.id));
+    else results.push(entry);
+  }
+  return results;
+}
+
+/**
+ * Fire-and-forget wrapper for the order hooks in index.js — a queue problem
+ * never fails the request. The cached restaurant doc is checked first so
+ * stores not in server mode cost no extra reads.
+ */
+function syncInBackground(orderId, restaurantId) {
+  (async () => {
+    const { getCachedRestaurant } = require('../../utils/kvCache');
+    const { data } = await getCachedRestaurant(db, collections.restaurants, restaurantId);
+    if (!data || !isServerMode(data)) return;
+    await syncOrder(orderId);
+  })().catch(err => console.error(`[etims] queue sync for ${orderId} failed (non-blocking):`, err.message));
+}
+
+// ── Submit ────────────────────────────────────────────────────────
+
+// Claim a due entry so two workers never submit it at the same time
+async function claim(entryId, { force = false } = {}) {
+  const ref = queueCol().doc(entryId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const entry = snap.data();
+    const now = new Date();
+    const claimedAt = toDate(entry.claimedAt);
+    const stale = entry.status === 'submitting' && (!claimedAt || now - claimedAt > STALE_CLAIM_MS);
+    const due = entry.status === 'pending' && (force || !entry.nextAttemptAt || toDate(entry.nextAttemptAt) <= now);
+    if (!due && !stale) return null;
+    tx.update(ref, { status: 'submitting', claimedAt: now });
+    return { id: snap.id, ...entry };
+  });
+}
+
+/**
+ * Submit one queue entry to the VSCU. Returns the updated entry, or the
+ * current one untouched when it isn't due / is being submitted elsewhere.
+ */
+async function processEntry(entryId, options = {}) {
+  const entry = await claim(entryId, options);
+  const ref = queueCol().doc(entryId);
+  if (!entry) {
+    const snap = await ref.get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+  }
+
+  const [rSnap, oSnap] = await Promise.all([
+    db.collection(collections.restaurants).doc(entry.restaurantId).get(),
+    db.collection(collections.orders).doc(entry.orderId).get(),
+  ]);
+  const rData = rSnap.exists ? rSnap.data() : {};
+  const order = oSnap.exists ? { id: oSnap.id, ...oSnap.data() } : null;
+  const now = new Date();
+
+  if (!order) {
+    const update = { status: 'failed', claimedAt: null, lastError: 'Order no longer exists', lastAttemptAt: now };
+    await ref.update(update);
+    return { ...entry, ...update };
+  }
+
+  // Already signed through the Electron relay while queued
+  const existing = entry.kind === 'sale'
+    ? order.etims
+    : order.etimsCreditNote && order.etimsCreditNote.invcNo === entry.invcNo ? order.etimsCreditNote : null;
+  if (existing && existing.rcptSign) {
+    const update = { status: 'submitted', claimedAt: null, submittedAt: now, lastError: null };
+    await ref.update(update);
+    return { ...entry, ...update };
+  }
+
+  if (entry.kind === 'credit_note' && !(order.etims && order.etims.rcptSign)) {
+    const update = { status: 'pending', claimedAt: null, nextAttemptAt: new Date(now.getTime() + DEPENDENCY_WAIT_MS), lastError: 'Waiting for the original sale to be signed' };
+    await ref.update(update);
+    return { ...entry, ...update };
+  }
+
+  const { payload } = entry.kind === 'credit_note'
+    ? etims.buildCreditNotePayload(order, rData, entry.invcNo, { orgInvcNo: order.etims.invcNo || entry.orgInvcNo, refundAmount: entry.amount })
+    : etims.buildSaveSalesPayload(order, rData, entry.invcNo);
+
+  let outcome;
+  try {
+    outcome = { parsed: etims.parseSaleResult(await vscuClient.post(rData.etimsConfig && rData.etimsConfig.vscuUrl, '/trnsSales/saveSales', payload)) };
+  } catch (err) {
+    outcome = { transportError: err.message };
+  }
+
+  const update = etims.attemptUpdate(entry, outcome, now);
+  await ref.update(update);
+  if (update.status === 'submitted') {
+    const field = entry.kind === 'credit_note' ? 'etimsCreditNote' : 'etims';
+    const extra = entry.kind === 'credit_note' ? { orgInvcNo: entry.orgInvcNo, refundAmount: entry.amount, seq: entry.seq || 1 } : {};
+    await oSnap.ref.set({ [field]: etims.fiscalRecord(outcome.parsed, entry.invcNo, extra) }, { merge: true });
+    invalidateOrders(entry.restaurantId);
+  } else if (update.status === 'failed') {
+    console.error('[etims] queue %s failed: %s', entryId, update.lastError);
+  }
+  return { ...entry, ...update };
+}
+
+/**
+ * Submit every due entry (one restaurant, or all when restaurantId is null),
+ * oldest invoice number first so the VSCU sees them in order.
+ */
+async function processDue({ restaurantId = null, limit = 50 } = {}) {
+  let query = queueCol().where('status', 'in', ['pending', 'submitting']);
+  if (restaurantId) query = query.where('restaurantId', '==', restaurantId);
+  const snap = await query.get();
+  const now = new Date();
+  const due = snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(e => e.status === 'submitting' || !e.nextAttemptAt || toDate(e.nextAttemptAt) <= now)
+    .sort((a, b) => (a.restaurantId === b.restaurantId ? a.invcNo - b.invcNo : a.restaurantId < b.restaurantId ? -1 : 1))
+    .slice(0, limit);
+
+  const counts = { processed: 0, submitted: 0, failed: 0, pending: 0 };
+  for (const entry of due) {
+    try {
+      const result = await processEntry(entry.id);
+      counts.processed++;
+      if (result && counts[result.status] !== undefined) counts[result.status]++;
+    } catch (err) {
+      console.error(`[etims] queue ${entry.id} processing error:`, err.message);
+    }
+  }
+  return { due: due.length, ...counts };
+}
+
+/** Put a failed entry back in the queue and submit it now. */
+async function retry(restaurantId, entryId) {
+  const ref = queueCol().doc(entryId);
+  const snap = await ref.get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw fail(404, 'Queue entry not found');
+  if (snap.data().status === 'submitted') throw fail(409, 'Already submitted');
+  await ref.update({ status: 'pending', attempts: 0, nextAttemptAt: new Date(), claimedAt: null });
+  return processEntry(entryId, { force: true });
+}
+
+async function listEntries(restaurantId, { status = null, limit = 200 } = {}) {
+  let query = queueCol().where('restaurantId', '==', restaurantId);
+  if (status) query = query.where('status', '==', status);
+  const snap = await query.get();
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => b.invcNo - a.invcNo)
+    .slice(0, limit);
+}
+
+// ── Reconciliation ────────────────────────────────────────────────
+
+/** Completed sales and refunds in [start, end] that are not signed on KRA's side. */
+async function reconciliation(restaurantId, start, end) {
+  const [orderSnap, queueSnap] = await Promise.all([
+    db.collection(collections.orders)
+      .where('restaurantId', '==', restaurantId)
+      .where('createdAt', '>=', start)
+      .where('createdAt', '<=', end)
+      .get(),
+    queueCol().where('restaurantId', '==', restaurantId).get(),
+  ]);
+  const entries = {};
+  queueSnap.docs.forEach(d => { entries[d.id] = d.data(); });
+  return etims.reconcile(orderSnap.docs.map(d => ({ id: d.id, ...d.data() })), entries);
+}
+
+module.exports = {
+  isServerMode,
+  enqueue,
+  syncOrder,
+  syncInBackground,
+  processEntry,
+  processDue,
+  retry,
+  listEntries,
+  reconciliation,
+};
@@ -8,6 +8,11 @@
  *    single source of truth for building the exact KRA payloads and reading
  *    back the signed result — Electron is only a dumb local relay.
  *
+ *  - Stores whose VSCU is reachable from the backend (hosted/tunnelled VSCU)
+ *    can switch etimsConfig.submissionMode to 'server': sales and refunds are
+ *    then queued and submitted by services/etims/etimsQueueService.js with
+ *    retry, so nothing depends on a browser tab staying open.
+ *
  *  - EVERYTHING here is gated on isKenya(). Non-Kenya stores never touch it.
  *
  * Spec: VSCU_Specification_Document_v2.0 (KRA). See
@@ -280,6 +285,237 @@ function parseSaleResult(vscuResponse) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Credit note (refund) — POST /trnsSales/saveSales with rcptTyCd 'R'.
+// A credit note takes its own invoice number and points at the original sale
+// through orgInvcNo. A partial refund scales every line by refund ÷ sale total
+// (we only record the refunded amount, not which items were returned); the
+// last line absorbs the rounding so the note totals exactly the refund.
+// ---------------------------------------------------------------------------
+// Refund reason codes (§4.x — CONFIRM). '06' = Refund.
+const REFUND_REASONS = {
+  '01': 'Missing quantity',
+  '02': 'Missing data',
+  '03': 'Damaged',
+  '04': 'Wasted',
+  '05': 'Raw material shortage',
+  '06': 'Refund',
+  '07': 'Wrong customer PIN',
+  '08': 'Wrong customer name',
+  '09': 'Wrong amount/price',
+  '10': 'Wrong quantity',
+  '11': 'Wrong item(s)',
+  '12': 'Wrong tax type',
+  '13': 'Other reason',
+};
+
+function buildCreditNotePayload(order, restaurantData, invcNo, { orgInvcNo, refundAmount, reasonCode } = {}) {
+  const { payload: sale } = buildSaveSalesPayload(order, restaurantData, invcNo);
+  const factor = refundAmount != null && sale.totAmt > 0 ? Math.min(1, Number(refundAmount) / sale.totAmt) : 1;
+
+  let itemList = sale.itemList;
+  if (factor < 1) {
+    const target = round2(sale.totAmt * factor);
+    let running = 0;
+    itemList = sale.itemList.map((it, i) => {
+      const isLast = i === sale.itemList.length - 1;
+      const totAmt = isLast ? round2(target - running) : round2(it.totAmt * factor);
+      running = round2(running + totAmt);
+      const rate = TAX_BANDS[it.taxTyCd].rate;
+      const taxblAmt = rate === 0 ? totAmt : round2(totAmt / (1 + rate / 100));
+      const qty = Math.round(it.qty * factor * 1000) / 1000;
+      return { ...it, qty, splyAmt: round2(it.prc * qty), taxblAmt, totTaxAmt: round2(totAmt - taxblAmt), totAmt };
+    });
+  }
+
+  const band = { A: 0, B: 0, C: 0, D: 0, E: 0 };
+  const bandTax = { A: 0, B: 0, C: 0, D: 0, E: 0 };
+  itemList.forEach((it) => { band[it.taxTyCd] += it.taxblAmt; bandTax[it.taxTyCd] += it.totTaxAmt; });
+  const refundedAt = order.refundedAt ? new Date(order.refundedAt) : new Date();
+
+  const payload = {
+    ...sale,
+    orgInvcNo: Number(orgInvcNo) || 0,
+    rcptTyCd: 'R',               // §4.9 — 'R' = Credit note
+    cfmDt: fmt(refundedAt, true),
+    salesDt: fmt(refundedAt, false),
+    stockRlsDt: fmt(refundedAt, true),
+    rfdDt: fmt(refundedAt, true),
+    rfdRsnCd: REFUND_REASONS[reasonCode] ? reasonCode : '06',
+    taxblAmtA: round2(band.A), taxblAmtB: round2(band.B), taxblAmtC: round2(band.C), taxblAmtD: round2(band.D), taxblAmtE: round2(band.E),
+    taxAmtA: round2(bandTax.A), taxAmtB: round2(bandTax.B), taxAmtC: round2(bandTax.C), taxAmtD: round2(bandTax.D), taxAmtE: round2(bandTax.E),
+    totTaxblAmt: round2(itemList.reduce((s, it) => s + it.taxblAmt, 0)),
+    totTaxAmt: round2(itemList.reduce((s, it) => s + it.totTaxAmt, 0)),
+    totAmt: round2(itemList.reduce((s, it) => s + it.totAmt, 0)),
+    remark: order.refundReason ? String(order.refundReason).slice(0, 400) : null,
+    receipt: { ...sale.receipt, rptNo: invcNo },
+    itemList,
+  };
+  return { payload, invcNo };
+}
+
+// ---------------------------------------------------------------------------
+// Server-side submission queue — retry schedule.
+// Transport failures (VSCU unreachable, timeout, 5xx) back off exponentially:
+// 1 min, 2, 4 … capped at 1 hour, and the entry is marked failed after
+// MAX_ATTEMPTS. A VSCU that answers but refuses to sign fails at once — the
+// same payload would be refused again until the data is fixed.
+// ---------------------------------------------------------------------------
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+function nextAttemptAt(attempts, now = new Date()) {
+  const delay = Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+  return new Date(now.getTime() + delay);
+}
+
+/**
+ * Queue-entry fields after one submission attempt.
+ *   outcome: { transportError } | { parsed } (parseSaleResult of the VSCU reply)
+ */
+function attemptUpdate(entry, outcome, now = new Date()) {
+  const attempts = (Number(entry.attempts) || 0) + 1;
+  const base = { attempts, lastAttemptAt: now, claimedAt: null };
+  if (outcome.transportError) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    return {
+      ...base,
+      status: exhausted ? 'failed' : 'pending',
+      nextAttemptAt: exhausted ? null : nextAttemptAt(attempts, now),
+      lastError: String(outcome.transportError).slice(0, 500),
+      resultCd: null,
+      resultMsg: null,
+    };
+  }
+  const { parsed } = outcome;
+  if (parsed.rcptSign) {
+    return { ...base, status: 'submitted', nextAttemptAt: null, lastError: null, resultCd: parsed.resultCd || '000', resultMsg: parsed.resultMsg, submittedAt: now };
+  }
+  const rc = parsed.resultCd || 'none';
+  return {
+    ...base,
+    status: 'failed',
+    nextAttemptAt: null,
+    lastError: parsed.resultMsg ? `${parsed.resultMsg} (code ${rc})` : `no receipt signature returned (code ${rc})`,
+    resultCd: parsed.resultCd,
+    resultMsg: parsed.resultMsg,
+  };
+}
+
+/** The fiscal record stored on the order (`etims` for the sale, `etimsCreditNote` for a refund). */
+function fiscalRecord(parsed, invcNo, extra = {}) {
+  return {
+    invcNo: invcNo || null,
+    rcptNo: parsed.rcptNo,
+    totRcptNo: parsed.totRcptNo,
+    intrlData: parsed.intrlData,
+    rcptSign: parsed.rcptSign,
+    sdcId: parsed.sdcId,
+    mrcNo: parsed.mrcNo,
+    vsdcRcptPbctDate: parsed.vsdcRcptPbctDate,
+    fiscalisedAt: new Date(),
+    ...extra,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reconciliation — which completed sales and refunds are not yet on KRA's side.
+// `orders` are the period's orders; `entries` the queue entries by id
+// (`${orderId}_sale`, `${orderId}_refund`, `${orderId}_refund_2` …).
+// ---------------------------------------------------------------------------
+const SALE_STATUSES = ['completed', 'paid', 'refunded'];
+
+// Each refund gets its own credit note: the first is `${orderId}_refund`,
+// later ones carry their sequence number.
+function queueEntryId(orderId, kind, seq = 1) {
+  if (kind !== 'credit_note') return `${orderId}_sale`;
+  return seq > 1 ? `${orderId}_refund_${seq}` : `${orderId}_refund`;
+}
+
+/**
+ * Credit notes already queued for an order → { count, amount }. The order
+ * keeps the tally in `etimsCredits`; an order whose only note was queued
+ * before notes were numbered has just `firstNote`, which covered its refund.
+ */
+function creditsQueued(order, firstNote) {
+  if (order.etimsCredits) return { count: Number(order.etimsCredits.count) || 0, amount: Number(order.etimsCredits.amount) || 0 };
+  if (!firstNote) return { count: 0, amount: 0 };
+  return { count: 1, amount: firstNote.amount != null ? Number(firstNote.amount) : Number(order.refundAmount) || 0 };
+}
+
+/** The credit note an order still needs → { seq, amount }, or null when every refund is queued. */
+function nextCreditNote(order, firstNote) {
+  if (!order.refundedAt) return null;
+  const queued = creditsQueued(order, firstNote);
+  const amount = round2((Number(order.refundAmount) || 0) - queued.amount);
+  return amount > 0 ? { seq: queued.count + 1, amount } : null;
+}
+
+function fiscalState(fiscalised, entry) {
+  if (fiscalised) return 'fiscalised';
+  if (!entry) return 'unsubmitted';
+  if (entry.status === 'submitted') return 'fiscalised';
+  if (entry.status === 'failed') return 'failed';
+  return 'pending';
+}
+
+function reconcile(orders, entries = {}) {
+  const summary = {
+    sales: 0, salesAmount: 0, fiscalised: 0, pending: 0, failed: 0, unsubmitted: 0,
+    creditNotes: 0, creditNotesFiscalised: 0, creditNotesOutstanding: 0,
+  };
+  const exceptions = [];
+
+  orders.forEach((order) => {
+    if (!SALE_STATUSES.includes(order.status)) return;
+    const amount = Number(order.finalAmount || order.totalAmount || 0);
+    summary.sales++;
+    summary.salesAmount = round2(summary.salesAmount + amount);
+
+    const saleEntry = entries[queueEntryId(order.id, 'sale')];
+    const saleState = fiscalState(order.etims && order.etims.rcptSign, saleEntry);
+    summary[saleState]++;
+    if (saleState !== 'fiscalised') {
+      exceptions.push({
+        kind: 'sale', orderId: order.id, orderNumber: order.orderNumber || null, amount, state: saleState,
+        invcNo: (saleEntry && saleEntry.invcNo) || (order.etims && order.etims.pendingInvcNo) || null,
+        attempts: (saleEntry && saleEntry.attempts) || 0,
+        lastError: (saleEntry && saleEntry.lastError) || null,
+      });
+    }
+
+    if (order.refundedAt && Number(order.refundAmount) > 0) {
+      // Every credit note queued so far, plus one for any refund not queued yet
+      const firstNote = entries[queueEntryId(order.id, 'credit_note')];
+      const notes = [];
+      for (let seq = 1; seq <= creditsQueued(order, firstNote).count; seq++) {
+        const entry = entries[queueEntryId(order.id, 'credit_note', seq)];
+        notes.push({ entry, amount: entry && entry.amount != null ? entry.amount : order.refundAmount });
+      }
+      const next = nextCreditNote(order, firstNote);
+      if (next) notes.push({ entry: null, amount: next.amount });
+
+      notes.forEach(({ entry, amount: noteAmount }) => {
+        summary.creditNotes++;
+        const noteState = fiscalState(false, entry);
+        if (noteState === 'fiscalised') summary.creditNotesFiscalised++;
+        else {
+          summary.creditNotesOutstanding++;
+          exceptions.push({
+            kind: 'credit_note', orderId: order.id, orderNumber: order.orderNumber || null, amount: round2(noteAmount), state: noteState,
+            invcNo: (entry && entry.invcNo) || null,
+            attempts: (entry && entry.attempts) || 0,
+            lastError: (entry && entry.lastError) || null,
+          });
+        }
+      });
+    }
+  });
+
+  return { summary, exceptions };
+}
+
 module.exports = {
   isKenya,
   isEtimsActive,
@@ -289,4 +525,13 @@ module.exports = {
   parseSaleResult,
   paymentTypeCode,
   TAX_BANDS,
+  REFUND_REASONS,
+  buildCreditNotePayload,
+  MAX_ATTEMPTS,
+  nextAttemptAt,
+  attemptUpdate,
+  fiscalRecord,
+  queueEntryId,
+  nextCreditNote,
+  reconcile,
 };
@@ -0,0 +1,199 @@
+const etims = require('./etimsService');
+const { createStubVscu } = require('./stubVscu');
+const vscuClient = require('./vscuClient');
+
+const restaurant = {
+  name: 'Savanna Grill',
+  currencySettings: { countryCode: 'KE', currencyCode: 'KES' },
+  taxSettings: { taxInclusivePricing: true },
+  etimsConfig: {
+    enabled: true, tin: 'P051234567X', bhfId: '00', dvcSrlNo: 'DVC001', vscuUrl: 'http://vscu.local',
+    submissionMode: 'server', device: { sdcId: 'KRACU0100000001', lastInvcNo: 0 },
+  },
+};
+
+const order = (overrides = {}) => ({
+  id: 'order-1',
+  orderNumber: 'SG-17',
+  status: 'completed',
+  completedAt: '2026-03-02T09:15:00.000Z',
+  paymentMethod: 'mpesa',
+  items: [
+    { id: 'nyama', name: 'Nyama Choma', price: 1160, quantity: 1, taxRate: 16 },
+    { id: 'soda', name: 'Soda', price: 116, quantity: 2, taxRate: 16 },
+  ],
+  finalAmount: 1392,
+  ...overrides,
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Credit notes
+// ═══════════════════════════════════════════════════════════════════
+
+describe('buildCreditNotePayload', () => {
+  test('a full refund mirrors the sale as receipt type R against the original invoice', () => {
+    const { payload: sale } = etims.buildSaveSalesPayload(order(), restaurant, 1);
+    const { payload } = etims.buildCreditNotePayload(
+      order({ status: 'refunded', refundAmount: 1392, refundedAt: '2026-03-02T10:00:00.000Z', refundReason: 'Wrong table' }),
+      restaurant, 2, { orgInvcNo: 1, refundAmount: 1392 },
+    );
+    expect(payload).toMatchObject({ invcNo: 2, orgInvcNo: 1, rcptTyCd: 'R', rfdRsnCd: '06', remark: 'Wrong table', totAmt: sale.totAmt, totTaxAmt: sale.totTaxAmt });
+    expect(payload.rfdDt).toMatch(/^\d{14}$/);
+    expect(payload.receipt.rptNo).toBe(2);
+  });
+
+  test('a partial refund scales the lines and totals exactly to the refund', () => {
+    const { payload } = etims.buildCreditNotePayload(order({ refundAmount: 500, refundedAt: '2026-03-02T10:00:00.000Z' }), restaurant, 3, {
+      orgInvcNo: 1, refundAmount: 500, reasonCode: '09',
+    });
+    expect(payload.totAmt).toBe(500);
+    expect(payload.rfdRsnCd).toBe('09');
+    expect(payload.itemList.reduce((s, it) => s + it.totAmt, 0)).toBeCloseTo(500, 2);
+    expect(payload.totTaxblAmt + payload.totTaxAmt).toBeCloseTo(500, 2);
+    expect(payload.taxblAmtB).toBe(payload.totTaxblAmt);
+  });
+
+  test('each further partial refund gets its own numbered credit note for the new amount', () => {
+    const refunded = order({ refundAmount: 500, refundedAt: '2026-03-02T10:00:00.000Z' });
+    expect(etims.nextCreditNote(refunded, null)).toEqual({ seq: 1, amount: 500 });
+    expect(etims.queueEntryId('order-1', 'credit_note', 1)).toBe('order-1_refund');
+
+    const again = { ...refunded, refundAmount: 800, etimsCredits: { count: 1, amount: 500 } };
+    expect(etims.nextCreditNote(again, { amount: 500 })).toEqual({ seq: 2, amount: 300 });
+    expect(etims.queueEntryId('order-1', 'credit_note', 2)).toBe('order-1_refund_2');
+    expect(etims.nextCreditNote({ ...again, etimsCredits: { count: 2, amount: 800 } }, { amount: 500 })).toBeNull();
+  });
+
+  test('a note queued before numbering counts as covering the refund', () => {
+    const legacy = order({ refundAmount: 500, refundedAt: '2026-03-02T10:00:00.000Z' });
+    expect(etims.nextCreditNote(legacy, { amount: 500 })).toBeNull();
+    expect(etims.nextCreditNote({ ...legacy, refundAmount: 700 }, { amount: 500 })).toEqual({ seq: 2, amount: 200 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Queue retry schedule
+// ═══════════════════════════════════════════════════════════════════
+
+describe('queue attempts', () => {
+  const now = new Date('2026-03-02T10:00:00Z');
+
+  test('backs off exponentially and caps at an hour', () => {
+    expect(etims.nextAttemptAt(1, now) - now).toBe(60 * 1000);
+    expect(etims.nextAttemptAt(3, now) - now).toBe(4 * 60 * 1000);
+    expect(etims.nextAttemptAt(9, now) - now).toBe(60 * 60 * 1000);
+  });
+
+  test('transport errors stay pending until the attempts run out', () => {
+    const update = etims.attemptUpdate({ attempts: 0 }, { transportError: 'VSCU returned HTTP 503' }, now);
+    expect(update).toMatchObject({ status: 'pending', attempts: 1, lastError: 'VSCU returned HTTP 503' });
+    expect(update.nextAttemptAt - now).toBe(60 * 1000);
+
+    const last = etims.attemptUpdate({ attempts: etims.MAX_ATTEMPTS - 1 }, { transportError: 'timeout' }, now);
+    expect(last).toMatchObject({ status: 'failed', nextAttemptAt: null });
+  });
+
+  test('a signed reply is submitted, an unsigned one fails at once', () => {
+    const signed = etims.attemptUpdate({ attempts: 2 }, { parsed: etims.parseSaleResult({ resultCd: '000', data: { rcptSign: 'ABC' } }) }, now);
+    expect(signed).toMatchObject({ status: 'submitted', attempts: 3, lastError: null, submittedAt: now });
+
+    const rejected = etims.attemptUpdate({ attempts: 0 }, { parsed: etims.parseSaleResult({ resultCd: '910', resultMsg: 'Bad TIN' }) }, now);
+    expect(rejected).toMatchObject({ status: 'failed', lastError: 'Bad TIN (code 910)', resultCd: '910' });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Reconciliation
+// ═══════════════════════════════════════════════════════════════════
+
+describe('reconcile', () => {
+  test('lists every sale and refund not signed on KRA\'s side', () => {
+    const orders = [
+      order({ id: 'a', etims: { rcptSign: 'S1', invcNo: 1 } }),
+      order({ id: 'b', etims: { pendingInvcNo: 2 } }),
+      order({ id: 'c' }),
+      order({ id: 'd', status: 'refunded', refundAmount: 1392, refundedAt: '2026-03-02T10:00:00Z', etims: { rcptSign: 'S4', invcNo: 4 } }),
+      order({ id: 'e', status: 'cancelled' }),
+    ];
+    const entries = {
+      b_sale: { status: 'failed', invcNo: 2, attempts: 10, lastError: 'timeout' },
+      d_refund: { status: 'pending', invcNo: 5, attempts: 1 },
+    };
+    const { summary, exceptions } = etims.reconcile(orders, entries);
+
+    expect(summary).toMatchObject({ sales: 4, fiscalised: 2, failed: 1, unsubmitted: 1, pending: 0, creditNotes: 1, creditNotesOutstanding: 1 });
+    expect(exceptions.map(e => [e.orderId, e.kind, e.state])).toEqual([
+      ['b', 'sale', 'failed'],
+      ['c', 'sale', 'unsubmitted'],
+      ['d', 'credit_note', 'pending'],
+    ]);
+    expect(exceptions[0]).toMatchObject({ invcNo: 2, attempts: 10, lastError: 'timeout' });
+  });
+
+  test('counts every partial refund\'s credit note, plus one for a refund not queued yet', () => {
+    const orders = [order({
+      id: 'f', refundAmount: 900, refundedAt: '2026-03-02T11:00:00Z',
+      etims: { rcptSign: 'S6', invcNo: 6 }, etimsCredits: { count: 2, amount: 700 },
+    })];
+    const entries = {
+      f_sale: { status: 'submitted', invcNo: 6 },
+      f_refund: { status: 'submitted', invcNo: 7, amount: 500 },
+      f_refund_2: { status: 'failed', invcNo: 8, amount: 200, attempts: 10 },
+    };
+    const { summary, exceptions } = etims.reconcile(orders, entries);
+
+    expect(summary).toMatchObject({ creditNotes: 3, creditNotesFiscalised: 1, creditNotesOutstanding: 2 });
+    expect(exceptions.map(e => [e.kind, e.state, e.amount, e.invcNo])).toEqual([
+      ['credit_note', 'failed', 200, 8],
+      ['credit_note', 'unsubmitted', 200, null],
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Stub VSCU
+// ═══════════════════════════════════════════════════════════════════
+
+describe('stub VSCU', () => {
+  test('initialises once, signs each invoice number once and needs the original for a credit note', () => {
+    const stub = createStubVscu();
+    const init = stub.handle('/initializer/selectInitInfo', etims.buildInitPayload(restaurant.etimsConfig));
+    expect(init.body.data.info.sdcId).toBe('KRACU0100000001');
+    expect(stub.handle('/initializer/selectInitInfo', etims.buildInitPayload(restaurant.etimsConfig)).body.resultCd).toBe('902');
+
+    const { payload } = etims.buildSaveSalesPayload(order(), restaurant, 1);
+    const parsed = etims.parseSaleResult(stub.handle('/trnsSales/saveSales', payload).body);
+    expect(parsed).toMatchObject({ ok: true, rcptNo: 1, totRcptNo: 1, sdcId: 'KRACU0100000001' });
+    expect(parsed.rcptSign).toMatch(/^[0-9A-F]{16}$/);
+    expect(stub.handle('/trnsSales/saveSales', payload).body.resultCd).toBe('924');
+
+    const orphan = etims.buildCreditNotePayload(order({ refundAmount: 100 }), restaurant, 2, { orgInvcNo: 99, refundAmount: 100 }).payload;
+    expect(stub.handle('/trnsSales/saveSales', orphan).body.resultCd).toBe('925');
+    const note = etims.buildCreditNotePayload(order({ refundAmount: 100 }), restaurant, 3, { orgInvcNo: 1, refundAmount: 100 }).payload;
+    expect(etims.parseSaleResult(stub.handle('/trnsSales/saveSales', note).body)).toMatchObject({ rcptNo: 1, totRcptNo: 2 });
+  });
+
+  test('simulated outages and rejections for exercising the queue', async () => {
+    const stub = createStubVscu();
+    const express = require('express');
+    const app = express();
+    app.use(stub.router());
+    const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      stub.handle('/initializer/selectInitInfo', etims.buildInitPayload(restaurant.etimsConfig));
+      const { payload } = etims.buildSaveSalesPayload(order(), restaurant, 1);
+
+      stub.failNext(1);
+      await expect(vscuClient.post(url, '/trnsSales/saveSales', payload)).rejects.toThrow('VSCU returned HTTP 503');
+
+      stub.rejectNext('990', 'Item not registered');
+      expect(await vscuClient.post(url, '/trnsSales/saveSales', payload)).toMatchObject({ resultCd: '990', resultMsg: 'Item not registered' });
+
+      const signed = etims.parseSaleResult(await vscuClient.post(url, '/trnsSales/saveSales', payload));
+      expect(signed.rcptSign).toBeTruthy();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Stub VSCU — an in-memory stand-in for KRA's VSCU JAR, for development and
+ * tests. Speaks the same JSON as the real device for the three calls we make:
+ *
+ *   POST /initializer/selectInitInfo   first call returns the device info,
+ *                                      later calls resultCd 902 (already initialised)
+ *   POST /items/saveItems              accepts every item
+ *   POST /trnsSales/saveSales          signs sales ('S') and credit notes ('R')
+ *
+ * It also enforces what the real device does: the TIN/branch must match the
+ * initialised device and an invoice number can only be signed once.
+ * `failNext(n)` makes the next n calls answer HTTP 503 and `rejectNext(cd, msg)`
+ * makes the next sale come back unsigned — for exercising the retry queue.
+ * The result codes other than 000 and 902 are the stub's own.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+
+const p2 = (n) => String(n).padStart(2, '0');
+function stamp(date = new Date()) {
+  return `${date.getFullYear()}${p2(date.getMonth() + 1)}${p2(date.getDate())}${p2(date.getHours())}${p2(date.getMinutes())}${p2(date.getSeconds())}`;
+}
+
+function createStubVscu({ sdcId = 'KRACU0100000001', mrcNo = 'WIS01000001' } = {}) {
+  const state = {
+    device: null,       // { tin, bhfId, dvcSrlNo } once initialised
+    receipts: new Map(), // invcNo → signed receipt data
+    totRcptNo: 0,
+    rcptNoByType: { S: 0, R: 0 },
+    items: new Map(),
+    failures: 0,
+    rejection: null,
+  };
+
+  const reply = (resultCd, resultMsg, data = null) => ({ status: 200, body: { resultCd, resultMsg, resultDt: stamp(), data } });
+
+  function selectInitInfo(body) {
+    if (state.device) return reply('902', 'This device is installed');
+    state.device = { tin: body.tin, bhfId: body.bhfId, dvcSrlNo: body.dvcSrlNo };
+    return reply('000', 'It is succeeded', {
+      info: {
+        tin: body.tin,
+        bhfId: body.bhfId,
+        dvcId: `${body.tin}${body.bhfId}01`,
+        sdcId,
+        mrcNo,
+        lastSaleInvcNo: 0,
+        intrlKey: crypto.randomBytes(16).toString('hex'),
+        signKey: crypto.randomBytes(16).toString('hex'),
+        cmcKey: crypto.randomBytes(16).toString('hex'),
+      },
+    });
+  }
+
+  function saveItems(body) {
+    state.items.set(body.itemCd, body);
+    return reply('000', 'It is succeeded');
+  }
+
+  function saveSales(body) {
+    if (!state.device) return reply('901', 'Device is not initialised');
+    if (body.tin !== state.device.tin || body.bhfId !== state.device.bhfId) return reply('910', 'TIN or branch does not match this device');
+    if (state.receipts.has(Number(body.invcNo))) return reply('924', `Invoice ${body.invcNo} is already signed`);
+    if (body.rcptTyCd === 'R' && !state.receipts.has(Number(body.orgInvcNo))) return reply('925', `Original invoice ${body.orgInvcNo} not found`);
+    if (state.rejection) {
+      const { resultCd, resultMsg } = state.rejection;
+      state.rejection = null;
+      return reply(resultCd, resultMsg);
+    }
+
+    const type = body.rcptTyCd === 'R' ? 'R' : 'S';
+    state.rcptNoByType[type]++;
+    state.totRcptNo++;
+    const data = {
+      rcptNo: state.rcptNoByType[type],
+      totRcptNo: state.totRcptNo,
+      intrlData: crypto.createHash('sha1').update(`intrl:${body.invcNo}:${body.totAmt}`).digest('base64').slice(0, 26).toUpperCase(),
+      rcptSign: crypto.createHash('sha1').update(`sign:${body.invcNo}:${body.totAmt}:${state.totRcptNo}`).digest('hex').slice(0, 16).toUpperCase(),
+      sdcId,
+      mrcNo,
+      vsdcRcptPbctDate: stamp(),
+    };
+    state.receipts.set(Number(body.invcNo), { ...data, rcptTyCd: type, totAmt: body.totAmt });
+    return reply('000', 'It is succeeded', data);
+  }
+
+  const HANDLERS = {
+    '/initializer/selectInitInfo': selectInitInfo,
+    '/items/saveItems': saveItems,
+    '/trnsSales/saveSales': saveSales,
+  };
+
+  /** Handle one VSCU call → { status, body }. */
+  function handle(path, body = {}) {
+    if (state.failures > 0) {
+      state.failures--;
+      return { status: 503, body: { resultCd: '999', resultMsg: 'Service unavailable (simulated)' } };
+    }
+    const handler = HANDLERS[path];
+    if (!handler) return { status: 404, body: { resultCd: '404', resultMsg: `Unknown path ${path}` } };
+    return handler(body || {});
+  }
+
+  function router() {
+    const r = express.Router();
+    r.use(express.json({ limit: '1mb' }));
+    r.post(Object.keys(HANDLERS), (req, res) => {
+      const { status, body } = handle(req.path, req.body);
+      res.status(status).json(body);
+    });
+    return r;
+  }
+
+  return {
+    state,
+    handle,
+    router,
+    failNext(n = 1) { state.failures = n; },
+    rejectNext(resultCd = '990', resultMsg = 'Rejected (simulated)') { state.rejection = { resultCd, resultMsg }; },
+  };
+}
+
+module.exports = { createStubVscu };
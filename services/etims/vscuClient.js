@@ -0,0 +1,39 @@
+/**
+ * Direct HTTP client for a VSCU the backend can reach (hosted or tunnelled
+ * VSCU, or the stub in scripts/etims-stub-vscu.js). Used by the server-side
+ * submission queue; LAN-only VSCUs keep going through the Electron relay.
+ *
+ * Anything other than a JSON reply is a transport failure and throws — the
+ * queue retries those. A JSON reply is returned as-is, whatever its resultCd.
+ */
+
+'use strict';
+
+const TIMEOUT_MS = 20000;
+
+async function post(vscuUrl, path, body, { timeoutMs = TIMEOUT_MS } = {}) {
+  if (!vscuUrl) throw new Error('VSCU URL is not configured');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(`${String(vscuUrl).replace(/\/+$/, '')}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (response.status >= 500) throw new Error(`VSCU returned HTTP ${response.status}`);
+    try {
+      return await response.json();
+    } catch (_) {
+      throw new Error(`VSCU returned a non-JSON reply (HTTP ${response.status})`);
+    }
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`VSCU did not answer within ${Math.round(timeoutMs / 1000)}s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { post };
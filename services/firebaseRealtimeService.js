@@ -131,6 +131,8 @@ const notifyKOTPrintRequest = async (restaurantId, orderData) => {
     // to request ?newOnly=true. Without it, real-time reprints dumped the whole station order.
     isIncremental: orderData.isIncremental || false,
     forcePrint: orderData.forcePrint || false,
+    // Course firing: set when the KOT is one fired course (render with ?course=)
+    course: orderData.course || null,
     printStationId: orderData.printStationId || null,
     printStationName: orderData.printStationName || null
   });
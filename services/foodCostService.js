@@ -0,0 +1,276 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const { getDefaultTaxSettings } = require('../billing/billingCalc');
+const { serialRuns } = require('../utils/serialRuns');
+const variance = require('../inventory/variance');
+const costing = require('../inventory/costing');
+const menuEngineeringCalc = require('../inventory/menuEngineering');
+
+/**
+ * Food Cost Service
+ * Loads what the pure food-cost reports in inventory/ need for one outlet:
+ * inventory items, recipes, the menu, stock audits, GRNs, waste entries and
+ * orders. Used by routes/foodCostRoutes.js (per outlet) and
+ * routes/hqReportsRoutes.js (per org, outlet by outlet).
+ *
+ * Also keeps plate costs live: recalculate() prices every menu item and
+ * variant with inventory/costing.js, stores the result in `menuItemCosts`
+ * (one doc per menu item), appends a `menuCostHistory` entry for each cost or
+ * price change and opens / resolves `foodCostAlerts` as food-cost % crosses
+ * the outlet's threshold. index.js calls recalculateInBackground() after
+ * anything that moves a cost: GRNs, inventory cost edits, imports, recipes
+ * and menu prices. menuEngineering() sets those costs against the period's
+ * sales for the Kasavana-Smith matrix.
+ */
+
+// A count older than this before the period start is too stale to open it
+const OPENING_LOOKBACK_DAYS = 35;
+
+const docs = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+/** Inventory items, recipes and menu as the `ctx` inventory/recipes.js expects. */
+async function loadRecipeContext(restaurantId) {
+  const [invSnap, recipeSnap, restSnap] = await Promise.all([
+    db.collection(collections.inventory).where('restaurantId', '==', restaurantId).get(),
+    db.collection(collections.recipes).where('restaurantId', '==', restaurantId).get(),
+    db.collection(collections.restaurants).doc(restaurantId).get(),
+  ]);
+  const inventory = docs(invSnap);
+  const recipes = docs(recipeSnap).filter(r => r.isActive !== false);
+  const inventoryById = {};
+  inventory.forEach(i => { inventoryById[i.id] = i; });
+  const recipeMap = {};
+  recipes.forEach(r => { recipeMap[r.id] = r; });
+  const restaurantData = restSnap.exists ? restSnap.data() : {};
+  const menuItemsMap = {};
+  (restaurantData.menu?.items || []).forEach(m => { menuItemsMap[m.id] = m; });
+  return { inventory, inventoryById, recipes, recipeMap, menuItemsMap, restaurantData };
+}
+
+/**
+ * Theoretical vs. actual variance for one outlet over [start, end].
+ * Returns { items, totals, skipped } (see inventory/variance.js).
+ */
+async function varianceReport(restaurantId, start, end) {
+  const lookback = new Date(start.getTime() - OPENING_LOOKBACK_DAYS * 86400000);
+  const [ctx, auditSnap, grnSnap, wasteSnap] = await Promise.all([
+    loadRecipeContext(restaurantId),
+    db.collection(collections.stockAudits).where('restaurantId', '==', restaurantId).get(),
+    db.collection(collections.goodsReceiptNotes).where('restaurantId', '==', restaurantId).get(),
+    db.collection(collections.wasteEntries).where('restaurantId', '==', restaurantId).get(),
+  ]);
+
+  const counts = variance.countsFromAudits(docs(auditSnap)).filter(c => c.date >= lookback && c.date <= end);
+  // Orders are needed from the earliest opening count on
+  const openings = counts.filter(c => c.date <= start).map(c => c.date.getTime());
+  const windowStart = openings.length > 0 ? new Date(Math.min(...openings)) : start;
+
+  const orderSnap = await db.collection(collections.orders)
+    .where('restaurantId', '==', restaurantId)
+    .where('createdAt', '>=', windowStart)
+    .where('createdAt', '<=', end)
+    .get();
+  const usage = variance.theoreticalUsage(docs(orderSnap), ctx);
+
+  const report = variance.computeVariance({
+    items: ctx.inventory,
+    counts,
+    receipts: variance.receiptsFromGrns(docs(grnSnap)),
+    usage: usage.events,
+    waste: variance.wasteFromEntries(docs(wasteSnap)),
+    start,
+    end,
+  });
+  return { ...report, skipped: summarizeSkipped(usage.skipped) };
+}
+
+// Collapse per-order skips into one line per menu item + reason
+function summarizeSkipped(skipped) {
+  const byKey = {};
+  skipped.forEach(s => {
+    const key = `${s.menuItemName}|${s.inventoryItemId}|${s.reason}`;
+    if (!byKey[key]) byKey[key] = { menuItemName: s.menuItemName, inventoryItemId: s.inventoryItemId, reason: s.reason, occurrences: 0 };
+    byKey[key].occurrences++;
+  });
+  return Object.values(byKey).sort((a, b) => b.occurrences - a.occurrences);
+}
+
+// ── Plate costing ─────────────────────────────────────────────────
+
+const costsCol = () => db.collection(collections.menuItemCosts);
+const historyCol = () => db.collection(collections.menuCostHistory);
+const alertsCol = () => db.collection(collections.foodCostAlerts);
+const costDocId = (restaurantId, menuItemId) => `${restaurantId}_${menuItemId}`;
+// Firestore batch limit is 500 — stay under it
+const WRITE_CHUNK = 400;
+
+// Recipe context + current unit costs + pricing options for inventory/costing.js
+async function costingContext(restaurantId) {
+  const ctx = await loadRecipeContext(restaurantId);
+  const settings = costing.settingsFor(ctx.restaurantData);
+  let batches = [];
+  if (settings.costingMethod !== 'last') {
+    const snap = await db.collection(collections.stockBatches)
+      .where('restaurantId', '==', restaurantId)
+      .where('status', '==', 'active')
+      .get();
+    batches = docs(snap);
+  }
+  const costs = costing.unitCosts(ctx.inventory, batches, settings.costingMethod);
+  const opts = {
+    settings,
+    taxSettings: ctx.restaurantData.taxSettings || getDefaultTaxSettings(ctx.restaurantData),
+    categories: ctx.restaurantData.categories || [],
+    menuItemsMap: ctx.menuItemsMap,
+  };
+  const items = Object.values(ctx.menuItemsMap)
+    .map(m => costing.menuItemCosting(m, ctx, costs, opts))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { settings, items, opts };
+}
+
+/** Live plate cost and margin of every menu item → { settings, items, summary }. Reads only. */
+async function menuCosting(restaurantId) {
+  const { settings, items } = await costingContext(restaurantId);
+  return { settings, items, summary: summarize(items) };
+}
+
+/**
+ * Menu-engineering matrix for one outlet over [start, end]: today's plate
+ * costs against what sold in the period (inventory/menuEngineering.js).
+ * `opts` = { groupBy, popularityFactor }.
+ */
+async function menuEngineering(restaurantId, start, end, opts = {}) {
+  const [costed, orderSnap] = await Promise.all([
+    costingContext(restaurantId),
+    db.collection(collections.orders)
+      .where('restaurantId', '==', restaurantId)
+      .where('createdAt', '>=', start)
+      .where('createdAt', '<=', end)
+      .get(),
+  ]);
+  const sales = menuEngineeringCalc.salesByMenuItem(docs(orderSnap), costed.items, costed.opts);
+  return menuEngineeringCalc.classify(costed.items, sales, opts);
+}
+
+function summarize(items) {
+  const costed = items.filter(i => i.hasRecipe);
+  const rows = costed.flatMap(i => i.rows).filter(r => r.foodCostPercent != null);
+  return {
+    menuItems: items.length,
+    withRecipe: costed.length,
+    withoutRecipe: items.length - costed.length,
+    overThreshold: rows.filter(r => r.overThreshold).length,
+    missingCostItems: costed.filter(i => i.missingCost.length > 0).length,
+    averageFoodCostPercent: rows.length > 0
+      ? Math.round((rows.reduce((s, r) => s + r.foodCostPercent, 0) / rows.length) * 100) / 100
+      : null,
+  };
+}
+
+/**
+ * Recalculate and store plate costs; write history for changed rows and
+ * open / resolve threshold alerts. `trigger` says what moved the cost
+ * ('grn', 'inventory', 'recipe', 'menu', 'manual', ...).
+ */
+async function recalculate(restaurantId, trigger = 'manual') {
+  const [result, prevSnap, openSnap] = await Promise.all([
+    menuCosting(restaurantId),
+    costsCol().where('restaurantId', '==', restaurantId).get(),
+    alertsCol().where('restaurantId', '==', restaurantId).where('status', 'in', ['open', 'acknowledged']).get(),
+  ]);
+  const { settings, items } = result;
+  const threshold = settings.alertThresholdPercent;
+  const diff = costing.diffCostings(docs(prevSnap), items, threshold);
+  const now = new Date();
+
+  const writes = [];
+  const live = new Set(items.map(i => i.menuItemId));
+  items.forEach(i => {
+    writes.push(b => b.set(costsCol().doc(costDocId(restaurantId, i.menuItemId)), {
+      restaurantId,
+      menuItemId: i.menuItemId,
+      name: i.name,
+      category: i.category,
+      hasRecipe: i.hasRecipe,
+      rows: i.rows.map(({ lines, ...r }) => r),
+      modifiers: i.modifiers,
+      missingCost: i.missingCost,
+      costingMethod: settings.costingMethod,
+      calculatedAt: now,
+      trigger,
+    }));
+  });
+  // Menu items that were removed since the last run
+  prevSnap.docs.filter(d => !live.has(d.data().menuItemId)).forEach(d => writes.push(b => b.delete(d.ref)));
+
+  diff.changed.forEach(c => writes.push(b => b.set(historyCol().doc(), {
+    restaurantId,
+    menuItemId: c.menuItemId,
+    name: c.name,
+    variant: c.variant,
+    price: c.row.price,
+    cost: c.row.cost,
+    previousPrice: c.previous ? c.previous.price : null,
+    previousCost: c.previous ? c.previous.cost : null,
+    foodCostPercent: c.row.foodCostPercent,
+    marginPercent: c.row.marginPercent,
+    costingMethod: settings.costingMethod,
+    trigger,
+    createdAt: now,
+  })));
+
+  const openByKey = {};
+  openSnap.docs.forEach(d => { openByKey[`${d.data().menuItemId}|${d.data().variant || ''}`] = d; });
+  const raised = diff.raised.filter(r => !openByKey[`${r.menuItemId}|${r.variant || ''}`]);
+  raised.forEach(r => writes.push(b => b.set(alertsCol().doc(), {
+    restaurantId,
+    menuItemId: r.menuItemId,
+    name: r.name,
+    variant: r.variant,
+    price: r.row.price,
+    cost: r.row.cost,
+    foodCostPercent: r.row.foodCostPercent,
+    previousFoodCostPercent: r.previous ? r.previous.foodCostPercent : null,
+    thresholdPercent: threshold,
+    status: 'open',
+    trigger,
+    createdAt: now,
+  })));
+  diff.cleared.forEach(c => {
+    const open = openByKey[`${c.menuItemId}|${c.variant || ''}`];
+    if (open) writes.push(b => b.update(open.ref, { status: 'resolved', resolvedAt: now, resolvedFoodCostPercent: c.row.foodCostPercent }));
+  });
+
+  for (let i = 0; i < writes.length; i += WRITE_CHUNK) {
+    const batch = db.batch();
+    writes.slice(i, i + WRITE_CHUNK).forEach(w => w(batch));
+    await batch.commit();
+  }
+
+  if (raised.length > 0) {
+    pushEvent(restaurantId, 'menu', 'food-cost-alert', {
+      count: raised.length,
+      items: raised.slice(0, 10).map(r => ({ menuItemId: r.menuItemId, name: r.name, variant: r.variant, foodCostPercent: r.row.foodCostPercent })),
+      thresholdPercent: threshold,
+    }).catch(() => {});
+  }
+
+  return { ...result.summary, changed: diff.changed.length, alertsRaised: raised.length, alertsResolved: diff.cleared.length, calculatedAt: now };
+}
+
+/**
+ * Fire-and-forget wrapper for the hooks in index.js — costing never fails
+ * the write that triggered it; a missed run is caught up by the next one
+ * or by POST .../menu-costs/recalculate. One run per outlet at a time.
+ */
+const recalculateInBackground = serialRuns('Food-cost recalculation', recalculate);
+
+module.exports = {
+  loadRecipeContext,
+  varianceReport,
+  menuCosting,
+  menuEngineering,
+  recalculate,
+  recalculateInBackground,
+};
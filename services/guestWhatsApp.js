@@ -0,0 +1,66 @@
+const { db, collections } = require('../firebase');
+const whatsappService = require('./whatsappService');
+
+/**
+ * Guest WhatsApp messages (waitlist, reservations)
+ * Resolves a restaurant's WhatsApp connection the same way the order-ready
+ * alert does, formats the guest's locally-typed number for the API and logs
+ * every message to automation logs so it shows up in the inbox.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const DIAL_CODES = { IN: '91', US: '1', CA: '1', GB: '44', AE: '971', QA: '974', SA: '966', KE: '254', PK: '92', BD: '880', LK: '94', NP: '977', SG: '65', MY: '60', AU: '61', NZ: '64', ZA: '27', NG: '234' };
+
+/** Credentials for an automation-settings WhatsApp doc (own number or the shared DineOpen one). */
+function credentialsFor(wa) {
+  return wa.mode === 'dineopen'
+    ? { accessToken: process.env.DINEOPEN_WHATSAPP_ACCESS_TOKEN, phoneNumberId: wa.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID, businessAccountId: process.env.DINEOPEN_WHATSAPP_BUSINESS_ACCOUNT_ID }
+    : { accessToken: wa.accessToken, phoneNumberId: wa.phoneNumberId || process.env.DINEOPEN_WHATSAPP_PHONE_NUMBER_ID, businessAccountId: wa.businessAccountId };
+}
+
+async function credentialsForRestaurant(restaurantId) {
+  const snapshot = await db.collection(collections.automationSettings)
+    .where('restaurantId', '==', restaurantId)
+    .where('type', '==', 'whatsapp')
+    .limit(1)
+    .get();
+  if (snapshot.empty || !snapshot.docs[0].data().connected) {
+    throw httpError(400, 'WhatsApp is not connected. Connect it in Settings to notify guests.');
+  }
+  const credentials = credentialsFor(snapshot.docs[0].data());
+  if (!credentials.accessToken) throw httpError(400, 'WhatsApp credentials are missing.');
+  return credentials;
+}
+
+// Format the guest phone for WhatsApp: strip formatting, drop a leading 0, and
+// prepend the restaurant's country dial code if it's a bare local number. The
+// WhatsApp API rejects numbers without a country code — the host types only the
+// local number.
+function formatPhone(phone, restaurant = {}) {
+  const rCountry = restaurant.currencySettings?.countryCode || restaurant.countryCode || 'IN';
+  const dial = DIAL_CODES[String(rCountry).toUpperCase()] || '91';
+  let waPhone = String(phone).replace(/\D/g, '');
+  if (waPhone.startsWith('0')) waPhone = waPhone.slice(1);
+  if (!waPhone.startsWith(dial) && waPhone.length <= 10) waPhone = dial + waPhone;
+  return waPhone;
+}
+
+/** Send a text and log it under `type` (e.g. 'whatsapp_waitlist'). */
+async function send({ restaurantId, type, phone, customerName, message, credentials }) {
+  const waResult = await whatsappService.sendTextMessage(phone, message, credentials);
+  // Log to automation logs so it shows up alongside bill notifications.
+  db.collection(collections.automationLogs).add({
+    restaurantId, type, phone, customerName: customerName || '',
+    message, messageId: waResult?.messageId || null, direction: 'outgoing',
+    status: waResult?.success ? 'sent' : 'failed', timestamp: new Date(),
+  }).catch(() => {});
+  return waResult;
+}
+
+module.exports = {
+  credentialsFor,
+  credentialsForRestaurant,
+  formatPhone,
+  send,
+};
@@ -1,128 +1,9 @@
 const { db, collections } = require('../firebase');
 const { FieldValue } = require('firebase-admin/firestore');
 const aiRecipeService = require('./aiRecipeService');
-
-// Comprehensive unit conversion map — all conversions to a "base" unit per dimension
-const UNIT_CONVERSIONS = {
-  // Mass (base: g)
-  'g': { dimension: 'mass', toBase: 1 },
-  'gm': { dimension: 'mass', toBase: 1 },
-  'gms': { dimension: 'mass', toBase: 1 },
-  'gram': { dimension: 'mass', toBase: 1 },
-  'grams': { dimension: 'mass', toBase: 1 },
-  'kg': { dimension: 'mass', toBase: 1000 },
-  'kgs': { dimension: 'mass', toBase: 1000 },
-  'kilogram': { dimension: 'mass', toBase: 1000 },
-  'kilograms': { dimension: 'mass', toBase: 1000 },
-  'mg': { dimension: 'mass', toBase: 0.001 },
-  'oz': { dimension: 'mass', toBase: 28.3495 },
-  'ounce': { dimension: 'mass', toBase: 28.3495 },
-  'ounces': { dimension: 'mass', toBase: 28.3495 },
-  'lb': { dimension: 'mass', toBase: 453.592 },
-  'lbs': { dimension: 'mass', toBase: 453.592 },
-  'pound': { dimension: 'mass', toBase: 453.592 },
-  'pounds': { dimension: 'mass', toBase: 453.592 },
-
-  // Volume (base: ml)
-  'ml': { dimension: 'volume', toBase: 1 },
-  'milliliter': { dimension: 'volume', toBase: 1 },
-  'milliliters': { dimension: 'volume', toBase: 1 },
-  'l': { dimension: 'volume', toBase: 1000 },
-  'ltr': { dimension: 'volume', toBase: 1000 },
-  'litre': { dimension: 'volume', toBase: 1000 },
-  'liter': { dimension: 'volume', toBase: 1000 },
-  'litres': { dimension: 'volume', toBase: 1000 },
-  'liters': { dimension: 'volume', toBase: 1000 },
-  'cl': { dimension: 'volume', toBase: 10 },
-  'cup': { dimension: 'volume', toBase: 236.588 },
-  'cups': { dimension: 'volume', toBase: 236.588 },
-  'tbsp': { dimension: 'volume', toBase: 14.787 },
-  'tablespoon': { dimension: 'volume', toBase: 14.787 },
-  'tablespoons': { dimension: 'volume', toBase: 14.787 },
-  'tsp': { dimension: 'volume', toBase: 4.929 },
-  'teaspoon': { dimension: 'volume', toBase: 4.929 },
-  'teaspoons': { dimension: 'volume', toBase: 4.929 },
-  'fl oz': { dimension: 'volume', toBase: 29.574 },
-  'fluid ounce': { dimension: 'volume', toBase: 29.574 },
-  'gallon': { dimension: 'volume', toBase: 3785.41 },
-  'gallons': { dimension: 'volume', toBase: 3785.41 },
-  'pint': { dimension: 'volume', toBase: 473.176 },
-  'pints': { dimension: 'volume', toBase: 473.176 },
-  'quart': { dimension: 'volume', toBase: 946.353 },
-  'quarts': { dimension: 'volume', toBase: 946.353 },
-
-  // Count (base: pcs)
-  'pcs': { dimension: 'count', toBase: 1 },
-  'pc': { dimension: 'count', toBase: 1 },
-  'piece': { dimension: 'count', toBase: 1 },
-  'pieces': { dimension: 'count', toBase: 1 },
-  'dozen': { dimension: 'count', toBase: 12 },
-  'dzn': { dimension: 'count', toBase: 12 },
-  'nos': { dimension: 'count', toBase: 1 },
-  'no': { dimension: 'count', toBase: 1 },
-  'each': { dimension: 'count', toBase: 1 },
-  'unit': { dimension: 'count', toBase: 1 },
-  'units': { dimension: 'count', toBase: 1 },
-
-  // Container units — same-type only (no cross-conversion)
-  'pack': { dimension: 'pack', toBase: 1 },
-  'packs': { dimension: 'pack', toBase: 1 },
-  'packet': { dimension: 'pack', toBase: 1 },
-  'packets': { dimension: 'pack', toBase: 1 },
-  'bottle': { dimension: 'bottle', toBase: 1 },
-  'bottles': { dimension: 'bottle', toBase: 1 },
-  'can': { dimension: 'can', toBase: 1 },
-  'cans': { dimension: 'can', toBase: 1 },
-  'bag': { dimension: 'bag', toBase: 1 },
-  'bags': { dimension: 'bag', toBase: 1 },
-  'box': { dimension: 'box', toBase: 1 },
-  'boxes': { dimension: 'box', toBase: 1 },
-  'bunch': { dimension: 'bunch', toBase: 1 },
-  'bunches': { dimension: 'bunch', toBase: 1 },
-  // Bar + ice-cream container/serving units (own dimension — cross-unit conversion
-  // for these is handled per-item via conversionFactor, e.g. 1 bottle = 750 ml).
-  'case': { dimension: 'case', toBase: 1 },
-  'cases': { dimension: 'case', toBase: 1 },
-  'keg': { dimension: 'keg', toBase: 1 },
-  'kegs': { dimension: 'keg', toBase: 1 },
-  'scoop': { dimension: 'scoop', toBase: 1 },
-  'scoops': { dimension: 'scoop', toBase: 1 },
-  'tub': { dimension: 'tub', toBase: 1 },
-  'tubs': { dimension: 'tub', toBase: 1 },
-  'peg': { dimension: 'peg', toBase: 1 },
-  'pegs': { dimension: 'peg', toBase: 1 },
-  'shot': { dimension: 'shot', toBase: 1 },
-  'shots': { dimension: 'shot', toBase: 1 },
-};
-
-/**
- * Convert quantity between compatible units, reporting whether the conversion was
- * actually possible. Returns { value, converted, reason }.
- *  - converted:true  → value is correct (same unit, or a valid conversion)
- *  - converted:false → units are unknown (typo) or cross-dimension (g↔pcs);
- *                      value falls back to the raw quantity, and the CALLER must
- *                      decide (deduction skips + flags rather than deduct raw).
- */
-function convertUnitsSafe(quantity, fromUnit, toUnit) {
-  if (!fromUnit || !toUnit) return { value: quantity, converted: true };
-  const from = fromUnit.toLowerCase().trim();
-  const to = toUnit.toLowerCase().trim();
-  if (from === to) return { value: quantity, converted: true };
-
-  const fromConv = UNIT_CONVERSIONS[from];
-  const toConv = UNIT_CONVERSIONS[to];
-
-  if (!fromConv || !toConv) return { value: quantity, converted: false, reason: 'unknown-unit' };
-  if (fromConv.dimension !== toConv.dimension) return { value: quantity, converted: false, reason: 'dimension-mismatch' };
-
-  return { value: (quantity * fromConv.toBase) / toConv.toBase, converted: true };
-}
-
-// Backward-compatible wrapper (returns the number). Prefer convertUnitsSafe in
-// deduction paths so a mismatch can be flagged instead of silently deducting raw.
-function convertUnits(quantity, fromUnit, toUnit) {
-  return convertUnitsSafe(quantity, fromUnit, toUnit).value;
-}
+const { convertForItem } = require('../inventory/units');
+const { flattenIngredients } = require('../inventory/recipes');
+const { allocateFifo } = require('../inventory/traceability');
 
 class InventoryService {
   
@@ -239,23 +120,77 @@ class InventoryService {
    * Returns flat array of raw inventory ingredients with adjusted quantities.
    */
   flattenIngredients(recipeMap, ingredients, multiplier = 1, visited = new Set()) {
-    const flat = [];
-    for (const ing of ingredients) {
-      if (ing.type === 'recipe' && ing.subRecipeId) {
-        if (visited.has(ing.subRecipeId)) continue; // circular protection
-        visited.add(ing.subRecipeId);
-        const subRecipe = recipeMap[ing.subRecipeId];
-        if (subRecipe) {
-          const subServings = subRecipe.servings || 1;
-          const subMultiplier = multiplier * (ing.quantity || 1) / subServings;
-          const subFlat = this.flattenIngredients(recipeMap, subRecipe.ingredients || [], subMultiplier, new Set(visited));
-          flat.push(...subFlat);
-        }
-      } else {
-        flat.push({ ...ing, quantity: (ing.quantity || 0) * multiplier });
+    return flattenIngredients(recipeMap, ingredients, multiplier, visited);
+  }
+
+  /**
+   * Draws `quantity` of an item from its active stock batches, oldest first,
+   * into `writeBatch`. Expired batches met on the way are written off as
+   * waste (unless `wasteExpired` is false). `cache` (inventoryItemId →
+   * batches) keeps several draws in one write batch from reusing the same
+   * stock. Returns { batchAllocations, expiredWasteQty }; the allocations go
+   * on the inventoryTransactions doc for traceability.
+   */
+  async drawFromBatches(writeBatch, restaurantId, inventoryItem, quantity, { orderId = null, wasteExpired = true, cache = {} } = {}) {
+    if (!cache[inventoryItem.id]) {
+      const snap = await db.collection(collections.stockBatches)
+        .where('inventoryItemId', '==', inventoryItem.id)
+        .where('status', '==', 'active')
+        .limit(50)
+        .get();
+      cache[inventoryItem.id] = snap.docs.map(d => ({ id: d.id, ...d.data(), ref: d.ref }));
+    }
+    const batches = cache[inventoryItem.id];
+    if (batches.length === 0) return { batchAllocations: [], expiredWasteQty: 0 };
+
+    const now = new Date();
+    const byId = {};
+    batches.forEach(b => { byId[b.id] = b; });
+    const { allocations, expired, shortfall } = allocateFifo(batches, quantity, now);
+
+    let expiredWasteQty = 0;
+    if (wasteExpired) {
+      for (const e of expired) {
+        const stockBatch = byId[e.batchId];
+        writeBatch.update(stockBatch.ref, { remainingQty: 0, status: 'depleted', updatedAt: now });
+        stockBatch.remainingQty = 0;
+        stockBatch.status = 'depleted';
+        const costPU = inventoryItem.costPerUnit || stockBatch.costPerUnit || 0;
+        writeBatch.set(db.collection('wasteEntries').doc(), {
+          restaurantId,
+          itemId: inventoryItem.id,
+          itemName: inventoryItem.name,
+          quantity: e.quantity,
+          unit: inventoryItem.unit || '',
+          reason: 'expired',
+          source: 'AUTO_EXPIRY',
+          costPerUnit: costPU,
+          wasteValue: e.quantity * costPU,
+          totalCost: e.quantity * costPU,
+          batchId: stockBatch.id,
+          notes: `Auto-detected expired batch${orderId ? ` during order ${orderId}` : ''}`,
+          date: now,
+          createdAt: now
+        });
+        expiredWasteQty += e.quantity;
+        console.log(`🗑️ Auto-wasted expired batch ${stockBatch.id} for ${inventoryItem.name}: ${e.quantity} ${inventoryItem.unit || ''}`);
       }
     }
-    return flat;
+
+    for (const a of allocations) {
+      const stockBatch = byId[a.batchId];
+      const status = a.remainingQty <= 0 ? 'depleted' : 'active';
+      writeBatch.update(stockBatch.ref, { remainingQty: a.remainingQty, status, updatedAt: now });
+      stockBatch.remainingQty = a.remainingQty;
+      stockBatch.status = status;
+    }
+    if (shortfall > 0 && allocations.length > 0) {
+      console.warn(`⚠️ Not enough non-expired stock in batches for ${inventoryItem.name}. Short by ${shortfall} ${inventoryItem.unit || ''}`);
+    }
+    return {
+      batchAllocations: allocations.map(({ batchId, batchNumber, quantity: q }) => ({ batchId, batchNumber, quantity: q })),
+      expiredWasteQty,
+    };
   }
 
   /**
@@ -324,6 +259,7 @@ class InventoryService {
       for (const m of (restDataLoaded.menu?.items || [])) menuItemsMap[m.id] = m;
 
       const deductions = [];
+      const batchCache = {}; // inventoryItemId → stock batches drawn so far in this order
 
       // 2. Process each ordered item
       for (const item of orderItems) {
@@ -361,19 +297,22 @@ class InventoryService {
           if (modQty <= 0) continue;
           const modInv = inventoryItems.find(i => i.id === link.inventoryItemId);
           if (!modInv) continue;
-          const mconv = convertUnitsSafe(modQty, link.unit || modInv.unit, modInv.unit);
+          const mconv = convertForItem(modQty, link.unit || modInv.unit, modInv);
           if (!mconv.converted) { console.warn(`⚠️ Modifier unit mismatch for ${modInv.name} (${link.unit} → ${modInv.unit}) — skipped`); continue; }
           const modDeduct = mconv.value;
-          batch.update(modInv.ref, { currentStock: FieldValue.increment(-modDeduct), updatedAt: new Date() });
+          const modDraw = await this.drawFromBatches(batch, restaurantId, modInv, modDeduct, { orderId, cache: batchCache })
+            .catch(err => { console.warn(`⚠️ FIFO batch query failed for ${modInv.name}:`, err.message); return { batchAllocations: [], expiredWasteQty: 0 }; });
+          batch.update(modInv.ref, { currentStock: FieldValue.increment(-(modDeduct + modDraw.expiredWasteQty)), updatedAt: new Date() });
           const mCost = modInv.costPerUnit || 0;
           batch.set(db.collection('inventoryTransactions').doc(), {
             restaurantId, inventoryItemId: modInv.id, inventoryItemName: modInv.name,
             type: 'DEDUCTION', source: 'ORDER', referenceId, orderId: baseOrderId,
             quantityChange: -modDeduct, unit: modInv.unit, costPerUnit: mCost, totalCost: modDeduct * mCost,
-            date: new Date(), notes: `Modifier "${cust.name}" on ${qtySold}x ${item.name}`
+            date: new Date(), notes: `Modifier "${cust.name}" on ${qtySold}x ${item.name}`,
+            ...(modDraw.batchAllocations.length > 0 && { batchIds: modDraw.batchAllocations.map(a => a.batchId), batchAllocations: modDraw.batchAllocations })
           });
           hasUpdates = true;
-          modInv.currentStock = Math.max(0, (modInv.currentStock || 0) - modDeduct);
+          modInv.currentStock = Math.max(0, (modInv.currentStock || 0) - modDeduct - modDraw.expiredWasteQty);
           deductions.push({ inventoryItemId: modInv.id, inventoryItemName: modInv.name, unit: modInv.unit, quantityDeducted: modDeduct, newStock: modInv.currentStock, menuItemName: `${item.name} (${cust.name})`, method: 'modifier' });
         }
 
@@ -405,9 +344,11 @@ class InventoryService {
               );
               if (directInvItem) {
                 const deductQty = (item.deductionQuantity || 1) * qtySold;
+                const draw = await this.drawFromBatches(batch, restaurantId, directInvItem, deductQty, { orderId, cache: batchCache })
+                  .catch(err => { console.warn(`⚠️ FIFO batch query failed for ${directInvItem.name}:`, err.message); return { batchAllocations: [], expiredWasteQty: 0 }; });
                 // Use atomic increment to prevent race conditions on concurrent orders
                 batch.update(directInvItem.ref, {
-                  currentStock: FieldValue.increment(-deductQty),
+                  currentStock: FieldValue.increment(-(deductQty + draw.expiredWasteQty)),
                   updatedAt: new Date()
                 });
                 const unitCost = directInvItem.costPerUnit || 0;
@@ -417,10 +358,11 @@ class InventoryService {
                   type: 'DEDUCTION', source: 'ORDER', referenceId, orderId: baseOrderId,
                   quantityChange: -deductQty, unit: directInvItem.unit || 'pcs',
                   costPerUnit: unitCost, totalCost: deductQty * unitCost,
-                  date: new Date(), notes: `Direct deduction: ${qtySold}x ${item.name}`
+                  date: new Date(), notes: `Direct deduction: ${qtySold}x ${item.name}`,
+                  ...(draw.batchAllocations.length > 0 && { batchIds: draw.batchAllocations.map(a => a.batchId), batchAllocations: draw.batchAllocations })
                 });
                 hasUpdates = true;
-                const estimatedStock = Math.max(0, (directInvItem.currentStock || 0) - deductQty);
+                const estimatedStock = Math.max(0, (directInvItem.currentStock || 0) - deductQty - draw.expiredWasteQty);
                 deductions.push({
                   inventoryItemId: directInvItem.id, inventoryItemName: directInvItem.name,
                   unit: directInvItem.unit, quantityDeducted: deductQty, newStock: estimatedStock,
@@ -472,7 +414,7 @@ class InventoryService {
                 // Convert recipe ingredient unit → inventory item unit. If the units
                 // are not convertible (typo or cross-dimension e.g. "g" vs "pcs"),
                 // DO NOT deduct a raw number into a different unit — flag it and skip.
-                const conv = convertUnitsSafe(qtyNeeded, ingredient.unit, inventoryItem.unit);
+                const conv = convertForItem(qtyNeeded, ingredient.unit, inventoryItem);
                 if (!conv.converted) {
                   console.warn(`⚠️ UNIT MISMATCH: recipe "${ingredient.unit}" → stock "${inventoryItem.unit}" for ${inventoryItem.name} — skipped (${conv.reason})`);
                   batch.set(db.collection('inventoryTransactions').doc(), {
@@ -488,106 +430,15 @@ class InventoryService {
                 let expiredWasteQty = 0; // hoisted so the stock write can also subtract auto-wasted expired batches
 
                 // --- FIFO Batch Deduction ---
-                const batchIds = [];
-                let newStock;
-
+                let batchAllocations = [];
                 try {
-                  const batchesSnapshot = await db.collection(collections.stockBatches)
-                    .where('inventoryItemId', '==', inventoryItem.id)
-                    .where('status', '==', 'active')
-                    .limit(50)
-                    .get();
-
-                  const activeBatches = [];
-                  batchesSnapshot.forEach(doc => {
-                    const d = doc.data();
-                    if ((d.remainingQty || 0) > 0) {
-                      activeBatches.push({ id: doc.id, ...d, ref: doc.ref });
-                    }
-                  });
-
-                  if (activeBatches.length > 0) {
-                    // Sort oldest first (FIFO): mfgDate ASC, fallback to createdAt
-                    activeBatches.sort((a, b) => {
-                      const dateA = a.mfgDate?.toDate?.() || a.mfgDate || a.createdAt?.toDate?.() || a.createdAt || 0;
-                      const dateB = b.mfgDate?.toDate?.() || b.mfgDate || b.createdAt?.toDate?.() || b.createdAt || 0;
-                      return new Date(dateA) - new Date(dateB);
-                    });
-
-                    const now = new Date();
-                    expiredWasteQty = 0; // (declared at ingredient scope above)
-
-                    // First pass: skip expired batches and auto-mark them as waste
-                    const validBatches = [];
-                    for (const stockBatch of activeBatches) {
-                      const expiryDate = stockBatch.expiryDate?.toDate?.() || (stockBatch.expiryDate ? new Date(stockBatch.expiryDate) : null);
-                      if (expiryDate && expiryDate < now) {
-                        // Expired — mark as waste, deplete batch
-                        const wastedQty = stockBatch.remainingQty;
-                        batch.update(stockBatch.ref, {
-                          remainingQty: 0,
-                          status: 'depleted',
-                          updatedAt: now
-                        });
-                        // Create waste entry for expired batch
-                        const costPU = inventoryItem.costPerUnit || stockBatch.costPerUnit || 0;
-                        const wasteRef = db.collection('wasteEntries').doc();
-                        batch.set(wasteRef, {
-                          restaurantId,
-                          itemId: inventoryItem.id,
-                          itemName: inventoryItem.name,
-                          quantity: wastedQty,
-                          unit: inventoryItem.unit || '',
-                          reason: 'expired',
-                          source: 'AUTO_EXPIRY',
-                          costPerUnit: costPU,
-                          wasteValue: wastedQty * costPU,
-                          totalCost: wastedQty * costPU,
-                          batchId: stockBatch.id,
-                          notes: `Auto-detected expired batch during order ${orderId}`,
-                          date: now,
-                          createdAt: now
-                        });
-                        expiredWasteQty += wastedQty;
-                        console.log(`🗑️ Auto-wasted expired batch ${stockBatch.id} for ${inventoryItem.name}: ${wastedQty} ${inventoryItem.unit || ''}`);
-                      } else {
-                        validBatches.push(stockBatch);
-                      }
-                    }
-
-                    // Deduct expired waste from current stock
-                    if (expiredWasteQty > 0) {
-                      inventoryItem.currentStock = (inventoryItem.currentStock || 0) - expiredWasteQty;
-                    }
-
-                    // Second pass: FIFO deduction from valid (non-expired) batches
-                    let remaining = deductionAmount;
-                    for (const stockBatch of validBatches) {
-                      if (remaining <= 0) break;
-                      const deductFromBatch = Math.min(stockBatch.remainingQty, remaining);
-                      const updatedRemaining = stockBatch.remainingQty - deductFromBatch;
-                      batch.update(stockBatch.ref, {
-                        remainingQty: updatedRemaining,
-                        status: updatedRemaining <= 0 ? 'depleted' : 'active',
-                        updatedAt: now
-                      });
-                      batchIds.push(stockBatch.id);
-                      remaining -= deductFromBatch;
-                    }
-
-                    // If all valid batches exhausted but still need more, log warning
-                    if (remaining > 0 && validBatches.length > 0) {
-                      console.warn(`⚠️ Not enough non-expired stock in batches for ${inventoryItem.name}. Short by ${remaining} ${inventoryItem.unit || ''}`);
-                    }
-
-                    newStock = Math.max(0, inventoryItem.currentStock - deductionAmount);
-                  } else {
-                    // No batches — backward-compatible simple deduction
-                    newStock = Math.max(0, (inventoryItem.currentStock || 0) - deductionAmount);
-                  }
+                  ({ batchAllocations, expiredWasteQty } = await this.drawFromBatches(batch, restaurantId, inventoryItem, deductionAmount, { orderId, cache: batchCache }));
                 } catch (batchErr) {
                   console.warn(`⚠️ FIFO batch query failed for ${inventoryItem.name}, using simple deduction:`, batchErr.message);
-                  newStock = Math.max(0, (inventoryItem.currentStock || 0) - deductionAmount);
+                }
+                const batchIds = batchAllocations.map(a => a.batchId);
+                if (expiredWasteQty > 0) {
+                  inventoryItem.currentStock = (inventoryItem.currentStock || 0) - expiredWasteQty;
                 }
 
                 // Update Inventory (atomic increment for concurrent safety). Also
@@ -616,7 +467,10 @@ class InventoryService {
                     date: new Date(),
                     notes: `Order of ${qtySold}x ${item.name}`
                 };
-                if (batchIds.length > 0) txData.batchIds = batchIds;
+                if (batchIds.length > 0) {
+                  txData.batchIds = batchIds;
+                  txData.batchAllocations = batchAllocations; // exact quantity per batch, for traceability
+                }
                 batch.set(transactionRef, txData);
 
                 hasUpdates = true;
@@ -681,6 +535,8 @@ class InventoryService {
 
       if (deductions.length > 0) {
         try { require('../utils/kvCache').invalidateInventoryCache(restaurantId); } catch (_) {}
+        // Auto-86 / "only N left" badges for recipe-based menu items
+        require('./stockAvailabilityService').refreshInBackground(restaurantId, 'order');
       }
       return deductions;
 
@@ -743,17 +599,22 @@ class InventoryService {
           updatedAt: new Date()
         });
 
-        // Restore batch quantities if FIFO batches were used
+        // Restore batch quantities if FIFO batches were used — exact amounts
+        // when recorded, else split evenly (older transactions)
         if (tx.batchIds && tx.batchIds.length > 0) {
           try {
             const batchRefs = tx.batchIds.map(batchId => db.collection(collections.stockBatches).doc(batchId));
             const batchDocs = await db.getAll(...batchRefs);
+            const exactQty = {};
+            (tx.batchAllocations || []).forEach(a => { exactQty[a.batchId] = (exactQty[a.batchId] || 0) + a.quantity; });
             batchDocs.forEach(batchDoc => {
               if (batchDoc.exists) {
                 const batchData = batchDoc.data();
+                const qty = exactQty[batchDoc.id] ?? restoreQty / tx.batchIds.length;
                 batch.update(batchDoc.ref, {
-                  remainingQty: (batchData.remainingQty || 0) + restoreQty / tx.batchIds.length,
-                  status: 'active',
+                  remainingQty: (batchData.remainingQty || 0) + qty,
+                  // A recalled batch stays quarantined; its stock does not come back on sale
+                  status: batchData.status === 'quarantined' ? 'quarantined' : 'active',
                   updatedAt: new Date()
                 });
               }
@@ -798,6 +659,7 @@ class InventoryService {
         await batch.commit();
         console.log(`✅ Inventory restored for Order ${orderId}: ${restorations.length} items`);
         try { require('../utils/kvCache').invalidateInventoryCache(restaurantId); } catch (_) {}
+        require('./stockAvailabilityService').refreshInBackground(restaurantId, 'order');
       }
 
       return restorations;
@@ -904,7 +766,7 @@ class InventoryService {
             );
           }
           if (inventoryItem) {
-            const restoreAmount = convertUnits(qtyToRestore, ingredient.unit, inventoryItem.unit);
+            const restoreAmount = convertForItem(qtyToRestore, ingredient.unit, inventoryItem).value;
             batch.update(inventoryItem.ref, {
               currentStock: FieldValue.increment(restoreAmount),
               updatedAt: new Date()
@@ -930,6 +792,7 @@ class InventoryService {
         await batch.commit();
         console.log(`✅ Inventory restored for edited Order ${orderId}: ${restorations.length} items`);
         try { require('../utils/kvCache').invalidateInventoryCache(restaurantId); } catch (_) {}
+        require('./stockAvailabilityService').refreshInBackground(restaurantId, 'order');
       }
 
       return restorations;
@@ -0,0 +1,215 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const invoiceMatch = require('../inventory/invoiceMatch');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Invoice Match Service
+ * Three-way match of a supplier invoice against its PO and GRNs
+ * (inventory/invoiceMatch.js), and the exception queue it feeds.
+ *
+ * A match writes the line comparison onto the invoice (`matchLines`,
+ * `discrepancies`), opens an `exception` and sets `paymentHold` when
+ * anything is off, and raises a debit note for quantities billed beyond
+ * what was accepted. Debit notes are supplier-returns documents
+ * (documentType: 'debit_note', stockAffected: false — the goods never
+ * entered stock), linked both ways with the invoice.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+async function loadSettings(restaurantId) {
+  const snap = await db.collection(collections.restaurants).doc(restaurantId).get();
+  return invoiceMatch.settingsFor(snap.exists ? snap.data() : {});
+}
+
+async function loadInvoice(restaurantId, invoiceId) {
+  const snap = await db.collection(collections.supplierInvoices).doc(invoiceId).get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw httpError(404, 'Invoice not found');
+  return { ref: snap.ref, data: snap.data() };
+}
+
+// The invoice's PO, and every GRN against that PO (or just its own GRN)
+async function loadDocuments(restaurantId, invoice) {
+  let po = null;
+  if (invoice.purchaseOrderId) {
+    const poSnap = await db.collection(collections.purchaseOrders).doc(invoice.purchaseOrderId).get();
+    if (poSnap.exists && poSnap.data().restaurantId === restaurantId) po = { id: poSnap.id, ...poSnap.data() };
+  }
+  let grns = [];
+  if (invoice.purchaseOrderId) {
+    const grnSnap = await db.collection(collections.goodsReceiptNotes)
+      .where('restaurantId', '==', restaurantId)
+      .where('purchaseOrderId', '==', invoice.purchaseOrderId)
+      .get();
+    grns = grnSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+  } else if (invoice.grnId) {
+    const grnSnap = await db.collection(collections.goodsReceiptNotes).doc(invoice.grnId).get();
+    if (grnSnap.exists && grnSnap.data().restaurantId === restaurantId) grns = [{ id: grnSnap.id, ...grnSnap.data() }];
+  }
+  return { po, grns };
+}
+
+async function nextDebitNoteNumber(restaurantId) {
+  const snap = await db.collection(collections.supplierReturns)
+    .where('restaurantId', '==', restaurantId)
+    .where('documentType', '==', 'debit_note')
+    .get();
+  return `DN-${new Date().getFullYear()}-${String(snap.size + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Create the invoice's debit note, or refresh it while still pending.
+ * Returns the invoice's `debitNote` link, or the existing one untouched once
+ * the supplier has acted on it.
+ */
+async function writeDebitNote(restaurantId, invoiceId, invoice, po, grns, debitNote, userId) {
+  const now = new Date();
+  const items = debitNote.items.map(i => ({ ...i, unit: '' }));
+  const existing = invoice.debitNote && invoice.debitNote.returnId
+    ? await db.collection(collections.supplierReturns).doc(invoice.debitNote.returnId).get()
+    : null;
+
+  if (existing && existing.exists) {
+    if (existing.data().status !== 'pending') return invoice.debitNote;
+    await existing.ref.update({ items, totalAmount: debitNote.totalAmount, updatedAt: now, updatedBy: userId });
+    return { ...invoice.debitNote, amount: debitNote.totalAmount, status: 'pending' };
+  }
+
+  const number = await nextDebitNoteNumber(restaurantId);
+  const ref = await db.collection(collections.supplierReturns).add({
+    restaurantId,
+    purchaseOrderId: invoice.purchaseOrderId || (po && po.id) || null,
+    supplierId: invoice.supplierId,
+    supplierInvoiceId: invoiceId,
+    grnIds: grns.map(g => g.id),
+    documentType: 'debit_note',
+    debitNoteNumber: number,
+    items,
+    returnType: items.every(i => i.reason === 'rejected') ? 'defective' : 'short_supply',
+    reason: `Billed beyond accepted quantity on invoice ${invoice.invoiceNumber || invoiceId}`,
+    notes: '',
+    status: 'pending',
+    totalAmount: debitNote.totalAmount,
+    stockAffected: false,
+    source: 'three-way-match',
+    createdAt: now,
+    updatedAt: now,
+    createdBy: userId,
+  });
+  return { returnId: ref.id, number, amount: debitNote.totalAmount, status: 'pending' };
+}
+
+/**
+ * Run the match and record the outcome on the invoice →
+ * { invoice, result }. A resolved exception stays resolved unless the
+ * outcome changes.
+ */
+async function matchInvoice(restaurantId, invoiceId, userId) {
+  const { ref, data: invoice } = await loadInvoice(restaurantId, invoiceId);
+  const [settings, { po, grns }] = await Promise.all([loadSettings(restaurantId), loadDocuments(restaurantId, invoice)]);
+  const result = invoiceMatch.matchInvoice({ invoice, po, grns, settings });
+  const now = new Date();
+
+  const update = {
+    matchStatus: result.status === 'matched' ? 'matched' : 'discrepancy',
+    discrepancies: result.exceptions,
+    matchLines: result.lines,
+    matchedAt: now,
+    matchedBy: userId,
+    updatedAt: now,
+  };
+  // Payment status is not a match status — leave paid / partly paid invoices' status alone
+  if (!['paid', 'partial'].includes(invoice.status)) update.status = update.matchStatus;
+
+  if (result.status === 'matched') {
+    update.paymentHold = false;
+    update.exception = invoice.exception ? { ...invoice.exception, status: 'resolved', resolution: 'matched', resolvedAt: now, resolvedBy: userId } : null;
+  } else {
+    const unchanged = invoice.exception && invoice.exception.status === 'resolved'
+      && JSON.stringify(invoice.discrepancies || []) === JSON.stringify(result.exceptions);
+    update.paymentHold = unchanged ? invoice.paymentHold === true : result.paymentHold;
+    update.exception = unchanged ? invoice.exception : {
+      status: 'open',
+      types: [...new Set(result.exceptions.map(e => e.type))],
+      openedAt: (invoice.exception && invoice.exception.status === 'open' && invoice.exception.openedAt) || now,
+    };
+  }
+
+  if (result.debitNote) {
+    update.debitNote = await writeDebitNote(restaurantId, invoiceId, invoice, po, grns, result.debitNote, userId);
+  }
+
+  await ref.update(update);
+  if (update.exception && update.exception.status === 'open') {
+    pushEvent(restaurantId, 'inventory', 'invoice-match-exception', {
+      invoiceId,
+      invoiceNumber: invoice.invoiceNumber,
+      types: update.exception.types,
+      paymentHold: update.paymentHold,
+      debitNoteAmount: update.debitNote ? update.debitNote.amount : 0,
+    });
+  }
+  return { invoice: { id: invoiceId, ...invoice, ...update }, result };
+}
+
+/** Invoices with an open exception, oldest first. */
+async function exceptionQueue(restaurantId) {
+  const snap = await db.collection(collections.supplierInvoices)
+    .where('restaurantId', '==', restaurantId)
+    .where('exception.status', '==', 'open')
+    .get();
+  const millis = (v) => toDate(v)?.getTime() || 0;
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => millis(a.exception.openedAt) - millis(b.exception.openedAt));
+}
+
+/**
+ * Close an exception after review. `releaseHold` (default true) lets the
+ * invoice be paid; the debit note, if any, stays with the supplier-return.
+ */
+async function resolveException(restaurantId, invoiceId, user, { notes = '', releaseHold = true } = {}) {
+  const { ref, data: invoice } = await loadInvoice(restaurantId, invoiceId);
+  if (!invoice.exception || invoice.exception.status !== 'open') throw httpError(400, 'This invoice has no open match exception');
+  const now = new Date();
+  const update = {
+    exception: {
+      ...invoice.exception,
+      status: 'resolved',
+      resolution: 'reviewed',
+      notes: String(notes || '').trim(),
+      resolvedAt: now,
+      resolvedBy: user.userId,
+    },
+    updatedAt: now,
+    updatedBy: user.userId,
+  };
+  if (releaseHold !== false) update.paymentHold = false;
+  await ref.update(update);
+  pushEvent(restaurantId, 'inventory', 'invoice-match-resolved', { invoiceId, paymentHold: update.paymentHold ?? invoice.paymentHold === true });
+  return { id: invoiceId, ...invoice, ...update };
+}
+
+async function agedUnmatched(restaurantId, now = new Date()) {
+  const snap = await db.collection(collections.supplierInvoices).where('restaurantId', '==', restaurantId).get();
+  return invoiceMatch.agedUnmatched(snap.docs.map(d => ({ id: d.id, ...d.data() })), now);
+}
+
+/** Keep the invoice's debit-note link in step with its supplier-return. */
+async function syncDebitNoteStatus(returnData, status) {
+  if (returnData.documentType !== 'debit_note' || !returnData.supplierInvoiceId) return;
+  const ref = db.collection(collections.supplierInvoices).doc(returnData.supplierInvoiceId);
+  const snap = await ref.get();
+  if (!snap.exists || !snap.data().debitNote) return;
+  await ref.update({ 'debitNote.status': status, updatedAt: new Date() });
+}
+
+module.exports = {
+  loadSettings,
+  matchInvoice,
+  exceptionQueue,
+  resolveException,
+  agedUnmatched,
+  syncDebitNoteStatus,
+};
@@ -0,0 +1,161 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const { splitOrderByPrintStation } = require('../utils/printStations');
+const kds = require('../kds/tickets');
+const courseFiring = require('../kds/courses');
+
+/**
+ * KDS Service
+ * Keeps each station's `kdsTickets` in step with the orders that feed them and
+ * pushes every change to the screens over Firebase RTDB
+ * (events/{restaurantId}/kds — 'kds-ticket-created' / 'kds-ticket-updated').
+ *
+ * syncOrder() is idempotent: it tickets only quantities not already on a
+ * ticket, and ticket ids are `${orderId}_${stationId}_${round}` created with
+ * create(), so two concurrent syncs of the same order can't both fire a round.
+ * Ticket model and screen views: kds/tickets.js.
+ */
+
+// Orders whose tickets still matter on a kitchen screen
+const KITCHEN_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed'];
+const VOIDING_STATUSES = ['cancelled', 'deleted'];
+// Tickets older than this are left off the screens
+const SCREEN_WINDOW_HOURS = 24;
+
+const ticketsCol = () => db.collection(collections.kdsTickets);
+
+function withDefaultPrintSettings(restaurantData) {
+  // Mirrors DEFAULT_PRINT_SETTINGS in index.js for the keys routing reads
+  return { kotExclusionEnabled: false, kotExcludedCategories: [], kotExcludedItemIds: [], ...(restaurantData.printSettings || {}) };
+}
+
+async function orderTickets(orderId) {
+  const snap = await ticketsCol().where('orderId', '==', orderId).get();
+  return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+function pushTicket(eventType, ticket) {
+  return pushEvent(ticket.restaurantId, 'kds', eventType, {
+    ticketId: ticket.id,
+    orderId: ticket.orderId,
+    stationId: ticket.stationId,
+    status: ticket.status,
+    round: ticket.round,
+  });
+}
+
+/**
+ * Bring the order's tickets in line with its items: fire new tickets for
+ * added quantities, void removed ones, void everything when the order is
+ * cancelled. Returns { created, updated } ticket ids. Pass `orderData` for an
+ * order whose doc is already gone (hard delete) — its last state.
+ */
+async function syncOrder(orderId, restaurantData = null, orderData = null) {
+  let order = orderData && { id: orderId, ...orderData };
+  if (!order) {
+    const orderSnap = await db.collection(collections.orders).doc(orderId).get();
+    if (!orderSnap.exists) return { created: [], updated: [] };
+    order = { id: orderSnap.id, ...orderSnap.data() };
+  }
+  if (!restaurantData) {
+    const rSnap = await db.collection(collections.restaurants).doc(order.restaurantId).get();
+    restaurantData = rSnap.exists ? rSnap.data() : {};
+  }
+
+  const existing = await orderTickets(orderId);
+  const now = new Date();
+  let plan;
+  if (VOIDING_STATUSES.includes(order.status)) {
+    plan = kds.planTickets(order, [], existing, now);
+  } else if (KITCHEN_STATUSES.includes(order.status)) {
+    const groups = splitOrderByPrintStation(courseFiring.firableItems(order.items, order), restaurantData.printStations, restaurantData.categories, withDefaultPrintSettings(restaurantData));
+    plan = kds.planTickets(order, groups, existing, now);
+  } else {
+    return { created: [], updated: [] };
+  }
+  if (plan.create.length === 0 && plan.update.length === 0) return { created: [], updated: [] };
+
+  const batch = db.batch();
+  plan.create.forEach(({ id, ...ticket }) => batch.create(ticketsCol().doc(id), { ...ticket, createdAt: now, updatedAt: now }));
+  plan.update.forEach(({ id, ...ticket }) => batch.set(ticketsCol().doc(id), { ...ticket, updatedAt: now }));
+  try {
+    await batch.commit();
+  } catch (err) {
+    // ALREADY_EXISTS — another sync fired this round first
+    if (err.code === 6 || /already exists/i.test(err.message || '')) return { created: [], updated: [] };
+    throw err;
+  }
+
+  await Promise.all([
+    ...plan.create.map(t => pushTicket('kds-ticket-created', t)),
+    ...plan.update.map(t => pushTicket('kds-ticket-updated', t)),
+  ]);
+  return { created: plan.create.map(t => t.id), updated: plan.update.map(t => t.id) };
+}
+
+/** Fire-and-forget wrapper for the order hooks in index.js. Never rejects. */
+function syncInBackground(orderId, restaurantData = null, orderData = null) {
+  return syncOrder(orderId, restaurantData, orderData)
+    .catch(err => console.error(`[kds] ticket sync for ${orderId} failed (non-blocking):`, err.message));
+}
+
+/** Tickets fired for the restaurant within the screen window (all stations). */
+async function recentTickets(restaurantId, now = new Date()) {
+  const since = new Date(now.getTime() - SCREEN_WINDOW_HOURS * 3600000);
+  const snap = await ticketsCol()
+    .where('restaurantId', '==', restaurantId)
+    .where('firedAt', '>=', since)
+    .get();
+  return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Apply a screen action (start / ready / bump / recall) to one ticket.
+ * Throws with `status` for a missing ticket or an impossible move.
+ */
+async function applyTicketAction(restaurantId, ticketId, action, { lineIds, userId } = {}) {
+  const ref = ticketsCol().doc(ticketId);
+  const updated = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().restaurantId !== restaurantId) {
+      const err = new Error('Ticket not found');
+      err.status = 404;
+      throw err;
+    }
+    const next = kds.applyAction({ id: snap.id, ...snap.data() }, action, { lineIds, userId, now: new Date() });
+    const { id, ...data } = next;
+    tx.set(ref, data);
+    return next;
+  });
+  await pushTicket('kds-ticket-updated', updated);
+  if (['ready', 'bump'].includes(action)) {
+    recordCourseReady(updated.orderId)
+      .catch(err => console.error(`[kds] course timing for ${updated.orderId} failed (non-blocking):`, err.message));
+  }
+  return updated;
+}
+
+/**
+ * Stamp `courses.{n}.readyAt` on a coursed order once every kitchen item of
+ * that course is ready — the fire → ready leg of course timing analytics.
+ */
+async function recordCourseReady(orderId) {
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  const orderSnap = await orderRef.get();
+  if (!orderSnap.exists || !orderSnap.data().courses) return;
+  const courses = orderSnap.data().courses;
+  const ready = courseFiring.readyCourses(await orderTickets(orderId));
+  const update = {};
+  Object.entries(ready).forEach(([n, readyAt]) => {
+    if (courses[n] && courses[n].status === 'fired' && !courses[n].readyAt) update[`courses.${n}.readyAt`] = readyAt;
+  });
+  if (Object.keys(update).length > 0) await orderRef.update(update);
+}
+
+module.exports = {
+  syncOrder,
+  syncInBackground,
+  recentTickets,
+  applyTicketAction,
+  recordCourseReady,
+};
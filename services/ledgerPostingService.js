@@ -0,0 +1,387 @@
+const { db, collections } = require('../firebase');
+const { DEFAULT_ACCOUNTS } = require('../ledger/accounts');
+const rules = require('../ledger/postingRules');
+const { findClosedPeriod, adjustmentLines } = require('../ledger/periodLock');
+
+/**
+ * Ledger Posting Service
+ * Keeps journalEntries in step with the operational documents that drive them.
+ *
+ * Every automatic entry has a deterministic document id
+ * (`${restaurantId}_${postingKey}`), so syncing a source any number of times
+ * converges on the same ledger — that is what makes re-posting a date range safe.
+ *
+ * Posting keys:
+ *   order_<id>            sale
+ *   order_<id>_refund     partial refund
+ *   order_<id>_rev        reversal of the sale (full refund / cancel or delete after billing)
+ *   grn_<id>, supplier_invoice_<id>, expense_<id>, payroll_<runId>
+ *   deposit_<id>          deposit received (held in Customer Deposits)
+ *   deposit_<id>_refund, deposit_<id>_forfeit, deposit_<id>_applied
+ *   <key>_adj_<YYYY-MM>   change to a posting whose period is closed
+ */
+
+// Restaurants whose chart of accounts has been checked for missing system accounts
+const seededRestaurants = new Set();
+
+function entryDocId(restaurantId, postingKey) {
+  return `${restaurantId}_${postingKey}`;
+}
+
+/**
+ * Make sure every default account exists for the restaurant. Restaurants seeded
+ * before an account was added to DEFAULT_ACCOUNTS get it backfilled here.
+ * Returns { code → name } for the restaurant's chart.
+ */
+async function ensureAccounts(restaurantId) {
+  const snap = await db.collection(collections.chartOfAccounts)
+    .where('restaurantId', '==', restaurantId)
+    .get();
+
+  const names = {};
+  snap.docs.forEach(doc => { names[doc.data().code] = doc.data().name; });
+
+  if (!seededRestaurants.has(restaurantId)) {
+    const missing = DEFAULT_ACCOUNTS.filter(acc => !names[acc.code]);
+    if (missing.length > 0) {
+      const batch = db.batch();
+      missing.forEach(acc => {
+        batch.set(db.collection(collections.chartOfAccounts).doc(), {
+          ...acc,
+          restaurantId,
+          isSystem: true,
+          balance: 0,
+          createdAt: new Date(),
+        });
+        names[acc.code] = acc.name;
+      });
+      await batch.commit();
+    }
+    seededRestaurants.add(restaurantId);
+  }
+
+  return names;
+}
+
+async function getClosedPeriods(restaurantId) {
+  const snap = await db.collection(collections.accountingPeriods)
+    .where('restaurantId', '==', restaurantId)
+    .where('status', '==', 'closed')
+    .get();
+  return snap.docs.map(d => d.data());
+}
+
+/**
+ * The closed accounting period containing `date` for this restaurant, or null.
+ */
+async function getLockingPeriod(restaurantId, date) {
+  return findClosedPeriod(date, await getClosedPeriods(restaurantId));
+}
+
+async function writeEntry(ref, restaurantId, postingKey, built, reference, accountNames, extra = {}) {
+  const existing = await ref.get();
+  const { totalDebit, totalCredit } = rules.sumLines(built.lines);
+  await ref.set({
+    restaurantId,
+    date: built.date,
+    description: built.description,
+    lines: built.lines.map(l => ({ ...l, accountName: accountNames[l.accountCode] || '' })),
+    totalDebit,
+    totalCredit,
+    amount: totalDebit,
+    reference,
+    source: 'auto',
+    postingKey,
+    postingFamily: postingKey,
+    isAdjustment: false,
+    ...extra,
+    createdAt: existing.exists ? existing.data().createdAt : new Date(),
+    updatedAt: new Date(),
+  });
+  return ref.id;
+}
+
+/**
+ * Bring the entries of one posting key in line with `built` (null = the
+ * source no longer posts anything).
+ *
+ * Entries dated inside a closed period are never touched. When the main entry
+ * is locked, the difference between what the source now says and what is
+ * locked is posted as an adjusting entry dated today, in the open period.
+ */
+async function reconcile(restaurantId, postingKey, built, reference, accountNames, closedPeriods) {
+  if (built && !rules.isBalanced(built.lines)) {
+    const { difference } = rules.sumLines(built.lines);
+    throw new Error(`Unbalanced posting ${postingKey} (difference ${difference})`);
+  }
+
+  const entries = db.collection(collections.journalEntries);
+  const mainRef = entries.doc(entryDocId(restaurantId, postingKey));
+  const [mainDoc, familySnap] = await Promise.all([
+    mainRef.get(),
+    entries.where('restaurantId', '==', restaurantId).where('postingFamily', '==', postingKey).get(),
+  ]);
+
+  const family = new Map();
+  familySnap.docs.forEach(d => family.set(d.id, d.data()));
+  if (mainDoc.exists) family.set(mainDoc.id, mainDoc.data());
+
+  const locked = [], unlocked = [];
+  for (const [id, data] of family) {
+    (findClosedPeriod(data.date, closedPeriods) ? locked : unlocked).push({ id, ...data });
+  }
+
+  const mainLocked = mainDoc.exists
+    ? locked.some(e => e.id === mainRef.id)
+    : !!(built && findClosedPeriod(built.date, closedPeriods));
+  const lines = adjustmentLines(built ? built.lines : [], locked);
+  const posted = [], removed = [];
+
+  // Stale open-period entries are rebuilt below
+  for (const e of unlocked) {
+    if (!mainLocked && e.id === mainRef.id) continue;
+    await entries.doc(e.id).delete();
+    removed.push(e.postingKey || e.id);
+  }
+
+  if (!mainLocked) {
+    if (lines.length > 0) {
+      posted.push(await writeEntry(mainRef, restaurantId, postingKey, {
+        date: built ? built.date : new Date(),
+        description: built ? built.description : `Withdrawn posting ${postingKey}`,
+        lines,
+      }, reference, accountNames));
+    } else if (mainDoc.exists) {
+      await mainRef.delete();
+      removed.push(postingKey);
+    }
+    return { posted, removed };
+  }
+
+  if (lines.length > 0) {
+    const now = new Date();
+    if (findClosedPeriod(now, closedPeriods)) {
+      throw new Error(`No open accounting period to post the adjustment for ${postingKey}`);
+    }
+    const adjKey = `${postingKey}_adj_${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    posted.push(await writeEntry(entries.doc(entryDocId(restaurantId, adjKey)), restaurantId, adjKey, {
+      date: now,
+      description: `Adjustment: ${built ? built.description : `withdrawn posting ${postingKey}`}`,
+      lines,
+    }, reference, accountNames, { postingFamily: postingKey, isAdjustment: true }));
+  }
+  return { posted, removed };
+}
+
+async function entryExists(restaurantId, postingKey) {
+  const doc = await db.collection(collections.journalEntries).doc(entryDocId(restaurantId, postingKey)).get();
+  return doc.exists;
+}
+
+// ── Sources ───────────────────────────────────────────────────────
+
+/**
+ * Sync the sale, refund and reversal entries of one order with its current state.
+ */
+async function syncOrder(orderId, orderData = null) {
+  let order = orderData;
+  if (!order) {
+    const doc = await db.collection(collections.orders).doc(orderId).get();
+    if (!doc.exists) return { posted: [], removed: [] };
+    order = doc.data();
+  }
+  const { restaurantId } = order;
+  const [names, closedPeriods] = await Promise.all([ensureAccounts(restaurantId), getClosedPeriods(restaurantId)]);
+  const result = { posted: [], removed: [] };
+  const apply = async (key, built, reference) => {
+    const r = await reconcile(restaurantId, key, built, reference, names, closedPeriods);
+    result.posted.push(...r.posted);
+    result.removed.push(...r.removed);
+  };
+
+  const saleKey = `order_${orderId}`;
+  // A cancelled/deleted order only carries a sale entry if it was billed before
+  const salePosted = rules.ORDER_REVERSAL_STATUSES.includes(order.status) && await entryExists(restaurantId, saleKey);
+  const { sale, refund, reversal } = rules.buildOrderEntries(order, { salePosted });
+
+  await apply(saleKey, sale, { type: 'order', refId: orderId });
+  await apply(`order_${orderId}_refund`, refund, { type: 'order_refund', refId: orderId });
+  await apply(`order_${orderId}_rev`, reversal, { type: 'order_reversal', refId: orderId });
+
+  return result;
+}
+
+/**
+ * Generic single-entry source (GRN, supplier invoice, supplier payment, expense).
+ */
+async function syncSimple(type, collectionName, buildFn, sourceId, sourceData = null) {
+  let data = sourceData;
+  if (!data) {
+    const doc = await db.collection(collectionName).doc(sourceId).get();
+    if (!doc.exists) return { posted: [], removed: [] };
+    data = doc.data();
+  }
+  const { restaurantId } = data;
+  const [names, closedPeriods] = await Promise.all([ensureAccounts(restaurantId), getClosedPeriods(restaurantId)]);
+  return reconcile(restaurantId, `${type}_${sourceId}`, buildFn(data), { type, refId: sourceId }, names, closedPeriods);
+}
+
+function syncGrn(grnId, grnData = null) {
+  return syncSimple('grn', collections.goodsReceiptNotes, rules.buildGrnEntry, grnId, grnData);
+}
+
+function syncSupplierInvoice(invoiceId, invoiceData = null) {
+  return syncSimple('supplier_invoice', collections.supplierInvoices, rules.buildSupplierInvoiceEntry, invoiceId, invoiceData);
+}
+
+function syncSupplierPayment(paymentId, paymentData = null) {
+  return syncSimple('supplier_payment', collections.supplierPayments, rules.buildSupplierPaymentEntry, paymentId, paymentData);
+}
+
+function syncExpense(expenseId, expenseData = null) {
+  return syncSimple('expense', collections.expenses, rules.buildExpenseEntry, expenseId, expenseData);
+}
+
+/**
+ * Sync the receipt, refund, forfeit and (venue booking) applied entries of
+ * one deposit with its current state.
+ */
+async function syncDeposit(depositId, depositData = null) {
+  let deposit = depositData;
+  if (!deposit) {
+    const doc = await db.collection(collections.deposits).doc(depositId).get();
+    if (!doc.exists) return { posted: [], removed: [] };
+    deposit = doc.data();
+  }
+  const { restaurantId } = deposit;
+  const [names, closedPeriods] = await Promise.all([ensureAccounts(restaurantId), getClosedPeriods(restaurantId)]);
+  const result = { posted: [], removed: [] };
+  const parts = [
+    ['', 'deposit', rules.buildDepositEntry],
+    ['_refund', 'deposit_refund', rules.buildDepositRefundEntry],
+    ['_forfeit', 'deposit_forfeit', rules.buildDepositForfeitEntry],
+    ['_applied', 'deposit_applied', rules.buildDepositAppliedEntry],
+  ];
+  for (const [suffix, type, build] of parts) {
+    const r = await reconcile(restaurantId, `deposit_${depositId}${suffix}`, build(deposit), { type, refId: depositId }, names, closedPeriods);
+    result.posted.push(...r.posted);
+    result.removed.push(...r.removed);
+  }
+  return result;
+}
+
+/**
+ * Withdraw the entry of a source document that no longer exists (e.g. a
+ * deleted expense). Locked entries are offset by an adjustment instead.
+ */
+async function removeSourceEntry(restaurantId, type, sourceId) {
+  const [names, closedPeriods] = await Promise.all([ensureAccounts(restaurantId), getClosedPeriods(restaurantId)]);
+  return reconcile(restaurantId, `${type}_${sourceId}`, null, { type, refId: sourceId }, names, closedPeriods);
+}
+
+async function syncPayrollRun(runId) {
+  const runDoc = await db.collection(collections.payrollRuns).doc(runId).get();
+  if (!runDoc.exists) return { posted: [], removed: [] };
+  const run = runDoc.data();
+
+  let built = null;
+  if (run.status === 'paid') {
+    const slipSnap = await db.collection(collections.paySlips).where('runId', '==', runId).get();
+    built = rules.buildPayrollEntry(run, slipSnap.docs.map(d => d.data()));
+  }
+  const [names, closedPeriods] = await Promise.all([ensureAccounts(run.restaurantId), getClosedPeriods(run.restaurantId)]);
+  return reconcile(run.restaurantId, `payroll_${runId}`, built, { type: 'payroll', refId: runId }, names, closedPeriods);
+}
+
+// ── Bulk re-post ──────────────────────────────────────────────────
+
+const REPOST_SOURCES = ['order', 'grn', 'supplier_invoice', 'supplier_payment', 'expense', 'payroll', 'deposit'];
+
+/**
+ * Re-sync every source document in a date range. Idempotent: running it twice
+ * produces the same entries.
+ */
+async function repostRange(restaurantId, start, end, sources = REPOST_SOURCES) {
+  const summary = { posted: 0, removed: 0, failed: [] };
+  const tally = (result) => {
+    summary.posted += result.posted.length;
+    summary.removed += result.removed.length;
+  };
+  const run = async (type, id, fn) => {
+    try {
+      tally(await fn());
+    } catch (err) {
+      console.error(`Ledger repost ${type} ${id} error:`, err.message);
+      summary.failed.push({ type, id, error: err.message });
+    }
+  };
+
+  const ranged = (collectionName, field) => db.collection(collectionName)
+    .where('restaurantId', '==', restaurantId)
+    .where(field, '>=', start)
+    .where(field, '<=', end)
+    .get();
+
+  if (sources.includes('order')) {
+    const snap = await ranged(collections.orders, 'createdAt');
+    for (const doc of snap.docs) await run('order', doc.id, () => syncOrder(doc.id, doc.data()));
+  }
+  if (sources.includes('grn')) {
+    const snap = await ranged(collections.goodsReceiptNotes, 'receivedAt');
+    for (const doc of snap.docs) await run('grn', doc.id, () => syncGrn(doc.id, doc.data()));
+  }
+  if (sources.includes('supplier_invoice')) {
+    const snap = await ranged(collections.supplierInvoices, 'invoiceDate');
+    for (const doc of snap.docs) await run('supplier_invoice', doc.id, () => syncSupplierInvoice(doc.id, doc.data()));
+  }
+  if (sources.includes('supplier_payment')) {
+    const snap = await ranged(collections.supplierPayments, 'paymentDate');
+    for (const doc of snap.docs) await run('supplier_payment', doc.id, () => syncSupplierPayment(doc.id, doc.data()));
+  }
+  if (sources.includes('expense')) {
+    const snap = await ranged(collections.expenses, 'date');
+    for (const doc of snap.docs) await run('expense', doc.id, () => syncExpense(doc.id, doc.data()));
+  }
+  if (sources.includes('payroll')) {
+    const month = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    const snap = await db.collection(collections.payrollRuns)
+      .where('restaurantId', '==', restaurantId)
+      .where('month', '>=', month(start))
+      .where('month', '<=', month(end))
+      .get();
+    for (const doc of snap.docs) await run('payroll', doc.id, () => syncPayrollRun(doc.id));
+  }
+  if (sources.includes('deposit')) {
+    const snap = await ranged(collections.deposits, 'createdAt');
+    for (const doc of snap.docs) await run('deposit', doc.id, () => syncDeposit(doc.id, doc.data()));
+  }
+
+  return summary;
+}
+
+/**
+ * Fire-and-forget wrapper for request handlers: posting must never fail the
+ * operation that triggered it — a missed posting is recovered by re-posting.
+ */
+function postInBackground(label, promiseFn) {
+  return Promise.resolve()
+    .then(promiseFn)
+    .catch(err => console.error(`Ledger posting error (${label}, non-blocking):`, err.message));
+}
+
+module.exports = {
+  REPOST_SOURCES,
+  ensureAccounts,
+  getClosedPeriods,
+  getLockingPeriod,
+  syncOrder,
+  syncGrn,
+  syncSupplierInvoice,
+  syncSupplierPayment,
+  syncExpense,
+  syncPayrollRun,
+  syncDeposit,
+  removeSourceEntry,
+  repostRange,
+  postInBackground,
+};
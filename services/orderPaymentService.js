@@ -0,0 +1,73 @@
+const { db, collections } = require('../firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const { invalidateOrdersCache } = require('../utils/kvCache');
+const { applyPartialPayment } = require('../billing/billingCalc');
+
+/**
+ * Order Payment Service
+ * Partial payments against an order's bill. The till's "record partial
+ * payment" (POST /api/orders/:orderId/partial-payment) and guests paying
+ * from the table QR (services/payAtTableService.js) both record through
+ * recordPartialPayment, so paidAmount / outstandingAmount / paymentStatus
+ * move the same way whoever takes the money.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Add a payment to an order → { order, fields } (order as it was before, the
+ * fields written) or null when `claim` declined it.
+ *
+ * Runs in a transaction so two payments landing together can't overwrite
+ * each other's paidAmount. `claim(t)` runs inside it before the write (read,
+ * then write your own docs) — return false when the payment was already
+ * recorded. `entry` is extra detail for the order's `partialPayments` log.
+ * A customer left owing a balance has it added to their credit.
+ */
+async function recordPartialPayment(orderId, { paidAmount, paymentMethod, customerId, tip = 0, entry = {}, claim = null }) {
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  const result = await db.runTransaction(async (t) => {
+    const orderDoc = await t.get(orderRef);
+    if (!orderDoc.exists) throw httpError(404, 'Order not found');
+    if (claim && (await claim(t)) === false) return null;
+
+    const order = orderDoc.data();
+    const fields = applyPartialPayment(order, paidAmount, tip);
+    const method = paymentMethod || order.paymentMethod || 'cash';
+    t.update(orderRef, {
+      ...fields,
+      paymentMethod: method,
+      partialPayments: FieldValue.arrayUnion({
+        amount: Number(paidAmount),
+        tip: Number(tip) || 0,
+        method,
+        date: new Date().toISOString(),
+        ...entry,
+      }),
+    });
+    return { order, fields };
+  });
+  if (!result) return null;
+
+  const { order, fields } = result;
+  if (customerId && fields.outstandingAmount > 0) {
+    await db.collection(collections.customers).doc(customerId).update({
+      outstandingBalance: FieldValue.increment(fields.outstandingAmount),
+      creditHistory: FieldValue.arrayUnion({
+        orderId,
+        orderNumber: order.orderNumber || orderId,
+        date: new Date().toISOString(),
+        totalAmount: fields.finalAmount || order.finalAmount || order.totalAmount || 0,
+        paidAmount: fields.paidAmount,
+        outstandingAmount: fields.outstandingAmount
+      })
+    });
+  }
+
+  invalidateOrdersCache(order.restaurantId); // payment changed → refresh order lists now
+  return result;
+}
+
+module.exports = {
+  recordPartialPayment,
+};
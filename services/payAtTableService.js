@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const { recordPartialPayment } = require('./orderPaymentService');
+const depositService = require('./depositService');
+const { getCachedRestDoc } = require('../utils/kvCache');
+const payAtTable = require('../billing/payAtTable');
+const { round2 } = require('../billing/billingCalc');
+const { toMinorUnits } = require('../billing/deposits');
+const razorpay = require('../razorpayOAuth');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Pay-at-Table Service
+ * Each table gets a QR link (a random token → restaurant, floor, table).
+ * Scanning it shows the table's open order; a guest picks a share
+ * (billing/payAtTable.js), adds a tip and pays on the restaurant's own
+ * Razorpay account through Checkout. A verified payment is recorded as a
+ * partial payment on the POS order (services/orderPaymentService.js), the
+ * floor view hears about it in realtime, and the bill closes itself once
+ * nothing is outstanding — through the `completeOrder` callback index.js
+ * passes in, so guest-paid bills get the till's completion side effects.
+ * A reservation deposit held for the table comes off what guests pay and
+ * is applied to the bill (any excess refunded) when it closes.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const LINKS = collections.tablePayLinks || 'table_pay_links';
+const PAYMENTS = collections.tablePayments || 'table_payments';
+
+const payPageUrl = (token) => `${process.env.FRONTEND_URL || 'https://www.dineopen.com'}/pay/${token}`;
+
+const currencyOf = (restaurant) => (restaurant.currencySettings && restaurant.currencySettings.currencyCode) || 'INR';
+const restaurantNameOf = (r) => r.name || r.restaurantName || 'the restaurant';
+
+async function loadRestaurant(restaurantId) {
+  const doc = await getCachedRestDoc(db, collections.restaurants, restaurantId);
+  if (!doc.exists) throw httpError(404, 'Restaurant not found');
+  return doc.data();
+}
+
+async function findTable(restaurantId, tableId) {
+  const floorsSnap = await db.collection(collections.restaurants).doc(restaurantId).collection('floors').get();
+  const snaps = await Promise.all(floorsSnap.docs.map(f => f.ref.collection('tables').doc(tableId).get()));
+  const i = snaps.findIndex(s => s.exists);
+  return i === -1 ? null : { ref: snaps[i].ref, floorId: floorsSnap.docs[i].id, data: snaps[i].data() };
+}
+
+// ── Table QR links (staff) ────────────────────────────────────────
+
+/**
+ * The table's pay-at-table link → { token, url, tableId, tableName }.
+ * Reuses the table's token unless `rotate` is set (a printed QR that
+ * leaked, say) — the old token then stops working.
+ */
+async function tableLink(restaurantId, tableId, { rotate = false } = {}, user = {}) {
+  const table = await findTable(restaurantId, tableId);
+  if (!table) throw httpError(404, 'Table not found');
+  const old = table.data.payToken;
+  if (old && !rotate) return { token: old, url: payPageUrl(old), tableId, tableName: table.data.name || null };
+
+  const token = crypto.randomBytes(16).toString('hex');
+  const batch = db.batch();
+  batch.set(db.collection(LINKS).doc(token), {
+    restaurantId,
+    floorId: table.floorId,
+    tableId,
+    tableName: table.data.name || null,
+    createdBy: user.userId || null,
+    createdAt: new Date(),
+  });
+  batch.update(table.ref, { payToken: token, updatedAt: new Date() });
+  if (old) batch.delete(db.collection(LINKS).doc(old));
+  await batch.commit();
+  return { token, url: payPageUrl(token), tableId, tableName: table.data.name || null };
+}
+
+// ── Guest side ────────────────────────────────────────────────────
+
+/** The reservation deposit that will settle part of this order when it closes (0 if none). */
+async function heldDeposit(restaurantId, orderId) {
+  try {
+    const { applied, alreadyApplied } = await depositService.forOrder(restaurantId, orderId);
+    // An applied deposit is already in the order's paidAmount
+    return alreadyApplied ? 0 : applied || 0;
+  } catch (err) {
+    console.error(`Pay-at-table deposit lookup error for order ${orderId}:`, err.message);
+    return 0;
+  }
+}
+
+/** token → { link, restaurant, orderId, order } (order null when the table has no open bill). */
+async function resolve(token) {
+  const linkDoc = await db.collection(LINKS).doc(String(token)).get();
+  if (!linkDoc.exists) throw httpError(404, 'This QR code is no longer valid');
+  const link = linkDoc.data();
+  const restaurant = await loadRestaurant(link.restaurantId);
+
+  const tableDoc = await db.collection(collections.restaurants).doc(link.restaurantId)
+    .collection('floors').doc(link.floorId).collection('tables').doc(link.tableId).get();
+  const orderId = tableDoc.exists ? tableDoc.data().currentOrderId : null;
+  if (!orderId) return { link, restaurant, orderId: null, order: null };
+
+  const orderDoc = await db.collection(collections.orders).doc(orderId).get();
+  const order = orderDoc.exists ? orderDoc.data() : null;
+  if (!order || order.restaurantId !== link.restaurantId || payAtTable.NO_BILL_STATUSES.includes(order.status)) {
+    return { link, restaurant, orderId: null, order: null };
+  }
+  return { link, restaurant, orderId, order };
+}
+
+/** What the guest's phone shows: the restaurant, the table and its open bill. */
+async function publicBill(token) {
+  const { link, restaurant, orderId, order } = await resolve(token);
+  const deposit = order ? await heldDeposit(link.restaurantId, orderId) : 0;
+  return {
+    success: true,
+    restaurant: { name: restaurantNameOf(restaurant), logo: restaurant.logo || null, currency: currencyOf(restaurant) },
+    table: link.tableName,
+    open: !!order,
+    bill: order ? {
+      orderNumber: order.dailyOrderId || order.orderNumber || null,
+      subtotal: order.subtotal || order.totalAmount || 0,
+      taxAmount: order.taxAmount || 0,
+      serviceChargeAmount: order.serviceChargeAmount || 0,
+      totalDiscountAmount: order.totalDiscountAmount || order.discountAmount || 0,
+      ...payAtTable.billView(order, { deposit }),
+    } : null,
+    splitModes: payAtTable.SPLIT_MODES,
+    tipPercents: payAtTable.TIP_PERCENTS,
+  };
+}
+
+/**
+ * Start a guest's payment. body { mode, guests?, itemKeys?, tipPercent?,
+ * tipAmount?, guestName? } → the amounts plus what Razorpay Checkout needs.
+ * The guest pays the share they were shown: two guests paying the whole
+ * bill at the same moment leave it overpaid, never short.
+ */
+async function startPayment(token, body = {}) {
+  const { link, restaurant, orderId, order } = await resolve(token);
+  if (!order) throw httpError(404, 'There is no open bill on this table');
+
+  const deposit = await heldDeposit(link.restaurantId, orderId);
+  const share = payAtTable.shareFor(order, body, { deposit });
+  if (share.error) throw httpError(400, share.error);
+  const tip = payAtTable.tipFor(share.amount, body);
+  const total = round2(share.amount + tip);
+  const currency = currencyOf(restaurant);
+
+  const ref = db.collection(PAYMENTS).doc();
+  const gatewayOrder = await razorpay.createOrder(db, link.restaurantId, {
+    amount: toMinorUnits(total),
+    currency,
+    receipt: `pat_${ref.id}`.slice(0, 40),
+    notes: { kind: 'pay-at-table', paymentId: ref.id, restaurantId: link.restaurantId, orderId },
+  });
+
+  const payment = {
+    restaurantId: link.restaurantId,
+    orderId,
+    tableId: link.tableId,
+    tableName: link.tableName,
+    token: String(token),
+    mode: body.mode || 'full',
+    guests: body.mode === 'equal' ? Number(body.guests) : null,
+    itemKeys: share.itemKeys,
+    amount: share.amount,
+    tip,
+    total,
+    currency,
+    guestName: body.guestName ? String(body.guestName).slice(0, 60) : null,
+    gateway: 'razorpay',
+    gatewayOrderId: gatewayOrder.id,
+    status: 'pending',
+    createdAt: new Date(),
+  };
+  await ref.set(payment);
+
+  return {
+    success: true,
+    paymentId: ref.id,
+    amount: share.amount,
+    tip,
+    total,
+    currency,
+    checkout: {
+      keyId: gatewayOrder.keyId,
+      orderId: gatewayOrder.id,
+      amount: gatewayOrder.amount,
+      currency: gatewayOrder.currency,
+      name: restaurantNameOf(restaurant),
+      description: `Table ${link.tableName || ''} bill`.trim(),
+    },
+  };
+}
+
+/**
+ * Confirm a guest's payment after Checkout. body { razorpayPaymentId,
+ * razorpaySignature } verifies it on the spot; without them (the guest
+ * closed Checkout early, a page reload) the gateway is asked whether the
+ * order was paid. Records it once, pushes it to the floor view and closes
+ * the bill when nothing is left → { status, outstanding }.
+ */
+async function confirmPayment(paymentId, body = {}, { completeOrder } = {}) {
+  const ref = db.collection(PAYMENTS).doc(String(paymentId));
+  const doc = await ref.get();
+  if (!doc.exists) throw httpError(404, 'Payment not found');
+  const p = doc.data();
+  if (p.status === 'paid') return { success: true, status: 'paid', outstanding: null };
+
+  let gatewayPaymentId = null;
+  if (body.razorpayPaymentId && body.razorpaySignature) {
+    const check = await razorpay.verifyRazorpaySignature(db, p.restaurantId, {
+      razorpayOrderId: p.gatewayOrderId,
+      razorpayPaymentId: body.razorpayPaymentId,
+      razorpaySignature: body.razorpaySignature,
+    });
+    if (!check.verified) throw httpError(400, check.error || 'Payment verification failed');
+    gatewayPaymentId = body.razorpayPaymentId;
+  } else {
+    const { items = [] } = await razorpay.fetchOrderPayments(db, p.restaurantId, p.gatewayOrderId);
+    // Only captured money counts — an authorization can still lapse or be voided
+    const captured = items.find(i => i.status === 'captured');
+    if (!captured) return { success: true, status: 'pending', outstanding: null };
+    gatewayPaymentId = captured.id;
+  }
+
+  const paidAt = new Date();
+  const result = await recordPartialPayment(p.orderId, {
+    paidAmount: p.amount,
+    tip: p.tip,
+    paymentMethod: 'razorpay',
+    entry: {
+      source: 'pay-at-table',
+      tablePaymentId: ref.id,
+      gatewayPaymentId,
+      mode: p.mode,
+      itemKeys: p.itemKeys || [],
+      guestName: p.guestName || null,
+    },
+    // Only the first confirmation records the money
+    claim: async (t) => {
+      const fresh = await t.get(ref);
+      if (fresh.data().status !== 'pending') return false;
+      t.update(ref, { status: 'paid', gatewayPaymentId, paidAt });
+      return true;
+    },
+  });
+  if (!result) return { success: true, status: 'paid', outstanding: null };
+
+  const { order, fields } = result;
+  const outstanding = payAtTable.outstandingOf({ ...order, ...fields }, await heldDeposit(p.restaurantId, p.orderId));
+  pushEvent(p.restaurantId, 'tables', 'table-payment-received', {
+    tableId: p.tableId,
+    tableNumber: p.tableName,
+    orderId: p.orderId,
+    amount: p.amount,
+    tip: p.tip,
+    guestName: p.guestName || null,
+    paidAmount: fields.paidAmount,
+    outstandingAmount: fields.outstandingAmount,
+    paymentStatus: fields.paymentStatus,
+  }).catch(() => {});
+
+  if (outstanding <= 0 && typeof completeOrder === 'function') {
+    try {
+      await completeOrder(p.orderId);
+    } catch (err) {
+      console.error(`Pay-at-table auto-close error for order ${p.orderId}:`, err.message);
+    }
+  }
+  return {
+    success: true,
+    status: 'paid',
+    outstanding,
+    orderNumber: order.dailyOrderId || order.orderNumber || null,
+  };
+}
+
+/** Staff view: guest payments taken on an order. */
+async function listForOrder(restaurantId, orderId) {
+  const snap = await db.collection(PAYMENTS).where('orderId', '==', orderId).get();
+  const iso = (v) => toDate(v)?.toISOString() || null;
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(p => p.restaurantId === restaurantId)
+    .map(p => ({ ...p, token: undefined, createdAt: iso(p.createdAt), paidAt: iso(p.paidAt) }))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+module.exports = {
+  tableLink,
+  publicBill,
+  startPayment,
+  confirmPayment,
+  listForOrder,
+  payPageUrl,
+};
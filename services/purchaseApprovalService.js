@@ -0,0 +1,214 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const { toDate } = require('../utils/dates');
+const approvals = require('../inventory/approvals');
+
+/**
+ * Purchase Approval Service
+ * Runs purchase requisitions and POs through the outlet's approval chain
+ * (inventory/approvals.js). The state lives on the document as `approval`;
+ * the document's own status only becomes 'approved' once every level has
+ * signed off (a rejection sets a requisition 'rejected' and cancels a PO).
+ *
+ * prepare() is called where PRs / POs are created; decide() is used by the
+ * existing PATCH status routes and routes/purchaseApprovalRoutes.js.
+ * Documents created before the chain was switched on pick it up on their
+ * first decision.
+ */
+
+const DOC_COLLECTIONS = {
+  requisition: () => collections.purchaseRequisitions,
+  purchase_order: () => collections.purchaseOrders,
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+async function loadSettings(restaurantId) {
+  const snap = await db.collection(collections.restaurants).doc(restaurantId).get();
+  return approvals.settingsFor(snap.exists ? snap.data() : {});
+}
+
+async function inventoryFor(items) {
+  const ids = [...new Set((items || []).map(i => i.inventoryItemId).filter(Boolean))];
+  if (ids.length === 0) return {};
+  const snaps = await db.getAll(...ids.map(id => db.collection(collections.inventory).doc(id)));
+  const out = {};
+  snaps.forEach(s => { if (s.exists) out[s.id] = s.data(); });
+  return out;
+}
+
+/**
+ * Approval state for a document about to be written, or null when no chain
+ * governs it (approvals off, or no chain for its type / categories).
+ */
+async function prepare(restaurantId, docType, data, settings = null) {
+  const s = settings || await loadSettings(restaurantId);
+  if (!s.enabled) return null;
+  const { amount, categories } = approvals.documentTotals(docType, data, await inventoryFor(data.items));
+  const chain = approvals.selectChain(s, docType, categories);
+  return chain ? approvals.buildApproval(chain, amount) : null;
+}
+
+async function activeDelegations(restaurantId) {
+  const snap = await db.collection(collections.approvalDelegations)
+    .where('restaurantId', '==', restaurantId)
+    .where('active', '==', true)
+    .get();
+  return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+// Status fields the document gets when its chain completes
+function completionFields(docType, approval, user, notes, now) {
+  if (approval.status === 'approved') {
+    return docType === 'requisition'
+      ? { status: 'approved', approvedBy: user.userId, approvedAt: now, approvalNotes: notes }
+      : { status: 'approved', approvedBy: user.userId, approvedAt: now };
+  }
+  return docType === 'requisition'
+    ? { status: 'rejected', approvedBy: user.userId, approvedAt: now, approvalNotes: notes }
+    : { status: 'cancelled', cancelledBy: user.userId, cancelledAt: now, cancellationNotes: `Rejected in approval${notes ? `: ${notes}` : ''}` };
+}
+
+/**
+ * Record an approve / reject by `user` ({ userId, role, email }). Returns
+ * { approval, document } — or null when no chain governs the document, so
+ * the caller falls back to the plain status change. Throws with .status for
+ * 400 / 403 / 404.
+ */
+async function decide(restaurantId, docType, docId, user, { action, notes = '' }) {
+  if (!DOC_COLLECTIONS[docType]) throw httpError(400, `Unknown document type: ${docType}`);
+  if (!['approve', 'reject'].includes(action)) throw httpError(400, 'action must be approve or reject');
+  const ref = db.collection(DOC_COLLECTIONS[docType]()).doc(docId);
+
+  const first = await ref.get();
+  if (!first.exists || first.data().restaurantId !== restaurantId) throw httpError(404, 'Document not found');
+  // Older documents pick up the chain on their first decision
+  const fresh = first.data().approval ? null : await prepare(restaurantId, docType, first.data());
+  if (!first.data().approval && !fresh) return null;
+  const delegations = await activeDelegations(restaurantId);
+
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.data();
+    const current = data.approval || fresh;
+    if (data.status !== 'pending' || current.status !== 'pending') {
+      throw httpError(400, `This ${docType === 'requisition' ? 'requisition' : 'purchase order'} is already ${current.status === 'pending' ? data.status : current.status}`);
+    }
+    const now = new Date();
+    const auth = approvals.authority(current, user, delegations, now);
+    if (!auth.allowed) {
+      const level = current.levels[current.currentLevel];
+      throw httpError(403, `Waiting for ${level.name || `level ${current.currentLevel + 1}`} approval — you are not an approver at this level.`);
+    }
+    const approval = approvals.decide(current, { action, user, onBehalfOf: auth.onBehalfOf, upToLevel: auth.upToLevel, notes: String(notes || '').trim(), now });
+    const update = { approval, updatedAt: now, updatedBy: user.userId };
+    if (approval.status !== 'pending') Object.assign(update, completionFields(docType, approval, user, String(notes || '').trim(), now));
+    tx.update(ref, update);
+    return { approval, document: { id: docId, ...data, ...update } };
+  });
+
+  pushEvent(restaurantId, 'inventory', 'purchase-approval-updated', {
+    docType,
+    docId,
+    status: result.approval.status,
+    currentLevel: result.approval.currentLevel,
+    waitingFor: result.approval.status === 'pending' ? result.approval.levels[result.approval.currentLevel].name : null,
+  });
+  return result;
+}
+
+/** Pending PRs / POs the user can act on now (directly or as a delegate). */
+async function inbox(restaurantId, user) {
+  const delegations = await activeDelegations(restaurantId);
+  const now = new Date();
+  const out = [];
+  for (const docType of approvals.DOC_TYPES) {
+    const snap = await db.collection(DOC_COLLECTIONS[docType]())
+      .where('restaurantId', '==', restaurantId)
+      .where('approval.status', '==', 'pending')
+      .get();
+    snap.docs.forEach(d => {
+      const data = d.data();
+      const auth = approvals.authority(data.approval, user, delegations, now);
+      if (!auth.allowed) return;
+      out.push({ docType, id: d.id, ...data, onBehalfOf: auth.onBehalfOf });
+    });
+  }
+  return out.sort((a, b) => (b.approval.amount || 0) - (a.approval.amount || 0));
+}
+
+// Emails for a level's approvers: named users, then everyone with a named role
+async function approverEmails(restaurantId, level) {
+  const emails = new Set();
+  const userIds = new Set(level.approverUserIds);
+  if (level.approverRoles.length > 0) {
+    const urSnap = await db.collection(collections.userRestaurants)
+      .where('restaurantId', '==', restaurantId)
+      .where('role', 'in', level.approverRoles.slice(0, 10))
+      .get();
+    urSnap.docs.forEach(d => { if (d.data().userId) userIds.add(d.data().userId); });
+  }
+  for (const userId of userIds) {
+    let snap = await db.collection(collections.users).doc(userId).get();
+    if (!snap.exists) snap = await db.collection(collections.staffUsers).doc(userId).get();
+    if (snap.exists && snap.data().email) emails.add(snap.data().email);
+  }
+  return [...emails];
+}
+
+/**
+ * Cron entry: nudge the current approvers of everything that has waited
+ * longer than the outlet's reminderAfterHours (again every interval).
+ */
+async function sendReminders(now = new Date()) {
+  const emailService = require('../emailService');
+  const settingsCache = {};
+  const result = { checked: 0, reminded: 0, failed: 0 };
+  for (const docType of approvals.DOC_TYPES) {
+    const snap = await db.collection(DOC_COLLECTIONS[docType]()).where('approval.status', '==', 'pending').get();
+    for (const doc of snap.docs) {
+      result.checked++;
+      const data = doc.data();
+      const settings = settingsCache[data.restaurantId] = settingsCache[data.restaurantId] || await loadSettings(data.restaurantId);
+      if (!approvals.needsReminder(data.approval, now, settings.reminderAfterHours)) continue;
+      const level = data.approval.levels[data.approval.currentLevel];
+      const label = docType === 'requisition' ? 'Purchase requisition' : 'Purchase order';
+      try {
+        const to = await approverEmails(data.restaurantId, level);
+        if (to.length > 0) {
+          await emailService.sendEmail({
+            to: to.join(','),
+            subject: `Approval pending: ${label} ${doc.id.slice(-8)}`,
+            text: `${label} ${doc.id.slice(-8)} for ${data.approval.amount} has been waiting for ${level.name || 'your'} approval since ${toDate(data.approval.levelSince).toISOString().slice(0, 16).replace('T', ' ')} UTC.`,
+          });
+        }
+        pushEvent(data.restaurantId, 'inventory', 'purchase-approval-reminder', { docType, docId: doc.id, waitingFor: level.name, amount: data.approval.amount });
+        await doc.ref.update({
+          'approval.lastReminderAt': now,
+          'approval.history': [...(data.approval.history || []), { action: 'reminded', levels: [level.name], sentTo: to.length, at: now }],
+        });
+        result.reminded++;
+      } catch (err) {
+        result.failed++;
+        console.error(`Approval reminder for ${docType} ${doc.id} failed:`, err.message);
+      }
+    }
+  }
+  return result;
+}
+
+/** A PO may go to the supplier only once fully approved. */
+function isFullyApproved(po) {
+  if (po.status === 'cancelled') return false;
+  if (po.approval) return po.approval.status === 'approved';
+  return ['approved', 'sent', 'partially_received', 'received', 'delivered'].includes(po.status);
+}
+
+module.exports = {
+  prepare,
+  decide,
+  inbox,
+  activeDelegations,
+  sendReminders,
+  isFullyApproved,
+};
@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const guestWhatsApp = require('./guestWhatsApp');
+const depositService = require('./depositService');
+const { getCachedRestDoc, invalidateRestaurantCache } = require('../utils/kvCache');
+const { dateStrInTZ, dateBoundsInTZ, getRestaurantTzOffset } = require('../utils/timezone');
+const reservations = require('../tables/reservations');
+const { parseReply, phoneKey } = require('../tables/waitlist');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Reservation Service
+ * The table reservation book: slot availability against the covers cap and
+ * the floor plan, automatic table / merge-group / combination assignment
+ * (tables/reservations.js), WhatsApp confirmations and reminders, no-show
+ * marking with customer flagging, and the public booking widget.
+ *
+ * A reservation's `date` and minutes are in the restaurant's timezone;
+ * `startAt`/`endAt` are the matching instants, for reminders and no-shows.
+ * Bookings are written in a transaction over the day's book so two guests
+ * can't take the last table for the same slot. Parties the deposit policy
+ * covers get a payment link with their confirmation (services/depositService.js);
+ * cancelling or not showing up settles the deposit.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const RESERVATIONS = collections.reservations || 'reservations';
+const MINUTE = 60000;
+// Booking and reminder messages link here; the id is the guest's access token
+const bookingLink = (id) => `${process.env.FRONTEND_URL || 'https://www.dineopen.com'}/reservation/${id}`;
+// Editable booking fields (date/time/party size re-run table assignment)
+const EDIT_FIELDS = ['name', 'phone', 'email', 'notes', 'occasion'];
+
+async function loadRestaurant(restaurantId) {
+  const doc = await getCachedRestDoc(db, collections.restaurants, restaurantId);
+  if (!doc.exists) throw httpError(404, 'Restaurant not found');
+  return doc.data();
+}
+
+const restaurantNameOf = (r) => r.name || r.restaurantName || 'the restaurant';
+const iso = (v) => toDate(v)?.toISOString() || null;
+const serialize = (r) => ({
+  ...r,
+  startAt: iso(r.startAt), endAt: iso(r.endAt), createdAt: iso(r.createdAt), updatedAt: iso(r.updatedAt),
+  confirmedAt: iso(r.confirmedAt), seatedAt: iso(r.seatedAt), completedAt: iso(r.completedAt), cancelledAt: iso(r.cancelledAt),
+  noShowAt: iso(r.noShowAt), reminderSentAt: iso(r.reminderSentAt),
+});
+
+async function loadTables(restaurantId) {
+  const floorsSnap = await db.collection(collections.restaurants).doc(restaurantId).collection('floors').get();
+  const snaps = await Promise.all(floorsSnap.docs.map(f => f.ref.collection('tables').get()));
+  return snaps.flatMap((s, i) => s.docs.map(d => ({ id: d.id, floorId: floorsSnap.docs[i].id, ...d.data() })));
+}
+
+const dayQuery = (restaurantId, date) => db.collection(RESERVATIONS)
+  .where('restaurantId', '==', restaurantId)
+  .where('date', '==', date);
+
+/** Restaurant-local clock → { tzOffset, today, nowMinutes }. */
+async function clock(restaurantId) {
+  const { tzOffset } = await getRestaurantTzOffset(db, restaurantId);
+  const now = new Date();
+  const today = dateStrInTZ(now, tzOffset);
+  const nowMinutes = Math.floor((now - dateBoundsInTZ(today, tzOffset).start) / MINUTE);
+  return { tzOffset, today, nowMinutes };
+}
+
+// Tables seated right now stay busy until their expected turn ends (today only)
+function withLiveOccupancy(tables, settings, { today, tzOffset, nowMinutes }, date) {
+  if (date !== today) return tables;
+  const midnight = dateBoundsInTZ(today, tzOffset).start.getTime();
+  return tables.map(t => {
+    if (!['occupied', 'serving'].includes(t.status)) return t;
+    const since = toDate(t.lastOrderTime);
+    const seatedMin = since ? Math.floor((since.getTime() - midnight) / MINUTE) : nowMinutes;
+    return { ...t, busyUntilMin: Math.max(seatedMin + reservations.turnFor(settings, t.capacity), nowMinutes + 5) };
+  });
+}
+
+async function context(restaurantId, date) {
+  const restaurant = await loadRestaurant(restaurantId);
+  const settings = reservations.settingsFor(restaurant);
+  const [time, tables] = await Promise.all([clock(restaurantId), loadTables(restaurantId)]);
+  return { restaurant, settings, time, tables: withLiveOccupancy(tables, settings, time, date) };
+}
+
+// ── Settings ──────────────────────────────────────────────────────
+
+async function getSettings(restaurantId) {
+  return reservations.settingsFor(await loadRestaurant(restaurantId));
+}
+
+async function updateSettings(restaurantId, body = {}, user = {}) {
+  const current = (await loadRestaurant(restaurantId)).reservationSettings || {};
+  const merged = { ...current };
+  Object.keys(reservations.DEFAULT_SETTINGS).forEach(k => { if (body[k] !== undefined) merged[k] = body[k]; });
+  const settings = reservations.settingsFor({ reservationSettings: merged });
+  const errors = reservations.validateSettings(settings);
+  if (errors.length > 0) throw httpError(400, errors.join('; '));
+  await db.collection(collections.restaurants).doc(restaurantId).update({
+    reservationSettings: settings,
+    updatedAt: new Date(),
+    updatedBy: user.userId || null,
+  });
+  invalidateRestaurantCache(restaurantId);
+  return settings;
+}
+
+// ── Book ──────────────────────────────────────────────────────────
+
+/** Slots for a party on `date`. Staff bookings ignore the minimum notice. */
+async function availability(restaurantId, { date, partySize, excludeId = null, staff = false }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) throw httpError(400, 'date must be YYYY-MM-DD');
+  const { settings, time, tables } = await context(restaurantId, date);
+  const snap = await dayQuery(restaurantId, date).get();
+  return reservations.availability({
+    settings: staff ? { ...settings, minNoticeMinutes: 0 } : settings,
+    date,
+    partySize,
+    tables,
+    reservations: snap.docs.map(d => ({ id: d.id, ...d.data() })),
+    today: time.today,
+    nowMinutes: time.nowMinutes,
+    excludeId,
+  });
+}
+
+/** ?date or ?from&to (YYYY-MM-DD), ?status → reservations by date and time. */
+async function list(restaurantId, { date, from, to, status } = {}) {
+  let q = db.collection(RESERVATIONS).where('restaurantId', '==', restaurantId);
+  if (date) q = q.where('date', '==', date);
+  const snap = await q.get();
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(r => (!from || r.date >= from) && (!to || r.date <= to) && (!status || r.status === status))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin)
+    .map(serialize);
+}
+
+async function load(restaurantId, reservationId) {
+  const doc = await db.collection(RESERVATIONS).doc(reservationId).get();
+  if (!doc.exists || doc.data().restaurantId !== restaurantId) throw httpError(404, 'Reservation not found');
+  return { id: doc.id, ...doc.data() };
+}
+
+async function get(restaurantId, reservationId) {
+  return serialize(await load(restaurantId, reservationId));
+}
+
+// Existing customer by phone, trying the formats the POS stores
+async function findCustomer(restaurantId, phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  const last10 = digits.slice(-10);
+  const variations = [...new Set([String(phone), digits, last10, `91${last10}`, `+91${last10}`])];
+  const snap = await db.collection(collections.customers)
+    .where('restaurantId', '==', restaurantId)
+    .where('phone', 'in', variations)
+    .limit(1)
+    .get();
+  return snap.empty ? null : { id: snap.docs[0].id, ...snap.docs[0].data() };
+}
+
+/**
+ * Fit a party onto the day's book inside `tx` → { startMin, durationMinutes, assignment }.
+ * `tableIds` pins hand-picked tables (staff) — checked for clashes, not capacity.
+ */
+async function placeInBook(tx, restaurantId, { settings, clock: now, tables, date, time, partySize, tableIds, excludeId, staff }) {
+  const startMin = reservations.startMinuteFor(settings, date, time);
+  if (startMin == null) throw httpError(400, `${time} is not a bookable time on ${date}.`);
+  const durationMinutes = reservations.turnFor(settings, partySize);
+  const daySnap = await tx.get(dayQuery(restaurantId, date));
+  const book = daySnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+  if (Array.isArray(tableIds) && tableIds.length > 0) {
+    const byId = Object.fromEntries(tables.map(t => [t.id, t]));
+    const missing = tableIds.filter(id => !byId[id]);
+    if (missing.length) throw httpError(404, 'One or more selected tables were not found.');
+    const clash = reservations.conflicts({ tableIds, reservations: book, settings, startMin, durationMinutes, excludeId });
+    if (clash.length) throw httpError(409, 'Those tables are already reserved at that time.');
+    const picked = tableIds.map(id => byId[id]);
+    return {
+      startMin, durationMinutes,
+      assignment: { kind: 'manual', tableIds, tableNames: picked.map(t => t.name || t.id), capacity: picked.reduce((s, t) => s + Number(t.capacity || 0), 0) },
+    };
+  }
+
+  const slot = reservations.availability({
+    settings: staff ? { ...settings, minNoticeMinutes: 0 } : settings,
+    date, partySize, tables, reservations: book, today: now.today, nowMinutes: now.nowMinutes, excludeId,
+  });
+  if (slot.reason) throw httpError(409, `No reservations available (${slot.reason}).`);
+  const s = slot.slots.find(x => x.startMin === startMin);
+  if (!s || !s.available) {
+    const why = { past: 'That time has passed.', notice: `Bookings need ${settings.minNoticeMinutes} minutes' notice.`, 'covers-cap': 'That time is fully booked.', 'no-table': 'No table is free for that party at that time.' };
+    throw httpError(409, (s && why[s.reason]) || 'That time is not available.');
+  }
+  const assignment = reservations.assignTables({ tables, reservations: book, settings, partySize, startMin, durationMinutes, excludeId });
+  return { startMin, durationMinutes, assignment };
+}
+
+const instants = (date, startMin, durationMinutes, tzOffset) => {
+  const startAt = new Date(dateBoundsInTZ(date, tzOffset).start.getTime() + startMin * MINUTE);
+  return { startAt, endAt: new Date(startAt.getTime() + durationMinutes * MINUTE) };
+};
+
+/**
+ * New reservation → the saved doc. body { name, phone, email?, partySize, date, time, notes?, occasion?, tableIds?, waiveDeposit? }.
+ * source 'staff' (host stand / phone) or 'widget' (public booking page).
+ * Only staff can waive the deposit.
+ */
+async function create(restaurantId, body = {}, { source = 'staff', user = {} } = {}) {
+  const staff = source === 'staff';
+  const { restaurant, settings, time, tables } = await context(restaurantId, body.date);
+  if (!staff && !settings.onlineBooking) throw httpError(403, 'Online booking is not available for this restaurant.');
+  const errors = reservations.validateBooking(body, settings);
+  if (errors.length > 0) throw httpError(400, errors.join('; '));
+  const partySize = Number(body.partySize);
+
+  const customer = await findCustomer(restaurantId, body.phone);
+  if (!staff && settings.blockFlaggedOnline && customer && customer.noShowFlag) {
+    throw httpError(403, 'Please call the restaurant to book.');
+  }
+
+  const ref = db.collection(RESERVATIONS).doc();
+  const reservation = await db.runTransaction(async (tx) => {
+    const placed = await placeInBook(tx, restaurantId, {
+      settings, clock: time,
+      tables, date: body.date, time: body.time, partySize,
+      tableIds: staff ? body.tableIds : null, staff,
+    });
+    const now = new Date();
+    // New guests become customers with the booking, like a first order does
+    let customerId = customer && customer.id;
+    if (!customerId) {
+      const custRef = db.collection(collections.customers).doc();
+      tx.set(custRef, {
+        name: String(body.name).trim(), phone: String(body.phone).trim(), email: body.email || null, restaurantId,
+        orderHistory: [], totalOrders: 0, totalSpent: 0, createdAt: now, updatedAt: now,
+      });
+      customerId = custRef.id;
+    }
+    const data = {
+      restaurantId,
+      reference: `R-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      name: String(body.name).trim(),
+      phone: String(body.phone).trim(),
+      phoneKey: phoneKey(body.phone),
+      email: body.email || null,
+      customerId,
+      customerNoShows: (customer && customer.noShowCount) || 0,
+      partySize,
+      date: body.date,
+      time: reservations.toTime(placed.startMin),
+      startMin: placed.startMin,
+      durationMinutes: placed.durationMinutes,
+      ...instants(body.date, placed.startMin, placed.durationMinutes, time.tzOffset),
+      tableIds: placed.assignment.tableIds,
+      tableNames: placed.assignment.tableNames,
+      assignment: placed.assignment.kind,
+      status: 'booked',
+      source,
+      notes: body.notes || null,
+      occasion: body.occasion || null,
+      createdBy: user.userId || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    tx.set(ref, data);
+    return { id: ref.id, ...data };
+  });
+
+  // A gateway problem shouldn't lose the booking — staff can ask for the deposit later
+  if (!(staff && body.waiveDeposit)) {
+    try {
+      const deposit = await depositService.createForReservation(restaurantId, reservation, user);
+      if (deposit) reservation.deposit = { depositId: deposit.id, amount: deposit.amount, status: deposit.status, payUrl: deposit.payUrl, expiresAt: deposit.expiresAt };
+    } catch (err) {
+      console.error(`Reservation ${ref.id} deposit error:`, err.message);
+    }
+  }
+
+  pushEvent(restaurantId, 'tables', 'reservation-created', { reservationId: ref.id, date: reservation.date, time: reservation.time }).catch(() => {});
+  sendConfirmation(restaurantId, reservation, restaurant).catch(err => {
+    if (err.status !== 400) console.error('Reservation confirmation send error:', err.message);
+  });
+  return serialize(reservation);
+}
+
+/**
+ * Staff edit → the updated doc. Status moves follow TRANSITIONS; changing
+ * date, time, party size or tables re-runs assignment against the book.
+ */
+async function update(restaurantId, reservationId, body = {}, user = {}) {
+  const current = await load(restaurantId, reservationId);
+  if (body.status && body.status !== current.status) {
+    if (!(reservations.TRANSITIONS[current.status] || []).includes(body.status)) {
+      throw httpError(400, `Can't move a ${current.status} reservation to ${body.status}.`);
+    }
+    if (body.status === 'no-show') return markNoShow(restaurantId, reservationId, { user });
+  }
+
+  const now = new Date();
+  const updates = { updatedAt: now, updatedBy: user.userId || null };
+  EDIT_FIELDS.forEach(k => { if (body[k] !== undefined) updates[k] = body[k]; });
+  if (updates.phone) updates.phoneKey = phoneKey(updates.phone);
+  if (body.status && body.status !== current.status) {
+    updates.status = body.status;
+    const stamp = { confirmed: 'confirmedAt', seated: 'seatedAt', completed: 'completedAt', cancelled: 'cancelledAt' }[body.status];
+    if (stamp) updates[stamp] = now;
+  }
+
+  // Re-opening a cancelled or no-show booking has to win its tables back too
+  const reopened = ['cancelled', 'no-show'].includes(current.status) && updates.status === 'booked';
+  const rebook = reopened || ['date', 'time', 'partySize', 'tableIds'].some(k => body[k] !== undefined);
+  const ref = db.collection(RESERVATIONS).doc(reservationId);
+  if (!rebook) {
+    await ref.update(updates);
+  } else {
+    const date = body.date || current.date;
+    const partySize = body.partySize !== undefined ? Number(body.partySize) : current.partySize;
+    if (!Number.isInteger(partySize) || partySize < 1) throw httpError(400, 'partySize must be a whole number of at least 1');
+    const { settings, time, tables } = await context(restaurantId, date);
+    await db.runTransaction(async (tx) => {
+      const placed = await placeInBook(tx, restaurantId, {
+        settings, clock: time,
+        tables, date, time: body.time || current.time, partySize,
+        tableIds: body.tableIds, excludeId: reservationId, staff: true,
+      });
+      tx.update(ref, {
+        ...updates,
+        date, partySize,
+        time: reservations.toTime(placed.startMin),
+        startMin: placed.startMin,
+        durationMinutes: placed.durationMinutes,
+        ...instants(date, placed.startMin, placed.durationMinutes, time.tzOffset),
+        tableIds: placed.assignment.tableIds,
+        tableNames: placed.assignment.tableNames,
+        assignment: placed.assignment.kind,
+        // A moved booking gets a fresh reminder
+        reminderSentAt: null,
+      });
+    });
+  }
+  if (updates.status === 'cancelled') await settleDeposit({ ...current, id: reservationId }, 'cancel', user);
+  const saved = await load(restaurantId, reservationId);
+  pushEvent(restaurantId, 'tables', 'reservation-updated', { reservationId, status: saved.status }).catch(() => {});
+  return serialize(saved);
+}
+
+// Cancellation / no-show fee or refund on the reservation's deposit. The
+// status change stands even if the gateway refund fails — staff retry it
+// from the deposits screen.
+async function settleDeposit(reservation, reason, user = {}) {
+  if (!reservation.deposit) return;
+  try {
+    await depositService.settleForSource('reservation', reservation.id, { reason, startAt: reservation.startAt, user });
+  } catch (err) {
+    console.error(`Reservation ${reservation.id} deposit settle error:`, err.message);
+  }
+}
+
+/**
+ * Mark a party as a no-show and count it against the customer, flagging them
+ * at the restaurant's threshold. `auto` when the reminder cron applied it.
+ */
+async function markNoShow(restaurantId, reservationId, { user = {}, auto = false } = {}) {
+  const ref = db.collection(RESERVATIONS).doc(reservationId);
+  const settings = reservations.settingsFor(await loadRestaurant(restaurantId));
+  const saved = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists || doc.data().restaurantId !== restaurantId) throw httpError(404, 'Reservation not found');
+    const r = doc.data();
+    if (!['booked', 'confirmed'].includes(r.status)) throw httpError(400, `Can't mark a ${r.status} reservation as a no-show.`);
+    const now = new Date();
+    let customer = null;
+    if (r.customerId) {
+      const custRef = db.collection(collections.customers).doc(r.customerId);
+      const custDoc = await tx.get(custRef);
+      if (custDoc.exists) {
+        const noShowCount = (custDoc.data().noShowCount || 0) + 1;
+        const flagged = reservations.flagFor(noShowCount, settings);
+        tx.update(custRef, { noShowCount, noShowFlag: flagged, lastNoShowAt: now, updatedAt: now });
+        customer = { id: r.customerId, noShowCount, flagged };
+      }
+    }
+    const updates = { status: 'no-show', noShowAt: now, noShowMarkedBy: auto ? 'auto' : (user.userId || null), updatedAt: now };
+    tx.update(ref, updates);
+    return { id: reservationId, ...r, ...updates, customer };
+  });
+  await settleDeposit(saved, 'no-show', user);
+  pushEvent(restaurantId, 'tables', 'reservation-updated', { reservationId, status: 'no-show' }).catch(() => {});
+  return serialize(await load(restaurantId, reservationId));
+}
+
+// ── WhatsApp ──────────────────────────────────────────────────────
+
+const send = (restaurantId, phone, reservation, message, credentials) => guestWhatsApp.send({
+  restaurantId, type: 'whatsapp_reservation', phone, customerName: reservation.name, message, credentials,
+});
+
+const when = (r) => `${r.date} at ${r.time}`;
+
+async function sendConfirmation(restaurantId, reservation, restaurant) {
+  const credentials = await guestWhatsApp.credentialsForRestaurant(restaurantId);
+  const deposit = reservation.deposit && reservation.deposit.status === 'pending' ? reservation.deposit : null;
+  const message = `Hi ${reservation.name}! Your table for ${reservation.partySize} at ${restaurantNameOf(restaurant)} is booked for ${when(reservation)} (ref ${reservation.reference}).`
+    + (deposit ? `\n\nPlease pay the ${deposit.amount} deposit to hold it — it comes off your bill: ${deposit.payUrl}` : '')
+    + `\n\nView or cancel: ${bookingLink(reservation.id)}`
+    + `\n\nReply YES to confirm or CANCEL if your plans change.`;
+  await send(restaurantId, guestWhatsApp.formatPhone(reservation.phone, restaurant), reservation, message, credentials);
+}
+
+async function sendReminder(restaurantId, reservation, restaurant) {
+  const credentials = await guestWhatsApp.credentialsForRestaurant(restaurantId);
+  const message = `Hi ${reservation.name}, a reminder of your table for ${reservation.partySize} at ${restaurantNameOf(restaurant)} on ${when(reservation)}.`
+    + `\n\nReply YES to confirm or CANCEL to free the table for someone else. ${bookingLink(reservation.id)}`;
+  await send(restaurantId, guestWhatsApp.formatPhone(reservation.phone, restaurant), reservation, message, credentials);
+}
+
+/**
+ * Cron: send reminders that are due and, where the restaurant has turned on
+ * autoNoShow, mark parties past the grace period. Scans bookings dated
+ * yesterday → the day after tomorrow (UTC), which covers every timezone.
+ */
+async function runReminders(now = new Date()) {
+  const dates = [-1, 0, 1, 2].map(d => new Date(now.getTime() + d * 86400000).toISOString().slice(0, 10));
+  const snap = await db.collection(RESERVATIONS).where('date', 'in', dates).get();
+  const restaurants = {};
+  const summary = { scanned: snap.size, reminded: 0, noShows: 0, failed: 0 };
+  for (const doc of snap.docs) {
+    const r = { id: doc.id, ...doc.data() };
+    if (!['booked', 'confirmed'].includes(r.status)) continue;
+    try {
+      if (!restaurants[r.restaurantId]) restaurants[r.restaurantId] = await loadRestaurant(r.restaurantId);
+      const restaurant = restaurants[r.restaurantId];
+      const settings = reservations.settingsFor(restaurant);
+      if (settings.autoNoShow && reservations.noShowDue(r, settings, now)) {
+        await markNoShow(r.restaurantId, r.id, { auto: true });
+        summary.noShows += 1;
+      } else if (r.phone && reservations.reminderDue(r, settings, now)) {
+        await sendReminder(r.restaurantId, r, restaurant);
+        await doc.ref.update({ reminderSentAt: new Date() });
+        summary.reminded += 1;
+      }
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`Reservation reminder error (${r.id}):`, err.message);
+    }
+  }
+  // Unpaid deposits past their window release the tables they were holding
+  summary.deposits = await depositService.expireUnpaid(now);
+  return summary;
+}
+
+/**
+ * Inbound WhatsApp text (automation webhook) → confirms or cancels the
+ * guest's next booking and answers them → { reservationId, action } or null
+ * when it isn't a reservation reply.
+ */
+async function handleInboundReply({ restaurantId, from, text, setting }) {
+  const reply = parseReply(text);
+  if (!restaurantId || !reply || !['confirm', 'cancel'].includes(reply.action)) return null;
+  const { today } = await clock(restaurantId);
+  const snap = await db.collection(RESERVATIONS)
+    .where('restaurantId', '==', restaurantId)
+    .where('phoneKey', '==', phoneKey(from))
+    .get();
+  const upcoming = snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(r => ['booked', 'confirmed'].includes(r.status) && r.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin);
+  if (upcoming.length === 0) return null;
+  const r = upcoming[0];
+  const restaurant = await loadRestaurant(restaurantId);
+  const now = new Date();
+  let answer;
+  if (reply.action === 'cancel') {
+    await db.collection(RESERVATIONS).doc(r.id).update({ status: 'cancelled', cancelledAt: now, cancelledVia: 'whatsapp', updatedAt: now });
+    await settleDeposit(r, 'cancel');
+    answer = `Your booking at ${restaurantNameOf(restaurant)} on ${when(r)} is cancelled. Hope to see you another time!`;
+  } else {
+    await db.collection(RESERVATIONS).doc(r.id).update({ status: 'confirmed', confirmedAt: now, confirmedVia: 'whatsapp', updatedAt: now });
+    answer = `Thanks — your table for ${r.partySize} at ${restaurantNameOf(restaurant)} on ${when(r)} is confirmed.`;
+  }
+  pushEvent(restaurantId, 'tables', 'reservation-updated', { reservationId: r.id, status: reply.action === 'cancel' ? 'cancelled' : 'confirmed' }).catch(() => {});
+  if (setting) {
+    send(restaurantId, String(from).replace(/\D/g, ''), r, answer, guestWhatsApp.credentialsFor(setting))
+      .catch(err => console.error('Reservation reply send error:', err.message));
+  }
+  return { reservationId: r.id, action: reply.action };
+}
+
+// ── Public widget ─────────────────────────────────────────────────
+
+/** Widget bootstrap + slots: what the booking page needs to render. */
+async function publicAvailability(restaurantId, { date, partySize }) {
+  const restaurant = await loadRestaurant(restaurantId);
+  const settings = reservations.settingsFor(restaurant);
+  if (!settings.onlineBooking) throw httpError(403, 'Online booking is not available for this restaurant.');
+  const result = date ? await availability(restaurantId, { date, partySize }) : null;
+  return {
+    restaurant: { name: restaurantNameOf(restaurant), logo: restaurant.logoUrl || '' },
+    maxPartySize: settings.maxPartySize,
+    bookingWindowDays: settings.bookingWindowDays,
+    slots: result ? result.slots.filter(s => s.available).map(s => s.time) : [],
+    reason: result ? result.reason : null,
+  };
+}
+
+/** The guest's booking page — the unguessable reservation id is the access token. */
+async function publicView(reservationId) {
+  const doc = await db.collection(RESERVATIONS).doc(reservationId).get();
+  if (!doc.exists) throw httpError(404, 'Reservation not found');
+  const r = { id: doc.id, ...doc.data() };
+  return reservations.publicView(r, await loadRestaurant(r.restaurantId));
+}
+
+async function publicCancel(reservationId) {
+  const ref = db.collection(RESERVATIONS).doc(reservationId);
+  const doc = await ref.get();
+  if (!doc.exists) throw httpError(404, 'Reservation not found');
+  const r = { id: doc.id, ...doc.data() };
+  if (!['booked', 'confirmed'].includes(r.status)) throw httpError(400, `This reservation is already ${r.status}.`);
+  const now = new Date();
+  await ref.update({ status: 'cancelled', cancelledAt: now, cancelledVia: 'guest', updatedAt: now });
+  await settleDeposit(r, 'cancel');
+  pushEvent(r.restaurantId, 'tables', 'reservation-updated', { reservationId, status: 'cancelled' }).catch(() => {});
+  return publicView(reservationId);
+}
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  availability,
+  list,
+  get,
+  create,
+  update,
+  markNoShow,
+  runReminders,
+  handleInboundReply,
+  publicAvailability,
+  publicView,
+  publicCancel,
+};
@@ -0,0 +1,146 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const { serialRuns } = require('../utils/serialRuns');
+const { invalidateRestaurantCache } = require('../utils/kvCache');
+const { loadRecipeContext } = require('./foodCostService');
+const availability = require('../inventory/availability');
+
+/**
+ * Stock Availability Service
+ * Keeps recipe-based menu items' availability in step with ingredient stock
+ * (inventory/availability.js) when stockAvailabilitySettings.enabled is on:
+ * writes isAvailable / autoUnavailable / portionsLeft on restaurant.menu.items
+ * (the POS, public menu and customer app read these), and pushes the
+ * on/off flips to the legacy `menuItems` docs WhatsApp ordering reads and to
+ * the Talabat store when that integration is enabled.
+ *
+ * Triggered after stock moves: order deduction / restore
+ * (services/inventoryService.js), GRN receipt and manual stock edits
+ * (index.js).
+ */
+
+// Inventory-linked menu items already sync their own availability in index.js
+function directlyTrackedIds(ctx) {
+  return new Set(ctx.inventory.filter(i => i.linkedMenuItemId).map(i => i.linkedMenuItemId));
+}
+
+/** Current portions and availability of every recipe-based menu item. Reads only. */
+async function status(restaurantId) {
+  const ctx = await loadRecipeContext(restaurantId);
+  const settings = availability.settingsFor(ctx.restaurantData);
+  const excluded = directlyTrackedIds(ctx);
+  const items = (ctx.restaurantData.menu?.items || [])
+    .filter(mi => mi && mi.id && !excluded.has(mi.id))
+    .map(mi => {
+      const p = availability.portionsRemaining(mi, ctx);
+      return {
+        menuItemId: mi.id,
+        name: mi.name || '',
+        isAvailable: mi.isAvailable !== false,
+        autoUnavailable: mi.autoUnavailable === true,
+        portionsLeft: mi.portionsLeft == null ? null : mi.portionsLeft,
+        portions: p.portions,
+        limitingItem: p.limitingItemId ? ctx.inventoryById[p.limitingItemId].name : null,
+        reason: p.reason || null,
+      };
+    })
+    .filter(i => i.portions != null || i.autoUnavailable)
+    .sort((a, b) => (a.portions ?? Infinity) - (b.portions ?? Infinity) || a.name.localeCompare(b.name));
+  return { settings, items };
+}
+
+/**
+ * Re-evaluate availability and apply the changes. The patches are worked
+ * out again inside the transaction against the fresh menu so a concurrent
+ * menu edit is never overwritten with stale fields.
+ */
+async function refresh(restaurantId, reason = 'manual') {
+  const ctx = await loadRecipeContext(restaurantId);
+  const settings = availability.settingsFor(ctx.restaurantData);
+  if (!settings.enabled) return { enabled: false, changes: [] };
+  const excluded = directlyTrackedIds(ctx);
+
+  const restaurantRef = db.collection(collections.restaurants).doc(restaurantId);
+  const changes = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(restaurantRef);
+    if (!snap.exists) return [];
+    const menu = snap.data().menu || {};
+    const found = availability.availabilityChanges(menu.items || [], ctx, settings, excluded);
+    if (found.length === 0) return [];
+    const byId = {};
+    found.forEach(c => { byId[c.menuItemId] = c.patch; });
+    const now = new Date();
+    const apply = (mi) => (mi && byId[mi.id] ? { ...mi, ...byId[mi.id], updatedAt: now } : mi);
+    const update = { 'menu.items': (menu.items || []).map(apply), 'menu.lastUpdated': now };
+    // Older stores keep item copies under their categories too
+    if (Array.isArray(menu.categories)) {
+      update['menu.categories'] = menu.categories.map(cat => (Array.isArray(cat.items) ? { ...cat, items: cat.items.map(apply) } : cat));
+    }
+    tx.update(restaurantRef, update);
+    return found;
+  });
+  if (changes.length === 0) return { enabled: true, changes };
+
+  invalidateRestaurantCache(restaurantId);
+  const flips = changes.filter(c => c.change);
+  pushEvent(restaurantId, 'menu', 'menu-availability-updated', {
+    reason,
+    items: changes.map(c => ({ menuItemId: c.menuItemId, isAvailable: c.patch.isAvailable, portionsLeft: c.patch.portionsLeft, change: c.change })),
+  });
+  if (flips.length > 0) {
+    console.log(`🚫 Stock availability (${reason}): ${flips.map(f => `${f.name} ${f.change === '86' ? 'off' : 'back on'}`).join(', ')}`);
+    await Promise.all([
+      syncLegacyMenuItems(restaurantId, flips).catch(err => console.error('Stock availability → menuItems sync failed:', err.message)),
+      syncTalabat(restaurantId, ctx.restaurantData, flips),
+    ]);
+  }
+  return { enabled: true, changes };
+}
+
+// WhatsApp ordering lists `menuItems` docs with available == true
+async function syncLegacyMenuItems(restaurantId, flips) {
+  const snap = await db.collection(collections.menuItems).where('restaurantId', '==', restaurantId).get();
+  if (snap.empty) return;
+  const byId = {};
+  const byName = {};
+  flips.forEach(f => { byId[f.menuItemId] = f; byName[f.name.toLowerCase().trim()] = f; });
+  const batch = db.batch();
+  let writes = 0;
+  snap.docs.forEach(d => {
+    const data = d.data();
+    const f = byId[d.id] || byId[data.menuItemId] || byName[(data.name || '').toLowerCase().trim()];
+    if (!f) return;
+    const available = f.change === 'restored';
+    if (data.available === available) return;
+    batch.update(d.ref, { available, updatedAt: new Date() });
+    writes++;
+  });
+  if (writes > 0) await batch.commit();
+}
+
+// The Talabat catalog is pushed with DineOpen menu item ids as item ids
+async function syncTalabat(restaurantId, restaurantData, flips) {
+  const config = restaurantData.aggregatorConfig?.talabat;
+  if (!config || !config.enabled || !config.vendorId) return;
+  const talabatService = require('./talabatService');
+  const auth = { vendorId: config.vendorId, clientId: config.clientId, clientSecret: config.clientSecret };
+  for (const f of flips) {
+    try {
+      await talabatService.updateItemAvailability(auth, f.menuItemId, f.change === 'restored');
+    } catch (err) {
+      console.error(`Talabat availability for ${f.name} (${restaurantId}) failed:`, err.message);
+    }
+  }
+}
+
+/**
+ * Fire-and-forget wrapper for the stock hooks — availability never fails the
+ * write that moved the stock. One run per outlet at a time.
+ */
+const refreshInBackground = serialRuns('Stock availability refresh', refresh);
+
+module.exports = {
+  status,
+  refresh,
+  refreshInBackground,
+};
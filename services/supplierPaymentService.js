@@ -0,0 +1,356 @@
+const { db, collections } = require('../firebase');
+const { pushEvent } = require('./firebaseRealtimeService');
+const ledgerPostingService = require('./ledgerPostingService');
+const payables = require('../ledger/payables');
+const { round2 } = require('../billing/billingCalc');
+const { outstanding } = require('../inventory/invoiceMatch');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Supplier Payment Service
+ * Records what is paid to suppliers and applies it to their invoices
+ * (ledger/payables.js), and runs scheduled payment runs end to end:
+ * draft (due invoices picked by date and priority) → approved → exported
+ * (bank bulk-transfer CSV) → paid (one payment per supplier).
+ *
+ * A payment updates each invoice's paidAmount / paymentStatus in the same
+ * transaction; anything not allocated stays on the payment as an advance.
+ * Payments post Dr Accounts Payable / Cr Bank (or Cash) through
+ * ledgerPostingService; voiding one reverses it.
+ */
+
+const OPEN_RUN_STATUSES = ['draft', 'approved', 'exported'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+async function loadSupplier(restaurantId, supplierId) {
+  const snap = await db.collection(collections.suppliers).doc(supplierId || '-').get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw httpError(404, 'Supplier not found');
+  return { id: snap.id, ...snap.data() };
+}
+
+async function suppliersById(restaurantId) {
+  const snap = await db.collection(collections.suppliers).where('restaurantId', '==', restaurantId).get();
+  const out = {};
+  snap.docs.forEach(d => { out[d.id] = d.data(); });
+  return out;
+}
+
+async function openInvoices(restaurantId, supplierId = null) {
+  let query = db.collection(collections.supplierInvoices).where('restaurantId', '==', restaurantId);
+  if (supplierId) query = query.where('supplierId', '==', supplierId);
+  const snap = await query.get();
+  return snap.docs.map(d => ({ id: d.id, ...d.data() })).filter(i => i.paymentStatus !== 'paid');
+}
+
+async function nextNumber(collectionName, restaurantId, prefix) {
+  const snap = await db.collection(collectionName).where('restaurantId', '==', restaurantId).get();
+  return `${prefix}-${new Date().getFullYear()}-${String(snap.size + 1).padStart(4, '0')}`;
+}
+
+const parseDate = (v) => {
+  if (!v) return new Date();
+  const d = new Date(v);
+  if (isNaN(d.getTime())) throw httpError(400, 'Invalid date');
+  return d;
+};
+
+/**
+ * Apply allocations inside a transaction: re-reads the invoices and checks
+ * each amount still fits the balance. Returns the invoice updates to write.
+ */
+async function applyInTransaction(tx, allocations, sign, paymentId, now) {
+  if (allocations.length === 0) return [];
+  const refs = allocations.map(a => db.collection(collections.supplierInvoices).doc(a.invoiceId));
+  const snaps = await tx.getAll(...refs);
+  return snaps.map((snap, i) => {
+    const a = allocations[i];
+    if (!snap.exists) throw httpError(404, `Invoice ${a.invoiceNumber || a.invoiceId} not found`);
+    const invoice = snap.data();
+    if (sign > 0 && a.amount > outstanding(invoice) + 0.01) {
+      throw httpError(409, `Invoice ${a.invoiceNumber || a.invoiceId} has only ${outstanding(invoice)} left to pay`);
+    }
+    return {
+      ref: snap.ref,
+      update: { ...payables.paymentFields(invoice, sign * a.amount), lastPaymentId: paymentId, paidDate: now, updatedAt: now },
+    };
+  });
+}
+
+/**
+ * Record a payment to a supplier. body: { supplierId, amount, method,
+ * paymentDate, reference, notes, allocations?: [{ invoiceId, amount }] } —
+ * without allocations the oldest due invoices are paid first.
+ */
+async function recordPayment(restaurantId, body, user, { paymentRunId = null } = {}) {
+  const supplier = await loadSupplier(restaurantId, body.supplierId);
+  const invoices = await openInvoices(restaurantId, supplier.id);
+  const plan = payables.allocate(body.amount, invoices, body.allocations);
+  if (plan.error) throw httpError(400, plan.error);
+
+  const now = new Date();
+  const ref = db.collection(collections.supplierPayments).doc();
+  const payment = {
+    restaurantId,
+    paymentNumber: await nextNumber(collections.supplierPayments, restaurantId, 'SP'),
+    supplierId: supplier.id,
+    supplierName: supplier.name || '',
+    amount: round2(Number(body.amount)),
+    method: String(body.method || 'bank_transfer'),
+    paymentDate: parseDate(body.paymentDate),
+    reference: String(body.reference || '').trim(),
+    notes: String(body.notes || '').trim(),
+    allocations: plan.allocations,
+    appliedAmount: round2(Number(body.amount) - plan.unapplied),
+    unappliedAmount: plan.unapplied,
+    paymentRunId,
+    status: 'posted',
+    createdAt: now,
+    createdBy: user.userId,
+    updatedAt: now,
+  };
+
+  await db.runTransaction(async (tx) => {
+    const writes = await applyInTransaction(tx, plan.allocations, 1, ref.id, payment.paymentDate);
+    writes.forEach(w => tx.update(w.ref, w.update));
+    tx.set(ref, payment);
+  });
+
+  ledgerPostingService.postInBackground('supplier payment', () => ledgerPostingService.syncSupplierPayment(ref.id, payment));
+  pushEvent(restaurantId, 'inventory', 'supplier-payment-recorded', {
+    paymentId: ref.id,
+    supplierId: supplier.id,
+    amount: payment.amount,
+    invoices: plan.allocations.length,
+    advance: payment.unappliedAmount,
+  });
+  return { id: ref.id, ...payment };
+}
+
+async function loadPayment(restaurantId, paymentId) {
+  const snap = await db.collection(collections.supplierPayments).doc(paymentId).get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw httpError(404, 'Payment not found');
+  return { ref: snap.ref, data: snap.data() };
+}
+
+/** Apply (part of) an advance to invoices. body: { allocations? } as for recordPayment. */
+async function applyAdvance(restaurantId, paymentId, body, user) {
+  const { ref, data } = await loadPayment(restaurantId, paymentId);
+  if (data.status !== 'posted' || !(data.unappliedAmount > 0)) throw httpError(400, 'This payment has no advance left to apply');
+  const invoices = await openInvoices(restaurantId, data.supplierId);
+  const requested = body && body.allocations;
+  const plan = payables.allocate(data.unappliedAmount, invoices, requested);
+  if (plan.error) throw httpError(400, plan.error);
+  if (plan.allocations.length === 0) throw httpError(400, 'No open invoices to apply the advance to');
+
+  const now = new Date();
+  const update = {
+    allocations: [...(data.allocations || []), ...plan.allocations.map(a => ({ ...a, appliedAt: now, appliedBy: user.userId }))],
+    appliedAmount: round2((data.appliedAmount || 0) + data.unappliedAmount - plan.unapplied),
+    unappliedAmount: plan.unapplied,
+    updatedAt: now,
+  };
+  await db.runTransaction(async (tx) => {
+    const current = (await tx.get(ref)).data();
+    if (Math.abs((current.unappliedAmount || 0) - data.unappliedAmount) > 0.001) throw httpError(409, 'The payment changed — reload and try again');
+    const writes = await applyInTransaction(tx, plan.allocations, 1, paymentId, now);
+    writes.forEach(w => tx.update(w.ref, w.update));
+    tx.update(ref, update);
+  });
+  return { id: paymentId, ...data, ...update };
+}
+
+/** Undo a payment: invoices get their balances back and the posting is reversed. */
+async function voidPayment(restaurantId, paymentId, user, reason = '') {
+  const { ref, data } = await loadPayment(restaurantId, paymentId);
+  if (data.status === 'void') throw httpError(400, 'Payment is already void');
+  const now = new Date();
+  const update = { status: 'void', voidedAt: now, voidedBy: user.userId, voidReason: String(reason || '').trim(), updatedAt: now };
+  await db.runTransaction(async (tx) => {
+    const writes = await applyInTransaction(tx, data.allocations || [], -1, paymentId, now);
+    writes.forEach(w => tx.update(w.ref, w.update));
+    tx.update(ref, update);
+  });
+  ledgerPostingService.postInBackground('supplier payment', () => ledgerPostingService.syncSupplierPayment(paymentId, { ...data, ...update }));
+  return { id: paymentId, ...data, ...update };
+}
+
+async function listPayments(restaurantId, { supplierId = null } = {}) {
+  let query = db.collection(collections.supplierPayments).where('restaurantId', '==', restaurantId);
+  if (supplierId) query = query.where('supplierId', '==', supplierId);
+  const snap = await query.get();
+  const millis = (v) => toDate(v)?.getTime() || 0;
+  return snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => millis(b.paymentDate) - millis(a.paymentDate));
+}
+
+async function ageing(restaurantId, now = new Date()) {
+  const [invoices, payments, suppliers] = await Promise.all([
+    openInvoices(restaurantId),
+    listPayments(restaurantId),
+    suppliersById(restaurantId),
+  ]);
+  return { asOf: now, ...payables.apAgeing(invoices, payments, { now, suppliersById: suppliers }) };
+}
+
+// ── Payment runs ──────────────────────────────────────────────────
+
+async function loadRun(restaurantId, runId) {
+  const snap = await db.collection(collections.paymentRuns).doc(runId).get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw httpError(404, 'Payment run not found');
+  return { ref: snap.ref, data: snap.data() };
+}
+
+const requireStatus = (run, statuses, action) => {
+  if (!statuses.includes(run.status)) throw httpError(400, `Cannot ${action} a payment run that is ${run.status}`);
+};
+
+/** Draft a run from due invoices. body: { dueBy, paymentDate, maxAmount, supplierIds, method } */
+async function createRun(restaurantId, body, user) {
+  const [invoices, suppliers, openRuns] = await Promise.all([
+    openInvoices(restaurantId),
+    suppliersById(restaurantId),
+    db.collection(collections.paymentRuns).where('restaurantId', '==', restaurantId).where('status', 'in', OPEN_RUN_STATUSES).get(),
+  ]);
+  const excludeInvoiceIds = openRuns.docs.flatMap(d => (d.data().items || []).map(i => i.invoiceId));
+  const dueBy = parseDate(body.dueBy);
+  const selection = payables.selectForRun(invoices, {
+    dueBy,
+    maxAmount: body.maxAmount,
+    supplierIds: Array.isArray(body.supplierIds) ? body.supplierIds : null,
+    excludeInvoiceIds,
+    suppliersById: suppliers,
+  });
+
+  const now = new Date();
+  const run = {
+    restaurantId,
+    runNumber: await nextNumber(collections.paymentRuns, restaurantId, 'PAY'),
+    status: 'draft',
+    dueBy,
+    paymentDate: parseDate(body.paymentDate),
+    maxAmount: Number(body.maxAmount) > 0 ? Number(body.maxAmount) : null,
+    method: String(body.method || 'bank_transfer'),
+    items: selection.items,
+    skipped: selection.skipped,
+    totalAmount: selection.totalAmount,
+    payments: {},
+    createdAt: now,
+    createdBy: user.userId,
+    updatedAt: now,
+  };
+  const ref = await db.collection(collections.paymentRuns).add(run);
+  return { id: ref.id, ...run, payees: payables.runPayees(run, suppliers) };
+}
+
+async function getRun(restaurantId, runId) {
+  const { data } = await loadRun(restaurantId, runId);
+  return { id: runId, ...data, payees: payables.runPayees(data, await suppliersById(restaurantId)) };
+}
+
+async function listRuns(restaurantId) {
+  const snap = await db.collection(collections.paymentRuns).where('restaurantId', '==', restaurantId).get();
+  const millis = (v) => toDate(v)?.getTime() || 0;
+  return snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => millis(b.createdAt) - millis(a.createdAt));
+}
+
+/** Edit a draft: body { removeInvoiceIds, amounts: { [invoiceId]: amount }, paymentDate } */
+async function updateRun(restaurantId, runId, body, user) {
+  const { ref, data } = await loadRun(restaurantId, runId);
+  requireStatus(data, ['draft'], 'edit');
+  const remove = new Set(body.removeInvoiceIds || []);
+  const amounts = body.amounts || {};
+  const items = data.items.filter(i => !remove.has(i.invoiceId)).map(i => {
+    if (amounts[i.invoiceId] === undefined) return i;
+    const amount = round2(Number(amounts[i.invoiceId]));
+    if (!(amount > 0)) throw httpError(400, `Amount for invoice ${i.invoiceNumber || i.invoiceId} must be greater than zero`);
+    return { ...i, amount };
+  });
+  const update = {
+    items,
+    totalAmount: round2(items.reduce((s, i) => s + i.amount, 0)),
+    updatedAt: new Date(),
+    updatedBy: user.userId,
+  };
+  if (body.paymentDate) update.paymentDate = parseDate(body.paymentDate);
+  await ref.update(update);
+  return { id: runId, ...data, ...update };
+}
+
+async function approveRun(restaurantId, runId, user) {
+  const { ref, data } = await loadRun(restaurantId, runId);
+  requireStatus(data, ['draft'], 'approve');
+  if (!data.items || data.items.length === 0) throw httpError(400, 'This payment run has no invoices');
+  const update = { status: 'approved', approvedBy: user.userId, approvedAt: new Date(), updatedAt: new Date() };
+  await ref.update(update);
+  return { id: runId, ...data, ...update };
+}
+
+/** Bank bulk-transfer CSV for an approved run → { csv, run, missingBankDetails } */
+async function exportRun(restaurantId, runId, user, { currency } = {}) {
+  const { ref, data } = await loadRun(restaurantId, runId);
+  requireStatus(data, ['approved', 'exported'], 'export');
+  const suppliers = await suppliersById(restaurantId);
+  const csv = payables.bankTransferCsv(data, suppliers, { currency });
+  const missingBankDetails = payables.runPayees(data, suppliers).filter(p => p.missingBankDetails).map(p => ({ supplierId: p.supplierId, supplierName: p.supplierName }));
+  const update = { status: 'exported', exportedAt: new Date(), exportedBy: user.userId, updatedAt: new Date() };
+  await ref.update(update);
+  return { csv, run: { id: runId, ...data, ...update }, missingBankDetails };
+}
+
+/**
+ * Mark a run paid: one supplier payment per payee against exactly the run's
+ * invoices. Suppliers already paid by an earlier attempt are skipped, so a
+ * failed completion can be retried.
+ */
+async function completeRun(restaurantId, runId, user, { reference = '' } = {}) {
+  const { ref, data } = await loadRun(restaurantId, runId);
+  requireStatus(data, ['approved', 'exported'], 'complete');
+  const payments = { ...(data.payments || {}) };
+  for (const payee of payables.runPayees(data)) {
+    if (payments[payee.supplierId]) continue;
+    const items = data.items.filter(i => i.supplierId === payee.supplierId);
+    try {
+      const payment = await recordPayment(restaurantId, {
+        supplierId: payee.supplierId,
+        amount: payee.amount,
+        method: data.method,
+        paymentDate: toDate(data.paymentDate),
+        reference: reference || data.runNumber,
+        notes: `Payment run ${data.runNumber}`,
+        allocations: items.map(i => ({ invoiceId: i.invoiceId, amount: i.amount })),
+      }, user, { paymentRunId: runId });
+      payments[payee.supplierId] = payment.id;
+    } catch (err) {
+      await ref.update({ payments, updatedAt: new Date() });
+      throw httpError(err.status || 500, `Paying ${payee.supplierName || payee.supplierId} failed: ${err.message}`);
+    }
+  }
+  const update = { status: 'paid', payments, completedAt: new Date(), completedBy: user.userId, updatedAt: new Date() };
+  await ref.update(update);
+  return { id: runId, ...data, ...update };
+}
+
+async function cancelRun(restaurantId, runId, user) {
+  const { ref, data } = await loadRun(restaurantId, runId);
+  requireStatus(data, OPEN_RUN_STATUSES, 'cancel');
+  if (Object.keys(data.payments || {}).length > 0) throw httpError(400, 'Part of this run is already paid — void those payments first');
+  const update = { status: 'cancelled', cancelledBy: user.userId, cancelledAt: new Date(), updatedAt: new Date() };
+  await ref.update(update);
+  return { id: runId, ...data, ...update };
+}
+
+module.exports = {
+  recordPayment,
+  applyAdvance,
+  voidPayment,
+  listPayments,
+  ageing,
+  createRun,
+  getRun,
+  listRuns,
+  updateRun,
+  approveRun,
+  exportRun,
+  completeRun,
+  cancelRun,
+};
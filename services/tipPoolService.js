@@ -0,0 +1,209 @@
+const { db, collections } = require('../firebase');
+const tipPools = require('../billing/tipPools');
+const { toDate } = require('../utils/dates');
+const { invalidateRestaurantCache } = require('../utils/kvCache');
+
+/**
+ * Tip Pool Service
+ * Pools the tips of a cash shift when it closes (routes/shiftRoutes.js):
+ * staff clocked in during the shift (routes/attendance.js) share them under
+ * the restaurant's tipPoolSettings (billing/tipPools.js). Each closed pool is
+ * a tip-pools document keyed by the shift id, so closing twice or
+ * recalculating rewrites the same pool. Payroll runs pick up the shares of
+ * closed pools and stamp them with the run id; after that a pool is frozen.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const DAY_MS = 86400000;
+const dateStr = (d) => d.toISOString().split('T')[0];
+const iso = (v) => { const d = toDate(v); return d ? d.toISOString() : null; };
+
+async function loadRestaurant(restaurantId) {
+  const snap = await db.collection(collections.restaurants).doc(restaurantId).get();
+  if (!snap.exists) throw httpError(404, 'Restaurant not found');
+  return snap.data();
+}
+
+// Roles for staff whose clock-in didn't record one (staffUsers first, as attendance does)
+async function rolesFor(staffIds) {
+  const ids = [...new Set(staffIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+  const [staffSnaps, userSnaps] = await Promise.all([
+    db.getAll(...ids.map(id => db.collection('staffUsers').doc(id))),
+    db.getAll(...ids.map(id => db.collection('users').doc(id))),
+  ]);
+  const roles = {};
+  userSnaps.forEach(s => { if (s.exists && s.data().role) roles[s.id] = s.data().role; });
+  staffSnaps.forEach(s => { if (s.exists && s.data().role) roles[s.id] = s.data().role; });
+  return roles;
+}
+
+// Everyone clocked in during [start, end] with their hours inside it
+async function participantsFor(restaurantId, start, end) {
+  // Attendance docs are per calendar day; a shift past midnight spans two
+  const snap = await db.collection('attendance')
+    .where('restaurantId', '==', restaurantId)
+    .where('date', '>=', dateStr(new Date(start.getTime() - DAY_MS)))
+    .where('date', '<=', dateStr(end))
+    .get();
+  const records = snap.docs.map(d => d.data());
+  const missing = records.filter(r => !r.role).map(r => r.staffId);
+  return tipPools.participantsFrom(records, start, end, await rolesFor(missing));
+}
+
+function poolFields(shift, settings, participants) {
+  const cashTips = Number(shift.cashTips) || 0;
+  const cardTips = Number(shift.cardTips) || 0;
+  const totalTips = settings.includeCashTips ? cashTips + cardTips : cardTips;
+  const result = tipPools.distribute(totalTips, participants, settings);
+  return {
+    cashTips,
+    cardTips,
+    totalTips: Math.round(totalTips * 100) / 100,
+    method: settings.method,
+    rules: { method: settings.method, roleWeights: settings.roleWeights, tipOuts: settings.tipOuts, includeCashTips: settings.includeCashTips },
+    participants,
+    tipOuts: result.tipOuts,
+    poolAmount: result.poolAmount,
+    shares: result.shares,
+    staffIds: result.shares.map(s => s.staffId),
+    unallocated: result.unallocated,
+  };
+}
+
+/**
+ * Close the tip pool for a shift that has just been closed. `shift` carries
+ * the closing fields (cashTips, cardTips, closedAt). Returns the pool, or
+ * null when pooling is off for the restaurant.
+ */
+async function closeForShift(shiftId, shift, user = {}) {
+  const settings = tipPools.settingsFor(await loadRestaurant(shift.restaurantId));
+  if (!settings.enabled) return null;
+  const start = toDate(shift.openedAt);
+  const end = toDate(shift.closedAt) || new Date();
+  const participants = await participantsFor(shift.restaurantId, start, end);
+  const pool = {
+    restaurantId: shift.restaurantId,
+    shiftId,
+    shiftOpenedBy: shift.openedBy || null,
+    windowStart: start,
+    windowEnd: end,
+    ...poolFields(shift, settings, participants),
+    status: 'closed',
+    payrollRunId: null,
+    closedAt: new Date(),
+    closedBy: user.userId || user.id || null,
+    updatedAt: new Date(),
+  };
+  await db.collection(collections.tipPools).doc(shiftId).set(pool);
+  return { id: shiftId, ...pool };
+}
+
+async function loadPool(restaurantId, poolId) {
+  const snap = await db.collection(collections.tipPools).doc(poolId).get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw httpError(404, 'Tip pool not found');
+  return { id: snap.id, ...snap.data() };
+}
+
+/** Re-run a pool with the current settings and attendance (e.g. after a clock-out was corrected). */
+async function recalculate(restaurantId, poolId, user = {}) {
+  const pool = await loadPool(restaurantId, poolId);
+  if (pool.payrollRunId) throw httpError(409, 'This pool has already been paid through payroll');
+  const settings = tipPools.settingsFor(await loadRestaurant(restaurantId));
+  const participants = await participantsFor(restaurantId, toDate(pool.windowStart), toDate(pool.windowEnd));
+  const updates = {
+    ...poolFields(pool, settings, participants),
+    recalculatedAt: new Date(),
+    recalculatedBy: user.userId || null,
+    updatedAt: new Date(),
+  };
+  await db.collection(collections.tipPools).doc(poolId).update(updates);
+  return { ...pool, ...updates };
+}
+
+async function listPools(restaurantId, { from, to, status } = {}) {
+  const snap = await db.collection(collections.tipPools).where('restaurantId', '==', restaurantId).get();
+  const fromDate = from ? new Date(from) : null;
+  const toDateLimit = to ? new Date(to) : null;
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(p => !status || p.status === status)
+    .filter(p => {
+      const end = toDate(p.windowEnd);
+      return (!fromDate || end >= fromDate) && (!toDateLimit || end <= toDateLimit);
+    })
+    .sort((a, b) => toDate(b.windowEnd) - toDate(a.windowEnd));
+}
+
+/** A staff member's pooled tips over an optional date range. */
+async function statement(restaurantId, staffId, { from, to } = {}) {
+  const snap = await db.collection(collections.tipPools).where('staffIds', 'array-contains', staffId).get();
+  const fromDate = from ? new Date(from) : null;
+  const toDateLimit = to ? new Date(to) : null;
+  const pools = snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(p => p.restaurantId === restaurantId)
+    .filter(p => {
+      const end = toDate(p.windowEnd);
+      return (!fromDate || end >= fromDate) && (!toDateLimit || end <= toDateLimit);
+    })
+    .sort((a, b) => toDate(a.windowEnd) - toDate(b.windowEnd))
+    .map(p => ({ ...p, closedAt: iso(p.closedAt), windowEnd: iso(p.windowEnd) }));
+  return tipPools.staffStatement(pools, staffId);
+}
+
+async function getSettings(restaurantId) {
+  return tipPools.settingsFor(await loadRestaurant(restaurantId));
+}
+
+async function updateSettings(restaurantId, body = {}, user = {}) {
+  const errors = tipPools.validateSettings(body);
+  if (errors.length > 0) throw httpError(400, errors.join('; '));
+  const current = (await loadRestaurant(restaurantId)).tipPoolSettings || {};
+  const merged = { ...current };
+  ['enabled', 'method', 'roleWeights', 'eligibleRoles', 'tipOuts', 'includeCashTips', 'excludedRoles']
+    .forEach(k => { if (body[k] !== undefined) merged[k] = body[k]; });
+  const settings = tipPools.settingsFor({ tipPoolSettings: merged });
+  await db.collection(collections.restaurants).doc(restaurantId).update({
+    tipPoolSettings: settings,
+    updatedAt: new Date(),
+    updatedBy: user.userId || null,
+  });
+  invalidateRestaurantCache(restaurantId);
+  return settings;
+}
+
+/**
+ * Closed pools up to `until` not yet paid → { tipsByStaff, names, poolIds }.
+ * Pools closed late still land in the next run rather than being missed.
+ */
+async function pendingForPayroll(restaurantId, until) {
+  const snap = await db.collection(collections.tipPools)
+    .where('restaurantId', '==', restaurantId)
+    .where('status', '==', 'closed')
+    .get();
+  const pools = snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(p => !p.payrollRunId && toDate(p.windowEnd) <= until);
+  const names = {};
+  pools.forEach(p => (p.shares || []).forEach(s => { names[s.staffId] = names[s.staffId] || s.name || ''; }));
+  return { tipsByStaff: tipPools.tipsForPayroll(pools), names, poolIds: pools.map(p => p.id) };
+}
+
+/** Stamp pools with the payroll run that pays them (on the run's write batch). */
+function markInPayrollRun(batch, poolIds, runId) {
+  poolIds.forEach(id => batch.update(db.collection(collections.tipPools).doc(id), { payrollRunId: runId, updatedAt: new Date() }));
+}
+
+module.exports = {
+  closeForShift,
+  recalculate,
+  getPool: loadPool,
+  listPools,
+  statement,
+  getSettings,
+  updateSettings,
+  pendingForPayroll,
+  markInPayrollRun,
+};
@@ -0,0 +1,258 @@
+const { db, collections } = require('../firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const { pushEvent } = require('./firebaseRealtimeService');
+const traceability = require('../inventory/traceability');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Traceability Service
+ * Lot tracing over stockBatches and the batch allocations recorded on
+ * inventoryTransactions (inventory/traceability.js), and batch recalls.
+ *
+ * Forward trace follows a batch into the orders that used it, then into
+ * outlet batches made from it (central-kitchen distribution) and their
+ * orders in turn. A recall quarantines the batch and everything downstream
+ * of it, takes the quarantined stock off currentStock, and keeps the list
+ * of customers to contact on a batch-recalls document.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// How many distribution hops a trace follows (CK → outlet → …)
+const MAX_DEPTH = 3;
+
+const docsOf = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+async function loadBatch(restaurantId, batchId) {
+  const snap = await db.collection(collections.stockBatches).doc(batchId).get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw httpError(404, 'Batch not found');
+  return { id: snap.id, ...snap.data() };
+}
+
+async function getMany(collection, ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return {};
+  const snaps = await db.getAll(...unique.map(id => db.collection(collection).doc(id)));
+  const byId = {};
+  snaps.forEach(s => { if (s.exists) byId[s.id] = { id: s.id, ...s.data() }; });
+  return byId;
+}
+
+// The batch and every outlet batch made from it, breadth first
+async function lotTree(batch) {
+  const lots = [{ ...batch, depth: 0, parentBatchId: null }];
+  let frontier = [batch];
+  for (let depth = 1; depth <= MAX_DEPTH && frontier.length > 0; depth++) {
+    const next = [];
+    for (const parent of frontier) {
+      const snap = await db.collection(collections.stockBatches).where('sourceBatchIds', 'array-contains', parent.id).get();
+      docsOf(snap).forEach(child => {
+        if (lots.some(l => l.id === child.id)) return;
+        const lot = { ...child, depth, parentBatchId: parent.id };
+        lots.push(lot);
+        next.push(lot);
+      });
+    }
+    frontier = next;
+  }
+  return lots;
+}
+
+async function traceLot(lot, lots) {
+  const txSnap = await db.collection(collections.inventoryTransactions).where('batchIds', 'array-contains', lot.id).get();
+  const transactions = docsOf(txSnap);
+  const orders = await getMany(collections.orders, transactions.filter(t => t.source === 'ORDER').map(t => t.orderId));
+  const childBatches = lots.filter(l => l.parentBatchId === lot.id);
+
+  // Internal transfers move the whole item between locations without batch
+  // ids, so any transfer of the item after the lot arrived is a possible path
+  let transfers = [];
+  if (lot.depth === 0) {
+    const since = toDate(lot.createdAt);
+    const trSnap = await db.collection(collections.stockTransfers).where('restaurantId', '==', lot.restaurantId).get();
+    transfers = docsOf(trSnap).filter(t =>
+      (t.items || []).some(i => i.inventoryItemId === lot.inventoryItemId) &&
+      (!since || (toDate(t.createdAt) || 0) >= since)
+    );
+  }
+  return traceability.forwardTrace({ batch: lot, transactions, orders: Object.values(orders), childBatches, transfers });
+}
+
+/**
+ * Where a batch went → { ...forwardTrace of the batch, downstream: [traces
+ * of outlet batches], customers (all levels) }.
+ */
+async function forwardTrace(restaurantId, batchId) {
+  const batch = await loadBatch(restaurantId, batchId);
+  return traceTree(await lotTree(batch));
+}
+
+async function traceTree(lots) {
+  const traces = [];
+  for (const lot of lots) {
+    const trace = await traceLot(lot, lots);
+    traces.push({ ...trace, restaurantId: lot.restaurantId, depth: lot.depth, parentBatchId: lot.parentBatchId });
+  }
+  const [root, ...downstream] = traces;
+  const allOrders = traces.flatMap(t => t.orders.map(o => ({ ...o, ...(o.customer ? { customerInfo: o.customer, customerId: o.customer.customerId } : {}), id: o.orderId })));
+  return {
+    ...root,
+    downstream,
+    customers: traceability.affectedCustomers(allOrders),
+    orderCount: allOrders.length,
+  };
+}
+
+/** Where an order's ingredients came from: batches → GRN → supplier. */
+async function backwardTrace(restaurantId, orderId) {
+  const orderSnap = await db.collection(collections.orders).doc(orderId).get();
+  if (!orderSnap.exists || orderSnap.data().restaurantId !== restaurantId) throw httpError(404, 'Order not found');
+  const order = orderSnap.data();
+
+  const txSnap = await db.collection(collections.inventoryTransactions)
+    .where('restaurantId', '==', restaurantId)
+    .where('orderId', '==', orderId)
+    .get();
+  const transactions = docsOf(txSnap);
+  const batches = await getMany(collections.stockBatches, transactions.flatMap(t => t.batchIds || []));
+
+  // Outlet batches received from a central kitchen point at the kitchen's
+  // own batches; pull those in so the chain reaches the original GRN
+  const parents = await getMany(collections.stockBatches, Object.values(batches).flatMap(b => b.sourceBatchIds || []));
+  Object.assign(batches, parents);
+
+  const grns = await getMany(collections.goodsReceiptNotes, Object.values(batches).map(b => b.grnId));
+  const suppliers = await getMany(collections.suppliers, [
+    ...Object.values(batches).map(b => b.supplierId),
+    ...Object.values(grns).map(g => g.supplierId),
+  ]);
+
+  return {
+    order: {
+      id: orderId,
+      orderNumber: order.orderNumber || order.dailyOrderNumber || null,
+      createdAt: toDate(order.createdAt),
+      status: order.status || null,
+      customer: traceability.customerOf(order),
+    },
+    ingredients: traceability.backwardTrace({ transactions, batches, grns, suppliers }),
+    sourceBatches: Object.values(parents).map(b => ({ id: b.id, batchNumber: b.batchNumber || '', restaurantId: b.restaurantId, grnId: b.grnId || null })),
+  };
+}
+
+/** Stock batches of the restaurant; ?inventoryItemId, ?status, ?batchNumber filter. */
+async function listBatches(restaurantId, { inventoryItemId = null, status = null, batchNumber = null } = {}) {
+  let query = db.collection(collections.stockBatches).where('restaurantId', '==', restaurantId);
+  if (inventoryItemId) query = query.where('inventoryItemId', '==', inventoryItemId);
+  const snap = await query.get();
+  const needle = batchNumber ? String(batchNumber).toLowerCase() : null;
+  return docsOf(snap)
+    .filter(b => !status || (b.status || 'active') === status)
+    .filter(b => !needle || String(b.batchNumber || '').toLowerCase().includes(needle))
+    .sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0));
+}
+
+/**
+ * Recall a batch: quarantine it and every outlet batch made from it, take
+ * their remaining stock off the items' currentStock, and record the
+ * customers who were served from them.
+ */
+async function recall(restaurantId, batchId, user, { reason = '' } = {}) {
+  if (!String(reason || '').trim()) throw httpError(400, 'A recall reason is required');
+  const batch = await loadBatch(restaurantId, batchId);
+  if (batch.status === 'quarantined' && batch.recallId) throw httpError(409, 'This batch is already recalled');
+
+  const lots = await lotTree(batch);
+  const trace = await traceTree(lots);
+  const now = new Date();
+  const recallRef = db.collection(collections.batchRecalls).doc();
+  const write = db.batch();
+  const quarantined = [];
+  const touchedRestaurants = new Set();
+
+  for (const lot of lots) {
+    if (lot.status === 'quarantined') continue;
+    const qty = lot.status === 'depleted' ? 0 : Math.max(0, Number(lot.remainingQty) || 0);
+    write.update(db.collection(collections.stockBatches).doc(lot.id), {
+      status: 'quarantined',
+      quarantinedQty: qty,
+      remainingQty: 0,
+      recallId: recallRef.id,
+      quarantinedAt: now,
+      updatedAt: now,
+    });
+    if (qty > 0 && lot.inventoryItemId) {
+      write.update(db.collection(collections.inventory).doc(lot.inventoryItemId), {
+        currentStock: FieldValue.increment(-qty),
+        updatedAt: now,
+      });
+      write.set(db.collection(collections.inventoryTransactions).doc(), {
+        restaurantId: lot.restaurantId,
+        inventoryItemId: lot.inventoryItemId,
+        inventoryItemName: lot.inventoryItemName || lot.itemName || '',
+        type: 'ADJUSTMENT',
+        source: 'RECALL',
+        referenceId: recallRef.id,
+        quantityChange: -qty,
+        unit: lot.unit || '',
+        batchIds: [lot.id],
+        batchAllocations: [{ batchId: lot.id, batchNumber: lot.batchNumber || '', quantity: qty }],
+        performedBy: user.userId,
+        notes: `Quarantined — recall of batch ${batch.batchNumber || batch.id}`,
+        date: now,
+      });
+      touchedRestaurants.add(lot.restaurantId);
+    }
+    quarantined.push({ batchId: lot.id, batchNumber: lot.batchNumber || '', restaurantId: lot.restaurantId, quantity: qty, depth: lot.depth });
+  }
+
+  const recallDoc = {
+    restaurantId,
+    batchId,
+    batchNumber: batch.batchNumber || '',
+    inventoryItemId: batch.inventoryItemId || null,
+    inventoryItemName: batch.inventoryItemName || batch.itemName || '',
+    grnId: batch.grnId || null,
+    supplierId: batch.supplierId || null,
+    reason: String(reason).trim(),
+    status: 'open',
+    quarantined,
+    quarantinedQty: quarantined.reduce((s, q) => s + q.quantity, 0),
+    orderIds: [...new Set([...trace.orders, ...trace.downstream.flatMap(t => t.orders)].map(o => o.orderId))],
+    customers: trace.customers,
+    outlets: [...new Set(lots.filter(l => l.depth > 0).map(l => l.restaurantId))],
+    createdBy: user.userId,
+    createdByEmail: user.email || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  write.set(recallRef, recallDoc);
+  await write.commit();
+
+  try {
+    const { invalidateInventoryCache } = require('../utils/kvCache');
+    touchedRestaurants.forEach(id => invalidateInventoryCache(id));
+  } catch (_) {}
+  pushEvent(restaurantId, 'inventory', 'batch-recalled', {
+    recallId: recallRef.id,
+    batchId,
+    batchNumber: recallDoc.batchNumber,
+    inventoryItemName: recallDoc.inventoryItemName,
+    customerCount: recallDoc.customers.length,
+  });
+
+  return { id: recallRef.id, ...recallDoc };
+}
+
+async function listRecalls(restaurantId) {
+  const snap = await db.collection(collections.batchRecalls).where('restaurantId', '==', restaurantId).get();
+  return docsOf(snap).sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0));
+}
+
+module.exports = {
+  forwardTrace,
+  backwardTrace,
+  listBatches,
+  recall,
+  listRecalls,
+};
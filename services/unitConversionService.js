@@ -0,0 +1,114 @@
+const { db, collections } = require('../firebase');
+const units = require('../inventory/units');
+
+/**
+ * Unit Conversion Service
+ * Per-item units (inventory/units.js) applied to documents that carry
+ * quantities: recipe ingredients, PO lines and GRN lines. Lines are checked
+ * against their inventory item so a quantity in cases, sacks or cups is
+ * either converted to the stock unit or rejected up front — never added to
+ * stock raw.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+async function loadItems(restaurantId, ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return {};
+  const snaps = await db.getAll(...unique.map(id => db.collection(collections.inventory).doc(id)));
+  const byId = {};
+  snaps.forEach(s => {
+    if (s.exists && s.data().restaurantId === restaurantId) byId[s.id] = { id: s.id, ...s.data() };
+  });
+  return byId;
+}
+
+/**
+ * Fill in missing units on `lines` (in place) from the item's `defaultField`
+ * (stock unit, or recipeUnit for recipes) and check each converts to the
+ * item's stock unit → { itemsById, errors }. Lines without an
+ * inventoryItemId, or whose item is gone, are left alone.
+ */
+async function resolveLineUnits(restaurantId, lines, { defaultField = 'unit', unitKey = 'unit', nameKey = 'inventoryItemName' } = {}) {
+  const itemsById = await loadItems(restaurantId, (lines || []).map(l => l.inventoryItemId));
+  const errors = [];
+  (lines || []).forEach(line => {
+    const item = itemsById[line.inventoryItemId];
+    if (!item) return;
+    if (!line[unitKey]) line[unitKey] = item[defaultField] || item.unit || '';
+    const conv = units.convertForItem(1, line[unitKey], item);
+    if (!conv.converted) {
+      const name = line[nameKey] || item.name || line.inventoryItemId;
+      errors.push(conv.reason === 'unknown-unit'
+        ? `${name}: "${line[unitKey]}" is not a known unit for this item`
+        : `${name}: "${line[unitKey]}" cannot be converted to its stock unit "${item.unit}"`);
+    }
+  });
+  return { itemsById, errors };
+}
+
+/** Preview a conversion for one item → { quantity, unit, value, toUnit }. */
+async function convert(restaurantId, { inventoryItemId, quantity, fromUnit, toUnit }) {
+  const item = (await loadItems(restaurantId, [inventoryItemId]))[inventoryItemId];
+  if (!item) throw httpError(404, 'Inventory item not found');
+  const qty = Number(quantity);
+  if (!Number.isFinite(qty)) throw httpError(400, 'quantity must be a number');
+  const target = toUnit || item.unit;
+  const conv = units.convertForItem(qty, fromUnit || item.unit, item, target);
+  if (!conv.converted) throw httpError(400, `Cannot convert ${fromUnit} to ${target} for ${item.name} (${conv.reason})`);
+  return { quantity: qty, unit: fromUnit || item.unit, value: conv.value, toUnit: target };
+}
+
+/** The item's unit table and raw conversion settings. */
+async function itemUnits(restaurantId, itemId) {
+  const item = (await loadItems(restaurantId, [itemId]))[itemId];
+  if (!item) throw httpError(404, 'Inventory item not found');
+  return {
+    inventoryItemId: itemId,
+    name: item.name || '',
+    unit: item.unit || '',
+    purchaseUnit: item.purchaseUnit || item.unit || '',
+    recipeUnit: item.recipeUnit || item.unit || '',
+    density: item.density ?? null,
+    unitConversions: units.conversionsOf(item),
+    table: units.unitTable(item),
+    errors: units.validateItemUnits(item),
+  };
+}
+
+/**
+ * Move the restaurant's items onto per-item units (units.migrateItemUnits).
+ * `dryRun` reports what would change without writing.
+ */
+async function migrate(restaurantId, { dryRun = false } = {}, user = {}) {
+  const snap = await db.collection(collections.inventory).where('restaurantId', '==', restaurantId).get();
+  const items = [];
+  let batch = db.batch();
+  let pending = 0;
+  let updated = 0;
+  for (const doc of snap.docs) {
+    const { updates, errors } = units.migrateItemUnits(doc.data());
+    if (!updates && errors.length === 0) continue;
+    items.push({ id: doc.id, name: doc.data().name || '', updates, errors });
+    if (dryRun || !updates) continue;
+    batch.update(doc.ref, { ...updates, unitsMigratedAt: new Date(), updatedAt: new Date(), updatedBy: user.userId || null });
+    updated++;
+    if (++pending === 400) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+  if (pending > 0) await batch.commit();
+  if (updated > 0) {
+    try { require('../utils/kvCache').invalidateInventoryCache(restaurantId); } catch (_) {}
+  }
+  return { dryRun: !!dryRun, scanned: snap.size, updated, items };
+}
+
+module.exports = {
+  resolveLineUnits,
+  convert,
+  itemUnits,
+  migrate,
+};
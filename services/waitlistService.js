@@ -0,0 +1,208 @@
+const { db, collections } = require('../firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const { pushEvent } = require('./firebaseRealtimeService');
+const guestWhatsApp = require('./guestWhatsApp');
+const { kvGet, kvSet, getCachedRestDoc } = require('../utils/kvCache');
+const waitlist = require('../tables/waitlist');
+const { toDate } = require('../utils/dates');
+
+/**
+ * Waitlist Service
+ * Predicted waits for the walk-in waitlist (tables/waitlist.js) from the
+ * live floor plan and the restaurant's historical turn times, the guest's
+ * public status page, and WhatsApp: the "table ready" alert, the quote sent
+ * when a party is added, and inbound replies ("cancel", "5 min late")
+ * routed here from the automation webhook.
+ */
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const WAITLIST = 'waitlist';
+// Turn times are learnt over this many days and cached for TURN_CACHE_SECONDS
+const HISTORY_DAYS = 28;
+const TURN_CACHE_SECONDS = 900;
+
+const statusLink = (entryId) => `${process.env.FRONTEND_URL || 'https://www.dineopen.com'}/waitlist-status/${entryId}`;
+
+async function loadRestaurant(restaurantId) {
+  const doc = await getCachedRestDoc(db, collections.restaurants, restaurantId);
+  return doc.exists ? doc.data() : {};
+}
+
+const restaurantNameOf = (r) => r.name || r.restaurantName || 'the restaurant';
+
+async function loadTables(restaurantId) {
+  const floorsSnap = await db.collection(collections.restaurants).doc(restaurantId).collection('floors').get();
+  const snaps = await Promise.all(floorsSnap.docs.map(f => f.ref.collection('tables').get()));
+  return snaps.flatMap(s => s.docs.map(d => ({ id: d.id, ...d.data() })));
+}
+
+async function activeEntries(restaurantId) {
+  // Single-field query + JS filter/sort → no composite index needed.
+  const snap = await db.collection(WAITLIST).where('restaurantId', '==', restaurantId).get();
+  const toMs = (v) => toDate(v)?.getTime() || 0;
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(e => waitlist.ACTIVE_STATUSES.includes(e.status))
+    .sort((a, b) => toMs(a.createdAt) - toMs(b.createdAt));
+}
+
+/** Historical turn times for the restaurant (cached). */
+async function turnProfile(restaurantId) {
+  const key = `waitlist:turns:${restaurantId}`;
+  const cached = await kvGet(key);
+  if (cached) return cached;
+  const since = new Date(Date.now() - HISTORY_DAYS * 86400000);
+  let orders = [];
+  try {
+    const snap = await db.collection(collections.orders)
+      .where('restaurantId', '==', restaurantId)
+      .where('createdAt', '>=', since)
+      .select('createdAt', 'completedAt', 'status', 'tableNumber', 'tableId', 'covers')
+      .limit(5000)
+      .get();
+    orders = snap.docs.map(d => d.data());
+  } catch (err) {
+    // No history → default turn times; never block the host stand
+    console.error('Waitlist turn-time history error:', err.message);
+  }
+  const profile = waitlist.turnProfile(orders);
+  await kvSet(key, profile, TURN_CACHE_SECONDS);
+  return profile;
+}
+
+/**
+ * Active entries with their predicted wait →
+ * { entries: [{ ...entry, position, predictedWaitMinutes, predictedTable }], turnProfile }.
+ */
+async function predict(restaurantId, { extra = null } = {}) {
+  const [tables, entries, profile] = await Promise.all([loadTables(restaurantId), activeEntries(restaurantId), turnProfile(restaurantId)]);
+  const queue = extra ? [...entries, extra] : entries;
+  const predictions = waitlist.predictWaits({ tables, queue, profile, now: new Date() });
+  const byId = Object.fromEntries(predictions.map(p => [p.entryId, p]));
+  return {
+    entries: queue.map(e => {
+      const p = byId[e.id] || {};
+      return { ...e, position: p.position || null, predictedWaitMinutes: p.predictedWaitMinutes ?? null, predictedTable: p.tableName || null };
+    }),
+    turnProfile: profile,
+  };
+}
+
+/** What to quote a new party of `partySize` right now. */
+async function quote(restaurantId, partySize) {
+  const size = Math.max(1, Number(partySize) || 1);
+  const { entries, turnProfile: profile } = await predict(restaurantId, { extra: { id: '__new__', partySize: size, status: 'waiting' } });
+  const mine = entries.find(e => e.id === '__new__');
+  return {
+    partySize: size,
+    position: mine.position,
+    predictedWaitMinutes: mine.predictedWaitMinutes,
+    quotedWait: waitlist.quoteMinutes(mine.predictedWaitMinutes),
+    predictedTable: mine.predictedTable,
+    noTableFits: mine.predictedWaitMinutes == null,
+    turnProfile: profile,
+  };
+}
+
+/** The guest's status page — the unguessable entry id is the access token. */
+async function publicStatus(entryId) {
+  const doc = await db.collection(WAITLIST).doc(entryId).get();
+  if (!doc.exists) throw httpError(404, 'Waitlist entry not found');
+  const entry = { id: doc.id, ...doc.data() };
+  const restaurant = await loadRestaurant(entry.restaurantId);
+  let prediction = null;
+  if (waitlist.ACTIVE_STATUSES.includes(entry.status)) {
+    const { entries } = await predict(entry.restaurantId);
+    const mine = entries.find(e => e.id === entryId);
+    if (mine) prediction = { position: mine.position, predictedWaitMinutes: mine.predictedWaitMinutes };
+  }
+  return waitlist.statusView(entry, prediction, restaurant);
+}
+
+// ── WhatsApp ──────────────────────────────────────────────────────
+
+// Messages go out through services/guestWhatsApp.js and are logged as 'whatsapp_waitlist'
+const send = (restaurantId, waPhone, entry, message, credentials) => guestWhatsApp.send({
+  restaurantId, type: 'whatsapp_waitlist', phone: waPhone, customerName: entry.name, message, credentials,
+});
+
+/** Tell a waiting party their table is ready. */
+async function notifyReady(restaurantId, entryId) {
+  const entryDoc = await db.collection(WAITLIST).doc(entryId).get();
+  if (!entryDoc.exists) throw httpError(404, 'Waitlist entry not found.');
+  const entry = entryDoc.data();
+  if (!entry.phone) throw httpError(400, 'No phone number on file for this guest.');
+  const restaurant = await loadRestaurant(restaurantId);
+  const credentials = await guestWhatsApp.credentialsForRestaurant(restaurantId);
+  const message = `Hi ${entry.name}! 🎉 Your table at ${restaurantNameOf(restaurant)} is ready. Please head over to the host stand.`;
+  await send(restaurantId, guestWhatsApp.formatPhone(entry.phone, restaurant), entry, message, credentials);
+  await db.collection(WAITLIST).doc(entryId).update({ status: 'notified', notifiedAt: new Date() });
+}
+
+/** Confirm a new party's place and quoted wait, with their status link and how to reply. */
+async function sendQuote(restaurantId, entryId, entry) {
+  const restaurant = await loadRestaurant(restaurantId);
+  const credentials = await guestWhatsApp.credentialsForRestaurant(restaurantId);
+  const wait = entry.quotedWait != null ? ` Your estimated wait is about ${entry.quotedWait} min.` : '';
+  const message = `Hi ${entry.name}! You're on the waitlist at ${restaurantNameOf(restaurant)} (party of ${entry.partySize}).${wait}`
+    + `\n\nTrack your place: ${statusLink(entryId)}`
+    + `\n\nReply CANCEL to leave the list, or e.g. "10 min late" if you're running behind.`;
+  await send(restaurantId, guestWhatsApp.formatPhone(entry.phone, restaurant), entry, message, credentials);
+  await db.collection(WAITLIST).doc(entryId).update({ quoteSentAt: new Date() });
+}
+
+/**
+ * Inbound WhatsApp text from `from` to a restaurant's number (automation
+ * webhook). Applies the guest's reply to their active waitlist entry and
+ * answers them → { entryId, action } or null when it isn't a waitlist reply.
+ */
+async function handleInboundReply({ restaurantId, from, text, setting }) {
+  const reply = waitlist.parseReply(text);
+  if (!restaurantId || !reply) return null;
+  const key = waitlist.phoneKey(from);
+  const entries = (await activeEntries(restaurantId)).filter(e => e.phone && waitlist.phoneKey(e.phone) === key);
+  if (entries.length === 0) return null;
+  const entry = entries[entries.length - 1];
+  const ref = db.collection(WAITLIST).doc(entry.id);
+  const now = new Date();
+  const restaurant = await loadRestaurant(restaurantId);
+  const name = restaurantNameOf(restaurant);
+
+  const update = { updatedAt: now, replies: FieldValue.arrayUnion({ text: String(text).slice(0, 500), action: reply.action, at: now }) };
+  let answer;
+  if (reply.action === 'cancel') {
+    Object.assign(update, { status: 'cancelled', cancelledAt: now, cancelledVia: 'whatsapp' });
+    answer = `You've been removed from the waitlist at ${name}. Hope to see you another time!`;
+  } else if (reply.action === 'late') {
+    Object.assign(update, { lateByMinutes: reply.minutes, expectedArrivalAt: new Date(now.getTime() + reply.minutes * 60000) });
+    answer = `Thanks for letting us know — we've noted you'll be about ${reply.minutes} min late. We'll hold your place as long as we can.`;
+  } else if (reply.action === 'confirm') {
+    update.confirmedAt = now;
+    answer = `Great, see you soon at ${name}!`;
+  } else {
+    const { entries: predicted } = await predict(restaurantId);
+    const mine = predicted.find(e => e.id === entry.id) || {};
+    const wait = waitlist.quoteMinutes(mine.predictedWaitMinutes);
+    answer = entry.status === 'notified'
+      ? `Your table at ${name} is ready — please head over to the host stand.`
+      : `You're #${mine.position || '?'} on the list at ${name}${wait != null ? `, about ${wait} min to go` : ''}. ${statusLink(entry.id)}`;
+  }
+  await ref.update(update);
+
+  pushEvent(restaurantId, 'tables', 'waitlist-updated', { entryId: entry.id, action: reply.action, minutes: reply.minutes || null }).catch(() => {});
+  if (setting) {
+    send(restaurantId, String(from).replace(/\D/g, ''), entry, answer, guestWhatsApp.credentialsFor(setting))
+      .catch(err => console.error('Waitlist reply send error:', err.message));
+  }
+  return { entryId: entry.id, action: reply.action };
+}
+
+module.exports = {
+  predict,
+  quote,
+  publicStatus,
+  notifyReady,
+  sendQuote,
+  handleInboundReply,
+};
@@ -0,0 +1,76 @@
+/**
+ * ZATCA Fatoora reporting API (simplified invoices must be reported within
+ * 24 hours of issue).
+ *
+ *   POST {base}/invoices/reporting/single
+ *   Authorization: Basic base64(binarySecurityToken:secret)   — the CSID
+ *   Accept-Version: V2, Clearance-Status: 0
+ *   { invoiceHash, uuid, invoice: base64(xml) }
+ *
+ * 200 → REPORTED, 202 → REPORTED with warnings, 400 → NOT_REPORTED with
+ * validationResults.errorMessages. Anything else is a transport failure and
+ * throws, so the invoice stays pending for a retry.
+ */
+
+'use strict';
+
+const BASE_URLS = {
+  sandbox: 'https://gw-fatoora.zatca.gov.sa/e-invoicing/developer-portal',
+  simulation: 'https://gw-fatoora.zatca.gov.sa/e-invoicing/simulation',
+  production: 'https://gw-fatoora.zatca.gov.sa/e-invoicing/core',
+};
+
+const TIMEOUT_MS = 30000;
+
+function messages(list) {
+  return (Array.isArray(list) ? list : []).map(m => ({ code: m.code || '', message: m.message || '' }));
+}
+
+async function report({ invoiceHash, uuid, xml }, { config = {}, credentials = {} } = {}) {
+  const base = BASE_URLS[config.environment] || BASE_URLS.sandbox;
+  if (!credentials.binarySecurityToken || !credentials.secret) {
+    throw new Error('ZATCA CSID token and secret are not configured');
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(`${base}/invoices/reporting/single`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'Accept-Language': 'en',
+        'Accept-Version': 'V2',
+        'Clearance-Status': '0',
+        Authorization: `Basic ${Buffer.from(`${credentials.binarySecurityToken}:${credentials.secret}`).toString('base64')}`,
+      },
+      body: JSON.stringify({ invoiceHash, uuid, invoice: Buffer.from(xml, 'utf8').toString('base64') }),
+      signal: controller.signal,
+    });
+
+    let body = {};
+    try { body = await response.json(); } catch (_) { body = {}; }
+    const results = body.validationResults || {};
+
+    if (response.status === 200 || response.status === 202 || response.status === 400) {
+      return {
+        status: body.reportingStatus || (response.status === 400 ? 'NOT_REPORTED' : 'REPORTED'),
+        warnings: messages(results.warningMessages),
+        errors: messages(results.errorMessages),
+      };
+    }
+    throw new Error(`ZATCA reporting returned HTTP ${response.status}`);
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error('ZATCA reporting timed out');
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  name: 'fatoora',
+  BASE_URLS,
+  report,
+};
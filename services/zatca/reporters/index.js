@@ -0,0 +1,21 @@
+/**
+ * ZATCA reporting adapters. Each exposes
+ *   report({ invoiceHash, uuid, xml }, { config, credentials }) → { status, warnings, errors }
+ * where status is 'REPORTED' or 'NOT_REPORTED'; a transport failure throws.
+ */
+
+'use strict';
+
+const REPORTERS = {
+  mock: require('./mockReporter'),
+  fatoora: require('./fatooraReporter'),
+};
+
+function getReporter(name) {
+  return REPORTERS[name] || null;
+}
+
+module.exports = {
+  REPORTER_NAMES: Object.keys(REPORTERS),
+  getReporter,
+};
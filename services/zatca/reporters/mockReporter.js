@@ -0,0 +1,20 @@
+/**
+ * Local stand-in for the ZATCA reporting API — accepts every well-formed
+ * submission. Used in development and tests, and as the default until the
+ * EGS unit has a production CSID.
+ */
+
+'use strict';
+
+async function report({ invoiceHash, uuid, xml }) {
+  const errors = [];
+  if (!invoiceHash) errors.push({ code: 'invoiceHash', message: 'Invoice hash is required' });
+  if (!uuid) errors.push({ code: 'uuid', message: 'UUID is required' });
+  if (!xml || !xml.includes('<Invoice')) errors.push({ code: 'invoice', message: 'Invoice XML is required' });
+  return { status: errors.length ? 'NOT_REPORTED' : 'REPORTED', warnings: [], errors };
+}
+
+module.exports = {
+  name: 'mock',
+  report,
+};
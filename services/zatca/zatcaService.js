@@ -0,0 +1,343 @@
+/**
+ * Saudi ZATCA Phase 2 (Fatoora) — server-side orchestration.
+ *
+ *  - Gated on isSaudi(): every other store is untouched.
+ *  - Each restaurant is one EGS unit (e-invoice generation solution). Its
+ *    private key, CSID certificate/secret, invoice counter (ICV) and last
+ *    invoice hash (PIH chain) live in `zatcaEgsUnits/{restaurantId}` — never
+ *    on the restaurant doc, which is sent to clients as-is.
+ *  - Signing an order reserves the next ICV and chains the hash in ONE
+ *    transaction, so two bills can never share a counter or break the chain.
+ *    The signed XML is kept in `zatcaInvoices/{orderId}`; the order gets a
+ *    small `zatca` summary (uuid, icv, hash, QR, reporting status) for printing.
+ *  - Reporting goes through an adapter (services/zatca/reporters): 'fatoora'
+ *    for the real API, 'mock' for dev/tests. A failed report leaves the
+ *    invoice 'pending' for report-pending to retry.
+ *
+ * XML, hash, stamp and QR building: zatca/invoice.js (pure).
+ * Errors carry `status` (HTTP status to return) and optionally `details`.
+ */
+
+'use strict';
+
+const { db, collections } = require('../../firebase');
+const { signInvoice, validateSeller, INITIAL_PIH } = require('../../zatca/invoice');
+const signing = require('../../zatca/signing');
+const { ianaToTzOffset } = require('../../utils/timezone');
+const { REPORTER_NAMES, getReporter } = require('./reporters');
+
+const ENVIRONMENTS = ['sandbox', 'simulation', 'production'];
+const SIGNABLE_STATUSES = ['completed', 'paid', 'settled'];
+const PENDING_BATCH_LIMIT = 50;
+
+function isSaudi(restaurantData) {
+  const cs = restaurantData && restaurantData.currencySettings;
+  if (!cs) return false;
+  return cs.countryCode === 'SA' || cs.currencyCode === 'SAR';
+}
+
+function fail(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+function egsRef(restaurantId) {
+  return db.collection(collections.zatcaEgsUnits).doc(restaurantId);
+}
+
+async function getEgs(restaurantId) {
+  const snap = await egsRef(restaurantId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// ── Config ────────────────────────────────────────────────────────
+
+/** Seller block for the invoice from zatcaConfig, falling back to the restaurant profile. */
+function sellerFor(restaurantData) {
+  const cfg = restaurantData.zatcaConfig || {};
+  return {
+    name: cfg.sellerName || restaurantData.legalBusinessName || restaurantData.name || '',
+    vatNumber: cfg.vatNumber || restaurantData.vatNumber || '',
+    crn: cfg.crn || restaurantData.businessRegistrationNumber || '',
+    address: {
+      street: cfg.street || '',
+      building: cfg.building || '',
+      district: cfg.district || '',
+      city: cfg.city || restaurantData.city || '',
+      postalCode: cfg.postalCode || '',
+    },
+  };
+}
+
+/** Client-safe view of the config + EGS unit — the key and secret never leave the server. */
+function maskConfig(restaurantData, egs) {
+  const cfg = restaurantData.zatcaConfig || {};
+  const cert = egs && egs.certificate ? signing.certificateInfo(egs.certificate) : null;
+  return {
+    enabled: !!cfg.enabled,
+    environment: cfg.environment || 'sandbox',
+    reporter: cfg.reporter || 'mock',
+    seller: sellerFor(restaurantData),
+    sellerErrors: validateSeller(sellerFor(restaurantData)),
+    egs: {
+      hasPrivateKey: !!(egs && egs.privateKey),
+      publicKey: egs && egs.privateKey ? signing.publicKeyPem(egs.privateKey) : null,
+      hasCertificate: !!cert,
+      certificateIssuer: cert ? cert.issuerName : null,
+      certificateValidTo: cert ? cert.validTo : null,
+      hasSecret: !!(egs && egs.secret),
+      icv: (egs && egs.icv) || 0,
+    },
+  };
+}
+
+function mergeConfig(body = {}, existing = {}) {
+  const str = (key, fallback = '') => (body[key] != null ? String(body[key]).trim() : (existing[key] || fallback));
+  const environment = str('environment', 'sandbox');
+  if (!ENVIRONMENTS.includes(environment)) throw fail(400, `environment must be one of: ${ENVIRONMENTS.join(', ')}`);
+  const reporter = str('reporter', 'mock');
+  if (!REPORTER_NAMES.includes(reporter)) throw fail(400, `reporter must be one of: ${REPORTER_NAMES.join(', ')}`);
+  return {
+    ...existing,
+    enabled: body.enabled != null ? !!body.enabled : !!existing.enabled,
+    environment,
+    reporter,
+    sellerName: str('sellerName'),
+    vatNumber: str('vatNumber'),
+    crn: str('crn'),
+    street: str('street'),
+    building: str('building'),
+    district: str('district'),
+    city: str('city'),
+    postalCode: str('postalCode'),
+    updatedAt: new Date(),
+  };
+}
+
+// ── EGS unit ──────────────────────────────────────────────────────
+
+/**
+ * Create the EGS key pair. An existing key is only replaced with `rotate`,
+ * since the CSID issued for the old key stops matching.
+ */
+async function generateKeys(restaurantId, { rotate = false } = {}) {
+  const egs = await getEgs(restaurantId);
+  if (egs && egs.privateKey && !rotate) throw fail(409, 'A signing key already exists. Pass rotate: true to replace it (a new CSID will be needed).');
+  const { privateKey, publicKey } = signing.generateKeyPair();
+  await egsRef(restaurantId).set({
+    restaurantId,
+    privateKey,
+    // A new key invalidates the old certificate
+    certificate: null,
+    secret: null,
+    keyCreatedAt: new Date(),
+    updatedAt: new Date(),
+  }, { merge: true });
+  return { publicKey };
+}
+
+/**
+ * Store the CSID: the certificate (PEM, base64 or binarySecurityToken) and
+ * its API secret. The certificate must belong to the stored private key.
+ * An imported `privateKey` (PEM) replaces the stored one first.
+ */
+async function setCredentials(restaurantId, { certificate, secret, privateKey } = {}) {
+  const egs = (await getEgs(restaurantId)) || {};
+  const key = privateKey || egs.privateKey;
+  if (!key) throw fail(400, 'Generate or import a signing key first');
+  if (privateKey && !signing.isValidPrivateKey(privateKey)) throw fail(400, 'privateKey must be a secp256k1 EC key in PEM format');
+
+  const update = { restaurantId, updatedAt: new Date() };
+  if (privateKey) Object.assign(update, { privateKey, keyCreatedAt: new Date() });
+  if (certificate) {
+    const cert = signing.certificateInfo(certificate);
+    if (!cert) throw fail(400, 'certificate is not a valid X.509 certificate');
+    if (!cert.publicKey.equals(signing.publicKeyDer(key))) throw fail(400, 'certificate was not issued for this signing key');
+    Object.assign(update, { certificate: cert.certificate, certificateUpdatedAt: new Date() });
+  }
+  if (secret) update.secret = String(secret);
+  await egsRef(restaurantId).set(update, { merge: true });
+  return getEgs(restaurantId);
+}
+
+// ── Sign + report ─────────────────────────────────────────────────
+
+/**
+ * Sign `orderId` as the next invoice in the restaurant's chain. Idempotent:
+ * an order that is already signed returns its existing summary.
+ */
+async function signOrder(restaurantId, orderId, restaurantData) {
+  if (!isSaudi(restaurantData)) throw fail(409, 'ZATCA is only available for Saudi (SAR) stores.');
+  if (!restaurantData.zatcaConfig || !restaurantData.zatcaConfig.enabled) throw fail(409, 'ZATCA e-invoicing is not enabled');
+  const seller = sellerFor(restaurantData);
+  const sellerErrors = validateSeller(seller);
+  if (sellerErrors.length > 0) throw fail(422, 'ZATCA seller details are incomplete', { details: sellerErrors });
+  const tzOffset = ianaToTzOffset(restaurantData.posSettings?.timezone || 'Asia/Riyadh');
+
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  const invoiceRef = db.collection(collections.zatcaInvoices).doc(orderId);
+
+  return db.runTransaction(async (tx) => {
+    const [egsSnap, orderSnap] = await Promise.all([tx.get(egsRef(restaurantId)), tx.get(orderRef)]);
+    if (!orderSnap.exists) throw fail(404, 'Order not found');
+    const order = { id: orderSnap.id, ...orderSnap.data() };
+    if (order.restaurantId !== restaurantId) throw fail(403, 'Order does not belong to this restaurant.');
+    if (order.zatca && order.zatca.invoiceHash) return { zatca: order.zatca, alreadySigned: true };
+    if (!SIGNABLE_STATUSES.includes(order.status)) throw fail(409, 'Order is not a completed sale yet.');
+    if (!Array.isArray(order.items) || order.items.length === 0) throw fail(422, 'Order has no items to invoice.');
+
+    const egs = egsSnap.exists ? egsSnap.data() : {};
+    if (!egs.privateKey || !egs.certificate) throw fail(409, 'Set up the ZATCA signing key and CSID certificate first.');
+
+    const icv = (Number(egs.icv) || 0) + 1;
+    const pih = egs.lastHash || INITIAL_PIH;
+    const signedAt = new Date();
+    const signed = signInvoice(order, {
+      seller,
+      egs,
+      icv,
+      pih,
+      invoiceNumber: order.invoiceNumber || order.orderNumber || order.id,
+      tzOffset,
+      signedAt,
+    });
+
+    const zatca = {
+      uuid: signed.uuid,
+      icv,
+      invoiceNumber: signed.invoiceNumber,
+      invoiceHash: signed.invoiceHash,
+      qr: signed.qr,
+      issueDate: signed.issueDate,
+      issueTime: signed.issueTime,
+      signedAt,
+      reportingStatus: 'pending',
+    };
+
+    tx.set(egsRef(restaurantId), { icv, lastHash: signed.invoiceHash, lastInvoiceUuid: signed.uuid, updatedAt: signedAt }, { merge: true });
+    tx.set(orderRef, { zatca }, { merge: true });
+    tx.set(invoiceRef, {
+      restaurantId,
+      orderId,
+      uuid: signed.uuid,
+      icv,
+      pih,
+      invoiceNumber: signed.invoiceNumber,
+      invoiceHash: signed.invoiceHash,
+      totals: signed.totals,
+      xml: signed.xml,
+      reportingStatus: 'pending',
+      attempts: 0,
+      createdAt: signedAt,
+    });
+    return { zatca, alreadySigned: false };
+  });
+}
+
+/**
+ * Report a signed invoice. Updates both the invoice record and the order's
+ * summary; a transport failure is recorded and leaves it 'pending'.
+ */
+async function reportInvoice(restaurantId, orderId, restaurantData) {
+  const invoiceRef = db.collection(collections.zatcaInvoices).doc(orderId);
+  const snap = await invoiceRef.get();
+  if (!snap.exists || snap.data().restaurantId !== restaurantId) throw fail(404, 'No signed ZATCA invoice for this order');
+  const invoice = snap.data();
+  if (invoice.reportingStatus === 'reported') return { reportingStatus: 'reported', warnings: invoice.warnings || [], errors: [] };
+
+  const cfg = restaurantData.zatcaConfig || {};
+  const reporter = getReporter(cfg.reporter || 'mock');
+  if (!reporter) throw fail(400, `Unknown ZATCA reporter "${cfg.reporter}"`);
+  const egs = (await getEgs(restaurantId)) || {};
+
+  const now = new Date();
+  let result;
+  try {
+    result = await reporter.report(
+      { invoiceHash: invoice.invoiceHash, uuid: invoice.uuid, xml: invoice.xml },
+      { config: cfg, credentials: { binarySecurityToken: egs.certificate ? Buffer.from(egs.certificate).toString('base64') : '', secret: egs.secret } },
+    );
+  } catch (err) {
+    await invoiceRef.set({ attempts: (invoice.attempts || 0) + 1, lastError: err.message, lastAttemptAt: now }, { merge: true });
+    return { reportingStatus: 'pending', warnings: [], errors: [{ code: 'transport', message: err.message }] };
+  }
+
+  const reportingStatus = result.status === 'REPORTED' ? 'reported' : 'rejected';
+  await invoiceRef.set({
+    reportingStatus,
+    warnings: result.warnings,
+    errors: result.errors,
+    attempts: (invoice.attempts || 0) + 1,
+    lastError: null,
+    lastAttemptAt: now,
+    ...(reportingStatus === 'reported' ? { reportedAt: now } : {}),
+  }, { merge: true });
+
+  const orderRef = db.collection(collections.orders).doc(orderId);
+  const orderSnap = await orderRef.get();
+  if (orderSnap.exists && orderSnap.data().zatca) {
+    await orderRef.set({ zatca: { ...orderSnap.data().zatca, reportingStatus, reportedAt: reportingStatus === 'reported' ? now : null } }, { merge: true });
+  }
+  return { reportingStatus, warnings: result.warnings, errors: result.errors };
+}
+
+/** Retry reporting for the restaurant's pending invoices, oldest counter first. */
+async function reportPending(restaurantId, restaurantData, limit = PENDING_BATCH_LIMIT) {
+  const snap = await db.collection(collections.zatcaInvoices)
+    .where('restaurantId', '==', restaurantId)
+    .where('reportingStatus', '==', 'pending')
+    .get();
+  const pending = snap.docs.map(d => d.data()).sort((a, b) => a.icv - b.icv).slice(0, limit);
+
+  const results = [];
+  for (const invoice of pending) {
+    const result = await reportInvoice(restaurantId, invoice.orderId, restaurantData);
+    results.push({ orderId: invoice.orderId, icv: invoice.icv, ...result });
+  }
+  return { attempted: results.length, remaining: Math.max(0, snap.size - results.length), results };
+}
+
+/**
+ * Sign an order that was just completed and report it in the background.
+ * Await it before the billing print push so the bill prints with its Phase 2
+ * QR (render only reads the stored signature). Call it from the completion
+ * paths only — signing reserves the next ICV, so it never runs on a read.
+ * Resolves to the order's `zatca` summary, or null for non-Saudi stores,
+ * when ZATCA is off, or when signing fails (logged; the order can still be
+ * signed from POST .../sign). Never rejects.
+ */
+async function signOnCompletion(orderId, restaurantId, restaurantData = null) {
+  try {
+    let data = restaurantData;
+    if (!data) {
+      const { getCachedRestaurant } = require('../../utils/kvCache');
+      ({ data } = await getCachedRestaurant(db, collections.restaurants, restaurantId));
+    }
+    if (!data || !isSaudi(data) || !data.zatcaConfig?.enabled) return null;
+    const { zatca, alreadySigned } = await signOrder(restaurantId, orderId, data);
+    if (!alreadySigned) {
+      reportInvoice(restaurantId, orderId, data)
+        .catch(err => console.error(`[zatca] report ${orderId} failed (non-blocking):`, err.message));
+    }
+    return zatca;
+  } catch (err) {
+    console.error(`[zatca] sign ${orderId} failed (non-blocking):`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  isSaudi,
+  sellerFor,
+  maskConfig,
+  mergeConfig,
+  getEgs,
+  generateKeys,
+  setCredentials,
+  signOrder,
+  reportInvoice,
+  reportPending,
+  signOnCompletion,
+};
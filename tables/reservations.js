@@ -0,0 +1,362 @@
+/**
+ * Table reservations — slots, capacity and table assignment. Pure, no DB access.
+ *
+ * Times are minutes from local midnight of the reservation's `date`
+ * (restaurant timezone), so a 00:30 seating after a 23:00 close-past-midnight
+ * service is 1470 on the evening's date. A reservation holds its tables for
+ * the turn time for its party size plus a reset buffer.
+ *
+ * Assignment prefers, in order: one table, a standing merge group (the
+ * primary of /api/tables/:restaurantId/merge with its secondaries), then a
+ * combination of tables on one floor — smallest total capacity and fewest
+ * tables first, so large tables stay free for large parties.
+ */
+
+const { sizeBucket } = require('./waitlist');
+const { toDate } = require('../utils/dates');
+
+const DEFAULT_SETTINGS = {
+  // Public booking widget; staff can always take bookings
+  onlineBooking: false,
+  slotIntervalMinutes: 15,
+  // Max covers arriving in any one slot (kitchen pacing); 0 = no cap
+  coversPerSlot: 0,
+  // days: 0 = Sunday … 6 = Saturday; close may be past midnight (e.g. 01:00)
+  openingHours: [{ days: [0, 1, 2, 3, 4, 5, 6], open: '12:00', close: '23:00' }],
+  // No seating later than this before close
+  lastSeatingMinutes: 60,
+  turnTimes: { 2: 90, 4: 105, 6: 120, '8+': 150 },
+  // Clearing and resetting between parties
+  bufferMinutes: 15,
+  maxPartySize: 10,
+  bookingWindowDays: 60,
+  minNoticeMinutes: 60,
+  allowCombinations: true,
+  maxCombinationTables: 3,
+  reminderHoursBefore: 24,
+  noShowGraceMinutes: 15,
+  autoNoShow: false,
+  // Customers with this many no-shows are flagged
+  noShowFlagThreshold: 2,
+  // Flagged customers can't book through the public widget (staff still can)
+  blockFlaggedOnline: false,
+};
+
+const STATUSES = ['booked', 'confirmed', 'seated', 'completed', 'cancelled', 'no-show'];
+// Statuses that hold tables and covers
+const ACTIVE_STATUSES = ['booked', 'confirmed', 'seated'];
+// Statuses staff may move to by hand, from each status
+const TRANSITIONS = {
+  booked: ['confirmed', 'seated', 'cancelled', 'no-show'],
+  confirmed: ['booked', 'seated', 'cancelled', 'no-show'],
+  seated: ['completed', 'confirmed'],
+  completed: [],
+  cancelled: ['booked'],
+  'no-show': ['booked'],
+};
+// Table statuses that rule a table out of the book entirely
+const UNBOOKABLE_TABLE_STATUSES = ['maintenance', 'out-of-service'];
+
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (hhmm) => {
+  const m = TIME_RE.exec(String(hhmm || '').trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+const toTime = (minutes) => {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const dayDiff = (from, to) => Math.round((Date.UTC(...ymd(to)) - Date.UTC(...ymd(from))) / 86400000);
+function ymd(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return [y, m - 1, d];
+}
+
+/** Reservation settings from the restaurant doc, over the defaults. */
+function settingsFor(restaurant) {
+  const saved = (restaurant && restaurant.reservationSettings) || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...saved,
+    turnTimes: { ...DEFAULT_SETTINGS.turnTimes, ...(saved.turnTimes || {}) },
+    openingHours: Array.isArray(saved.openingHours) && saved.openingHours.length ? saved.openingHours : DEFAULT_SETTINGS.openingHours,
+  };
+}
+
+/** → list of problems with a settings object (empty when valid). */
+function validateSettings(s) {
+  const errors = [];
+  const positive = ['slotIntervalMinutes', 'maxPartySize', 'bookingWindowDays', 'maxCombinationTables'];
+  positive.forEach(k => {
+    if (!(Number.isInteger(s[k]) && s[k] > 0)) errors.push(`${k} must be a whole number above 0`);
+  });
+  const nonNegative = ['coversPerSlot', 'lastSeatingMinutes', 'bufferMinutes', 'minNoticeMinutes', 'reminderHoursBefore', 'noShowGraceMinutes', 'noShowFlagThreshold'];
+  nonNegative.forEach(k => {
+    if (!(Number.isFinite(s[k]) && s[k] >= 0)) errors.push(`${k} must be 0 or more`);
+  });
+  if (s.slotIntervalMinutes > 240) errors.push('slotIntervalMinutes must be 240 or less');
+  Object.entries(s.turnTimes || {}).forEach(([bucket, mins]) => {
+    if (!['2', '4', '6', '8+'].includes(bucket)) errors.push(`turnTimes: unknown party size "${bucket}" (use 2, 4, 6, 8+)`);
+    else if (!(Number.isFinite(mins) && mins >= 15 && mins <= 600)) errors.push(`turnTimes.${bucket} must be 15–600 minutes`);
+  });
+  (s.openingHours || []).forEach((p, i) => {
+    if (!Array.isArray(p.days) || p.days.length === 0 || p.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      errors.push(`openingHours[${i}].days must list weekdays 0 (Sun) – 6 (Sat)`);
+    }
+    if (toMinutes(p.open) == null || toMinutes(p.close) == null) errors.push(`openingHours[${i}] open/close must be HH:MM`);
+  });
+  return errors;
+}
+
+/** Bookable start times (minutes) on `date`, across every opening period that day. */
+function slotTimes(settings, date) {
+  const step = settings.slotIntervalMinutes || DEFAULT_SETTINGS.slotIntervalMinutes;
+  const day = weekday(date);
+  const out = new Set();
+  (settings.openingHours || []).forEach(p => {
+    if (!(p.days || []).includes(day)) return;
+    const open = toMinutes(p.open);
+    let close = toMinutes(p.close);
+    if (open == null || close == null) return;
+    if (close <= open) close += 1440;
+    const last = close - (settings.lastSeatingMinutes || 0);
+    for (let t = open; t <= last; t += step) out.add(t);
+  });
+  return [...out].sort((a, b) => a - b);
+}
+
+/** Minutes a party of `partySize` holds its table. */
+function turnFor(settings, partySize) {
+  const turns = (settings && settings.turnTimes) || DEFAULT_SETTINGS.turnTimes;
+  return Number(turns[sizeBucket(partySize)]) || DEFAULT_SETTINGS.turnTimes[sizeBucket(partySize)];
+}
+
+const usable = (t) => Number(t.capacity) > 0 && !UNBOOKABLE_TABLE_STATUSES.includes(t.status) && t.reservable !== false;
+const nameOf = (t) => t.name || t.number || t.id;
+const unit = (kind, list) => ({
+  kind,
+  tableIds: list.map(t => t.id),
+  tableNames: list.map(nameOf),
+  capacity: list.reduce((s, t) => s + Number(t.capacity || 0), 0),
+});
+
+function combinations(list, k, start = 0, acc = [], out = []) {
+  if (acc.length === k) { out.push(acc); return out; }
+  for (let i = start; i <= list.length - (k - acc.length); i++) combinations(list, k, i + 1, [...acc, list[i]], out);
+  return out;
+}
+
+/**
+ * Every way to seat a party, grouped by preference →
+ * { singles, groups, combinations(k) } where combinations is a function so the
+ * (larger) k-table sets are only built when nothing smaller fits.
+ */
+function seatUnits(tables, settings) {
+  const list = (tables || []).filter(usable);
+  const byId = Object.fromEntries(list.map(t => [t.id, t]));
+  // A merged secondary only seats through its group
+  const singles = list.filter(t => t.status !== 'merged').map(t => unit('table', [t]));
+  const groups = list
+    .filter(t => t.mergePrimary && Array.isArray(t.mergedTables) && t.mergedTables.every(id => byId[id]))
+    .map(t => unit('merged', [t, ...t.mergedTables.map(id => byId[id])]));
+  const free = list.filter(t => !t.mergeGroupId && t.combinable !== false);
+  const byFloor = {};
+  free.forEach(t => { (byFloor[t.floorId || ''] = byFloor[t.floorId || ''] || []).push(t); });
+  const combos = (k) => Object.values(byFloor).flatMap(floor => combinations(floor, k).map(c => unit('combination', c)));
+  return { singles, groups, combinations: settings.allowCombinations === false ? () => [] : combos };
+}
+
+// Minutes each table is held: [{ start, end, reservationId }] from the day's book
+function heldIntervals(reservations, settings, excludeId) {
+  const held = {};
+  (reservations || []).forEach(r => {
+    if (r.id === excludeId || !ACTIVE_STATUSES.includes(r.status)) return;
+    const start = Number(r.startMin);
+    const end = start + Number(r.durationMinutes || turnFor(settings, r.partySize)) + (settings.bufferMinutes || 0);
+    (r.tableIds || []).forEach(id => { (held[id] = held[id] || []).push({ start, end, reservationId: r.id }); });
+  });
+  return held;
+}
+
+/**
+ * Tables for a party at `startMin` on the day whose book is `reservations` →
+ * { kind, tableIds, tableNames, capacity } or null when nothing is free.
+ * Tables may carry busyUntilMin (a party seated right now, today only).
+ */
+function assignTables({ tables, reservations, settings, partySize, startMin, durationMinutes, excludeId = null }) {
+  const size = Math.max(1, Number(partySize) || 1);
+  const duration = durationMinutes || turnFor(settings, size);
+  const end = startMin + duration + (settings.bufferMinutes || 0);
+  const held = heldIntervals(reservations, settings, excludeId);
+  const tableById = Object.fromEntries((tables || []).map(t => [t.id, t]));
+  const isFree = (id) => {
+    const t = tableById[id];
+    if (t && t.busyUntilMin != null && startMin < t.busyUntilMin) return false;
+    return !(held[id] || []).some(h => h.start < end && startMin < h.end);
+  };
+  const pick = (units) => units
+    .filter(u => u.capacity >= size && u.tableIds.every(isFree))
+    .sort((a, b) => a.capacity - b.capacity || a.tableIds.length - b.tableIds.length)[0] || null;
+
+  const { singles, groups, combinations: combos } = seatUnits(tables, settings);
+  const found = pick(singles) || pick(groups);
+  if (found) return found;
+  const maxK = Math.max(1, settings.maxCombinationTables || 1);
+  for (let k = 2; k <= maxK; k++) {
+    const combo = pick(combos(k));
+    if (combo) return combo;
+  }
+  return null;
+}
+
+/** Active reservations already holding any of `tableIds` over the interval → their ids. */
+function conflicts({ tableIds, reservations, settings, startMin, durationMinutes, excludeId = null }) {
+  const end = startMin + durationMinutes + (settings.bufferMinutes || 0);
+  const held = heldIntervals(reservations, settings, excludeId);
+  const ids = new Set();
+  (tableIds || []).forEach(id => (held[id] || []).forEach(h => {
+    if (h.start < end && startMin < h.end) ids.add(h.reservationId);
+  }));
+  return [...ids];
+}
+
+/** Covers already arriving at each start minute. */
+function coversBySlot(reservations, excludeId) {
+  const out = {};
+  (reservations || []).forEach(r => {
+    if (r.id === excludeId || !ACTIVE_STATUSES.includes(r.status)) return;
+    out[r.startMin] = (out[r.startMin] || 0) + (Number(r.partySize) || 0);
+  });
+  return out;
+}
+
+/**
+ * Bookable slots for a party on `date` →
+ * { date, partySize, durationMinutes, closed, reason, slots: [{ time, startMin, available, reason, coversLeft }] }.
+ * Slot reasons: past, notice, covers-cap, no-table. Day-level reasons:
+ * party-too-large, outside-window, past, closed.
+ * `today`/`nowMinutes` are the restaurant's local date and minutes since its midnight.
+ */
+function availability({ settings, date, partySize, tables, reservations, today, nowMinutes = 0, excludeId = null }) {
+  const size = Math.max(1, Number(partySize) || 1);
+  const durationMinutes = turnFor(settings, size);
+  const base = { date, partySize: size, durationMinutes, closed: false, reason: null, slots: [] };
+  if (size > settings.maxPartySize) return { ...base, reason: 'party-too-large' };
+  const ahead = today ? dayDiff(today, date) : 0;
+  if (ahead < 0) return { ...base, reason: 'past' };
+  if (ahead > settings.bookingWindowDays) return { ...base, reason: 'outside-window' };
+  const times = slotTimes(settings, date);
+  if (times.length === 0) return { ...base, closed: true, reason: 'closed' };
+
+  const covers = coversBySlot(reservations, excludeId);
+  // Minutes from the restaurant's "now" to each slot
+  const nowOnDate = nowMinutes - ahead * 1440;
+  const slots = times.map(startMin => {
+    const coversLeft = settings.coversPerSlot > 0 ? Math.max(0, settings.coversPerSlot - (covers[startMin] || 0)) : null;
+    let reason = null;
+    if (startMin < nowOnDate) reason = 'past';
+    else if (startMin < nowOnDate + (settings.minNoticeMinutes || 0)) reason = 'notice';
+    else if (coversLeft != null && size > coversLeft) reason = 'covers-cap';
+    else if (!assignTables({ tables, reservations, settings, partySize: size, startMin, durationMinutes, excludeId })) reason = 'no-table';
+    return { time: toTime(startMin), startMin, available: reason == null, reason, coversLeft };
+  });
+  return { ...base, slots };
+}
+
+/** → list of problems with a booking request (empty when valid). */
+function validateBooking(body, settings) {
+  const errors = [];
+  if (!String(body.name || '').trim()) errors.push('name is required');
+  if (String(body.phone || '').replace(/\D/g, '').length < 7) errors.push('a valid phone number is required');
+  const size = Number(body.partySize);
+  if (!Number.isInteger(size) || size < 1) errors.push('partySize must be a whole number of at least 1');
+  else if (size > settings.maxPartySize) errors.push(`parties larger than ${settings.maxPartySize} must call the restaurant`);
+  if (!DATE_RE.test(String(body.date || ''))) errors.push('date must be YYYY-MM-DD');
+  if (toMinutes(body.time) == null) errors.push('time must be HH:MM');
+  return errors;
+}
+
+/**
+ * The start minute for a requested HH:MM on `date` — times before the first
+ * opening (e.g. 00:30 after a past-midnight close) belong to the previous
+ * evening's service, so they count from that date's midnight as 1440+.
+ */
+function startMinuteFor(settings, date, time) {
+  const m = toMinutes(time);
+  if (m == null) return null;
+  const times = slotTimes(settings, date);
+  if (times.includes(m)) return m;
+  if (times.includes(m + 1440)) return m + 1440;
+  return null;
+}
+
+/** A reminder is due inside the window before the booking — unless it was made inside it (the confirmation covers that). */
+function reminderDue(reservation, settings, now = new Date()) {
+  if (!['booked', 'confirmed'].includes(reservation.status) || reservation.reminderSentAt) return false;
+  const startAt = toDate(reservation.startAt);
+  const createdAt = toDate(reservation.createdAt);
+  if (!startAt) return false;
+  const windowStart = startAt.getTime() - settings.reminderHoursBefore * 3600000;
+  if (createdAt && createdAt.getTime() >= windowStart) return false;
+  return now.getTime() >= windowStart && now < startAt;
+}
+
+/** The party hasn't been seated within the grace period after their time. */
+function noShowDue(reservation, settings, now = new Date()) {
+  if (!['booked', 'confirmed'].includes(reservation.status)) return false;
+  const startAt = toDate(reservation.startAt);
+  return !!startAt && now.getTime() > startAt.getTime() + settings.noShowGraceMinutes * 60000;
+}
+
+/** Whether a customer with `noShowCount` no-shows should carry the no-show flag. */
+function flagFor(noShowCount, settings) {
+  return settings.noShowFlagThreshold > 0 && (Number(noShowCount) || 0) >= settings.noShowFlagThreshold;
+}
+
+/** Safe, public fields for the guest's booking page and the widget. */
+function publicView(reservation, restaurant = {}) {
+  return {
+    id: reservation.id,
+    reference: reservation.reference,
+    name: String(reservation.name || '').split(' ')[0],
+    partySize: reservation.partySize,
+    date: reservation.date,
+    time: reservation.time,
+    durationMinutes: reservation.durationMinutes,
+    status: reservation.status,
+    occasion: reservation.occasion || null,
+    canCancel: ['booked', 'confirmed'].includes(reservation.status),
+    deposit: reservation.deposit
+      ? { amount: reservation.deposit.amount, status: reservation.deposit.status, payUrl: reservation.deposit.payUrl || null, refunded: reservation.deposit.refunded || 0, forfeited: reservation.deposit.forfeited || 0 }
+      : null,
+    restaurant: { name: restaurant.name || restaurant.restaurantName || '', logo: restaurant.logoUrl || '', phone: restaurant.phone || '' },
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  STATUSES,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  toMinutes,
+  toTime,
+  settingsFor,
+  validateSettings,
+  slotTimes,
+  turnFor,
+  seatUnits,
+  assignTables,
+  conflicts,
+  availability,
+  validateBooking,
+  startMinuteFor,
+  reminderDue,
+  noShowDue,
+  flagFor,
+  publicView,
+};
@@ -0,0 +1,182 @@
+const reservations = require('./reservations');
+
+const settings = reservations.settingsFor({
+  reservationSettings: {
+    openingHours: [{ days: [0, 1, 2, 3, 4, 5, 6], open: '18:00', close: '23:00' }],
+    lastSeatingMinutes: 90,
+    slotIntervalMinutes: 30,
+    bufferMinutes: 15,
+    minNoticeMinutes: 60,
+  },
+});
+
+const tables = [
+  { id: 'a2', name: 'A2', capacity: 2, floorId: 'main', status: 'available' },
+  { id: 'b2', name: 'B2', capacity: 2, floorId: 'main', status: 'available' },
+  { id: 'c4', name: 'C4', capacity: 4, floorId: 'main', status: 'occupied' },
+  { id: 'p2', name: 'P2', capacity: 2, floorId: 'patio', status: 'available' },
+  { id: 'x6', name: 'X6', capacity: 6, floorId: 'main', status: 'out-of-service' },
+];
+
+const booking = (id, tableIds, startMin, partySize = 2, status = 'booked') => ({ id, tableIds, startMin, partySize, status, durationMinutes: 90 });
+
+// ═══════════════════════════════════════════════════════════════════
+// Settings & slots
+// ═══════════════════════════════════════════════════════════════════
+
+describe('settings and slots', () => {
+  test('saved settings merge over the defaults and are validated', () => {
+    expect(settings.turnTimes['4']).toBe(105);
+    expect(settings.maxPartySize).toBe(10);
+    expect(reservations.validateSettings(settings)).toEqual([]);
+    const errors = reservations.validateSettings({ ...settings, slotIntervalMinutes: 0, turnTimes: { 3: 60 }, openingHours: [{ days: [7], open: '9', close: '22:00' }] });
+    expect(errors).toEqual([
+      'slotIntervalMinutes must be a whole number above 0',
+      'turnTimes: unknown party size "3" (use 2, 4, 6, 8+)',
+      'openingHours[0].days must list weekdays 0 (Sun) – 6 (Sat)',
+      'openingHours[0] open/close must be HH:MM',
+    ]);
+  });
+
+  test('slots run from open to close less last seating, past midnight included', () => {
+    expect(reservations.slotTimes(settings, '2026-10-20').map(reservations.toTime)).toEqual(['18:00', '18:30', '19:00', '19:30', '20:00', '20:30', '21:00', '21:30']);
+    const late = { ...settings, openingHours: [{ days: [5], open: '22:00', close: '02:00' }], lastSeatingMinutes: 60 };
+    expect(reservations.slotTimes(late, '2026-10-23')).toEqual([1320, 1350, 1380, 1410, 1440, 1470, 1500]);
+    expect(reservations.slotTimes(late, '2026-10-22')).toEqual([]);
+    expect(reservations.startMinuteFor(late, '2026-10-23', '00:30')).toBe(1470);
+    expect(reservations.startMinuteFor(late, '2026-10-23', '03:00')).toBeNull();
+  });
+
+  test('turn time by party size', () => {
+    expect([1, 2, 3, 5, 9].map(n => reservations.turnFor(settings, n))).toEqual([90, 90, 105, 120, 150]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Table assignment
+// ═══════════════════════════════════════════════════════════════════
+
+describe('assignTables', () => {
+  const assign = (partySize, book = [], extra = {}) => reservations.assignTables({
+    tables, reservations: book, settings, partySize, startMin: 1140, ...extra,
+  });
+
+  test('smallest single table that fits; out-of-service tables are never used', () => {
+    expect(assign(2)).toMatchObject({ kind: 'table', tableIds: ['a2'] });
+    expect(assign(4)).toMatchObject({ kind: 'table', tableIds: ['c4'] });
+  });
+
+  test('held tables (turn + buffer) are skipped; a finished slot frees them', () => {
+    const book = [booking('r1', ['a2'], 1080), booking('r2', ['b2'], 1080), booking('r3', ['p2'], 1080)];
+    expect(assign(2, book)).toMatchObject({ tableIds: ['c4'] });
+    // 18:00 + 90 min turn + 15 min buffer → free again at 19:45
+    expect(assign(2, book, { startMin: 1185 })).toMatchObject({ tableIds: ['a2'] });
+    expect(assign(2, [...book, booking('r0', ['a2'], 1080, 2, 'cancelled')].slice(1))).toMatchObject({ tableIds: ['a2'] });
+  });
+
+  test('no table big enough → a same-floor combination, fewest tables first', () => {
+    expect(assign(6)).toMatchObject({ kind: 'combination', tableIds: ['a2', 'c4'], capacity: 6 });
+    expect(assign(8)).toMatchObject({ kind: 'combination', tableIds: ['a2', 'b2', 'c4'], capacity: 8 });
+    expect(assign(9)).toBeNull();
+    expect(reservations.assignTables({ tables, reservations: [], settings: { ...settings, allowCombinations: false }, partySize: 6, startMin: 1140 })).toBeNull();
+  });
+
+  test('standing merge groups seat as one unit before any combination', () => {
+    const merged = [
+      { id: 'm1', name: 'M1', capacity: 4, floorId: 'main', status: 'available', mergeGroupId: 'g', mergePrimary: true, mergedTables: ['m2'] },
+      { id: 'm2', name: 'M2', capacity: 4, floorId: 'main', status: 'merged', mergeGroupId: 'g', mergedInto: 'm1' },
+      ...tables,
+    ];
+    expect(reservations.assignTables({ tables: merged, reservations: [], settings, partySize: 7, startMin: 1140 }))
+      .toMatchObject({ kind: 'merged', tableIds: ['m1', 'm2'], tableNames: ['M1', 'M2'], capacity: 8 });
+  });
+
+  test('hand-picked tables report the bookings they clash with', () => {
+    const book = [booking('r1', ['a2'], 1080), booking('r2', ['b2', 'c4'], 1200)];
+    expect(reservations.conflicts({ tableIds: ['a2', 'c4'], reservations: book, settings, startMin: 1140, durationMinutes: 90 })).toEqual(['r1', 'r2']);
+    expect(reservations.conflicts({ tableIds: ['a2'], reservations: book, settings, startMin: 1140, durationMinutes: 90, excludeId: 'r1' })).toEqual([]);
+  });
+
+  test('a table seated right now is busy until its expected turn ends', () => {
+    const busy = tables.map(t => (t.id === 'c4' ? { ...t, busyUntilMin: 1200 } : t));
+    expect(reservations.assignTables({ tables: busy, reservations: [], settings, partySize: 4, startMin: 1140 }))
+      .toMatchObject({ kind: 'combination', tableIds: ['a2', 'b2'] });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Availability
+// ═══════════════════════════════════════════════════════════════════
+
+describe('availability', () => {
+  test('past, notice, covers cap and table reasons per slot', () => {
+    const capped = { ...settings, coversPerSlot: 4 };
+    const book = [booking('r1', ['a2'], 1200, 2), booking('r2', ['b2'], 1200, 2), booking('r3', ['c4'], 1260, 4)];
+    const res = reservations.availability({
+      settings: capped, date: '2026-10-20', partySize: 2, tables, reservations: book, today: '2026-10-20', nowMinutes: 1100,
+    });
+    expect(res.durationMinutes).toBe(90);
+    expect(res.slots.map(s => [s.time, s.reason])).toEqual([
+      ['18:00', 'past'],
+      ['18:30', 'notice'],
+      ['19:00', 'notice'],
+      ['19:30', null],
+      ['20:00', 'covers-cap'],
+      ['20:30', null],
+      ['21:00', 'covers-cap'],
+      ['21:30', null],
+    ]);
+    expect(res.slots[4].coversLeft).toBe(0);
+  });
+
+  test('no table free → no-table', () => {
+    const book = ['a2', 'b2', 'c4', 'p2'].map((t, i) => booking(`r${i}`, [t], 1140));
+    const res = reservations.availability({ settings, date: '2026-10-21', partySize: 2, tables, reservations: book, today: '2026-10-20' });
+    expect(res.slots.find(s => s.time === '19:00').reason).toBe('no-table');
+    expect(res.slots.find(s => s.time === '18:00').reason).toBe('no-table');
+    expect(res.slots.find(s => s.time === '21:00').available).toBe(true);
+  });
+
+  test('day-level refusals', () => {
+    const args = { settings, tables, reservations: [], today: '2026-10-20' };
+    expect(reservations.availability({ ...args, date: '2026-10-21', partySize: 11 }).reason).toBe('party-too-large');
+    expect(reservations.availability({ ...args, date: '2026-10-19', partySize: 2 }).reason).toBe('past');
+    expect(reservations.availability({ ...args, date: '2027-01-01', partySize: 2 }).reason).toBe('outside-window');
+    const closedMonday = { ...settings, openingHours: [{ days: [0, 2, 3, 4, 5, 6], open: '18:00', close: '23:00' }] };
+    expect(reservations.availability({ ...args, settings: closedMonday, date: '2026-10-26', partySize: 2 })).toMatchObject({ closed: true, reason: 'closed', slots: [] });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Reminders & no-shows
+// ═══════════════════════════════════════════════════════════════════
+
+describe('reminders and no-shows', () => {
+  const startAt = new Date('2026-10-21T13:30:00Z');
+  const res = { status: 'booked', startAt, createdAt: new Date('2026-10-15T10:00:00Z') };
+
+  test('reminder inside the window, once, and not for bookings made inside it', () => {
+    expect(reservations.reminderDue(res, settings, new Date('2026-10-20T12:00:00Z'))).toBe(false);
+    expect(reservations.reminderDue(res, settings, new Date('2026-10-20T14:00:00Z'))).toBe(true);
+    expect(reservations.reminderDue({ ...res, reminderSentAt: new Date() }, settings, new Date('2026-10-20T14:00:00Z'))).toBe(false);
+    expect(reservations.reminderDue({ ...res, createdAt: new Date('2026-10-21T09:00:00Z') }, settings, new Date('2026-10-21T10:00:00Z'))).toBe(false);
+  });
+
+  test('no-show after the grace period; flag at the threshold', () => {
+    expect(reservations.noShowDue(res, settings, new Date('2026-10-21T13:40:00Z'))).toBe(false);
+    expect(reservations.noShowDue(res, settings, new Date('2026-10-21T13:50:00Z'))).toBe(true);
+    expect(reservations.noShowDue({ ...res, status: 'seated' }, settings, new Date('2026-10-21T15:00:00Z'))).toBe(false);
+    expect([0, 1, 2, 3].map(n => reservations.flagFor(n, settings))).toEqual([false, false, true, true]);
+  });
+
+  test('booking validation', () => {
+    expect(reservations.validateBooking({ name: 'Asha', phone: '98765 43210', partySize: 4, date: '2026-10-21', time: '19:00' }, settings)).toEqual([]);
+    expect(reservations.validateBooking({ name: '', phone: '12', partySize: 12, date: '21/10', time: '7pm' }, settings)).toEqual([
+      'name is required',
+      'a valid phone number is required',
+      'parties larger than 10 must call the restaurant',
+      'date must be YYYY-MM-DD',
+      'time must be HH:MM',
+    ]);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Walk-in waitlist — wait prediction and guest replies. Pure, no DB access.
+ *
+ * Predicted waits come from a small simulation: every usable table gets a
+ * "free at" time (now if available, otherwise when it was seated plus the
+ * restaurant's historical turn time for a table that size), and the queue is
+ * seated oldest first onto the table that frees up soonest and fits the
+ * party. Turn times are learnt from completed dine-in orders — the same
+ * created → completed span /api/tables/:restaurantId/analytics reports.
+ *
+ * Guests can reply to waitlist WhatsApp messages; parseReply() turns free
+ * text ("cancel", "5 min late", "how long?") into an action.
+ */
+
+const { toDate } = require('../utils/dates');
+
+const DEFAULT_TURN_MINUTES = 60;
+// Fewer completed orders than this in a bucket → fall back to the overall median
+const MIN_SAMPLES = 5;
+// Clearing and resetting a table between parties
+const RESET_MINUTES = 5;
+// An occupied table past its expected turn is still assumed to need this long
+const MIN_REMAINING_MINUTES = 5;
+const CLEANING_MINUTES = 5;
+const ACTIVE_STATUSES = ['waiting', 'notified'];
+// Table statuses that cannot take a walk-in at all
+const UNUSABLE_TABLE_STATUSES = ['reserved', 'maintenance', 'out-of-service'];
+const MAX_LATE_MINUTES = 120;
+
+const MINUTE = 60000;
+
+/**
+ * Minutes a completed dine-in order held its table, or null when the order
+ * doesn't count (not completed, no table, implausible span).
+ */
+function turnMinutes(order) {
+  const completedAt = toDate(order.completedAt);
+  if (!completedAt) return null;
+  if (['deleted', 'expired', 'cancelled'].includes(order.status)) return null;
+  const createdAt = toDate(order.createdAt);
+  if (!createdAt || !(order.tableNumber || order.tableId)) return null;
+  const mins = (completedAt - createdAt) / MINUTE;
+  // Guard against clock skew / stale saved orders: keep 0 < mins <= 24h.
+  return mins > 0 && mins <= 1440 ? mins : null;
+}
+
+// Party-size buckets turn times are kept for
+function sizeBucket(covers) {
+  const n = Math.max(1, Number(covers) || 1);
+  if (n <= 2) return '2';
+  if (n <= 4) return '4';
+  if (n <= 6) return '6';
+  return '8+';
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Historical turn times → { medianMinutes, byPartySize: { '2', '4', '6', '8+' }, samples }.
+ * Buckets with too few orders use the overall median; no history → DEFAULT_TURN_MINUTES.
+ */
+function turnProfile(orders) {
+  const all = [];
+  const byBucket = {};
+  (orders || []).forEach(o => {
+    const mins = turnMinutes(o);
+    if (mins == null) return;
+    all.push(mins);
+    (byBucket[sizeBucket(o.covers)] = byBucket[sizeBucket(o.covers)] || []).push(mins);
+  });
+  const overall = all.length >= MIN_SAMPLES ? Math.round(median(all)) : DEFAULT_TURN_MINUTES;
+  const byPartySize = {};
+  ['2', '4', '6', '8+'].forEach(b => {
+    const list = byBucket[b] || [];
+    byPartySize[b] = list.length >= MIN_SAMPLES ? Math.round(median(list)) : overall;
+  });
+  return { medianMinutes: overall, byPartySize, samples: all.length };
+}
+
+function turnFor(profile, partySize) {
+  const p = profile || {};
+  return (p.byPartySize && p.byPartySize[sizeBucket(partySize)]) || p.medianMinutes || DEFAULT_TURN_MINUTES;
+}
+
+// When each usable table can next seat a party
+function tableSlots(tables, profile, now) {
+  return (tables || [])
+    .filter(t => !UNUSABLE_TABLE_STATUSES.includes(t.status) && Number(t.capacity) > 0)
+    .map(t => {
+      let freeAt = now.getTime();
+      if (['occupied', 'serving'].includes(t.status)) {
+        const since = toDate(t.lastOrderTime) || now;
+        freeAt = Math.max(since.getTime() + turnFor(profile, t.capacity) * MINUTE, now.getTime() + MIN_REMAINING_MINUTES * MINUTE);
+      } else if (t.status === 'cleaning') {
+        freeAt = now.getTime() + CLEANING_MINUTES * MINUTE;
+      }
+      return { id: t.id, name: t.name || t.number || t.id, capacity: Number(t.capacity), freeAt };
+    });
+}
+
+/**
+ * Seat `queue` (active entries, oldest first) onto `tables` →
+ * [{ entryId, position, predictedWaitMinutes, tableId, tableName, reason }].
+ * Parties already notified are seated first — their table is ready.
+ * predictedWaitMinutes is null when no table is large enough.
+ */
+function predictWaits({ tables, queue, profile, now = new Date() }) {
+  const slots = tableSlots(tables, profile, now);
+  const active = (queue || []).filter(e => ACTIVE_STATUSES.includes(e.status || 'waiting'));
+  const ordered = [
+    ...active.filter(e => e.status === 'notified'),
+    ...active.filter(e => e.status !== 'notified'),
+  ];
+  return ordered.map((entry, i) => {
+    const size = Math.max(1, Number(entry.partySize) || 1);
+    const fits = slots.filter(s => s.capacity >= size);
+    const base = { entryId: entry.id, position: i + 1 };
+    if (fits.length === 0) return { ...base, predictedWaitMinutes: null, tableId: null, tableName: null, reason: 'no-table-fits' };
+    const slot = fits.reduce((best, s) => (s.freeAt < best.freeAt || (s.freeAt === best.freeAt && s.capacity < best.capacity) ? s : best));
+    const seatAt = Math.max(slot.freeAt, now.getTime());
+    slot.freeAt = seatAt + (turnFor(profile, size) + RESET_MINUTES) * MINUTE;
+    return {
+      ...base,
+      predictedWaitMinutes: entry.status === 'notified' ? 0 : Math.ceil((seatAt - now.getTime()) / MINUTE),
+      tableId: slot.id,
+      tableName: slot.name,
+      reason: null,
+    };
+  });
+}
+
+/** What to tell a guest: 0, or rounded up to the next 5 minutes. */
+function quoteMinutes(minutes) {
+  if (minutes == null) return null;
+  return minutes <= 0 ? 0 : Math.ceil(minutes / 5) * 5;
+}
+
+/**
+ * A guest's WhatsApp reply → { action: 'cancel' | 'late' | 'status' | 'confirm', minutes? } or null.
+ */
+function parseReply(text) {
+  const t = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!t) return null;
+  if (/\b(cancel|not coming|no longer|remove (me|us)|can'?t make it|cannot make it)\b/.test(t)) return { action: 'cancel' };
+  const late = t.match(/(\d{1,3})\s*(?:m|min|mins|minute|minutes)\b[^\d]*\b(late|behind|delay)/)
+    || t.match(/\b(late|behind|delayed?)\b[^\d]*(\d{1,3})\s*(?:m|min|mins|minute|minutes)\b/);
+  if (late) {
+    const minutes = Number(/^\d+$/.test(late[1]) ? late[1] : late[2]);
+    return { action: 'late', minutes: Math.min(MAX_LATE_MINUTES, Math.max(1, minutes)) };
+  }
+  if (/\b(late|running behind|delayed)\b/.test(t)) return { action: 'late', minutes: 10 };
+  if (/\b(status|how long|wait|position|when)\b/.test(t)) return { action: 'status' };
+  if (/\b(yes|ok|okay|coming|on (my|our) way|omw|here|arrived)\b/.test(t)) return { action: 'confirm' };
+  return null;
+}
+
+/** Last 10 digits — matches a number typed locally at the host stand to the WhatsApp sender. */
+function phoneKey(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/** Safe, public fields for the guest's status page. */
+function statusView(entry, prediction, restaurant = {}) {
+  return {
+    id: entry.id,
+    name: String(entry.name || '').split(' ')[0],
+    partySize: entry.partySize || 1,
+    status: entry.status,
+    position: ACTIVE_STATUSES.includes(entry.status) && prediction ? prediction.position : null,
+    estimatedWaitMinutes: ACTIVE_STATUSES.includes(entry.status) && prediction ? quoteMinutes(prediction.predictedWaitMinutes) : null,
+    quotedWait: entry.quotedWait ?? null,
+    lateByMinutes: entry.lateByMinutes || null,
+    addedAt: toDate(entry.createdAt) ? toDate(entry.createdAt).toISOString() : null,
+    notifiedAt: toDate(entry.notifiedAt) ? toDate(entry.notifiedAt).toISOString() : null,
+    restaurant: { name: restaurant.name || restaurant.restaurantName || '', logo: restaurant.logoUrl || '' },
+  };
+}
+
+module.exports = {
+  DEFAULT_TURN_MINUTES,
+  ACTIVE_STATUSES,
+  turnMinutes,
+  sizeBucket,
+  turnProfile,
+  predictWaits,
+  quoteMinutes,
+  parseReply,
+  phoneKey,
+  statusView,
+};
@@ -0,0 +1,101 @@
+const waitlist = require('./waitlist');
+
+const now = new Date('2026-10-18T19:00:00Z');
+const ago = (mins) => new Date(now.getTime() - mins * 60000);
+
+const orders = (n, covers, mins) => Array.from({ length: n }, (_, i) => ({
+  tableNumber: `T${i}`, covers, status: 'completed',
+  createdAt: ago(1000 + mins), completedAt: ago(1000),
+}));
+
+// ═══════════════════════════════════════════════════════════════════
+// Turn times
+// ═══════════════════════════════════════════════════════════════════
+
+describe('turnMinutes / turnProfile', () => {
+  test('only completed dine-in orders with a plausible span count', () => {
+    expect(waitlist.turnMinutes({ tableId: 't1', createdAt: ago(50), completedAt: ago(5) })).toBe(45);
+    expect(waitlist.turnMinutes({ createdAt: ago(50), completedAt: ago(5) })).toBeNull();
+    expect(waitlist.turnMinutes({ tableId: 't1', status: 'cancelled', createdAt: ago(50), completedAt: ago(5) })).toBeNull();
+    expect(waitlist.turnMinutes({ tableId: 't1', createdAt: ago(3000), completedAt: ago(5) })).toBeNull();
+  });
+
+  test('median per party size, thin buckets fall back to the overall median', () => {
+    const profile = waitlist.turnProfile([...orders(5, 2, 40), ...orders(6, 4, 70), ...orders(2, 8, 120)]);
+    expect(profile).toEqual({ medianMinutes: 70, byPartySize: { 2: 40, 4: 70, 6: 70, '8+': 70 }, samples: 13 });
+    expect(waitlist.turnProfile([]).medianMinutes).toBe(waitlist.DEFAULT_TURN_MINUTES);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Prediction
+// ═══════════════════════════════════════════════════════════════════
+
+describe('predictWaits', () => {
+  const profile = { medianMinutes: 60, byPartySize: { 2: 40, 4: 60, 6: 90, '8+': 90 } };
+  const tables = [
+    { id: 't2', name: 'T2', capacity: 2, status: 'occupied', lastOrderTime: ago(30) },
+    { id: 't4', name: 'T4', capacity: 4, status: 'occupied', lastOrderTime: ago(50) },
+    { id: 't6', name: 'T6', capacity: 6, status: 'reserved' },
+  ];
+
+  test('seats the queue oldest first on the table that frees up soonest', () => {
+    const res = waitlist.predictWaits({
+      tables, profile, now,
+      queue: [
+        { id: 'a', partySize: 2, status: 'waiting' },
+        { id: 'b', partySize: 2, status: 'waiting' },
+        { id: 'c', partySize: 3, status: 'waiting' },
+      ],
+    });
+    expect(res.map(r => [r.entryId, r.position, r.predictedWaitMinutes, r.tableId])).toEqual([
+      ['a', 1, 10, 't2'],
+      ['b', 2, 10, 't4'],
+      ['c', 3, 55, 't4'],
+    ]);
+  });
+
+  test('notified parties go first; parties nothing fits are flagged', () => {
+    const res = waitlist.predictWaits({
+      tables: [...tables, { id: 't1', name: 'T1', capacity: 2, status: 'available' }], profile, now,
+      queue: [
+        { id: 'a', partySize: 2, status: 'waiting' },
+        { id: 'n', partySize: 2, status: 'notified' },
+        { id: 'big', partySize: 7, status: 'waiting' },
+        { id: 'gone', partySize: 2, status: 'seated' },
+      ],
+    });
+    expect(res.map(r => [r.entryId, r.predictedWaitMinutes, r.reason])).toEqual([
+      ['n', 0, null],
+      ['a', 10, null],
+      ['big', null, 'no-table-fits'],
+    ]);
+  });
+
+  test('quotes round up to five minutes', () => {
+    expect([0, 1, 10, 11, null].map(waitlist.quoteMinutes)).toEqual([0, 5, 10, 15, null]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// Guest replies
+// ═══════════════════════════════════════════════════════════════════
+
+describe('parseReply', () => {
+  test.each([
+    ['CANCEL', { action: 'cancel' }],
+    ["Sorry, we can't make it", { action: 'cancel' }],
+    ['5 min late', { action: 'late', minutes: 5 }],
+    ['running late by 15 minutes', { action: 'late', minutes: 15 }],
+    ['we are running late', { action: 'late', minutes: 10 }],
+    ['how long is the wait?', { action: 'status' }],
+    ['On my way!', { action: 'confirm' }],
+    ['👍', null],
+  ])('%s', (text, expected) => {
+    expect(waitlist.parseReply(text)).toEqual(expected);
+  });
+
+  test('phone numbers match on the last ten digits', () => {
+    expect(waitlist.phoneKey('+91 98765-43210')).toBe(waitlist.phoneKey('09876543210'));
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Date helpers shared by the pure modules and the services.
+ */
+
+/**
+ * A Firestore Timestamp, Date, ISO string or epoch millis → Date, or null
+ * when the value is empty or not a valid date.
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+module.exports = { toDate };
@@ -0,0 +1,105 @@
+/**
+ * Print station routing — which KOT station each order item goes to.
+ * Used by the KOT print pushes in index.js and by the KDS ticket queues, so a
+ * station's screen always shows exactly what its printer would print.
+ */
+
+const categoryTree = require('./categoryTree');
+
+/**
+ * Filter out items excluded from KOT printing by category or item ID.
+ * Returns items unchanged when the feature is disabled.
+ */
+function filterKotExcludedItems(items, printSettings, catIndex) {
+  if (!printSettings?.kotExclusionEnabled) return items;
+  const rawExcludedCats = printSettings.kotExcludedCategories || [];
+  const excludedIds = new Set(printSettings.kotExcludedItemIds || []);
+  if (rawExcludedCats.length === 0 && excludedIds.size === 0) return items;
+  const hasTree = catIndex && catIndex.hasTree;
+  // Legacy EXACT set — preserves the pre-existing flat-store behavior byte-for-byte.
+  const excludedExact = new Set(rawExcludedCats);
+  // Lowercased set — used ONLY for the hierarchical (tree) ancestor match below.
+  const excludedLower = hasTree ? new Set(rawExcludedCats.map(c => (c || '').toString().toLowerCase().trim())) : null;
+  return items.filter(item => {
+    if (excludedIds.has(item.id || item.menuItemId)) return false;
+    // Hierarchical stores only: exclude if the item's category OR any ancestor
+    // is excluded (so excluding a parent category excludes its whole sub-tree).
+    if (hasTree) {
+      const path = categoryTree.resolveCategoryPath(item, catIndex);
+      if (path.some(n => excludedLower.has((n.id || '').toString().toLowerCase().trim()) || excludedLower.has((n.name || '').toString().toLowerCase().trim()))) return false;
+    }
+    // Legacy exact behavior — unchanged for flat stores.
+    if (excludedExact.has(item.categoryId)) return false;
+    return true;
+  });
+}
+
+/**
+ * Given order items and print stations, returns an array of
+ * { stationId, stationName, items } groups.
+ * If no print stations configured, returns single group with all items.
+ */
+function splitOrderByPrintStation(orderItems, printStations, restaurantCategories, printSettings) {
+  // KOT Exclusion: remove excluded items before station routing (ancestor-aware)
+  const kotCatIndex = categoryTree.buildCategoryIndex(restaurantCategories || []);
+  orderItems = filterKotExcludedItems(orderItems || [], printSettings, kotCatIndex);
+
+  if (!printStations || printStations.length === 0 || !orderItems || orderItems.length === 0) {
+    return orderItems && orderItems.length > 0
+      ? [{ stationId: null, stationName: null, items: orderItems }]
+      : [];
+  }
+
+  const enabledStations = printStations.filter(s => s.enabled);
+  if (enabledStations.length === 0) {
+    return [{ stationId: null, stationName: null, items: orderItems }];
+  }
+
+  // Build category name → ID lookup
+  const nameToId = {};
+  for (const cat of (restaurantCategories || [])) {
+    if (cat.name) nameToId[cat.name.toLowerCase().trim()] = cat.id;
+  }
+
+  // Build categoryId → station lookup (station.categoryIds are category slug ids)
+  const catIndex = kotCatIndex;
+  const catToStation = {};
+  let defaultStation = enabledStations.find(s => s.isDefault) || enabledStations[0];
+  for (const station of enabledStations) {
+    for (const catId of (station.categoryIds || [])) {
+      catToStation[catId] = station; // exact key — preserves legacy flat behavior
+    }
+  }
+
+  // Group items by resolved station. For a hierarchical menu, an item routes to
+  // the station configured for its category OR any ANCESTOR — so assigning a
+  // parent category (e.g. "Beverages") to a station also routes every
+  // sub-category under it (Cognac, Gin…). Flat stores use the exact legacy match.
+  const groups = {};
+  for (const item of orderItems) {
+    let station = null;
+    if (catIndex.hasTree) {
+      const path = categoryTree.resolveCategoryPath(item, catIndex); // [root…leaf]
+      // Prefer the most specific (leaf) station config, walking up to the root.
+      for (let i = path.length - 1; i >= 0 && !station; i--) {
+        station = catToStation[path[i].id] || catToStation[path[i].name];
+      }
+    }
+    if (!station) {
+      // Legacy exact behavior — unchanged for flat stores.
+      const catId = item.categoryId || nameToId[item.category?.toLowerCase()?.trim()] || item.category;
+      station = catToStation[catId];
+    }
+    station = station || defaultStation;
+    if (!station) continue;
+    if (!groups[station.id]) {
+      groups[station.id] = { stationId: station.id, stationName: station.name, items: [] };
+    }
+    groups[station.id].items.push(item);
+  }
+
+  const result = Object.values(groups);
+  return result.length > 0 ? result : [{ stationId: null, stationName: null, items: orderItems }];
+}
+
+module.exports = { filterKotExcludedItems, splitOrderByPrintStation };
@@ -0,0 +1,32 @@
+/**
+ * Fire-and-forget background runs, one at a time per key (usually a
+ * restaurantId). Triggers that arrive while a run is in flight fold into a
+ * single follow-up run with the latest argument, so a burst of writes costs
+ * at most two runs. Errors are logged, never thrown — the write that
+ * triggered the run must not fail because of it.
+ *
+ *   const refreshInBackground = serialRuns('Stock availability refresh', refresh);
+ *   refreshInBackground(restaurantId, 'order');
+ */
+function serialRuns(label, fn) {
+  const running = new Map();
+
+  return function trigger(key, arg) {
+    if (!key) return;
+    const state = running.get(key);
+    if (state) { state.pending = true; state.arg = arg; return; }
+
+    const next = { pending: false, arg };
+    running.set(key, next);
+    (async () => {
+      do {
+        next.pending = false;
+        await fn(key, next.arg);
+      } while (next.pending);
+    })()
+      .catch(err => console.error(`${label} for ${key} failed (non-blocking):`, err.message))
+      .finally(() => running.delete(key));
+  };
+}
+
+module.exports = { serialRuns };
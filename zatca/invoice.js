@@ -0,0 +1,465 @@
+/**
+ * ZATCA Phase 2 simplified tax invoice (B2C) as UBL 2.1 XML, with the
+ * invoice hash, the previous-invoice-hash (PIH) chain, the cryptographic
+ * stamp (XAdES enveloped signature) and the QR code.
+ * Pure functions — the EGS key, certificate, counter and previous hash are
+ * passed in by services/zatca/zatcaService.js.
+ *
+ * The XML is written compact and already in canonical form (no XML
+ * declaration in the hashed form, no empty-element tags, C14N escaping), so
+ * the invoice hash is the SHA-256 of the serialisation with the signature
+ * extension, cac:Signature and the QR reference left out — what the C14N11
+ * transforms in the signature produce.
+ * CONFIRM against the ZATCA SDK validator (fatoora -validate) before go-live:
+ * the signed-properties digest in particular is sensitive to serialisation.
+ */
+
+const crypto = require('crypto');
+const { round2 } = require('../billing/billingCalc');
+const { toDate } = require('../utils/dates');
+const { dateStrInTZ } = require('../utils/timezone');
+const { buildQr } = require('./qr');
+const signing = require('./signing');
+
+// PIH of the very first invoice: base64 of the hex SHA-256 of "0"
+const INITIAL_PIH = 'NWZlY2ViNjZmZmM4NmYzOGQ5NTI3ODZjNmQ2OTZjNzljMmRiYzIzOWRkNGU5MWI0NjcyOWQ3M2EyN2ZiNTdlOQ==';
+const CURRENCY = 'SAR';
+// 388 = tax invoice; name 0200000 = simplified (B2C), no third-party/nominal/export/summary/self-billed flags
+const INVOICE_TYPE_CODE = '388';
+const SIMPLIFIED_SUBTYPE = '0200000';
+
+const PAYMENT_MEANS = { cash: '10', card: '48', 'card-terminal': '48', upi: '42', bank_transfer: '42', split: '1', due: '1' };
+
+const NS = {
+  invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  ext: 'urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2',
+  sig: 'urn:oasis:names:specification:ubl:schema:xsd:CommonSignatureComponents-2',
+  sac: 'urn:oasis:names:specification:ubl:schema:xsd:SignatureAggregateComponents-2',
+  sbc: 'urn:oasis:names:specification:ubl:schema:xsd:SignatureBasicComponents-2',
+  ds: 'http://www.w3.org/2000/09/xmldsig#',
+  xades: 'http://uri.etsi.org/01903/v1.3.2#',
+};
+const SHA256 = 'http://www.w3.org/2001/04/xmlenc#sha256';
+
+// ── XML helpers ───────────────────────────────────────────────────
+
+// C14N escaping: text escapes & < >, attributes & < "
+function escapeText(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#xD;');
+}
+
+function escapeAttr(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;').replace(/\n/g, '&#xA;').replace(/\r/g, '&#xD;');
+}
+
+/**
+ * One element. `content` is a string (escaped as text) or an array of
+ * already-built child elements; null/undefined children are dropped.
+ */
+function el(name, attrs, content) {
+  const attrStr = Object.entries(attrs || {})
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeAttr(v)}"`)
+    .join('');
+  const inner = Array.isArray(content) ? content.filter(Boolean).join('') : escapeText(content);
+  return `<${name}${attrStr}>${inner}</${name}>`;
+}
+
+function amount(name, value) {
+  return el(name, { currencyID: CURRENCY }, Number(value).toFixed(2));
+}
+
+// ── Order → invoice model ─────────────────────────────────────────
+
+function num(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? 0 : n;
+}
+
+function roundShares(values, total) {
+  const rounded = values.map(v => round2(v));
+  if (rounded.length > 0) {
+    const diff = round2(total - rounded.reduce((s, v) => s + v, 0));
+    rounded[rounded.length - 1] = round2(rounded[rounded.length - 1] + diff);
+  }
+  return rounded;
+}
+
+// Tips are not consideration for the supply
+function invoiceValue(order) {
+  return round2(num(order.finalAmount || order.totalAmount) - num(order.tipAmount));
+}
+
+function vatBuckets(order) {
+  const lines = Array.isArray(order.taxBreakdown) ? order.taxBreakdown : [];
+  const buckets = {};
+  lines.forEach(line => {
+    const rate = num(line.rate);
+    if (!buckets[rate]) buckets[rate] = { rate, tax: 0 };
+    buckets[rate].tax += num(line.amount);
+  });
+  let result = Object.values(buckets).map(b => ({ rate: b.rate, tax: round2(b.tax) }));
+  if (result.length === 0) {
+    const tax = num(order.taxAmount);
+    result = [{ rate: tax > 0 ? num(order.taxRate) || 15 : 0, tax: round2(tax) }];
+  }
+  return result.sort((a, b) => a.rate - b.rate);
+}
+
+function taxCategory(rate) {
+  return rate > 0
+    ? { id: 'S', percent: rate }
+    : { id: 'O', percent: 0, reasonCode: 'VATEX-SA-OOS', reason: 'Not subject to VAT' };
+}
+
+/**
+ * Lines, VAT subtotals and totals for an order. The bill's taxable value is
+ * split across its VAT rates (last rate absorbs rounding) and then across
+ * the items by value, so discounts and service charge are already inside
+ * each line's net amount. VAT is recomputed from the taxable amount as ZATCA
+ * requires; any cents that leaves against the bill go into
+ * PayableRoundingAmount together with the bill's own round-off.
+ */
+function invoiceModel(order) {
+  const value = invoiceValue(order);
+  const buckets = vatBuckets(order);
+  const billTax = buckets.reduce((s, b) => s + b.tax, 0);
+  const taxable = round2(value - num(order.roundOffAmount) - billTax);
+
+  const items = (order.items || []).filter(i => !i.isVoid && !i.voided).map(item => {
+    const gross = num(item.total) || num(item.price) * (num(item.quantity) || 1);
+    return {
+      name: item.name || 'Item',
+      quantity: num(item.quantity) || 1,
+      gross,
+      effectiveRate: gross > 0 && item.itemTaxAmount != null ? num(item.itemTaxAmount) * 100 / gross : null,
+    };
+  });
+
+  let remaining = taxable;
+  const lines = [];
+  const subtotals = buckets.map((b, idx) => {
+    const isLast = idx === buckets.length - 1;
+    const bucketTaxable = round2(isLast || b.rate === 0 ? remaining : b.tax * 100 / b.rate);
+    remaining = round2(remaining - bucketTaxable);
+
+    let members = items;
+    if (buckets.length > 1) {
+      members = items.filter(m => m.effectiveRate !== null && buckets.reduce((best, x) =>
+        (Math.abs(x.rate - m.effectiveRate) < Math.abs(best.rate - m.effectiveRate) ? x : best)) === b);
+    }
+    const weightTotal = members.reduce((s, m) => s + m.gross, 0);
+    if (weightTotal <= 0) members = [{ name: 'Restaurant services', quantity: 1, gross: 1 }];
+    const weights = members.reduce((s, m) => s + m.gross, 0);
+
+    const nets = roundShares(members.map(m => bucketTaxable * m.gross / weights), bucketTaxable);
+    const vat = round2(bucketTaxable * b.rate / 100);
+    const taxes = roundShares(nets.map(n => n * b.rate / 100), vat);
+    members.forEach((m, i) => {
+      lines.push({ name: m.name, quantity: m.quantity, net: nets[i], vat: taxes[i], category: taxCategory(b.rate) });
+    });
+    return { taxable: bucketTaxable, vat, category: taxCategory(b.rate) };
+  });
+
+  const lineExtension = round2(lines.reduce((s, l) => s + l.net, 0));
+  const vatTotal = round2(subtotals.reduce((s, t) => s + t.vat, 0));
+  const taxInclusive = round2(lineExtension + vatTotal);
+  return {
+    lines,
+    subtotals,
+    totals: {
+      lineExtension,
+      taxExclusive: lineExtension,
+      taxInclusive,
+      vat: vatTotal,
+      rounding: round2(value - taxInclusive),
+      payable: value,
+    },
+    paymentMeansCode: PAYMENT_MEANS[order.paymentMethod] || '10',
+  };
+}
+
+// ── Seller ────────────────────────────────────────────────────────
+
+/**
+ * Problems with the seller block that ZATCA would reject.
+ */
+function validateSeller(seller = {}) {
+  const errors = [];
+  const address = seller.address || {};
+  if (!seller.name) errors.push('Seller registration name is required');
+  if (!/^3[0-9]{13}3$/.test(seller.vatNumber || '')) errors.push('VAT number must be 15 digits starting and ending with 3');
+  if (seller.crn && !/^[0-9A-Za-z]{1,20}$/.test(seller.crn)) errors.push('CR number must be alphanumeric');
+  if (!address.street) errors.push('Street name is required');
+  if (!/^[0-9]{4}$/.test(address.building || '')) errors.push('Building number must be 4 digits');
+  if (!address.district) errors.push('District is required');
+  if (!address.city) errors.push('City is required');
+  if (!/^[0-9]{5}$/.test(address.postalCode || '')) errors.push('Postal code must be 5 digits');
+  return errors;
+}
+
+function supplierParty(seller) {
+  const address = seller.address || {};
+  return el('cac:AccountingSupplierParty', null, [
+    el('cac:Party', null, [
+      seller.crn ? el('cac:PartyIdentification', null, [el('cbc:ID', { schemeID: 'CRN' }, seller.crn)]) : null,
+      el('cac:PostalAddress', null, [
+        el('cbc:StreetName', null, address.street),
+        el('cbc:BuildingNumber', null, address.building),
+        el('cbc:CitySubdivisionName', null, address.district),
+        el('cbc:CityName', null, address.city),
+        el('cbc:PostalZone', null, address.postalCode),
+        el('cac:Country', null, [el('cbc:IdentificationCode', null, 'SA')]),
+      ]),
+      el('cac:PartyTaxScheme', null, [
+        el('cbc:CompanyID', null, seller.vatNumber),
+        el('cac:TaxScheme', null, [el('cbc:ID', null, 'VAT')]),
+      ]),
+      el('cac:PartyLegalEntity', null, [el('cbc:RegistrationName', null, seller.name)]),
+    ]),
+  ]);
+}
+
+// ── XML ───────────────────────────────────────────────────────────
+
+function taxCategoryXml(tag, category) {
+  return el(tag, null, [
+    el('cbc:ID', { schemeID: 'UN/ECE 5305', schemeAgencyID: '6' }, category.id),
+    el('cbc:Percent', null, Number(category.percent).toFixed(2)),
+    category.reasonCode ? el('cbc:TaxExemptionReasonCode', null, category.reasonCode) : null,
+    category.reason ? el('cbc:TaxExemptionReason', null, category.reason) : null,
+    el('cac:TaxScheme', null, [el('cbc:ID', { schemeID: 'UN/ECE 5153', schemeAgencyID: '6' }, 'VAT')]),
+  ]);
+}
+
+function invoiceLine(line, idx) {
+  const unitPrice = round2(line.net / line.quantity);
+  const exact = round2(unitPrice * line.quantity) === line.net;
+  return el('cac:InvoiceLine', null, [
+    el('cbc:ID', null, String(idx + 1)),
+    el('cbc:InvoicedQuantity', { unitCode: 'PCE' }, String(line.quantity)),
+    amount('cbc:LineExtensionAmount', line.net),
+    el('cac:TaxTotal', null, [
+      amount('cbc:TaxAmount', line.vat),
+      amount('cbc:RoundingAmount', round2(line.net + line.vat)),
+    ]),
+    el('cac:Item', null, [
+      el('cbc:Name', null, line.name),
+      el('cac:ClassifiedTaxCategory', null, [
+        el('cbc:ID', null, line.category.id),
+        el('cbc:Percent', null, Number(line.category.percent).toFixed(2)),
+        el('cac:TaxScheme', null, [el('cbc:ID', null, 'VAT')]),
+      ]),
+    ]),
+    // Net unit price where it divides evenly, else the line net per BaseQuantity
+    el('cac:Price', null, exact
+      ? [amount('cbc:PriceAmount', unitPrice)]
+      : [amount('cbc:PriceAmount', line.net), el('cbc:BaseQuantity', { unitCode: 'PCE' }, String(line.quantity))]),
+  ]);
+}
+
+function documentReference(id, value) {
+  return el('cac:AdditionalDocumentReference', null, [
+    el('cbc:ID', null, id),
+    el('cac:Attachment', null, [el('cbc:EmbeddedDocumentBinaryObject', { mimeCode: 'text/plain' }, value)]),
+  ]);
+}
+
+/**
+ * The Invoice element. `extensions`, `qr` and the cac:Signature marker are
+ * left out when `forHash` is set.
+ */
+function invoiceXml(doc, { extensions = null, qr = null, forHash = false } = {}) {
+  const { model } = doc;
+  return el('Invoice', { xmlns: NS.invoice, 'xmlns:cac': NS.cac, 'xmlns:cbc': NS.cbc, 'xmlns:ext': NS.ext }, [
+    forHash ? null : extensions,
+    el('cbc:ProfileID', null, 'reporting:1.0'),
+    el('cbc:ID', null, doc.invoiceNumber),
+    el('cbc:UUID', null, doc.uuid),
+    el('cbc:IssueDate', null, doc.issueDate),
+    el('cbc:IssueTime', null, doc.issueTime),
+    el('cbc:InvoiceTypeCode', { name: SIMPLIFIED_SUBTYPE }, INVOICE_TYPE_CODE),
+    el('cbc:DocumentCurrencyCode', null, CURRENCY),
+    el('cbc:TaxCurrencyCode', null, CURRENCY),
+    el('cac:AdditionalDocumentReference', null, [el('cbc:ID', null, 'ICV'), el('cbc:UUID', null, String(doc.icv))]),
+    documentReference('PIH', doc.pih),
+    forHash ? null : documentReference('QR', qr),
+    forHash ? null : el('cac:Signature', null, [
+      el('cbc:ID', null, 'urn:oasis:names:specification:ubl:signature:Invoice'),
+      el('cbc:SignatureMethod', null, 'urn:oasis:names:specification:ubl:dsig:enveloped:xades'),
+    ]),
+    supplierParty(doc.seller),
+    el('cac:AccountingCustomerParty', null, [el('cac:Party', null, [])]),
+    el('cac:PaymentMeans', null, [el('cbc:PaymentMeansCode', null, model.paymentMeansCode)]),
+    el('cac:TaxTotal', null, [
+      amount('cbc:TaxAmount', model.totals.vat),
+      ...model.subtotals.map(t => el('cac:TaxSubtotal', null, [
+        amount('cbc:TaxableAmount', t.taxable),
+        amount('cbc:TaxAmount', t.vat),
+        taxCategoryXml('cac:TaxCategory', t.category),
+      ])),
+    ]),
+    // Second TaxTotal: VAT in the tax currency (same as document currency here)
+    el('cac:TaxTotal', null, [amount('cbc:TaxAmount', model.totals.vat)]),
+    el('cac:LegalMonetaryTotal', null, [
+      amount('cbc:LineExtensionAmount', model.totals.lineExtension),
+      amount('cbc:TaxExclusiveAmount', model.totals.taxExclusive),
+      amount('cbc:TaxInclusiveAmount', model.totals.taxInclusive),
+      amount('cbc:AllowanceTotalAmount', 0),
+      amount('cbc:PrepaidAmount', 0),
+      model.totals.rounding ? amount('cbc:PayableRoundingAmount', model.totals.rounding) : null,
+      amount('cbc:PayableAmount', model.totals.payable),
+    ]),
+    ...model.lines.map(invoiceLine),
+  ]);
+}
+
+/**
+ * Base64 SHA-256 of the invoice without signature, cac:Signature and QR.
+ */
+function invoiceHash(doc) {
+  return crypto.createHash('sha256').update(invoiceXml(doc, { forHash: true }), 'utf8').digest('base64');
+}
+
+function signedPropertiesXml({ signingTime, certificateDigest, issuerName, serialNumber }) {
+  return el('xades:SignedProperties', { Id: 'xadesSignedProperties' }, [
+    el('xades:SignedSignatureProperties', null, [
+      el('xades:SigningTime', null, signingTime),
+      el('xades:SigningCertificate', null, [
+        el('xades:Cert', null, [
+          el('xades:CertDigest', null, [
+            el('ds:DigestMethod', { Algorithm: SHA256 }, []),
+            el('ds:DigestValue', null, certificateDigest),
+          ]),
+          el('xades:IssuerSerial', null, [
+            el('ds:X509IssuerName', null, issuerName),
+            el('ds:X509SerialNumber', null, serialNumber),
+          ]),
+        ]),
+      ]),
+    ]),
+  ]);
+}
+
+function signatureExtension({ hash, signature, cert, signingTime }) {
+  const signedProperties = signedPropertiesXml({
+    signingTime,
+    certificateDigest: signing.hexDigestBase64(cert.certificate),
+    issuerName: cert.issuerName,
+    serialNumber: cert.serialNumber,
+  });
+  const transform = xpath => el('ds:Transform', { Algorithm: 'http://www.w3.org/TR/1999/REC-xpath-19991116' }, [el('ds:XPath', null, xpath)]);
+
+  const dsSignature = el('ds:Signature', { 'xmlns:ds': NS.ds, Id: 'signature' }, [
+    el('ds:SignedInfo', null, [
+      el('ds:CanonicalizationMethod', { Algorithm: 'http://www.w3.org/2006/12/xml-c14n11' }, []),
+      el('ds:SignatureMethod', { Algorithm: 'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256' }, []),
+      el('ds:Reference', { Id: 'invoiceSignedData', URI: '' }, [
+        el('ds:Transforms', null, [
+          transform('not(//ancestor-or-self::ext:UBLExtensions)'),
+          transform('not(//ancestor-or-self::cac:Signature)'),
+          transform('not(//ancestor-or-self::cac:AdditionalDocumentReference[cbc:ID=\'QR\'])'),
+          el('ds:Transform', { Algorithm: 'http://www.w3.org/2006/12/xml-c14n11' }, []),
+        ]),
+        el('ds:DigestMethod', { Algorithm: SHA256 }, []),
+        el('ds:DigestValue', null, hash),
+      ]),
+      el('ds:Reference', { Type: 'http://www.w3.org/2000/09/xmldsig#SignatureProperties', URI: '#xadesSignedProperties' }, [
+        el('ds:DigestMethod', { Algorithm: SHA256 }, []),
+        el('ds:DigestValue', null, signing.hexDigestBase64(signedProperties)),
+      ]),
+    ]),
+    el('ds:SignatureValue', null, signature),
+    el('ds:KeyInfo', null, [el('ds:X509Data', null, [el('ds:X509Certificate', null, cert.certificate)])]),
+    el('ds:Object', null, [
+      el('xades:QualifyingProperties', { 'xmlns:xades': NS.xades, Target: 'signature' }, [signedProperties]),
+    ]),
+  ]);
+
+  return el('ext:UBLExtensions', null, [
+    el('ext:UBLExtension', null, [
+      el('ext:ExtensionURI', null, 'urn:oasis:names:specification:ubl:dsig:enveloped:xades'),
+      el('ext:ExtensionContent', null, [
+        el('sig:UBLDocumentSignatures', { 'xmlns:sig': NS.sig, 'xmlns:sac': NS.sac, 'xmlns:sbc': NS.sbc }, [
+          el('sac:SignatureInformation', null, [
+            el('cbc:ID', null, 'urn:oasis:names:specification:ubl:signature:1'),
+            el('sbc:ReferencedSignatureID', null, 'urn:oasis:names:specification:ubl:signature:Invoice'),
+            dsSignature,
+          ]),
+        ]),
+      ]),
+    ]),
+  ]);
+}
+
+// ── Sign ──────────────────────────────────────────────────────────
+
+/**
+ * Build, hash, stamp and QR a simplified invoice for `order`.
+ *   seller      { name, vatNumber, crn, address { street, building, district, city, postalCode } }
+ *   egs         { privateKey (PEM), certificate (CSID) }
+ *   icv         invoice counter value for this invoice
+ *   pih         previous invoice's hash (INITIAL_PIH for the first)
+ * Returns { xml, invoiceHash, signature, qr, uuid, icv, pih, invoiceNumber, issueDate, issueTime, totals }.
+ */
+function signInvoice(order, { seller, egs, icv, pih = INITIAL_PIH, uuid = crypto.randomUUID(), invoiceNumber, tzOffset, signedAt = new Date() }) {
+  const cert = signing.certificateInfo(egs.certificate);
+  if (!cert) throw new Error('ZATCA certificate (CSID) is missing or invalid');
+
+  const issued = toDate(order.completedAt || order.createdAt) || signedAt;
+  const local = new Date(issued.getTime() - (tzOffset ?? 0) * 60000);
+  const doc = {
+    model: invoiceModel(order),
+    seller,
+    uuid,
+    icv,
+    pih,
+    invoiceNumber: String(invoiceNumber || order.invoiceNumber || order.orderNumber || order.id),
+    issueDate: tzOffset === undefined ? issued.toISOString().slice(0, 10) : dateStrInTZ(issued, tzOffset),
+    issueTime: local.toISOString().slice(11, 19),
+  };
+
+  const hash = invoiceHash(doc);
+  const signature = signing.signHash(hash, egs.privateKey);
+  const qr = buildQr({
+    sellerName: seller.name,
+    vatNumber: seller.vatNumber,
+    timestamp: `${doc.issueDate}T${doc.issueTime}`,
+    totalWithVat: doc.model.totals.taxInclusive,
+    vatTotal: doc.model.totals.vat,
+    invoiceHash: hash,
+    signature,
+    publicKey: signing.publicKeyDer(egs.privateKey),
+    certificateSignature: cert.signature,
+  });
+  const extensions = signatureExtension({
+    hash,
+    signature,
+    cert,
+    signingTime: signedAt.toISOString().slice(0, 19),
+  });
+
+  return {
+    xml: `<?xml version="1.0" encoding="UTF-8"?>\n${invoiceXml(doc, { extensions, qr })}`,
+    invoiceHash: hash,
+    signature,
+    qr,
+    uuid,
+    icv,
+    pih,
+    invoiceNumber: doc.invoiceNumber,
+    issueDate: doc.issueDate,
+    issueTime: doc.issueTime,
+    totals: doc.model.totals,
+  };
+}
+
+module.exports = {
+  INITIAL_PIH,
+  invoiceModel,
+  validateSeller,
+  signInvoice,
+};
@@ -0,0 +1,87 @@
+/**
+ * ZATCA QR code payload: tag-length-value fields, base64-encoded.
+ *
+ * Phase 2 (simplified invoices) tags:
+ *   1 seller name, 2 VAT number, 3 timestamp, 4 total with VAT, 5 VAT total,
+ *   6 invoice hash, 7 ECDSA signature, 8 ECDSA public key,
+ *   9 ZATCA's signature over the cryptographic stamp (certificate)
+ * Tags 1-7 are UTF-8 text; 8 and 9 are raw bytes.
+ */
+
+const TAGS = {
+  SELLER_NAME: 1,
+  VAT_NUMBER: 2,
+  TIMESTAMP: 3,
+  TOTAL_WITH_VAT: 4,
+  VAT_TOTAL: 5,
+  INVOICE_HASH: 6,
+  SIGNATURE: 7,
+  PUBLIC_KEY: 8,
+  CERTIFICATE_SIGNATURE: 9,
+};
+
+// DER-style length: one byte below 128, otherwise 0x81/0x82 + length bytes
+function encodeLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  if (length <= 0xff) return Buffer.from([0x81, length]);
+  return Buffer.from([0x82, length >> 8, length & 0xff]);
+}
+
+/**
+ * Encode [[tag, value], ...] as base64 TLV. String values are UTF-8; Buffers
+ * are written as-is. Empty values are skipped.
+ */
+function encodeTlv(fields) {
+  const parts = [];
+  fields.forEach(([tag, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+    parts.push(Buffer.from([tag]), encodeLength(bytes.length), bytes);
+  });
+  return Buffer.concat(parts).toString('base64');
+}
+
+/**
+ * Decode a base64 TLV payload into { tag → value }. Byte tags (8, 9) stay
+ * Buffers.
+ */
+function decodeTlv(base64) {
+  const buf = Buffer.from(base64, 'base64');
+  const fields = {};
+  let i = 0;
+  while (i < buf.length) {
+    const tag = buf[i++];
+    let length = buf[i++];
+    if (length === 0x81) length = buf[i++];
+    else if (length === 0x82) { length = (buf[i] << 8) | buf[i + 1]; i += 2; }
+    const value = buf.subarray(i, i + length);
+    fields[tag] = tag >= TAGS.PUBLIC_KEY ? Buffer.from(value) : value.toString('utf8');
+    i += length;
+  }
+  return fields;
+}
+
+/**
+ * The QR payload for a signed invoice. `signature`, `publicKey` and
+ * `certificateSignature` are omitted for a Phase 1 (unsigned) QR.
+ */
+function buildQr({ sellerName, vatNumber, timestamp, totalWithVat, vatTotal, invoiceHash, signature, publicKey, certificateSignature }) {
+  return encodeTlv([
+    [TAGS.SELLER_NAME, sellerName],
+    [TAGS.VAT_NUMBER, vatNumber],
+    [TAGS.TIMESTAMP, timestamp],
+    [TAGS.TOTAL_WITH_VAT, Number(totalWithVat).toFixed(2)],
+    [TAGS.VAT_TOTAL, Number(vatTotal).toFixed(2)],
+    [TAGS.INVOICE_HASH, invoiceHash],
+    [TAGS.SIGNATURE, signature],
+    [TAGS.PUBLIC_KEY, publicKey],
+    [TAGS.CERTIFICATE_SIGNATURE, certificateSignature],
+  ]);
+}
+
+module.exports = {
+  TAGS,
+  encodeTlv,
+  decodeTlv,
+  buildQr,
+};
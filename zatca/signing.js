@@ -0,0 +1,140 @@
+/**
+ * ZATCA cryptographic stamp helpers: secp256k1 keys, ECDSA signatures and
+ * the certificate (CSID) details the XAdES signature and QR need.
+ * Pure — keys and certificates are passed in, nothing is stored here.
+ */
+
+const crypto = require('crypto');
+
+const CURVE = 'secp256k1';
+
+/**
+ * New EGS (e-invoice generation solution) key pair, PEM-encoded. The private
+ * key is what the CSR is signed with and what stamps every invoice.
+ */
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: CURVE,
+    privateKeyEncoding: { type: 'sec1', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+  return { privateKey, publicKey };
+}
+
+function isValidPrivateKey(pem) {
+  try {
+    const key = crypto.createPrivateKey(pem);
+    return key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === CURVE;
+  } catch (_) {
+    return false;
+  }
+}
+
+/** SubjectPublicKeyInfo DER bytes for the key pair behind `privateKeyPem` (QR tag 8). */
+function publicKeyDer(privateKeyPem) {
+  return crypto.createPublicKey(privateKeyPem).export({ type: 'spki', format: 'der' });
+}
+
+function publicKeyPem(privateKeyPem) {
+  return crypto.createPublicKey(privateKeyPem).export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * ECDSA (SHA-256) signature over the invoice hash bytes, base64 DER.
+ */
+function signHash(invoiceHash, privateKeyPem) {
+  return crypto.sign('sha256', Buffer.from(invoiceHash, 'base64'), privateKeyPem).toString('base64');
+}
+
+function verifyHash(invoiceHash, signature, publicKey) {
+  return crypto.verify('sha256', Buffer.from(invoiceHash, 'base64'), publicKey, Buffer.from(signature, 'base64'));
+}
+
+// ── Certificate ───────────────────────────────────────────────────
+
+/**
+ * The certificate as the single-line base64 DER the XML embeds. Accepts a
+ * PEM, bare base64 DER, or the binarySecurityToken from the CSID API (which
+ * is the base64 DER base64-encoded once more).
+ */
+function normalizeCertificate(value) {
+  if (!value) return '';
+  const body = String(value).replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '');
+  const decoded = Buffer.from(body, 'base64').toString('latin1');
+  return decoded.startsWith('MII') ? decoded.replace(/\s+/g, '') : body;
+}
+
+// Minimal DER walk: the tag, where its content starts and where it ends
+function readDer(buf, offset) {
+  const tag = buf[offset];
+  let length = buf[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const bytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < bytes; i++) length = (length << 8) | buf[start + i];
+    start += bytes;
+  }
+  return { tag, start, end: start + length };
+}
+
+/**
+ * The CA's signature over the certificate — the last element of the
+ * Certificate SEQUENCE (a BIT STRING whose first byte is the unused-bit count).
+ */
+function certificateSignature(der) {
+  const outer = readDer(der, 0);
+  let offset = outer.start;
+  let last = null;
+  while (offset < outer.end) {
+    last = readDer(der, offset);
+    offset = last.end;
+  }
+  if (!last || last.tag !== 0x03) return null;
+  return Buffer.from(der.subarray(last.start + 1, last.end));
+}
+
+/**
+ * Everything the signature block and QR need from the CSID certificate.
+ * Returns null when `value` isn't a certificate.
+ */
+function certificateInfo(value) {
+  const certificate = normalizeCertificate(value);
+  if (!certificate) return null;
+  try {
+    const der = Buffer.from(certificate, 'base64');
+    const x509 = new crypto.X509Certificate(der);
+    return {
+      certificate,
+      // RFC 4514 order (most specific first), as ZATCA's samples print it
+      issuerName: x509.issuer.split('\n').reverse().join(', '),
+      serialNumber: BigInt(`0x${x509.serialNumber}`).toString(),
+      publicKey: x509.publicKey.export({ type: 'spki', format: 'der' }),
+      signature: certificateSignature(der),
+      validTo: new Date(x509.validTo),
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * ZATCA digests the certificate and the signed properties as base64 of the
+ * hex SHA-256 string (not of the raw digest) — see the SDK's sample invoices.
+ */
+function hexDigestBase64(value) {
+  return Buffer.from(crypto.createHash('sha256').update(value, 'utf8').digest('hex')).toString('base64');
+}
+
+module.exports = {
+  CURVE,
+  generateKeyPair,
+  isValidPrivateKey,
+  publicKeyDer,
+  publicKeyPem,
+  signHash,
+  verifyHash,
+  normalizeCertificate,
+  certificateInfo,
+  hexDigestBase64,
+};